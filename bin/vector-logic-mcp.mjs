@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * vector-logic-mcp - MCP server on stdio
+ * @see src/mcp-server.mjs for the tools
+ */
+
+import process from 'node:process';
+import { McpServer } from '../src/mcp-server.mjs';
+
+// stdout carries protocol messages only: diagnostics go to stderr
+process.stderr.write('vector-logic-mcp: listening on stdio\n');
+
+new McpServer().listen(process.stdin, process.stdout).catch((error) => {
+  process.stderr.write(`vector-logic-mcp: ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * vector-logic - command-line entry point
+ * @see src/cli.mjs for the commands
+ */
+
+import process from 'node:process';
+import { run } from '../src/cli.mjs';
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -2,11 +2,16 @@
  * Main Application Logic - Updated with Sound Effects & Statistics
  */
 
+/* global VectorRenderer, DomRenderer, FigmaSimulator, CanvasRenderer, BenchmarkEngine, ExportEngine, ChaosMode, ChaosHistory, ChaosOrchestrator, ResponsiveTester */
+
 const vectorRenderer = new VectorRenderer();
-const domRenderer = new DomRenderer();
-const figmaSimulator = new FigmaSimulator();
+// DOM, Figma and Canvas2D backends draw the SVG renderer's scene (same layout and tokens)
+const domRenderer = new DomRenderer({ vectorRenderer });
+const figmaSimulator = new FigmaSimulator({ vectorRenderer });
+const canvasRenderer = CanvasRenderer.isSupported() ? new CanvasRenderer({ vectorRenderer }) : null;
 const benchmarkEngine = new BenchmarkEngine();
 const exportEngine = new ExportEngine();
+exportEngine.setVectorRenderer(vectorRenderer);
 
 const chaosDOM = new ChaosMode();
 const chaosVector = new ChaosMode();
@@ -42,6 +47,7 @@ const elements = {
   runBenchmark: document.getElementById('run-benchmark'),
   stressTest: document.getElementById('stress-test'),
   exportTest: document.getElementById('export-test'),
+  exportBundle: document.getElementById('export-bundle'),
   exportSection: document.getElementById('export-section'),
   efficiencyMultiplier: document.getElementById('efficiency-multiplier')
 };
@@ -58,6 +64,17 @@ elements.scaleSlider?.addEventListener('input', (e) => {
   window.soundEffects?.playClick();
 });
 
+function renderVectorPreview() {
+  if (!elements.vectorPreview) return;
+  elements.vectorPreview.innerHTML = vectorRenderer.render(testProps, 0.5);
+}
+
+// Vector preview, exports and benchmark follow the page theme
+window.addEventListener('diia:themechange', (e) => {
+  vectorRenderer.setTheme(e.detail.theme);
+  renderVectorPreview();
+});
+
 let benchmarkResults = null;
 
 elements.runBenchmark?.addEventListener('click', async () => {
@@ -77,7 +94,8 @@ elements.runBenchmark?.addEventListener('click', async () => {
     benchmarkResults = benchmarkEngine.runBenchmark({
       vector: vectorRenderer,
       dom: domRenderer,
-      figma: figmaSimulator
+      figma: figmaSimulator,
+      canvas: canvasRenderer
     }, testProps);
 
     const vectorResult = vectorRenderer.renderWithA11y(testProps, currentScale);
@@ -206,19 +224,24 @@ elements.stressTest?.addEventListener('click', async () => {
 elements.exportTest?.addEventListener('click', () => {
   const rnCode = exportEngine.toReactNative(testProps);
   const swiftCode = exportEngine.toSwiftUI(testProps);
-  const pdfCode = exportEngine.toPDFInstructions(testProps);
+  const flutterCode = exportEngine.toFlutter(testProps);
+  const pdfCode = exportEngine.toPDF(testProps);
 
   const rnSize = new Blob([rnCode]).size;
   const swiftSize = new Blob([swiftCode]).size;
+  const flutterSize = new Blob([flutterCode]).size;
   const pdfSize = new Blob([pdfCode]).size;
 
   document.getElementById('export-rn-size').textContent = formatBytes(rnSize);
   document.getElementById('export-swift-size').textContent = formatBytes(swiftSize);
+  document.getElementById('export-flutter-size').textContent = formatBytes(flutterSize);
   document.getElementById('export-pdf-size').textContent = formatBytes(pdfSize);
 
   elements.exportSection.style.display = 'block';
 });
 
+elements.exportBundle?.addEventListener('click', () => downloadExport('bundle'));
+
 function downloadExport(format) {
   let content, filename, mimeType;
 
@@ -228,16 +251,76 @@ function downloadExport(format) {
       filename = 'DiiaUploadScreen.tsx';
       mimeType = 'text/typescript';
       break;
+    case 'reactnative-tokens':
+      // Imported by the component as './diia-tokens'
+      content = exportEngine.toReactNativeTokens();
+      filename = 'diia-tokens.ts';
+      mimeType = 'text/typescript';
+      break;
     case 'swiftui':
       content = exportEngine.toSwiftUI(testProps);
       filename = 'DiiaUploadScreen.swift';
       mimeType = 'text/swift';
       break;
+    case 'swiftui-colors':
+      // Color extension the view reads token colors from
+      content = exportEngine.toSwiftUIColors();
+      filename = 'DiiaColors.swift';
+      mimeType = 'text/swift';
+      break;
+    case 'compose':
+      content = exportEngine.toCompose(testProps);
+      filename = 'DiiaUploadScreen.kt';
+      mimeType = 'text/x-kotlin';
+      break;
+    case 'compose-colors':
+      // Color object the composable reads token colors from
+      content = exportEngine.toComposeColors();
+      filename = 'DiiaColors.kt';
+      mimeType = 'text/x-kotlin';
+      break;
+    case 'vector-drawable':
+      content = exportEngine.toVectorDrawable(testProps);
+      filename = 'diia_upload_screen.xml';
+      mimeType = 'application/xml';
+      break;
+    case 'flutter':
+      content = exportEngine.toFlutter(testProps);
+      filename = 'diia_upload_screen.dart';
+      mimeType = 'application/dart';
+      break;
+    case 'flutter-tokens':
+      // Imported by the widget as 'diia_tokens.dart'
+      content = exportEngine.toFlutterTokens();
+      filename = 'diia_tokens.dart';
+      mimeType = 'application/dart';
+      break;
+    case 'web-component':
+      content = exportEngine.toWebComponent(testProps);
+      filename = 'diia-upload-screen.js';
+      mimeType = 'text/javascript';
+      break;
+    case 'lottie':
+      content = exportEngine.toLottie(testProps);
+      filename = 'diia-upload-screen.json';
+      mimeType = 'application/json';
+      break;
     case 'pdf':
-      content = exportEngine.toPDFInstructions(testProps);
-      filename = 'diia-screen.ps';
+      content = exportEngine.toPDF(testProps);
+      filename = 'diia-screen.pdf';
+      mimeType = 'application/pdf';
+      break;
+    case 'eps':
+      content = exportEngine.toEPS(testProps);
+      filename = 'diia-screen.eps';
       mimeType = 'application/postscript';
       break;
+    case 'bundle':
+      // Every target, the token files and manifest.json in one archive
+      content = exportEngine.toBundle(testProps);
+      filename = 'diia-upload-screen.zip';
+      mimeType = 'application/zip';
+      break;
   }
 
   const blob = new Blob([content], { type: mimeType });
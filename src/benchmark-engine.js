@@ -20,7 +20,7 @@ class BenchmarkEngine {
    * @returns {number} Size in bytes
    */
   calculatePayload(content) {
-    return new Blob([content]).size;
+    return new TextEncoder().encode(content).length;
   }
 
   /**
@@ -80,6 +80,58 @@ class BenchmarkEngine {
     };
   }
 
+  /**
+   * Measure canvas paint speed
+   * Canvas output is pixels, not markup: the payload is zero bytes
+   * @param {CanvasRenderer} renderer - Canvas renderer
+   * @param {Object} props - Props to pass to renderer
+   * @returns {Object} Performance metrics
+   */
+  measureCanvasSpeed(renderer, props = {}) {
+    const canvas = renderer.createCanvas(1, 1);
+
+    performance.mark('canvas-start');
+    renderer.render(canvas, props);
+    // Reading a pixel back waits for the paint to finish
+    canvas.getContext('2d').getImageData(0, 0, 1, 1);
+    performance.mark('canvas-end');
+
+    const measure = performance.measure('canvas-time', 'canvas-start', 'canvas-end');
+
+    return {
+      time: measure.duration,
+      output: canvas,
+      size: 0
+    };
+  }
+
+  /**
+   * Stress test the canvas backend: repaint one canvas many times
+   * @param {CanvasRenderer} renderer - Canvas renderer
+   * @param {number} count - Number of paints
+   * @param {Object} props - Props to pass to renderer
+   * @returns {Object} Stress test results
+   */
+  stressTestCanvas(renderer, count = 1000, props = {}) {
+    const canvas = renderer.createCanvas(1, 1);
+    const start = performance.now();
+
+    for (let i = 0; i < count; i++) {
+      renderer.render(canvas, props);
+    }
+    canvas.getContext('2d').getImageData(0, 0, 1, 1);
+
+    const end = performance.now();
+
+    return {
+      totalTime: end - start,
+      avgTime: (end - start) / count,
+      totalSize: 0,
+      avgSize: 0,
+      count: count
+    };
+  }
+
   /**
    * Stress test: render multiple instances
    * @param {Function} renderFn - Rendering function
@@ -109,7 +161,7 @@ class BenchmarkEngine {
 
   /**
    * Run complete benchmark suite
-   * @param {Object} renderers - Object with vector, dom, figma renderers
+   * @param {Object} renderers - Object with vector, dom, figma (and optional canvas) renderers
    * @param {Object} props - Props to pass to renderers
    * @returns {Object} Complete results
    */
@@ -129,6 +181,9 @@ class BenchmarkEngine {
       (p) => renderers.figma.render(p),
       props
     );
+    if (renderers.canvas) {
+      this.results.canvas = { single: this.measureCanvasSpeed(renderers.canvas, props) };
+    }
 
     console.log('⚡ Stress Test (100 iterations)...');
     this.results.vector.stress = this.stressTest(
@@ -146,6 +201,9 @@ class BenchmarkEngine {
       100,
       props
     );
+    if (renderers.canvas) {
+      this.results.canvas.stress = this.stressTestCanvas(renderers.canvas, 100, props);
+    }
 
     this.calculateEfficiency();
 
@@ -166,6 +224,9 @@ class BenchmarkEngine {
       speedVsDom: (this.results.dom.single.time / vectorTime).toFixed(2),
       speedVsFigma: (this.results.figma.single.time / vectorTime).toFixed(2)
     };
+    if (this.results.canvas?.single) {
+      this.results.efficiency.speedVsCanvas = (this.results.canvas.single.time / vectorTime).toFixed(2);
+    }
   }
 
   /**
@@ -239,4 +300,6 @@ class BenchmarkEngine {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BenchmarkEngine;
 }
-window.BenchmarkEngine = BenchmarkEngine;
+if (typeof window !== 'undefined') {
+  window.BenchmarkEngine = BenchmarkEngine;
+}
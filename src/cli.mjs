@@ -0,0 +1,292 @@
+/**
+ * Vector Logic CLI - render, optimize, export and benchmark from a terminal
+ *
+ * Thin command layer over the engines in src/index.mjs, for designers and CI
+ * that should not have to open index.html. Every command prints a human
+ * summary, or one JSON document with --json for scripting.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @example
+ * node bin/vector-logic.mjs render diia-passport --scale 2 -o card.svg
+ * node bin/vector-logic.mjs tokens estimate card.svg --json
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import process from 'node:process';
+import { format, parseArgs } from 'node:util';
+import {
+  VectorRenderer, DomRenderer, FigmaSimulator, ExportEngine,
+  OptimizerEngine, TokenEstimator, ScreenSchema, FormulaDSL
+} from './index.mjs';
+import { loadScript } from './script-loader.mjs';
+
+const USAGE = `Usage: vector-logic <command> [options]
+
+Commands:
+  render <schema>          Render a template name, schema JSON or formula .vl file to SVG
+  optimize <file>          Optimize a design tool SVG export (OptimizerEngine)
+  export --target <name>   Export the screen as ${Object.keys(ExportEngine.TARGETS).join(', ')}
+  tokens estimate <file>   Estimate LLM tokens and cost of a file
+  bench                    Benchmark vector vs DOM vs Figma renderers (jsdom)
+
+Options:
+  -o, --output <file>      Write the result to a file instead of stdout
+  --scale <n>              Render scale (render)
+  --theme <name>           Color theme: light, dark, high-contrast
+  --props <file>           Props as a JSON file
+  --prop <key=value>       Single prop (repeatable)
+  --model <name>           Model for "tokens estimate" (default: all)
+  --json                   Print one JSON document
+  -h, --help               Show this help`;
+
+/**
+ * Error in the command line itself (exit code 2)
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Collect props from --props and --prop
+ * @private
+ * @param {Object} values - Parsed options
+ * @returns {Object} Props
+ */
+function readProps(values) {
+  const props = values.props ? JSON.parse(readFileSync(values.props, 'utf8')) : {};
+  (values.prop || []).forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      throw new UsageError(`--prop expects key=value, got "${pair}"`);
+    }
+    props[pair.slice(0, index)] = pair.slice(index + 1);
+  });
+  return props;
+}
+
+/**
+ * Resolve the render input: a registered template, a schema JSON file or a
+ * formula DSL (.vl) file
+ * @private
+ * @param {string} source - Template name or file path
+ * @param {Object} tokens - Theme tokens for formula arithmetic
+ * @returns {ScreenSchemaDocument} Screen document
+ */
+function readSchema(source, tokens) {
+  const registered = ScreenSchema.get(source);
+  if (registered) {
+    return registered;
+  }
+  const text = readFileSync(source, 'utf8');
+  return source.endsWith('.vl') ? FormulaDSL.compile(text, { tokens }) : JSON.parse(text);
+}
+
+/**
+ * Read the single positional file argument of a command
+ * @private
+ * @param {string[]} positionals - Positional arguments after the command
+ * @param {string} command - Command name for the error message
+ * @returns {string} File contents
+ */
+function readInput(positionals, command) {
+  if (!positionals[0]) {
+    throw new UsageError(`${command} needs a file`);
+  }
+  return readFileSync(positionals[0], 'utf8');
+}
+
+/**
+ * Create the window BenchmarkEngine measures in (jsdom in plain Node)
+ * @private
+ * @returns {Promise<Window>} Window whose document has a #benchmark-sandbox
+ */
+async function createBenchmarkWindow() {
+  let JSDOM;
+  try {
+    ({ JSDOM } = await import('jsdom'));
+  } catch (e) {
+    throw new Error('bench needs jsdom: npm install jsdom');
+  }
+  return new JSDOM('<!DOCTYPE html><div id="benchmark-sandbox"></div>').window;
+}
+
+/**
+ * Command implementations: (positionals, values, io) => { result, text, output }
+ * "output" is written to --output (or stdout), "result" is the --json document
+ * @private
+ * @const {Object<string, Function>}
+ */
+const COMMANDS = {
+  render(positionals, values) {
+    if (!positionals[0]) {
+      throw new UsageError('render needs a template name or schema file');
+    }
+    const scale = values.scale === undefined ? 1 : Number(values.scale);
+    if (!Number.isFinite(scale) || scale <= 0) {
+      throw new UsageError(`--scale must be a positive number, got "${values.scale}"`);
+    }
+    const renderer = new VectorRenderer({ theme: values.theme });
+    const schema = readSchema(positionals[0], renderer.tokens);
+    const svg = renderer.render(schema, scale, readProps(values));
+    const match = svg.match(/<svg[^>]* width="([\d.]+)" height="([\d.]+)"/);
+    return {
+      output: svg,
+      result: {
+        schema: schema.name || positionals[0],
+        scale,
+        width: match ? Number(match[1]) : undefined,
+        height: match ? Number(match[2]) : undefined,
+        bytes: new TextEncoder().encode(svg).length
+      },
+      text: `${schema.name || positionals[0]} @${scale}x: ${new TextEncoder().encode(svg).length} bytes`
+    };
+  },
+
+  optimize(positionals, values) {
+    const analysis = new OptimizerEngine().analyze(readInput(positionals, 'optimize'));
+    return {
+      output: analysis.optimized,
+      result: {
+        format: analysis.format,
+        stats: analysis.stats,
+        suggestions: analysis.suggestions
+      },
+      text: `${analysis.format}: ${analysis.stats.originalSize} → ${analysis.stats.optimizedSize} bytes (${analysis.stats.reduction})`
+    };
+  },
+
+  export(positionals, values) {
+    const method = ExportEngine.TARGETS[values.target];
+    if (!method) {
+      throw new UsageError(`export --target must be one of: ${Object.keys(ExportEngine.TARGETS).join(', ')}`);
+    }
+    const engine = new ExportEngine();
+    engine.setVectorRenderer(new VectorRenderer({ theme: values.theme }));
+    const code = engine[method](readProps(values));
+    return {
+      output: code,
+      result: { target: values.target, bytes: new TextEncoder().encode(code).length },
+      text: `${values.target}: ${new TextEncoder().encode(code).length} bytes`
+    };
+  },
+
+  tokens(positionals, values) {
+    if (positionals[0] !== 'estimate') {
+      throw new UsageError('usage: tokens estimate <file>');
+    }
+    const text = readInput(positionals.slice(1), 'tokens estimate');
+    const estimator = new TokenEstimator();
+    const breakdown = estimator.getBreakdown(text);
+    if (values.model) {
+      if (!breakdown.models[values.model]) {
+        throw new UsageError(`--model must be one of: ${Object.keys(breakdown.models).join(', ')}`);
+      }
+      breakdown.models = { [values.model]: breakdown.models[values.model] };
+    }
+    return {
+      result: breakdown,
+      text: Object.entries(breakdown.models)
+        .map(([model, { tokens, costPerCall }]) => `${model.padEnd(8)} ${String(tokens).padStart(8)} tokens${costPerCall === null ? '' : `  $${costPerCall.toFixed(6)}/call`}`)
+        .join('\n')
+    };
+  },
+
+  async bench(positionals, values, io) {
+    const window = await createBenchmarkWindow();
+    // The engine narrates on its console: give it one on stderr, keep stdout for the result
+    const log = (...args) => io.stderr.write(`${format(...args)}\n`);
+    const BenchmarkEngine = loadScript('./benchmark-engine.js', {
+      window,
+      document: window.document,
+      console: { log, info: log, warn: log, error: log }
+    });
+    const engine = new BenchmarkEngine();
+    const props = readProps(values);
+
+    // Every renderer draws the vector renderer's scene: same screen, same theme
+    const vectorRenderer = new VectorRenderer({ theme: values.theme });
+    const results = engine.runBenchmark({
+      vector: vectorRenderer,
+      dom: new DomRenderer({ vectorRenderer }),
+      figma: new FigmaSimulator({ vectorRenderer })
+    }, props);
+
+    const summary = Object.fromEntries(['vector', 'dom', 'figma'].map((name) => [name, {
+      size: results[name].single.size,
+      time: results[name].single.time,
+      stress: results[name].stress
+    }]));
+    summary.efficiency = results.efficiency;
+    return {
+      result: summary,
+      text: ['vector', 'dom', 'figma']
+        .map((name) => `${name.padEnd(7)} ${engine.formatBytes(summary[name].size).padEnd(10)} ${summary[name].time.toFixed(2)} ms`)
+        .join('\n')
+    };
+  }
+};
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {{stdout: {write: Function}, stderr: {write: Function}}} [io] - Output streams
+ * @returns {Promise<number>} Exit code: 0 ok, 1 failure, 2 bad usage
+ */
+export async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        scale: { type: 'string' },
+        theme: { type: 'string' },
+        props: { type: 'string' },
+        prop: { type: 'string', multiple: true },
+        target: { type: 'string' },
+        model: { type: 'string' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    io.stderr.write(`vector-logic: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { values, positionals: [command, ...positionals] } = parsed;
+  if (values.help || !command) {
+    (values.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+    return values.help ? 0 : 2;
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    io.stderr.write(`vector-logic: unknown command "${command}"\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    const { output, result, text } = await COMMANDS[command](positionals, values, io);
+    if (output !== undefined && values.output) {
+      writeFileSync(values.output, output);
+    }
+    if (values.json) {
+      const report = { command, ...result };
+      if (output !== undefined) {
+        // Inline the result only when it was not written to a file
+        report[values.output ? 'file' : 'output'] = values.output || output;
+      }
+      io.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else if (output !== undefined && !values.output) {
+      io.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    } else {
+      io.stdout.write(`${text}${values.output ? ` → ${values.output}` : ''}\n`);
+    }
+    return 0;
+  } catch (error) {
+    io.stderr.write(`vector-logic: ${error.message}\n`);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
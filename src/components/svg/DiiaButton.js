@@ -7,6 +7,8 @@
  * @version 1.0.0
  */
 
+/* global SvgIds, Escape, DiiaTokens */
+
 /**
  * Generate Diia Button SVG
  * 
@@ -16,7 +18,9 @@
  * @param {number} [options.height=48] - Button height
  * @param {string} [options.variant='primary'] - 'primary' | 'secondary' | 'outline'
  * @param {boolean} [options.disabled=false] - Disabled state
- * @param {string} [options.id='diia-btn'] - Unique button ID
+ * @param {string} [options.theme='light'] - Token theme for colors and type
+ * @param {string} [options.id] - Unique button ID, also prefixes the defs IDs
+ *   (default: "diia-btn-" + hash of the other options, so different buttons never share defs)
  * @returns {string} SVG markup
  */
 function generateDiiaButton({
@@ -25,33 +29,45 @@ function generateDiiaButton({
   height = 48,
   variant = 'primary',
   disabled = false,
-  id = 'diia-btn'
+  theme = 'light',
+  id
 } = {}) {
+  if (id === undefined) {
+    id = SvgIds.scope('diia-btn', JSON.stringify([text, width, height, variant, disabled]));
+  } else {
+    SvgIds.validatePrefix(id);
+  }
+  const shadowId = `${id}-shadow`;
+  const rippleId = `${id}-ripple`;
+  const tokens = DiiaTokens.resolve(theme);
+  const colors = tokens.colors;
+
   // Variant styles
   const variants = {
     primary: {
-      fill: disabled ? '#D1D5DB' : '#67C3F3',
-      textColor: '#FFFFFF',
-      hoverFill: '#4BA3D3',
-      activeFill: '#3893C3'
+      fill: disabled ? colors.disabled : colors.primary,
+      textColor: colors.textInverse,
+      hoverFill: colors.primaryDark,
+      activeFill: colors.primaryPressed
     },
     secondary: {
-      fill: disabled ? '#F3F4F6' : '#E2ECF4',
-      textColor: disabled ? '#9CA3AF' : '#67C3F3',
-      hoverFill: '#D3E4F0',
-      activeFill: '#C3D4E0'
+      fill: disabled ? colors.disabledSurface : colors.background,
+      textColor: disabled ? colors.onDisabled : colors.primary,
+      hoverFill: colors.backgroundHover,
+      activeFill: colors.backgroundPressed
     },
     outline: {
       fill: 'transparent',
-      textColor: disabled ? '#9CA3AF' : '#67C3F3',
-      stroke: disabled ? '#D1D5DB' : '#67C3F3',
-      hoverFill: 'rgba(103, 195, 243, 0.1)',
-      activeFill: 'rgba(103, 195, 243, 0.2)'
+      textColor: disabled ? colors.onDisabled : colors.primary,
+      stroke: disabled ? colors.disabled : colors.primary,
+      hoverFill: colors.primaryTint,
+      activeFill: colors.primaryTintStrong
     }
   };
   
   const style = variants[variant] || variants.primary;
-  const borderRadius = 12;
+  const borderRadius = tokens.button.radius;
+  const transition = `${tokens.animation.duration.base / 1000}s ${tokens.animation.easing.easeInOut}`;
   
   return `
 <svg 
@@ -62,18 +78,18 @@ function generateDiiaButton({
   class="diia-button diia-button--${variant} ${disabled ? 'diia-button--disabled' : ''}"
   role="button"
   tabindex="${disabled ? '-1' : '0'}"
-  aria-label="${text}"
+  aria-label="${Escape.xmlAttr(text)}"
   aria-disabled="${disabled}"
   data-button-id="${id}"
 >
   <defs>
     <!-- Drop shadow -->
-    <filter id="${id}-shadow">
+    <filter id="${shadowId}">
       <feDropShadow dx="0" dy="2" stdDeviation="4" flood-opacity="0.1"/>
     </filter>
     
     <!-- Ripple effect (activated via JavaScript) -->
-    <radialGradient id="${id}-ripple">
+    <radialGradient id="${rippleId}">
       <stop offset="0%" stop-color="white" stop-opacity="0.4"/>
       <stop offset="100%" stop-color="white" stop-opacity="0"/>
     </radialGradient>
@@ -88,7 +104,7 @@ function generateDiiaButton({
     rx="${borderRadius}"
     fill="${style.fill}"
     ${style.stroke ? `stroke="${style.stroke}" stroke-width="2"` : ''}
-    filter="${disabled ? 'none' : `url(#${id}-shadow)`}"
+    filter="${disabled ? 'none' : `url(#${shadowId})`}"
     class="diia-button__bg"
   />
   
@@ -126,7 +142,7 @@ function generateDiiaButton({
     cx="${width / 2}" 
     cy="${height / 2}" 
     r="0"
-    fill="url(#${id}-ripple)"
+    fill="url(#${rippleId})"
     class="diia-button__ripple"
   />
   ` : ''}
@@ -137,13 +153,13 @@ function generateDiiaButton({
     y="${height / 2 + 1}" 
     text-anchor="middle"
     dominant-baseline="middle"
-    font-family="e-Ukraine, Inter, sans-serif" 
-    font-size="14" 
-    font-weight="600"
+    font-family="${tokens.fontFamily.primary}" 
+    font-size="${tokens.fontSize.base}" 
+    font-weight="${tokens.fontWeight.semibold}"
     fill="${style.textColor}"
     pointer-events="none"
     class="diia-button__text"
-  >${text}</text>
+  >${Escape.xmlText(text)}</text>
   
   <style>
     /* Button transitions */
@@ -151,7 +167,7 @@ function generateDiiaButton({
     .diia-button__hover,
     .diia-button__active,
     .diia-button__text {
-      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      transition: all ${transition};
     }
     
     /* Hover state */
@@ -166,7 +182,7 @@ function generateDiiaButton({
     
     /* Focus state (keyboard navigation) */
     .diia-button:focus {
-      outline: 2px solid #67C3F3;
+      outline: 2px solid ${colors.primary};
       outline-offset: 2px;
     }
     
@@ -7,13 +7,16 @@
  * @version 1.0.0
  */
 
+/* global SvgIds, DiiaTokens */
+
 /**
  * Generate Diia Logo SVG
  * 
  * @param {Object} options - Logo options
  * @param {number} [options.width=200] - Logo width
  * @param {number} [options.height=40] - Logo height
- * @param {string} [options.color='#67C3F3'] - Logo color
+ * @param {string} [options.color] - Logo color (default: the theme's primary)
+ * @param {string} [options.theme='light'] - Token theme
  * @param {boolean} [options.animated=false] - Enable hover animation
  * @param {string} [options.className=''] - Additional CSS classes
  * @returns {string} SVG markup
@@ -21,28 +24,34 @@
 function generateDiiaLogo({
   width = 200,
   height = 40,
-  color = '#67C3F3',
+  color,
   animated = false,
-  className = ''
+  className = '',
+  theme = 'light'
 } = {}) {
+  const tokens = DiiaTokens.resolve(theme);
+  color = color || tokens.colors.primary;
   const animationStyle = animated ? `
     <style>
       .diia-logo-text {
-        transition: fill 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        transition: fill ${tokens.animation.duration.base / 1000}s ${tokens.animation.easing.easeInOut};
       }
       .diia-logo:hover .diia-logo-text {
-        fill: #4BA3D3;
+        fill: ${tokens.colors.primaryDark};
       }
       .diia-logo:hover .diia-logo-glow {
         opacity: 1;
       }
       .diia-logo-glow {
         opacity: 0;
-        transition: opacity 0.3s ease;
+        transition: opacity ${tokens.animation.duration.base / 1000}s ${tokens.animation.easing.ease};
       }
     </style>
   ` : '';
   
+  // Gradient depends on color: logos in different colors must not share it
+  const gradientId = SvgIds.scope('diia-logo-gradient', color);
+  
   return `
 <svg 
   width="${width}" 
@@ -64,7 +73,7 @@ function generateDiiaLogo({
     </filter>
     
     <!-- Gradient for premium look -->
-    <linearGradient id="diia-logo-gradient" x1="0%" y1="0%" x2="100%" y2="100%">
+    <linearGradient id="${gradientId}" x1="0%" y1="0%" x2="100%" y2="100%">
       <stop offset="0%" stop-color="${color}" stop-opacity="1"/>
       <stop offset="100%" stop-color="${color}" stop-opacity="0.8"/>
     </linearGradient>
@@ -76,10 +85,10 @@ function generateDiiaLogo({
   <text 
     x="0" 
     y="30" 
-    font-family="e-Ukraine, Inter, sans-serif" 
-    font-size="32" 
-    font-weight="700"
-    fill="url(#diia-logo-gradient)"
+    font-family="${tokens.fontFamily.primary}" 
+    font-size="${tokens.fontSize.xxl}" 
+    font-weight="${tokens.fontWeight.bold}"
+    fill="url(#${gradientId})"
     filter="url(#diia-logo-glow)"
     class="diia-logo-glow"
   >Дія</text>
@@ -88,9 +97,9 @@ function generateDiiaLogo({
   <text 
     x="0" 
     y="30" 
-    font-family="e-Ukraine, Inter, sans-serif" 
-    font-size="32" 
-    font-weight="700"
+    font-family="${tokens.fontFamily.primary}" 
+    font-size="${tokens.fontSize.xxl}" 
+    font-weight="${tokens.fontWeight.bold}"
     fill="${color}"
     class="diia-logo-text"
   >Дія</text>
@@ -101,7 +110,7 @@ function generateDiiaLogo({
     y="38" 
     font-family="Inter, sans-serif" 
     font-size="6" 
-    fill="#999"
+    fill="${tokens.colors.textTertiary}"
     opacity="0.7"
   >Держава у смартфоні</text>
 </svg>
@@ -124,7 +133,6 @@ class DiiaLogo {
     this.options = {
       width: 200,
       height: 40,
-      color: '#67C3F3',
       animated: false,
       className: '',
       ...options
@@ -3,6 +3,8 @@
  * Правильний розрахунок LLM токенів
  */
 
+/* global DiiaTokens, SceneGraph, VectorRenderer, ReactNativeExporter, SwiftUIExporter, ComposeExporter, VectorDrawableExporter, FlutterExporter, WebComponentExporter, LottieExporter, PDFWriter, ZipWriter, ExportVerifier, TokenEstimator, getDiiaCSSVariables */
+
 class ExportEngine {
   constructor() {
     this.vectorRenderer = null;
@@ -12,18 +14,353 @@ class ExportEngine {
     this.vectorRenderer = renderer;
   }
   
-  toReactNative(props = {}) {
-    return `import React from 'react';\nimport { View, Text, TouchableOpacity, StyleSheet } from 'react-native';\nimport Svg, { Rect, Path, Text as SvgText, G } from 'react-native-svg';\n\nconst DiiaUploadScreen = () => {\n  return (\n    <View style={styles.container}>\n      <Svg width={360} height={680} viewBox="0 0 360 680">\n        <Rect x={8} y={16} width={344} height={648} rx={24} fill="white" />\n        <G transform="translate(0, 32)">\n          <SvgText x={16} y={42} fontFamily="e-Ukraine" fontWeight="bold" fontSize={18} fill="#111827">\n            ${props.title || 'Завантаження документів'}\n          </SvgText>\n          <SvgText x={16} y={70} fontFamily="e-Ukraine" fontSize={14} fill="#374151">\n            ${props.description || 'Додайте необхідні документи'}\n          </SvgText>\n          <Rect x={16} y={94} width={328} height={120} rx={16} fill="#F5F8FA" />\n          <Rect x={16} y={94} width={328} height={120} rx={16} fill="none" stroke="#D1D5DB" strokeWidth={2} strokeDasharray="8 8" />\n          <Rect x={16} y={246} width={328} height={56} rx={16} fill="#000000" />\n          <SvgText x={180} y={280} textAnchor="middle" fontFamily="e-Ukraine" fontWeight="600" fontSize={18} fill="#FFFFFF">\n            Далі\n          </SvgText>\n        </G>\n      </Svg>\n    </View>\n  );\n};\n\nconst styles = StyleSheet.create({\n  container: {\n    flex: 1,\n    backgroundColor: '#E2ECF4',\n  },\n});\n\nexport default DiiaUploadScreen;`;
+  /**
+   * Design tokens of the active theme (the vector renderer's, light by default)
+   * @returns {Object} Design tokens
+   */
+  getTokens() {
+    return this.vectorRenderer ? this.vectorRenderer.tokens : DiiaTokens.resolve();
+  }
+  
+  /**
+   * Semantic colors of the active theme
+   * @returns {Object} Color tokens
+   */
+  getColors() {
+    return this.getTokens().colors;
+  }
+  
+  /**
+   * Lay out a screen for export, with the vector renderer when one is set
+   * (same layout engine and tokens as the preview)
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {Scene} Scene graph
+   */
+  buildScene(props = {}, schema = 'upload-screen') {
+    return this.vectorRenderer
+      ? this.vectorRenderer.buildScene(schema, props)
+      : SceneGraph.build(schema, props, { tokens: this.getTokens() });
+  }
+  
+  /**
+   * Component name for a scene ("upload-screen" -> "DiiaUploadScreen")
+   * @private
+   * @param {Scene} scene - Scene
+   * @returns {string} PascalCase type name
+   */
+  _componentName(scene) {
+    const name = String(scene.name || 'screen').split(/[^a-z0-9]+/i).filter(Boolean)
+      .map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+    return name.startsWith('Diia') ? name : `Diia${name}`;
+  }
+  
+  /**
+   * Security pattern strokes of a pattern node (the vector renderer's geometry)
+   * @private
+   * @param {SceneNode} node - Pattern node
+   * @returns {{paths: string[], strokeWidth: number, linecap?: string}} Stroked path data relative to the node
+   */
+  _patternGeometry(node) {
+    return (this.vectorRenderer || new VectorRenderer()).getPatternGeometry(node.width, node.height, 1, node.kind);
+  }
+  
+  /**
+   * React Native component drawing a screen with react-native-svg
+   * (typed props, token imports, one component per reusable group)
+   * @param {Object} [props={}] - Screen props (the component's defaults)
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} TSX module source
+   * @see ReactNativeExporter.transpile
+   */
+  toReactNative(props = {}, schema = 'upload-screen') {
+    const scene = this.buildScene(props, schema);
+    return ReactNativeExporter.transpile(scene, {
+      name: this._componentName(scene),
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
+  }
+  
+  /**
+   * Tokens module imported by toReactNative() components (./diia-tokens)
+   * @returns {string} TypeScript source
+   */
+  toReactNativeTokens() {
+    return ReactNativeExporter.tokensModule(this.getTokens());
+  }
+  
+  /**
+   * SwiftUI view drawing a screen: stacks where the layout flows, a
+   * top-leading ZStack of offset views elsewhere
+   * @param {Object} [props={}] - Screen props (the view's defaults)
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} Swift source
+   * @see SwiftUIExporter.transpile
+   */
+  toSwiftUI(props = {}, schema = 'upload-screen') {
+    const scene = this.buildScene(props, schema);
+    return SwiftUIExporter.transpile(scene, {
+      name: this._componentName(scene),
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
+  }
+  
+  /**
+   * Color extension used by toSwiftUI() views (DiiaColors.swift)
+   * @returns {string} Swift source
+   */
+  toSwiftUIColors() {
+    return SwiftUIExporter.colorExtension(this.getTokens());
+  }
+  
+  /**
+   * Jetpack Compose screen: Columns and Rows where the layout flows, a Box of
+   * offset composables elsewhere
+   * @param {Object} [props={}] - Screen props (the function's defaults)
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} Kotlin source
+   * @see ComposeExporter.transpile
+   */
+  toCompose(props = {}, schema = 'upload-screen') {
+    const scene = this.buildScene(props, schema);
+    return ComposeExporter.transpile(scene, {
+      name: this._componentName(scene),
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
+  }
+  
+  /**
+   * Color object used by toCompose() screens (DiiaColors.kt)
+   * @returns {string} Kotlin source
+   */
+  toComposeColors() {
+    return ComposeExporter.colorObject(this.getTokens());
+  }
+  
+  /**
+   * Android VectorDrawable of a screen, or of one node as an icon or
+   * illustration (text and images are left out)
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @param {string} [id] - Only draw the node with this schema ID
+   * @returns {string} VectorDrawable XML
+   * @see VectorDrawableExporter.fromScene
+   */
+  toVectorDrawable(props = {}, schema = 'upload-screen', id) {
+    return VectorDrawableExporter.fromScene(this.buildScene(props, schema), {
+      id,
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
+  }
+  
+  /**
+   * Flutter widget drawing a screen: a CustomPainter for the shapes under a
+   * widget tree (Column, Row, Container, Text) for text and semantics
+   * @param {Object} [props={}] - Screen props (the widget's defaults)
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} Dart source
+   * @see FlutterExporter.transpile
+   */
+  toFlutter(props = {}, schema = 'upload-screen') {
+    const scene = this.buildScene(props, schema);
+    return FlutterExporter.transpile(scene, {
+      name: this._componentName(scene),
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
   }
   
-  toSwiftUI(props = {}) {
-    return `import SwiftUI\n\nstruct DiiaUploadScreen: View {\n    var body: some View {\n        ZStack {\n            Color(red: 0.886, green: 0.925, blue: 0.957)\n                .ignoresSafeArea()\n            \n            VStack(spacing: 0) {\n                VStack(alignment: .leading, spacing: 8) {\n                    Text("${props.title || 'Завантаження документів'}")\n                        .font(.system(size: 18, weight: .bold))\n                        .foregroundColor(Color(red: 0.067, green: 0.094, blue: 0.153))\n                    \n                    Text("${props.description || 'Додайте необхідні документи'}")\n                        .font(.system(size: 14))\n                        .foregroundColor(Color(red: 0.216, green: 0.255, blue: 0.318))\n                }\n                .padding(.horizontal, 16)\n                .frame(maxWidth: .infinity, alignment: .leading)\n                \n                Spacer().frame(height: 24)\n                \n                RoundedRectangle(cornerRadius: 16)\n                    .stroke(style: StrokeStyle(lineWidth: 2, dash: [8, 8]))\n                    .foregroundColor(Color(red: 0.820, green: 0.835, blue: 0.863))\n                    .background(\n                        RoundedRectangle(cornerRadius: 16)\n                            .fill(Color(red: 0.961, green: 0.973, blue: 0.980))\n                    )\n                    .frame(height: 120)\n                    .overlay(\n                        Text("Додати файл")\n                            .font(.system(size: 16))\n                            .foregroundColor(Color(red: 0.420, green: 0.451, blue: 0.502))\n                    )\n                    .padding(.horizontal, 16)\n                \n                Spacer()\n                \n                Button(action: {}) {\n                    Text("Далі")\n                        .font(.system(size: 18, weight: .semibold))\n                        .foregroundColor(.white)\n                        .frame(maxWidth: .infinity)\n                        .frame(height: 56)\n                        .background(Color.black)\n                        .cornerRadius(16)\n                }\n                .padding(.horizontal, 16)\n                .padding(.bottom, 16)\n            }\n            .frame(maxWidth: 360, maxHeight: 680)\n            .background(Color.white)\n            .cornerRadius(24)\n            .padding(8)\n        }\n    }\n}`;
+  /**
+   * Tokens class imported by toFlutter() widgets (diia_tokens.dart)
+   * @returns {string} Dart source
+   */
+  toFlutterTokens() {
+    return FlutterExporter.tokensClass(this.getTokens());
   }
   
-  toPDFInstructions(props = {}) {
-    return `PDF Generation Instructions (PostScript-like):\n    \n% Define page\nnewpath\n0 0 360 680 rect\n0.886 0.925 0.957 setrgbcolor fill\n\n% Card background\nnewpath\n8 16 344 648 24 roundrect\n1 1 1 setrgbcolor fill\n\n% Title\n/e-Ukraine findfont 18 scalefont setfont\n0.067 0.094 0.153 setrgbcolor\n16 642 moveto\n(${props.title || 'Завантаження документів'}) show\n\n% Description\n/e-Ukraine findfont 14 scalefont setfont\n0.216 0.255 0.318 setrgbcolor\n16 622 moveto\n(${props.description || 'Додайте необхідні документи'}) show\n\n% Upload zone (dashed rectangle)\nnewpath\n16 502 328 120 16 roundrect\n[8 8] 0 setdash\n0.820 0.835 0.863 setrgbcolor\n2 setlinewidth stroke\n\n% Button\nnewpath\n16 246 328 56 16 roundrect\n0 0 0 setrgbcolor fill\n\nshowpage`;
+  /**
+   * Standalone custom element of a screen: the SVG and its accessibility
+   * layer in Shadow DOM, props as reflected attributes, semantic buttons
+   * dispatching CustomEvents named after their node IDs
+   * @param {Object} [props={}] - Screen props (the element's defaults)
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} JavaScript module source
+   * @see WebComponentExporter.fromScene
+   */
+  toWebComponent(props = {}, schema = 'upload-screen') {
+    const renderer = this.vectorRenderer || new VectorRenderer();
+    // Own defs per instance: a shadow root cannot see a page-level sprite
+    const svg = renderer.renderSchema(schema, props, 1, { shareDefs: false });
+    const a11y = renderer.renderA11yHTML(renderer.generateA11yLayer(props, 1, schema));
+    return WebComponentExporter.fromScene(this.buildScene(props, schema), {
+      markup: renderer.wrapWithA11y(svg, a11y)
+    });
   }
   
+  /**
+   * Lottie (Bodymovin) animation of a screen: shape and text layers animated
+   * by a timeline of hologram tilt, button ripples, background particles and
+   * node property tracks
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @param {Object} [timeline] - Tracks, duration and fps (default: LottieExporter.defaultTimeline)
+   * @returns {string} Lottie JSON
+   * @see LottieExporter.fromScene
+   */
+  toLottie(props = {}, schema = 'upload-screen', timeline) {
+    const scene = this.buildScene(props, schema);
+    return JSON.stringify(LottieExporter.fromScene(scene, {
+      timeline: timeline || LottieExporter.defaultTimeline(scene),
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    }));
+  }
+  
+  /**
+   * One-page PDF of a screen, vector throughout: shapes, text in the standard
+   * fonts (Cyrillic included), gradients, transparency and security patterns
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} PDF file contents (ASCII)
+   * @see PDFWriter.fromScene
+   */
+  toPDF(props = {}, schema = 'upload-screen') {
+    return PDFWriter.fromScene(this.buildScene(props, schema), {
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
+  }
+  
+  /**
+   * Encapsulated PostScript of a screen
+   * PostScript has no transparency: translucent layers and gradients
+   * (security patterns, the hologram) are left out.
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} EPS document
+   * @see PDFWriter.epsFromScene
+   */
+  toEPS(props = {}, schema = 'upload-screen') {
+    return PDFWriter.epsFromScene(this.buildScene(props, schema), {
+      tokens: this.getTokens(),
+      pattern: (node) => this._patternGeometry(node)
+    });
+  }
+  
+  /**
+   * @deprecated Use toEPS for PostScript or toPDF for a PDF file
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {string} EPS document
+   */
+  toPDFInstructions(props = {}, schema = 'upload-screen') {
+    return this.toEPS(props, schema);
+  }
+
+  /**
+   * Every export of a screen as bundle files: the SVG, each code target next
+   * to the token file it imports, the design tokens as CSS and JSON, and a
+   * manifest.json (first) listing each file's size, LLM token estimates and
+   * SHA-256, with hashes of the schema, props and tokens it was made from
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @returns {{path: string, target: string, content: string}[]} Bundle files
+   */
+  toBundleFiles(props = {}, schema = 'upload-screen') {
+    const scene = this.buildScene(props, schema);
+    const name = this._componentName(scene);
+    const file = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    const renderer = this.vectorRenderer || new VectorRenderer();
+    const tokens = this.getTokens();
+    const files = [
+      ['svg', `svg/${file}.svg`, renderer.renderSchema(schema, props, 1, { shareDefs: false })],
+      ['react-native', `react-native/${name}.tsx`, this.toReactNative(props, schema)],
+      ['react-native', 'react-native/diia-tokens.ts', this.toReactNativeTokens()],
+      ['swiftui', `swiftui/${name}.swift`, this.toSwiftUI(props, schema)],
+      ['swiftui', 'swiftui/DiiaColors.swift', this.toSwiftUIColors()],
+      ['compose', `compose/${name}.kt`, this.toCompose(props, schema)],
+      ['compose', 'compose/DiiaColors.kt', this.toComposeColors()],
+      ['vector-drawable', `vector-drawable/${file.replace(/-/g, '_')}.xml`, this.toVectorDrawable(props, schema)],
+      ['flutter', `flutter/${file.replace(/-/g, '_')}.dart`, this.toFlutter(props, schema)],
+      ['flutter', 'flutter/diia_tokens.dart', this.toFlutterTokens()],
+      ['web-component', `web-component/${file}.js`, this.toWebComponent(props, schema)],
+      ['lottie', `lottie/${file}.json`, this.toLottie(props, schema)],
+      ['pdf', `pdf/${file}.pdf`, this.toPDF(props, schema)],
+      ['eps', `eps/${file}.eps`, this.toEPS(props, schema)],
+      ['tokens', 'tokens/diia-tokens.css', getDiiaCSSVariables(renderer.theme)],
+      ['tokens', 'tokens/diia-tokens.json', `${JSON.stringify(tokens, null, 2)}\n`]
+    ].map(([target, path, content]) => ({ path, target, content }));
+
+    const estimator = new TokenEstimator();
+    const manifest = {
+      name: scene.name,
+      component: name,
+      theme: renderer.theme,
+      props: scene.props,
+      source: {
+        schema: ZipWriter.sha256(JSON.stringify(SceneGraph.schemaFor(schema))),
+        props: ZipWriter.sha256(JSON.stringify(scene.props)),
+        tokens: ZipWriter.sha256(JSON.stringify(tokens))
+      },
+      files: files.map(({ path, target, content }) => ({
+        path,
+        target,
+        bytes: new TextEncoder().encode(content).length,
+        tokens: estimator.estimateAll(content),
+        sha256: ZipWriter.sha256(content)
+      }))
+    };
+    return [{ path: 'manifest.json', target: 'manifest', content: `${JSON.stringify(manifest, null, 2)}\n` }, ...files];
+  }
+
+  /**
+   * ZIP archive of toBundleFiles(), for a one-click download of every target
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @param {Date} [date] - Modification time of the entries (default 1980-01-01: same screen, same bytes)
+   * @returns {Uint8Array} ZIP file contents
+   * @see ZipWriter.write
+   */
+  toBundle(props = {}, schema = 'upload-screen', date) {
+    return ZipWriter.write(this.toBundleFiles(props, schema), { date });
+  }
+  
+  /**
+   * Read every export of a screen back and compare it with the scene it was
+   * generated from: what each target moved, recolored, retyped or dropped
+   * @param {Object} [props={}] - Screen props
+   * @param {ScreenSchemaDocument|string} [schema='upload-screen'] - Screen document or template name
+   * @param {Object<string, string>} [outputs] - Already generated files by target, to check instead of exporting again
+   * @returns {Object<string, {target: string, ok: boolean, shapes: number, matched: number, mismatches: Object[]}>} Results by target
+   * @see ExportVerifier.verify
+   */
+  verifyExports(props = {}, schema = 'upload-screen', outputs = {}) {
+    const scene = this.buildScene(props, schema);
+    const tokens = this.getTokens();
+    const exports = {
+      svg: () => (this.vectorRenderer || new VectorRenderer()).renderSchema(schema, props, 1, { shareDefs: false }),
+      'react-native': () => this.toReactNative(props, schema),
+      swiftui: () => this.toSwiftUI(props, schema),
+      compose: () => this.toCompose(props, schema),
+      'vector-drawable': () => this.toVectorDrawable(props, schema),
+      flutter: () => this.toFlutter(props, schema),
+      'web-component': () => this.toWebComponent(props, schema),
+      lottie: () => this.toLottie(props, schema),
+      pdf: () => this.toPDF(props, schema),
+      eps: () => this.toEPS(props, schema)
+    };
+    const results = {};
+    Object.keys(exports).forEach((target) => {
+      const content = outputs[target] === undefined ? exports[target]() : outputs[target];
+      results[target] = ExportVerifier.verify(scene, target, content, { tokens });
+    });
+    return results;
+  }
+
   analyzeAIFriendliness(content) {
     const elementCount = (content.match(/<[^>]+>/g) || []).length;
     const classCount = (content.match(/class=/g) || []).length;
@@ -81,12 +418,25 @@ class ExportEngine {
     const vectorOutput = renderers.vector.render(props);
     const domOutput = renderers.dom.render(props);
     const figmaOutput = renderers.figma.render(props);
+    const outputs = {
+      'react-native': this.toReactNative(props),
+      swiftui: this.toSwiftUI(props),
+      compose: this.toCompose(props),
+      'vector-drawable': this.toVectorDrawable(props),
+      flutter: this.toFlutter(props),
+      'web-component': this.toWebComponent(props),
+      lottie: this.toLottie(props),
+      pdf: this.toPDF(props),
+      eps: this.toEPS(props)
+    };
+    const size = (target) => new TextEncoder().encode(outputs[target]).length;
+    const fidelity = this.verifyExports(props, 'upload-screen', outputs);
     
     return {
       payloadSize: {
-        vector: new Blob([vectorOutput]).size,
-        dom: new Blob([domOutput]).size,
-        figma: new Blob([figmaOutput]).size
+        vector: new TextEncoder().encode(vectorOutput).length,
+        dom: new TextEncoder().encode(domOutput).length,
+        figma: new TextEncoder().encode(figmaOutput).length
       },
       aiAnalysis: {
         vector: this.analyzeAIFriendliness(vectorOutput),
@@ -94,9 +444,27 @@ class ExportEngine {
         figma: this.analyzeAIFriendliness(figmaOutput)
       },
       exportFormats: {
-        reactNative: new Blob([this.toReactNative(props)]).size,
-        swiftUI: new Blob([this.toSwiftUI(props)]).size,
-        pdf: new Blob([this.toPDFInstructions(props)]).size
+        reactNative: size('react-native'),
+        swiftUI: size('swiftui'),
+        compose: size('compose'),
+        vectorDrawable: size('vector-drawable'),
+        flutter: size('flutter'),
+        webComponent: size('web-component'),
+        lottie: size('lottie'),
+        pdf: size('pdf'),
+        eps: size('eps')
+      },
+      fidelity: {
+        svg: fidelity.svg,
+        reactNative: fidelity['react-native'],
+        swiftUI: fidelity.swiftui,
+        compose: fidelity.compose,
+        vectorDrawable: fidelity['vector-drawable'],
+        flutter: fidelity.flutter,
+        webComponent: fidelity['web-component'],
+        lottie: fidelity.lottie,
+        pdf: fidelity.pdf,
+        eps: fidelity.eps
       },
       advantages: {
         vector: [
@@ -118,7 +486,25 @@ class ExportEngine {
   }
 }
 
+/**
+ * Export targets and the method producing each
+ * @const {Object<string, string>}
+ */
+ExportEngine.TARGETS = Object.freeze({
+  'react-native': 'toReactNative',
+  swiftui: 'toSwiftUI',
+  pdf: 'toPDF',
+  eps: 'toEPS',
+  compose: 'toCompose',
+  'vector-drawable': 'toVectorDrawable',
+  flutter: 'toFlutter',
+  'web-component': 'toWebComponent',
+  lottie: 'toLottie'
+});
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ExportEngine;
 }
-window.ExportEngine = ExportEngine;
+if (typeof window !== 'undefined') {
+  window.ExportEngine = ExportEngine;
+}
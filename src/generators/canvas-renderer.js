@@ -0,0 +1,595 @@
+/**
+ * Canvas Renderer - Canvas2D backend for screen schema documents
+ *
+ * Paints the same screen description as VectorRenderer onto a
+ * CanvasRenderingContext2D (or OffscreenCanvas): identical layout, tokens,
+ * security patterns and QR codes, but immediate-mode pixels instead of an
+ * SVG string. Use it where a large SVG DOM is too slow (low-end devices,
+ * long document lists) and to benchmark SVG against canvas.
+ *
+ * The context is scaled once, so every node is painted in design units,
+ * exactly like the scene graph. Accessibility stays with the SVG/HTML
+ * layer: a canvas is a single image to assistive technologies.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/* global VectorRenderer, ScreenSchema, SceneGraph, QREncoder, DiiaTokens */
+
+/**
+ * Canvas Renderer Class
+ *
+ * @class
+ * @example
+ * const renderer = new CanvasRenderer({ theme: 'dark' });
+ * renderer.renderDocument(document.querySelector('canvas'), 'diia-passport', {}, 2);
+ */
+class CanvasRenderer {
+  /**
+   * Creates a new CanvasRenderer instance
+   * @constructor
+   * @param {Object} [options={}] - Renderer options
+   * @param {VectorRenderer} [options.vectorRenderer] - Share layout, theme and tokens with an SVG renderer
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Color theme (own renderer only)
+   * @param {Object} [options.tokens] - Token overrides (own renderer only)
+   * @param {Object<string, CanvasImageSource>} [options.images={}] - Decoded images by href for image nodes
+   */
+  constructor(options = {}) {
+    // Layout, tokens and pattern geometry come from the vector backend
+    this.vectorRenderer = options.vectorRenderer || new VectorRenderer(options);
+
+    // Canvas cannot fetch images synchronously: image nodes draw from this map
+    this.images = options.images || {};
+
+    // Statistics
+    this.stats = {
+      rendersCount: 0,
+      lastPaintTime: 0
+    };
+  }
+
+  /**
+   * Check whether the environment can create 2D canvases
+   * @returns {boolean} True if OffscreenCanvas or <canvas> with a 2D context exists
+   */
+  static isSupported() {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return true;
+    }
+    if (typeof document === 'undefined') {
+      return false;
+    }
+    try {
+      return Boolean(document.createElement('canvas').getContext('2d'));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Design tokens of the shared vector renderer (theme + overrides)
+   * @type {Object}
+   */
+  get tokens() {
+    return this.vectorRenderer.tokens;
+  }
+
+  /**
+   * Switch the color theme (shared with the vector renderer)
+   * @param {'light'|'dark'|'high-contrast'} name - Theme name
+   * @throws {RangeError} If the theme is unknown
+   * @returns {void}
+   */
+  setTheme(name) {
+    this.vectorRenderer.setTheme(name);
+  }
+
+  /**
+   * Create a canvas of the given pixel size
+   * OffscreenCanvas when available (workers), a <canvas> element otherwise
+   *
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas
+   * @throws {ReferenceError} If the environment has no canvas
+   */
+  createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    if (typeof document === 'undefined') {
+      throw new ReferenceError('No canvas available: needs OffscreenCanvas or a DOM');
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Smart render method (same input rules as VectorRenderer.render)
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas|CanvasRenderingContext2D} target - Canvas or 2D context
+   * @param {ScreenSchemaDocument|Object} [input={}] - Screen schema or component properties
+   * @param {number} [scale=1] - Scale multiplier
+   * @param {Object} [props={}] - Props for a schema document
+   * @returns {{width: number, height: number}} Painted size in pixels
+   */
+  render(target, input = {}, scale = 1, props = {}) {
+    if (ScreenSchema.isSchema(input)) {
+      return this.renderSchema(target, input, props, scale);
+    }
+    return this.renderSchema(target, this.vectorRenderer._templateFor(input), input, scale);
+  }
+
+  /**
+   * Render a registered document/screen template by name
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas|CanvasRenderingContext2D} target - Canvas or 2D context
+   * @param {string} name - Template name (e.g. 'diia-tax-id')
+   * @param {Object} [props={}] - Template props
+   * @param {number} [scale=1] - Scale multiplier
+   * @returns {{width: number, height: number}} Painted size in pixels
+   * @throws {ReferenceError} If the template is not registered
+   */
+  renderDocument(target, name, props = {}, scale = 1) {
+    return this.renderSchema(target, this.vectorRenderer._getTemplate(name), props, scale);
+  }
+
+  /**
+   * Paint a screen schema document
+   * A canvas target is resized to the screen; a bare context is painted as is
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas|CanvasRenderingContext2D} target - Canvas or 2D context
+   * @param {ScreenSchemaDocument} schema - Screen description
+   * @param {Object} [props={}] - Values for the declared props
+   * @param {number} [scale=1] - Scale multiplier
+   * @returns {{width: number, height: number}} Painted size in pixels
+   * @throws {TypeError} If the target, schema or props are invalid
+   * @throws {RangeError} If scale or schema version is out of bounds
+   * @throws {ReferenceError} If the schema references an unknown token
+   */
+  renderSchema(target, schema, props = {}, scale = 1) {
+    this.vectorRenderer._validateProps(props);
+    this.vectorRenderer._validateScale(scale);
+
+    const start = typeof performance !== 'undefined' ? performance.now() : Date.now();
+    const scene = this.vectorRenderer.buildScene(schema, props || {});
+    const pixelWidth = Math.ceil(scene.width * scale);
+    const pixelHeight = Math.ceil(scene.height * scale);
+
+    let ctx = target;
+    if (target && typeof target.getContext === 'function') {
+      target.width = pixelWidth;
+      target.height = pixelHeight;
+      ctx = target.getContext('2d');
+    }
+    if (!ctx || typeof ctx.fillRect !== 'function') {
+      throw new TypeError('Canvas target must be a canvas or a CanvasRenderingContext2D');
+    }
+
+    const state = { scene, scale };
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    scene.nodes.forEach((node) => this._paintNode(ctx, node, state));
+    ctx.restore();
+
+    this.stats.rendersCount++;
+    this.stats.lastPaintTime = (typeof performance !== 'undefined' ? performance.now() : Date.now()) - start;
+
+    return { width: pixelWidth, height: pixelHeight };
+  }
+
+  /**
+   * Paint a screen onto a new canvas
+   *
+   * @param {ScreenSchemaDocument} schema - Screen description
+   * @param {Object} [props={}] - Values for the declared props
+   * @param {number} [scale=1] - Scale multiplier
+   * @returns {OffscreenCanvas|HTMLCanvasElement} Painted canvas
+   */
+  toCanvas(schema, props = {}, scale = 1) {
+    const canvas = this.createCanvas(1, 1);
+    this.renderSchema(canvas, schema, props, scale);
+    return canvas;
+  }
+
+  /**
+   * Turn a scene paint value into a canvas style
+   * "@id" references become gradients over the node's box
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {*} paint - Scene paint value
+   * @param {SceneNode} box - Painted node (gradient bounding box)
+   * @param {Object} state - Paint state
+   * @returns {string|CanvasGradient|undefined} Style, undefined for no paint
+   */
+  _paint(ctx, paint, box, state) {
+    if (paint === undefined || paint === 'none') {
+      return undefined;
+    }
+    if (typeof paint !== 'string' || !paint.startsWith('@')) {
+      return paint;
+    }
+
+    const def = SceneGraph.def(state.scene, paint);
+    if (!def) {
+      return undefined;
+    }
+    const { tiltX, tiltY } = this.vectorRenderer;
+    const gradient = SceneGraph.gradient(def, this.tokens, { x: tiltX * 0.5, y: tiltY * 0.5 });
+    if (!gradient) {
+      return undefined;
+    }
+
+    // objectBoundingBox units: fractions of the painted box
+    const result = ctx.createLinearGradient(
+      box.x + gradient.x1 * box.width,
+      box.y + gradient.y1 * box.height,
+      box.x + gradient.x2 * box.width,
+      box.y + gradient.y2 * box.height
+    );
+    gradient.stops.forEach((stop) => {
+      result.addColorStop(Math.min(1, Math.max(0, stop.offset)), withOpacity(stop.color, stop.opacity));
+    });
+    return result;
+  }
+
+  /**
+   * Apply a "@id" drop shadow definition to the context
+   * Canvas shadows ignore the transform, so offsets and blur are scaled here
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {string} [filter] - Scene filter value
+   * @param {Object} state - Paint state
+   * @returns {void}
+   */
+  _applyShadow(ctx, filter, state) {
+    const def = SceneGraph.def(state.scene, filter);
+    if (!def || def.type !== 'dropShadow') {
+      return;
+    }
+    ctx.shadowColor = withOpacity(def.color || '#000000', def.opacity);
+    ctx.shadowOffsetX = (def.dx || 0) * state.scale;
+    ctx.shadowOffsetY = (def.dy || 0) * state.scale;
+    // Gaussian stdDeviation σ ≈ shadowBlur / 2
+    ctx.shadowBlur = (def.blur || 0) * 2 * state.scale;
+  }
+
+  /**
+   * Fill and stroke the current path with a node's paint
+   * SVG defaults apply: fill is black unless given, no stroke unless given
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {SceneNode} node - Painted node
+   * @param {Object} state - Paint state
+   * @param {boolean} [fillByDefault=true] - Fill black when no fill is given
+   * @returns {void}
+   */
+  _fillAndStroke(ctx, node, state, fillByDefault = true) {
+    const fill = node.fill === undefined && fillByDefault ? '#000000' : this._paint(ctx, node.fill, node, state);
+    if (fill !== undefined) {
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+    const stroke = this._paint(ctx, node.stroke, node, state);
+    if (stroke !== undefined) {
+      // No shadow under strokes (SVG filters apply to the whole element once)
+      ctx.shadowColor = 'transparent';
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = node.strokeWidth || 1;
+      ctx.setLineDash(node.dash || []);
+      if (node.linecap) ctx.lineCap = node.linecap;
+      if (node.linejoin) ctx.lineJoin = node.linejoin;
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Paint one scene node (recursively for containers)
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {SceneNode} node - Laid out, resolved node
+   * @param {Object} state - Paint state
+   * @returns {void}
+   */
+  _paintNode(ctx, node, state) {
+    ctx.save();
+    if (node.opacity !== undefined) {
+      ctx.globalAlpha *= node.opacity;
+    }
+
+    switch (node.type) {
+      case 'frame':
+      case 'stack':
+      case 'group': {
+        if (node.type !== 'group' && (node.fill !== undefined || node.stroke !== undefined)) {
+          ctx.save();
+          this._applyShadow(ctx, node.filter, state);
+          traceRoundRect(ctx, node.x, node.y, node.width, node.height, node.radius);
+          this._fillAndStroke(ctx, node, state);
+          ctx.restore();
+        }
+        if (node.clip) {
+          const { clip } = node;
+          traceRoundRect(ctx, clip.x, clip.y, clip.width, clip.height, clip.radius);
+          ctx.clip();
+        }
+        node.children.forEach((child) => this._paintNode(ctx, child, state));
+        break;
+      }
+
+      case 'rect':
+        this._applyShadow(ctx, node.filter, state);
+        traceRoundRect(ctx, node.x, node.y, node.width, node.height, node.radius);
+        this._fillAndStroke(ctx, node, state);
+        break;
+
+      case 'circle':
+        ctx.beginPath();
+        ctx.arc(node.x + node.width / 2, node.y + node.height / 2, node.r, 0, Math.PI * 2);
+        this._fillAndStroke(ctx, node, state);
+        break;
+
+      case 'text': {
+        const offset = node.anchor === 'middle' ? node.width / 2 : node.anchor === 'end' ? node.width : 0;
+        ctx.font = `${node.fontWeight || 'normal'} ${node.fontSize}px ${node.fontFamily}`;
+        ctx.textAlign = node.anchor === 'middle' ? 'center' : node.anchor === 'end' ? 'right' : 'left';
+        ctx.textBaseline = 'alphabetic';
+        const fill = node.fill === undefined ? '#000000' : this._paint(ctx, node.fill, node, state);
+        if (fill !== undefined) {
+          ctx.fillStyle = fill;
+          node.lines.forEach((line, i) => ctx.fillText(line, node.x + offset, node.baseline + i * node.lineHeight));
+        }
+        break;
+      }
+
+      case 'path':
+        ctx.translate(node.x, node.y);
+        ctx.beginPath();
+        traceSvgPath(ctx, node.d);
+        this._fillAndStroke(ctx, node, state);
+        break;
+
+      case 'image': {
+        const image = this.images[node.href];
+        if (image) {
+          ctx.drawImage(image, node.x, node.y, node.width, node.height);
+        }
+        break;
+      }
+
+      case 'qr': {
+        const background = this._paint(ctx, node.background, node, state);
+        if (background !== undefined) {
+          ctx.fillStyle = background;
+          ctx.fillRect(node.x, node.y, node.width, node.height);
+        }
+        const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+        ctx.beginPath();
+        traceSvgPath(ctx, QREncoder.toPathData(qr, { x: node.x, y: node.y, moduleSize: node.size / qr.size }));
+        ctx.fillStyle = this._paint(ctx, node.fill, node, state);
+        ctx.fill();
+        break;
+      }
+
+      case 'pattern': {
+        const { paths, strokeWidth, linecap } = this.vectorRenderer.getPatternGeometry(node.width, node.height, 1, node.kind);
+        ctx.translate(node.x, node.y);
+        ctx.globalAlpha *= 0.1;
+        ctx.strokeStyle = this.tokens.colors.pattern;
+        ctx.lineWidth = strokeWidth;
+        ctx.lineCap = linecap || 'butt';
+        ctx.beginPath();
+        paths.forEach((d) => traceSvgPath(ctx, d));
+        ctx.stroke();
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    ctx.restore();
+  }
+}
+
+/**
+ * Apply an opacity to a color (hex colors only; others are returned as is)
+ * @private
+ * @param {string} color - CSS color
+ * @param {number} [opacity] - 0..1
+ * @returns {string} CSS color
+ */
+function withOpacity(color, opacity) {
+  if (opacity === undefined || opacity === 1 || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+    return color;
+  }
+  return DiiaTokens.alpha(color, opacity);
+}
+
+/**
+ * Trace a rounded rectangle (radius clamped like SVG rx)
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} [radius=0] - Corner radius
+ * @returns {void}
+ */
+function traceRoundRect(ctx, x, y, width, height, radius = 0) {
+  const r = Math.max(0, Math.min(radius || 0, width / 2, height / 2));
+  ctx.beginPath();
+  if (r === 0) {
+    ctx.rect(x, y, width, height);
+    return;
+  }
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
+
+/**
+ * Trace SVG path data onto a 2D context (all commands, absolute and relative)
+ * Does not depend on Path2D, which some canvas implementations lack
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {string} d - SVG path data
+ * @returns {void}
+ */
+function traceSvgPath(ctx, d) {
+  const commandRegex = /([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // Last control point, for the smooth S/T commands
+  let cx = 0;
+  let cy = 0;
+  let previous = '';
+  let match;
+
+  while ((match = commandRegex.exec(d)) !== null) {
+    const command = match[1];
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const args = (match[2].match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+    const ox = () => (relative ? x : 0);
+    const oy = () => (relative ? y : 0);
+
+    if (upper === 'Z') {
+      ctx.closePath();
+      x = startX;
+      y = startY;
+      previous = upper;
+      continue;
+    }
+
+    const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7 }[upper];
+    for (let i = 0; i + arity <= args.length; i += arity) {
+      const a = args.slice(i, i + arity);
+      // Extra coordinate pairs after M are implicit L commands
+      const op = upper === 'M' && i > 0 ? 'L' : upper;
+
+      switch (op) {
+        case 'M':
+          x = a[0] + ox();
+          y = a[1] + oy();
+          startX = x;
+          startY = y;
+          ctx.moveTo(x, y);
+          break;
+        case 'L':
+          x = a[0] + ox();
+          y = a[1] + oy();
+          ctx.lineTo(x, y);
+          break;
+        case 'H':
+          x = a[0] + ox();
+          ctx.lineTo(x, y);
+          break;
+        case 'V':
+          y = a[0] + oy();
+          ctx.lineTo(x, y);
+          break;
+        case 'C': {
+          const [x1, y1, x2, y2] = [a[0] + ox(), a[1] + oy(), a[2] + ox(), a[3] + oy()];
+          const [ex, ey] = [a[4] + ox(), a[5] + oy()];
+          ctx.bezierCurveTo(x1, y1, x2, y2, ex, ey);
+          [cx, cy, x, y] = [x2, y2, ex, ey];
+          break;
+        }
+        case 'S': {
+          const smooth = 'CS'.includes(previous);
+          const [x1, y1] = smooth ? [2 * x - cx, 2 * y - cy] : [x, y];
+          const [x2, y2, ex, ey] = [a[0] + ox(), a[1] + oy(), a[2] + ox(), a[3] + oy()];
+          ctx.bezierCurveTo(x1, y1, x2, y2, ex, ey);
+          [cx, cy, x, y] = [x2, y2, ex, ey];
+          break;
+        }
+        case 'Q': {
+          const [x1, y1, ex, ey] = [a[0] + ox(), a[1] + oy(), a[2] + ox(), a[3] + oy()];
+          ctx.quadraticCurveTo(x1, y1, ex, ey);
+          [cx, cy, x, y] = [x1, y1, ex, ey];
+          break;
+        }
+        case 'T': {
+          const smooth = 'QT'.includes(previous);
+          const [x1, y1] = smooth ? [2 * x - cx, 2 * y - cy] : [x, y];
+          const [ex, ey] = [a[0] + ox(), a[1] + oy()];
+          ctx.quadraticCurveTo(x1, y1, ex, ey);
+          [cx, cy, x, y] = [x1, y1, ex, ey];
+          break;
+        }
+        case 'A': {
+          const [ex, ey] = [a[5] + ox(), a[6] + oy()];
+          traceArc(ctx, x, y, a[0], a[1], a[2], a[3], a[4], ex, ey);
+          x = ex;
+          y = ey;
+          break;
+        }
+        default:
+          break;
+      }
+      previous = op;
+    }
+  }
+}
+
+/**
+ * Trace an SVG elliptical arc (endpoint parameterization, SVG 1.1 F.6.5)
+ * @private
+ * @returns {void}
+ */
+function traceArc(ctx, x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+    ctx.lineTo(x2, y2);
+    return;
+  }
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const px = cos * dx + sin * dy;
+  const py = -sin * dx + cos * dy;
+
+  // Scale radii up when the endpoints are too far apart
+  let [a, b] = [Math.abs(rx), Math.abs(ry)];
+  const lambda = (px * px) / (a * a) + (py * py) / (b * b);
+  if (lambda > 1) {
+    a *= Math.sqrt(lambda);
+    b *= Math.sqrt(lambda);
+  }
+
+  const sign = largeArc === sweep ? -1 : 1;
+  const numerator = a * a * b * b - a * a * py * py - b * b * px * px;
+  const k = sign * Math.sqrt(Math.max(0, numerator / (a * a * py * py + b * b * px * px)));
+  const cxp = (k * a * py) / b;
+  const cyp = (-k * b * px) / a;
+  const centerX = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const centerY = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (px - cxp) / a, (py - cyp) / b);
+  let delta = angle((px - cxp) / a, (py - cyp) / b, (-px - cxp) / a, (-py - cyp) / b);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  ctx.ellipse(centerX, centerY, a, b, phi, start, start + delta, !sweep);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CanvasRenderer;
+}
+if (typeof window !== 'undefined') {
+  window.CanvasRenderer = CanvasRenderer;
+}
@@ -0,0 +1,524 @@
+/**
+ * Compose Exporter - Scene graph to a Jetpack Compose screen
+ *
+ * Transpiles a laid out screen (see SceneGraph) into a `@Composable` function:
+ *   - the screen's declared props become parameters, with the exported values
+ *     as defaults; prop-bound text reads (or interpolates) them
+ *   - token-backed colors reference a `DiiaColors` object, which
+ *     colorObject() generates from the active theme's tokens
+ *   - containers whose children follow each other become Column/Row with the
+ *     laid out spacing; anything else is a Box with every child offset to its
+ *     position
+ *
+ * Every composable gets the fixed size of its laid out box (dp; text in sp).
+ * Paths, QR codes and security patterns draw on a Canvas in dp coordinates.
+ * Drop shadows become elevation and font families are left to the app theme.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, Escape */
+
+/**
+ * FontWeight constants for CSS font weights
+ * @const {Object<string, string>}
+ */
+const COMPOSE_WEIGHTS = Object.freeze({
+  bold: 'FontWeight.Bold', 100: 'FontWeight.Thin', 200: 'FontWeight.ExtraLight', 300: 'FontWeight.Light', 500: 'FontWeight.Medium',
+  600: 'FontWeight.SemiBold', 700: 'FontWeight.Bold', 800: 'FontWeight.ExtraBold', 900: 'FontWeight.Black'
+});
+
+/**
+ * Kotlin number literal rounded to 2 decimals ("12", "22.5")
+ * @private
+ * @param {number} value - Number
+ * @returns {string} Literal
+ */
+function composeNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Kotlin Float literal ("12f", "-4.5f")
+ * @private
+ * @param {number} value - Number
+ * @returns {string} Literal
+ */
+function composeFloat(value) {
+  return `${composeNumber(value)}f`;
+}
+
+/**
+ * Double-quoted Kotlin string literal
+ * @private
+ * @param {*} value - Value
+ * @returns {string} Literal
+ */
+function composeString(value) {
+  return `"${Escape.kotlinString(value)}"`;
+}
+
+/**
+ * lowerCamelCase Kotlin identifier ("upload-zone" -> "uploadZone", "user.name" -> "userName")
+ * @private
+ * @param {string} name - Name
+ * @returns {string} Identifier
+ */
+function composeIdentifier(name) {
+  const words = String(name).split(/[^a-z0-9]+/i).filter(Boolean);
+  const identifier = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+  return /^[a-z_]/i.test(identifier) ? identifier : `_${identifier}`;
+}
+
+/**
+ * Kotlin expression for a {{prop}} template ("{{title}}" -> title, "№ {{n}}" -> "№ ${n}")
+ * @private
+ * @param {string} template - Template string
+ * @returns {string} Expression
+ */
+function composeTemplate(template) {
+  const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+  if (single) {
+    return composeIdentifier(single[1]);
+  }
+  const parts = template.split(/\{\{\s*([\w.]+)\s*\}\}/);
+  return `"${parts.map((part, i) => (i % 2 ? `\${${composeIdentifier(part)}}` : Escape.kotlinString(part))).join('')}"`;
+}
+
+/**
+ * Compose Color literal (0xAARRGGBB) for a color value
+ * @private
+ * @param {string} value - Hex or rgb()/rgba() color
+ * @param {number} [opacity] - Extra opacity 0-1
+ * @throws {TypeError} If the value is not a color
+ * @returns {string} Color expression
+ */
+function composeColor(value, opacity) {
+  const color = SceneGraph.color(value);
+  if (!color) {
+    throw new TypeError(`Expected a hex or rgb() color, got "${value}"`);
+  }
+  const alpha = color.a * (opacity === undefined ? 1 : opacity);
+  const hex = [alpha, color.r, color.g, color.b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+  return `Color(0x${hex.toUpperCase()})`;
+}
+
+/**
+ * DiiaColors member for a color token path ("colors.flag.blue" -> "FlagBlue")
+ * @private
+ * @param {string} path - Token path under colors
+ * @returns {string} Member name
+ */
+function composeColorName(path) {
+  const identifier = composeIdentifier(path.replace(/^colors\./, '')).replace(/^_/, '');
+  return identifier[0].toUpperCase() + identifier.slice(1);
+}
+
+const ComposeExporter = Object.freeze({
+  /**
+   * Name of the generated color object
+   * @const {string}
+   */
+  COLORS_OBJECT: 'DiiaColors',
+
+  /**
+   * Transpile a scene into a Kotlin file with one @Composable screen
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.name] - Function name (default from the scene name)
+   * @param {Object} [options.tokens] - Resolved design tokens (hologram gradient colors)
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry (patterns are skipped without it)
+   * @returns {string} Kotlin source
+   * @example
+   * ComposeExporter.transpile(SceneGraph.build('upload-screen'), { name: 'DiiaUploadScreen' });
+   * // @Composable fun DiiaUploadScreen(title: String = "Завантаження документів", ...) { ...
+   */
+  transpile(scene, options = {}) {
+    const dp = (value) => `${composeNumber(value)}.dp`;
+    const f = composeFloat;
+    const functionName = options.name || `Diia${composeIdentifier(String(scene.name || 'screen').replace(/^diia-/, '')).replace(/^./, (c) => c.toUpperCase())}`;
+    const screenProps = new Map(Object.entries(scene.props || {}));
+    const imports = new Set([
+      'androidx.compose.runtime.Composable',
+      'androidx.compose.ui.Modifier',
+      'androidx.compose.foundation.layout.Box',
+      'androidx.compose.foundation.layout.size',
+      'androidx.compose.foundation.background',
+      'androidx.compose.ui.unit.dp'
+    ]);
+    const use = (...names) => names.forEach((name) => imports.add(name));
+
+    // Token-backed colors use the color object, everything else is spelled out
+    const color = (value, token) => {
+      if (token && token.startsWith('colors.') && SceneGraph.color(value)) {
+        return `${ComposeExporter.COLORS_OBJECT}.${composeColorName(token)}`;
+      }
+      use('androidx.compose.ui.graphics.Color');
+      return composeColor(value);
+    };
+    // Solid color or null; gradients go through brush()
+    const solid = (value, token) => (value === undefined || value === 'none' || SceneGraph.def(scene, value) || !SceneGraph.color(value) ? null : color(value, token));
+    const brush = (value) => {
+      const def = SceneGraph.def(scene, value);
+      const gradient = def && options.tokens ? SceneGraph.gradient(def, options.tokens) : null;
+      if (!gradient) {
+        return null;
+      }
+      use('androidx.compose.ui.graphics.Brush', 'androidx.compose.ui.geometry.Offset', 'androidx.compose.ui.graphics.Color');
+      const stops = gradient.stops.map((stop) => `${f(stop.offset)} to ${composeColor(stop.color, stop.opacity)}`);
+      return `Brush.linearGradient(colorStops = arrayOf(${stops.join(', ')}), start = Offset(${f(gradient.x1)} * size.width, ${f(gradient.y1)} * size.height), end = Offset(${f(gradient.x2)} * size.width, ${f(gradient.y2)} * size.height))`;
+    };
+    // Strings read parameters when bound to them
+    const string = (node, kind, value) => {
+      const binding = node.bindings && node.bindings[kind];
+      if (!binding) {
+        return composeString(value);
+      }
+      [...binding.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].forEach(([, prop]) => {
+        if (!screenProps.has(prop)) screenProps.set(prop, '');
+      });
+      return composeTemplate(binding);
+    };
+    const tokenOf = (node, key) => node.tokens && node.tokens[key];
+    const shapeOf = (radius) => {
+      if (!radius) return null;
+      use('androidx.compose.foundation.shape.RoundedCornerShape');
+      return `RoundedCornerShape(${dp(radius)})`;
+    };
+    const stroke = (node, width) => {
+      use('androidx.compose.ui.graphics.drawscope.Stroke');
+      const parts = [`width = ${width}`];
+      if (node.linecap) {
+        use('androidx.compose.ui.graphics.StrokeCap');
+        parts.push(`cap = StrokeCap.${{ round: 'Round', square: 'Square' }[node.linecap] || 'Butt'}`);
+      }
+      if (node.linejoin) {
+        use('androidx.compose.ui.graphics.StrokeJoin');
+        parts.push(`join = StrokeJoin.${{ round: 'Round', bevel: 'Bevel' }[node.linejoin] || 'Miter'}`);
+      }
+      if (node.dash) {
+        use('androidx.compose.ui.graphics.PathEffect');
+        parts.push(`pathEffect = PathEffect.dashPathEffect(floatArrayOf(${node.dash.map((value) => `${dp(value)}.toPx()`).join(', ')}))`);
+      }
+      return `Stroke(${parts.join(', ')})`;
+    };
+    const path = (d, dx, dy) => {
+      use('androidx.compose.ui.graphics.Path');
+      const calls = SceneGraph.pathCommands(d, dx, dy).map(({ command, points }) => {
+        const p = points.map(f);
+        switch (command) {
+          case 'M': return `moveTo(${p.join(', ')})`;
+          case 'L': return `lineTo(${p.join(', ')})`;
+          case 'C': return `cubicTo(${p.join(', ')})`;
+          case 'Q': return `quadraticBezierTo(${p.join(', ')})`;
+          default: return 'close()';
+        }
+      });
+      return `Path().apply { ${calls.join('; ')} }`;
+    };
+    // Canvas drawing in dp coordinates
+    const canvas = (modifier, statements, pad) => {
+      use('androidx.compose.foundation.Canvas', 'androidx.compose.ui.graphics.drawscope.scale', 'androidx.compose.ui.geometry.Offset');
+      return [
+        `${pad}Canvas(modifier = ${modifier}) {`,
+        `${pad}    scale(density, Offset.Zero) {`,
+        ...statements.map((statement) => `${pad}        ${statement}`),
+        `${pad}    }`,
+        `${pad}}`
+      ];
+    };
+    // Modifier chain, one call per line
+    const chain = (calls, pad) => (calls.length ? `Modifier\n${calls.map((call) => `${pad}    ${call}`).join('\n')}` : 'Modifier');
+
+    // Position (absolute children only), size, opacity and semantics
+    const box = (node, origin, flow, before = []) => {
+      const calls = [...before];
+      if (!flow && (node.x !== origin.x || node.y !== origin.y)) {
+        use('androidx.compose.foundation.layout.offset');
+        calls.push(`.offset(x = ${dp(node.x - origin.x)}, y = ${dp(node.y - origin.y)})`);
+      }
+      calls.push(`.size(width = ${dp(node.width)}, height = ${dp(node.height)})`);
+      if (node.opacity !== undefined) {
+        use('androidx.compose.ui.draw.alpha');
+        calls.push(`.alpha(${f(node.opacity)})`);
+      }
+      return calls;
+    };
+    const semantics = (node) => {
+      if (node.hidden) {
+        use('androidx.compose.ui.semantics.clearAndSetSemantics');
+        return ['.clearAndSetSemantics { }'];
+      }
+      const statements = [];
+      const button = node.semantic && node.semantic.type === 'button';
+      const label = button && node.semantic.label !== undefined ? string(node, 'semanticLabel', node.semantic.label)
+        : node.label !== undefined ? string(node, 'label', node.label) : undefined;
+      if (label !== undefined) {
+        use('androidx.compose.ui.semantics.contentDescription');
+        statements.push(`contentDescription = ${label}`);
+      }
+      if (button) {
+        use('androidx.compose.ui.semantics.role', 'androidx.compose.ui.semantics.Role');
+        statements.push('role = Role.Button');
+      }
+      if (node.semantic && /^h[1-6]$/.test(node.semantic.type)) {
+        use('androidx.compose.ui.semantics.heading');
+        statements.push('heading()');
+      }
+      if (!statements.length) {
+        return [];
+      }
+      use('androidx.compose.ui.semantics.semantics');
+      return [`.semantics${button ? '(mergeDescendants = true)' : ''} { ${statements.join('; ')} }`];
+    };
+    // Shadow, clip, fill and border of a box
+    const decorations = (node, shape) => {
+      const calls = [];
+      const shadow = SceneGraph.def(scene, node.filter);
+      if (shadow && shadow.type === 'dropShadow') {
+        use('androidx.compose.ui.draw.shadow');
+        calls.push(`.shadow(elevation = ${dp(shadow.blur || 0)}${shape ? `, shape = ${shape}` : ''})`);
+      }
+      const fill = solid(node.fill, tokenOf(node, 'fill'));
+      const gradient = brush(node.fill);
+      if (fill) {
+        calls.push(`.background(${fill}${shape ? `, ${shape}` : ''})`);
+      } else if (gradient) {
+        use('androidx.compose.ui.draw.drawBehind', 'androidx.compose.ui.geometry.CornerRadius');
+        calls.push(`.drawBehind { drawRoundRect(brush = ${gradient}, cornerRadius = CornerRadius(${dp(node.radius || 0)}.toPx())) }`);
+      }
+      const line = solid(node.stroke, tokenOf(node, 'stroke'));
+      if (line && node.dash) {
+        use('androidx.compose.ui.draw.drawBehind', 'androidx.compose.ui.geometry.CornerRadius');
+        calls.push(`.drawBehind { drawRoundRect(color = ${line}, cornerRadius = CornerRadius(${dp(node.radius || 0)}.toPx()), style = ${stroke(node, `${dp(node.strokeWidth || 1)}.toPx()`)}) }`);
+      } else if (line) {
+        use('androidx.compose.foundation.border');
+        calls.push(`.border(width = ${dp(node.strokeWidth || 1)}, color = ${line}${shape ? `, shape = ${shape}` : ''})`);
+      }
+      return calls;
+    };
+
+    const render = (node, origin, pad, flow = false, before = []) => {
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          const { clip } = node;
+          const shape = node.type !== 'group' ? shapeOf(node.radius) : null;
+          const clipsBox = clip && clip.x === node.x && clip.y === node.y && clip.width === node.width && clip.height === node.height;
+          const layout = clip && !clipsBox ? null : SceneGraph.flow(node);
+          const calls = [...box(node, origin, flow, before), ...(node.type !== 'group' ? decorations(node, shape) : [])];
+          if (clipsBox) {
+            use('androidx.compose.ui.draw.clip');
+            calls.push(`.clip(${shapeOf(clip.radius) || 'RectangleShape'})`);
+            if (!clip.radius) use('androidx.compose.ui.graphics.RectangleShape');
+          }
+          calls.push(...semantics(node));
+
+          if (layout) {
+            const vertical = layout.axis === 'vertical';
+            const spacing = layout.gaps.every((gap) => Math.abs(gap - layout.gaps[0]) < 0.01) ? layout.gaps[0] : 0;
+            const start = vertical ? Math.min(...layout.children.map((child) => child.x)) : layout.children[0].x;
+            const top = vertical ? layout.children[0].y : Math.min(...layout.children.map((child) => child.y));
+            const insets = [];
+            if (start - node.x > 0.01) insets.push(`start = ${dp(start - node.x)}`);
+            if (top - node.y > 0.01) insets.push(`top = ${dp(top - node.y)}`);
+            if (insets.length) {
+              use('androidx.compose.foundation.layout.padding');
+              calls.push(`.padding(${insets.join(', ')})`);
+            }
+            if (layout.alignment !== 'start') {
+              // Align children within the widest one, not within the padded box
+              use('androidx.compose.foundation.layout.wrapContentSize', 'androidx.compose.ui.Alignment');
+              calls.push('.wrapContentSize(Alignment.TopStart)');
+            }
+            const container = vertical ? 'Column' : 'Row';
+            use(`androidx.compose.foundation.layout.${container}`, 'androidx.compose.foundation.layout.Arrangement', 'androidx.compose.ui.Alignment');
+            const alignment = vertical
+              ? `horizontalAlignment = Alignment.${{ start: 'Start', center: 'CenterHorizontally', end: 'End' }[layout.alignment]}`
+              : `verticalAlignment = Alignment.${{ start: 'Top', center: 'CenterVertically', end: 'Bottom' }[layout.alignment]}`;
+            const arrangement = `${vertical ? 'verticalArrangement' : 'horizontalArrangement'} = Arrangement.${spacing ? `spacedBy(${dp(spacing)})` : vertical ? 'Top' : 'Start'}`;
+            const children = layout.children.flatMap((child, i) => {
+              const gap = i ? layout.gaps[i - 1] - spacing : 0;
+              const padding = [];
+              if (gap > 0.01) padding.push(`${vertical ? 'top' : 'start'} = ${dp(gap)}`);
+              if (layout.offsets[i] > 0.01) padding.push(`${vertical ? 'start' : 'top'} = ${dp(layout.offsets[i])}`);
+              if (padding.length) use('androidx.compose.foundation.layout.padding');
+              return render(child, node, `${pad}    `, true, padding.length ? [`.padding(${padding.join(', ')})`] : []);
+            });
+            return [
+              `${pad}${container}(`,
+              `${pad}    modifier = ${chain(calls, `${pad}    `)},`,
+              `${pad}    ${arrangement},`,
+              `${pad}    ${alignment}`,
+              `${pad}) {`,
+              ...children,
+              `${pad}}`
+            ];
+          }
+
+          let children;
+          if (clip && !clipsBox) {
+            // Clip to the enclosing frame: an inner box at the clip rectangle
+            use('androidx.compose.ui.draw.clip', 'androidx.compose.foundation.layout.offset');
+            const inner = chain([
+              `.offset(x = ${dp(clip.x - node.x)}, y = ${dp(clip.y - node.y)})`,
+              `.size(width = ${dp(clip.width)}, height = ${dp(clip.height)})`,
+              `.clip(${shapeOf(clip.radius) || 'RectangleShape'})`
+            ], `${pad}    `);
+            if (!clip.radius) use('androidx.compose.ui.graphics.RectangleShape');
+            children = [`${pad}    Box(modifier = ${inner}) {`, ...node.children.flatMap((child) => render(child, clip, `${pad}        `)), `${pad}    }`];
+          } else {
+            children = node.children.flatMap((child) => render(child, node, `${pad}    `));
+          }
+          return children.length
+            ? [`${pad}Box(modifier = ${chain(calls, pad)}) {`, ...children, `${pad}}`]
+            : [`${pad}Box(modifier = ${chain(calls, pad)})`];
+        }
+
+        case 'rect':
+          return [`${pad}Box(modifier = ${chain([...box(node, origin, flow, before), ...decorations(node, shapeOf(node.radius)), ...semantics(node)], pad)})`];
+
+        case 'circle': {
+          use('androidx.compose.foundation.shape.CircleShape');
+          const calls = box(node, origin, flow, before);
+          if (node.r * 2 !== node.width || node.r * 2 !== node.height) {
+            use('androidx.compose.foundation.layout.wrapContentSize', 'androidx.compose.ui.Alignment');
+            calls.push('.wrapContentSize(Alignment.Center)', `.size(${dp(node.r * 2)})`);
+          }
+          const fill = solid(node.fill, tokenOf(node, 'fill'));
+          if (fill) calls.push(`.background(${fill}, CircleShape)`);
+          const line = solid(node.stroke, tokenOf(node, 'stroke'));
+          if (line) {
+            use('androidx.compose.foundation.border');
+            calls.push(`.border(width = ${dp(node.strokeWidth || 1)}, color = ${line}, shape = CircleShape)`);
+          }
+          return [`${pad}Box(modifier = ${chain([...calls, ...semantics(node)], pad)})`];
+        }
+
+        case 'text': {
+          use('androidx.compose.material3.Text', 'androidx.compose.ui.unit.sp');
+          const args = [
+            `text = ${string(node, 'text', node.text)}`,
+            `modifier = ${chain([...box(node, origin, flow, before), ...semantics(node)], `${pad}    `)}`
+          ];
+          const fill = solid(node.fill, tokenOf(node, 'fill'));
+          if (fill) args.push(`color = ${fill}`);
+          args.push(`fontSize = ${composeNumber(node.fontSize)}.sp`);
+          if (COMPOSE_WEIGHTS[node.fontWeight]) {
+            use('androidx.compose.ui.text.font.FontWeight');
+            args.push(`fontWeight = ${COMPOSE_WEIGHTS[node.fontWeight]}`);
+          }
+          args.push(`lineHeight = ${composeNumber(node.lineHeight)}.sp`);
+          if (node.anchor === 'middle' || node.anchor === 'end') {
+            use('androidx.compose.ui.text.style.TextAlign');
+            args.push(`textAlign = TextAlign.${node.anchor === 'middle' ? 'Center' : 'End'}`);
+          }
+          args.push(`maxLines = ${node.maxLines || Math.max(1, node.lines.length)}`);
+          if (node.truncated || node.maxLines) {
+            use('androidx.compose.ui.text.style.TextOverflow');
+            args.push('overflow = TextOverflow.Ellipsis');
+          }
+          return [`${pad}Text(`, ...args.map((arg, i) => `${pad}    ${arg}${i < args.length - 1 ? ',' : ''}`), `${pad})`];
+        }
+
+        case 'path': {
+          // Drawn in the parent's coordinates
+          const area = { ...node, x: origin.x, y: origin.y, width: origin.width, height: origin.height };
+          const color = solid(node.stroke, tokenOf(node, 'stroke'));
+          if (!color) {
+            return [];
+          }
+          return canvas(chain(box(area, origin, flow, before), pad), [
+            `drawPath(${path(node.d, node.x - origin.x, node.y - origin.y)}, color = ${color}, style = ${stroke(node, f(node.strokeWidth || 1))})`
+          ], pad);
+        }
+
+        case 'image': {
+          if (!node.href) {
+            return [];
+          }
+          use('coil.compose.AsyncImage', 'androidx.compose.ui.layout.ContentScale');
+          return [
+            `${pad}AsyncImage(`,
+            `${pad}    model = ${string(node, 'href', node.href)},`,
+            `${pad}    contentDescription = ${node.label !== undefined ? string(node, 'label', node.label) : 'null'},`,
+            `${pad}    modifier = ${chain(box({ ...node, label: undefined }, origin, flow, before), `${pad}    `)},`,
+            `${pad}    contentScale = ContentScale.${node.fit === 'none' ? 'FillBounds' : 'Fit'}`,
+            `${pad})`
+          ];
+        }
+
+        case 'qr': {
+          const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+          const d = QREncoder.toPathData(qr, { moduleSize: node.size / qr.size });
+          const calls = box(node, origin, flow, before);
+          if (node.background !== undefined) calls.push(`.background(${color(node.background, tokenOf(node, 'background'))})`);
+          return canvas(chain([...calls, ...semantics(node)], pad), [`drawPath(${path(d, 0, 0)}, color = ${color(node.fill, tokenOf(node, 'fill'))})`], pad);
+        }
+
+        case 'pattern': {
+          if (!options.pattern) {
+            return [];
+          }
+          const { paths, strokeWidth, linecap } = options.pattern(node);
+          const tint = options.tokens ? `${ComposeExporter.COLORS_OBJECT}.${composeColorName('colors.pattern')}` : 'Color.Gray';
+          if (!options.tokens) use('androidx.compose.ui.graphics.Color');
+          use('androidx.compose.ui.semantics.clearAndSetSemantics');
+          return canvas(chain([...box({ ...node, opacity: 0.1 }, origin, flow, before), '.clearAndSetSemantics { }'], pad), [
+            `drawPath(${path(paths.join(''), 0, 0)}, color = ${tint}, style = ${stroke({ linecap }, f(strokeWidth))})`
+          ], pad);
+        }
+
+        default:
+          return [];
+      }
+    };
+
+    const root = { x: 0, y: 0, width: scene.width, height: scene.height };
+    const body = scene.nodes.flatMap((node) => render(node, root, '        '));
+    const screen = [`.size(width = ${dp(scene.width)}, height = ${dp(scene.height)})`, `.background(${ComposeExporter.COLORS_OBJECT}.${composeColorName('colors.background')})`];
+    if (scene.label !== undefined) {
+      use('androidx.compose.ui.semantics.semantics', 'androidx.compose.ui.semantics.contentDescription');
+      screen.push(`.semantics { contentDescription = ${scene.bindings && scene.bindings.label ? string(scene, 'label', scene.label) : composeString(scene.label)} }`);
+    }
+    const parameters = [...screenProps].map(([prop, value]) => `    ${composeIdentifier(prop)}: String = ${composeString(value === undefined || value === null ? '' : value)}`);
+    const signature = parameters.length ? `fun ${functionName}(\n${parameters.join(',\n')}\n) {` : `fun ${functionName}() {`;
+
+    return [
+      [...imports].sort().map((name) => `import ${name}`).join('\n'),
+      `@Composable\n${signature}\n    Box(\n        modifier = ${chain(screen, '        ')}\n    ) {\n${body.join('\n')}\n    }\n}\n`
+    ].join('\n\n');
+  },
+
+  /**
+   * Color object generated screens read token colors from
+   * Token values that are not plain colors (gradients, keywords) are skipped.
+   *
+   * @param {Object} tokens - Resolved design tokens (DiiaTokens.resolve(theme))
+   * @returns {string} Kotlin source
+   */
+  colorObject(tokens) {
+    const members = [];
+    const visit = (value, path) => {
+      if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => visit(item, `${path}.${key}`));
+      } else if (SceneGraph.color(value)) {
+        members.push(`    val ${composeColorName(path)} = ${composeColor(value)}`);
+      }
+    };
+    visit(tokens.colors, 'colors');
+    return `import androidx.compose.ui.graphics.Color\n\n/** Diia color tokens for Compose screens exported by Vector Logic */\nobject ${ComposeExporter.COLORS_OBJECT} {\n${members.join('\n')}\n}\n`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ComposeExporter;
+}
+if (typeof window !== 'undefined') {
+  window.ComposeExporter = ComposeExporter;
+}
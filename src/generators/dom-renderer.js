@@ -1,48 +1,257 @@
 /**
  * DOM Renderer - Traditional HTML/CSS Approach
- * 
+ *
  * Philosophy: "The way everyone does it (and why it's bloated)"
  * This class generates UI using verbose HTML markup and CSS classes,
  * demonstrating the payload overhead of traditional approaches.
+ *
+ * It draws the same scene graph as VectorRenderer (one absolutely
+ * positioned element per node, styles inline), so the benchmark compares
+ * the same screen, not two hand-made versions of it.
  */
 
+/* global SceneGraph, ScreenSchema, QREncoder, Escape, DiiaTokens */
+
 class DomRenderer {
-  constructor() {
+  /**
+   * @param {Object} [options={}] - Renderer options
+   * @param {VectorRenderer} [options.vectorRenderer] - Share theme, tokens and layout with the SVG renderer
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Color theme (without a vector renderer)
+   */
+  constructor(options = {}) {
     this.verbose = true;
+    this.vectorRenderer = options.vectorRenderer || null;
+    this.theme = options.theme || 'light';
   }
 
   /**
-   * Generate Diia Upload Screen using traditional DOM approach
-   * @param {Object} props - Screen properties
+   * Design tokens (the vector renderer's when shared)
+   * @type {Object}
+   */
+  get tokens() {
+    return this.vectorRenderer ? this.vectorRenderer.tokens : DiiaTokens.resolve(this.theme);
+  }
+
+  /**
+   * Lay out a screen: same input rules as VectorRenderer.render
+   * @param {ScreenSchemaDocument|Object} [input={}] - Screen schema or component properties
+   * @param {Object} [props={}] - Props for a schema document
+   * @returns {Scene} Scene graph
+   */
+  buildScene(input = {}, props = {}) {
+    const [schema, values] = ScreenSchema.isSchema(input) ? [input, props] : [SceneGraph.templateFor(input), input];
+    return this.vectorRenderer
+      ? this.vectorRenderer.buildScene(schema, values)
+      : SceneGraph.build(schema, values, { tokens: this.tokens });
+  }
+
+  /**
+   * Generate a screen using traditional DOM approach
+   * @param {ScreenSchemaDocument|Object} [input={}] - Screen schema or component properties
+   * @param {number} [scale=1] - CSS scale
+   * @param {Object} [props={}] - Props for a schema document
    * @returns {string} HTML markup
    */
-  render(props = {}, scale = 1) {
-    return `
-      <div class="diia-screen-container" style="transform: scale(${scale}); transform-origin: top left;">
-        <div class="diia-card">
-          <div class="title-section">
-            <h2 class="title-text">${props.title || 'Завантаження документів'}</h2>
-          </div>
-          <div class="description-section">
-            <p class="description-text">${props.description || 'Додайте необхідні документи'}</p>
-          </div>
-          <div class="upload-zone-wrapper">
-            <label class="upload-zone">
-              <div class="upload-icon">
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M12 4L12 16M12 4L8 8M12 4L16 8" stroke="#67C3F3" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-              </div>
-              <span class="upload-text">Додати файл</span>
-              <input type="file" class="file-input-hidden" multiple />
-            </label>
-          </div>
-          <div class="button-wrapper">
-            <button class="next-button">Далі</button>
-          </div>
-        </div>
-      </div>
-    `;
+  render(input = {}, scale = 1, props = {}) {
+    const scene = this.buildScene(input, props);
+    const body = scene.nodes.map((node) => this._renderNode(node, scene, { x: 0, y: 0 })).join('');
+    const style = this._style({
+      width: `${scene.width}px`,
+      height: `${scene.height}px`,
+      transform: `scale(${Number(scale)})`,
+      'transform-origin': 'top left'
+    });
+    const label = scene.label ? ` aria-label="${Escape.xmlAttr(scene.label)}"` : '';
+    return `<div class="diia-screen-container" style="${style}"${label}>${body}</div>`;
+  }
+
+  /**
+   * Serialize CSS declarations, skipping undefined values
+   * @private
+   * @param {Object} declarations - Property/value pairs
+   * @returns {string} Inline style (XML-escaped)
+   */
+  _style(declarations) {
+    return Escape.xmlAttr(Object.entries(declarations)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => `${name}: ${value};`)
+      .join(' '));
+  }
+
+  /**
+   * CSS color with opacity (rgba for hex colors)
+   * @private
+   * @param {string} color - Color
+   * @param {number} [opacity] - Opacity 0-1
+   * @returns {string} CSS color
+   */
+  _rgba(color, opacity) {
+    const rgb = SceneGraph.color(color);
+    if (!rgb || opacity === undefined) {
+      return color;
+    }
+    const channel = (value) => Math.round(value * 255);
+    return `rgba(${channel(rgb.r)}, ${channel(rgb.g)}, ${channel(rgb.b)}, ${Math.round(rgb.a * opacity * 1000) / 1000})`;
+  }
+
+  /**
+   * CSS background for a scene paint ("@id" gradients become linear-gradient())
+   * @private
+   * @param {string} [paint] - Scene paint
+   * @param {Scene} scene - Scene (for definitions)
+   * @returns {string|undefined} CSS background
+   */
+  _background(paint, scene) {
+    const def = SceneGraph.def(scene, paint);
+    if (!def) {
+      return paint === 'none' ? undefined : paint;
+    }
+    const gradient = SceneGraph.gradient(def, this.tokens);
+    if (!gradient) {
+      return undefined;
+    }
+    // CSS angles: 0deg points up, 90deg right
+    const angle = Math.round(Math.atan2(gradient.x2 - gradient.x1, gradient.y1 - gradient.y2) * 180 / Math.PI);
+    const stops = gradient.stops.map((stop) => `${this._rgba(stop.color, stop.opacity)} ${Math.round(stop.offset * 100)}%`);
+    return `linear-gradient(${angle}deg, ${stops.join(', ')})`;
+  }
+
+  /**
+   * Element for one scene node, positioned relative to its parent element
+   * @private
+   * @param {SceneNode} node - Scene node
+   * @param {Scene} scene - Scene
+   * @param {{x: number, y: number}} origin - Parent element position
+   * @returns {string} HTML markup
+   */
+  _renderNode(node, scene, origin) {
+    const classes = ['diia-node', `diia-${node.type}`, node.id].filter(Boolean).join(' ');
+    const box = {
+      left: `${node.x - origin.x}px`,
+      top: `${node.y - origin.y}px`,
+      width: `${node.width}px`,
+      height: `${node.height}px`,
+      opacity: node.opacity
+    };
+    const border = node.stroke !== undefined && node.stroke !== 'none'
+      ? `${node.strokeWidth || 1}px ${node.dash ? 'dashed' : 'solid'} ${node.stroke}`
+      : undefined;
+    const shadow = (() => {
+      const def = SceneGraph.def(scene, node.filter);
+      return def && def.type === 'dropShadow'
+        ? `${def.dx || 0}px ${def.dy || 0}px ${(def.blur || 0) * 2}px ${this._rgba(def.color || SceneGraph.SHADOW_COLOR, def.opacity)}`
+        : undefined;
+    })();
+    const aria = (label) => [
+      node.role ? ` role="${Escape.xmlAttr(node.role)}"` : '',
+      label !== undefined ? ` aria-label="${Escape.xmlAttr(label)}"` : '',
+      node.hidden ? ' aria-hidden="true"' : ''
+    ].join('');
+    const svg = (content) => `<svg class="${classes}" style="${this._style({ ...box, overflow: 'visible' })}" width="${node.width}" height="${node.height}" xmlns="http://www.w3.org/2000/svg"${aria(node.label)}>${content}</svg>`;
+
+    switch (node.type) {
+      case 'frame':
+      case 'stack':
+      case 'group': {
+        const { clip } = node;
+        const style = this._style({
+          ...box,
+          background: this._background(node.fill, scene),
+          border,
+          'border-radius': node.radius !== undefined ? `${node.radius}px` : undefined,
+          'box-shadow': shadow,
+          'clip-path': clip
+            ? `inset(${clip.y - node.y}px ${node.x + node.width - clip.x - clip.width}px ${node.y + node.height - clip.y - clip.height}px ${clip.x - node.x}px${clip.radius ? ` round ${clip.radius}px` : ''})`
+            : undefined
+        });
+        const children = node.children.map((child) => this._renderNode(child, scene, node)).join('');
+        if (node.semantic && node.semantic.type === 'button') {
+          return `<button type="button" class="${classes} diia-button" style="${style}"${aria(node.semantic.label !== undefined ? node.semantic.label : node.label)}>${children}</button>`;
+        }
+        return `<div class="${classes}" style="${style}"${aria(node.label)}>${children}</div>`;
+      }
+
+      case 'rect':
+        return `<div class="${classes}" style="${this._style({
+          ...box,
+          background: this._background(node.fill, scene),
+          border,
+          'border-radius': node.radius !== undefined ? `${node.radius}px` : undefined,
+          'box-shadow': shadow
+        })}"${aria(node.label)}></div>`;
+
+      case 'circle': {
+        const cx = node.x + node.width / 2 - origin.x;
+        const cy = node.y + node.height / 2 - origin.y;
+        return `<div class="${classes}" style="${this._style({
+          left: `${cx - node.r}px`,
+          top: `${cy - node.r}px`,
+          width: `${node.r * 2}px`,
+          height: `${node.r * 2}px`,
+          opacity: node.opacity,
+          background: this._background(node.fill, scene),
+          border,
+          'border-radius': '50%'
+        })}"${aria(node.label)}></div>`;
+      }
+
+      case 'text': {
+        const semantic = node.semantic && /^(h[1-6]|p)$/.test(node.semantic.type) ? node.semantic.type : 'span';
+        const label = node.label !== undefined ? node.label : node.semantic && node.semantic.label;
+        return `<${semantic} class="${classes}" style="${this._style({
+          ...box,
+          height: undefined,
+          'font-family': node.fontFamily,
+          'font-weight': node.fontWeight,
+          'font-size': `${node.fontSize}px`,
+          'line-height': `${node.lineHeight}px`,
+          color: node.fill,
+          'text-align': { middle: 'center', end: 'right' }[node.anchor],
+          'white-space': node.lines.length === 1 ? 'nowrap' : undefined,
+          overflow: node.truncated ? 'hidden' : undefined,
+          'text-overflow': node.truncated ? 'ellipsis' : undefined,
+          display: node.maxLines ? '-webkit-box' : undefined,
+          '-webkit-line-clamp': node.maxLines,
+          '-webkit-box-orient': node.maxLines ? 'vertical' : undefined
+        })}"${aria(label)}>${Escape.xmlText(node.text)}</${semantic}>`;
+      }
+
+      case 'path': {
+        const attrs = [
+          ['d', node.d],
+          ['fill', node.fill],
+          ['stroke', node.stroke],
+          ['stroke-width', node.strokeWidth],
+          ['stroke-dasharray', node.dash && node.dash.join(' ')],
+          ['stroke-linecap', node.linecap],
+          ['stroke-linejoin', node.linejoin]
+        ].filter(([, value]) => value !== undefined).map(([name, value]) => ` ${name}="${Escape.xmlAttr(value)}"`).join('');
+        return svg(`<path${attrs}/>`);
+      }
+
+      case 'image':
+        return node.href
+          ? `<img class="${classes}" src="${Escape.xmlAttr(node.href)}" alt="${Escape.xmlAttr(node.label || '')}" style="${this._style({ ...box, 'object-fit': node.fit === 'none' ? 'fill' : 'contain' })}">`
+          : '';
+
+      case 'qr': {
+        const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+        const d = QREncoder.toPathData(qr, { x: 0, y: 0, moduleSize: node.size / qr.size });
+        const background = node.background !== undefined ? `<rect width="${node.width}" height="${node.height}" fill="${Escape.xmlAttr(node.background)}"/>` : '';
+        return svg(`${background}<path d="${d}" fill="${Escape.xmlAttr(node.fill)}" shape-rendering="crispEdges"/>`);
+      }
+
+      case 'pattern':
+        // No vector primitives in plain HTML: a CSS stripe texture stands in
+        return `<div class="${classes} diia-pattern--${node.kind || 'security'}" aria-hidden="true" style="${this._style({
+          ...box,
+          opacity: 0.1,
+          'background-image': `repeating-linear-gradient(45deg, ${this.tokens.colors.pattern} 0 1px, transparent 1px 8px)`
+        })}"></div>`;
+
+      default:
+        return '';
+    }
   }
 
   /**
@@ -52,11 +261,13 @@ class DomRenderer {
    */
   getPayloadSize(props = {}) {
     const output = this.render(props);
-    return new Blob([output]).size;
+    return new TextEncoder().encode(output).length;
   }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = DomRenderer;
 }
-window.DomRenderer = DomRenderer;
+if (typeof window !== 'undefined') {
+  window.DomRenderer = DomRenderer;
+}
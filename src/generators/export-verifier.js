@@ -0,0 +1,2108 @@
+/**
+ * Export Verifier - Round-trip fidelity checks for every export target
+ *
+ * Each exporter writes the same scene graph in its own language and does its
+ * own coordinate math: SVG attributes, JSX props, SwiftUI modifier chains,
+ * Compose layouts, Flutter painters and widget trees, VectorDrawable paths,
+ * Lottie layers, PDF and PostScript operators. The verifier reads a generated
+ * file back into flat shapes - boxes with their paint, text runs with their
+ * position - and diffs them against the source scene, so a target that moves,
+ * recolors or drops something is caught by a check instead of by a user.
+ *
+ * The readers understand what the exporters write, not whole languages: they
+ * evaluate literals, token references, layout containers and modifiers, and
+ * skip everything else (accessibility, shadows, clips, fonts).
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/export-engine.js
+ */
+
+/* global SceneGraph, TextLayout */
+
+/**
+ * A box or a text run, in scene units from the top-left corner. Readers fill
+ * in what their format states: a PDF knows where a line starts (left), SVG
+ * where its anchor is (anchorX), SwiftUI the frame it is laid out in.
+ *
+ * @typedef {Object} VerifierShape
+ * @property {'box'|'text'} type - Shape kind
+ * @property {string} [id] - Scene node id (expected shapes)
+ * @property {number} [x] - Left edge (boxes, text frames)
+ * @property {number} [y] - Top edge (boxes, text frames)
+ * @property {number} [width] - Width (boxes, text frames)
+ * @property {number} [height] - Height (boxes, text frames)
+ * @property {string} [fill] - "#rrggbb", or "gradient"
+ * @property {string} [stroke] - "#rrggbb", or "gradient"
+ * @property {string} [text] - Text content
+ * @property {number} [anchorX] - Text anchor point (start, middle or end, as the node is anchored)
+ * @property {number} [left] - Left edge of the first line
+ * @property {number} [baseline] - Baseline of the first line
+ */
+
+/**
+ * Position keys compared when both shapes have them
+ * @const {string[]}
+ */
+const EXPORT_VERIFIER_GEOMETRY = Object.freeze(['x', 'y', 'width', 'height', 'anchorX', 'left', 'baseline']);
+
+/**
+ * What a target leaves out by design, so it is not reported as missing:
+ * VectorDrawable has no text or dashes, EPS has no transparency
+ * @const {Object<string, Object>}
+ */
+const EXPORT_VERIFIER_OMITS = Object.freeze({
+  'vector-drawable': Object.freeze({ text: true, dash: true }),
+  eps: Object.freeze({ translucent: true })
+});
+
+/**
+ * Largest channel difference (0-255) between colors that count as the same;
+ * formats that write 0-1 channels round them to 3 decimals
+ * @const {number}
+ */
+const EXPORT_VERIFIER_COLOR_TOLERANCE = 2;
+
+/**
+ * Elements whose content is not painted where it stands (SVG and JSX)
+ * @const {Set<string>}
+ */
+const EXPORT_VERIFIER_UNPAINTED = new Set([
+  'defs', 'clippath', 'mask', 'pattern', 'symbol', 'filter', 'lineargradient', 'radialgradient',
+  'style', 'title', 'desc', 'metadata', 'foreignobject', 'image', 'use', 'script'
+]);
+
+/**
+ * "#rrggbb" from 0-1 channels
+ * @private
+ */
+function exportVerifierHex(r, g, b) {
+  return `#${[r, g, b].map((c) => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Paint of a CSS color or url() reference
+ * @private
+ * @param {*} value - Attribute value
+ * @returns {string|undefined} "#rrggbb", "gradient", undefined for none
+ */
+function exportVerifierPaint(value) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  if (/^url\(/i.test(value.trim())) {
+    return 'gradient';
+  }
+  const color = SceneGraph.color(value.trim());
+  return color && color.a > 0 ? exportVerifierHex(color.r, color.g, color.b) : undefined;
+}
+
+/**
+ * Bounds of a path that draws a box: one closed subpath whose straight
+ * segments are horizontal or vertical (rounded corners and ellipses pass)
+ * @private
+ * @param {{command: string, points: number[]}[]} commands - Path commands, as SceneGraph.pathCommands gives them
+ * @returns {{x: number, y: number, width: number, height: number}|null} Bounds, null if not a box
+ */
+function exportVerifierBounds(commands) {
+  if (!commands.length || commands[0].command !== 'M') {
+    return null;
+  }
+  const [startX, startY] = commands[0].points;
+  let [x, y] = [startX, startY];
+  const xs = [x];
+  const ys = [y];
+  let closed = false;
+  const straight = (toX, toY) => Math.abs(toX - x) < 0.01 || Math.abs(toY - y) < 0.01;
+  for (const { command, points } of commands.slice(1)) {
+    if (closed || command === 'M') {
+      return null;
+    }
+    if (command === 'Z') {
+      if (!straight(startX, startY)) {
+        return null;
+      }
+      closed = true;
+      continue;
+    }
+    if (command === 'L' && !straight(points[0], points[1])) {
+      return null;
+    }
+    for (let i = 0; i < points.length; i += 2) {
+      xs.push(points[i]);
+      ys.push(points[i + 1]);
+    }
+    [x, y] = points.slice(-2);
+  }
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  const width = Math.max(...xs) - left;
+  const height = Math.max(...ys) - top;
+  return closed && width > 0 && height > 0 ? { x: left, y: top, width, height } : null;
+}
+
+/**
+ * Decode backslash escapes (\n, \", \uXXXX, \u{X}, \xXX)
+ * @private
+ */
+function exportVerifierUnescape(body) {
+  return body.replace(/\\(u\{([0-9a-f]+)\}|u([0-9a-f]{4})|x([0-9a-f]{2})|[\s\S])/gi, (match, escape, braced, unicode, hex) => {
+    const code = braced || unicode || hex;
+    if (code) {
+      return String.fromCodePoint(parseInt(code, 16));
+    }
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', 0: '\0' }[escape] || escape;
+  });
+}
+
+/**
+ * Decode a string literal body, filling in interpolations
+ * @private
+ * @param {string} body - Literal without quotes
+ * @param {function(string): *} lookup - Value of an interpolated name
+ * @param {'plain'|'template'|'kotlin'|'swift'} mode - "${x}" (template, kotlin), "$x" (kotlin, also Dart), "\(x)" (swift)
+ * @returns {string} Text
+ */
+function exportVerifierString(body, lookup, mode) {
+  let text = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      if (mode === 'swift' && body[i + 1] === '(') {
+        const end = body.indexOf(')', i);
+        text += lookup(body.slice(i + 2, end).trim());
+        i = end;
+        continue;
+      }
+      const escape = /^\\(u\{[0-9a-f]+\}|u[0-9a-f]{4}|x[0-9a-f]{2}|[\s\S])/i.exec(body.slice(i, i + 12))[0];
+      text += exportVerifierUnescape(escape);
+      i += escape.length - 1;
+      continue;
+    }
+    if (char === '$' && (mode === 'template' || mode === 'kotlin')) {
+      if (body[i + 1] === '{') {
+        const end = body.indexOf('}', i);
+        text += lookup(body.slice(i + 2, end).trim());
+        i = end;
+        continue;
+      }
+      const name = mode === 'kotlin' && /^\$([A-Za-z_]\w*)/.exec(body.slice(i, i + 64));
+      if (name) {
+        text += lookup(name[1]);
+        i += name[0].length - 1;
+        continue;
+      }
+    }
+    text += char;
+  }
+  return text;
+}
+
+/**
+ * Alignment fractions of a named alignment (SwiftUI, Compose, Flutter names)
+ * @private
+ * @param {string} [name] - "topLeading", "TopStart", "centerLeft", "bottom"...
+ * @param {number[]} [fallback=[0, 0]] - Fractions when there is no name
+ * @returns {number[]} [x, y] fractions, 0 start, 0.5 center, 1 end
+ */
+function exportVerifierAlign(name, fallback = [0, 0]) {
+  if (!name) {
+    return fallback;
+  }
+  const lower = name.toLowerCase();
+  const x = /leading|start|left/.test(lower) ? 0 : /trailing|end|right/.test(lower) ? 1 : 0.5;
+  const y = /top/.test(lower) ? 0 : /bottom/.test(lower) ? 1 : 0.5;
+  return [x, y];
+}
+
+/**
+ * Cross-axis fraction of a stack alignment ("leading", "Top", "CrossAxisAlignment.end")
+ * @private
+ */
+function exportVerifierCross(name, fallback = 0.5) {
+  if (!name) {
+    return fallback;
+  }
+  const lower = name.toLowerCase();
+  return /start|leading|top|left/.test(lower) ? 0 : /end|trailing|bottom|right/.test(lower) ? 1 : 0.5;
+}
+
+/**
+ * Shapes moved by an offset
+ * @private
+ */
+function exportVerifierMove(shapes, dx, dy) {
+  if (!dx && !dy) {
+    return shapes;
+  }
+  return shapes.map((shape) => {
+    const moved = { ...shape };
+    ['x', 'anchorX', 'left'].forEach((key) => {
+      if (moved[key] !== undefined) moved[key] += dx;
+    });
+    ['y', 'baseline'].forEach((key) => {
+      if (moved[key] !== undefined) moved[key] += dy;
+    });
+    return moved;
+  });
+}
+
+/**
+ * Lay out sized views in a row, a column or on top of each other
+ * @private
+ * @param {{width: number, height: number, shapes: VerifierShape[]}[]} views - Children, in order
+ * @param {'vertical'|'horizontal'|'z'} axis - Stacking axis
+ * @param {number} spacing - Gap between children
+ * @param {number|number[]} align - Cross-axis fraction, [x, y] fractions for z
+ * @param {{width: number, height: number}} [frame] - Box to align in (default: the children's extent)
+ * @returns {{width: number, height: number, shapes: VerifierShape[]}} Laid out view
+ */
+function exportVerifierStack(views, axis, spacing, align, frame) {
+  const sum = (key) => views.reduce((total, view) => total + view[key], 0) + spacing * Math.max(0, views.length - 1);
+  const max = (key) => Math.max(0, ...views.map((view) => view[key]));
+  const width = axis === 'horizontal' ? sum('width') : max('width');
+  const height = axis === 'vertical' ? sum('height') : max('height');
+  const box = frame || { width, height };
+  const [alignX, alignY] = Array.isArray(align) ? align : [align, align];
+  const shapes = [];
+  let cursor = 0;
+  views.forEach((view) => {
+    const dx = axis === 'horizontal' ? cursor : (box.width - view.width) * alignX;
+    const dy = axis === 'vertical' ? cursor : (box.height - view.height) * alignY;
+    shapes.push(...exportVerifierMove(view.shapes, dx, dy));
+    cursor += (axis === 'horizontal' ? view.width : view.height) + spacing;
+  });
+  return { width, height, shapes };
+}
+
+/**
+ * Merge a stroke-only box into the fill-only box of the same bounds drawn
+ * before it: targets paint a node's fill and border as separate shapes, some
+ * (SwiftUI overlays) after the node's children, the scene has one node
+ * @private
+ */
+function exportVerifierMerge(shapes) {
+  const merged = [];
+  const same = (a, b) => a.type === 'box' && ['x', 'y', 'width', 'height'].every((key) => Math.abs(a[key] - b[key]) < 0.01);
+  shapes.forEach((shape) => {
+    if (shape.type === 'box' && shape.stroke && !shape.fill) {
+      for (let i = merged.length - 1; i >= 0; i--) {
+        if (same(merged[i], shape) && merged[i].fill && !merged[i].stroke) {
+          merged[i] = { ...merged[i], stroke: shape.stroke };
+          return;
+        }
+      }
+    }
+    merged.push(shape);
+  });
+  return merged;
+}
+
+/**
+ * Colors of a token set by normalized name ("flag.blue" and "FlagBlue" are both "flagblue")
+ * @private
+ */
+function exportVerifierTokenColors(tokens) {
+  const colors = {};
+  const visit = (value, path) => {
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => visit(value[key], [...path, key]));
+    } else if (typeof value === 'string') {
+      colors[path.join('').toLowerCase().replace(/[^a-z0-9]/g, '')] = exportVerifierPaint(value);
+    }
+  };
+  visit((tokens && tokens.colors) || {}, []);
+  return colors;
+}
+
+/**
+ * Parse XML or JSX markup into an element tree
+ * @private
+ * @param {string} source - Markup
+ * @param {Object} [options={}] - Parser options
+ * @param {boolean} [options.jsx=false] - JSX: "{...}" attribute values and children are expressions
+ * @param {number} [options.start=0] - Index to start at; JSX stops after the first element
+ * @returns {{name: string, attrs: Object, children: Object[]}} Root holding the parsed elements
+ */
+function exportVerifierMarkup(source, options = {}) {
+  const jsx = Boolean(options.jsx);
+  const root = { name: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const decode = (text) => (jsx ? text : text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }[entity.toLowerCase()];
+  }));
+  // Index after a balanced {...} starting at i, skipping string literals
+  const braces = (i) => {
+    let depth = 0;
+    for (let j = i; j < source.length; j++) {
+      const char = source[j];
+      if (char === '"' || char === '\'' || char === '`') {
+        for (j++; j < source.length && source[j] !== char; j++) {
+          if (source[j] === '\\') j++;
+        }
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        return j + 1;
+      }
+    }
+    return source.length;
+  };
+  const NAME = /[A-Za-z_][\w:.-]*/y;
+  const ATTRIBUTE = /[^\s=/>]+/y;
+
+  let i = options.start || 0;
+  let text = '';
+  const flush = () => {
+    if (text.trim()) stack[stack.length - 1].children.push({ name: '#text', text: decode(text) });
+    text = '';
+  };
+  while (i < source.length) {
+    const char = source[i];
+    if (jsx && char === '{') {
+      const end = braces(i);
+      text += source.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (char !== '<') {
+      text += char;
+      i++;
+      continue;
+    }
+    if (source.startsWith('<!--', i)) {
+      flush();
+      const end = source.indexOf('-->', i);
+      i = end < 0 ? source.length : end + 3;
+      continue;
+    }
+    if (source[i + 1] === '?' || source[i + 1] === '!') {
+      flush();
+      const end = source.indexOf('>', i);
+      i = end < 0 ? source.length : end + 1;
+      continue;
+    }
+    if (source[i + 1] === '/') {
+      flush();
+      const end = source.indexOf('>', i);
+      const name = source.slice(i + 2, end).trim();
+      const at = stack.map((element) => element.name).lastIndexOf(name);
+      if (at > 0) stack.length = at;
+      i = end + 1;
+      if (jsx && stack.length === 1) break;
+      continue;
+    }
+    NAME.lastIndex = i + 1;
+    const name = NAME.exec(source);
+    if (!name) {
+      text += char;
+      i++;
+      continue;
+    }
+    flush();
+    const element = { name: name[0], attrs: {}, children: [] };
+    let j = NAME.lastIndex;
+    let closed = false;
+    while (j < source.length) {
+      while (/\s/.test(source[j])) j++;
+      if (source.startsWith('/>', j)) {
+        closed = true;
+        j += 2;
+        break;
+      }
+      if (source[j] === '>') {
+        j++;
+        break;
+      }
+      ATTRIBUTE.lastIndex = j;
+      const attribute = ATTRIBUTE.exec(source);
+      if (!attribute) {
+        j++;
+        continue;
+      }
+      j = ATTRIBUTE.lastIndex;
+      while (/\s/.test(source[j])) j++;
+      if (source[j] !== '=') {
+        element.attrs[attribute[0]] = true;
+        continue;
+      }
+      j++;
+      while (/\s/.test(source[j])) j++;
+      const quote = source[j];
+      if (quote === '"' || quote === '\'') {
+        const end = source.indexOf(quote, j + 1);
+        element.attrs[attribute[0]] = decode(source.slice(j + 1, end));
+        j = end + 1;
+      } else if (quote === '{') {
+        const end = braces(j);
+        element.attrs[attribute[0]] = { expression: source.slice(j + 1, end - 1).trim() };
+        j = end;
+      }
+    }
+    stack[stack.length - 1].children.push(element);
+    if (!closed) stack.push(element);
+    i = j;
+    if (jsx && closed && stack.length === 1) break;
+  }
+  flush();
+  return root;
+}
+
+/**
+ * Shapes of an SVG or JSX element tree
+ * @private
+ * @param {Object} root - Element tree
+ * @param {function(Object, string): *} read - Attribute value of an element
+ * @param {function(Object, number, number): ?VerifierShape[]} [expand] - Shapes of a custom element, null for none
+ * @returns {VerifierShape[]} Shapes in paint order
+ */
+function exportVerifierMarkupShapes(root, read, expand) {
+  const shapes = [];
+  const number = (element, name) => Number(read(element, name)) || 0;
+  const textOf = (element) => element.children.map((child) => (child.name === '#text' ? read(child, '#text') : textOf(child))).join(' ');
+
+  const visit = (element, dx, dy) => {
+    const name = element.name.toLowerCase();
+    if (name === '#text' || EXPORT_VERIFIER_UNPAINTED.has(name)) {
+      return;
+    }
+    const paints = () => {
+      const fill = exportVerifierPaint(read(element, 'fill'));
+      const stroke = exportVerifierPaint(read(element, 'stroke'));
+      return { ...(fill ? { fill } : {}), ...(stroke ? { stroke } : {}) };
+    };
+    const box = (x, y, width, height) => {
+      const paint = paints();
+      if (paint.fill || paint.stroke) shapes.push({ type: 'box', x, y, width, height, ...paint });
+    };
+    switch (name) {
+      case 'rect':
+        box(number(element, 'x') + dx, number(element, 'y') + dy, number(element, 'width'), number(element, 'height'));
+        return;
+      case 'circle':
+      case 'ellipse': {
+        const rx = number(element, name === 'circle' ? 'r' : 'rx');
+        const ry = number(element, name === 'circle' ? 'r' : 'ry');
+        box(number(element, 'cx') + dx - rx, number(element, 'cy') + dy - ry, rx * 2, ry * 2);
+        return;
+      }
+      case 'path': {
+        const bounds = exportVerifierBounds(SceneGraph.pathCommands(read(element, 'd') || '', dx, dy));
+        if (bounds) box(bounds.x, bounds.y, bounds.width, bounds.height);
+        return;
+      }
+      case 'text':
+      case 'svgtext': {
+        const span = element.children.find((child) => child.name.toLowerCase() === 'tspan');
+        const at = read(element, 'x') !== undefined || !span ? element : span;
+        const text = textOf(element).replace(/\s+/g, ' ').trim();
+        if (text) {
+          const fill = exportVerifierPaint(read(element, 'fill'));
+          shapes.push({ type: 'text', text, anchorX: number(at, 'x') + dx, baseline: number(at, 'y') + dy, ...(fill ? { fill } : {}) });
+        }
+        return;
+      }
+      default: {
+        const custom = expand && expand(element, dx, dy);
+        if (custom) {
+          shapes.push(...custom);
+          return;
+        }
+        const translate = /translate\(\s*([-\d.e]+)(?:[\s,]+([-\d.e]+))?\s*\)/.exec(read(element, 'transform') || '');
+        const x = name === 'g' && read(element, 'x') !== undefined ? number(element, 'x') : 0;
+        const y = name === 'g' && read(element, 'y') !== undefined ? number(element, 'y') : 0;
+        element.children.forEach((child) => visit(child, dx + x + (translate ? Number(translate[1]) : 0), dy + y + (translate ? Number(translate[2] || 0) : 0)));
+      }
+    }
+  };
+  visit(root, 0, 0);
+  return shapes;
+}
+
+/**
+ * Shapes of an SVG document
+ * @private
+ */
+function exportVerifierReadSVG(content) {
+  return exportVerifierMarkupShapes(exportVerifierMarkup(content), (element, name) => (name === '#text' ? element.text : element.attrs[name]));
+}
+
+/**
+ * Shapes of a web component: the SVG in its template
+ * @private
+ */
+function exportVerifierReadWebComponent(content) {
+  const template = /\.innerHTML\s*=\s*`((?:[^`\\]|\\[\s\S])*)`/.exec(content);
+  if (!template) {
+    throw new SyntaxError('Web component has no template');
+  }
+  return exportVerifierReadSVG(exportVerifierUnescape(template[1]));
+}
+
+/**
+ * Shapes of a React Native component: evaluates the JSX of each component,
+ * with props passed down and token references resolved
+ * @private
+ */
+function exportVerifierReadJSX(content, tokens) {
+  const components = {};
+  const definition = /const (\w+) = \(\{([\s\S]*?)\}: \w+\) => [({]/g;
+  let match;
+  while ((match = definition.exec(content)) !== null) {
+    const defaults = {};
+    for (const [, name, literal] of match[2].matchAll(/(\w+)\s*=\s*"((?:[^"\\]|\\.)*)"/g)) {
+      defaults[name] = exportVerifierUnescape(literal);
+    }
+    const [element] = exportVerifierMarkup(content, { jsx: true, start: content.indexOf('<', definition.lastIndex) }).children;
+    components[match[1]] = { defaults, element };
+  }
+  const main = /export default (\w+);/.exec(content);
+  const entry = components[main ? main[1] : ''];
+  if (!entry) {
+    throw new SyntaxError('React Native file has no default component');
+  }
+
+  const resolve = (path) => path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), tokens);
+  const evaluate = (expression, scope) => {
+    const source = expression.trim();
+    if (/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(source)) return Number(source);
+    if (/^"(?:[^"\\]|\\.)*"$|^'(?:[^'\\]|\\.)*'$/.test(source)) return exportVerifierUnescape(source.slice(1, -1));
+    if (/^`(?:[^`\\]|\\.)*`$/.test(source)) return exportVerifierString(source.slice(1, -1), (name) => evaluate(name, scope) ?? '', 'template');
+    if (/^[A-Za-z_$][\w$]*$/.test(source)) return scope[source];
+    if (/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)+$/.test(source)) return resolve(source);
+    return undefined;
+  };
+  const read = (scope) => (element, name) => {
+    const value = name === '#text' ? element.text.trim() : element.attrs[name];
+    if (name === '#text') {
+      return /^\{[\s\S]*\}$/.test(value) ? String(evaluate(value.slice(1, -1), scope) ?? '') : value;
+    }
+    return value && typeof value === 'object' ? evaluate(value.expression, scope) : value;
+  };
+  const shapesOf = (element, scope, dx, dy) => exportVerifierMove(exportVerifierMarkupShapes(element, read(scope), (child, x, y) => {
+    const component = components[child.name];
+    if (!component) {
+      return null;
+    }
+    const props = {};
+    Object.keys(child.attrs).forEach((name) => {
+      props[name] = read(scope)(child, name);
+    });
+    // The component's own <G x={x} y={y}> places it
+    return shapesOf(component.element, { ...component.defaults, ...props }, x, y);
+  }), dx, dy);
+  return shapesOf(entry.element, entry.defaults, 0, 0);
+}
+
+/**
+ * Shapes of a VectorDrawable: filled and stroked paths, in group translations
+ * @private
+ */
+function exportVerifierReadVectorDrawable(content) {
+  const root = exportVerifierMarkup(content);
+  const vector = root.children.find((element) => element.name === 'vector');
+  if (!vector) {
+    throw new SyntaxError('VectorDrawable has no <vector> element');
+  }
+  const color = (value) => {
+    const match = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value || '');
+    // Android colors are #AARRGGBB
+    return match ? `#${match[1].slice(-6).toLowerCase()}` : undefined;
+  };
+  const background = `M0,0H${vector.attrs['android:viewportWidth']}V${vector.attrs['android:viewportHeight']}H0Z`;
+  const shapes = [];
+  const visit = (element, dx, dy) => {
+    element.children.forEach((child, i) => {
+      if (child.name === 'group') {
+        visit(child, dx + (Number(child.attrs['android:translateX']) || 0), dy + (Number(child.attrs['android:translateY']) || 0));
+        return;
+      }
+      if (child.name !== 'path' || (element === vector && i === 0 && child.attrs['android:pathData'] === background)) {
+        return;
+      }
+      const bounds = exportVerifierBounds(SceneGraph.pathCommands(child.attrs['android:pathData'] || '', dx, dy));
+      if (!bounds) {
+        return;
+      }
+      const gradient = (name) => child.children.some((attr) => attr.name === 'aapt:attr' && attr.attrs.name === name);
+      const fill = gradient('android:fillColor') ? 'gradient' : color(child.attrs['android:fillColor']);
+      const stroke = gradient('android:strokeColor') ? 'gradient' : color(child.attrs['android:strokeColor']);
+      if (fill || stroke) shapes.push({ type: 'box', ...bounds, ...(fill ? { fill } : {}), ...(stroke ? { stroke } : {}) });
+    });
+  };
+  visit(vector, 0, 0);
+  return shapes;
+}
+
+/**
+ * Tokens of Swift, Kotlin or Dart source
+ * @private
+ */
+function exportVerifierLex(source) {
+  const tokens = [];
+  const pattern = /(\s+)|(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(0x[0-9a-f]+|\d+(?:\.\d+)?(?:e[-+]?\d+)?[fFL]?)|([A-Za-z_@][\w$]*)|(\.\.|=>|->|==|!=|<=|>=|&&|\|\||[^\s])/giy;
+  let newline = false;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const [token, space, comment, string, number, name] = match;
+    if (space || comment) {
+      newline = newline || token.includes('\n');
+      continue;
+    }
+    const kind = string ? 'string' : number ? 'number' : name ? 'name' : 'punct';
+    tokens.push({ kind, value: token, newline });
+    newline = false;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a block of Swift, Kotlin or Dart source into expression trees
+ * @private
+ * @param {string} source - Source
+ * @param {number} start - Index just after the block's opening brace
+ * @returns {Object[]} Statements: expressions, and {t: 'assign', target, value}
+ */
+function exportVerifierParse(source, start) {
+  const tokens = exportVerifierLex(source.slice(start));
+  const END = { kind: 'end', value: '' };
+  let i = 0;
+  const peek = (ahead = 0) => tokens[i + ahead] || END;
+  const is = (value, ahead = 0) => peek(ahead).kind === 'punct' && peek(ahead).value === value;
+  const expect = (value) => {
+    if (!is(value)) throw new SyntaxError(`Expected "${value}", found "${peek().value}"`);
+    i++;
+  };
+
+  const list = (close) => {
+    const items = [];
+    while (!is(close)) {
+      if (peek().kind === 'end') throw new SyntaxError(`Expected "${close}"`);
+      let name;
+      if (peek().kind === 'name' && (is(':', 1) || is('=', 1))) {
+        name = peek().value;
+        i += 2;
+      }
+      items.push({ name, value: expression() });
+      if (is(',')) i++;
+      else if (!is(close)) throw new SyntaxError(`Expected "," or "${close}", found "${peek().value}"`);
+    }
+    i++;
+    return items;
+  };
+
+  const block = () => {
+    const statements = [];
+    // Closure parameters: "p in" (Swift), "it ->" (Kotlin)
+    if (peek().kind === 'name' && peek(1).value === 'in') i += 2;
+    if (peek().kind === 'name' && is('->', 1)) i += 2;
+    while (!is('}')) {
+      if (peek().kind === 'end') throw new SyntaxError('Expected "}"');
+      if (is(';') || is(',')) {
+        i++;
+        continue;
+      }
+      if (peek().kind === 'name' && peek().value === 'return') i++;
+      if (peek().kind === 'name' && ['final', 'var', 'val', 'let'].includes(peek().value)) i++;
+      const target = expression();
+      if (is('=')) {
+        i++;
+        statements.push({ t: 'assign', target, value: expression() });
+      } else {
+        statements.push(target);
+      }
+    }
+    i++;
+    return statements;
+  };
+
+  const primary = () => {
+    const token = peek();
+    i++;
+    if (token.kind === 'number') {
+      const digits = token.value.replace(/[fL]$/i, '');
+      return { t: 'num', v: /^0x/i.test(digits) ? parseInt(digits, 16) : Number(digits) };
+    }
+    if (token.kind === 'string') return { t: 'str', raw: token.value.slice(1, -1) };
+    if (token.kind === 'name') return token.value === 'const' ? primary() : { t: 'name', v: token.value };
+    if (token.value === '.' && peek().kind === 'name') {
+      i++;
+      return { t: 'member', object: null, name: tokens[i - 1].value };
+    }
+    if (token.value === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    if (token.value === '[') return { t: 'list', items: list(']').map((item) => item.value) };
+    if (token.value === '{') return { t: 'block', statements: block() };
+    throw new SyntaxError(`Unexpected "${token.value}"`);
+  };
+
+  const postfix = (cascade) => {
+    let node = primary();
+    for (;;) {
+      const token = peek();
+      if (token.kind !== 'punct') break;
+      if (token.value === '.' && peek(1).kind === 'name') {
+        i += 2;
+        node = { t: 'member', object: node, name: tokens[i - 1].value };
+      } else if (token.value === '(' && !token.newline) {
+        i++;
+        node = { t: 'call', callee: node, args: list(')'), blocks: [] };
+      } else if (token.value === '{' && !token.newline) {
+        i++;
+        if (node.t !== 'call') node = { t: 'call', callee: node, args: [], blocks: [] };
+        node.blocks.push(block());
+        // Swift labeled trailing closures: "} placeholder: { ... }"
+        while (peek().kind === 'name' && !peek().newline && is(':', 1) && is('{', 2)) {
+          i += 3;
+          node.blocks.push(block());
+        }
+      } else if (token.value === '..' && cascade) {
+        i++;
+        const name = peek().value;
+        i++;
+        const op = { name };
+        if (is('=')) {
+          i++;
+          op.value = expression(false);
+        } else if (is('(')) {
+          i++;
+          op.args = list(')');
+        }
+        if (node.t !== 'cascade') node = { t: 'cascade', object: node, ops: [] };
+        node.ops.push(op);
+      } else {
+        break;
+      }
+    }
+    return node;
+  };
+
+  const unary = (cascade) => {
+    if (is('-')) {
+      i++;
+      return { t: 'neg', value: unary(cascade) };
+    }
+    return postfix(cascade);
+  };
+
+  const expression = (cascade = true) => {
+    let left = unary(cascade);
+    for (;;) {
+      const token = peek();
+      const op = token.kind === 'punct' && ['&', '*', '/', '+', '-'].includes(token.value) ? token.value
+        : token.kind === 'name' && token.value === 'to' && !is(':', 1) ? 'to' : null;
+      if (!op || token.newline) break;
+      i++;
+      left = { t: 'binary', op, left, right: unary(cascade) };
+    }
+    return left;
+  };
+
+  return block();
+}
+
+/**
+ * Statements of the block that opens after a marker in the source
+ * @private
+ */
+function exportVerifierBlock(content, marker) {
+  const match = marker.exec(content);
+  if (!match) {
+    throw new SyntaxError(`Missing ${marker}`);
+  }
+  // Markers end with the block's opening brace
+  return exportVerifierParse(content, match.index + match[0].length);
+}
+
+/**
+ * Dotted name of an expression ("Rect.fromLTWH", "Color", "DiiaTokens.primary"), '' if it is not one
+ * @private
+ */
+function exportVerifierName(node) {
+  if (!node) return '';
+  if (node.t === 'call') return exportVerifierName(node.callee);
+  if (node.t === 'name') return node.v;
+  if (node.t === 'member') return node.object ? `${exportVerifierName(node.object)}.${node.name}` : `.${node.name}`;
+  return '';
+}
+
+/**
+ * A named or positional argument of a call
+ * @private
+ */
+function exportVerifierArg(node, name, index) {
+  if (!node || node.t !== 'call') return undefined;
+  const named = name !== undefined && node.args.find((arg) => arg.name === name);
+  if (named) return named.value;
+  const positional = node.args.filter((arg) => arg.name === undefined);
+  return index === undefined || !positional[index] ? undefined : positional[index].value;
+}
+
+/**
+ * Number value of an expression: literals, dp/sp units, arithmetic
+ * @private
+ */
+function exportVerifierNumber(node) {
+  if (!node) return undefined;
+  switch (node.t) {
+    case 'num': return node.v;
+    case 'neg': return -exportVerifierNumber(node.value);
+    case 'member': return node.object && ['dp', 'sp', 'px'].includes(node.name) ? exportVerifierNumber(node.object) : undefined;
+    case 'call': return node.callee.t === 'member' && ['toPx', 'toFloat', 'toDouble'].includes(node.callee.name) ? exportVerifierNumber(node.callee.object) : undefined;
+    case 'binary': {
+      const left = exportVerifierNumber(node.left);
+      const right = exportVerifierNumber(node.right);
+      return { '+': left + right, '-': left - right, '*': left * right, '/': left / right }[node.op];
+    }
+    default: return undefined;
+  }
+}
+
+/**
+ * A method chain as its base and the calls on it, in order
+ * ("Text(x).frame(...).offset(...)" is Text(x) with frame and offset)
+ * @private
+ */
+function exportVerifierChain(node) {
+  const calls = [];
+  let base = node;
+  for (;;) {
+    if (base.t === 'call' && base.callee.t === 'member' && base.callee.object) {
+      calls.unshift({ name: base.callee.name, node: base });
+      base = base.callee.object;
+    } else if (base.t === 'member' && base.object) {
+      calls.unshift({ name: base.name, node: null });
+      base = base.object;
+    } else {
+      return { base, calls };
+    }
+  }
+}
+
+/**
+ * Path commands of a path builder (SwiftUI "p.move(to:)", Compose and Flutter "moveTo(x, y)")
+ * @private
+ * @param {{name: string, args: Object[]}[]} steps - Builder calls
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ */
+function exportVerifierPathSteps(steps, dx, dy) {
+  const point = (node) => [exportVerifierNumber(exportVerifierArg(node, 'x', 0)) + dx, exportVerifierNumber(exportVerifierArg(node, 'y', 1)) + dy];
+  return steps.flatMap(({ name, args }) => {
+    const call = { t: 'call', args };
+    const flat = args.map((arg) => exportVerifierNumber(arg.value));
+    const xy = (values) => values.map((value, i) => value + (i % 2 ? dy : dx));
+    switch (name) {
+      case 'move':
+        return [{ command: 'M', points: point(exportVerifierArg(call, 'to', 0)) }];
+      case 'addLine':
+        return [{ command: 'L', points: point(exportVerifierArg(call, 'to', 0)) }];
+      case 'addCurve':
+        return [{ command: 'C', points: [...point(exportVerifierArg(call, 'control1')), ...point(exportVerifierArg(call, 'control2')), ...point(exportVerifierArg(call, 'to'))] }];
+      case 'addQuadCurve':
+        return [{ command: 'Q', points: [...point(exportVerifierArg(call, 'control')), ...point(exportVerifierArg(call, 'to'))] }];
+      case 'moveTo': return [{ command: 'M', points: xy(flat) }];
+      case 'lineTo': return [{ command: 'L', points: xy(flat) }];
+      case 'cubicTo': return [{ command: 'C', points: xy(flat) }];
+      case 'quadraticBezierTo':
+      case 'quadraticTo': return [{ command: 'Q', points: xy(flat) }];
+      case 'close':
+      case 'closeSubpath': return [{ command: 'Z', points: [] }];
+      default: return [];
+    }
+  });
+}
+
+/**
+ * Place the unsized shapes of a flexible view (shapes and text take the
+ * frame they are given) in a box
+ * @private
+ */
+function exportVerifierFit(items, x, y, width, height) {
+  return items.flatMap((item) => {
+    const paint = { ...(item.fill ? { fill: item.fill } : {}), ...(item.stroke ? { stroke: item.stroke } : {}) };
+    switch (item.kind) {
+      case 'text':
+        return item.text ? [{ type: 'text', text: item.text, x, y, width, height, ...paint }] : [];
+      case 'circle': {
+        const size = Math.min(width, height);
+        return paint.fill || paint.stroke ? [{ type: 'box', x: x + (width - size) / 2, y: y + (height - size) / 2, width: size, height: size, ...paint }] : [];
+      }
+      case 'path': {
+        const bounds = exportVerifierBounds(item.commands.map(({ command, points }) => ({ command, points: points.map((value, i) => value + (i % 2 ? y : x)) })));
+        return bounds && (paint.fill || paint.stroke) ? [{ type: 'box', ...bounds, ...paint }] : [];
+      }
+      default:
+        return paint.fill || paint.stroke ? [{ type: 'box', x, y, width, height, ...paint }] : [];
+    }
+  });
+}
+
+/**
+ * Paint of a SwiftUI color or shape style
+ * @private
+ * @returns {string|undefined} "#rrggbb", "gradient", "none", undefined if not a color
+ */
+function exportVerifierSwiftPaint(node, colors) {
+  const name = exportVerifierName(node);
+  if (node.t === 'call' && node.callee.t === 'member' && ['opacity'].includes(node.callee.name) && node.callee.object) {
+    return exportVerifierSwiftPaint(node.callee.object, colors);
+  }
+  if (/^(Linear|Radial|Angular)Gradient$/.test(name)) return 'gradient';
+  if (node.t === 'call' && name === 'Color') {
+    const channel = (label) => exportVerifierNumber(exportVerifierArg(node, label));
+    return exportVerifierHex(channel('red'), channel('green'), channel('blue'));
+  }
+  const member = /^Color\.(\w+)$/.exec(name);
+  if (member && node.t === 'member') {
+    const key = member[1].replace(/^diia/, '').toLowerCase();
+    if (colors[key] !== undefined) return colors[key];
+    return { white: '#ffffff', black: '#000000' }[member[1]] || 'none';
+  }
+  return undefined;
+}
+
+/**
+ * Shapes of a SwiftUI view: stacks, frames, padding, offsets, backgrounds and overlays
+ * @private
+ */
+function exportVerifierReadSwiftUI(content, tokens) {
+  const colors = exportVerifierTokenColors(tokens);
+  const scope = {};
+  for (const [, name, literal] of content.matchAll(/var (\w+): String = "((?:[^"\\]|\\.)*)"/g)) {
+    scope[name] = exportVerifierUnescape(literal);
+  }
+  const text = (node) => {
+    if (!node) return '';
+    if (node.t === 'str') return exportVerifierString(node.raw, (name) => scope[name] ?? '', 'swift');
+    return node.t === 'name' ? String(scope[node.v] ?? '') : '';
+  };
+  const paint = (node) => {
+    const value = node && exportVerifierSwiftPaint(node, colors);
+    return value === 'none' ? undefined : value;
+  };
+  // A view is sized ({width, height, shapes}) or flexible ({items}) until framed
+  const sized = (view) => (view.items ? { width: 0, height: 0, shapes: exportVerifierFit(view.items, 0, 0, 0, 0) } : view);
+
+  const view = (node) => {
+    if (!node || node.t === 'assign') return null;
+    const color = exportVerifierSwiftPaint(node, colors);
+    if (color !== undefined) {
+      return { items: [{ kind: 'rect', fill: color === 'none' ? undefined : color }] };
+    }
+    const { base, calls } = exportVerifierChain(node);
+    const name = exportVerifierName(base);
+    let result;
+    if (['VStack', 'HStack', 'ZStack'].includes(name)) {
+      const children = (base.blocks[0] || []).map(view).filter(Boolean).map(sized);
+      const alignment = exportVerifierName(exportVerifierArg(base, 'alignment')).slice(1);
+      const spacing = exportVerifierNumber(exportVerifierArg(base, 'spacing')) || 0;
+      result = name === 'ZStack'
+        ? exportVerifierStack(children, 'z', 0, exportVerifierAlign(alignment, [0.5, 0.5]))
+        : exportVerifierStack(children, name === 'VStack' ? 'vertical' : 'horizontal', spacing, exportVerifierCross(alignment));
+    } else if (name === 'Text') {
+      result = { items: [{ kind: 'text', text: text(exportVerifierArg(base, undefined, 0)) }] };
+    } else if (['Rectangle', 'RoundedRectangle', 'Capsule', 'Ellipse'].includes(name)) {
+      result = { items: [{ kind: 'rect' }] };
+    } else if (name === 'Circle') {
+      result = { items: [{ kind: 'circle' }] };
+    } else if (name === 'Path') {
+      const steps = (base.blocks[0] || []).filter((step) => step.t === 'call' && step.callee.t === 'member')
+        .map((step) => ({ name: step.callee.name, args: step.args }));
+      result = { items: [{ kind: 'path', commands: exportVerifierPathSteps(steps, 0, 0) }] };
+    } else {
+      result = { items: [] };
+    }
+
+    calls.forEach(({ name: modifier, node: call }) => {
+      const arg = (label, index) => exportVerifierArg(call, label, index);
+      switch (modifier) {
+        case 'fill':
+        case 'stroke':
+        case 'strokeBorder':
+          if (result.items) {
+            const key = modifier === 'fill' ? 'fill' : 'stroke';
+            result.items = result.items.map((item) => (item.kind === 'text' ? item : { ...item, [key]: paint(arg(undefined, 0)) }));
+          }
+          break;
+        case 'foregroundColor':
+        case 'foregroundStyle':
+          if (result.items) result.items = result.items.map((item) => (item.kind === 'text' ? { ...item, fill: paint(arg(undefined, 0)) } : item));
+          break;
+        case 'frame': {
+          const width = exportVerifierNumber(arg('width'));
+          const height = exportVerifierNumber(arg('height'));
+          const [alignX, alignY] = exportVerifierAlign(exportVerifierName(arg('alignment')).slice(1), [0.5, 0.5]);
+          if (result.items) {
+            result = { width: width || 0, height: height || 0, shapes: exportVerifierFit(result.items, 0, 0, width || 0, height || 0) };
+          } else {
+            const frameWidth = width === undefined ? result.width : width;
+            const frameHeight = height === undefined ? result.height : height;
+            result = {
+              width: frameWidth,
+              height: frameHeight,
+              shapes: exportVerifierMove(result.shapes, (frameWidth - result.width) * alignX, (frameHeight - result.height) * alignY)
+            };
+          }
+          break;
+        }
+        case 'padding': {
+          result = sized(result);
+          const edge = exportVerifierName(arg(undefined, 0));
+          const amount = exportVerifierNumber(arg(undefined, edge ? 1 : 0));
+          const value = amount === undefined ? 16 : amount;
+          const edges = {
+            top: /^\.(top|vertical)$|^$/.test(edge) ? value : 0,
+            bottom: /^\.(bottom|vertical)$|^$/.test(edge) ? value : 0,
+            leading: /^\.(leading|horizontal)$|^$/.test(edge) ? value : 0,
+            trailing: /^\.(trailing|horizontal)$|^$/.test(edge) ? value : 0
+          };
+          result = {
+            width: result.width + edges.leading + edges.trailing,
+            height: result.height + edges.top + edges.bottom,
+            shapes: exportVerifierMove(result.shapes, edges.leading, edges.top)
+          };
+          break;
+        }
+        case 'offset':
+          result = sized(result);
+          result = { ...result, shapes: exportVerifierMove(result.shapes, exportVerifierNumber(arg('x')) || 0, exportVerifierNumber(arg('y')) || 0) };
+          break;
+        case 'background':
+        case 'overlay': {
+          const layer = view(arg(undefined, 0));
+          if (!layer) break;
+          if (result.items && layer.items) {
+            result = { items: modifier === 'background' ? [...layer.items, ...result.items] : [...result.items, ...layer.items] };
+            break;
+          }
+          result = sized(result);
+          const shapes = layer.items ? exportVerifierFit(layer.items, 0, 0, result.width, result.height) : layer.shapes;
+          result = { ...result, shapes: modifier === 'background' ? [...shapes, ...result.shapes] : [...result.shapes, ...shapes] };
+          break;
+        }
+        default:
+          break;
+      }
+    });
+    return result;
+  };
+
+  const [root] = exportVerifierBlock(content, /var body: some View \{/);
+  if (!root || root.t === 'assign') {
+    throw new SyntaxError('SwiftUI view has no body');
+  }
+  // The root stack's own frame and background are the page
+  return sized(view(exportVerifierChain(root).base)).shapes;
+}
+
+/**
+ * Paint of a Compose color or brush
+ * @private
+ */
+function exportVerifierComposePaint(node, colors) {
+  if (!node) return undefined;
+  const name = exportVerifierName(node);
+  if (node.t === 'call' && node.callee.t === 'member' && node.callee.name === 'copy') {
+    return exportVerifierComposePaint(node.callee.object, colors);
+  }
+  if (/^Brush\./.test(name)) return 'gradient';
+  if (node.t === 'call' && name === 'Color') {
+    const argb = exportVerifierNumber(exportVerifierArg(node, undefined, 0));
+    // 0xAARRGGBB: no alpha byte is transparent
+    return argb === undefined || argb < 0x1000000 ? undefined : `#${(argb % 0x1000000).toString(16).padStart(6, '0')}`;
+  }
+  const token = /^\w+\.(\w+)$/.exec(name);
+  if (token && node.t === 'member') {
+    return colors[token[1].toLowerCase()] || { White: '#ffffff', Black: '#000000' }[token[1]];
+  }
+  return undefined;
+}
+
+/**
+ * Shapes of a Compose function: Box, Column and Row layouts with size,
+ * padding, offset, background, border and drawBehind modifiers
+ * @private
+ */
+function exportVerifierReadCompose(content, tokens) {
+  const colors = exportVerifierTokenColors(tokens);
+  const scope = {};
+  const header = /fun \w+\(([\s\S]*?)\n\) \{/.exec(content);
+  for (const [, name, literal] of ((header && header[1]) || '').matchAll(/(\w+): String = "((?:[^"\\]|\\.)*)"/g)) {
+    scope[name] = exportVerifierUnescape(literal);
+  }
+  const text = (node) => {
+    if (!node) return '';
+    if (node.t === 'str') return exportVerifierString(node.raw, (name) => scope[name] ?? '', 'kotlin');
+    return node.t === 'name' ? String(scope[node.v] ?? '') : '';
+  };
+  const paint = (node) => exportVerifierComposePaint(node, colors);
+  const edges = (call) => {
+    const value = (name) => exportVerifierNumber(exportVerifierArg(call, name)) || 0;
+    const all = exportVerifierNumber(exportVerifierArg(call, 'all', 0)) || 0;
+    return {
+      left: value('start') || value('horizontal') || all,
+      top: value('top') || value('vertical') || all,
+      right: value('end') || value('horizontal') || all,
+      bottom: value('bottom') || value('vertical') || all
+    };
+  };
+  // Draw calls of drawBehind and Canvas blocks, in the given box
+  const draws = (statements, box) => statements.flatMap((statement) => {
+    if (statement.t !== 'call') return [];
+    const name = exportVerifierName(statement);
+    if (statement.blocks.length && !/^draw/.test(name)) {
+      return statement.blocks.flatMap((body) => draws(body, box));
+    }
+    const color = paint(exportVerifierArg(statement, 'color')) || paint(exportVerifierArg(statement, 'brush'));
+    const stroke = exportVerifierName(exportVerifierArg(statement, 'style')) === 'Stroke';
+    const style = color ? { [stroke ? 'stroke' : 'fill']: color } : {};
+    if (name === 'drawPath') {
+      const builder = exportVerifierArg(statement, undefined, 0);
+      const steps = builder && builder.t === 'call' && builder.blocks[0]
+        ? builder.blocks[0].filter((step) => step.t === 'call').map((step) => ({ name: exportVerifierName(step), args: step.args }))
+        : [];
+      return exportVerifierFit([{ kind: 'path', commands: exportVerifierPathSteps(steps, 0, 0), ...style }], box.x, box.y, box.width, box.height);
+    }
+    if (['drawRect', 'drawRoundRect', 'drawCircle', 'drawOval'].includes(name)) {
+      return exportVerifierFit([{ kind: name === 'drawCircle' ? 'circle' : 'rect', ...style }], box.x, box.y, box.width, box.height);
+    }
+    return [];
+  });
+
+  const view = (node, root = false) => {
+    if (!node || node.t !== 'call' || node.callee.t !== 'name') return null;
+    const name = node.callee.v;
+    const modifiers = exportVerifierArg(node, 'modifier') ? exportVerifierChain(exportVerifierArg(node, 'modifier')).calls : [];
+    let offsetX = 0;
+    let offsetY = 0;
+    const outer = { left: 0, top: 0, right: 0, bottom: 0 };
+    let box = null;
+    let wrap = null;
+    const decorations = [];
+    modifiers.forEach(({ name: modifier, node: call }) => {
+      const arg = (label, index) => exportVerifierArg(call, label, index);
+      switch (modifier) {
+        case 'offset':
+          offsetX += exportVerifierNumber(arg('x', 0)) || 0;
+          offsetY += exportVerifierNumber(arg('y', 1)) || 0;
+          break;
+        case 'padding': {
+          const pad = edges(call);
+          if (box) {
+            box = { ...box, x: box.x + pad.left, y: box.y + pad.top, width: box.width - pad.left - pad.right, height: box.height - pad.top - pad.bottom };
+          } else {
+            Object.keys(outer).forEach((key) => {
+              outer[key] += pad[key];
+            });
+          }
+          break;
+        }
+        case 'size':
+        case 'requiredSize': {
+          const width = exportVerifierNumber(arg('width', 0));
+          const height = exportVerifierNumber(arg('height')) ?? exportVerifierNumber(arg(undefined, 1)) ?? width;
+          if (!box) {
+            box = { x: outer.left, y: outer.top, width, height, outer: { width, height } };
+          } else {
+            const [alignX, alignY] = wrap || [0, 0];
+            box = { ...box, x: box.x + (box.width - width) * alignX, y: box.y + (box.height - height) * alignY, width, height };
+            wrap = null;
+          }
+          break;
+        }
+        case 'wrapContentSize':
+          wrap = exportVerifierAlign(exportVerifierName(arg('align', 0)).replace(/^Alignment\./, ''), [0.5, 0.5]);
+          break;
+        case 'background':
+          if (box) decorations.push(...exportVerifierFit([{ kind: /CircleShape/.test(exportVerifierName(arg('shape', 1))) ? 'circle' : 'rect', fill: paint(arg('color', 0)) }], box.x, box.y, box.width, box.height));
+          break;
+        case 'border':
+          if (box) decorations.push(...exportVerifierFit([{ kind: /CircleShape/.test(exportVerifierName(arg('shape', 2))) ? 'circle' : 'rect', stroke: paint(arg('color', 1)) }], box.x, box.y, box.width, box.height));
+          break;
+        case 'drawBehind':
+          if (box) decorations.push(...draws(call.blocks[0] || [], box));
+          break;
+        default:
+          break;
+      }
+    });
+
+    const children = (node.blocks[0] || []).map((child) => view(child)).filter(Boolean);
+    let content = [];
+    if (name === 'Text') {
+      const fill = paint(exportVerifierArg(node, 'color'));
+      const value = text(exportVerifierArg(node, 'text', 0));
+      content = box && value ? [{ type: 'text', text: value, x: box.x, y: box.y, width: box.width, height: box.height, ...(fill ? { fill } : {}) }] : [];
+    } else if (name === 'Canvas') {
+      content = box ? draws(node.blocks[0] || [], box) : [];
+    } else if (['Box', 'Column', 'Row'].includes(name)) {
+      const arrangement = exportVerifierArg(node, name === 'Column' ? 'verticalArrangement' : 'horizontalArrangement');
+      const spacing = exportVerifierName(arrangement) === 'Arrangement.spacedBy' ? exportVerifierNumber(exportVerifierArg(arrangement, undefined, 0)) || 0 : 0;
+      const alignment = exportVerifierName(exportVerifierArg(node, name === 'Column' ? 'horizontalAlignment' : name === 'Row' ? 'verticalAlignment' : 'contentAlignment')).replace(/^Alignment\./, '');
+      const frame = box && !wrap ? { width: box.width, height: box.height } : undefined;
+      const laid = name === 'Box'
+        ? exportVerifierStack(children, 'z', 0, exportVerifierAlign(alignment), frame)
+        : exportVerifierStack(children, name === 'Column' ? 'vertical' : 'horizontal', spacing, exportVerifierCross(alignment, 0), frame);
+      if (!box) {
+        box = { x: outer.left, y: outer.top, width: laid.width, height: laid.height, outer: { width: laid.width, height: laid.height } };
+      }
+      const [alignX, alignY] = wrap || [0, 0];
+      content = exportVerifierMove(laid.shapes, box.x + (wrap ? (box.width - laid.width) * alignX : 0), box.y + (wrap ? (box.height - laid.height) * alignY : 0));
+    }
+    const size = box ? box.outer : { width: 0, height: 0 };
+    return {
+      width: outer.left + size.width + outer.right,
+      height: outer.top + size.height + outer.bottom,
+      shapes: exportVerifierMove([...(root ? [] : decorations), ...content], offsetX, offsetY)
+    };
+  };
+
+  const [root] = exportVerifierBlock(content, /fun \w+\([\s\S]*?\n\) \{/);
+  // The root box's own background is the page
+  const tree = view(root, true);
+  if (!tree) {
+    throw new SyntaxError('Compose function has no root layout');
+  }
+  return tree.shapes;
+}
+
+/**
+ * Paint of a Flutter color or shader
+ * @private
+ */
+function exportVerifierFlutterPaint(node, colors) {
+  if (!node) return undefined;
+  const name = exportVerifierName(node);
+  if (node.t === 'call' && node.callee.t === 'member' && /^with(Opacity|Alpha|Values)$/.test(node.callee.name)) {
+    return exportVerifierFlutterPaint(node.callee.object, colors);
+  }
+  if (/Gradient/.test(name)) return 'gradient';
+  if (node.t === 'call' && name === 'Color') {
+    const argb = exportVerifierNumber(exportVerifierArg(node, undefined, 0));
+    return argb === undefined || argb < 0x1000000 ? undefined : `#${(argb % 0x1000000).toString(16).padStart(6, '0')}`;
+  }
+  const token = /^\w+\.(\w+)$/.exec(name);
+  if (token && node.t === 'member') {
+    return colors[token[1].toLowerCase()] || { white: '#ffffff', black: '#000000' }[token[1]];
+  }
+  return undefined;
+}
+
+/**
+ * Shapes of a Flutter widget: boxes from its painter, text from its widget tree
+ * @private
+ */
+function exportVerifierReadFlutter(content, tokens) {
+  const colors = exportVerifierTokenColors(tokens);
+  const paint = (node) => exportVerifierFlutterPaint(node, colors);
+  const scope = {};
+  for (const [, name, literal] of content.matchAll(/this\.(\w+) = '((?:[^'\\]|\\.)*)'/g)) {
+    scope[name] = exportVerifierUnescape(literal);
+  }
+  const number = (node) => exportVerifierNumber(node);
+  const arg = (node, name, index) => exportVerifierArg(node, name, index);
+  const text = (node) => {
+    if (!node) return '';
+    if (node.t === 'str') return exportVerifierString(node.raw, (name) => scope[name] ?? '', 'kotlin');
+    return node.t === 'name' ? String(scope[node.v] ?? '') : '';
+  };
+
+  // Painter: drawRect, drawRRect, drawCircle and drawPath calls
+  const rect = (node) => {
+    const name = exportVerifierName(node);
+    const [a, b, c, d] = [0, 1, 2, 3].map((i) => number(arg(node, undefined, i)));
+    switch (name) {
+      case 'Rect.fromLTWH': return { x: a, y: b, width: c, height: d };
+      case 'Rect.fromLTRB': return { x: a, y: b, width: c - a, height: d - b };
+      case 'Rect.fromCircle': {
+        const center = arg(node, 'center');
+        const radius = number(arg(node, 'radius'));
+        return { x: number(arg(center, undefined, 0)) - radius, y: number(arg(center, undefined, 1)) - radius, width: radius * 2, height: radius * 2 };
+      }
+      default:
+        return /^RRect\./.test(name) ? rect(arg(node, undefined, 0)) : null;
+    }
+  };
+  const paintOf = (node) => {
+    const ops = node && node.t === 'cascade' ? node.ops : [];
+    const value = (key) => {
+      const op = ops.find((item) => item.name === key);
+      return op && op.value;
+    };
+    if (value('maskFilter')) return null;
+    const color = value('shader') ? 'gradient' : paint(value('color'));
+    const stroke = exportVerifierName(value('style')) === 'PaintingStyle.stroke';
+    return color ? { [stroke ? 'stroke' : 'fill']: color } : {};
+  };
+  const shapes = [];
+  exportVerifierBlock(content, /void paint\(Canvas canvas, Size size\) \{/).forEach((statement) => {
+    if (statement.t !== 'call' || statement.callee.t !== 'member') return;
+    const style = paintOf(statement.args[statement.args.length - 1] && statement.args[statement.args.length - 1].value);
+    if (!style) return;
+    const first = arg(statement, undefined, 0);
+    let items = [];
+    switch (statement.callee.name) {
+      case 'drawRect':
+      case 'drawRRect':
+      case 'drawOval': {
+        const box = rect(first);
+        // "Offset.zero & size" is the page
+        if (box) items = exportVerifierFit([{ kind: 'rect', ...style }], box.x, box.y, box.width, box.height);
+        break;
+      }
+      case 'drawCircle': {
+        const radius = number(arg(statement, undefined, 1));
+        const cx = number(arg(first, undefined, 0));
+        const cy = number(arg(first, undefined, 1));
+        items = exportVerifierFit([{ kind: 'rect', ...style }], cx - radius, cy - radius, radius * 2, radius * 2);
+        break;
+      }
+      case 'drawPath': {
+        // Dashed strokes draw a copy of the path: _dash(path, pattern)
+        const path = /^_/.test(exportVerifierName(first)) ? arg(first, undefined, 0) : first;
+        const ops = path && path.t === 'cascade' ? path.ops : [];
+        const shape = ops.length === 1 && ['addRRect', 'addRect', 'addOval'].includes(ops[0].name) ? rect(ops[0].args[0].value) : null;
+        if (shape) {
+          items = exportVerifierFit([{ kind: 'rect', ...style }], shape.x, shape.y, shape.width, shape.height);
+        } else {
+          items = exportVerifierFit([{ kind: 'path', commands: exportVerifierPathSteps(ops.map((op) => ({ name: op.name, args: op.args || [] })), 0, 0), ...style }], 0, 0, 0, 0);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    shapes.push(...items);
+  });
+
+  // Widget tree: text placed by Positioned, SizedBox, Container, Padding, Column, Row and Stack
+  const edges = (node) => {
+    const name = exportVerifierName(node);
+    const value = (key) => number(arg(node, key)) || 0;
+    if (name === 'EdgeInsets.all') {
+      const all = number(arg(node, undefined, 0)) || 0;
+      return { left: all, top: all, right: all, bottom: all };
+    }
+    if (name === 'EdgeInsets.symmetric') {
+      return { left: value('horizontal'), top: value('vertical'), right: value('horizontal'), bottom: value('vertical') };
+    }
+    if (name === 'EdgeInsets.fromLTRB') {
+      const [left, top, right, bottom] = [0, 1, 2, 3].map((i) => number(arg(node, undefined, i)) || 0);
+      return { left, top, right, bottom };
+    }
+    return { left: value('left'), top: value('top'), right: value('right'), bottom: value('bottom') };
+  };
+  const sized = (view) => (view.items ? { width: 0, height: 0, shapes: exportVerifierFit(view.items, 0, 0, 0, 0) } : view);
+  const widget = (node) => {
+    if (!node || node.t !== 'call') return null;
+    const name = exportVerifierName(node);
+    const child = () => widget(arg(node, 'child'));
+    const children = () => {
+      const list = arg(node, 'children');
+      return list && list.t === 'list' ? list.items.map(widget).filter(Boolean) : [];
+    };
+    switch (name) {
+      case 'Positioned': {
+        const inner = child();
+        return inner && { ...sized(inner), position: [number(arg(node, 'left')) || 0, number(arg(node, 'top')) || 0] };
+      }
+      case 'Positioned.fill':
+      case 'CustomPaint':
+        return null;
+      case 'Text': {
+        const fill = paint(arg(arg(node, 'style'), 'color'));
+        return { items: [{ kind: 'text', text: text(arg(node, undefined, 0)), fill }] };
+      }
+      case 'SizedBox':
+      case 'Container': {
+        const inner = child();
+        const pad = edges(arg(node, 'padding'));
+        const width = number(arg(node, 'width'));
+        const height = number(arg(node, 'height'));
+        if (!inner) return { width: width || 0, height: height || 0, shapes: [] };
+        const frameWidth = width === undefined ? (inner.width || 0) + pad.left + pad.right : width;
+        const frameHeight = height === undefined ? (inner.height || 0) + pad.top + pad.bottom : height;
+        const innerWidth = frameWidth - pad.left - pad.right;
+        const innerHeight = frameHeight - pad.top - pad.bottom;
+        if (inner.items) {
+          return { width: frameWidth, height: frameHeight, shapes: exportVerifierFit(inner.items, pad.left, pad.top, innerWidth, innerHeight) };
+        }
+        const [alignX, alignY] = name === 'Container' ? exportVerifierAlign(exportVerifierName(arg(node, 'alignment')).replace(/^Alignment\./, '')) : [0, 0];
+        return {
+          width: frameWidth,
+          height: frameHeight,
+          shapes: exportVerifierMove(inner.shapes, pad.left + (innerWidth - inner.width) * alignX, pad.top + (innerHeight - inner.height) * alignY)
+        };
+      }
+      case 'Padding': {
+        const inner = child();
+        if (!inner) return null;
+        const pad = edges(arg(node, 'padding'));
+        const view = sized(inner);
+        return { width: view.width + pad.left + pad.right, height: view.height + pad.top + pad.bottom, shapes: exportVerifierMove(view.shapes, pad.left, pad.top) };
+      }
+      case 'Column':
+      case 'Row':
+        return exportVerifierStack(children().map(sized), name === 'Column' ? 'vertical' : 'horizontal', 0,
+          exportVerifierCross(exportVerifierName(arg(node, 'crossAxisAlignment')).replace(/^CrossAxisAlignment\./, '')));
+      case 'Stack': {
+        const views = children().map(sized);
+        const width = Math.max(0, ...views.map((view) => (view.position ? view.position[0] : 0) + view.width));
+        const height = Math.max(0, ...views.map((view) => (view.position ? view.position[1] : 0) + view.height));
+        return { width, height, shapes: views.flatMap((view) => exportVerifierMove(view.shapes, ...(view.position || [0, 0]))) };
+      }
+      default:
+        if (/^Image\b/.test(name)) {
+          return { width: number(arg(node, 'width')) || 0, height: number(arg(node, 'height')) || 0, shapes: [] };
+        }
+        return arg(node, 'child') ? child() : null;
+    }
+  };
+  const [root] = exportVerifierBlock(content, /Widget build\(BuildContext context\) \{/);
+  const tree = widget(root);
+  return [...shapes, ...(tree ? sized(tree).shapes : [])];
+}
+
+/**
+ * Tokens of PDF content or PostScript: numbers, names, strings (as bytes), operators
+ * @private
+ */
+function exportVerifierPostScript(source) {
+  const tokens = [];
+  const WORD = /\/?[^\s/[\]{}()<>%]*/y;
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+    } else if (char === '(') {
+      const bytes = [];
+      let depth = 1;
+      for (i++; i < source.length; i++) {
+        const c = source[i];
+        if (c === '\\') {
+          const octal = /^[0-7]{1,3}/.exec(source.slice(i + 1, i + 4));
+          if (octal) {
+            bytes.push(parseInt(octal[0], 8) & 0xFF);
+            i += octal[0].length;
+          } else {
+            const escaped = source[++i];
+            if (escaped !== '\n') bytes.push({ n: 10, r: 13, t: 9, b: 8, f: 12 }[escaped] || escaped.charCodeAt(0));
+          }
+          continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) break;
+        bytes.push(c.charCodeAt(0));
+      }
+      i++;
+      tokens.push({ bytes });
+    } else if (source.startsWith('<<', i) || source.startsWith('>>', i)) {
+      tokens.push({ op: source.slice(i, i + 2) });
+      i += 2;
+    } else if (char === '<') {
+      const end = source.indexOf('>', i);
+      const hex = source.slice(i + 1, end).replace(/\s/g, '');
+      tokens.push({ bytes: (hex.match(/../g) || []).map((pair) => parseInt(pair, 16)) });
+      i = end + 1;
+    } else if ('[]{}'.includes(char)) {
+      tokens.push({ op: char });
+      i++;
+    } else {
+      WORD.lastIndex = i;
+      const word = WORD.exec(source)[0] || char;
+      i += word.length;
+      if (word[0] === '/') tokens.push({ name: word.slice(1) });
+      else if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(word)) tokens.push({ number: Number(word) });
+      else tokens.push({ op: word });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Character of a glyph name ("uni0417", "u1F464", "quotesingle")
+ * @private
+ */
+function exportVerifierGlyph(name) {
+  const unicode = /^u(?:ni)?([0-9A-F]{4,6})$/i.exec(name);
+  if (unicode) return String.fromCodePoint(parseInt(unicode[1], 16));
+  return { quotesingle: '\'', grave: '`', space: ' ' }[name] || '';
+}
+
+/**
+ * Text of string bytes in a font encoding (code: character), ASCII elsewhere
+ * @private
+ */
+function exportVerifierDecode(bytes, encoding) {
+  return bytes.map((byte) => (encoding && encoding[byte] !== undefined ? encoding[byte] : String.fromCharCode(byte))).join('');
+}
+
+/**
+ * Builds boxes and text runs from path and text operators, flipping PDF/PostScript
+ * y-up coordinates to the scene's y-down
+ * @private
+ */
+function exportVerifierPrinter(height) {
+  const shapes = [];
+  let path = [];
+  let text = null;
+  return {
+    shapes,
+    move(x, y) { path.push({ command: 'M', points: [x, height - y] }); },
+    line(x, y) { path.push({ command: 'L', points: [x, height - y] }); },
+    curve(...points) { path.push({ command: 'C', points: points.map((value, i) => (i % 2 ? height - value : value)) }); },
+    close() { path.push({ command: 'Z', points: [] }); },
+    rect(x, y, width, h) {
+      this.move(x, y);
+      this.line(x + width, y);
+      this.line(x + width, y + h);
+      this.line(x, y + h);
+      this.close();
+    },
+    bounds() { return exportVerifierBounds(path); },
+    paint(style) {
+      const bounds = exportVerifierBounds(path);
+      path = [];
+      if (bounds) shapes.push({ type: 'box', ...bounds, ...style });
+    },
+    clear() { path = []; },
+    // A text block: lines start at a point, show runs append to the current line
+    begin() { text = { lines: [] }; },
+    show(x, y, newLine, string, fill) {
+      if (!text) this.begin();
+      if (newLine || !text.lines.length) text.lines.push({ x, y: height - y, text: '', fill });
+      text.lines[text.lines.length - 1].text += string;
+    },
+    end() {
+      if (text && text.lines.length) {
+        const [first] = text.lines;
+        const value = text.lines.map((line) => line.text).join(' ').replace(/\s+/g, ' ').trim();
+        if (value) shapes.push({ type: 'text', text: value, left: first.x, baseline: first.y, ...(first.fill ? { fill: first.fill } : {}) });
+      }
+      text = null;
+    }
+  };
+}
+
+/**
+ * Drop a first full-page fill: the page background both print formats start with
+ * @private
+ */
+function exportVerifierPage(shapes, width, height) {
+  const [first] = shapes;
+  const page = first && first.type === 'box' && first.fill && !first.stroke &&
+    Math.abs(first.x) < 0.01 && Math.abs(first.y) < 0.01 && Math.abs(first.width - width) < 0.01 && Math.abs(first.height - height) < 0.01;
+  return page ? shapes.slice(1) : shapes;
+}
+
+/**
+ * Shapes of a PDF: interprets the page content stream
+ * @private
+ */
+function exportVerifierReadPDF(content) {
+  const objects = new Map();
+  for (const [, id, body] of content.matchAll(/(\d+) 0 obj\s*([\s\S]*?)\s*endobj/g)) {
+    objects.set(id, body);
+  }
+  const page = [...objects.values()].find((body) => /\/Type\s*\/Page\b/.test(body));
+  const media = page && /\/MediaBox\s*\[\s*([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s*\]/.exec(page);
+  const contents = page && /\/Contents\s+(\d+) 0 R/.exec(page);
+  if (!media || !contents) {
+    throw new SyntaxError('PDF has no page with contents');
+  }
+  const stream = /stream\r?\n([\s\S]*?)\r?\nendstream/.exec(objects.get(contents[1]) || '');
+  const [width, height] = [Number(media[3]) - Number(media[1]), Number(media[4]) - Number(media[2])];
+
+  // Font encodings from /Differences [32 /uni0020 ... 128 /uni0417 ...]
+  const fonts = {};
+  const resources = /\/Font\s*<<([^>]*)>>/.exec(page);
+  for (const [, name, ref] of ((resources && resources[1]) || '').matchAll(/\/(\S+)\s+(\d+) 0 R/g)) {
+    const differences = /\/Differences\s*\[([^\]]*)\]/.exec(objects.get(ref) || '');
+    const encoding = {};
+    let code = 0;
+    for (const [, number, glyph] of ((differences && differences[1]) || '').matchAll(/(\d+)|\/([\w.]+)/g)) {
+      if (number) code = Number(number);
+      else encoding[code++] = exportVerifierGlyph(glyph);
+    }
+    fonts[name] = encoding;
+  }
+
+  const out = exportVerifierPrinter(height);
+  const rgb = (values) => exportVerifierHex(...values);
+  let state = { fill: '#000000', stroke: '#000000', clip: null };
+  const saved = [];
+  let operands = [];
+  let clipping = false;
+  let font = null;
+  let line = { x: 0, y: 0, start: 0, fresh: true };
+  exportVerifierPostScript(stream ? stream[1] : '').forEach((token) => {
+    if (token.op === undefined || token.op === '[' || token.op === ']') {
+      operands.push(token);
+      return;
+    }
+    const values = operands.filter((operand) => operand.number !== undefined).map((operand) => operand.number);
+    switch (token.op) {
+      case 'q': saved.push(state); state = { ...state }; break;
+      case 'Q': state = saved.pop() || state; break;
+      case 'rg': state.fill = rgb(values); break;
+      case 'RG': state.stroke = rgb(values); break;
+      case 'g': state.fill = rgb([values[0], values[0], values[0]]); break;
+      case 'G': state.stroke = rgb([values[0], values[0], values[0]]); break;
+      case 'm': out.move(...values); break;
+      case 'l': out.line(...values); break;
+      case 'c': out.curve(...values); break;
+      case 're': out.rect(...values); break;
+      case 'h': out.close(); break;
+      case 'f': case 'F': case 'f*': out.paint({ fill: state.fill }); break;
+      case 'S': out.paint({ stroke: state.stroke }); break;
+      case 's': out.close(); out.paint({ stroke: state.stroke }); break;
+      case 'B': case 'B*': out.paint({ fill: state.fill, stroke: state.stroke }); break;
+      case 'b': case 'b*': out.close(); out.paint({ fill: state.fill, stroke: state.stroke }); break;
+      case 'W': case 'W*': clipping = true; break;
+      case 'n':
+        if (clipping) state.clip = out.bounds();
+        clipping = false;
+        out.clear();
+        break;
+      case 'sh':
+        if (state.clip) out.shapes.push({ type: 'box', ...state.clip, fill: 'gradient' });
+        break;
+      case 'BT': out.begin(); break;
+      case 'ET': out.end(); break;
+      case 'Tf': font = operands.find((operand) => operand.name) ? operands.find((operand) => operand.name).name : font; break;
+      case 'Tm': line = { x: values[4], y: values[5], fresh: true }; break;
+      case 'Td': case 'TD': line = { x: line.x + values[0], y: line.y + values[1], fresh: true }; break;
+      case 'Tj':
+      case 'TJ':
+      case '\'':
+        operands.filter((operand) => operand.bytes).forEach((operand) => {
+          out.show(line.x, line.y, line.fresh || token.op === '\'', exportVerifierDecode(operand.bytes, fonts[font]), state.fill);
+          line.fresh = false;
+        });
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  });
+  return exportVerifierPage(out.shapes, width, height);
+}
+
+/**
+ * Shapes of an EPS file: interprets the PostScript after the prolog
+ * @private
+ */
+function exportVerifierReadEPS(content) {
+  const box = /%%BoundingBox:\s*([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)\s+([-\d.]+)/.exec(content);
+  const prolog = content.indexOf('%%EndProlog');
+  if (!box || prolog < 0) {
+    throw new SyntaxError('EPS has no bounding box or prolog');
+  }
+  const [width, height] = [Number(box[3]) - Number(box[1]), Number(box[4]) - Number(box[2])];
+
+  // Embedded fonts: "/F1 10 dict begin ... dup 128 /uni0417 put ... definefont"
+  const fonts = {};
+  for (const [, name, body] of content.slice(0, prolog).matchAll(/\/(\S+) \d+ dict begin([\s\S]*?)definefont/g)) {
+    fonts[name] = {};
+    for (const [, code, glyph] of body.matchAll(/dup (\d+) \/([\w.]+) put/g)) {
+      fonts[name][code] = exportVerifierGlyph(glyph);
+    }
+  }
+
+  const out = exportVerifierPrinter(height);
+  let color = '#000000';
+  const saved = [];
+  let font = null;
+  let point = { x: 0, y: 0, fresh: true };
+  // Blank lines separate drawing blocks: one text block is one text run
+  content.slice(prolog).split(/\n\s*\n/).forEach((block) => {
+    const stack = [];
+    exportVerifierPostScript(block).forEach((token) => {
+      if (token.op === undefined) {
+        stack.push(token);
+        return;
+      }
+      const pop = (count) => stack.splice(-count, count).map((operand) => operand.number);
+      switch (token.op) {
+        case 'newpath': out.clear(); break;
+        case 'moveto': {
+          const [x, y] = pop(2);
+          out.move(x, y);
+          point = { x, y, fresh: true };
+          break;
+        }
+        case 'lineto': out.line(...pop(2)); break;
+        case 'curveto': out.curve(...pop(6)); break;
+        case 'closepath': out.close(); break;
+        case 'setrgbcolor': color = exportVerifierHex(...pop(3)); break;
+        case 'setgray': { const [gray] = pop(1); color = exportVerifierHex(gray, gray, gray); break; }
+        case 'fill': case 'eofill': out.paint({ fill: color }); break;
+        case 'stroke': out.paint({ stroke: color }); break;
+        case 'clip': case 'eoclip': break;
+        case 'gsave': saved.push(color); break;
+        case 'grestore': color = saved.length ? saved.pop() : color; break;
+        case 'findfont': stack.push({ font: (stack.pop() || {}).name }); break;
+        case 'scalefont': stack.pop(); break;
+        case 'setfont': font = (stack.pop() || {}).font; break;
+        case 'show': {
+          const string = stack.pop();
+          out.clear();
+          out.show(point.x, point.y, point.fresh, exportVerifierDecode((string && string.bytes) || [], fonts[font]), color);
+          point.fresh = false;
+          break;
+        }
+        default:
+          stack.length = 0;
+          break;
+      }
+    });
+    out.end();
+  });
+  return exportVerifierPage(out.shapes, width, height);
+}
+
+/**
+ * Shapes of a Lottie animation at its first frame
+ * @private
+ */
+function exportVerifierReadLottie(content) {
+  const animation = JSON.parse(content);
+  const layers = animation.layers || [];
+  const byIndex = new Map(layers.map((layer) => [layer.ind, layer]));
+  // Value of a property at the first frame
+  const value = (property, fallback) => {
+    if (!property || property.k === undefined) return fallback;
+    return property.a ? property.k[0].s : property.k;
+  };
+  const color = (property) => {
+    const [r, g, b] = value(property, [0, 0, 0]);
+    return exportVerifierHex(r, g, b);
+  };
+  // Point mapping of a transform (position, anchor and scale), inside a parent mapping
+  const transform = (ks, parent) => {
+    const [px, py] = value(ks && ks.p, [0, 0]);
+    const [ax, ay] = value(ks && ks.a, [0, 0]);
+    const [sx, sy] = value(ks && ks.s, [100, 100]);
+    return (x, y) => parent(px + ((x - ax) * sx) / 100, py + ((y - ay) * sy) / 100);
+  };
+  const layerTransform = (layer, depth = 0) => {
+    const parent = layer.parent !== undefined && depth < layers.length && byIndex.get(layer.parent);
+    return transform(layer.ks, parent ? layerTransform(parent, depth + 1) : (x, y) => [x, y]);
+  };
+
+  const shapes = [];
+  const group = (items, map) => {
+    const matrix = transform((items.find((item) => item.ty === 'tr') || {}), map);
+    items.filter((item) => item.ty === 'gr').forEach((item) => group(item.it || [], matrix));
+    const geometry = items.filter((item) => ['rc', 'el', 'sh'].includes(item.ty));
+    if (geometry.length !== 1) {
+      return;
+    }
+    const [shape] = geometry;
+    let commands;
+    if (shape.ty === 'sh') {
+      const { v = [], i: inTangents = [], o: outTangents = [], c } = value(shape.ks, {});
+      commands = v.map((vertex, i) => {
+        const point = matrix(...vertex);
+        if (i === 0) return { command: 'M', points: point };
+        const [prev, out, inn] = [v[i - 1], outTangents[i - 1] || [0, 0], inTangents[i] || [0, 0]];
+        return out.some(Boolean) || inn.some(Boolean)
+          ? { command: 'C', points: [...matrix(prev[0] + out[0], prev[1] + out[1]), ...matrix(vertex[0] + inn[0], vertex[1] + inn[1]), ...point] }
+          : { command: 'L', points: point };
+      });
+      if (c) commands.push({ command: 'Z', points: [] });
+    } else {
+      const [cx, cy] = value(shape.p, [0, 0]);
+      const [w, h] = value(shape.s, [0, 0]);
+      const [x1, y1] = matrix(cx - w / 2, cy - h / 2);
+      const [x2, y2] = matrix(cx + w / 2, cy + h / 2);
+      commands = [
+        { command: 'M', points: [x1, y1] }, { command: 'L', points: [x2, y1] }, { command: 'L', points: [x2, y2] },
+        { command: 'L', points: [x1, y2] }, { command: 'Z', points: [] }
+      ];
+    }
+    const bounds = exportVerifierBounds(commands);
+    const fill = items.find((item) => item.ty === 'fl' || item.ty === 'gf');
+    const stroke = items.find((item) => item.ty === 'st' || item.ty === 'gs');
+    const paint = (item) => (item.ty === 'gf' || item.ty === 'gs' ? 'gradient' : color(item.c));
+    if (bounds && (fill || stroke)) {
+      shapes.push({ type: 'box', ...bounds, ...(fill ? { fill: paint(fill) } : {}), ...(stroke ? { stroke: paint(stroke) } : {}) });
+    }
+  };
+
+  // Layers are listed top first; only those visible at the first frame count
+  [...layers].reverse().forEach((layer) => {
+    if (layer.hd || (layer.ip || 0) > 0 || layer.op <= 0) {
+      return;
+    }
+    const map = layerTransform(layer);
+    if (layer.ty === 4) {
+      group(layer.shapes || [], map);
+    } else if (layer.ty === 5 && layer.t && layer.t.d && layer.t.d.k && layer.t.d.k[0]) {
+      const style = layer.t.d.k[0].s;
+      const [x, y] = map(0, 0);
+      const text = String(style.t || '').replace(/\s+/g, ' ').trim();
+      if (text) shapes.push({ type: 'text', text, anchorX: x, baseline: y, ...(style.fc ? { fill: exportVerifierHex(...style.fc) } : {}) });
+    }
+  });
+  return shapes;
+}
+
+/**
+ * Readers by target name
+ * @const {Object<string, function(string, Object): VerifierShape[]>}
+ */
+const EXPORT_VERIFIER_READERS = Object.freeze({
+  svg: (content) => exportVerifierReadSVG(content),
+  'web-component': (content) => exportVerifierReadWebComponent(content),
+  'react-native': (content, tokens) => exportVerifierReadJSX(content, tokens),
+  swiftui: (content, tokens) => exportVerifierReadSwiftUI(content, tokens),
+  compose: (content, tokens) => exportVerifierReadCompose(content, tokens),
+  'vector-drawable': (content) => exportVerifierReadVectorDrawable(content),
+  flutter: (content, tokens) => exportVerifierReadFlutter(content, tokens),
+  lottie: (content) => exportVerifierReadLottie(content),
+  pdf: (content) => exportVerifierReadPDF(content),
+  eps: (content) => exportVerifierReadEPS(content)
+});
+
+/**
+ * Short description of a shape for mismatch reports
+ * @private
+ */
+function exportVerifierLabel(shape) {
+  if (shape.id) return `${shape.type} #${shape.id}`;
+  if (shape.type === 'text') return `text "${shape.text}"`;
+  const at = [shape.x, shape.y, shape.width, shape.height].map((value) => Math.round(value * 100) / 100);
+  return `box ${at.join(',')}`;
+}
+
+const ExportVerifier = Object.freeze({
+  /**
+   * Targets that can be read back
+   * @type {string[]}
+   */
+  TARGETS: Object.freeze(Object.keys(EXPORT_VERIFIER_READERS)),
+
+  /**
+   * Shapes a target should draw for a scene: painted frames, rects,
+   * circles, box-shaped paths, QR backgrounds, and text
+   *
+   * @param {Scene} scene - Scene graph
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.target] - Target, to leave out what it cannot draw (text in VectorDrawable, transparency in EPS)
+   * @param {Object} [options.tokens] - Design tokens, for token-colored gradients
+   * @returns {VerifierShape[]} Shapes in paint order
+   */
+  expected(scene, options = {}) {
+    const omits = EXPORT_VERIFIER_OMITS[options.target] || {};
+    const tokens = options.tokens || { colors: {} };
+    const shapes = [];
+    // Paint and the opacity it is drawn with
+    const paint = (value, alpha) => {
+      if (value === undefined || value === null || value === 'none') return null;
+      const def = SceneGraph.def(scene, value);
+      if (def) {
+        const gradient = SceneGraph.gradient(def, tokens);
+        if (!gradient) return null;
+        const stops = gradient.stops.map((stop) => (stop.opacity === undefined ? 1 : stop.opacity) * ((SceneGraph.color(stop.color) || { a: 1 }).a));
+        return { paint: 'gradient', alpha: alpha * Math.min(...stops) };
+      }
+      const color = SceneGraph.color(value);
+      if (!color || color.a === 0) return null;
+      return { paint: exportVerifierHex(color.r, color.g, color.b), alpha: alpha * color.a };
+    };
+    const keep = (value) => (value && !(omits.translucent && value.alpha < 1) ? value : null);
+
+    const visit = (node, alpha) => {
+      const opacity = alpha * (node.opacity === undefined ? 1 : node.opacity);
+      const box = (fillValue, x, y, width, height) => {
+        const fill = keep(paint(fillValue, opacity));
+        const stroke = omits.dash && node.dash ? null : keep(paint(node.stroke, opacity));
+        if (fill || stroke) {
+          shapes.push({ type: 'box', id: node.id, x, y, width, height, ...(fill ? { fill: fill.paint } : {}), ...(stroke ? { stroke: stroke.paint } : {}) });
+        }
+      };
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'rect':
+          box(node.fill, node.x, node.y, node.width, node.height);
+          break;
+        case 'circle':
+          box(node.fill, node.x + node.width / 2 - node.r, node.y + node.height / 2 - node.r, node.r * 2, node.r * 2);
+          break;
+        case 'path': {
+          const bounds = exportVerifierBounds(SceneGraph.pathCommands(node.d, node.x, node.y));
+          if (bounds) box(node.fill, bounds.x, bounds.y, bounds.width, bounds.height);
+          break;
+        }
+        case 'qr':
+          if (node.background !== undefined) {
+            const background = keep(paint(node.background, opacity));
+            if (background) shapes.push({ type: 'box', id: node.id, x: node.x, y: node.y, width: node.width, height: node.height, fill: background.paint });
+          }
+          break;
+        case 'text': {
+          const fill = paint(node.fill, opacity);
+          if (omits.text || String(node.text || '').trim() === '' || (omits.translucent && (fill ? fill.alpha : opacity) < 1)) break;
+          const lines = node.lines || [String(node.text)];
+          const anchor = node.anchor === 'middle' ? 0.5 : node.anchor === 'end' ? 1 : 0;
+          shapes.push({
+            type: 'text',
+            id: node.id,
+            text: String(node.text),
+            lines,
+            x: node.x,
+            y: node.y,
+            width: node.width,
+            height: node.height,
+            anchorX: node.x + node.width * anchor,
+            left: node.x + (node.width - TextLayout.measure(lines[0] || '', node)) * anchor,
+            baseline: node.baseline,
+            ...(fill ? { fill: fill.paint } : {})
+          });
+          break;
+        }
+        default:
+          break;
+      }
+      (node.children || []).forEach((child) => visit(child, opacity));
+    };
+    scene.nodes.forEach((node) => visit(node, 1));
+    return exportVerifierMerge(shapes);
+  },
+
+  /**
+   * Read a generated file back into shapes
+   *
+   * @param {string} target - One of ExportVerifier.TARGETS
+   * @param {string} content - Generated file (SVG, TSX, Swift, Kotlin, XML, Dart, JS, Lottie JSON, PDF or EPS)
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.tokens] - Design tokens the file references (colors.primary, Color.diiaPrimary...)
+   * @returns {VerifierShape[]} Shapes in paint order
+   * @throws {RangeError} If the target has no reader
+   * @throws {SyntaxError} If the file is not in the shape the exporter writes
+   * @example
+   * ExportVerifier.parse('pdf', engine.toPDF({}));
+   * // [{type: 'box', x: 0, y: 0, width: 360, height: 680, fill: '#e2ecf4'}, ...]
+   */
+  parse(target, content, options = {}) {
+    const reader = EXPORT_VERIFIER_READERS[target];
+    if (!reader) {
+      throw new RangeError(`No reader for export target "${target}". Available: ${ExportVerifier.TARGETS.join(', ')}`);
+    }
+    return exportVerifierMerge(reader(String(content), options.tokens || { colors: {} }));
+  },
+
+  /**
+   * Compare expected and generated shapes: pairs them by kind, text and
+   * position, then reports what moved, changed paint or text, or is missing
+   *
+   * @param {VerifierShape[]} expected - Shapes from the scene
+   * @param {VerifierShape[]} actual - Shapes read from a file
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.tolerance=0.5] - Largest position difference that still matches
+   * @returns {{matched: number, mismatches: Object[]}} Paired shapes and the differences:
+   *   {kind: 'missing'|'extra'|'geometry'|'paint'|'text', shape, property?, expected?, actual?}
+   */
+  diff(expected, actual, options = {}) {
+    const tolerance = options.tolerance === undefined ? 0.5 : options.tolerance;
+    const flat = (text) => String(text).replace(/\s+/g, ' ').trim();
+    const sameText = (want, got) => [want.text, (want.lines || []).join(' ')].map(flat).includes(flat(got.text));
+    const keys = (want, got) => EXPORT_VERIFIER_GEOMETRY.filter((key) => want[key] !== undefined && got[key] !== undefined);
+    const distance = (want, got) => keys(want, got).reduce((sum, key) => sum + Math.abs(want[key] - got[key]), 0);
+    const samePaint = (want, got) => {
+      if (want === got || want === 'gradient' || got === 'gradient') return want !== undefined || got === undefined;
+      if (!want || !got) return false;
+      const channels = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+      const [a, b] = [channels(want), channels(got)];
+      return a.every((value, i) => Math.abs(value - b[i]) <= EXPORT_VERIFIER_COLOR_TOLERANCE);
+    };
+    // Text color is compared when both sides have one: targets pick a color for unpainted text
+    const paintKeys = (want, got) => (want.type === 'text' ? ['fill'].filter((key) => want[key] && got[key]) : ['fill', 'stroke']);
+
+    const pairs = [];
+    expected.forEach((want, i) => actual.forEach((got, j) => {
+      if (want.type !== got.type) return;
+      const gap = distance(want, got);
+      const text = want.type !== 'text' || sameText(want, got);
+      if (!text && gap > tolerance * keys(want, got).length) return;
+      const paints = paintKeys(want, got).filter((key) => !samePaint(want[key], got[key])).length;
+      pairs.push({ i, j, cost: gap + paints * 100 + (text ? 0 : 10000) });
+    }));
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const wanted = new Set();
+    const found = new Set();
+    const mismatches = [];
+    let matched = 0;
+    pairs.forEach(({ i, j }) => {
+      if (wanted.has(i) || found.has(j)) return;
+      wanted.add(i);
+      found.add(j);
+      matched++;
+      const [want, got] = [expected[i], actual[j]];
+      const shape = exportVerifierLabel(want);
+      if (want.type === 'text' && !sameText(want, got)) {
+        mismatches.push({ kind: 'text', shape, expected: want.text, actual: got.text });
+      }
+      keys(want, got).forEach((key) => {
+        if (Math.abs(want[key] - got[key]) > tolerance) {
+          mismatches.push({ kind: 'geometry', shape, property: key, expected: Math.round(want[key] * 100) / 100, actual: Math.round(got[key] * 100) / 100 });
+        }
+      });
+      paintKeys(want, got).forEach((key) => {
+        if (!samePaint(want[key], got[key])) {
+          mismatches.push({ kind: 'paint', shape, property: key, expected: want[key] || 'none', actual: got[key] || 'none' });
+        }
+      });
+    });
+    expected.forEach((want, i) => {
+      if (!wanted.has(i)) mismatches.push({ kind: 'missing', shape: exportVerifierLabel(want) });
+    });
+    actual.forEach((got, j) => {
+      if (!found.has(j)) mismatches.push({ kind: 'extra', shape: exportVerifierLabel(got) });
+    });
+    return { matched, mismatches };
+  },
+
+  /**
+   * Verify a generated file against its scene
+   *
+   * @param {Scene} scene - Scene the file was generated from
+   * @param {string} target - One of ExportVerifier.TARGETS
+   * @param {string} content - Generated file
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.tokens] - Design tokens the file references
+   * @param {number} [options.tolerance=0.5] - Largest position difference that still matches
+   * @returns {{target: string, ok: boolean, shapes: number, matched: number, mismatches: Object[]}} Result
+   * @example
+   * const scene = SceneGraph.build('upload-screen', {}, { tokens });
+   * ExportVerifier.verify(scene, 'swiftui', engine.toSwiftUI({}), { tokens });
+   * // {target: 'swiftui', ok: true, shapes: 8, matched: 8, mismatches: []}
+   */
+  verify(scene, target, content, options = {}) {
+    const expected = ExportVerifier.expected(scene, { target, tokens: options.tokens });
+    const actual = ExportVerifier.parse(target, content, options);
+    const { matched, mismatches } = ExportVerifier.diff(expected, actual, options);
+    return { target, ok: mismatches.length === 0, shapes: expected.length, matched, mismatches };
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExportVerifier;
+}
+if (typeof window !== 'undefined') {
+  window.ExportVerifier = ExportVerifier;
+}
@@ -1,163 +1,83 @@
 /**
  * Figma Simulator - Static Asset Approach
- * 
+ *
  * Philosophy: "What happens when you export from design tools"
  * This simulates the bloat of static exports (large JSON or base64 images)
+ *
+ * Layers come from the same scene graph as VectorRenderer, so the export
+ * describes the screen the benchmark actually renders.
  */
 
+/* global SceneGraph, ScreenSchema, DiiaTokens */
+
 class FigmaSimulator {
-  constructor() {
+  /**
+   * @param {Object} [options={}] - Simulator options
+   * @param {VectorRenderer} [options.vectorRenderer] - Share theme, tokens and layout with the SVG renderer
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Color theme (without a vector renderer)
+   */
+  constructor(options = {}) {
     // Simulate a large design export
     this.exportFormat = 'json'; // or 'base64'
+    this.vectorRenderer = options.vectorRenderer || null;
+    this.theme = options.theme || 'light';
+  }
+
+  /**
+   * Design tokens (the vector renderer's when shared)
+   * @type {Object}
+   */
+  get tokens() {
+    return this.vectorRenderer ? this.vectorRenderer.tokens : DiiaTokens.resolve(this.theme);
   }
-  
+
+  /**
+   * Lay out a screen: same input rules as VectorRenderer.render
+   * @param {ScreenSchemaDocument|Object} [input={}] - Screen schema or component properties
+   * @param {Object} [props={}] - Props for a schema document
+   * @returns {Scene} Scene graph
+   */
+  buildScene(input = {}, props = {}) {
+    const [schema, values] = ScreenSchema.isSchema(input) ? [input, props] : [SceneGraph.templateFor(input), input];
+    return this.vectorRenderer
+      ? this.vectorRenderer.buildScene(schema, values)
+      : SceneGraph.build(schema, values, { tokens: this.tokens });
+  }
+
   /**
    * Generate a mock Figma export (intentionally bloated)
-   * @param {Object} props - Screen properties
+   * @param {ScreenSchemaDocument|Object} [input={}] - Screen schema or component properties
+   * @param {number} [scale=1] - Export scale
+   * @param {Object} [props={}] - Props for a schema document
    * @returns {string} Mock export data
    */
-  render(props = {}) {
+  render(input = {}, scale = 1, props = {}) {
+    const scene = this.buildScene(input, props);
+    const counter = { next: 1 };
+    const background = this._fills(this.tokens.colors.background, scene);
+
     // Simulate Figma's verbose JSON structure
     const mockExport = {
       version: "1.0",
       metadata: {
         tool: "Figma",
         exportDate: new Date().toISOString(),
-        artboardName: props.title || 'Upload Screen',
-        width: 360,
-        height: 680,
+        artboardName: scene.label || scene.name || 'Screen',
+        width: scene.width,
+        height: scene.height,
+        scale: Number(scale)
       },
       layers: [
         {
-          id: "layer_1",
+          id: `layer_${counter.next++}`,
           type: "FRAME",
           name: "Screen Container",
           x: 0,
           y: 0,
-          width: 360,
-          height: 680,
-          fills: [{ type: "SOLID", color: { r: 0.886, g: 0.925, b: 0.957 } }],
-          children: [
-            {
-              id: "layer_2",
-              type: "RECTANGLE",
-              name: "Card Background",
-              x: 8,
-              y: 16,
-              width: 344,
-              height: 648,
-              fills: [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }],
-              cornerRadius: 24,
-              children: [
-                {
-                  id: "layer_3",
-                  type: "TEXT",
-                  name: "Title",
-                  x: 24,
-                  y: 48,
-                  width: 296,
-                  height: 24,
-                  characters: props.title || 'Завантаження документів',
-                  style: {
-                    fontFamily: "e-Ukraine",
-                    fontWeight: 700,
-                    fontSize: 18,
-                    textAlignHorizontal: "LEFT",
-                    textAlignVertical: "TOP",
-                    letterSpacing: 0,
-                    lineHeight: { value: 140, unit: "PERCENT" },
-                    fills: [{ type: "SOLID", color: { r: 0.067, g: 0.094, b: 0.153 } }]
-                  }
-                },
-                {
-                  id: "layer_4",
-                  type: "TEXT",
-                  name: "Description",
-                  x: 24,
-                  y: 80,
-                  width: 296,
-                  height: 20,
-                  characters: props.description || 'Додайте необхідні документи',
-                  style: {
-                    fontFamily: "e-Ukraine",
-                    fontWeight: 400,
-                    fontSize: 14,
-                    textAlignHorizontal: "LEFT",
-                    textAlignVertical: "TOP",
-                    letterSpacing: 0,
-                    lineHeight: { value: 140, unit: "PERCENT" },
-                    fills: [{ type: "SOLID", color: { r: 0.216, g: 0.255, b: 0.318 } }]
-                  }
-                },
-                {
-                  id: "layer_5",
-                  type: "FRAME",
-                  name: "Upload Zone",
-                  x: 24,
-                  y: 124,
-                  width: 312,
-                  height: 120,
-                  fills: [{ type: "SOLID", color: { r: 0.961, g: 0.973, b: 0.980 } }],
-                  strokes: [{ 
-                    type: "SOLID", 
-                    color: { r: 0.820, g: 0.835, b: 0.863 },
-                    strokeWeight: 2,
-                    strokeDashes: [8, 8]
-                  }],
-                  cornerRadius: 16,
-                  children: [
-                    {
-                      id: "layer_6",
-                      type: "TEXT",
-                      name: "Upload Label",
-                      x: 106,
-                      y: 52,
-                      width: 100,
-                      height: 16,
-                      characters: "Додати файл",
-                      style: {
-                        fontFamily: "e-Ukraine",
-                        fontWeight: 400,
-                        fontSize: 16,
-                        textAlignHorizontal: "CENTER",
-                        fills: [{ type: "SOLID", color: { r: 0.420, g: 0.451, b: 0.502 } }]
-                      }
-                    }
-                  ]
-                },
-                {
-                  id: "layer_7",
-                  type: "RECTANGLE",
-                  name: "Next Button",
-                  x: 24,
-                  y: 276,
-                  width: 312,
-                  height: 56,
-                  fills: [{ type: "SOLID", color: { r: 0, g: 0, b: 0 } }],
-                  cornerRadius: 16,
-                  children: [
-                    {
-                      id: "layer_8",
-                      type: "TEXT",
-                      name: "Button Label",
-                      x: 131,
-                      y: 20,
-                      width: 50,
-                      height: 18,
-                      characters: "Далі",
-                      style: {
-                        fontFamily: "e-Ukraine",
-                        fontWeight: 600,
-                        fontSize: 18,
-                        textAlignHorizontal: "CENTER",
-                        fills: [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }]
-                      }
-                    }
-                  ]
-                }
-              ]
-            }
-          ]
+          width: scene.width,
+          height: scene.height,
+          fills: background,
+          children: scene.nodes.map((node) => this._layer(node, scene, { x: 0, y: 0 }, counter))
         }
       ],
       // Add more bloat: duplicate data, unnecessary metadata
@@ -175,11 +95,160 @@ class FigmaSimulator {
         data: "unused_metadata_for_bloat_simulation"
       }))
     };
-    
+
     // Return stringified JSON (intentionally uncompressed)
     return JSON.stringify(mockExport, null, 2);
   }
-  
+
+  /**
+   * Figma color ({r, g, b} in 0-1, rounded like Figma's exporter)
+   * @private
+   * @param {string} color - Hex color
+   * @returns {{r: number, g: number, b: number}|null} Color or null for non-hex values
+   */
+  _color(color) {
+    const rgb = SceneGraph.color(color);
+    if (!rgb) {
+      return null;
+    }
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return { r: round(rgb.r), g: round(rgb.g), b: round(rgb.b) };
+  }
+
+  /**
+   * Figma paints for a scene paint (solid colors and linear gradients)
+   * @private
+   * @param {string} [paint] - Scene paint
+   * @param {Scene} scene - Scene (for definitions)
+   * @returns {Object[]} Figma paints
+   */
+  _fills(paint, scene) {
+    const def = SceneGraph.def(scene, paint);
+    if (def) {
+      const gradient = SceneGraph.gradient(def, this.tokens);
+      return gradient
+        ? [{
+          type: "GRADIENT_LINEAR",
+          gradientHandlePositions: [{ x: gradient.x1, y: gradient.y1 }, { x: gradient.x2, y: gradient.y2 }],
+          gradientStops: gradient.stops.map((stop) => ({
+            position: stop.offset,
+            color: { ...this._color(stop.color), a: stop.opacity }
+          }))
+        }]
+        : [];
+    }
+    const color = paint === undefined || paint === 'none' ? null : this._color(paint);
+    return color ? [{ type: "SOLID", color }] : [];
+  }
+
+  /**
+   * Figma layer for one scene node, positioned relative to its parent layer
+   * @private
+   * @param {SceneNode} node - Scene node
+   * @param {Scene} scene - Scene
+   * @param {{x: number, y: number}} origin - Parent layer position
+   * @param {{next: number}} counter - Layer ID counter
+   * @returns {Object} Figma layer
+   */
+  _layer(node, scene, origin, counter) {
+    const layer = {
+      id: `layer_${counter.next++}`,
+      type: "RECTANGLE",
+      name: node.id || node.label || node.type,
+      x: node.x - origin.x,
+      y: node.y - origin.y,
+      width: node.width,
+      height: node.height
+    };
+    if (node.opacity !== undefined) {
+      layer.opacity = node.opacity;
+    }
+    if (node.stroke !== undefined && node.stroke !== 'none') {
+      layer.strokes = this._fills(node.stroke, scene).map((paint) => ({
+        ...paint,
+        strokeWeight: node.strokeWidth || 1,
+        strokeDashes: node.dash || []
+      }));
+    }
+    const shadow = SceneGraph.def(scene, node.filter);
+    if (shadow && shadow.type === 'dropShadow') {
+      layer.effects = [{
+        type: "DROP_SHADOW",
+        color: { ...this._color(shadow.color || SceneGraph.SHADOW_COLOR), a: shadow.opacity !== undefined ? shadow.opacity : 1 },
+        offset: { x: shadow.dx || 0, y: shadow.dy || 0 },
+        radius: (shadow.blur || 0) * 2
+      }];
+    }
+
+    switch (node.type) {
+      case 'frame':
+      case 'stack':
+      case 'group':
+        return {
+          ...layer,
+          type: "FRAME",
+          fills: this._fills(node.fill, scene),
+          cornerRadius: node.radius || 0,
+          clipsContent: Boolean(node.clip),
+          children: node.children.map((child) => this._layer(child, scene, node, counter))
+        };
+
+      case 'rect':
+        return { ...layer, fills: this._fills(node.fill, scene), cornerRadius: node.radius || 0 };
+
+      case 'circle':
+        return {
+          ...layer,
+          type: "ELLIPSE",
+          x: node.x + node.width / 2 - node.r - origin.x,
+          y: node.y + node.height / 2 - node.r - origin.y,
+          width: node.r * 2,
+          height: node.r * 2,
+          fills: this._fills(node.fill, scene)
+        };
+
+      case 'text':
+        return {
+          ...layer,
+          type: "TEXT",
+          name: node.id || node.text,
+          characters: node.text,
+          style: {
+            fontFamily: node.fontFamily,
+            fontWeight: Number(node.fontWeight) || (node.fontWeight === 'bold' ? 700 : 400),
+            fontSize: node.fontSize,
+            textAlignHorizontal: { middle: "CENTER", end: "RIGHT" }[node.anchor] || "LEFT",
+            textAlignVertical: "TOP",
+            textTruncation: node.truncated ? "ENDING" : "DISABLED",
+            maxLines: node.maxLines,
+            letterSpacing: 0,
+            lineHeight: { value: node.lineHeight, unit: "PIXELS" },
+            fills: this._fills(node.fill, scene)
+          }
+        };
+
+      case 'path':
+        return {
+          ...layer,
+          type: "VECTOR",
+          vectorPaths: [{ windingRule: "NONZERO", data: node.d }],
+          fills: this._fills(node.fill, scene)
+        };
+
+      case 'image':
+      case 'qr':
+      case 'pattern':
+        // Rasterized on export: an image fill pointing at an uploaded asset
+        return {
+          ...layer,
+          fills: [{ type: "IMAGE", scaleMode: node.fit === 'none' ? "STRETCH" : "FIT", imageRef: `asset_${node.type}_${layer.id}` }]
+        };
+
+      default:
+        return layer;
+    }
+  }
+
   /**
    * Get payload size in bytes
    * @param {Object} props - Screen properties
@@ -187,11 +256,13 @@ class FigmaSimulator {
    */
   getPayloadSize(props = {}) {
     const output = this.render(props);
-    return new Blob([output]).size;
+    return new TextEncoder().encode(output).length;
   }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = FigmaSimulator;
 }
-window.FigmaSimulator = FigmaSimulator;
+if (typeof window !== 'undefined') {
+  window.FigmaSimulator = FigmaSimulator;
+}
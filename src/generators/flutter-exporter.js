@@ -0,0 +1,572 @@
+/**
+ * Flutter Exporter - Scene graph to a Flutter widget
+ *
+ * Splits a laid out screen (see SceneGraph) the way the vector renderer splits
+ * it into a vector layer and an accessibility layer:
+ *   - a `CustomPainter` draws every shape in design units: fills, borders,
+ *     shadows, gradients, paths, QR codes and security patterns
+ *   - a widget tree on top carries the semantic parts: text, labels, buttons
+ *     and headings; containers whose children follow each other become
+ *     Column/Row inside a Container, the rest a Stack of Positioned children
+ *
+ * The screen's declared props become final fields with the exported values as
+ * defaults. Token-backed values read a `DiiaTokens` class, which tokensClass()
+ * generates from the active theme's tokens.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, Escape */
+
+/**
+ * FontWeight constants for CSS font weights
+ * @const {Object<string, string>}
+ */
+const FLUTTER_WEIGHTS = Object.freeze({
+  bold: 'FontWeight.w700', normal: 'FontWeight.w400', 100: 'FontWeight.w100', 200: 'FontWeight.w200', 300: 'FontWeight.w300',
+  400: 'FontWeight.w400', 500: 'FontWeight.w500', 600: 'FontWeight.w600', 700: 'FontWeight.w700', 800: 'FontWeight.w800', 900: 'FontWeight.w900'
+});
+
+/**
+ * Dart double literal rounded to 2 decimals ("12", "22.5")
+ * @private
+ * @param {number} value - Number
+ * @returns {string} Literal
+ */
+function flutterNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Single-quoted Dart string literal
+ * @private
+ * @param {*} value - Value
+ * @returns {string} Literal
+ */
+function flutterString(value) {
+  return `'${Escape.dartString(value)}'`;
+}
+
+/**
+ * lowerCamelCase Dart identifier ("upload-zone" -> "uploadZone", "user.name" -> "userName")
+ * @private
+ * @param {string} name - Name
+ * @returns {string} Identifier
+ */
+function flutterIdentifier(name) {
+  const words = String(name).split(/[^a-z0-9]+/i).filter(Boolean);
+  const identifier = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+  return /^[a-z_]/i.test(identifier) ? identifier : `v${identifier}`;
+}
+
+/**
+ * Dart expression for a {{prop}} template ("{{title}}" -> title, "№ {{n}}" -> '№ $n')
+ * @private
+ * @param {string} template - Template string
+ * @returns {string} Expression
+ */
+function flutterTemplate(template) {
+  const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+  if (single) {
+    return flutterIdentifier(single[1]);
+  }
+  const parts = template.split(/\{\{\s*([\w.]+)\s*\}\}/);
+  return `'${parts.map((part, i) => {
+    if (i % 2 === 0) return Escape.dartString(part);
+    // Braces only where the next character would continue the name
+    return /^\w/.test(parts[i + 1]) ? `\${${flutterIdentifier(part)}}` : `$${flutterIdentifier(part)}`;
+  }).join('')}'`;
+}
+
+/**
+ * Dart Color literal (0xAARRGGBB) for a color value
+ * @private
+ * @param {string} value - Hex or rgb()/rgba() color
+ * @param {number} [opacity] - Extra opacity 0-1
+ * @throws {TypeError} If the value is not a color
+ * @returns {string} Color expression
+ */
+function flutterColor(value, opacity) {
+  const color = SceneGraph.color(value);
+  if (!color) {
+    throw new TypeError(`Expected a hex or rgb() color, got "${value}"`);
+  }
+  const alpha = color.a * (opacity === undefined ? 1 : opacity);
+  const hex = [alpha, color.r, color.g, color.b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+  return `Color(0x${hex.toUpperCase()})`;
+}
+
+/**
+ * DiiaTokens member for a token path: colors drop their group
+ * ("colors.flag.blue" -> "flagBlue", "radius.xl" -> "radiusXl")
+ * @private
+ * @param {string} path - Token path
+ * @returns {string} Member name
+ */
+function flutterTokenName(path) {
+  return flutterIdentifier(path.replace(/^colors\./, ''));
+}
+
+const FlutterExporter = Object.freeze({
+  /**
+   * Name of the generated tokens class
+   * @const {string}
+   */
+  TOKENS_CLASS: 'DiiaTokens',
+
+  /**
+   * Library the generated widget imports the tokens class from
+   * @const {string}
+   */
+  TOKENS_LIBRARY: 'diia_tokens.dart',
+
+  /**
+   * Transpile a scene into a Dart library with one StatelessWidget
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.name] - Widget class name (default from the scene name)
+   * @param {Object} [options.tokens] - Resolved design tokens (hologram gradient colors)
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry (patterns are skipped without it)
+   * @returns {string} Dart source
+   * @example
+   * FlutterExporter.transpile(SceneGraph.build('upload-screen'), { name: 'DiiaUploadScreen' });
+   * // class DiiaUploadScreen extends StatelessWidget { ... final String title; ...
+   */
+  transpile(scene, options = {}) {
+    const n = flutterNumber;
+    const className = options.name || `Diia${flutterIdentifier(String(scene.name || 'screen').replace(/^diia-/, '')).replace(/^./, (c) => c.toUpperCase())}`;
+    const painterName = `_${className}Painter`;
+    const screenProps = new Map(Object.entries(scene.props || {}));
+    let dashes = false;
+
+    const token = (path) => `${FlutterExporter.TOKENS_CLASS}.${flutterTokenName(path)}`;
+    const tokenOf = (node, key) => node.tokens && node.tokens[key];
+    // Token-backed colors use the tokens class, everything else is spelled out
+    const color = (value, path) => (path && path.startsWith('colors.') && SceneGraph.color(value) ? token(path) : flutterColor(value));
+    const paintable = (value) => value !== undefined && value !== 'none' && (SceneGraph.def(scene, value) || SceneGraph.color(value));
+    const string = (node, kind, value) => {
+      const binding = node.bindings && node.bindings[kind];
+      if (!binding) {
+        return flutterString(value);
+      }
+      [...binding.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].forEach(([, prop]) => {
+        if (!screenProps.has(prop)) screenProps.set(prop, '');
+      });
+      return flutterTemplate(binding);
+    };
+
+    // ---- Vector layer: canvas calls in design units ----
+
+    const rect = (x, y, width, height) => `Rect.fromLTWH(${n(x)}, ${n(y)}, ${n(width)}, ${n(height)})`;
+    const rrect = (box, radius, path) => (radius
+      ? `RRect.fromRectAndRadius(${rect(box.x, box.y, box.width, box.height)}, Radius.circular(${path ? token(path) : n(radius)}))`
+      : null);
+    const path = (d, dx, dy) => {
+      const calls = SceneGraph.pathCommands(d, dx, dy).map(({ command, points }) => {
+        const p = points.map(n).join(', ');
+        switch (command) {
+          case 'M': return `..moveTo(${p})`;
+          case 'L': return `..lineTo(${p})`;
+          case 'C': return `..cubicTo(${p})`;
+          case 'Q': return `..quadraticBezierTo(${p})`;
+          default: return '..close()';
+        }
+      });
+      return `(Path()${calls.join('')})`;
+    };
+    // Paint for a fill or stroke; gradients become a shader over the node's box
+    const paint = (node, value, path, stroke) => {
+      const parts = ['Paint()'];
+      const def = SceneGraph.def(scene, value);
+      if (def) {
+        const gradient = options.tokens ? SceneGraph.gradient(def, options.tokens) : null;
+        if (!gradient) {
+          return null;
+        }
+        const stops = gradient.stops.map((stop) => flutterColor(stop.color, stop.opacity));
+        parts.push(`..shader = LinearGradient(begin: Alignment(${n(gradient.x1 * 2 - 1)}, ${n(gradient.y1 * 2 - 1)}), end: Alignment(${n(gradient.x2 * 2 - 1)}, ${n(gradient.y2 * 2 - 1)}), colors: [${stops.join(', ')}], stops: [${gradient.stops.map((stop) => n(stop.offset)).join(', ')}]).createShader(${rect(node.x, node.y, node.width, node.height)})`);
+      } else {
+        parts.push(`..color = ${color(value, path)}`);
+      }
+      if (stroke) {
+        parts.push('..style = PaintingStyle.stroke', `..strokeWidth = ${n(stroke.width)}`);
+        if (stroke.linecap) parts.push(`..strokeCap = StrokeCap.${{ round: 'round', square: 'square' }[stroke.linecap] || 'butt'}`);
+        if (stroke.linejoin) parts.push(`..strokeJoin = StrokeJoin.${{ round: 'round', bevel: 'bevel' }[stroke.linejoin] || 'miter'}`);
+      }
+      return parts.join('');
+    };
+    const strokeOf = (node) => ({ width: node.strokeWidth || 1, linecap: node.linecap, linejoin: node.linejoin });
+    // Fill, shadow and border of a box or circle
+    const shape = (node, geometry) => {
+      const calls = [];
+      const shadow = SceneGraph.def(scene, node.filter);
+      if (shadow && shadow.type === 'dropShadow') {
+        const moved = { ...node, x: node.x + (shadow.dx || 0), y: node.y + (shadow.dy || 0) };
+        calls.push(`${geometry.draw(moved)}, Paint()..color = ${flutterColor(shadow.color || SceneGraph.SHADOW_COLOR, shadow.opacity)}..maskFilter = MaskFilter.blur(BlurStyle.normal, ${n(shadow.blur || 0)}));`);
+      }
+      if (paintable(node.fill)) {
+        const fill = paint(node, node.fill, tokenOf(node, 'fill'));
+        if (fill) calls.push(`${geometry.draw(node)}, ${fill});`);
+      }
+      if (paintable(node.stroke)) {
+        const stroke = paint(node, node.stroke, tokenOf(node, 'stroke'), strokeOf(node));
+        if (stroke && node.dash) {
+          dashes = true;
+          calls.push(`canvas.drawPath(_dash(${geometry.path(node)}, const [${node.dash.map(n).join(', ')}]), ${stroke});`);
+        } else if (stroke) {
+          calls.push(`${geometry.draw(node)}, ${stroke});`);
+        }
+      }
+      return calls;
+    };
+    const box = (node) => {
+      const r = rrect(node, node.radius, tokenOf(node, 'radius'));
+      return {
+        draw: (at) => (r ? `canvas.drawRRect(${rrect(at, node.radius, tokenOf(node, 'radius'))}` : `canvas.drawRect(${rect(at.x, at.y, at.width, at.height)}`),
+        path: (at) => (r ? `(Path()..addRRect(${rrect(at, node.radius, tokenOf(node, 'radius'))}))` : `(Path()..addRect(${rect(at.x, at.y, at.width, at.height)}))`)
+      };
+    };
+    const circle = (node) => {
+      const center = (at) => `Offset(${n(at.x + at.width / 2)}, ${n(at.y + at.height / 2)})`;
+      return {
+        draw: (at) => `canvas.drawCircle(${center(at)}, ${n(node.r)}`,
+        path: (at) => `(Path()..addOval(Rect.fromCircle(center: ${center(at)}, radius: ${n(node.r)})))`
+      };
+    };
+    // Opacity needs a layer, clips a saved canvas state
+    const layered = (node, calls, opacity = node.opacity) => {
+      if (!calls.length || opacity === undefined) {
+        return calls;
+      }
+      return [
+        `canvas.saveLayer(null, Paint()..color = ${flutterColor('#000000', opacity)});`,
+        ...calls,
+        'canvas.restore();'
+      ];
+    };
+
+    const draw = (node) => {
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          const calls = node.type !== 'group' ? shape(node, box(node)) : [];
+          const children = node.children.flatMap(draw);
+          const { clip } = node;
+          if (clip && children.length) {
+            const clipBox = rrect(clip, clip.radius);
+            calls.push(
+              'canvas.save();',
+              clipBox ? `canvas.clipRRect(${clipBox});` : `canvas.clipRect(${rect(clip.x, clip.y, clip.width, clip.height)});`,
+              ...children,
+              'canvas.restore();'
+            );
+          } else {
+            calls.push(...children);
+          }
+          return layered(node, calls);
+        }
+
+        case 'rect':
+          return layered(node, shape(node, box(node)));
+
+        case 'circle':
+          return layered(node, shape(node, circle(node)));
+
+        case 'path':
+          return paintable(node.stroke)
+            ? layered(node, [`canvas.drawPath(${path(node.d, node.x, node.y)}, ${paint(node, node.stroke, tokenOf(node, 'stroke'), strokeOf(node))});`])
+            : [];
+
+        case 'qr': {
+          const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+          const d = QREncoder.toPathData(qr, { moduleSize: node.size / qr.size });
+          return layered(node, [
+            ...(node.background !== undefined ? [`canvas.drawRect(${rect(node.x, node.y, node.width, node.height)}, Paint()..color = ${color(node.background, tokenOf(node, 'background'))});`] : []),
+            `canvas.drawPath(${path(d, node.x, node.y)}, Paint()..color = ${color(node.fill, tokenOf(node, 'fill'))});`
+          ]);
+        }
+
+        case 'pattern': {
+          if (!options.pattern) {
+            return [];
+          }
+          const { paths, strokeWidth, linecap } = options.pattern(node);
+          const stroke = options.tokens ? token('colors.pattern') : flutterColor('#000000');
+          return layered(node, [
+            `canvas.drawPath(${path(paths.join(''), node.x, node.y)}, Paint()..color = ${stroke}..style = PaintingStyle.stroke..strokeWidth = ${n(strokeWidth)}${linecap ? `..strokeCap = StrokeCap.${linecap}` : ''});`
+          ], 0.1 * (node.opacity === undefined ? 1 : node.opacity));
+        }
+
+        default:
+          // Text and images are widgets
+          return [];
+      }
+    };
+
+    // ---- Widget layer: text and semantics, laid out like the scene ----
+
+    // Widgets are lines: the first continues the caller's line at indentation
+    // `pad`, the rest are indented from `pad`. wrap() nests one in Widget(args, child: ...)
+    const wrap = (widget, args, child, pad) => [
+      `${widget}(`,
+      ...args.map((arg) => `${pad}  ${arg},`),
+      `${pad}  child: ${child[0]}`,
+      ...child.slice(1).map((line) => `  ${line}`),
+      `${pad})`
+    ].map((line, i, lines) => (i === lines.length - 2 ? `${line},` : line));
+    const sized = (node) => `SizedBox(width: ${n(node.width)}, height: ${n(node.height)})`;
+    const semantics = (node, child, pad) => {
+      if (node.hidden) {
+        return wrap('ExcludeSemantics', [], child, pad);
+      }
+      const args = [];
+      const button = node.semantic && node.semantic.type === 'button';
+      const label = button && node.semantic.label !== undefined ? string(node, 'semanticLabel', node.semantic.label)
+        : node.label !== undefined ? string(node, 'label', node.label) : undefined;
+      if (button) args.push('button: true');
+      if (node.semantic && /^h[1-6]$/.test(node.semantic.type)) args.push('header: true');
+      if (label !== undefined) args.push(`label: ${label}`);
+      if (label !== undefined && node.type !== 'text') args.push('excludeSemantics: true');
+      return args.length ? wrap('Semantics', args, child, pad) : child;
+    };
+    const faded = (node, child, pad) => (node.opacity !== undefined ? wrap('Opacity', [`opacity: ${n(node.opacity)}`], child, pad) : child);
+    const described = (node) => !node.hidden && (node.label !== undefined || node.semantic !== undefined);
+
+    // Widget lines for a node, null if the painter covers it entirely
+    const widget = (node, pad) => {
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          const layout = SceneGraph.flow(node);
+          const children = (layout ? layout.children : node.children).map((child) => widget(child, layout ? `${pad}    ` : `${pad}      `));
+          if (!children.some(Boolean)) {
+            // Painted entirely: a box only to carry the semantics
+            return described(node) ? faded(node, semantics(node, [sized(node)], pad), pad) : null;
+          }
+          let body;
+          if (layout) {
+            const vertical = layout.axis === 'vertical';
+            const lines = [];
+            layout.children.forEach((child, i) => {
+              if (i && layout.gaps[i - 1] > 0.01) {
+                lines.push(`${pad}    SizedBox(${vertical ? 'height' : 'width'}: ${n(layout.gaps[i - 1])}),`);
+              }
+              let item = children[i] || [sized(child)];
+              if (layout.offsets[i] > 0.01) {
+                item = wrap('Padding', [`padding: const EdgeInsets.only(${vertical ? 'left' : 'top'}: ${n(layout.offsets[i])})`], item, `${pad}    `);
+              }
+              lines.push(`${pad}    ${item[0]}`, ...item.slice(1));
+              lines[lines.length - 1] += ',';
+            });
+            const start = vertical ? Math.min(...layout.children.map((child) => child.x)) : layout.children[0].x;
+            const top = vertical ? layout.children[0].y : Math.min(...layout.children.map((child) => child.y));
+            const args = [`width: ${n(node.width)}`, `height: ${n(node.height)}`];
+            if (start - node.x > 0.01 || top - node.y > 0.01) {
+              args.push(`padding: const EdgeInsets.only(left: ${n(start - node.x)}, top: ${n(top - node.y)})`);
+            }
+            // Loose constraints: the flow is as wide as its widest child, as laid out
+            args.push('alignment: Alignment.topLeft');
+            body = wrap('Container', args, [
+              `${vertical ? 'Column' : 'Row'}(`,
+              `${pad}  mainAxisSize: MainAxisSize.min,`,
+              `${pad}  crossAxisAlignment: CrossAxisAlignment.${layout.alignment},`,
+              `${pad}  children: [`,
+              ...lines,
+              `${pad}  ],`,
+              `${pad})`
+            ], pad);
+          } else {
+            body = wrap('SizedBox', [`width: ${n(node.width)}`, `height: ${n(node.height)}`], [
+              'Stack(',
+              `${pad}  children: [`,
+              ...node.children
+                .map((child, i) => [child, children[i]])
+                .filter(([, lines]) => lines)
+                .flatMap(([child, lines]) => [
+                  `${pad}    Positioned(`,
+                  `${pad}      left: ${n(child.x - node.x)},`,
+                  `${pad}      top: ${n(child.y - node.y)},`,
+                  `${pad}      child: ${lines[0]}`,
+                  ...lines.slice(1).map((line, i, rest) => (i === rest.length - 1 ? `${line},` : line)),
+                  `${pad}    ),`
+                ]),
+              `${pad}  ],`,
+              `${pad})`
+            ], pad);
+          }
+          return faded(node, semantics(node, body, pad), pad);
+        }
+
+        case 'text': {
+          const args = [];
+          const fill = paintable(node.fill) && !SceneGraph.def(scene, node.fill) ? color(node.fill, tokenOf(node, 'fill')) : null;
+          const style = [];
+          if (fill) style.push(`color: ${fill}`);
+          if (tokenOf(node, 'fontFamily')) style.push(`fontFamily: ${token(tokenOf(node, 'fontFamily'))}`);
+          style.push(`fontSize: ${tokenOf(node, 'fontSize') ? token(tokenOf(node, 'fontSize')) : n(node.fontSize)}`);
+          if (FLUTTER_WEIGHTS[node.fontWeight]) {
+            style.push(`fontWeight: ${tokenOf(node, 'fontWeight') ? token(tokenOf(node, 'fontWeight')) : FLUTTER_WEIGHTS[node.fontWeight]}`);
+          }
+          style.push(`height: ${n(node.lineHeight / node.fontSize)}`);
+          args.push(`style: TextStyle(${style.join(', ')})`);
+          if (node.anchor === 'middle' || node.anchor === 'end') {
+            args.push(`textAlign: TextAlign.${node.anchor === 'middle' ? 'center' : 'end'}`);
+          }
+          args.push(`maxLines: ${node.maxLines || Math.max(1, node.lines.length)}`);
+          if (node.truncated || node.maxLines) {
+            args.push('overflow: TextOverflow.ellipsis');
+          }
+          const text = [
+            'Text(',
+            `${pad}  ${string(node, 'text', node.text)},`,
+            ...args.map((arg) => `${pad}  ${arg},`),
+            `${pad})`
+          ];
+          const body = wrap('SizedBox', [`width: ${n(node.width)}`, `height: ${n(node.height)}`], text, pad);
+          return faded(node, semantics(node, body, pad), pad);
+        }
+
+        case 'image':
+          if (!node.href) {
+            return null;
+          }
+          return faded(node, [
+            'Image.network(',
+            `${pad}  ${string(node, 'href', node.href)},`,
+            `${pad}  width: ${n(node.width)},`,
+            `${pad}  height: ${n(node.height)},`,
+            `${pad}  fit: BoxFit.${node.fit === 'none' ? 'fill' : 'contain'},`,
+            ...(node.label !== undefined ? [`${pad}  semanticLabel: ${string(node, 'label', node.label)},`] : []),
+            `${pad})`
+          ], pad);
+
+        default:
+          // Painted shapes only need a widget to carry their label
+          return described(node) ? faded(node, semantics(node, [sized(node)], pad), pad) : null;
+      }
+    };
+
+    // ---- Library ----
+
+    const calls = [
+      `canvas.drawRect(Offset.zero & size, Paint()..color = ${token('colors.background')});`,
+      ...scene.nodes.flatMap(draw)
+    ];
+    const layers = scene.nodes
+      .map((node) => [node, widget(node, '              ')])
+      .filter(([, lines]) => lines)
+      .flatMap(([node, lines]) => [
+        '            Positioned(',
+        `              left: ${n(node.x)},`,
+        `              top: ${n(node.y)},`,
+        `              child: ${lines[0]}`,
+        ...lines.slice(1).map((line, i, rest) => (i === rest.length - 1 ? `${line},` : line)),
+        '            ),'
+      ]);
+    const fields = [...screenProps.keys()].map((prop) => `  final String ${flutterIdentifier(prop)};`);
+    const parameters = [...screenProps].map(([prop, value]) => `    this.${flutterIdentifier(prop)} = ${flutterString(value === undefined || value === null ? '' : value)},`);
+    const label = scene.label !== undefined
+      ? (scene.bindings && scene.bindings.label ? string(scene, 'label', scene.label) : flutterString(scene.label))
+      : null;
+    const dash = dashes ? `
+
+/// Dashed copy of [source]: Flutter strokes have no dash pattern
+Path _dash(Path source, List<double> pattern) {
+  final dashed = Path();
+  for (final metric in source.computeMetrics()) {
+    var distance = 0.0;
+    for (var i = 0; distance < metric.length; i++) {
+      final length = pattern[i % pattern.length];
+      if (i.isEven) dashed.addPath(metric.extractPath(distance, distance + length), Offset.zero);
+      distance += length;
+    }
+  }
+  return dashed;
+}` : '';
+
+    return `import 'package:flutter/material.dart';
+
+import '${FlutterExporter.TOKENS_LIBRARY}';
+
+class ${className} extends StatelessWidget {
+  const ${className}({
+    super.key,
+${parameters.join('\n')}${parameters.length ? '\n' : ''}  });
+
+${fields.join('\n')}${fields.length ? '\n\n' : ''}  @override
+  Widget build(BuildContext context) {
+    return Semantics(
+      container: true,${label ? `\n      label: ${label},` : ''}
+      child: SizedBox(
+        width: ${n(scene.width)},
+        height: ${n(scene.height)},
+        child: Stack(
+          children: [
+            const Positioned.fill(child: CustomPaint(painter: ${painterName}())),
+${layers.join('\n')}
+          ],
+        ),
+      ),
+    );
+  }
+}
+
+class ${painterName} extends CustomPainter {
+  const ${painterName}();
+
+  @override
+  void paint(Canvas canvas, Size size) {
+${calls.map((call) => `    ${call}`).join('\n')}
+  }
+
+  @override
+  bool shouldRepaint(covariant CustomPainter oldDelegate) => false;
+}${dash}
+`;
+  },
+
+  /**
+   * Tokens class generated widgets read token values from
+   * Colors keep their names (DiiaTokens.primary), other groups are prefixed
+   * (DiiaTokens.radiusXl); values without a Dart equivalent (CSS shadows,
+   * easing curves) are skipped.
+   *
+   * @param {Object} tokens - Resolved design tokens (DiiaTokens.resolve(theme))
+   * @returns {string} Dart source
+   */
+  tokensClass(tokens) {
+    const groups = [];
+    Object.entries(tokens).forEach(([group, values]) => {
+      const members = [];
+      const visit = (value, path) => {
+        if (value && typeof value === 'object') {
+          Object.entries(value).forEach(([key, item]) => visit(item, `${path}.${key}`));
+        } else if (group === 'colors' && SceneGraph.color(value)) {
+          members.push(`  static const Color ${flutterTokenName(path)} = ${flutterColor(value)};`);
+        } else if (group === 'fontWeight' && FLUTTER_WEIGHTS[value]) {
+          members.push(`  static const FontWeight ${flutterTokenName(path)} = ${FLUTTER_WEIGHTS[value]};`);
+        } else if (group === 'fontFamily') {
+          members.push(`  static const String ${flutterTokenName(path)} = ${flutterString(String(value).split(',')[0].trim().replace(/^["']|["']$/g, ''))};`);
+        } else if (typeof value === 'number') {
+          members.push(`  static const double ${flutterTokenName(path)} = ${flutterNumber(value)};`);
+        }
+      };
+      visit(values, group);
+      if (members.length) groups.push(`  // ${group}\n${members.join('\n')}`);
+    });
+    return `import 'package:flutter/painting.dart';\n\n/// Diia design tokens for Flutter widgets exported by Vector Logic\nabstract final class ${FlutterExporter.TOKENS_CLASS} {\n${groups.join('\n\n')}\n}\n`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FlutterExporter;
+}
+if (typeof window !== 'undefined') {
+  window.FlutterExporter = FlutterExporter;
+}
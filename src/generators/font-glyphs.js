@@ -0,0 +1,915 @@
+/**
+ * Font Glyphs - Bundled outlines for the fonts PDF and EPS exports embed
+ *
+ * Each FONT_METRICS table has a regular and a bold set of glyphs: an advance
+ * width and an outline as path data, in font units (1000 per em, Y up, the
+ * origin on the baseline). Sets cover Basic Latin, Cyrillic (with Ukrainian
+ * Ґ) and the punctuation Diia documents use; characters missing from the mono
+ * sets use the sans ones.
+ *
+ * Sans outlines are Inter (the FONT_METRICS sans widths were sampled from it),
+ * Copyright 2016 The Inter Project Authors (https://github.com/rsms/inter).
+ * Mono outlines are JetBrains Mono, Copyright 2020 The JetBrains Mono Project
+ * Authors (https://github.com/JetBrains/JetBrainsMono). Both are licensed
+ * under the SIL Open Font License 1.1 (see OFL.txt); the outlines were taken
+ * from the @fontsource/inter and @fontsource/jetbrains-mono 5.3.0 latin and
+ * cyrillic subsets, scaled to 1000 units and rounded.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT (code), OFL-1.1 (outlines)
+ */
+
+/**
+ * @typedef {Object} FontGlyphSet
+ * @property {string} name - PostScript font name
+ * @property {Object<string, Array>} glyphs - [advance, outline path data] per character (an empty outline draws nothing)
+ */
+
+/**
+ * Glyph sets per FONT_METRICS table and weight
+ * @const {Object<string, {regular: FontGlyphSet, bold: FontGlyphSet}>}
+ */
+const FONT_GLYPHS = Object.freeze({
+  sans: Object.freeze({
+    regular: Object.freeze({
+      name: 'Inter-Regular',
+      glyphs: Object.freeze({
+        '0': [631, 'm315-10q-81 0-138 44-57 44-87 127-30 84-30 202 0 118 30 202 31 83 88 128 57 44 137 44 81 0 138-44 58-45 88-128 30-84 30-202 0-118-30-201-30-84-87-128-57-44-139-44zm0 81q54 0 91 35 37 35 56 100 20 65 20 157 0 93-20 159-19 65-56 100-37 35-91 35-53 0-90-35-37-35-57-101-19-65-19-158 0-92 19-157 20-65 57-100 37-35 90-35z'],
+        '1': [407, 'm205 728h114v-728h-91v642h-5l-176-131v100l158 117z'],
+        '2': [610, 'm539 0h-464v67l242 262q40 44 67 77 27 33 41 63 13 31 13 64 0 38-18 66-18 28-48 43-31 15-70 15-42 0-72-17-31-17-47-47-17-31-17-72h-89q0 64 30 113 30 49 81 76 51 27 116 27 65 0 115-27 50-27 79-73 28-46 28-103 0-39-14-77-14-37-50-84-35-48-100-116l-159-170v-5h336v-82z'],
+        '3': [618, 'm310-10q-71 0-126 25-56 24-88 68-33 43-35 101h94q3-35 23-60 21-25 55-39 34-13 76-13 45 0 81 16 35 16 56 44 20 29 20 67 0 39-19 69-20 30-58 47-37 18-92 18h-59v80h59q43 0 75 15 33 16 51 44 18 28 18 65 0 36-16 63-16 27-45 42-29 15-69 15-37 0-70-14-32-13-53-38-21-25-22-61h-89q2 58 34 101 32 43 85 68 53 24 117 24 68 0 117-27 49-27 75-72 27-44 27-96 0-62-33-104-32-43-88-60v-6q47-7 79-31 33-24 51-61 17-36 17-82 0-60-32-107-32-47-88-74-57-27-128-27z'],
+        '4': [646, 'm401 148h-342v76l318 504h113v-499h98v-81h-98v-148h-89v148zm-243 81h243v382h-5l-238-376v-6z'],
+        '5': [593, 'm291-10q-64 0-115 25-51 26-81 69-30 44-32 100h89q3-33 22-58 19-25 50-40 30-14 67-14 44 0 78 20 35 21 54 57 20 36 20 82 0 47-21 84-20 37-56 58-35 22-81 22-34 0-68-11-35-11-56-28l-87 11 43 361h383v-82h-305l-25-212h4q22 18 56 30 35 12 72 12 50 0 92-18 43-18 74-51 31-33 48-77 18-45 18-98 0-69-32-124-31-55-86-86-55-32-125-32z'],
+        '6': [620, 'm315-10q-45 0-90 17-46 16-83 56-38 39-60 105-22 67-22 168 0 96 18 171 18 74 53 126 35 51 84 78 50 26 112 26 61 0 109-24 48-25 79-68 31-43 40-101h-91q-12 48-47 80-34 31-90 31-56 0-96-32-41-33-62-95-22-62-22-149h6q20 30 47 52 28 22 61 33 34 12 72 12 62 0 114-31 52-31 83-85 31-55 31-125 0-68-31-123-30-56-85-89-55-33-130-33zm0 82q44 0 80 22 35 22 55 59 21 36 21 82 0 44-20 81-20 36-55 58-34 21-78 21-33 0-62-13-28-13-50-36-21-22-33-51-12-29-12-61 0-43 20-80 20-37 55-60 35-22 79-22z'],
+        '7': [566, 'm195 0h-97l323 640v6h-373v82h470v-87l-323-641z'],
+        '8': [619, 'm309-10q-74 0-130 26-56 26-88 72-31 46-31 105 0 46 18 86 19 39 51 65 32 27 73 34v4q-54 14-85 59-31 45-31 103 0 56 29 99 29 44 79 69 50 25 115 25 64 0 114-25 51-25 80-69 29-43 29-99 0-58-32-103-31-45-83-59v-4q40-7 72-34 32-26 51-65 19-40 19-86 0-59-32-105-32-46-88-72-57-26-130-26zm0 81q48 0 84 16 35 16 54 44 19 29 19 67 0 41-20 72-21 31-56 49-36 17-81 17-46 0-81-17-36-18-57-49-20-31-20-72 0-38 19-67 19-28 55-44 35-16 84-16zm0 343q39 0 68 15 30 16 48 44 17 27 17 64 0 37-17 64-16 26-46 41-30 15-70 15-40 0-70-15-30-15-47-41-16-27-16-64 0-37 17-64 16-28 47-44 30-15 69-15z'],
+        '9': [620, 'm294-10q-62 0-110 25-48 24-79 68-31 44-40 102h92q11-48 46-81 34-32 91-32 56 0 96 33 40 33 62 95 22 62 22 150h-6q-20-30-47-52-27-22-61-34-33-12-71-12-63 0-115 31-52 31-83 86-31 54-31 124 0 68 30 124 31 56 87 89 55 33 130 31 45 0 89-17 45-17 83-55 37-39 59-105 23-67 23-167 0-97-19-172-18-75-53-126-34-52-84-78-49-27-111-27zm8 343q33 0 62 14 29 13 51 36 21 22 33 51 12 29 12 62 0 42-20 78-20 36-55 59-35 23-80 23-44 0-79-22-35-22-55-59-21-36-21-81 0-45 20-81 20-37 54-58 34-22 78-22z'],
+        ' ': [281, ''],
+        '!': [288, 'm187 234h-87l-6 494h99l-6-494zm-43-240q-27 0-47 19-19 19-19 46 0 27 19 47 20 19 47 19 27 0 46-19 19-20 19-47 0-27-19-46-19-19-46-19z'],
+        '"': [466, 'm187 451h-74l-10 277h94l-10-277zm166 0h-74l-10 277h94l-10-277z'],
+        '#': [633, 'm422 0h-75l33 201h-181l-33-201h-74l33 201h-108l12 73h108l30 179h-107l12 74h107l32 201h74l-33-201h182l33 201h74l-33-201h108l-12-74h-108l-29-179h107l-12-73h-107l-33-201zm-182 453l-29-179h182l29 179h-182z'],
+        '$': [642, 'm350-106h-58v94q-61 4-107 25-59 25-91 71-33 45-37 106h95q4-41 28-67 24-27 61-40 24-8 51-11v262l-29 9q-88 25-137 71-49 46-49 119 0 61 33 107 34 47 90 72 42 18 92 23v99h58v-97q58-4 104-25 55-25 87-69 32-44 34-99h-91q-6 53-50 82-36 23-84 28v-247l29-8q29-7 65-21 35-14 67-36 32-23 53-58 21-35 21-86 0-59-31-107-31-48-90-76-48-23-114-27v-94zm0 424v-246q32 3 60 14 39 17 62 46 23 29 23 68 0 35-20 57-20 22-53 36-32 14-71 25h-1zm-58 106v229q-27-4-50-13-35-15-55-42-20-27-20-61 0-38 24-61 24-23 57-36 23-10 44-16z'],
+        '%': [982, 'm255 406q-46 0-78 20-32 20-48 54-17 34-17 74v38q0 40 17 73 17 34 48 54 32 20 78 20 47 0 79-20 31-20 47-54 16-33 16-73v-38q0-40-16-74-16-34-48-54-31-20-78-20zm0 64q37 0 53 25 15 26 15 59v38q0 32-15 58-15 26-53 26-36 0-52-26-16-26-16-58v-38q0-33 15-59 16-25 53-25zm473-484q-47 0-79 20-32 20-48 54-17 34-17 74v38q0 40 17 73 17 34 49 54 32 20 78 20 46 0 78-20 32-20 48-54 16-33 16-73v-38q0-40-17-74-16-34-48-54-31-20-77-20zm0 64q37 0 52 25 15 26 15 59v38q0 32-15 58-14 26-52 26-37 0-53-26-16-26-16-58v-38q0-33 16-59 15-25 53-25zm-448-50h-83l500 728h83l-500-728z'],
+        '&': [644, 'm283-10q-72 0-124 27-52 26-80 72-28 45-28 101 0 48 19 82 20 35 55 65 31 27 70 57-9 11-18 22-31 37-49 74-18 36-18 80 0 48 22 85 22 37 62 58 40 21 94 21 55 0 94-21 40-21 61-57 22-35 22-78 0-34-13-62-12-28-34-52-22-24-50-45l-53-39 156-189q6 12 11 25 19 47 19 105h84q0-72-16-118-17-47-38-74-2-3-5-5l102-124h-106l-50 61q-34-34-83-52-54-19-106-19zm136 134l-171 206-25-19q-45-33-64-62-18-28-18-62 0-36 17-63 17-27 48-42 31-15 71-15 43 0 83 18 33 14 59 39zm-156 320l47 35q13 9 29 23 15 14 26 33 11 19 11 44 0 35-23 57-23 23-62 23-28 0-49-12-21-11-32-31-12-19-12-46 0-27 13-52 12-25 34-52 8-10 18-22z'],
+        '\'': [300, 'm187 451h-74l-10 277h94l-10-277z'],
+        '(': [365, 'm106 296q0 80 17 167 16 87 44 168 29 81 65 141h86q-38-77-65-160-28-83-43-164-14-80-14-152 0-65 13-131 13-66 40-140 27-74 69-161h-86q-62 106-94 216-32 109-32 216z'],
+        ')': [365, 'm132-136h-85q43 89 70 164 27 74 39 140 13 66 13 128 0 72-15 152-14 81-42 164-27 83-65 160h85q37-60 66-141 28-81 44-168 16-88 16-167 0-108-32-218-33-110-94-214z'],
+        '*': [501, 'm286 318h-71l7 155-131-83-35 61 137 71-137 72 35 62 131-83-7 155h71l-6-155 130 83 35-62-137-72 137-71-35-61-130 83 6-155z'],
+        '+': [662, 'm372 49h-82v197h-195v78h195v197h82v-197h194v-78h-194v-197z'],
+        ',': [288, 'm130-175h-67l42 277h101l-76-277z'],
+        '-': [460, 'm70 351h320v-81h-320v81z'],
+        '.': [288, 'm144-6q-27 0-47 19-19 19-19 47 0 27 19 46 20 19 47 19 27 0 47-19 19-19 19-46 0-28-19-47-20-19-47-19z'],
+        '/': [360, 'm257 762h81l-234-871h-82l235 871z'],
+        ':': [288, 'm144-6q-27 0-47 19-19 19-19 47 0 27 19 46 20 19 47 19 27 0 47-19 19-19 19-46 0-28-19-47-20-19-47-19zm0 395q-27 0-47 19-19 19-19 47 0 27 19 46 20 20 47 20 27 0 47-20 19-19 19-46 0-28-19-47-20-19-47-19z'],
+        ';': [302, 'm130-175h-67l42 277h101l-76-277zm28 564q-28 0-47 19-19 19-19 47 0 27 19 46 19 20 47 20 27 0 46-20 20-19 20-46 0-28-20-47-19-19-46-19z'],
+        '<': [662, 'm546 21l-461 233v61l461 233v-96l-348-165v-6l348-165v-95z'],
+        '=': [662, 'm552 350h-442v81h442v-81zm0-212h-442v81h442v-81z'],
+        '>': [662, 'm577 315v-61l-461-233v95l347 165v6l-347 165v96l461-233z'],
+        '?': [511, 'm275 219h-88v6q0 67 13 103 13 36 37 57 25 22 58 42 33 19 55 49 22 30 22 73 0 34-16 59-16 24-43 38-27 14-60 14-29 0-55-12-27-12-45-38-17-25-20-66h-93q2 62 32 105 29 43 76 66 47 22 105 22 63 0 110-24 47-25 73-68 25-44 25-100 0-59-25-101-26-42-74-70-31-20-50-37-20-18-28-44-9-25-9-68v-6zm-43-225q-27 0-46 19-19 19-19 46 0 27 19 47 19 19 46 19 28 0 47-19 19-20 19-47 0-27-19-46-19-19-47-19z'],
+        '@': [966, 'm510-193q-109 0-193 30-84 30-141 87-58 57-87 141-29 84-29 191 0 104 29 187 30 82 87 140 57 58 138 89 82 30 186 30 100 0 176-32 76-33 127-88 51-56 77-125 26-70 26-144 0-53-5-105-5-53-22-96-17-44-51-71-33-26-90-26-25 0-55 7-30 8-52 26-23 18-27 49h-4q-13-32-46-55-33-24-88-24-65 0-108 32-44 33-66 87-22 55-22 124 0 66 26 117 26 52 71 82 46 30 104 30 47 0 79-17 31-17 44-35h5v41h77v-322q0-30 17-52 16-22 47-22 36 0 55 25 19 24 26 75 8 51 8 130 0 61-21 118-20 57-61 102-41 46-103 72-63 27-147 27-84 0-150-26-66-25-112-74-46-49-70-119-24-70-24-159 0-90 24-160 24-70 71-118 48-48 117-73 69-25 160-25 39 0 77 7 37 8 66 17 30 9 44 14l21-69q-23-9-58-18-36-10-76-16-40-6-77-6zm-40 286q47 0 76 19 29 19 43 57 13 39 13 96 0 59-15 92-14 33-43 46-29 14-72 14-40 0-68-21-29-21-44-55-15-35-15-76 0-45 12-84 13-40 40-64 27-24 73-24z'],
+        'A': [690, 'm124 0h-99l265 728h107l268-728h-98l-73 203h-300l-70-203zm99 284h242l-52 148q-15 40-33 100-16 49-37 121-21-73-37-123-19-61-32-98l-51-148z'],
+        'B': [654, 'm354 0h-266v728h258q76 0 125-27 50-26 74-69 24-44 24-97 0-47-16-78-17-30-44-48-27-18-59-27v-7q34-2 68-23 34-22 57-61 23-40 23-97 0-55-25-99-26-44-79-69-54-26-140-26zm-173 330v-248h171q85 0 120 33 36 32 36 80 0 36-18 67-19 31-53 50-34 18-81 18h-175zm0 316v-238h160q39 0 71 16 31 15 50 43 18 28 18 66 0 47-32 80-33 33-104 33h-163z'],
+        'C': [730, 'm382-10q-93 0-166 45-73 46-115 129-41 84-41 199 0 116 41 200 42 83 115 129 73 45 166 45 56 0 105-16 49-16 88-47 39-31 65-75 26-44 36-100h-93q-8 37-27 65-18 29-46 48-27 20-59 30-33 9-69 9-65 0-118-33-53-33-83-97-31-64-31-158 0-92 31-157 31-64 84-97 52-33 117-33 36 0 69 10 32 10 59 29 28 20 46 48 19 29 27 66h93q-9-56-36-100-26-44-65-75-39-31-88-47-49-17-105-17z'],
+        'D': [722, 'm315 0h-227v728h236q107 0 182-44 76-43 116-125 40-81 40-194 0-114-40-195-41-82-119-126-77-44-188-44zm-134 646v-564h128q89 0 147 34 59 34 87 97 29 64 29 152 0 88-28 150-29 63-85 97-57 34-141 34h-137z'],
+        'E': [601, 'm536 0h-448v728h443v-82h-350v-238h326v-82h-326v-244h355v-82z'],
+        'F': [590, 'm181 0h-93v728h440v-82h-347v-250h314v-82h-314v-314z'],
+        'G': [746, 'm385-10q-97 0-170 46-73 45-114 129-41 84-41 198 0 116 41 200 41 83 113 129 72 45 165 45 58 0 108-17 50-17 90-49 39-31 65-75 26-44 36-96h-95q-12 35-30 63-19 27-44 47-26 20-58 31-33 10-71 10-64 0-116-33-53-33-83-97-31-64-31-158 0-92 31-156 31-64 84-98 53-33 120-33 62 0 109 26 47 26 73 75 25 46 26 108h-189v81h280v-80q0-90-39-157-39-66-106-102-67-37-154-37z'],
+        'H': [743, 'm181 0h-93v728h93v-315h382v315h92v-728h-92v331h-382v-331z'],
+        'I': [269, 'm88 728h93v-728h-93v728z'],
+        'J': [571, 'm266-10q-96 0-157 57-60 57-60 161v39h93v-39q0-66 34-101 34-35 90-35 56 0 90 35 34 35 34 101v520h93v-520q0-104-60-161-61-57-157-57z'],
+        'K': [672, 'm181 0h-93v728h93v-249l-2-134q11 14 22 28 25 31 50 61 26 29 54 59l217 235h122l-294-315 294-413h-110l-248 350-105-111v-239z'],
+        'L': [565, 'm518 0h-430v728h93v-646h337v-82z'],
+        'M': [903, 'm176 0h-88v728h132l179-459q6-17 14-41 8-24 17-52 9-29 18-56 2-9 5-17 2 7 4 15 8 27 17 56 9 28 18 53 8 25 14 42l177 459h132v-728h-91v416q0 22 0 51 1 29 1 60 1 32 2 65 0 18 1 36-7-20-14-41-11-35-22-68-11-32-21-59-10-27-17-44l-162-416h-81l-165 416q-7 17-16 43-9 26-20 58-11 32-23 67-7 21-14 43 0-15 1-31 0-32 1-64 0-32 1-63 0-30 0-53v-416z'],
+        'N': [753, 'm181 0h-93v728h109l296-466q12-18 28-46 17-28 37-64 10-20 21-42-2 24-3 46-2 38-3 71 0 32 0 54v447h93v-728h-111l-263 414q-19 29-37 59-18 31-42 73-17 30-39 70 1-35 3-67 2-46 3-80 1-34 1-54v-415z'],
+        'O': [765, 'm383-10q-93 0-166 45-73 46-115 129-42 84-42 199 0 116 42 200 42 83 115 129 73 45 166 45 93 0 166-45 73-46 114-129 42-84 42-200 0-115-42-199-41-83-114-129-73-45-166-45zm0 86q65 0 117 33 53 33 84 97 31 65 31 157 0 94-31 158-31 64-84 97-52 33-117 33-66 0-118-33-53-33-84-97-31-64-31-158 0-92 31-156 31-64 84-98 52-33 118-33z'],
+        'P': [639, 'm181 0h-93v728h249q85 0 140-31 55-31 81-84 27-52 27-117 0-65-27-118-26-52-81-84-55-31-140-31h-156v-263zm0 646v-301h152q58 0 93 20 35 19 51 54 16 34 16 77 0 43-16 77-16 34-51 53-36 20-94 20h-151z'],
+        'Q': [765, 'm383-10q-93 0-166 45-73 46-115 129-42 84-42 199 0 116 42 200 42 83 115 129 73 45 166 45 93 0 166-45 73-46 114-129 42-84 42-200 0-115-41-198-34-67-86-109l94-124h-97l-63 84q-58-26-129-26zm75 99l-105 139h96l76-101q36 31 59 80 31 64 31 156 0 94-31 158-31 64-84 97-52 33-117 33-66 0-118-33-53-33-84-97-31-64-31-158 0-92 31-156 31-64 84-98 52-33 118-33 40 0 75 13z'],
+        'R': [644, 'm181 0h-93v728h249q85 0 140-30 55-29 81-79 27-51 27-116 0-65-27-115-26-50-81-77-13-7-27-12l163-299h-107l-152 283q-8-1-17-1h-156v-282zm0 646v-281h152q58 0 93 17 34 16 51 47 16 31 16 74 0 43-16 75-17 32-52 50-35 18-93 18h-151z'],
+        'S': [642, 'm321-13q-79 0-137 26-58 25-90 71-33 45-37 106h95q4-41 28-67 24-27 61-40 37-13 80-13 49 0 88 16 40 17 63 46 23 29 23 68 0 35-20 57-20 22-53 36-32 14-71 25l-88 25q-88 25-137 71-49 46-49 119 0 61 33 107 34 47 90 72 57 25 127 25 72 0 127-25 55-25 87-69 32-44 34-99h-91q-6 53-50 82-45 29-110 29-47 0-82-15-35-15-55-42-20-27-20-61 0-38 24-61 24-23 56-36 33-13 59-21l73-20q29-7 65-21 35-14 67-36 32-23 53-58 21-35 21-86 0-59-31-107-31-48-90-76-59-28-143-28z'],
+        'T': [646, 'm277 646h-229v82h550v-82h-228v-646h-93v646z'],
+        'U': [744, 'm373-12q-86 0-151 34-64 34-99 92-35 59-35 134v480h93v-473q0-52 23-93 23-41 66-64 43-24 103-24 59 0 102 24 43 23 66 64 22 41 22 93v473h93v-480q0-75-35-134-35-58-99-92-64-34-149-34z'],
+        'V': [690, 'm400 0h-107l-268 728h98l154-432q13-37 33-99 16-51 37-122 21 73 37 123 19 61 32 98l150 432h99l-265-728z'],
+        'W': [985, 'm332 0h-108l-199 728h95l115-447q10-35 18-72 8-37 16-75 5-23 9-47 5 24 10 47 7 38 16 75 9 37 18 72l118 447h105l117-447q10-35 18-72 9-37 17-75 5-22 10-44 4 22 8 44 8 38 17 75 9 37 18 72l114 447h96l-199-728h-108l-125 461q-12 45-24 98-6 29-12 64-6-31-11-59-10-51-24-103l-125-461z'],
+        'X': [682, 'm133 0h-105l261 373-245 355h107l105-155q24-34 39-57 15-24 27-46 9-17 20-38 11 21 20 37 13 23 28 46 15 24 39 58l107 155h105l-245-352 258-376h-107l-127 185q-21 30-35 52-14 21-26 43-8 14-18 33-8-18-16-31-13-22-27-44-15-23-36-53l-129-185z'],
+        'Y': [679, 'm386 0h-93v298l-268 430h108l144-235q24-40 43-76 10-19 20-43 11 25 21 45 19 36 42 74l143 235h107l-267-430v-298z'],
+        'Z': [629, 'm569 0h-506v65l326 484q22 33 47 66 12 16 24 33-27-2-55-2-45 0-90 0h-255v82h505v-67l-320-476q-23-35-49-69-14-18-28-36 28 1 55 2 45 0 90 0h256v-82z'],
+        '[': [365, 'm305-136h-195v908h195v-75h-111v-759h111v-74z'],
+        '\\': [360, 'm338-109h-81l-235 871h82l234-871z'],
+        ']': [365, 'm254-136h-194v74h110v759h-110v75h194v-908z'],
+        '^': [471, 'm127 397h-87l147 308h97l147-308h-86l-106 230h-7l-105-230z'],
+        '_': [456, 'm0 0h456v-81h-456v81z'],
+        '`': [323, 'm240 617h-73l-94 144h98l69-144z'],
+        'a': [562, 'm230-13q-52 0-94 20-42 19-67 57-25 38-25 91 0 47 19 76 18 30 49 47 31 16 69 25 37 8 75 13 49 6 80 10 31 3 46 11 14 9 14 29v3q0 34-12 58-13 23-38 36-26 13-64 13-39 0-67-13-27-12-45-30-17-18-26-37l-84 27q21 50 56 78 36 28 79 40 43 12 85 12 27 0 62-7 35-6 67-26 33-20 54-58 21-38 21-102v-360h-86v74h-6q-9-19-30-39-20-20-53-34-33-14-79-14zm15 78q49 0 83 19 33 19 51 50 17 30 17 63v76q-5-6-23-12-18-5-41-9-23-3-45-6-22-3-35-4-31-4-59-14-27-9-44-28-17-18-17-49 0-28 15-47 15-20 40-29 25-10 58-10z'],
+        'b': [612, 'm331-12q-52 0-84 18-32 18-49 41-17 22-26 37h-10v-84h-85v728h88v-270h7q9 15 26 37 16 23 48 40 31 18 84 18 68 0 120-34 52-35 82-98 30-63 30-150 0-86-30-150-29-63-81-98-52-35-120-35zm-14 79q52 0 86 27 35 28 52 75 17 46 17 103 0 57-17 103-17 45-51 72-35 27-87 27-50 0-84-25-34-26-52-71-17-45-17-106 0-60 18-106 17-47 52-73 34-26 83-26z'],
+        'c': [571, 'm299-12q-74 0-130 35-56 36-87 99-31 64-31 148 0 85 31 149 31 63 87 99 56 35 130 35 40 0 75-11 35-10 64-29 29-19 50-47 21-28 33-64l-85-24q-6 21-18 39-12 17-30 30-17 13-39 20-23 7-50 7-54 0-90-28-35-29-52-75-17-47-17-101 0-54 17-100 17-46 52-75 36-28 90-28 28 0 51 7 23 8 40 21 18 13 30 32 13 19 18 40l84-23q-10-37-32-66-21-28-50-48-29-21-65-31-36-11-76-11z'],
+        'd': [612, 'm282-12q-68 0-120 35-53 35-82 98-29 64-29 150 0 87 29 150 30 63 82 98 52 34 120 34 53 0 85-18 31-17 48-40 17-22 25-37h7v270h88v-728h-85v84h-10q-8-15-26-37-17-23-49-41-31-18-83-18zm13 79q50 0 84 26 34 26 52 73 17 46 17 106 0 61-17 106-17 45-52 71-34 25-84 25-52 0-86-27-35-27-52-72-17-46-17-103 0-57 17-103 18-47 52-75 35-27 86-27z'],
+        'e': [583, 'm307-12q-79 0-137 35-57 36-88 99-31 63-31 147 0 84 30 148 30 63 86 100 55 36 129 36 44 0 86-15 42-14 77-46 34-32 55-84 20-53 20-128v-37h-394q2-53 21-91 21-42 58-64 38-22 88-22 32 0 59 10 26 9 45 28 19 19 29 46l85-23q-12-41-43-72-30-32-75-49-44-18-100-18zm-167 329h305q-4 37-16 69-17 41-50 65-33 24-83 24-49 0-84-25-35-24-54-62-15-34-18-71z'],
+        'f': [370, 'm205 546h126v-75h-126v-471h-88v471h-107v75h107v73q0 47 22 79 23 31 58 48 36 16 75 16 32 0 52-5 21-6 30-10l-24-75q-7 2-18 5-11 3-29 3-41 0-59-21-19-20-19-60v-53z'],
+        'g': [613, 'm298-216q-60 0-104 16-45 15-74 40-29 26-46 56l71 45q12-15 29-34 17-19 47-33 29-13 77-13 66 0 108 31 42 31 42 99v109h-8q-9-16-26-37-17-21-49-38-31-16-84-16-65 0-117 31-53 31-83 90-30 60-30 145 0 85 30 147 29 62 82 97 52 34 120 34 53 0 84-18 32-17 49-39 17-23 26-38h9v88h85v-560q0-70-32-115-31-45-85-66-54-21-121-21zm-2 303q50 0 84 23 34 22 52 65 17 43 17 102 0 58-17 103-17 44-52 69-34 25-84 25-52 0-87-26-34-27-52-72-17-44-17-99 0-56 18-99 17-43 52-67 35-24 86-24z'],
+        'h': [591, 'm165 327v-327h-88v728h88v-276q23 46 56 69 46 32 108 32 55 0 97-23 42-23 65-68 23-46 23-115v-347h-88v339q0 63-33 99-33 36-90 36-39 0-71-17-31-18-49-50-18-33-18-80z'],
+        'i': [242, 'm165 0h-88v546h88v-546zm-43 635q-25 0-43 17-18 17-18 41 0 25 18 42 18 16 43 16 25 0 43-16 18-17 18-42 0-24-18-41-18-17-43-17z'],
+        'j': [242, 'm77-39v585h88v-585q1-52-18-89-18-37-53-57-36-19-89-19h-18v81h16q39 0 56 22 18 21 18 62zm44 674q-25 0-43 17-18 17-18 41 0 25 18 42 18 16 43 16 25 0 44-16 18-17 18-42 0-24-18-41-19-17-44-17z'],
+        'k': [549, 'm165 0h-88v728h88v-423h11l233 241h109l-228-234 245-312h-113l-199 255-58-54v-201z'],
+        'l': [242, 'm77 728h88v-728h-88v728z'],
+        'm': [876, 'm165 0h-88v546h86v-100q11 30 29 52 24 28 56 43 33 15 68 15 59 0 97-37 29-30 42-74 10 27 29 49 26 29 63 46 36 16 80 16 47 0 86-21 39-20 63-62 23-41 23-105v-368h-88v366q0 59-33 84-33 26-77 26-37 0-64-16-26-15-41-42-14-27-14-62v-356h-88v375q0 45-30 73-31 28-77 28-32 0-60-15-28-15-45-44-17-30-17-73v-344z'],
+        'n': [591, 'm165 327v-327h-88v546h85v-101q23 51 59 76 46 32 108 32 55 0 97-23 41-23 64-68 24-46 24-115v-347h-88v339q0 63-33 99-33 36-90 36-39 0-71-17-31-18-49-50-18-33-18-80z'],
+        'o': [600, 'm299-12q-74 0-130 35-56 36-87 99-31 64-31 148 0 85 31 149 31 63 87 99 56 35 130 35 75 0 131-35 56-36 88-99 31-64 31-149 0-84-31-148-32-63-88-99-56-35-131-35zm0 79q55 0 91 28 36 29 53 75 17 46 17 100 0 54-17 100-17 47-53 76-36 28-91 28-54 0-90-28-35-29-52-75-17-47-17-101 0-54 17-100 17-46 52-75 36-28 90-28z'],
+        'p': [612, 'm165-204h-88v750h85v-88h10q9 15 26 37 16 23 48 40 31 18 84 18 68 0 120-34 52-35 82-98 30-63 30-150 0-86-30-150-29-63-81-98-52-35-120-35-52 0-84 18-32 18-49 41-17 22-26 37h-7v-288zm152 271q52 0 86 27 35 28 52 75 17 46 17 103 0 57-17 103-17 45-51 72-35 27-87 27-50 0-84-25-34-26-52-71-17-45-17-106 0-60 18-106 17-47 52-73 34-26 83-26z'],
+        'q': [612, 'm535 546v-750h-88v288h-7q-8-15-26-37-17-23-49-41-31-18-83-18-68 0-120 35-53 35-82 98-29 64-29 150 0 87 29 150 30 63 82 98 52 34 120 34 53 0 85-18 31-17 48-40 17-22 25-37h10v88h85zm-240-479q50 0 84 26 34 26 52 73 17 46 17 106 0 61-17 106-17 45-52 71-34 25-84 25-52 0-86-27-35-27-52-72-17-46-17-103 0-57 17-103 18-47 52-75 35-27 86-27z'],
+        'r': [376, 'm165 0h-88v546h85v-84h6q15 41 54 67 39 25 88 25 9 0 23-1 13 0 21-1v-88q-4 1-20 3-15 2-33 2-39 0-70-17-31-16-48-45-18-28-18-65v-342z'],
+        's': [528, 'm263-12q-56 0-100 17-44 16-72 48-28 32-38 79l83 20q12-45 44-66 33-21 82-21 57 0 91 25 34 24 34 58 0 28-20 47-20 19-60 28l-91 22q-74 17-111 54-36 37-36 95 0 46 27 82 26 36 72 56 45 21 103 21 57 0 96-17 39-17 64-46 25-30 37-69l-80-20q-11 29-37 53-26 24-79 24-49 0-81-22-33-23-33-57 0-30 22-49 22-18 70-29l83-20q74-17 109-54 36-37 36-93 0-48-27-85-27-38-76-59-48-22-112-22z'],
+        't': [327, 'm180 546h112v-75h-112v-329q0-37 15-54 14-17 49-17 8 0 21 2 13 2 24 4l18-74q-14-5-31-7-17-3-34-3-71 0-111 38-39 37-39 104v336h-82v75h82v130h88v-130z'],
+        'u': [591, 'm262-7q-55 0-97 23-41 23-65 68-23 46-23 115v347h88v-339q0-63 33-99 33-36 91-36 39 0 70 17 31 17 49 50 18 33 18 80v327h88v-546h-85v102q-23-53-60-78-47-31-107-31z'],
+        'v': [562, 'm327 0h-92l-209 546h97l116-324q18-50 32-100 5-21 10-41 6 20 11 41 13 50 31 100l116 324h97l-209-546z'],
+        'w': [818, 'm287 0h-87l-166 546h93l67-238q14-49 29-111 12-47 24-102 10 53 22 99 15 62 29 114l65 238h94l64-238q14-51 29-112 11-47 22-100 11 53 23 99 15 61 30 113l66 238h93l-165-546h-88l-71 247q-10 38-21 77-10 39-20 80-4 21-10 42-5-21-10-42-10-41-20-81-10-39-21-76l-71-247z'],
+        'x': [546, 'm133 0h-101l192 280-181 266h103l67-106q27-41 46-77 8-15 17-30 8 15 16 30 17 36 43 77l70 106h100l-182-271 191-275h-102l-80 123q-26 40-44 74-8 14-16 27-7-13-14-27-17-34-44-74l-81-123z'],
+        'y': [562, 'm68-198l23 76 9-2q27-7 49-4 22 3 39 22 18 19 31 58l16 45-209 549h97l116-324q18-51 31-100 5-21 11-41 5 20 11 41 13 50 31 100l117 324h96l-240-628q-17-43-40-71-23-28-54-42-31-13-69-13-24 0-41 3-17 4-24 7z'],
+        'z': [552, 'm491 0h-429v65l306 394v5h-297v82h410v-70l-297-389v-5h307v-82z'],
+        '{': [426, 'm366-63v-73q-52 0-88 11-37 11-59 34-22 23-32 59-10 36-10 87v111q0 58-24 83-20 22-67 24h-16v89h16q47 3 67 25 24 24 24 82v112q0 50 10 86 10 36 32 59 22 24 59 35 36 11 88 11v-74q-62 1-85-28-23-28-23-90v-140q0-28-8-51-7-22-27-39-20-17-56-25-5-2-9-2v-10q4-1 9-2 36-9 56-26 20-17 27-40 8-23 8-50v-139q0-62 23-91 23-28 85-28z'],
+        '|': [333, 'm128 962h77v-1196h-77v1196z'],
+        '}': [426, 'm60-136v73q63 0 86 28 22 29 22 91v139q0 27 8 50 7 23 27 40 20 17 57 26 4 1 8 2v10q-4 1-8 2-37 8-57 25-20 17-27 39-8 23-8 51v140q0 61-22 90-23 28-86 28v74q52 0 88-11 37-11 59-35 22-23 32-59 10-36 10-86v-112q0-58 24-82 23-25 80-25h3v-88q-60-1-84-25-23-25-23-83v-111q0-51-10-87-10-36-32-59-22-23-59-34-36-11-88-11z'],
+        '~': [662, 'm162 214h-80q-1 61 19 98 21 36 54 53 33 16 69 16 36 0 66-15 29-15 69-50 26-23 41-32 16-9 35-9 30 0 47 22 18 22 18 64h80q1-60-20-96-20-37-53-53-33-17-69-17-37 0-67 16-31 16-68 49-27 23-42 32-15 9-34 9-28 0-47-20-18-20-18-67z'],
+        '«': [583, 'm345 70h-100l-196 231 196 230h100l-192-230 192-231zm198 0h-100l-196 231 196 230h100l-192-230 192-231z'],
+        '»': [583, 'm140 70h-101l192 231-192 230h101l195-230-195-231zm198 0h-101l193 231-193 230h101l196-230-196-231z'],
+        '°': [456, 'm229 405q-46 0-83 22-38 22-60 59-23 37-23 82 0 46 23 83 22 38 60 60 37 22 83 22 44 0 82-22 37-22 59-60 22-37 22-83 0-45-22-82-22-37-59-59-38-22-82-22zm0 73q24 0 45 12 20 12 33 33 12 20 12 45 0 26-12 46-13 21-33 33-21 13-45 13-26 0-47-13-20-12-33-33-12-20-12-46 0-25 12-45 13-21 33-33 21-12 47-12z'],
+        '©': [914, 'm250 363q0 59 28 107 29 48 77 76 48 28 106 28 51 0 93-22 43-21 71-58 28-37 35-85h-86q-7 36-40 60-32 23-73 23-35 0-65-17-29-17-46-47-18-29-18-65 0-35 18-64 17-29 46-46 30-18 65-18 41 0 70 24 28 23 35 59h86q-6-47-32-85-27-37-68-59-40-22-91-22-58 0-106 29-48 28-77 76-28 48-28 106zm207-374q-78 0-145 29-68 29-120 81-52 51-81 119-29 68-29 146 0 77 29 145 29 68 81 120 52 52 120 81 67 29 145 29 78 0 146-29 67-29 119-81 52-52 81-120 29-68 29-145 0-78-29-146-29-68-81-119-52-52-119-81-68-29-146-29zm0 85q60 0 113 22 52 23 92 63 40 40 63 92 22 53 22 113 0 60-22 112-23 53-63 93-40 40-92 62-53 23-113 23-60 0-113-23-52-22-92-62-40-40-63-93-22-52-22-112 0-60 22-113 23-52 63-92 40-40 92-63 53-22 113-22z'],
+        '®': [666, 'm333 169q-59 0-110 22-52 22-91 61-39 40-61 91-22 52-22 110 0 59 22 110 22 52 61 91 39 39 91 61 51 22 110 22 59 0 111-22 51-22 90-61 39-39 61-91 22-51 22-110 0-58-22-110-22-51-61-91-39-39-90-61-52-22-111-22zm0 69q60 0 108 29 49 29 78 78 29 49 29 108 0 60-29 109-29 48-78 77-48 29-108 29-59 0-108-29-49-29-78-77-29-49-29-109 0-59 29-108 29-49 78-78 49-29 108-29zm125 85h-64l-46 89h-56v-89h-59v261h133q16 0 35-9 19-9 33-27 13-18 13-47 0-28-13-48-13-18-29-28l53-102zm-166 219v-87h52q12 0 26 12 13 11 13 34 0 24-13 32-14 9-25 9h-53z'],
+        '§': [568, 'm275-147q-56 0-95 18-40 18-64 52-24 34-35 81l79 20q12-44 38-70 25-26 79-26 45 0 73 20 28 19 28 58 0 27-12 45-12 18-30 31-18 12-34 22l-138 80q-31 18-55 43-24 25-36 54-13 29-13 58 0 30 13 57 14 28 39 46 25 19 59 21l1 2q-32 28-49 56-17 28-17 66 0 70 50 110 50 40 131 40 80 0 123-39 44-40 65-114l-75-20q-16 48-39 73-22 25-72 25-47 0-73-21-26-21-26-57 0-25 13-44 12-18 30-31 17-12 35-23l137-81q33-19 56-44 23-25 35-53 13-28 13-56 0-31-15-58-14-27-39-45-25-17-58-20l-1-4q23-17 38-36 15-19 23-41 7-21 7-46 0-45-24-79-24-34-66-52-43-18-99-18zm-69 394l132-76q15-9 37-3 22 6 39 26 17 20 17 53 0 20-8 37-7 17-22 32-15 15-37 27l-139 80q-16 9-37 2-20-7-35-27-15-20-15-52 0-19 7-37 7-17 22-33 16-15 39-29z'],
+        '·': [288, 'm144 280q-27 0-47 19-19 19-19 47 0 27 19 46 20 20 47 20 27 0 47-20 19-19 19-46 0-28-19-47-20-19-47-19z'],
+        '±': [662, 'm290 321h-189v82h189v144h83v-144h189v-82h-189v-143h-83v143zm272-287h-461v82h461v-82z'],
+        '×': [662, 'm562 111l-57-56-173 173-173-173-56 56 172 173-172 173 56 58 173-174 173 174 57-58-173-173 173-173z'],
+        'Ё': [601, 'm536 0h-448v728h443v-82h-350v-238h326v-82h-326v-244h355v-82zm-121 817q-24 0-41 17-17 17-17 41 0 24 17 41 17 17 41 17 24 0 41-17 17-17 17-41 0-24-17-41-17-17-41-17zm-206 0q-23 0-41 17-17 17-17 41 0 24 17 41 18 17 41 17 24 0 41-17 17-17 17-41 0-24-17-41-17-17-41-17z'],
+        'Ђ': [841, 'm277 646h-229v82h550v-82h-228v-272q20 28 48 46 47 29 116 29 75 0 133-31 58-32 91-88 33-56 33-129 0-73-33-128-33-55-91-86-59-30-134-30h-53v85h53q75 0 120 43 45 43 45 116 0 74-45 118-45 44-120 44-76 0-121-47-35-36-42-94v-222h-93v646z'],
+        'Ѓ': [579, 'm88 728h443v-82h-350v-646h-93v728zm256 71h-72l68 143h98l-94-143z'],
+        'Є': [730, 'm382-10q-93 0-166 45-73 46-115 129-41 84-41 199 0 116 41 200 42 83 115 129 73 45 166 45 56 0 105-16 49-16 88-47 39-31 65-75 26-44 36-100h-93q-8 37-27 65-18 29-46 48-27 20-59 30-33 9-69 9-65 0-118-33-53-33-83-97-23-46-29-109h302v-81h-303q4-73 30-125 30-64 83-97 53-33 118-33 36 0 69 10 32 10 59 29 28 20 46 48 19 29 27 66h93q-9-56-36-100-26-44-65-75-39-31-88-47-49-17-105-17z'],
+        'Ѕ': [642, 'm321-13q-79 0-137 26-58 25-90 71-33 45-37 106h95q4-41 28-67 24-27 61-40 37-13 80-13 49 0 88 16 40 17 63 46 23 29 23 68 0 35-20 57-20 22-53 36-32 14-71 25l-88 25q-88 25-137 71-49 46-49 119 0 61 33 107 34 47 90 72 57 25 127 25 72 0 127-25 55-25 87-69 32-44 34-99h-91q-6 53-50 82-45 29-110 29-47 0-82-15-35-15-55-42-20-27-20-61 0-38 24-61 24-23 56-36 33-13 59-21l73-20q29-7 65-21 35-14 67-36 32-23 53-58 21-35 21-86 0-59-31-107-31-48-90-76-59-28-143-28z'],
+        'І': [269, 'm88 728h93v-728h-93v728z'],
+        'Ї': [269, 'm88 728h93v-728h-93v728zm149 89q-24 0-41 17-17 17-17 41 0 24 17 41 17 17 41 17 24 0 41-17 17-17 17-41 0-24-17-41-17-17-41-17zm-205 0q-24 0-41 17-17 17-17 41 0 24 17 41 17 17 41 17 24 0 41-17 16-17 16-41 0-24-16-41-17-17-41-17z'],
+        'Ј': [571, 'm266-10q-96 0-157 57-60 57-60 161v39h93v-39q0-66 34-101 34-35 90-35 56 0 90 35 34 35 34 101v520h93v-520q0-104-60-161-61-57-157-57z'],
+        'Љ': [1113, 'm75 0h-27v78h19q35 0 56 14 21 13 32 51 12 37 17 109l39 476h434v-288h172q76 0 131-26 54-26 84-75 31-48 31-115 0-69-30-119-30-50-85-78-55-27-131-27h-265v649h-260l-33-401q-5-63-16-110-11-46-31-77-21-31-54-46-33-15-83-15zm742 359h-172v-278h172q71 0 112 39 42 39 42 105 0 42-19 71-19 30-53 47-34 16-82 16z'],
+        'Њ': [1125, 'm176 0h-88v728h88v-290h387v290h93v-288h173q75 0 130-26 55-26 85-75 30-48 30-115 0-69-30-119-29-50-84-78-55-27-131-27h-266v359h-387v-359zm653 359h-173v-278h173q71 0 112 39 41 39 41 105 0 42-18 71-19 30-53 47-35 16-82 16z'],
+        'Ћ': [884, 'm567 444q76 0 129-25 54-24 83-75 28-52 28-133v-211h-93v211q0 53-20 86-20 33-56 49-35 15-83 15-58 0-112-19-38-14-74-36v-306h-93v646h-228v82h584v-82h-263v-252q34 18 72 31 55 19 126 19z'],
+        'Ќ': [672, 'm181 0h-93v728h93v-317h102l237 317h112l-271-353 283-375h-112l-245 330h-106v-330zm187 799h-72l68 143h98l-94-143z'],
+        'Ў': [628, 'm175 0h-49v83h51q36 0 58 11 22 11 33 38l13 34-256 562h102l96-217q26-59 44-109 19-49 34-96 10-29 19-59 17 48 35 101 25 72 62 163l86 217h100l-251-608q-15-35-35-62-19-27-53-43-33-15-89-15zm139 804q-40 0-72 19-32 18-51 49-19 32-19 70h65q0-33 22-54 21-21 55-21 34 0 55 21 22 21 22 54h65q0-38-19-69-19-32-51-50-32-19-72-19z'],
+        'Џ': [722, 'm634 728v-728h-229v-156h-88v156h-229v728h93v-646h361v646h92z'],
+        'А': [690, 'm124 0h-99l265 728h107l268-728h-98l-73 203h-300l-70-203zm99 284h242l-52 148q-15 40-33 100-16 49-37 121-21-73-37-123-19-61-32-98l-51-148z'],
+        'Б': [646, 'm348 0h-260v728h434v-82h-341v-224h167q74 0 128-25 54-25 84-71 29-47 29-111 0-66-29-114-29-48-83-75-55-26-129-26zm-167 342v-261h165q73 0 112 35 40 35 40 100 0 60-40 93-39 33-112 33h-165z'],
+        'В': [654, 'm354 0h-266v728h258q76 0 125-27 50-26 74-69 24-44 24-97 0-47-16-78-17-30-44-48-27-18-59-27v-7q34-2 68-23 34-22 57-61 23-40 23-97 0-55-25-99-26-44-79-69-54-26-140-26zm-173 330v-248h171q85 0 120 33 36 32 36 80 0 36-18 67-19 31-53 50-34 18-81 18h-175zm0 316v-238h160q39 0 71 16 31 15 50 43 18 28 18 66 0 47-32 80-33 33-104 33h-163z'],
+        'Г': [579, 'm88 728h443v-82h-350v-646h-93v728z'],
+        'Д': [819, 'm137-156h-89v238h59q18 16 34 41 16 26 29 65 14 40 24 97 10 57 16 136l25 307h455v-646h81v-238h-89v156h-545v-156zm77 238h384v564h-278l-19-225q-6-77-17-144-12-67-28-117-17-51-42-78z'],
+        'Е': [601, 'm536 0h-448v728h443v-82h-350v-238h326v-82h-326v-244h355v-82z'],
+        'Ж': [960, 'm434 728h92v-324h89l187 324h112l-216-350 234-378h-106l-195 322h-105v-322h-92v322h-105l-196-322h-105l235 379-217 349h113l188-324h87v324z'],
+        'З': [618, 'm310-10q-71 0-126 25-56 24-88 68-33 43-35 101h94q3-35 23-60 21-25 55-39 34-13 76-13 45 0 81 16 35 16 56 44 20 29 20 67 0 39-19 69-20 30-58 47-37 18-92 18h-59v80h59q43 0 75 15 33 16 51 44 18 28 18 65 0 36-16 63-16 27-45 42-29 15-69 15-37 0-70-14-32-13-53-38-21-25-22-61h-89q2 58 34 101 32 43 85 68 53 24 117 24 68 0 117-27 49-27 75-72 27-44 27-96 0-62-33-104-32-43-88-60v-6q47-7 79-31 33-24 51-61 17-36 17-82 0-60-32-107-32-47-88-74-57-27-128-27z'],
+        'И': [753, 'm666 728v-728h-94v415q0 20 1 54 2 34 4 80 2 32 3 67-23-40-40-70-23-42-41-73-19-30-37-59l-264-414h-110v728h93v-447q0-22-1-54 0-33-2-71-1-23-3-46 11 21 21 42 19 36 36 64 17 28 28 46l296 466h110z'],
+        'Й': [753, 'm666 728v-728h-94v415q0 20 1 54 2 34 4 80 2 32 3 67-23-40-40-70-23-42-41-73-19-30-37-59l-264-414h-110v728h93v-447q0-22-1-54 0-33-2-71-1-23-3-46 11 21 21 42 19 36 36 64 17 28 28 46l296 466h110zm-289 76q-40 0-72 19-32 18-51 49-19 32-19 70h65q0-33 22-54 21-21 55-21 34 0 55 21 22 21 22 54h65q0-38-19-69-19-32-51-50-32-19-72-19z'],
+        'К': [672, 'm181 0h-93v728h93v-317h102l237 317h112l-271-353 283-375h-112l-245 330h-106v-330z'],
+        'Л': [748, 'm75 0h-27v82h19q35 0 55 13 21 14 33 52 12 39 17 112l39 469h449v-728h-93v646h-272l-32-395q-5-64-17-112-11-48-32-78-21-31-55-46-34-15-84-15z'],
+        'М': [903, 'm176 0h-88v728h132l179-459q6-17 14-41 8-24 17-52 9-29 18-56 2-9 5-17 2 7 4 15 8 27 17 56 9 28 18 53 8 25 14 42l177 459h132v-728h-91v416q0 22 0 51 1 29 1 60 1 32 2 65 0 18 1 36-7-20-14-41-11-35-22-68-11-32-21-59-10-27-17-44l-162-416h-81l-165 416q-7 17-16 43-9 26-20 58-11 32-23 67-7 21-14 43 0-15 1-31 0-32 1-64 0-32 1-63 0-30 0-53v-416z'],
+        'Н': [743, 'm181 0h-93v728h93v-315h382v315h92v-728h-92v331h-382v-331z'],
+        'О': [765, 'm383-10q-93 0-166 45-73 46-115 129-42 84-42 199 0 116 42 200 42 83 115 129 73 45 166 45 93 0 166-45 73-46 114-129 42-84 42-200 0-115-42-199-41-83-114-129-73-45-166-45zm0 86q65 0 117 33 53 33 84 97 31 65 31 157 0 94-31 158-31 64-84 97-52 33-117 33-66 0-118-33-53-33-84-97-31-64-31-158 0-92 31-156 31-64 84-98 52-33 118-33z'],
+        'П': [743, 'm88 728h567v-728h-92v646h-382v-646h-93v728z'],
+        'Р': [639, 'm181 0h-93v728h249q85 0 140-31 55-31 81-84 27-52 27-117 0-65-27-118-26-52-81-84-55-31-140-31h-156v-263zm0 646v-301h152q58 0 93 20 35 19 51 54 16 34 16 77 0 43-16 77-16 34-51 53-36 20-94 20h-151z'],
+        'С': [730, 'm382-10q-93 0-166 45-73 46-115 129-41 84-41 199 0 116 41 200 42 83 115 129 73 45 166 45 56 0 105-16 49-16 88-47 39-31 65-75 26-44 36-100h-93q-8 37-27 65-18 29-46 48-27 20-59 30-33 9-69 9-65 0-118-33-53-33-83-97-31-64-31-158 0-92 31-157 31-64 84-97 52-33 117-33 36 0 69 10 32 10 59 29 28 20 46 48 19 29 27 66h93q-9-56-36-100-26-44-65-75-39-31-88-47-49-17-105-17z'],
+        'Т': [646, 'm277 646h-229v82h550v-82h-228v-646h-93v646z'],
+        'У': [628, 'm175 0h-49v83h51q36 0 58 11 22 11 33 38l13 34-256 562h102l96-217q26-59 44-109 19-49 34-96 10-29 19-59 17 48 35 101 25 72 62 163l86 217h100l-251-608q-15-35-35-62-19-27-53-43-33-15-89-15z'],
+        'Ф': [828, 'm460-43h-92v95q-90 3-157 38-73 38-112 108-39 70-39 166 0 95 39 165 39 70 112 108 67 35 157 38v96h92v-96q91-3 158-38 72-38 111-108 40-70 40-165 0-96-40-166-39-70-111-108-67-35-158-38v-95zm0 632v-451q65 3 111 26 53 26 81 76 27 51 27 124 0 73-27 123-28 51-81 77-46 22-111 25zm-92-451v451q-64-3-111-25-53-26-80-77-28-50-28-123 0-73 28-124 27-50 80-76 47-23 111-26z'],
+        'Х': [682, 'm133 0h-105l261 373-245 355h107l105-155q24-34 39-57 15-24 27-46 9-17 20-38 11 21 20 37 13 23 28 46 15 24 39 58l107 155h105l-245-352 258-376h-107l-127 185q-21 30-35 52-14 21-26 43-8 14-18 33-8-18-16-31-13-22-27-44-15-23-36-53l-129-185z'],
+        'Ц': [721, 'm706-156h-88v156h-530v728h93v-646h361v646h92v-647h72v-237z'],
+        'Ч': [700, 'm321 271q-76 0-131 25-54 24-84 76-29 51-29 132v224h93v-224q0-79 46-115 46-35 117-35 60 0 113 20 38 14 74 36v318h92v-728h-92v321q-36-18-75-31-55-19-124-19z'],
+        'Ш': [958, 'm88 0v728h93v-646h252v646h92v-646h252v646h93v-728h-782z'],
+        'Щ': [972, 'm88 0v728h93v-646h252v646h92v-646h252v646h93v-647h71v-237h-88v156h-765z'],
+        'Ъ': [816, 'm255 649h-207v79h300v-288h173q75 0 130-26 55-26 85-75 30-48 30-115 0-69-30-119-30-50-85-78-55-27-130-27h-266v649zm266-290h-173v-278h173q70 0 112 39 41 39 41 105 0 42-19 71-19 30-53 47-34 16-81 16z'],
+        'Ы': [883, 'm181 728v-288h173q75 0 130-26 55-26 85-75 30-48 30-115 0-69-30-119-30-50-85-78-55-27-130-27h-266v728h93zm173-369h-173v-278h173q70 0 112 39 41 39 41 105 0 42-19 71-19 30-53 47-34 16-81 16zm348 369h93v-728h-93v728z'],
+        'Ь': [649, 'm181 728v-288h173q75 0 130-26 55-26 85-75 30-48 30-115 0-69-30-119-30-50-85-78-55-27-130-27h-266v728h93zm173-369h-173v-278h173q70 0 112 39 41 39 41 105 0 42-19 71-19 30-53 47-34 16-81 16z'],
+        'Э': [730, 'm349-10q-57 0-106 17-49 16-88 47-39 31-65 76-26 44-35 99h92q8-37 27-66 19-28 46-48 27-19 60-29 33-10 69-10 65 0 118 33 52 33 83 97 25 52 30 125h-303v81h301q-6 63-28 109-31 64-83 97-53 33-118 33-36 0-69-9-33-10-60-30-27-19-46-48-19-28-27-65h-92q9 56 36 100 26 44 65 75 39 31 88 47 49 16 105 16 93 0 166-45 72-46 114-129 42-84 42-200 0-114-42-198-42-84-114-129-73-46-166-46z'],
+        'Ю': [1015, 'm88 728h93v-322h130q6 89 41 157 42 83 115 129 73 45 166 45 93 0 166-45 73-46 114-129 42-84 42-200 0-115-42-199-41-83-114-129-73-45-166-45-93 0-166 45-73 46-115 130-36 70-41 163h-130v-328h-93v728zm545-652q65 0 117 33 53 33 84 97 31 65 31 157 0 94-31 158-31 64-84 97-52 33-117 33-66 0-118-33-53-33-84-97-31-64-31-158 0-92 31-156 31-64 84-98 52-33 118-33z'],
+        'Я': [644, 'm556 728v-728h-93v282h-157q-9 0-17 1l-151-283h-108l163 299q-14 5-26 12-55 27-82 77-26 50-26 115 0 65 26 116 27 50 82 79 55 30 140 30h249zm-245-363h152v281h-151q-58 0-93-18-36-18-52-50-16-32-16-75 0-43 16-74 16-31 51-47 35-17 93-17z'],
+        'а': [562, 'm230-13q-52 0-94 20-42 19-67 57-25 38-25 91 0 47 19 76 18 30 49 47 31 16 69 25 37 8 75 13 49 6 80 10 31 3 46 11 14 9 14 29v3q0 34-12 58-13 23-38 36-26 13-64 13-39 0-67-13-27-12-45-30-17-18-26-37l-84 27q21 50 56 78 36 28 79 40 43 12 85 12 27 0 62-7 35-6 67-26 33-20 54-58 21-38 21-102v-360h-86v74h-6q-9-19-30-39-20-20-53-34-33-14-79-14zm15 78q49 0 83 19 33 19 51 50 17 30 17 63v76q-5-6-23-12-18-5-41-9-23-3-45-6-22-3-35-4-31-4-59-14-27-9-44-28-17-18-17-49 0-28 15-47 15-20 40-29 25-10 58-10z'],
+        'б': [594, 'm299-12q-70 0-126 34-56 33-89 95-33 62-33 148v18q0 85 9 147 10 63 31 107 21 44 55 71 34 28 82 43 49 14 114 18 33 2 50 9 18 7 24 19 6 12 6 31h78q0-41-15-69-15-28-49-44-35-15-94-19-74-5-120-23-46-18-69-64-24-45-31-133h3q14 39 45 71 30 33 72 53 42 21 90 21 59 0 106-35 48-34 77-93 28-59 28-133 0-77-32-139-31-61-86-97-55-36-126-36zm1 77q49 0 83 23 35 23 54 66 18 42 18 101 0 59-17 101-18 42-52 65-33 22-81 22-49 0-87-24-37-24-58-68-21-43-21-100 0-53 19-95 20-42 56-66 36-25 86-25z'],
+        'в': [565, 'm335 0h-258v546h223q89 0 142-40 52-40 52-106 0-47-29-75-28-28-77-38 31-4 60-22 30-17 48-46 19-30 19-73 0-42-22-75-21-33-62-52-40-19-96-19zm-174 243v-163h174q42 0 66 20 24 20 24 54 0 42-24 66-24 23-66 23h-174zm0 223v-149h140q49 0 77 20 28 21 28 56 0 34-28 54-28 19-78 19h-139z'],
+        'г': [436, 'm77 546h339v-81h-251v-465h-88v546z'],
+        'д': [613, 'm107-157h-87v238h44q17 17 29 37 12 21 21 49 9 28 15 69 7 40 12 96l18 214h352v-465h83v-238h-88v157h-399v-157zm57 238h259v384h-185l-11-133q-8-87-22-150-13-63-41-101z'],
+        'е': [583, 'm307-12q-79 0-137 35-57 36-88 99-31 63-31 147 0 84 30 148 30 63 86 100 55 36 129 36 44 0 86-15 42-14 77-46 34-32 55-84 20-53 20-128v-37h-394q2-53 21-91 21-42 58-64 38-22 88-22 32 0 59 10 26 9 45 28 19 19 29 46l85-23q-12-41-43-72-30-32-75-49-44-18-100-18zm-167 329h305q-4 37-16 69-17 41-50 65-33 24-83 24-49 0-84-25-35-24-54-62-15-34-18-71z'],
+        'ж': [810, 'm138 0h-106l219 278-216 268h104l179-232h44v232h88v-232h42l179 232h105l-216-268 218-278h-106l-181 233h-41v-233h-88v233h-42l-182-233z'],
+        'з': [494, 'm246-6q-54 0-99 17-45 17-73 49-27 32-28 74h90q2-28 34-47 33-19 76-19 49 0 80 26 30 25 30 62 0 40-33 65-32 25-89 25h-36v66h36q46 0 77 23 31 23 31 62 0 37-26 60-25 23-67 23-41 0-73-21-32-20-33-54h-85q1 44 27 77 26 33 70 51 43 19 95 19 54 0 94-21 40-20 62-54 22-35 22-76 0-49-31-79-30-30-74-39v-4q63-9 94-44 32-34 32-85 0-45-26-80-26-36-72-56-46-20-105-20z'],
+        'и': [591, 'm514 546v-546h-88v394h-7l-258-394h-84v546h88v-395h6l260 395h83z'],
+        'й': [591, 'm514 546v-546h-88v394h-7l-258-394h-84v546h88v-395h6l260 395h83zm-219 77q-39 0-71 18-32 18-51 50-19 31-19 70h64q0-33 22-55 22-21 55-21 34 0 56 21 22 22 22 55h64q0-39-19-70-19-31-51-50-32-18-72-18z'],
+        'к': [542, 'm165 0h-88v546h88v-236h55l194 236h111l-217-264 220-282h-111l-176 229h-76v-229z'],
+        'л': [575, 'm40 0h-30v81h19q24 0 40 9 16 10 27 34 10 23 16 67 5 43 8 112l10 243h368v-546h-88v465h-197l-8-193q-4-90-20-151-16-60-50-91-35-30-95-30z'],
+        'м': [770, 'm165 0h-88v546h132l124-302q12-28 21-53 9-25 15-47 7-23 13-44 1-8 3-15 2 7 3 13 6 21 12 44 7 23 16 48 8 25 20 54l123 302h134v-546h-89v285q0 28 1 56 0 28 0 56 1 28 1 57 0 9 1 19-6-21-11-39-11-36-23-70-13-35-31-79l-119-285h-77l-121 285q-18 43-31 78-12 35-23 71-4 14-9 30 0-2 1-5 0-27 1-57 0-29 0-58 1-30 1-59v-285z'],
+        'н': [588, 'm77 546h88v-225h258v225h88v-546h-88v240h-258v-240h-88v546z'],
+        'о': [600, 'm299-12q-74 0-130 35-56 36-87 99-31 64-31 148 0 85 31 149 31 63 87 99 56 35 130 35 75 0 131-35 56-36 88-99 31-64 31-149 0-84-31-148-32-63-88-99-56-35-131-35zm0 79q55 0 91 28 36 29 53 75 17 46 17 100 0 54-17 100-17 47-53 76-36 28-91 28-54 0-90-28-35-29-52-75-17-47-17-101 0-54 17-100 17-46 52-75 36-28 90-28z'],
+        'п': [588, 'm77 546h434v-546h-88v465h-257v-465h-89v546z'],
+        'р': [612, 'm165-204h-88v750h85v-88h10q9 15 26 37 16 23 48 40 31 18 84 18 68 0 120-34 52-35 82-98 30-63 30-150 0-86-30-150-29-63-81-98-52-35-120-35-52 0-84 18-32 18-49 41-17 22-26 37h-7v-288zm152 271q52 0 86 27 35 28 52 75 17 46 17 103 0 57-17 103-17 45-51 72-35 27-87 27-50 0-84-25-34-26-52-71-17-45-17-106 0-60 18-106 17-47 52-73 34-26 83-26z'],
+        'с': [571, 'm299-12q-74 0-130 35-56 36-87 99-31 64-31 148 0 85 31 149 31 63 87 99 56 35 130 35 40 0 75-11 35-10 64-29 29-19 50-47 21-28 33-64l-85-24q-6 21-18 39-12 17-30 30-17 13-39 20-23 7-50 7-54 0-90-28-35-29-52-75-17-47-17-101 0-54 17-100 17-46 52-75 36-28 90-28 28 0 51 7 23 8 40 21 18 13 30 32 13 19 18 40l84-23q-10-37-32-66-21-28-50-48-29-21-65-31-36-11-76-11z'],
+        'т': [466, 'm277 0h-88v467h-179v79h446v-79h-179v-467z'],
+        'у': [562, 'm68-198l23 76 9-2q27-7 49-4 22 3 39 22 18 19 31 58l16 45-209 549h97l116-324q18-51 31-100 5-21 11-41 5 20 11 41 13 50 31 100l117 324h96l-240-628q-17-43-40-71-23-28-54-42-31-13-69-13-24 0-41 3-17 4-24 7z'],
+        'ф': [687, 'm388-204h-89v192q-74 0-130 35-56 36-87 99-31 64-31 148 0 85 31 149 31 63 87 99 56 35 130 35v175h89v-175q74 0 130-35 56-36 87-99 31-64 31-149 0-84-31-148-31-63-87-99-56-35-130-35v-192zm-89 266v421q-54 0-90-31-36-31-53-79-18-49-18-103 0-54 18-102 17-47 53-76 36-30 90-30zm89 421v-421q54 0 90 30 36 29 53 76 18 48 18 102 0 54-18 103-17 48-53 79-36 31-90 31z'],
+        'х': [546, 'm133 0h-101l192 280-181 266h103l67-106q27-41 46-77 8-15 17-30 8 15 16 30 17 36 43 77l70 106h100l-182-271 191-275h-102l-80 123q-26 40-44 74-8 14-16 27-7-13-14-27-17-34-44-74l-81-123z'],
+        'ц': [597, 'm494 0h-417v546h88v-465h257v465h89v-465h72l-1-237h-88v156z'],
+        'ч': [578, 'm285 171q-95 0-151 50-57 50-57 150v175h88v-175q0-61 34-90 34-29 86-29 52 0 95 10 16 4 33 8v276h87v-546h-87v188q-2 0-3 0-29-8-59-13-31-4-66-4z'],
+        'ш': [822, 'm77 0v546h88v-465h202v465h88v-465h202v465h88v-546h-668z'],
+        'щ': [837, 'm77 0v546h88v-465h202v465h88v-465h202v465h88v-465h72l-1-237h-87v156h-652z'],
+        'ъ': [644, 'm162 475h-152v71h240v-196h143q65 0 109-22 44-23 68-62 23-39 23-89 0-50-23-90-24-40-68-63-44-24-109-24h-231v475zm231-206h-143v-188h143q48 0 80 26 31 25 31 66 0 42-31 69-32 27-80 27z'],
+        'ы': [736, 'm165 546v-196h143q65 0 109-22 45-23 68-62 23-39 23-89 0-50-23-90-24-40-68-63-44-24-109-24h-231v546h88zm143-277h-143v-188h143q48 0 80 26 31 25 31 66 0 42-31 69-32 27-80 27zm351-269h-88v546h88v-546z'],
+        'ь': [559, 'm165 546v-196h143q65 0 109-22 45-23 68-62 23-39 23-89 0-50-23-90-24-40-68-63-44-24-109-24h-231v546h88zm143-277h-143v-188h143q48 0 80 26 31 25 31 66 0 42-31 69-32 27-80 27z'],
+        'э': [571, 'm272-12q-40 0-76 11-35 10-65 31-29 20-50 48-21 29-32 66l84 23q6-21 18-40 12-19 30-32 18-13 41-21 23-7 50-7 55 0 90 28 35 29 52 75 11 30 15 64h-237v79h236q-4 30-14 58-17 46-52 75-35 28-90 28-27 0-49-7-23-7-40-20-17-13-30-30-12-18-18-39l-84 24q11 36 32 64 21 28 50 47 29 19 64 29 35 11 75 11 74 0 130-35 56-36 87-99 32-64 32-149 0-84-32-148-31-63-87-99-56-35-130-35z'],
+        'ю': [843, 'm160 0h-83v546h83v-234h136q6 59 29 107 31 63 87 99 56 35 130 35 75 0 131-35 56-36 88-99 31-64 31-149 0-84-31-148-32-63-88-99-56-35-131-35-74 0-130 35-56 36-87 99-24 49-30 111h-135v-233zm382 67q56 0 91 28 36 29 53 75 17 46 17 100 0 54-17 100-17 47-53 76-35 28-91 28-54 0-89-28-36-29-53-75-17-47-17-101 0-54 17-100 17-46 53-75 35-28 89-28z'],
+        'я': [554, 'm477 546v-546h-87v205h-130q-6 0-12 0l-124-205h-101l135 219q-35 11-58 32-53 46-53 122 0 76 52 125 53 48 161 48h217zm-211-268h124v191h-123q-71 0-101-25-31-26-31-71 0-45 31-70 30-25 100-25z'],
+        'ё': [583, 'm307-12q-79 0-137 35-57 36-88 99-31 63-31 147 0 84 30 148 30 63 86 100 55 36 129 36 44 0 86-15 42-14 77-46 34-32 55-84 20-53 20-128v-37h-394q2-53 21-91 21-42 58-64 38-22 88-22 32 0 59 10 26 9 45 28 19 19 29 46l85-23q-12-41-43-72-30-32-75-49-44-18-100-18zm-167 329h305q-4 37-16 69-17 41-50 65-33 24-83 24-49 0-84-25-35-24-54-62-15-34-18-71zm257 318q-23 0-41 17-17 17-17 41 0 24 17 41 18 17 41 17 24 0 41-17 17-17 17-41 0-24-17-41-17-17-41-17zm-205 0q-24 0-41 17-17 17-17 41 0 24 17 41 17 17 41 17 24 0 41-17 17-17 17-41 0-24-17-41-17-17-41-17z'],
+        'ђ': [591, 'm372-208q-16 0-30 1-14 1-21 3v73q7-1 15-1 8-1 14-1 40 0 58 12 18 12 18 38v422q0 63-33 99-33 36-90 36-39 0-71-17-31-18-49-50-18-33-18-80v-327h-88v603h-73v67h73v58h88v-58h155v-67h-155v-151q23 46 56 69 46 32 108 32 55 0 97-23 42-23 65-68 23-46 23-115v-347-83q0-61-36-93-37-32-106-32z'],
+        'ѓ': [436, 'm77 546h339v-81h-251v-465h-88v546zm201 71h-72l68 144h99l-95-144z'],
+        'є': [571, 'm299-12q-74 0-130 35-56 36-87 99-31 64-31 148 0 85 31 149 31 63 87 99 56 35 130 35 40 0 75-11 35-10 64-29 29-19 50-47 21-28 33-64l-85-24q-6 21-18 39-12 17-30 30-17 13-39 20-23 7-50 7-54 0-90-28-35-29-52-75-10-28-14-58h236v-79h-237q4-34 15-64 17-46 52-75 36-28 90-28 28 0 51 7 23 8 40 21 18 13 30 32 13 19 18 40l84-23q-10-37-32-66-21-28-50-48-29-21-65-31-36-11-76-11z'],
+        'ѕ': [528, 'm263-12q-56 0-100 17-44 16-72 48-28 32-38 79l83 20q12-45 44-66 33-21 82-21 57 0 91 25 34 24 34 58 0 28-20 47-20 19-60 28l-91 22q-74 17-111 54-36 37-36 95 0 46 27 82 26 36 72 56 45 21 103 21 57 0 96-17 39-17 64-46 25-30 37-69l-80-20q-11 29-37 53-26 24-79 24-49 0-81-22-33-23-33-57 0-30 22-49 22-18 70-29l83-20q74-17 109-54 36-37 36-93 0-48-27-85-27-38-76-59-48-22-112-22z'],
+        'і': [242, 'm165 0h-88v546h88v-546zm-43 635q-25 0-43 17-18 17-18 41 0 25 18 42 18 16 43 16 25 0 43-16 18-17 18-42 0-24-18-41-18-17-43-17z'],
+        'ї': [242, 'm165 0h-88v546h88v-546zm60 635q-24 0-41 17-17 17-17 41 0 24 17 41 17 17 41 17 24 0 40-17 17-17 17-41 0-24-17-41-16-17-40-17zm-206 0q-24 0-41 17-17 17-17 41 0 24 17 41 17 17 41 17 24 0 41-17 17-17 17-41 0-24-17-41-17-17-41-17z'],
+        'ј': [242, 'm77-39v585h88v-585q1-52-18-89-18-37-53-57-36-19-89-19h-18v81h16q39 0 56 22 18 21 18 62zm44 674q-25 0-43 17-18 17-18 41 0 25 18 42 18 16 43 16 25 0 44-16 18-17 18-42 0-24-18-41-19-17-44-17z'],
+        'љ': [924, 'm50 0h-30v81h20q23 0 40 9 16 10 26 34 10 23 16 67 5 43 8 112l10 243h391v-196h143q64 0 109-22 45-23 68-62 23-39 23-89 0-50-24-90-23-40-67-63-45-24-109-24h-254v465h-196l-9-193q-4-90-19-151-16-60-51-91-35-30-95-30zm624 269h-143v-188h143q48 0 79 26 32 25 32 66 0 42-32 69-31 27-79 27z'],
+        'њ': [896, 'm165 0h-88v546h88v-228h258v228h88v-227h142q89 0 141-43 52-42 52-115 0-74-52-117-52-44-141-44h-230v237h-258v-237zm488 238h-142v-157h142q51 0 77 20 27 20 27 57 0 38-27 59-26 21-77 21z'],
+        'ћ': [591, 'm165 327v-327h-88v603h-73v67h73v58h88v-58h155v-67h-155v-151q23 46 56 69 46 32 108 32 55 0 97-23 42-23 65-68 23-46 23-115v-347h-88v339q0 63-33 99-33 36-90 36-39 0-71-17-31-18-49-50-18-33-18-80z'],
+        'ќ': [542, 'm165 0h-88v546h88v-236h55l194 236h111l-217-264 220-282h-111l-176 229h-76v-229zm140 617h-72l68 144h98l-94-144z'],
+        'ў': [562, 'm68-198l23 76 9-2q27-7 49-4 22 3 39 22 18 19 31 58l16 45-209 549h97l116-324q18-51 31-100 5-21 11-41 5 20 11 41 13 50 31 100l117 324h96l-240-628q-17-43-40-71-23-28-54-42-31-13-69-13-24 0-41 3-17 4-24 7zm213 821q-39 0-71 18-32 18-51 50-19 31-19 70h64q0-33 22-55 22-21 55-21 34 0 56 21 21 22 21 55h65q0-39-19-70-19-31-51-50-32-18-72-18z'],
+        'џ': [588, 'm250 0h-173v546h88v-465h257v465h89v-546h-173v-156h-88v156z'],
+        'Ґ': [579, 'm527 728h4v-82h-350v-646h-93v728h355v147h84v-147z'],
+        'ґ': [436, 'm77 546h256v133h83v-214h-251v-465h-88v546z'],
+        'ʼ': [261, 'm146 451h-68l43 277h101l-76-277z'],
+        '–': [500, 'm0 351h500v-81h-500v81z'],
+        '—': [1000, 'm0 351h1000v-81h-1000v81z'],
+        '‘': [261, 'm179 451h-101l76 277h68l-43-277z'],
+        '’': [261, 'm146 451h-68l43 277h101l-76-277z'],
+        '‚': [241, 'm126-175h-67l43 277h100l-76-277z'],
+        '“': [440, 'm179 451h-101l76 277h68l-43-277zm179 0h-100l76 277h67l-43-277z'],
+        '”': [440, 'm146 451h-68l43 277h101l-76-277zm179 0h-67l43 277h100l-76-277z'],
+        '„': [421, 'm126-175h-67l43 277h100l-76-277zm180 0h-68l43 277h101l-76-277z'],
+        '•': [563, 'm281 134q-43 0-78 21-36 21-57 56-21 36-21 79 0 43 21 79 21 35 57 56 35 21 78 21 44 0 79-21 36-21 57-56 21-36 21-79 0-43-21-79-21-35-57-56-35-21-79-21z'],
+        '…': [864, 'm144-6q-27 0-47 19-19 19-19 47 0 27 19 46 20 19 47 19 27 0 47-19 19-19 19-46 0-28-19-47-20-19-47-19zm288 0q-27 0-47 19-19 19-19 47 0 27 19 46 20 19 47 19 27 0 47-19 19-19 19-46 0-28-19-47-20-19-47-19zm288 0q-27 0-46 19-20 19-20 47 0 27 20 46 19 19 46 19 28 0 47-19 19-19 19-46 0-28-19-47-19-19-47-19z'],
+        '№': [1092, 'm179 0h-91v728h88l324-555h7v555h90v-728h-88l-322 550h-8v-550zm819 219h-310v74h310v-74zm-156 136q-52 0-91 21-38 21-59 59-21 38-21 88v47q0 51 21 89 20 37 59 58 38 21 90 21 53 0 91-21 38-21 58-59 20-37 20-88v-47q0-51-20-88-21-38-59-59-37-21-89-21zm0 72q41 0 61 26 21 26 21 70v47q-1 43-21 69-20 26-62 26-42 0-63-26-20-26-20-69v-47q0-44 21-70 20-26 63-26z'],
+        '₴': [632, 'm579 334v-79h-345q-22-21-31-41-12-24-12-52 0-41 32-64 32-24 92-24 58 0 94 24 37 24 37 76h99q0-63-29-103-28-41-80-61-51-20-121-20-103 0-162 44-60 44-60 127 0 32 14 63 8 17 20 31h-73v79h525zm-261 322q-41 0-65-11-24-11-36-28-11-17-15-34-4-18-4-31h-100q1 50 23 92 22 42 70 68 48 25 127 25 67 0 114-19 47-19 72-57 24-37 24-93 0-32-13-62-6-12-14-24h78v-79h-525v79h340q16 20 28 40 14 22 14 46 0 40-30 64-29 24-88 24z'],
+        '€': [667, 'm215 470h307l-33-71h-283q-1-17-1-36 0-18 1-35h254l-32-72h-212q6-27 16-50 27-64 75-97 47-33 107-33 31 0 59 8 27 9 51 23 24 14 44 31l37-77q-37-35-87-53-50-18-104-18-88 0-156 45-68 46-106 130-19 42-29 91h-98l26 72h64q-1 17-1 35 0 19 1 36h-90l26 71h72q10 51 29 93 38 83 106 129 68 45 156 45 55 0 104-18 49-19 89-56l-36-78q-21 19-46 34-25 15-52 24-28 8-59 8-60 0-107-33-48-33-75-97-10-23-17-51z'],
+        '™': [611, 'm441 466h-25l-78 176v-176h-46v262h56l80-191 80 191h57v-262h-47v176l-77-176zm-274 0h-48v221h-79v41h206v-41h-79v-221z']
+      })
+    }),
+    bold: Object.freeze({
+      name: 'Inter-Bold',
+      glyphs: Object.freeze({
+        '0': [674, 'm337-10q-92 0-157 44-65 45-99 128-35 83-35 201 0 118 35 202 34 83 99 128 65 44 157 44 92 0 157-44 65-45 100-129 34-83 34-201 0-118-34-201-34-83-100-128-65-44-157-44zm0 124q45 0 76 29 31 29 47 85 17 56 17 135 0 80-17 137-16 56-47 85-31 29-76 29-45 0-76-29-31-30-47-86-16-56-16-136 0-79 16-135 16-56 47-85 31-29 76-29z'],
+        '1': [431, 'm206 728h160v-728h-149v596h-5l-167-118v137l161 113z'],
+        '2': [630, 'm575 0h-514v107l257 242q34 32 56 58 23 27 35 52 12 25 12 54 0 33-15 56-14 24-40 36-25 13-58 13-34 0-59-14-25-13-39-39-14-25-14-61h-142q0 71 32 124 33 52 90 81 58 28 133 28 77 0 135-27 57-28 89-76 32-49 32-112 0-40-15-80-16-39-57-88-41-49-116-118l-109-108v-5h307v-123z'],
+        '3': [646, 'm322-10q-79 0-141 27-61 27-96 76-36 48-37 111h150q2-27 18-48 16-20 44-31 28-11 62-11 36 0 64 12 27 13 43 35 15 23 15 52 0 31-16 54-16 23-47 35-30 13-72 13h-68v111h68q35 0 62 13 27 12 42 34 16 22 16 51 0 28-13 49-14 21-37 33-24 12-56 12-31 0-58-11-26-12-42-32-16-21-17-49h-143q0 62 35 110 34 48 93 74 59 27 133 27 75 0 131-27 56-27 87-74 31-46 31-103 0-61-38-102-37-41-98-53v-5q53-7 89-30 37-23 55-58 19-36 19-81 0-62-36-110-36-49-98-76-63-28-144-28z'],
+        '4': [676, 'm397 129h-348v118l305 481h187v-478h90v-121h-90v-129h-144v129zm-197 121h200v313h-5l-195-308v-5z'],
+        '5': [622, 'm307-10q-75 0-133 28-59 27-93 76-34 48-36 110h146q1-28 17-50 16-22 42-34 26-12 57-12 36 0 64 17 28 16 45 45 16 30 16 68 0 39-17 69-16 30-45 47-28 16-66 16-33 0-63-13-30-13-46-35l-134 24 35 382h440v-124h-317l-18-184h4q19 27 57 44 39 17 86 17 49 0 91-18 41-17 72-49 31-32 48-76 17-44 17-96 0-74-34-130-34-57-94-89-61-33-141-33z'],
+        '6': [649, 'm334-10q-55 0-107 19-52 18-92 60-41 41-65 109-24 69-24 169 0 91 20 164 21 72 59 123 39 51 93 77 54 26 121 26 72 0 127-28 55-28 89-75 34-48 41-108h-146q-10 38-39 61-29 22-72 22-47 0-80-28-33-29-50-81-17-52-17-124h5q17 32 44 55 28 23 64 35 35 12 75 12 64 0 115-30 50-30 80-83 29-53 29-122 0-74-34-131-34-57-95-89-60-33-141-33zm-1 118q36 0 64 18 29 17 45 47 17 29 17 66 0 37-16 66-16 29-45 47-28 17-64 17-27 0-50-10-23-10-40-28-17-18-27-42-9-23-9-50 0-36 16-65 16-30 44-48 29-18 65-18z'],
+        '7': [582, 'm241 0h-155l303 600v4h-352v124h508v-125l-304-603z'],
+        '8': [651, 'm325-10q-81 0-144 27-63 27-99 73-36 47-36 105 0 46 21 84 20 38 56 64 35 26 80 33v4q-58 13-95 58-36 44-36 104 0 56 33 100 33 45 90 70 57 25 130 25 73 0 130-25 58-25 91-70 33-44 33-100 0-60-37-104-37-45-93-58v-4q43-7 79-33 35-26 56-64 21-38 21-84 0-58-36-105-36-46-99-73-63-27-145-27zm0 111q38 0 66 13 27 13 43 38 16 24 16 55 0 32-16 57-17 25-45 39-28 14-64 14-36 0-64-14-28-14-44-39-16-24-16-57 0-31 15-55 15-24 44-38 28-13 65-13zm0 326q31 0 56 12 24 13 38 36 14 22 14 51 0 29-14 51-14 22-38 34-24 13-56 13-32 0-56-13-24-12-38-34-13-22-13-51 0-29 13-51 14-23 39-36 24-12 55-12z'],
+        '9': [649, 'm311-11q-72 0-128 29-55 28-89 76-33 49-41 109h148q8-39 37-62 29-23 73-23 47 0 80 28 33 29 50 81 17 53 17 125h-5q-16-32-44-55-28-23-63-35-35-12-75-12-65 0-116 30-51 30-80 83-29 54-29 122 0 74 34 131 34 57 95 90 61 33 142 32 55 0 106-19 52-18 92-60 41-41 65-109 24-69 24-169 0-92-21-164-20-73-59-124-38-51-92-77-55-27-121-27zm5 370q27 0 50 10 23 11 40 29 17 18 27 41 10 23 10 51 0 35-16 64-17 29-45 47-28 18-65 18-36 0-64-17-29-18-45-47-17-30-17-66 0-37 16-66 17-29 45-47 28-17 64-17z'],
+        ' ': [237, ''],
+        '!': [338, 'm237 230h-136l-11 498h158l-11-498zm-68-239q-38 0-62 23-24 23-24 59 0 37 24 60 24 23 62 23 39 0 63-23 24-23 24-60 0-36-24-59-24-23-63-23z'],
+        '"': [552, 'm225 425h-111l-15 303h141l-15-303zm213 0h-111l-15 303h141l-15-303z'],
+        '#': [649, 'm448 0h-111l30 182h-145l-30-182h-110l29 182h-100l19 110h99l24 143h-100l18 110h100l30 183h111l-30-183h145l30 183h110l-29-183h100l-19-110h-100l-23-143h100l-19-110h-99l-30-182zm-184 435l-24-143h145l23 143h-144z'],
+        '$': [655, 'm361-98h-58v88q-69 4-122 26-65 27-101 80-37 52-38 130h145q2-37 21-62 20-24 51-37 20-7 44-10v192l-45 11q-92 23-145 71-52 48-52 127 0 66 35 115 36 50 98 77 49 22 109 26v90h58v-90q64-4 114-26 60-28 94-77 34-49 35-113h-145q-3 44-37 68-25 17-61 22v-182l35-8q46-10 85-28 40-17 70-43 30-26 46-61 16-35 16-81 0-66-33-115-33-49-96-76-52-22-123-26v-88zm0 392v-177q22 3 40 10 29 11 46 32 16 21 16 49 0 25-15 42-14 17-42 29-19 8-45 15zm-58 150v166q-19-3-34-9-27-11-41-30-14-19-14-43 0-27 16-45 16-18 43-28 14-7 30-11z'],
+        '%': [1016, 'm250 380q-52 0-88 22-35 22-53 59-18 37-18 80v38q0 44 18 80 19 36 54 58 36 22 87 22 51 0 87-22 35-22 53-58 18-36 18-80v-38q0-44-18-81-18-36-54-58-35-22-86-22zm0 90q32 0 44 22 12 22 12 49v38q0 26-11 49-12 22-45 22-33 0-45-23-13-23-13-48v-38q0-27 13-49 12-22 45-22zm516-483q-51 0-87 22-35 22-53 59-19 36-19 79v39q0 43 19 80 19 36 54 58 36 22 86 22 52 0 88-22 35-22 53-58 18-37 18-80v-39q0-43-19-80-18-36-53-58-36-22-87-22zm0 90q33 0 45 22 12 22 12 48v39q0 26-12 49-11 22-45 22-32 0-44-23-13-23-13-48v-39q0-26 13-48 12-22 44-22zm-460-77h-101l500 728h101l-500-728z'],
+        '&': [672, 'm283-11q-75 0-130 28-55 27-84 73-29 46-29 102 0 44 17 77 17 33 48 62 30 26 69 53-3 3-6 7-28 35-46 75-19 39-19 86 0 52 25 94 24 42 69 66 44 24 103 24 58 0 100-23 42-23 65-62 23-39 23-86 0-34-12-64-12-29-33-55-22-25-51-47l-44-31 123-142q7 13 12 27 18 45 18 100h123q0-68-15-121-14-53-40-91-5-8-10-16l108-125h-154l-44 49q-38-29-86-44-51-16-100-16zm107 149l-141 158-6-4q-30-22-45-44-15-21-15-50 0-28 13-48 13-21 36-32 24-11 55-11 40 0 78 18 12 6 25 13zm-114 314l39 26q16 10 28 22 12 13 19 27 7 15 7 31 0 25-17 43-18 17-51 17-21 0-37-8-16-8-25-24-9-15-9-35 0-24 12-48 12-24 33-49 0-1 1-2z'],
+        '\'': [339, 'm225 425h-111l-15 303h141l-15-303z'],
+        '(': [377, 'm83 296q0 81 16 169 16 87 45 168 28 80 64 139h137q-35-76-61-158-25-82-39-163-13-81-13-155 0-64 11-128 12-65 37-139 25-73 65-165h-137q-62 103-93 213-32 110-32 219z'],
+        ')': [377, 'm168-136h-135q40 93 65 167 25 73 36 138 11 64 11 127 0 74-13 155-14 81-39 163-25 82-60 158h135q38-59 66-139 28-81 44-168 16-88 16-169 0-110-32-220-32-110-94-212z'],
+        '*': [559, 'm326 318h-94l10 139-117-78-47 82 126 61-126 61 47 84 117-78-10 139h94l-9-139 117 78 46-84-125-61 125-61-46-82-117 78 9-139z'],
+        '+': [679, 'm401 40h-124v192h-188v117h188v192h124v-192h189v-117h-189v-192z'],
+        ',': [334, 'm158-193h-100l43 303h147l-90-303z'],
+        '-': [468, 'm68 358h331v-117h-331v117z'],
+        '.': [334, 'm167-9q-36 0-60 24-24 24-24 60 0 35 24 60 24 24 60 24 36 0 60-24 24-25 24-60 0-36-24-60-24-24-60-24z'],
+        '/': [388, 'm248 762h127l-234-871h-127l234 871z'],
+        ':': [334, 'm167-9q-36 0-60 24-24 24-24 60 0 35 24 60 24 24 60 24 36 0 60-24 24-25 24-60 0-36-24-60-24-24-60-24zm0 362q-36 0-60 24-24 24-24 60 0 36 24 60 24 24 60 24 36 0 60-24 24-24 24-60 0-36-24-60-24-24-60-24z'],
+        ';': [343, 'm158-193h-100l43 303h147l-90-303zm18 546q-36 0-60 24-25 24-25 60 0 36 25 60 24 24 60 24 35 0 60-24 24-24 24-60 0-36-24-60-25-24-60-24z'],
+        '<': [679, 'm579 9l-498 221v121l498 221v-141l-339-138v-6l339-138v-140z'],
+        '=': [679, 'm583 346h-487v123h487v-123zm0-234h-487v123h487v-123z'],
+        '>': [679, 'm598 351v-121l-498-221v140l339 138v6l-339 138v141l498-221z'],
+        '?': [560, 'm321 224h-131v11q0 62 11 98 11 36 32 57 21 21 51 39 33 22 55 47 23 24 23 60 0 26-12 44-12 19-32 29-20 10-45 10-23 0-44-10-21-10-35-30-13-20-15-50h-140q1 70 33 116 32 46 85 69 53 23 116 23 71 0 124-23 54-24 85-68 30-43 30-105 0-62-29-104-29-41-80-71-28-17-46-34-18-17-27-39-9-22-9-58v-11zm-65-233q-38 0-62 23-25 23-25 59 0 37 25 60 24 23 62 23 39 0 63-23 24-23 24-60 0-36-24-59-24-23-63-23z'],
+        '@': [1016, 'm519-209q-113 0-200 31-88 31-149 90-61 59-93 144-31 86-31 196 0 105 30 192 31 86 91 148 59 63 147 96 87 34 201 34 106 0 190-31 84-32 143-88 60-57 91-134 31-76 31-166 0-61-11-114-11-52-35-92-25-39-63-62-38-22-93-22-32 0-60 9-28 8-47 27-19 18-24 46h-4q-13-37-52-60-38-22-96-22-67 0-113 30-47 31-72 86-25 55-25 128 0 72 27 127 27 54 75 85 48 31 111 31 48 0 83-17 34-17 48-44h6v50h100v-329q0-24 11-37 11-14 33-14 31 0 49 20 18 19 26 60 8 41 8 104 0 72-21 130-20 58-61 100-41 42-103 65-62 23-144 23-86 0-152-24-66-24-111-70-45-46-68-112-23-67-23-150 0-85 24-151 23-65 68-110 46-45 113-68 67-23 156-23 40 0 76 6 37 6 67 15 31 9 51 17l38-102q-24-11-62-23-38-11-84-18-47-7-97-7zm-20 326q41 0 67 16 26 16 39 48 13 31 13 78 0 47-13 75-14 29-40 42-26 14-65 14-37 0-63-17-26-17-40-46-13-29-13-68 0-41 12-73 13-32 38-51 26-18 65-18z'],
+        'A': [747, 'm188 0h-164l248 728h196l255-728h-166l-56 169h-258l-55-169zm92 286h182l-22 65q-21 68-42 149-14 52-29 110-15-59-28-111-20-82-40-148l-21-65z'],
+        'B': [662, 'm373 0h-307v728h288q81 0 134-25 54-24 80-66 27-42 27-96 0-43-17-75-17-32-47-53-30-20-67-29v-7q41-2 77-23 37-22 59-61 23-39 23-92 0-58-28-103-29-46-84-72-55-26-138-26zm-158 320v-197h129q65 0 95 25 31 25 31 67 0 31-15 54-15 24-42 37-28 14-65 14h-133zm0 286v-184h118q31 0 57 11 25 12 39 33 15 21 15 51 0 39-28 64-28 25-81 25h-120z'],
+        'C': [740, 'm384-10q-97 0-173 44-77 44-121 128-44 83-44 201 0 119 44 203 45 83 121 127 77 44 173 44 62 0 115-17 54-17 95-51 42-33 68-81 26-48 35-109h-151q-5 30-19 53-14 23-35 40-20 16-47 24-27 9-58 9-57 0-100-28-42-29-66-83-24-54-24-131 0-78 24-132 24-54 67-81 42-27 98-27 31 0 58 8 27 9 48 25 21 16 35 40 14 23 19 53h151q-6-51-30-97-24-47-64-83-40-37-95-58-55-21-124-21z'],
+        'D': [722, 'm322 0h-256v728h258q110 0 188-44 79-44 122-125 42-81 42-195 0-114-42-195-43-82-122-125-79-44-190-44zm-107 599v-471h99q71 0 118 25 48 25 72 77 24 53 24 134 0 81-24 133-25 52-72 77-47 25-117 25h-100z'],
+        'E': [607, 'm554 0h-488v728h487v-124h-338v-176h312v-121h-312v-183h339v-124z'],
+        'F': [587, 'm215 0h-149v728h478v-124h-329v-203h297v-122h-297v-279z'],
+        'G': [750, 'm388-10q-102 0-179 45-77 46-120 129-43 84-43 199 0 118 45 202 45 83 121 128 77 44 173 44 61 0 114-18 53-17 95-50 41-33 67-77 26-45 34-99h-152q-7 26-21 47-14 21-34 35-20 15-45 22-26 8-56 8-56 0-99-28-43-28-67-82-24-54-24-131 0-77 24-131 24-54 67-82 43-28 101-28 53 0 90 19 38 19 59 54 19 34 20 78h-159v114h303v-91q0-96-40-164-41-69-112-106-71-37-162-37z'],
+        'H': [747, 'm215 0h-149v728h149v-294h317v294h149v-728h-149v310h-317v-310z'],
+        'I': [281, 'm66 728h149v-728h-149v728z'],
+        'J': [584, 'm277-10q-113 0-179 60-65 59-65 169v42h149v-45q0-52 26-79 25-27 69-27 43 0 69 27 25 27 25 80v511h148v-509q0-110-65-169-64-60-177-60z'],
+        'K': [719, 'm215 0h-149v728h149v-199l-2-165q3 6 7 11 21 34 47 69 26 34 59 75l178 209h183l-272-315 279-413h-176l-207 314-96-106v-208z'],
+        'L': [565, 'm529 0h-463v728h149v-604h314v-124z'],
+        'M': [932, 'm214 0h-148v728h228l119-334q7-24 16-61 10-37 20-80 9-42 18-82 8 39 17 81 10 43 20 81 9 37 17 61l116 334h229v-728h-150v343q0 24 1 59 1 36 2 77 1 42 2 84 1 18 1 36-5-20-11-41-11-44-22-84-12-41-22-75-10-34-18-56l-120-343h-126l-122 343q-8 22-18 56-10 33-22 74-11 40-23 84-5 18-10 37 0-14 1-30 1-41 2-83 1-42 2-77 1-36 1-61v-343z'],
+        'N': [762, 'm218 0h-152v728h166l230-369q17-28 36-61 18-33 37-74 9-20 18-42-1 18-2 37-3 46-5 88-2 42-2 71v350h152v-728h-166l-209 334q-23 38-43 73-19 35-40 78-13 26-30 59 2-30 4-58 3-48 5-87 1-40 1-65v-334z'],
+        'O': [771, 'm385-10q-96 0-173 44-77 44-121 128-45 83-45 201 0 119 45 203 44 83 121 127 77 44 173 44 97 0 174-44 76-44 121-127 45-84 45-203 0-118-45-201-45-84-121-128-77-44-174-44zm0 133q57 0 99 27 42 28 66 82 23 54 23 131 0 79-23 133-24 54-66 81-42 28-99 28-56 0-98-28-43-28-66-82-24-54-24-132 0-77 24-131 23-54 66-82 42-27 98-27z'],
+        'P': [648, 'm215 0h-149v728h284q83 0 141-32 58-31 88-87 31-55 31-127 0-72-31-127-31-55-90-86-59-31-143-31h-131v-238zm0 604v-246h107q46 0 76 16 29 16 44 43 14 28 14 65 0 37-14 64-15 28-45 43-29 15-75 15h-107z'],
+        'Q': [777, 'm385-10q-96 0-173 44-77 44-121 128-45 83-45 201 0 119 45 203 44 83 121 127 77 44 173 44 97 0 174-44 76-44 121-127 45-84 45-203 0-118-45-201-28-53-69-90l105-133h-139l-60 75q-60-24-132-24zm47 138l-93 122h128l53-68q18 21 30 50 23 54 23 131 0 79-23 133-24 54-66 81-42 28-99 28-56 0-98-28-43-28-66-82-24-54-24-132 0-77 24-131 23-54 66-82 42-27 98-27 25 0 47 5z'],
+        'R': [657, 'm215 0h-149v728h284q83 0 141-30 58-29 88-82 31-53 31-125 0-72-31-124-31-52-90-79-4-2-8-4l155-284h-165l-139 260h-117v-260zm0 604v-224h107q46 0 75 13 30 12 44 37 15 25 15 61 0 37-15 62-14 25-44 38-29 13-75 13h-107z'],
+        'S': [655, 'm333-11q-88 0-153 27-64 27-100 80-37 52-38 130h145q2-37 21-62 20-24 51-37 32-12 72-12 40 0 70 12 29 11 46 32 16 21 16 49 0 25-15 42-14 17-42 29-28 12-68 21l-80 20q-92 23-145 71-52 48-52 127 0 66 35 115 36 50 98 77 61 27 140 27 81 0 141-27 60-28 94-77 34-49 35-113h-145q-3 44-37 68-33 24-89 24-38 0-64-11-27-11-41-30-14-19-14-43 0-27 16-45 16-18 43-29 27-11 57-18l66-16q46-10 85-28 40-17 70-43 30-26 46-61 16-35 16-81 0-66-33-115-33-49-96-76-63-27-151-27z'],
+        'T': [667, 'm259 604h-222v124h594v-124h-222v-604h-150v604z'],
+        'U': [732, 'm366-10q-90 0-158 33-67 34-105 93-37 60-37 139v473h149v-460q0-43 19-76 18-33 52-52 34-18 80-18 46 0 80 18 33 19 52 52 19 33 19 76v460h150v-473q0-79-38-139-38-59-105-93-68-33-158-33z'],
+        'V': [747, 'm474 0h-195l-255 728h165l117-352q21-66 42-146 14-52 29-110 15 59 28 111 21 79 41 145l112 352h165l-249-728z'],
+        'W': [1038, 'm390 0h-171l-195 728h163l84-358q10-45 19-96 8-51 17-103 2-11 3-22 2 11 4 22 9 52 18 103 9 51 21 96l88 358h155l89-358q11-45 20-96 9-51 19-103 1-10 3-20 2 10 3 20 8 52 17 103 9 51 19 96l85 358h163l-196-728h-170l-97 372q-15 62-26 134-4 21-7 42-3-19-5-39-10-71-27-137l-96-372z'],
+        'X': [738, 'm197 0h-172l261 372-238 356h173l80-123q22-34 37-62 14-27 26-53 3-7 7-14 4 7 7 14 12 25 27 53 14 28 37 62l81 123h169l-235-352 256-376h-176l-101 152q-20 31-33 53-12 21-22 41-6 9-12 21-6-11-11-21-10-19-23-41-13-22-33-53l-105-152z'],
+        'Y': [731, 'm442 0h-149v273l-269 455h174l123-227q19-34 34-68 7-16 14-34 6 19 13 35 14 33 32 67l119 227h174l-265-455v-273z'],
+        'Z': [664, 'm609 0h-553v89l295 417q27 38 60 77 10 11 21 23-21-1-41-1-50-1-99-1h-237v124h553v-90l-290-409q-28-41-62-80-12-14-24-27 23 1 46 1 51 1 102 1h229v-124z'],
+        '[': [377, 'm327-136h-238v908h238v-111h-97v-686h97v-111z'],
+        '\\': [388, 'm375-109h-127l-234 871h127l234-871z'],
+        ']': [377, 'm289-136h-239v111h97v686h-97v111h239v-908z'],
+        '^': [487, 'm146 397h-112l150 313h119l150-313h-113l-93 214h-7l-94-214z'],
+        '_': [476, 'm0 0h476v-113h-476v113z'],
+        '`': [365, 'm282 615h-103l-100 152h135l68-152z'],
+        'a': [581, 'm215-11q-52 0-93 19-41 18-65 54-24 37-24 91 0 45 17 76 17 31 46 49 29 19 66 29 37 9 77 13 48 5 77 9 29 4 42 14 14 9 14 26v3q0 23-10 39-10 16-29 25-20 8-47 8-28 0-49-8-21-9-34-23-14-14-20-32l-134 22q14 48 47 81 32 34 81 51 49 18 110 18 44 0 85-11 42-10 75-32 32-22 52-58 19-35 19-84v-368h-139v76h-4q-14-26-36-45-22-19-53-31-31-11-71-11zm41 103q35 0 61 14 26 14 41 37 15 24 15 52v59q-7-4-20-8-13-4-29-7-16-3-32-6-16-2-28-4-27-3-47-12-21-9-32-23-11-15-11-37 0-21 11-36 10-14 29-21 18-8 42-8z'],
+        'b': [630, 'm368-9q-44 0-75 15-31 15-50 37-19 22-30 44h-6v-87h-144v728h146v-274h4q11 22 29 45 19 22 50 38 31 16 77 16 61 0 111-32 50-31 80-93 30-63 30-156 0-91-29-154-29-62-80-95-50-32-113-32zm-45 117q38 0 64 21 27 21 40 59 13 37 13 84 0 48-13 85-13 37-39 58-26 21-65 21-37 0-64-21-26-20-40-56-13-37-13-87 0-49 13-86 14-37 41-57 26-21 63-21z'],
+        'c': [588, 'm307-11q-83 0-143 36-60 35-92 98-32 64-32 148 0 84 32 148 32 63 92 98 60 36 143 36 48 0 89-13 41-13 73-36 31-24 52-57 21-34 28-76l-136-25q-4 21-14 38-9 17-22 29-13 12-31 18-17 7-38 7-39 0-66-21-26-21-40-59-13-38-13-87 0-48 13-86 14-38 40-59 27-22 66-22 21 0 39 7 17 7 31 19 14 13 23 30 9 18 13 40l136-25q-8-44-28-78-21-34-52-58-32-24-73-37-42-13-90-13z'],
+        'd': [630, 'm262-9q-63 0-113 32-51 33-80 95-29 63-29 154 0 93 30 156 30 62 80 93 51 32 111 32 47 0 77-16 31-16 50-38 19-23 29-45h4v274h147v-728h-144v87h-7q-10-22-30-44-19-22-50-37-30-15-75-15zm45 117q37 0 64 21 26 20 40 57 13 37 13 86 0 50-13 87-14 36-40 56-26 21-64 21-38 0-65-21-26-21-39-58-13-37-13-85 0-47 13-84 14-38 40-59 26-21 64-21z'],
+        'e': [596, 'm309-11q-83 0-144 34-61 35-93 98-32 63-32 149 0 84 32 148 32 63 91 99 59 36 139 36 53 0 100-17 46-17 81-52 36-34 55-86 20-52 20-122v-41h-373q1-42 16-71 15-32 44-48 28-16 67-16 25 0 46 7 21 7 36 22 15 14 23 35l133-25q-13-45-46-79-33-34-82-52-49-19-113-19zm-123 338h231q-3 27-12 49-13 32-39 49-25 17-63 17-38 0-64-17-27-18-41-48-10-23-12-50z'],
+        'f': [398, 'm252 546h114v-112h-114v-434h-146v434h-96v112h96v42q0 58 23 97 23 38 63 57 40 20 91 20 35 0 63-6 29-6 42-9l-26-111q-9 3-22 5-12 3-27 3-33 0-47-16-14-16-14-45v-37z'],
+        'g': [632, 'm305-216q-68 0-119 18-51 17-82 47-32 30-44 69l126 35q6-15 21-29 14-15 38-24 24-9 59-9 56 0 88 25 32 26 32 80v101h-11q-10-22-28-43-19-20-49-33-30-13-74-13-62 0-112 29-50 28-80 88-30 59-30 149 0 92 30 154 31 62 81 93 51 32 111 32 46 0 77-16 32-15 51-38 19-23 29-45h6v92h144v-542q0-73-34-122-34-49-93-73-60-25-137-25zm3 335q37 0 63 19 26 18 40 53 14 35 14 84 0 48-14 84-14 37-40 57-26 20-63 20-39 0-65-21-26-21-40-57-13-36-13-83 0-48 13-83 14-35 40-54 27-19 65-19z'],
+        'h': [623, 'm209 316v-316h-146v728h143v-287q21 46 54 75 43 37 113 37 56 0 98-25 43-25 66-71 24-46 24-110v-347h-147v322q0 51-27 79-26 29-72 29-31 0-55-13-24-14-38-39-13-25-13-62z'],
+        'i': [271, 'm209 0h-146v546h146v-546zm-73 617q-33 0-57 22-23 22-23 53 0 32 23 54 24 22 57 22 33 0 57-22 23-22 23-54 0-31-23-53-24-22-57-22z'],
+        'j': [271, 'm62-26v572h147v-574q0-62-24-101-25-39-70-57-46-18-110-18h-29v115h19q37 0 52 16 15 16 15 47zm74 643q-33 0-57 22-23 22-23 53 0 32 23 54 24 22 57 22 33 0 57-22 23-22 23-54 0-31-23-53-24-22-57-22z'],
+        'k': [580, 'm209 0h-146v728h146v-392h8l179 210h169l-204-237 215-309h-173l-152 222-42-47v-175z'],
+        'l': [271, 'm63 728h146v-728h-146v728z'],
+        'm': [913, 'm209 0h-146v546h135l6-106q11 30 28 52 25 32 58 47 33 15 70 15 59 0 95-37 29-30 45-85 12 32 31 56 28 33 65 50 38 16 80 16 50 0 89-22 40-22 62-63 23-41 23-101v-368h-146v340q0 47-26 69-25 23-61 23-28 0-48-12-20-12-31-34-11-21-11-50v-336h-142v344q0 40-23 64-24 24-62 24-26 0-46-12-21-12-33-35-12-22-12-55v-330z'],
+        'n': [623, 'm209 316v-316h-146v546h138l2-113q21 52 57 83 43 37 113 37 56 0 98-25 43-25 66-71 23-46 23-110v-347h-146v322q0 51-27 79-26 29-72 29-31 0-55-13-24-14-38-39-13-25-13-62z'],
+        'o': [613, 'm307-11q-82 0-142 36-61 35-93 98-32 64-32 148 0 84 32 148 32 63 93 98 60 36 142 36 82 0 142-36 60-35 92-98 33-64 33-148 0-84-33-148-32-63-92-98-60-36-142-36zm0 115q39 0 65 22 26 22 40 60 13 38 13 85 0 48-13 86-14 38-40 59-26 22-65 22-39 0-66-22-26-21-39-59-13-38-13-86 0-47 13-85 13-38 39-60 27-22 66-22z'],
+        'p': [630, 'm209-204h-146v750h144v-92h6q11 22 29 45 19 22 50 38 31 16 77 16 61 0 111-32 50-31 80-93 30-63 30-156 0-91-29-154-29-62-80-95-50-32-113-32-44 0-75 15-31 15-50 37-19 22-30 44h-4v-291zm114 312q38 0 64 21 27 21 40 59 13 37 13 84 0 48-13 85-13 37-39 58-26 21-65 21-37 0-64-21-26-20-40-56-13-37-13-87 0-49 13-86 14-37 41-57 26-21 63-21z'],
+        'q': [630, 'm568 546v-750h-147v291h-4q-10-22-30-44-19-22-50-37-30-15-75-15-63 0-113 32-51 33-80 95-29 63-29 154 0 93 30 156 30 62 80 93 51 32 111 32 47 0 77-16 31-16 50-38 19-23 29-45h7v92h144zm-261-438q37 0 64 21 26 20 40 57 13 37 13 86 0 50-13 87-14 36-40 56-26 21-64 21-38 0-65-21-26-21-39-58-13-37-13-85 0-47 13-84 14-38 40-59 26-21 64-21z'],
+        'r': [407, 'm209 0h-146v546h141v-95h6q15 50 50 76 36 26 82 26 11 0 24-1 13-1 23-4v-131q-10 4-28 6-19 2-35 2-34 0-60-15-27-14-42-40-15-25-15-59v-311z'],
+        's': [560, 'm279-11q-66 0-116 19-51 19-83 55-33 36-42 86l136 24q11-38 38-57 27-19 72-19 42 0 66 16 24 15 24 40 0 21-17 35-18 14-53 21l-95 20q-79 16-118 54-39 39-39 100 0 53 29 91 29 38 80 58 51 21 121 21 64 0 112-18 47-18 76-51 30-32 39-77l-130-23q-8 28-32 46-23 18-63 18-36 0-61-15-24-16-24-41 0-20 16-35 15-14 54-22l98-19q79-16 118-53 38-36 38-95 0-53-31-94-31-40-86-62-55-23-127-23z'],
+        't': [366, 'm231 546h102v-112h-102v-274q0-26 12-39 11-12 38-12 9 0 24 2 15 2 23 4l21-110q-25-7-49-10-24-3-46-3-82 0-126 40-43 40-43 115v287h-75v112h75v130h146v-130z'],
+        'u': [623, 'm250-7q-56 0-99 25-42 24-65 71-23 46-23 110v347h146v-322q0-51 26-79 27-29 73-29 31 0 55 13 24 14 37 39 14 26 14 62v316h147v-546h-139l-2 114q-21-53-57-84-45-37-113-37z'],
+        'v': [600, 'm383 0h-167l-201 546h156l92-283q16-54 29-108 4-21 9-42 5 21 10 42 12 54 29 108l91 283h153l-201-546z'],
+        'w': [850, 'm325 0h-149l-161 546h154l47-202q13-54 27-117 9-44 18-93 9 48 19 91 15 64 28 119l50 202h135l49-202q12-55 27-118 10-44 19-92 9 48 18 91 13 64 26 119l47 202h156l-162-546h-149l-61 210q-8 32-17 71-9 38-17 78-2 9-4 18-2-9-4-18-9-40-18-79-8-38-17-70l-61-210z'],
+        'x': [580, 'm176 0h-155l175 280-165 266h158l50-86q23-43 42-84 5-11 11-23 5 11 10 23 19 41 43 84l51 86h156l-169-268 177-278h-158l-60 103q-24 42-43 83-6 11-11 22-5-11-10-22-18-41-42-83l-60-103z'],
+        'y': [602, 'm59-193l33 110 18-4q30-8 53-5 23 4 36 19 14 15 17 42l4 30-205 547h156l92-283q16-54 27-108 3-18 7-36 5 18 9 37 13 53 31 107l96 283h153l-232-610q-16-44-42-77-26-32-64-49-39-18-94-18-29 0-54 4-26 4-41 11z'],
+        'z': [573, 'm514 0h-455v89l269 335v4h-261v118h438v-97l-254-327v-4h263v-118z'],
+        '{': [469, 'm419-26v-110q-53 0-98 7-45 7-77 27-32 21-49 60-18 40-18 105v84q0 55-24 80-20 22-68 24h-17v133h17q48 3 68 25 24 24 24 79v85q0 65 18 104 17 40 49 60 32 20 77 28 45 7 98 7v-111q-63 0-85-25-21-24-21-77v-106q0-27-9-53-10-25-35-46-25-19-71-31v-10q46-12 71-32 25-20 35-46 9-26 9-52v-106q0-53 21-78 22-25 85-25z'],
+        '|': [372, 'm116 962h139v-1196h-139v1196z'],
+        '}': [469, 'm50-136v110q63 0 85 25 21 25 21 78v106q0 26 9 52 9 26 35 46 25 20 71 32v10q-46 12-71 31-26 21-35 46-9 26-9 53v106q0 53-21 77-22 25-85 25v111q54 0 98-7 44-8 77-28 32-20 49-60 18-39 18-104v-85q0-55 24-79 23-25 82-25h2v-132q-61-1-85-25-23-25-23-80v-84q0-65-18-105-17-39-49-60-33-20-77-27-44-7-98-7z'],
+        '~': [679, 'm190 198h-113q-2 67 17 113 18 45 53 69 36 23 82 23 34 0 64-14 31-14 70-48 21-18 35-28 14-9 33-9 26 0 42 20 16 20 15 62h114q2-67-17-113-20-45-55-69-35-23-81-23-35 0-66 15-31 15-68 47-23 20-36 28-13 9-31 9-25 0-42-19-17-19-16-63z'],
+        '«': [660, 'm395 70h-156l-196 231 196 230h156l-192-230 192-231zm229 0h-156l-196 231 196 230h156l-192-230 192-231z'],
+        '»': [660, 'm192 70h-155l192 231-192 230h155l196-230-196-231zm229 0h-155l192 231-192 230h155l196-230-196-231z'],
+        '°': [459, 'm230 385q-48 0-87 23-40 24-63 63-24 40-24 87 0 48 24 88 23 40 63 63 39 23 87 23 48 0 87-23 39-23 63-63 23-40 23-88 0-47-23-87-24-39-63-63-39-23-87-23zm0 98q21 1 38 11 17 10 27 27 10 17 10 37 0 21-10 38-10 17-27 27-18 10-38 10-21 0-38-10-17-10-27-27-10-17-10-37 0-21 10-38 10-17 27-27 17-10 38-11z'],
+        '©': [914, 'm259 363q0 56 27 102 27 45 73 73 46 27 101 27 49 0 91-22 41-21 67-57 27-37 33-83h-104q-5 28-30 45-25 18-57 18-27 0-51-14-23-14-37-37-14-23-14-51 0-28 14-51 14-23 37-37 24-14 51-14 32 0 55 17 23 18 29 45h103q-5-46-31-83-26-36-66-57-41-21-90-21-55 0-101 27-46 27-73 72-27 46-27 101zm198-374q-78 0-145 29-68 29-120 81-52 51-81 119-29 68-29 146 0 77 29 145 29 68 81 120 52 52 120 81 67 29 145 29 78 0 146-29 67-29 119-81 52-52 81-120 29-68 29-145 0-78-29-146-29-68-81-119-52-52-119-81-68-29-146-29zm0 115q54 0 101 21 46 20 82 55 36 36 56 83 20 47 20 101 0 53-20 100-20 47-56 83-36 36-82 56-47 20-101 20-54 0-101-20-46-20-82-56-36-36-56-83-20-47-20-100 0-54 20-101 20-47 56-83 36-35 82-55 47-21 101-21z'],
+        '®': [662, 'm331 169q-59 0-110 22-52 22-91 61-39 40-61 91-22 52-22 110 0 59 22 110 22 52 61 91 39 39 91 61 51 22 110 22 59 0 111-22 51-22 90-61 39-39 61-91 22-51 22-110 0-58-22-110-22-51-61-91-39-39-90-61-52-22-111-22zm0 75q58 0 106 28 47 28 75 76 29 47 29 105 0 58-29 106-28 47-75 75-48 29-106 29-58 0-105-29-48-28-76-75-28-48-28-106 0-57 28-105 28-48 76-76 47-28 105-28zm125 80h-75l-41 89h-44v-89h-67v262h128q24 0 45-10 20-10 33-29 12-19 12-47 0-28-12-47-12-18-29-28l50-101zm-160 213v-80h43q15 0 26 10 11 11 11 32 0 20-11 29-11 9-25 9h-44z'],
+        '§': [568, 'm280-147q-61 0-107 20-45 21-73 58-27 37-37 89l124 22q7-35 29-54 22-20 65-20 37 0 59 15 21 16 21 46 0 19-9 33-10 14-26 24-16 11-37 18l-128 53q-36 14-61 36-26 22-40 51-14 29-14 62 0 34 15 58 15 25 42 38 27 14 62 14l1 1q-45 27-68 62-22 36-22 85 0 81 56 128 55 46 149 46 90 0 141-43 52-43 67-121l-122-22q-9 36-28 54-18 19-57 19-36 0-56-17-20-16-20-45 0-21 10-36 10-15 27-26 18-10 40-18l128-52q35-14 60-35 25-22 38-50 13-28 13-59 0-34-15-58-15-25-42-40-27-14-61-16l-1-2q34-16 53-40 19-23 28-50 8-27 8-55 0-52-27-91-27-39-74-60-48-22-111-22zm-58 396l114-46q12-6 28-1 16 4 29 17 12 14 14 36 2 16-4 31-6 15-19 28-14 14-38 22l-116 50q-12 5-28 1-16-4-28-18-12-13-15-36-2-18 5-33 6-16 21-29 15-13 37-22z'],
+        '·': [334, 'm167 261q-36 0-60 24-24 25-24 60 0 36 24 60 24 24 60 24 36 0 60-24 24-24 24-60 0-35-24-60-24-24-60-24z'],
+        '±': [679, 'm277 323h-187v114h187v125h124v-125h187v-114h-187v-125h-124v125zm311-295h-498v118h498v-118z'],
+        '×': [679, 'm597 124l-91-90-166 165-166-165-91 90 167 166-167 166 91 91 166-166 166 166 91-91-166-166 166-166z'],
+        'Ё': [607, 'm554 0h-488v728h487v-124h-338v-176h312v-121h-312v-183h339v-124zm-136 803q-30 0-51 21-22 21-22 50 0 29 22 50 21 21 51 21 31 0 52-21 22-21 22-50 0-30-22-51-21-20-52-20zm-216 0q-30 0-52 21-21 21-21 50 0 29 21 50 22 21 52 21 30 0 52-21 21-21 21-50 0-30-21-51-22-20-52-20z'],
+        'Ђ': [858, 'm259 604h-222v124h594v-124h-222v-205q11 11 24 19 49 31 121 31 74 0 134-32 60-32 95-90 35-57 35-132 0-74-36-131-35-57-99-88-64-32-146-32h-53v133h53q59 0 93 32 35 32 35 86 0 55-35 87-35 32-93 32-60 0-95-33-28-28-33-73v-208h-150v604z'],
+        'Ѓ': [583, 'm66 728h480v-124h-331v-604h-149v728zm294 69h-102l68 152h135l-101-152z'],
+        'Є': [740, 'm384-10q-97 0-173 44-77 44-121 128-44 83-44 201 0 119 44 203 45 83 121 127 77 44 173 44 62 0 115-17 54-17 95-51 42-33 68-81 26-48 35-109h-151q-5 32-19 56-14 24-36 39-21 16-48 24-27 8-61 8-56 0-98-28-42-27-64-81-12-30-18-67h256v-121h-258q6-46 20-80 23-54 64-81 42-26 98-26 33 0 60 7 28 8 49 24 22 16 36 40 14 24 19 56h151q-6-51-30-97-24-47-64-83-40-37-95-58-55-21-124-21z'],
+        'Ѕ': [655, 'm333-11q-88 0-153 27-64 27-100 80-37 52-38 130h145q2-37 21-62 20-24 51-37 32-12 72-12 40 0 70 12 29 11 46 32 16 21 16 49 0 25-15 42-14 17-42 29-28 12-68 21l-80 20q-92 23-145 71-52 48-52 127 0 66 35 115 36 50 98 77 61 27 140 27 81 0 141-27 60-28 94-77 34-49 35-113h-145q-3 44-37 68-33 24-89 24-38 0-64-11-27-11-41-30-14-19-14-43 0-27 16-45 16-18 43-29 27-11 57-18l66-16q46-10 85-28 40-17 70-43 30-26 46-61 16-35 16-81 0-66-33-115-33-49-96-76-63-27-151-27z'],
+        'І': [281, 'm66 728h149v-728h-149v728z'],
+        'Ї': [281, 'm66 728h149v-728h-149v728zm183 75q-30 0-52 21-21 21-21 50 0 29 21 50 22 21 52 21 30 0 52-21 21-21 21-50 0-30-21-51-22-20-52-20zm-216 0q-31 0-52 21-22 21-22 50 0 29 22 50 21 21 52 21 30 0 51-21 21-21 21-50 0-30-21-51-21-20-51-20z'],
+        'Ј': [584, 'm277-10q-113 0-179 60-65 59-65 169v42h149v-45q0-52 26-79 25-27 69-27 43 0 69 27 25 27 25 80v511h148v-509q0-110-65-169-64-60-177-60z'],
+        'Љ': [1118, 'm60 0h-23v122h19q37 0 57 19 20 20 30 67 11 47 18 130l31 390h478v-256h130q85 0 148-28 62-28 96-81 34-52 34-124 0-73-34-127-34-53-96-83-62-29-148-29h-279v605h-195l-27-311q-7-86-25-142-17-57-46-90-29-34-71-48-41-14-97-14zm740 353h-130v-232h130q61 0 95 32 35 32 35 88 0 35-16 60-16 25-44 38-29 14-70 14z'],
+        'Њ': [1126, 'm213 0h-147v728h147v-257h317v257h149v-256h130q86 0 148-28 62-28 96-81 34-52 34-124 0-73-34-127-34-53-96-83-62-29-148-29h-279v353h-317v-353zm596 353h-130v-232h130q61 0 95 32 34 32 34 88 0 35-15 60-15 25-44 38-29 14-70 14z'],
+        'Ћ': [895, 'm578 452q77 0 134-25 58-25 89-79 31-54 31-140v-208h-149v197q0 44-14 74-14 29-44 44-29 15-77 15-52 0-95-16-24-8-45-19v-295h-149v604h-222v124h618v-124h-247v-203q29 21 59 33 47 18 111 18z'],
+        'Ќ': [719, 'm215 0h-149v728h149v-296h84l206 296h177l-259-354 271-374h-176l-220 311h-83v-311zm176 797h-102l67 152h136l-101-152z'],
+        'Ў': [694, 'm208 0h-77v131h60q38 0 58 10 19 10 26 33l8 27-259 527h173l81-181q27-60 45-115 17-55 29-103 0-4 1-8 8 26 16 55 23 78 60 171l73 181h168l-258-587q-21-46-48-77-27-32-64-48-38-16-92-16zm140 795q-48 0-86 20-38 20-60 55-23 34-23 77h86q0-31 23-51 24-21 60-21 35 0 58 21 24 20 24 51h86q0-43-22-77-22-35-60-55-38-20-86-20z'],
+        'Џ': [727, 'm662 728v-728h-224l-2-156h-145l-1 156h-224v728h149v-604h297v604h150z'],
+        'А': [747, 'm188 0h-164l248 728h196l255-728h-166l-56 169h-258l-55-169zm92 286h182l-22 65q-21 68-42 149-14 52-29 110-15-59-28-111-20-82-40-148l-21-65z'],
+        'Б': [647, 'm370 0h-304v728h478v-123h-329v-175h155q73 0 127-24 53-24 82-70 29-46 29-113 0-68-29-118-29-50-82-78-53-27-127-27zm-155 321v-203h134q54 0 85 28 30 28 30 76 0 45-30 72-31 27-85 27h-134z'],
+        'В': [662, 'm373 0h-307v728h288q81 0 134-25 54-24 80-66 27-42 27-96 0-43-17-75-17-32-47-53-30-20-67-29v-7q41-2 77-23 37-22 59-61 23-39 23-92 0-58-28-103-29-46-84-72-55-26-138-26zm-158 320v-197h129q65 0 95 25 31 25 31 67 0 31-15 54-15 24-42 37-28 14-65 14h-133zm0 286v-184h118q31 0 57 11 25 12 39 33 15 21 15 51 0 39-28 64-28 25-81 25h-120z'],
+        'Г': [583, 'm66 728h480v-124h-331v-604h-149v728z'],
+        'Д': [868, 'm183-156h-146v280h68q19 13 35 34 16 22 29 55 14 34 23 84 10 51 16 123l24 308h508v-604h92v-280h-147v156h-502v-156zm93 280h316v480h-222l-15-184q-6-71-17-128-11-57-27-99-16-42-35-69z'],
+        'Е': [607, 'm554 0h-488v728h487v-124h-338v-176h312v-121h-312v-183h339v-124z'],
+        'Ж': [1068, 'm460 728h148v-309h80l161 309h183l-213-344 224-384h-177l-158 295h-100v-295h-148v295h-98l-161-295h-176l228 383-218 345h184l165-309h76v309z'],
+        'З': [646, 'm322-10q-79 0-141 27-61 27-96 76-36 48-37 111h150q2-27 18-48 16-20 44-31 28-11 62-11 36 0 64 12 27 13 43 35 15 23 15 52 0 31-16 54-16 23-47 35-30 13-72 13h-68v111h68q35 0 62 13 27 12 42 34 16 22 16 51 0 28-13 49-14 21-37 33-24 12-56 12-31 0-58-11-26-12-42-32-16-21-17-49h-143q0 62 35 110 34 48 93 74 59 27 133 27 75 0 131-27 56-27 87-74 31-46 31-103 0-61-38-102-37-41-98-53v-5q53-7 89-30 37-23 55-58 19-36 19-81 0-62-36-110-36-49-98-76-63-28-144-28z'],
+        'И': [762, 'm696 728v-728h-152v334q0 25 2 65 1 39 4 87 2 28 4 58-16-33-30-59-21-43-40-78-19-35-43-73l-209-334h-166v728h152v-350q0-29-2-71-2-42-4-88-2-19-3-37 10 22 19 42 19 41 37 74 18 33 35 61l230 369h166z'],
+        'Й': [762, 'm696 728v-728h-152v334q0 25 2 65 1 39 4 87 2 28 4 58-16-33-30-59-21-43-40-78-19-35-43-73l-209-334h-166v728h152v-350q0-29-2-71-2-42-4-88-2-19-3-37 10 22 19 42 19 41 37 74 18 33 35 61l230 369h166zm-327 67q-48 0-86 20-38 20-60 55-23 34-23 77h86q0-31 23-51 24-21 60-21 35 0 58 21 24 20 24 51h86q0-43-22-77-22-35-60-55-38-20-86-20z'],
+        'К': [719, 'm215 0h-149v728h149v-296h84l206 296h177l-259-354 271-374h-176l-220 311h-83v-311z'],
+        'Л': [750, 'm60 0h-23v124h19q37 0 57 19 20 20 30 67 11 47 18 132l31 386h492v-728h-149v604h-208l-26-309q-8-86-25-143-18-57-47-90-29-34-71-48-42-14-98-14z'],
+        'М': [932, 'm214 0h-148v728h228l119-334q7-24 16-61 10-37 20-80 9-42 18-82 8 39 17 81 10 43 20 81 9 37 17 61l116 334h229v-728h-150v343q0 24 1 59 1 36 2 77 1 42 2 84 1 18 1 36-5-20-11-41-11-44-22-84-12-41-22-75-10-34-18-56l-120-343h-126l-122 343q-8 22-18 56-10 33-22 74-11 40-23 84-5 18-10 37 0-14 1-30 1-41 2-83 1-42 2-77 1-36 1-61v-343z'],
+        'Н': [747, 'm215 0h-149v728h149v-294h317v294h149v-728h-149v310h-317v-310z'],
+        'О': [771, 'm385-10q-96 0-173 44-77 44-121 128-45 83-45 201 0 119 45 203 44 83 121 127 77 44 173 44 97 0 174-44 76-44 121-127 45-84 45-203 0-118-45-201-45-84-121-128-77-44-174-44zm0 133q57 0 99 27 42 28 66 82 23 54 23 131 0 79-23 133-24 54-66 81-42 28-99 28-56 0-98-28-43-28-66-82-24-54-24-132 0-77 24-131 23-54 66-82 42-27 98-27z'],
+        'П': [747, 'm66 728h615v-728h-149v604h-317v-604h-149v728z'],
+        'Р': [648, 'm215 0h-149v728h284q83 0 141-32 58-31 88-87 31-55 31-127 0-72-31-127-31-55-90-86-59-31-143-31h-131v-238zm0 604v-246h107q46 0 76 16 29 16 44 43 14 28 14 65 0 37-14 64-15 28-45 43-29 15-75 15h-107z'],
+        'С': [740, 'm384-10q-97 0-173 44-77 44-121 128-44 83-44 201 0 119 44 203 45 83 121 127 77 44 173 44 62 0 115-17 54-17 95-51 42-33 68-81 26-48 35-109h-151q-5 30-19 53-14 23-35 40-20 16-47 24-27 9-58 9-57 0-100-28-42-29-66-83-24-54-24-131 0-78 24-132 24-54 67-81 42-27 98-27 31 0 58 8 27 9 48 25 21 16 35 40 14 23 19 53h151q-6-51-30-97-24-47-64-83-40-37-95-58-55-21-124-21z'],
+        'Т': [667, 'm259 604h-222v124h594v-124h-222v-604h-150v604z'],
+        'У': [694, 'm208 0h-77v131h60q38 0 58 10 19 10 26 33l8 27-259 527h173l81-181q27-60 45-115 17-55 29-103 0-4 1-8 8 26 16 55 23 78 60 171l73 181h168l-258-587q-21-46-48-77-27-32-64-48-38-16-92-16z'],
+        'Ф': [835, 'm492-43h-148v94q-81 6-141 37-77 38-117 109-40 70-40 167 0 96 40 167 40 71 117 109 60 31 141 37v94h148v-94q80-6 141-37 76-38 116-109 41-71 41-167 0-97-41-167-40-71-116-109-61-31-141-37v-94zm0 596v-379q37 5 65 19 43 21 65 64 21 43 21 107 0 64-21 107-22 43-65 64-28 13-65 18zm-148-379v379q-37-5-65-18-44-21-65-64-22-43-22-107 0-64 22-107 21-43 65-64 28-14 65-19z'],
+        'Х': [738, 'm197 0h-172l261 372-238 356h173l80-123q22-34 37-62 14-27 26-53 3-7 7-14 4 7 7 14 12 25 27 53 14 28 37 62l81 123h169l-235-352 256-376h-176l-101 152q-20 31-33 53-12 21-22 41-6 9-12 21-6-11-11-21-10-19-23-41-13-22-33-53l-105-152z'],
+        'Ц': [767, 'm733-156h-143v156h-524v728h149v-604h297v604h150v-612h77l-6-272z'],
+        'Ч': [708, 'm320 257q-77 0-135 25-58 26-90 80-32 54-32 139v227h148v-216q0-66 34-99 34-33 105-33 53 0 98 16 24 8 44 19v313h150v-728h-150v309q-29-22-60-33-49-19-112-19z'],
+        'Ш': [989, 'm66 0v728h149v-604h207v604h145v-604h207v604h149v-728h-857z'],
+        'Щ': [1017, 'm66 0v728h149v-604h207v604h145v-604h207v604h149v-612h78l-6-272h-143v156h-786z'],
+        'Ъ': [830, 'm233 605h-196v123h345v-256h131q85 0 147-28 63-28 97-81 34-52 34-124 0-73-34-127-34-53-97-83-62-29-147-29h-280v605zm280-252h-131v-232h131q61 0 95 32 34 32 34 88 0 35-15 60-16 25-45 38-29 14-69 14z'],
+        'Ы': [918, 'm215 728v-256h130q86 0 148-28 62-28 96-81 34-52 34-124 0-73-34-127-34-53-96-83-62-29-148-29h-279v728h149zm130-375h-130v-232h130q61 0 95 32 35 32 35 88 0 35-16 60-15 25-44 38-29 14-70 14zm359 375h149v-728h-149v728z'],
+        'Ь': [663, 'm215 728v-256h130q86 0 148-28 62-28 96-81 34-52 34-124 0-73-34-127-34-53-96-83-62-29-148-29h-279v728h149zm130-375h-130v-232h130q61 0 95 32 35 32 35 88 0 35-16 60-15 25-44 38-29 14-70 14z'],
+        'Э': [740, 'm356-10q-69 0-124 21-55 22-96 58-40 36-63 83-24 46-31 97h151q6-32 20-56 14-24 36-40 21-16 49-24 27-7 60-7 56 0 98 26 41 27 64 81 14 34 20 80h-259v121h257q-6 37-18 67-22 54-64 81-41 28-99 28-32 0-60-8-27-8-49-24-21-15-35-39-14-24-19-56h-151q8 61 34 109 27 48 69 81 41 34 94 51 54 17 116 17 96 0 173-44 76-44 120-127 45-84 45-203 0-117-44-201-45-83-121-128-76-44-173-44z'],
+        'Ю': [1042, 'm66 728h149v-302h106q9 79 42 140 44 83 121 127 77 44 174 44 96 0 173-44 76-44 121-127 45-84 45-203 0-118-45-201-45-84-121-128-77-44-173-44-97 0-174 44-77 44-121 128-35 64-43 149h-105v-311h-149v728zm592-605q56 0 98 27 42 28 66 82 24 54 24 131 0 79-24 133-24 54-66 81-42 28-98 28-57 0-99-28-42-28-66-82-24-54-24-132 0-77 24-131 24-54 66-82 42-27 99-27z'],
+        'Я': [657, 'm591 728v-728h-149v260h-117l-139-260h-165l155 284q-4 2-8 4-59 27-90 79-31 52-31 124 0 72 30 125 31 53 89 82 58 30 141 30h284zm-257-348h108v224h-107q-45 0-75-13-30-13-45-38-14-25-14-62 0-36 14-61 15-25 45-37 29-13 74-13z'],
+        'а': [581, 'm215-11q-52 0-93 19-41 18-65 54-24 37-24 91 0 45 17 76 17 31 46 49 29 19 66 29 37 9 77 13 48 5 77 9 29 4 42 14 14 9 14 26v3q0 23-10 39-10 16-29 25-20 8-47 8-28 0-49-8-21-9-34-23-14-14-20-32l-134 22q14 48 47 81 32 34 81 51 49 18 110 18 44 0 85-11 42-10 75-32 32-22 52-58 19-35 19-84v-368h-139v76h-4q-14-26-36-45-22-19-53-31-31-11-71-11zm41 103q35 0 61 14 26 14 41 37 15 24 15 52v59q-7-4-20-8-13-4-29-7-16-3-32-6-16-2-28-4-27-3-47-12-21-9-32-23-11-15-11-37 0-21 11-36 10-14 29-21 18-8 42-8z'],
+        'б': [609, 'm306-12q-77 0-138 34-60 34-94 98-34 65-34 156v16q0 64 8 120 9 56 29 101 21 46 56 80 35 33 88 54 53 20 128 26 35 2 52 8 17 7 23 18 5 11 6 29h114q0-57-19-90-19-34-60-50-42-16-108-21-65-4-108-23-43-18-66-60-23-42-30-118h4q14 35 44 67 30 31 72 50 41 20 90 20 58 0 105-31 47-31 74-86 28-54 28-127 0-78-34-139-34-61-93-97-59-35-137-35zm0 114q38 0 65 18 27 17 41 51 15 34 15 82 0 49-14 82-14 34-41 52-26 17-63 17-38 0-67-18-28-19-43-53-15-34-15-82 0-45 14-79 15-33 42-52 28-18 66-18z'],
+        'в': [577, 'm330 0h-267v546h230q101 0 159-39 58-38 58-109 0-44-32-73-32-30-91-40 48-4 82-23 34-18 53-48 18-29 18-66 0-45-25-79-24-33-71-51-47-18-114-18zm-131 233v-122h131q32 0 50 16 18 15 18 41 0 31-18 48-18 17-50 17h-131zm0 199v-111h98q35 0 55 15 20 15 20 41 0 26-21 40-21 15-58 15h-94z'],
+        'г': [453, 'm63 546h372v-116h-226v-430h-146v546z'],
+        'д': [661, 'm163-160h-143v277h42q18 12 29 36 12 24 19 58 7 33 11 73 4 39 8 80l15 182h413v-429h84v-277h-140v160h-338v-160zm46 277h210v315h-151l-6-68q-6-88-17-148-12-61-36-99z'],
+        'е': [596, 'm309-11q-83 0-144 34-61 35-93 98-32 63-32 149 0 84 32 148 32 63 91 99 59 36 139 36 53 0 100-17 46-17 81-52 36-34 55-86 20-52 20-122v-41h-373q1-42 16-71 15-32 44-48 28-16 67-16 25 0 46 7 21 7 36 22 15 14 23 35l133-25q-13-45-46-79-33-34-82-52-49-19-113-19zm-123 338h231q-3 27-12 49-13 32-39 49-25 17-63 17-38 0-64-17-27-18-41-48-10-23-12-50z'],
+        'ж': [864, 'm192 0h-171l193 283-192 263h167l145-215h25v215h146v-215h25l144 215h168l-191-263 192-283h-171l-143 215h-24v-215h-146v215h-23l-144-215z'],
+        'з': [519, 'm258-7q-69 0-118 23-50 23-77 62-26 39-27 87h144q0-26 22-42 22-16 54-16 35 0 56 18 21 18 21 44 0 30-23 47-22 17-62 17h-44v87h44q35 0 56 17 22 16 22 45 0 27-18 44-18 16-49 16-31 0-52-15-21-15-21-41h-139q0 49 28 86 27 38 75 59 48 22 111 22 61 0 107-21 46-20 71-55 26-35 26-80 0-47-32-77-31-30-79-35v-3q65-7 98-42 32-35 32-85 0-47-28-84-29-36-80-57-51-21-118-21z'],
+        'и': [623, 'm561 546v-546h-147v321h-5l-222-321h-124v546h146v-320h4l221 320h127z'],
+        'й': [623, 'm561 546v-546h-147v321h-5l-222-321h-124v546h146v-320h4l221 320h127zm-250 67q-48 0-86 21-37 20-60 54-22 35-22 77h85q0-31 24-51 23-21 59-21 35 0 59 21 24 20 24 51h85q0-42-22-77-22-34-60-54-38-21-86-21z'],
+        'к': [583, 'm209 0h-146v546h146v-223h41l155 223h172l-195-271 197-275h-174l-140 207h-56v-207z'],
+        'л': [604, 'm58 0h-48v117h17q20 0 34 8 14 9 23 29 10 20 15 55 5 34 7 85l10 252h426v-546h-147v430h-140l-6-160q-4-98-28-157-23-60-64-86-41-27-99-27z'],
+        'м': [812, 'm205 0h-142v546h223l76-215q9-27 17-62 8-35 15-73 7-38 12-73 6 34 13 72 8 38 16 73 8 36 16 63l74 215h225v-546h-143v215q0 24 1 56 1 33 2 70 0 37 1 75 1 11 1 22-6-25-12-50-13-49-27-93-13-44-27-80l-79-215h-123l-80 215q-14 38-27 82-14 45-27 93-5 21-10 42 0-7 0-14 1-37 2-74 1-38 2-71 1-34 1-58v-215z'],
+        'н': [622, 'm63 546h146v-207h204v207h146v-546h-146v223h-204v-223h-146v546z'],
+        'о': [613, 'm307-11q-82 0-142 36-61 35-93 98-32 64-32 148 0 84 32 148 32 63 93 98 60 36 142 36 82 0 142-36 60-35 92-98 33-64 33-148 0-84-33-148-32-63-92-98-60-36-142-36zm0 115q39 0 65 22 26 22 40 60 13 38 13 85 0 48-13 86-14 38-40 59-26 22-65 22-39 0-66-22-26-21-39-59-13-38-13-86 0-47 13-85 13-38 39-60 27-22 66-22z'],
+        'п': [613, 'm63 546h488v-546h-147v430h-195v-430h-146v546z'],
+        'р': [630, 'm209-204h-146v750h144v-92h6q11 22 29 45 19 22 50 38 31 16 77 16 61 0 111-32 50-31 80-93 30-63 30-156 0-91-29-154-29-62-80-95-50-32-113-32-44 0-75 15-31 15-50 37-19 22-30 44h-4v-291zm114 312q38 0 64 21 27 21 40 59 13 37 13 84 0 48-13 85-13 37-39 58-26 21-65 21-37 0-64-21-26-20-40-56-13-37-13-87 0-49 13-86 14-37 41-57 26-21 63-21z'],
+        'с': [588, 'm307-11q-83 0-143 36-60 35-92 98-32 64-32 148 0 84 32 148 32 63 92 98 60 36 143 36 48 0 89-13 41-13 73-36 31-24 52-57 21-34 28-76l-136-25q-4 21-14 38-9 17-22 29-13 12-31 18-17 7-38 7-39 0-66-21-26-21-40-59-13-38-13-87 0-48 13-86 14-38 40-59 27-22 66-22 21 0 39 7 17 7 31 19 14 13 23 30 9 18 13 40l136-25q-8-44-28-78-21-34-52-58-32-24-73-37-42-13-90-13z'],
+        'т': [510, 'm329 0h-147v431h-172v115h490v-115h-171v-431z'],
+        'у': [602, 'm59-193l33 110 18-4q30-8 53-5 23 4 36 19 14 15 17 42l4 30-205 547h156l92-283q16-54 27-108 3-18 7-36 5 18 9 37 13 53 31 107l96 283h153l-232-610q-16-44-42-77-26-32-64-49-39-18-94-18-29 0-54 4-26 4-41 11z'],
+        'ф': [777, 'm462-204h-147v193q-82 0-144 36-62 35-97 98-34 64-34 148 0 84 34 148 35 63 97 98 62 36 144 36v175h147v-175q82 0 144-36 62-35 97-98 34-64 34-148 0-84-34-148-35-63-97-98-62-36-144-36v-193zm-147 300v352q-42 0-71-24-30-24-45-63-15-40-15-90 0-49 15-89 15-39 45-63 29-23 71-23zm147 352v-352q42 0 71 23 30 24 45 63 15 40 15 89 0 50-15 90-15 39-45 63-29 24-71 24z'],
+        'х': [580, 'm176 0h-155l175 280-165 266h158l50-86q23-43 42-84 5-11 11-23 5 11 10 23 19 41 43 84l51 86h156l-169-268 177-278h-158l-60 103q-24 42-43 83-6 11-11 22-5-11-10-22-18-41-42-83l-60-103z'],
+        'ц': [656, 'm479 0h-416v546h146v-430h195v430h147v-430h77l-6-272h-143v156z'],
+        'ч': [601, 'm312 158q-122 0-186 50-63 51-63 153v185h146v-185q0-48 25-68 25-19 78-19 37 0 74 8 3 1 6 1v263h147v-546h-147v167q-13-3-25-5-29-4-55-4z'],
+        'ш': [860, 'm63 0v546h146v-430h151v430h140v-430h151v430h146v-546h-734z'],
+        'щ': [888, 'm63 0v546h146v-430h151v430h140v-430h151v430h146v-430h78l-6-272h-143v156h-663z'],
+        'ъ': [678, 'm151 436h-141v110h287v-171h112q72 0 124-23 51-23 78-66 28-42 28-98 0-56-28-98-27-42-78-66-52-24-124-24h-258v436zm258-177h-112v-143h112q40 0 63 19 24 19 24 51 0 34-24 54-23 19-63 19z'],
+        'ы': [807, 'm209 546v-171h111q73 0 124-23 52-23 79-66 27-42 27-98 0-56-28-98-27-42-78-66-51-24-124-24h-257v546h146zm111-287h-111v-143h111q40 0 63 19 24 19 24 51 0 34-24 54-23 19-63 19zm424-259h-146v546h146v-546z'],
+        'ь': [590, 'm209 546v-171h111q73 0 124-23 52-23 79-66 27-42 27-98 0-56-28-98-27-42-78-66-51-24-124-24h-257v546h146zm111-287h-111v-143h111q40 0 63 19 24 19 24 51 0 34-24 54-23 19-63 19z'],
+        'э': [589, 'm283-11q-49 0-90 13-42 13-73 37-32 24-53 58-20 34-28 78l129 23q5-21 15-39 9-18 24-31 15-12 34-19 19-6 43-6 42 0 70 21 27 22 41 61 7 21 11 44h-175v89h174q-3 21-10 40-14 38-41 60-28 21-70 21-23 0-42-6-19-6-34-18-14-13-24-30-10-16-14-37l-130 23q8 42 28 76 21 33 52 57 32 23 73 36 41 13 90 13 82 0 142-36 60-35 92-98 32-64 32-148 0-84-32-148-32-63-92-98-60-36-142-36z'],
+        'ю': [867, 'm207 0h-144v546h144v-215h91q8 48 28 88 32 63 92 98 60 36 143 36 82 0 142-36 60-35 92-98 32-64 32-148 0-84-32-148-32-63-92-98-60-36-142-36-83 0-143 36-60 35-92 99-21 41-29 92h-90v-216zm354 104q39 0 65 22 26 22 39 60 13 38 13 85 0 48-13 86-13 38-39 59-26 22-65 22-40 0-66-22-26-21-39-59-13-38-13-86 0-47 13-85 13-38 39-60 26-22 66-22z'],
+        'я': [578, 'm515 546v-546h-139v186h-89l-112-186h-159l127 207q-25 10-45 26-59 48-59 128 0 84 58 134 58 51 167 51h251zm-231-256h92v142h-94q-51 0-75-19-24-18-24-53 0-34 24-52 24-18 77-18z'],
+        'ё': [596, 'm309-11q-83 0-144 34-61 35-93 98-32 63-32 149 0 84 32 148 32 63 91 99 59 36 139 36 53 0 100-17 46-17 81-52 36-34 55-86 20-52 20-122v-41h-373q1-42 16-71 15-32 44-48 28-16 67-16 25 0 46 7 21 7 36 22 15 14 23 35l133-25q-13-45-46-79-33-34-82-52-49-19-113-19zm-123 338h231q-3 27-12 49-13 32-39 49-25 17-63 17-38 0-64-17-27-18-41-48-10-23-12-50zm222 294q-31 0-52 21-22 21-22 50 0 30 22 50 21 21 52 21 30 0 51-21 22-20 22-50 0-29-22-50-21-21-51-21zm-217 0q-30 0-51 21-22 21-22 50 0 30 22 50 21 21 51 21 31 0 52-21 21-20 21-50 0-29-21-50-21-21-52-21z'],
+        'ђ': [623, 'm385-212q-22 0-42 2-20 2-35 6v106q11-2 22-3 11-1 22-1 34 0 48 11 14 10 14 33v380q0 51-27 79-26 29-72 29-31 0-55-13-24-14-38-39-13-25-13-62v-316h-146v593h-67v88h67v47h143v-47h141v-88h-141v-152q21 46 54 75 43 37 113 37 56 0 98-25 43-25 66-71 24-46 24-110v-347h-1v-58q0-76-44-115-44-39-131-39z'],
+        'ѓ': [453, 'm63 546h372v-116h-226v-430h-146v546zm236 69h-103l68 152h136l-101-152z'],
+        'є': [589, 'm307-11q-83 0-143 36-60 35-92 98-32 64-32 148 0 84 32 148 32 63 92 98 60 36 143 36 48 0 89-13 41-13 73-36 31-24 52-57 21-34 28-76l-130-23q-4 21-14 37-9 17-24 30-14 12-33 18-19 6-43 6-42 0-69-21-28-22-42-60-6-19-10-40h174v-89h-174q3-23 10-44 14-39 42-61 27-21 69-21 24 0 43 6 20 7 34 19 15 13 25 31 10 18 13 39l130-23q-8-44-28-78-21-34-52-58-32-24-73-37-42-13-90-13z'],
+        'ѕ': [560, 'm279-11q-66 0-116 19-51 19-83 55-33 36-42 86l136 24q11-38 38-57 27-19 72-19 42 0 66 16 24 15 24 40 0 21-17 35-18 14-53 21l-95 20q-79 16-118 54-39 39-39 100 0 53 29 91 29 38 80 58 51 21 121 21 64 0 112-18 47-18 76-51 30-32 39-77l-130-23q-8 28-32 46-23 18-63 18-36 0-61-15-24-16-24-41 0-20 16-35 15-14 54-22l98-19q79-16 118-53 38-36 38-95 0-53-31-94-31-40-86-62-55-23-127-23z'],
+        'і': [271, 'm209 0h-146v546h146v-546zm-73 617q-33 0-57 22-23 22-23 53 0 32 23 54 24 22 57 22 33 0 57-22 23-22 23-54 0-31-23-53-24-22-57-22z'],
+        'ї': [271, 'm209 0h-146v546h146v-546zm35 621q-31 0-52 21-22 21-22 50 0 30 22 50 21 21 52 21 30 0 51-21 22-20 22-50 0-29-22-50-21-21-51-21zm-217 0q-30 0-51 21-22 21-22 50 0 30 22 50 21 21 51 21 31 0 52-21 21-20 21-50 0-29-21-50-21-21-52-21z'],
+        'ј': [271, 'm62-26v572h147v-574q0-62-24-101-25-39-70-57-46-18-110-18h-29v115h19q37 0 52 16 15 16 15 47zm74 643q-33 0-57 22-23 22-23 53 0 32 23 54 24 22 57 22 33 0 57-22 23-22 23-54 0-31-23-53-24-22-57-22z'],
+        'љ': [944, 'm66 0h-48v117h17q20 0 34 8 14 9 23 29 10 20 15 55 5 34 7 85l10 252h439v-171h111q73 0 124-23 52-23 79-66 27-42 27-98 0-56-28-98-27-42-78-66-51-24-124-24h-271v430h-140l-7-160q-4-98-27-157-23-60-64-86-41-27-99-27zm608 259h-111v-143h111q40 0 63 19 24 19 24 51 0 34-24 54-23 19-63 19z'],
+        'њ': [924, 'm209 0h-146v546h146v-208h199v208h147v-197h106q104 0 164-47 60-47 60-128 0-81-60-128-60-46-164-46h-253v222h-199v-222zm452 232h-106v-116h106q40 0 60 14 21 15 21 43 0 29-21 44-20 15-60 15z'],
+        'ћ': [623, 'm209 316v-316h-146v593h-67v88h67v47h143v-47h141v-88h-141v-152q21 46 54 75 43 37 113 37 56 0 98-25 43-25 66-71 24-46 24-110v-347h-147v322q0 51-27 79-26 29-72 29-31 0-55-13-24-14-38-39-13-25-13-62z'],
+        'ќ': [583, 'm209 0h-146v546h146v-223h41l155 223h172l-195-271 197-275h-174l-140 207h-56v-207zm132 615h-103l68 152h136l-101-152z'],
+        'ў': [602, 'm59-193l33 110 18-4q30-8 53-5 23 4 36 19 14 15 17 42l4 30-205 547h156l92-283q16-54 27-108 3-18 7-36 5 18 9 37 13 53 31 107l96 283h153l-232-610q-16-44-42-77-26-32-64-49-39-18-94-18-29 0-54 4-26 4-41 11zm243 806q-48 0-85 21-38 20-61 54-22 35-22 77h85q0-31 24-51 24-21 59-21 35 0 59 21 24 20 24 51h86q0-42-23-77-22-34-60-54-38-21-86-21z'],
+        'џ': [613, 'm233 0h-170v546h146v-430h195v430h147v-546h-170l-2-156h-145l-1 156z'],
+        'Ґ': [583, 'm544 728h2v-124h-331v-604h-149v728h338v146h140v-146z'],
+        'ґ': [453, 'm63 546h239v140h133v-256h-226v-430h-146v546z'],
+        'ʼ': [311, 'm180 425h-99l43 303h146l-90-303z'],
+        '–': [500, 'm0 358h500v-117h-500v117z'],
+        '—': [1000, 'm0 358h1000v-117h-1000v117z'],
+        '‘': [311, 'm227 425h-146l89 303h100l-43-303z'],
+        '’': [311, 'm180 425h-99l43 303h146l-90-303z'],
+        '‚': [289, 'm158-192h-99l43 302h146l-90-302z'],
+        '“': [540, 'm227 425h-146l89 303h100l-43-303zm230 0h-147l90 303h100l-43-303z'],
+        '”': [532, 'm180 425h-99l43 303h146l-90-303zm221 0h-99l43 303h146l-90-303z'],
+        '„': [510, 'm158-193h-99l43 303h146l-90-303zm221 0h-99l43 303h146l-90-303z'],
+        '•': [474, 'm237 134q-43 0-79 21-35 21-56 56-21 36-21 79 0 43 21 79 21 35 56 56 36 21 79 21 43 0 79-21 35-21 56-56 21-36 21-79 0-43-21-79-21-35-56-56-36-21-79-21z'],
+        '…': [1002, 'm167-9q-36 0-60 24-24 24-24 60 0 35 24 60 24 24 60 24 36 0 60-24 24-25 24-60 0-36-24-60-24-24-60-24zm334 0q-36 0-60 24-24 24-24 60 0 35 24 60 24 24 60 24 36 0 60-24 24-25 24-60 0-36-24-60-24-24-60-24zm334 0q-36 0-60 24-25 24-25 60 0 35 25 60 24 24 60 24 36 0 60-24 24-25 24-60 0-36-24-60-24-24-60-24z'],
+        '№': [1102, 'm190 0h-124v728h122l295-505h6v505h124v-728h-121l-295 502h-7v-502zm833 212h-314v82h314v-82zm-157 142q-53 0-92 23-40 22-61 62-21 40-21 90v33q0 50 21 89 21 40 60 63 40 23 93 23 53 0 92-23 39-23 60-63 21-40 21-89v-33q0-50-21-90-20-40-60-62-39-23-92-23zm0 86q34 0 53 25 19 24 19 64v33q0 40-19 63-19 23-53 23-36 0-54-23-19-23-19-63v-33q0-41 19-65 19-24 54-24z'],
+        '₴': [739, 'm653 340v-98h-350q-11-11-17-24-11-21-11-42 0-31 26-48 26-17 70-17 46 0 73 17 28 18 30 59h151q-3-68-31-112-29-43-84-64-54-21-139-21-121 0-183 47-62 46-63 128 1 37 22 69 3 4 6 8h-66v98h566zm-279 275q-26 0-42-6-17-6-27-16-9-10-13-22-4-12-5-23h-151q4 60 31 103 26 42 78 64 51 22 127 22 75 0 128-20 52-21 79-59 27-37 27-88 0-35-20-65-3-5-7-10h74v-100h-566v100h342q12 12 20 25 9 17 9 39 0 25-21 41-21 15-63 15z'],
+        '€': [685, 'm283 476h255l-35-77h-232q-1-17-1-36 0-18 1-35h199l-37-79h-150q3-12 8-23 20-53 57-78 38-25 88-25 31 0 57 8 26 9 45 20 20 12 33 22l56-118q-38-32-87-48-49-17-104-17-93 0-164 44-71 45-112 128-19 40-29 87h-103l29 79h64q-1 17-1 35 0 18 1 36h-93l29 77h73q11 48 30 88 41 84 112 129 71 44 164 44 56 0 105-17 49-16 89-49l-56-119q-14 11-34 23-21 12-47 20-26 9-57 9-50 0-88-26-37-25-57-78-5-12-8-24z'],
+        '™': [640, 'm470 466h-36l-61 151v-151h-64v262h77l66-175 65 175h77v-262h-64v150l-60-150zm-286 0h-65v208h-79v54h223v-54h-79v-208z']
+      })
+    })
+  }),
+  mono: Object.freeze({
+    regular: Object.freeze({
+      name: 'JetBrainsMono-Regular',
+      glyphs: Object.freeze({
+        '0': [600, 'm300-10q-67 0-116 27-50 26-77 75-27 48-27 113v320q0 66 27 114 27 48 77 75 49 26 116 26 68 0 117-26 49-27 76-75 27-48 27-114v-320q0-65-27-113-27-49-76-75-50-27-117-27zm0 77q60 0 97 39 36 38 36 99v320q0 61-36 100-37 38-97 38-60 0-96-38-37-39-37-100v-320q0-61 37-99 36-39 96-39zm0 239q-27 0-43 17-17 17-17 45 0 27 17 44 16 16 43 16 27 0 44-16 16-17 16-44 0-28-16-45-17-17-44-17z'],
+        '1': [600, 'm540 0h-450v82h198v573l-198-148v100l165 123h123v-648h162v-82z'],
+        '2': [600, 'm526 0h-434v92l223 237q57 61 83 109 26 47 26 91 0 61-33 96-34 35-92 35-64 0-100-36-37-36-37-99h-90q2 66 31 115 28 48 79 74 50 26 117 26 66 0 115-25 48-26 74-73 26-47 26-112 0-62-33-123-33-61-108-139l-180-186h333v-82z'],
+        '3': [600, 'm289-10q-66 0-115 27-50 26-77 73-27 47-27 110h90q0-61 35-95 34-35 95-35 62 0 96 36 34 36 34 94v52q0 62-34 96-34 34-96 34h-75v90l181 176h-296v82h387v-90l-184-178q92-3 148-57 59-57 59-153v-52q0-63-27-110-28-47-78-73-50-27-116-27z'],
+        '4': [600, 'm500 0h-90v160h-330v141l289 429h98l-297-448v-40h240v178h90v-420z'],
+        '5': [600, 'm298-10q-89 0-146 46-57 46-67 124h90q5-43 37-66 32-24 87-24 63 0 95 34 31 34 31 96v71q0 62-31 96-32 34-94 34-39 0-68-20-29-21-42-55h-90l5 404h384v-82h-297l-3-243h3q8 29 35 48 37 27 100 27 89 1 139-54 49-56 49-155v-71q0-97-57-153-57-57-160-57z'],
+        '6': [600, 'm301-10q-70 0-122 30-53 29-82 82-29 53-29 123 0 55 16 108 15 53 46 102l183 295h100l-207-332 4-3q19 28 52 43 33 15 74 15 60 0 104-28 44-28 68-79 24-51 24-121 0-70-29-123-29-53-80-82-52-30-122-30zm-1 80q64 0 103 43 39 42 39 112 0 70-39 113-39 42-103 42-64 0-103-42-39-43-39-113 0-70 39-112 39-43 103-43z'],
+        '7': [600, 'm282 0h-97l261 648h-276v-108h-90v190h455v-88l-253-642z'],
+        '8': [600, 'm300-10q-67 0-116 24-50 23-77 67-27 44-27 103 0 65 36 112 34 46 109 82-63 35-94 73-36 45-36 108 0 56 25 97 25 41 71 63 46 22 109 22 63 0 109-22 46-22 71-63 25-41 25-97 0-63-36-107-30-38-94-73 75-36 109-81 36-48 36-114 0-89-59-141-60-53-161-53zm0 80q61 0 97 32 35 31 35 84 0 43-23 78-23 35-66 56l-43 21-46-22q-41-20-63-54-23-35-23-77 0-54 36-86 35-32 96-32zm-29 358l28-13 26 12q44 21 68 55 24 34 24 75 0 48-31 76-32 28-86 28-54 0-85-28-32-29-32-77 0-40 24-74 23-34 64-54z'],
+        '9': [600, 'm287 0h-100l207 332-4 3q-19-28-52-43-33-15-74-15-59 0-103 28-45 28-69 80-24 51-24 120 0 71 29 124 29 52 81 82 52 29 121 29 70 0 123-29 52-30 81-82 29-53 29-124 0-55-15-108-16-53-47-102l-183-295zm13 350q64 0 103 43 39 42 39 112 0 70-39 113-39 42-103 42-64 0-103-42-39-43-39-113 0-70 39-112 39-43 103-43z'],
+        ' ': [600, ''],
+        '!': [600, 'm332 215h-64l-21 395v120h106v-120l-21-395zm-17-220h-30q-26 0-43 17-17 17-17 43 0 26 17 43 17 17 43 17h30q29 0 45-16 15-17 15-43 0-26-17-43-17-18-43-18z'],
+        '"': [600, 'm439 430h-74l-12 210v90h97v-90l-11-210zm-203 0h-74l-12 210v90h97v-90l-11-210z'],
+        '#': [600, 'm153 0h-70l37 200h-85v65h97l36 200h-98v65h110l37 200h70l-37-200h160l37 200h70l-37-200h85v-65h-97l-36-200h98v-65h-110l-37-200h-70l37 200h-160l-37-200zm85 465l-36-200h160l36 200h-160z'],
+        '$': [600, 'm335-140h-60v131q-94 8-147 61-54 52-56 138h90q0-49 30-80 29-31 83-38v262l-27 8q-75 23-115 77-41 54-41 127 0 80 50 132 49 52 133 60v132h60v-131q83-8 133-60 50-52 51-134h-90q0 47-24 77-25 29-70 36v-248l40-13q73-23 113-78 40-55 40-129 0-82-52-136-53-54-141-63v-131zm0 455v-243q49 8 76 38 27 30 27 78 0 44-23 77-24 33-68 46l-12 4zm-60 114v229q-44-7-68-34-25-27-25-70 0-52 32-87 23-26 61-38z'],
+        '%': [600, 'm88 0h-74l498 730h74l-498-730zm357-5q-63 0-101 36-38 36-38 99v65q0 63 38 99 38 36 101 36 63 0 101-36 38-36 38-99v-65q0-63-38-99-38-36-101-36zm0 69q65 0 65 66v65q0 67-65 67-65 0-65-67v-65q0-66 65-66zm-290 336q-63 0-101 36-38 36-38 99v65q0 63 38 99 38 36 101 36 63 0 101-36 38-36 38-99v-65q0-63-38-99-38-36-101-36zm0 68q65 0 65 67v65q0 67-65 67-32 0-48-16-17-17-17-51v-65q0-34 17-50 16-17 48-17z'],
+        '&': [600, 'm230-10q-82 0-128 44-47 44-47 121v125q0 53 28 90 27 36 78 51l-7 10q-31 42-45 78-14 36-14 72 0 48 23 84 22 36 63 56 40 19 94 19 58 0 101-21 42-21 65-59 23-38 23-91h-90q0 29-12 50-12 21-34 32-22 11-53 11-27 0-47-10-21-10-32-28-11-19-11-45 0-25 11-54 10-29 29-55l172-237 71 127h94l-113-199 117-161h-99l-63 87q-74-97-174-97zm5 80q34 0 66 23 31 22 53 62l-147 203q-31-5-46-25-16-20-16-53v-125q0-40 24-62 23-23 66-23z'],
+        '\'': [600, 'm332 430h-74l-12 150v150h97v-150l-11-150z'],
+        '(': [600, 'm485-31v-89q-142 35-221 138-79 103-79 252v180q0 98 37 178 36 79 104 134 67 55 159 78v-85q-64-15-111-57-47-43-73-106-26-63-26-142v-180q0-77 26-140 25-63 73-104 47-42 111-57z'],
+        ')': [600, 'm115-120v89q65 15 112 57 47 41 73 104 25 63 25 140v180q0 79-26 142-26 63-73 106-47 42-111 57v85q93-23 160-78 67-55 104-134 36-80 36-178v-180q0-149-79-252-79-103-221-138z'],
+        '*': [600, 'm235 172l-54-78-72 50 54 78q13 19 31 38 18 18 37 35 18 16 32 28l-3 7q-19 2-43 5-24 2-48 8-25 5-46 12l-88 32 30 83 88-32q21-7 44-19 22-13 43-26 21-14 36-26l5 4q-5 19-11 44-6 24-10 51-4 26-4 49v95h88v-95q0-23-4-49-4-27-10-51-6-25-12-44l5-4q16 12 37 26 20 13 43 26 22 12 43 19l89 32 30-83-89-32q-20-7-44-12-25-6-49-8-24-3-43-5l-4-8q15-12 34-28 18-17 36-35 17-19 29-37l55-78-72-50-55 78q-12 18-23 41-12 23-21 46-10 23-16 41h-7q-6-18-15-41-10-23-21-46-12-23-25-41z'],
+        '+': [600, 'm344 95h-88v195h-191v80h191v195h88v-195h191v-80h-191v-195z'],
+        ',': [600, 'm245-160h-80l80 311h130l-130-311z'],
+        '-': [600, 'm460 290h-320v80h320v-80z'],
+        '.': [600, 'm300-10q-38 0-60 22-23 22-23 59 0 39 23 62 22 23 60 23 38 0 61-23 22-23 22-62 0-37-22-59-23-22-61-22z'],
+        '/': [600, 'm170-110h-95l355 940h95l-355-940z'],
+        ':': [600, 'm300 410q-37 0-60 21-23 20-23 54 0 34 23 55 23 20 60 20 38 0 61-20 22-21 22-55 0-34-22-54-23-21-61-21zm0-420q-37 0-60 21-23 20-23 54 0 34 23 55 23 20 60 20 38 0 61-20 22-21 22-55 0-34-22-54-23-21-61-21z'],
+        ';': [600, 'm250-160h-80l80 311h130l-130-311zm60 570h-20q-33 0-54 21-21 21-21 54 0 32 22 54 21 21 53 21h20q32 0 54-21 21-22 21-54 0-33-21-54-21-21-54-21z'],
+        '<': [600, 'm515 155v-90l-430 215v100l430 215v-87l-310-152q-19-9-35-15-17-7-25-9 9-2 26-8 17-7 34-16l310-153z'],
+        '=': [600, 'm515 410h-430v80h430v-80zm0-240h-430v80h430v-80z'],
+        '>': [600, 'm515 280l-430-215v87l310 152q19 9 36 16 16 6 24 8-9 2-26 9-17 6-34 15l-310 153v90l430-215v-100z'],
+        '?': [600, 'm301 205h-90v180h50q64 0 102 36 37 35 37 94 0 59-37 95-38 35-103 35h-125v85h125q70 0 122-26 51-27 80-75 28-48 28-114 0-57-24-102-24-46-66-73-43-27-99-30v-105zm-31-210h-30q-26 0-43 17-17 17-17 43 0 26 17 43 17 17 43 17h30q29 0 45-16 15-17 15-43 0-26-17-43-17-18-43-18z'],
+        '@': [600, 'm395-180h-70q-85 0-148 36-63 35-97 101-35 65-35 153v340q0 90 33 155 32 65 93 100 60 35 144 35 76 0 131-29 55-30 85-85 29-55 29-131v-430h-71v55h-11q-6-25-27-41-29-24-77-24-65 0-99 40-35 39-35 115v120q0 76 35 116 34 39 99 39 48 0 77-23 21-17 27-42h12l-10 70v5q0 57-19 96-19 39-55 59-37 20-91 20-90 0-140-58-50-58-50-162v-340q0-100 54-157 53-58 146-58h70v-75zm5 298q41 0 61 25 19 25 19 77v111q0 47-19 69-20 22-61 22-40 0-60-22-20-23-20-70v-120q0-47 20-69 20-23 60-23z'],
+        'A': [600, 'm142 0h-92l190 730h121l189-730h-91l-48 194h-221l-48-194zm122 496l-56-226h184l-56 225q-16 64-25 107-9 43-11 56-2-13-11-56-9-43-25-106z'],
+        'B': [600, 'm315 0h-222v730h207q100 0 157-50 56-50 56-139 0-50-21-87-21-37-59-57-14-7-29-11 19-6 37-15 42-23 66-66 23-43 23-102 0-62-26-108-26-46-74-70-48-25-115-25zm-134 341v-260h124q63 0 100 34 36 33 36 91 0 60-36 98-37 37-100 37h-124zm0 308v-230h118q58 0 92 31 33 31 33 84 0 53-33 84-33 31-91 31h-119z'],
+        'C': [600, 'm304-10q-66 0-114 25-49 25-75 73-27 47-27 112v330q0 66 27 113 26 47 75 72 48 25 114 25 66 0 114-25 48-26 74-73 26-47 26-112h-90q0 62-32 96-33 33-92 33-59 0-92-33-34-33-34-95v-331q0-62 34-95 33-34 92-34 59 0 92 34 32 33 32 95h90q0-64-26-111-26-48-74-73-48-26-114-26z'],
+        'D': [600, 'm281 0h-189v730h189q71 0 123-27 51-27 80-76 28-49 28-116v-291q0-67-28-116-29-50-80-77-52-27-123-27zm-99 650v-570h99q66 0 104 37 37 37 37 103v291q0 65-37 102-38 37-104 37h-99z'],
+        'E': [600, 'm520 0h-420v730h420v-82h-331v-226h296v-81h-296v-259h331v-82z'],
+        'F': [600, 'm185 0h-90v731h430v-82h-342v-243h316v-82h-314v-324z'],
+        'G': [600, 'm304-10q-66 0-114 25-49 25-75 73-27 47-27 112v330q0 66 27 113 26 47 75 72 48 25 114 25 66 0 114-25 48-26 74-73 26-47 26-112h-90q0 62-32 96-33 33-92 33-59 0-92-33-34-33-34-95v-331q0-62 34-96 33-34 92-34 59 0 92 34 32 34 32 96v90h-148v82h238v-172q0-64-26-111-26-48-74-73-48-26-114-26z'],
+        'H': [600, 'm183 0h-90v730h90v-312h234v312h90v-730h-90v336h-234v-336z'],
+        'I': [600, 'm495 0h-390v82h149v566h-149v82h390v-82h-149v-566h149v-82z'],
+        'J': [600, 'm270-10q-105 0-165 59-60 59-60 161h90q0-67 36-103 35-37 99-37 64 0 100 37 35 36 35 103v438h-175v82h265v-520q0-102-60-161-61-59-165-59z'],
+        'K': [600, 'm182 0h-90v730h90v-313h108l162 313h98l-181-351 191-379h-103l-170 338h-105v-338z'],
+        'L': [600, 'm535 0h-420v730h90v-648h330v-82z'],
+        'M': [600, 'm164 0h-88v730h118l76-236q11-32 20-63 9-32 13-49 5 17 13 49 8 31 18 64l72 235h118v-730h-88v265q0 44 3 100 3 56 8 115 5 58 11 112 5 53 9 93l-118-365h-95l-119 365q5-39 10-90 5-52 9-109 4-58 7-115 3-57 3-106v-265z'],
+        'N': [600, 'm177 0h-87v730h120l223-625q-2 25-4 62-3 36-4 77-2 40-2 76v410h87v-730h-120l-222 625q2-24 4-60 2-37 4-77 1-41 1-78v-410z'],
+        'O': [600, 'm300-10q-66 0-113 25-48 25-73 73-26 47-26 112v330q0 66 26 113 25 47 73 72 47 25 113 25 66 0 114-25 47-25 73-72 25-47 25-112v-331q0-65-25-112-26-48-73-73-48-25-114-25zm0 81q59 0 91 34 31 33 31 95v330q0 62-31 96-32 33-91 33-58 0-90-33-32-34-32-96v-330q0-62 32-95 32-34 90-34z'],
+        'P': [600, 'm182 0h-90v730h235q68 0 118-26 50-27 78-75 27-48 27-114 0-65-27-113-28-49-78-75-50-27-118-27h-145v-300zm0 649v-268h145q59 0 95 37 35 36 35 97 0 62-35 98-36 36-95 36h-145z'],
+        'Q': [600, 'm526-180h-104l-103 171q-2 0-4 0-7-1-15-1-67 0-116 27-50 26-77 75-27 48-27 113v320q0 66 27 114 27 48 77 75 49 26 116 26 68 0 117-26 49-27 76-75 27-48 27-114v-320q0-67-29-117-29-50-82-75l117-193zm-226 250q59 0 95 37 35 37 35 98v320q0 62-35 99-36 36-95 36-59 0-94-36-36-37-36-99v-320q0-61 36-98 35-37 94-37z'],
+        'R': [600, 'm182 0h-90v730h226q65 0 114-26 49-27 76-74 27-47 27-110 0-74-38-127-39-53-105-73l153-320h-106l-140 310h-117v-310zm0 649v-258h136q56 0 90 36 34 35 34 93 0 59-34 94-34 35-90 35h-136z'],
+        'S': [600, 'm304-10q-72 0-123 24-52 24-80 69-28 45-29 107h90q0-55 38-87 37-32 104-32 63 0 99 31 35 31 35 86 0 44-23 77-24 33-68 46l-99 31q-75 23-115 77-41 54-41 127 0 59 27 103 26 43 74 68 48 24 113 24 96 0 154-53 58-54 59-143h-90q0 54-32 85-33 30-92 30-58 0-90-28-33-28-33-78 0-45 24-78 24-33 69-47l100-32q73-23 113-78 40-55 40-129 0-60-28-105-28-45-78-70-51-25-118-25z'],
+        'T': [600, 'm345 0h-90v649h-200v82h490v-82h-200v-649z'],
+        'U': [600, 'm300-10q-102 0-156 57-54 56-54 153v530h90v-530q0-60 30-95 29-35 90-35 60 0 90 35 30 35 30 95v530h90v-530q0-98-53-154-54-56-157-56z'],
+        'V': [600, 'm361 0h-123l-188 730h93l124-496q13-52 22-96 9-45 13-68 4 23 13 68 8 44 21 96l123 496h91l-189-730z'],
+        'W': [600, 'm222 0h-113l-84 730h86l55-540q2-22 4-45 2-24 4-45 1-21 1-35 2 14 4 35 1 21 4 45 2 23 5 45l68 540h93l62-540q3-22 6-45 2-24 5-45 2-21 3-35l3 35q1 21 4 45 2 23 4 45l57 540h82l-86-730h-113l-62 550q-2 23-4 45-3 22-5 41-2 19-3 31-1-12-3-31-3-19-5-41-2-22-5-45l-67-550z'],
+        'X': [600, 'm140 0h-100l210 370-199 360h104l113-216q9-17 19-36 9-20 15-31 5 11 15 31 9 19 18 36l115 216h99l-199-354 210-376h-103l-125 232q-9 17-18 37-10 19-15 31-5-12-14-31-10-19-19-36l-126-233z'],
+        'Y': [600, 'm345 0h-90v273l-220 457h93l145-300q12-25 19-42 7-18 9-26 2 8 10 26 7 17 19 42l142 300h93l-220-457v-273z'],
+        'Z': [600, 'm515 0h-430v90l329 558h-324v82h415v-90l-329-558h339v-82z'],
+        '[': [600, 'm450-110h-245v940h245v-80h-155v-780h155v-80z'],
+        '\\': [600, 'm525-110h-95l-355 940h95l355-940z'],
+        ']': [600, 'm395-110h-245v80h155v780h-155v80h245v-940z'],
+        '^': [600, 'm161 340h-81l179 390h84l177-390h-81l-112 258q-8 20-14 39-7 18-10 28-4-10-11-28-7-19-16-39l-115-258z'],
+        '_': [600, 'm540-100h-480v75h480v-75z'],
+        '`': [600, 'm392 645h-95l-115 140h100l110-140z'],
+        'a': [600, 'm252-10q-87 0-137 45-50 44-50 120 0 77 50 121 50 44 135 44h170v55q0 51-30 79-31 27-87 27-49 0-82-20-33-21-38-56h-90q9 71 67 113 58 42 145 42 95 0 150-49 55-49 55-133v-378h-88v105h-1q-5-49-45-80-47-35-124-35zm22 71q64 0 105 32 41 32 41 82v78h-168q-45 0-71-25-26-25-26-68 0-46 32-72 31-27 87-27z'],
+        'b': [600, 'm332-10q-68 0-109 37-34 30-40 78h-1v-105h-90v730h90v-160l-2-125h3q6 47 41 78 41 37 108 37 83 0 133-55 50-55 50-150v-161q0-94-50-149-50-55-133-55zm-30 78q57 0 90 34 33 34 33 98v150q0 64-33 98-33 34-90 34-55 0-87-35-33-35-33-97v-150q0-62 33-97 32-35 87-35z'],
+        'c': [600, 'm304-10q-66 0-115 25-50 25-77 73-27 47-27 112v150q0 66 27 113 27 47 77 72 49 25 115 25 95 0 153-51 58-51 61-139h-90q-3 53-35 82-33 28-89 28-59 0-94-33-35-34-35-96v-151q0-62 35-96 35-34 94-34 56 0 89 29 32 29 35 81h90q-3-88-61-139-58-51-153-51z'],
+        'd': [600, 'm268-10q-82 0-132 55-51 55-51 149v161q0 95 50 150 50 55 133 55 68 0 109-37 34-31 40-78h3l-2 125v160h90v-730h-90v105h-1q-6-48-40-78-41-37-109-37zm30 78q56 0 88 35 32 35 32 97v150q0 62-32 97-32 35-88 35-57 0-90-34-33-34-33-98v-150q0-64 33-98 33-34 90-34z'],
+        'e': [600, 'm300-10q-65 0-113 26-49 26-75 74-27 47-27 110v150q0 64 27 111 26 47 75 73 48 26 113 26 65 0 114-26 48-26 75-73 26-47 26-111v-97h-342v-53q0-65 33-99 33-35 94-35 52 0 84 19 32 18 39 55h90q-9-69-67-109-59-41-146-41zm-127 331h254v29q0 65-32 100-33 35-95 35-61 0-94-35-33-35-33-100v-29z'],
+        'f': [600, 'm310 0h-90v413h-160v82h160v95q0 65 41 103 41 37 113 37h161v-82h-161q-31 0-47-14-17-15-17-44v-95h225v-82h-225v-413z'],
+        'g': [600, 'm335-180h-174v82h175q42 0 62 19 19 19 19 59v70l2 100h-2q-4-49-39-80-40-35-107-35-85 0-134 56-49 55-49 149v116q0 94 49 149 49 55 134 55 67 0 107-35 35-31 39-80h1v105h89v-570q0-74-45-117-46-43-127-43zm-37 293q56 0 88 35 32 35 32 97v105q0 62-32 97-32 35-88 35-57 0-88-34-32-34-32-98v-105q0-64 32-98 31-34 88-34z'],
+        'h': [600, 'm182 0h-90v730h90v-285h1q6 50 38 80 39 35 108 35 83 0 132-51 49-51 49-139v-370h-90v360q0 59-31 92-32 32-86 32-56 0-88-35-33-35-33-99v-350z'],
+        'i': [600, 'm555 0h-470v82h195v386h-170v82h260v-468h185v-82zm-240 649q-33 0-52 17-19 17-19 46 0 30 19 48 19 17 52 17 33 0 52-17 19-18 19-48 0-29-19-46-19-17-52-17z'],
+        'j': [600, 'm214-180h-129v83h129q62 0 97 34 34 33 34 94v437h-230v82h320v-519q0-97-60-154-60-57-161-57zm171 829q-33 0-52 17-19 17-19 46 0 30 19 48 19 17 52 17 33 0 52-17 19-18 19-48 0-29-19-46-19-17-52-17z'],
+        'k': [600, 'm185 0h-90v730h90v-407h106l160 227h103l-185-262 188-288h-105l-160 245h-107v-245z'],
+        'l': [600, 'm550 0h-175q-48 0-84 19-36 19-56 54-20 35-20 82v493h-185v82h275v-575q0-34 19-53 19-20 51-20h175v-82z'],
+        'm': [600, 'm149 0h-83v550h79v-66h6q5 29 23 49 24 27 66 27 46 0 71-34 13-17 19-42h4q5 29 24 49 25 27 67 27 52 0 81-39 28-39 28-103v-418h-83v419q0 34-14 53-15 19-43 19-27 0-42-18-16-19-16-53v-420h-72v419q0 35-15 54-16 18-44 18-28 0-42-18-14-19-14-53v-420z'],
+        'n': [600, 'm182 0h-90v550h90v-105h1q6 50 38 80 39 35 108 35 83 0 132-51 49-51 49-139v-370h-90v360q0 59-31 91-32 31-86 31-56 0-88-34-33-34-33-98v-350z'],
+        'o': [600, 'm300-8q-66 0-114 25-48 25-74 73-27 47-27 112v146q0 66 27 113 26 47 74 72 48 25 114 25 66 0 114-25 48-25 75-72 26-47 26-112v-147q0-65-26-112-27-48-75-73-48-25-114-25zm0 80q59 0 92 33 33 33 33 97v146q0 64-33 97-33 33-92 33-58 0-91-33-34-33-34-97v-146q0-64 34-97 33-33 91-33z'],
+        'p': [600, 'm182-180h-90v730h90v-105h1q6 48 41 79 41 36 109 36 83 0 133-54 49-55 49-150v-161q0-63-22-109-23-46-63-71-41-25-97-25-67 0-109 37-35 31-41 78h-3l2-125v-160zm121 248q57 0 90 34 32 34 32 98v150q0 64-32 98-33 34-90 34-55 0-88-35-33-35-33-97v-150q0-62 33-97 33-35 88-35z'],
+        'q': [600, 'm508-180h-90v160l2 125h-3q-6-47-40-78-41-37-109-37-83 0-131 55-49 55-49 150v161q0 95 49 150 49 54 131 54 68 0 109-36 34-31 40-79h1v105h90v-730zm-210 248q56 0 88 35 32 35 32 97v150q0 62-32 97-32 35-88 35-57 0-88-34-32-34-32-98v-150q0-64 32-98 31-34 88-34z'],
+        'r': [600, 'm201 0h-90v550h88v-98q10 38 31 63 38 45 114 45 87 0 139-54 51-55 51-148v-33h-90v25q0 65-31 100-32 34-90 34-57 0-89-35-33-35-33-99v-350z'],
+        's': [600, 'm325-8h-42q-56 0-97 18-42 17-66 49-25 32-30 76h90q6-29 33-46 26-17 70-17h42q53 0 79 22 26 21 26 57 0 35-23 56-24 20-70 27l-74 12q-81 14-120 51-40 36-40 106 0 74 47 115 47 40 141 40h38q79 0 127-37 48-37 58-100h-90q-6 26-30 42-24 15-65 15h-38q-51 0-74-19-24-19-24-57 0-34 20-50 20-16 63-23l74-12q89-14 130-52 40-38 40-110 0-76-48-119-49-44-147-44z'],
+        't': [600, 'm510 0h-150q-71 0-110 38-40 38-40 107v323h-155v82h155v155h90v-155h220v-82h-220v-323q0-63 60-63h150v-82z'],
+        'u': [600, 'm299-10q-95 0-152 57-57 56-57 153v350h90v-350q0-62 32-96 32-35 87-35 56 0 89 35 32 34 32 96v350h90v-350q0-97-58-153-58-57-153-57z'],
+        'v': [600, 'm361 0h-122l-184 550h92l122-370q11-33 20-63 9-31 13-48 5 17 14 48 9 30 19 63l119 370h91l-184-550z'],
+        'w': [600, 'm222 0h-99l-88 550h80l55-390q3-22 7-47 3-26 5-43 2 17 7 43 4 25 7 47l61 390h86l61-390q3-22 8-47 4-26 6-43 2 17 7 43 4 25 7 47l57 390h76l-92-550h-99l-59 380q-4 28-9 56-5 28-7 44-2-16-6-44-4-28-9-56l-62-380z'],
+        'x': [600, 'm155 0h-105l195 283-183 267h106l109-170q7-11 14-24l10-21q3 8 10 21 6 13 13 24l110 170h105l-183-268 194-282h-106l-118 180q-7 11-13 26-7 14-12 23-4-9-11-23-8-15-16-26l-119-180z'],
+        'y': [600, 'm274-180h-96l81 214-204 516h100l128-340q7-17 13-40 6-24 10-40 4 16 10 40 6 23 12 40l120 340h97l-271-730z'],
+        'z': [600, 'm510 0h-420v90l308 378h-300v82h401v-90l-314-378h325v-82z'],
+        '{': [600, 'm515-110h-45q-59 0-101 20-43 19-65 57-22 37-19 89l10 164q3 53-16 77-19 23-84 23h-110v80h110q65 0 84 24 19 23 16 76l-10 164q-3 53 19 90 22 37 65 57 42 19 101 19h45v-80h-45q-47 0-72-21-25-22-23-65l10-164q4-65-31-103-26-29-69-37 42-7 69-36 35-39 31-104l-10-164q-2-43 23-64 25-22 72-22h45v-80z'],
+        '|': [600, 'm345-110h-90v940h90v-940z'],
+        '}': [600, 'm130-110h-45v80h45q47 0 72 22 25 21 23 64l-10 164q-4 65 32 104 26 29 68 36-43 8-69 37-35 38-31 103l10 164q2 43-23 65-25 21-72 21h-45v80h45q59 0 102-19 42-20 64-57 22-37 19-90l-10-164q-3-53 16-76 19-24 84-24h110v-80h-110q-64 0-83-23-20-24-17-77l10-164q3-52-19-89-22-38-64-57-43-20-102-20z'],
+        '~': [600, 'm150 255h-85v70q0 59 36 95 36 35 94 35 37 0 63-13 26-13 45-32 18-20 33-39 15-20 31-33 16-13 36-13 23 0 35 14 12 14 12 41v70h85v-70q0-58-35-94-36-36-95-36-37 0-63 13-26 13-44 33-19 19-34 39-15 19-31 32-16 13-36 13-22 0-34-14-13-14-13-41v-70z'],
+        '«': [600, 'm570 40h-105l-202 240 201 240h106l-206-238 206-242zm-233 0h-105l-202 240 201 240h106l-206-238 206-242z'],
+        '»': [600, 'm369 40h-105l202 241-203 239h105l202-240-201-240zm-233 0h-105l202 241-203 239h105l202-240-201-240z'],
+        '°': [600, 'm300 450q-67 0-108 40-42 40-42 105 0 65 42 105 41 40 108 40 68 0 109-40 41-40 41-105 0-65-41-105-41-40-109-40zm-1 51q41 0 66 26 25 26 25 68 0 43-25 69-25 26-66 26-40 0-64-26-25-26-25-69 0-42 25-68 24-26 64-26z'],
+        '©': [600, 'm300 110q-76 0-133 30-58 30-90 84-32 54-32 126v150q0 72 32 126 32 54 90 84 57 30 133 30 77 0 134-30 57-30 89-84 32-54 32-126v-150q0-72-32-126-32-54-89-84-57-30-134-30zm0 50q60 0 105 24 45 23 70 66 25 43 25 100v150q0 57-25 100-25 42-70 66-45 24-105 24-60 0-105-24-45-24-70-66-25-43-25-100v-150q0-57 25-100 25-43 70-66 45-24 105-24zm5 85q-56 0-90 32-35 31-35 83v130q0 52 35 84 34 31 90 31 56 0 90-31 34-32 34-84h-65q0 27-16 44-17 16-43 16-27 0-43-16-17-17-17-44v-130q0-27 17-43 16-17 43-17 26 0 43 17 16 16 16 43h65q0-52-34-83-34-32-90-32z'],
+        '®': [600, 'm300 110q-76 0-133 30-58 30-90 84-32 54-32 126v150q0 72 32 126 32 54 90 84 57 30 133 30 77 0 134-30 57-30 89-84 32-54 32-126v-150q0-72-32-126-32-54-89-84-57-30-134-30zm0 50q60 0 105 24 45 23 70 66 25 43 25 100v150q0 57-25 100-25 42-70 66-45 24-105 24-60 0-105-24-45-24-70-66-25-43-25-100v-150q0-57 25-100 25-43 70-66 45-24 105-24zm127 90h-64l-59 140q0 0 0 0h-54v-140h-60v350h114q54 0 86-28 31-29 31-77 0-48-31-76-13-12-29-19l66-150zm-177 300v-110h54q26 0 41 15 15 14 15 40 0 26-15 41-15 14-41 14h-54z'],
+        '§': [600, 'm315-154h-30q-54 0-98 20-45 19-73 54-29 34-37 80h95q9-33 40-53 31-21 73-21h30q57 0 87 24 30 23 30 62 0 36-25 60-26 23-76 33l-92 19q-69 14-111 59-42 44-42 102 0 57 37 98 37 41 92 46v7q-27 0-56 14-29 13-49 45-20 31-20 84 0 74 53 118 52 43 146 43h30q79 0 134-40 54-40 64-105h-95q-7 29-35 47-29 18-68 18h-30q-51 0-79-22-29-22-29-60 0-32 26-55 25-24 71-34l90-19q71-15 112-58 41-43 41-104 0-58-36-98-37-40-97-40v-7q29-1 61-17 31-16 53-48 21-32 21-83 0-78-55-123-55-46-153-46zm-61 354l76-15q30-6 53 8 22 14 35 43 12 28 12 63 0 35-22 62-22 26-57 33l-74 15q-30 6-52-7-23-14-35-41-13-27-13-61 0-38 22-65 21-28 55-35z'],
+        '·': [600, 'm300 260q-38 0-60 22-23 22-23 59 0 39 23 62 22 23 60 23 38 0 61-23 22-23 22-62 0-37-22-59-23-22-61-22z'],
+        '±': [600, 'm530 0h-460v70h186v225h-191v80h191v195h88v-195h191v-80h-191v-225h186v-70z'],
+        '×': [600, 'm298 278l-142-142-51 52 141 141-141 142 51 51 142-141 145 145 51-52-145-145 142-141-52-52-141 142z'],
+        'Ё': [600, 'm520 0h-420v730h420v-82h-331v-226h296v-81h-296v-259h331v-82zm-89 817q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17zm-222 0q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17z'],
+        'Ђ': [600, 'm330-180h-70v82h70q53 0 84 31 31 30 31 82v281q0 61-22 92-23 31-65 31-56 0-114-62l-44-47v-310h-90v651h-110v79h320v-79h-120v-255l16 17q76 82 163 82 71 0 114-48 42-49 42-131v-301q0-59-25-103-26-44-72-68-46-24-108-24z'],
+        'Ѓ': [600, 'm200 0h-90v730h425v-82h-335v-648zm139 810h-92l106 140h97l-111-140z'],
+        'Є': [600, 'm304-10q-66 0-114 25-48 25-74 73-26 47-26 112v330q0 66 26 113 26 47 74 72 48 25 114 25 66 0 114-25 47-26 73-73 25-47 25-112h-90q0 62-31 96-32 34-91 34-59 0-91-33-33-34-33-96v-122h225v-82h-225v-127q0-62 33-96 32-34 91-34 59 0 91 34 31 34 31 96h90q0-64-25-111-26-48-73-73-48-26-114-26z'],
+        'Ѕ': [600, 'm304-10q-72 0-123 24-52 24-80 69-28 45-29 107h90q0-55 38-87 37-32 104-32 63 0 99 31 35 31 35 86 0 44-23 77-24 33-68 46l-99 31q-75 23-115 77-41 54-41 127 0 59 27 103 26 43 74 68 48 24 113 24 96 0 154-53 58-54 59-143h-90q0 54-32 85-33 30-92 30-58 0-90-28-33-28-33-78 0-45 24-78 24-33 69-47l100-32q73-23 113-78 40-55 40-129 0-60-28-105-28-45-78-70-51-25-118-25z'],
+        'І': [600, 'm495 0h-390v82h149v566h-149v82h390v-82h-149v-566h149v-82z'],
+        'Ї': [600, 'm495 0h-390v82h149v566h-149v82h390v-82h-149v-566h149v-82zm-84 817q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17zm-222 0q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17z'],
+        'Ј': [600, 'm270-10q-105 0-165 59-60 59-60 161h90q0-67 36-103 35-37 99-37 64 0 100 37 35 36 35 103v438h-175v82h265v-520q0-102-60-161-61-59-165-59z'],
+        'Љ': [600, 'm10-5h-15v80h18q26 0 41 32 14 32 15 87l5 536h286v-300h60q72 0 116-42 44-43 44-113v-120q0-70-44-112-44-43-116-43h-140v655h-127l-5-461q-1-92-38-145-37-54-100-54zm350 360v-280h60q36 0 58 22 22 22 22 58v120q0 36-22 58-22 22-58 22h-60z'],
+        'Њ': [600, 'm133 0h-80v730h80v-300h147v300h80v-300h60q74 0 117-42 43-42 43-113v-120q0-71-43-113-43-42-117-42h-140v355h-147v-355zm227 355v-280h60q38 0 59 22 21 21 21 58v120q0 38-21 59-21 21-59 21h-60z'],
+        'Ћ': [600, 'm200 0h-90v651h-110v79h320v-79h-120v-255l16 17q76 82 163 82 71 0 114-48 42-49 42-131v-316h-90v296q0 61-22 92-23 31-65 31-56 0-114-62l-44-47v-310z'],
+        'Ќ': [600, 'm334 810h-92l106 140h97l-111-140zm-152-810h-90v730h90v-313h108l162 313h98l-181-351 191-379h-103l-170 338h-105v-338z'],
+        'Ў': [600, 'm287 0h-96l74 189-215 541h98l131-357q13-34 21-64 8-31 10-46 2 15 9 46 7 30 18 64l115 357h98l-263-730zm13 805q-72 0-116 40-44 40-44 105h71q0-39 24-63 24-24 64-24 41 0 66 24 24 24 24 63h71q0-65-44-105-44-40-116-40z'],
+        'Џ': [600, 'm345-125h-90v125h-161v730h90v-648h232v648h90v-730h-161v-125z'],
+        'А': [600, 'm142 0h-92l190 730h121l189-730h-91l-48 194h-221l-48-194zm122 496l-56-226h184l-56 225q-16 64-25 107-9 43-11 56-2-13-11-56-9-43-25-106z'],
+        'Б': [600, 'm305 0h-211v730h406v-82h-316v-220h121q70 0 120-26 50-27 78-75 27-48 27-113 0-65-27-113-28-48-78-74-50-27-120-27zm-121 346v-264h121q62 0 97 36 35 35 35 96 0 62-35 97-35 35-97 35h-121z'],
+        'В': [600, 'm315 0h-222v730h207q100 0 157-50 56-50 56-139 0-50-21-87-21-37-59-57-14-7-29-11 19-6 37-15 42-23 66-66 23-43 23-102 0-62-26-108-26-46-74-70-48-25-115-25zm-134 341v-260h124q63 0 100 34 36 33 36 91 0 60-36 98-37 37-100 37h-124zm0 308v-230h118q58 0 92 31 33 31 33 84 0 53-33 84-33 31-91 31h-119z'],
+        'Г': [600, 'm200 0h-90v730h425v-82h-335v-648z'],
+        'Д': [600, 'm105-140h-80v217h45q11 20 23 54 12 34 21 77 9 43 10 90l7 432h374v-653h70v-217h-80v140h-390v-140zm59 217h251v573h-198l-5-352q-1-77-17-136-16-59-31-85z'],
+        'Е': [600, 'm520 0h-420v730h420v-82h-331v-226h296v-81h-296v-259h331v-82z'],
+        'Ж': [600, 'm104 0h-92l132 376-122 354h94l104-324h42v324h76v-324h43l103 324h94l-120-355 130-375h-93l-112 342h-45v-342h-76v342h-45l-113-342z'],
+        'З': [600, 'm290-10q-68 0-120 24-52 24-82 68-31 44-35 103h90q6-53 46-84 40-31 101-31 68 0 108 36 39 36 39 94 0 59-40 95-40 35-107 35h-90v82h89q61 0 98 38 37 38 37 93 0 56-36 87-37 30-99 30-61 0-98-34-37-35-37-91h-90q0 62 28 108 28 46 79 72 50 25 118 25 105 0 167-48 62-48 62-137 0-50-21-89-22-40-61-62-15-8-32-13 21-6 39-15 42-24 66-67 23-44 23-103 0-63-29-111-30-49-84-77-55-28-129-28z'],
+        'И': [600, 'm210 0h-120v730h87v-410q0-36-1-76-2-41-4-77-2-37-4-62l222 625h120v-730h-87v410q0 37 2 78 1 40 4 77 2 36 4 60l-223-625z'],
+        'Й': [600, 'm210 0h-120v730h87v-410q0-36-1-76-2-41-4-77-2-37-4-62l222 625h120v-730h-87v410q0 37 2 78 1 40 4 77 2 36 4 60l-223-625zm90 805q-72 0-116 40-44 40-44 105h71q0-39 24-63 24-24 64-24 41 0 66 24 24 24 24 63h71q0-65-44-105-44-40-116-40z'],
+        'К': [600, 'm182 0h-90v730h90v-313h108l162 313h98l-181-351 191-379h-103l-170 338h-105v-338z'],
+        'Л': [600, 'm43-5h-23v84h18q44 0 64 40 19 39 20 135l8 476h376v-730h-90v648h-197l-7-394q-2-134-42-196-41-63-127-63z'],
+        'М': [600, 'm164 0h-88v730h118l76-236q11-32 20-63 9-32 13-49 5 17 13 49 8 31 18 64l72 235h118v-730h-88v265q0 44 3 100 3 56 8 115 5 58 11 112 5 53 9 93l-118-365h-95l-119 365q5-39 10-90 5-52 9-109 4-58 7-115 3-57 3-106v-265z'],
+        'Н': [600, 'm183 0h-90v730h90v-312h234v312h90v-730h-90v336h-234v-336z'],
+        'О': [600, 'm300-10q-66 0-113 25-48 25-73 73-26 47-26 112v330q0 66 26 113 25 47 73 72 47 25 113 25 66 0 114-25 47-25 73-72 25-47 25-112v-331q0-65-25-112-26-48-73-73-48-25-114-25zm0 81q59 0 91 34 31 33 31 95v330q0 62-31 96-32 33-91 33-58 0-90-33-32-34-32-96v-330q0-62 32-95 32-34 90-34z'],
+        'П': [600, 'm184 0h-90v730h412v-730h-90v648h-232v-648z'],
+        'Р': [600, 'm182 0h-90v730h235q68 0 118-26 50-27 78-75 27-48 27-114 0-65-27-113-28-49-78-75-50-27-118-27h-145v-300zm0 649v-268h145q59 0 95 37 35 36 35 97 0 62-35 98-36 36-95 36h-145z'],
+        'С': [600, 'm304-10q-66 0-114 25-49 25-75 73-27 47-27 112v330q0 66 27 113 26 47 75 72 48 25 114 25 66 0 114-25 48-26 74-73 26-47 26-112h-90q0 62-32 96-33 33-92 33-59 0-92-33-34-33-34-95v-331q0-62 34-95 33-34 92-34 59 0 92 34 32 33 32 95h90q0-64-26-111-26-48-74-73-48-26-114-26z'],
+        'Т': [600, 'm345 0h-90v649h-200v82h490v-82h-200v-649z'],
+        'У': [600, 'm287 0h-96l74 189-215 541h98l131-357q13-34 21-64 8-31 10-46 2 15 9 46 7 30 18 64l115 357h98l-263-730z'],
+        'Ф': [600, 'm342-25h-84v70q-61 0-107 26-46 26-71 73-26 46-26 109v234q0 65 25 113 25 47 71 74 46 26 108 26v70h84v-70q62 0 108-26 46-27 71-74 25-48 25-113v-234q0-63-25-109-26-47-71-73-46-26-108-26v-70zm-84 146v503q-37 0-64-16-27-17-41-47-15-31-15-74v-234q0-41 15-70 14-30 41-46 27-16 64-16zm84 503v-503q38 0 65 16 26 16 41 46 14 29 14 70v234q0 43-14 74-15 30-41 47-27 16-65 16z'],
+        'Х': [600, 'm140 0h-100l210 370-199 360h104l113-216q9-17 19-36 9-20 15-31 5 11 15 31 9 19 18 36l115 216h99l-199-354 210-376h-103l-125 232q-9 17-18 37-10 19-15 31-5-12-14-31-10-19-19-36l-126-233z'],
+        'Ц': [600, 'm565-140h-80v140h-391v730h90v-650h216v650h90v-650h75v-220z'],
+        'Ч': [600, 'm505 0h-90v281q-13-3-48-6-36-4-87-4-94 0-149 57-56 57-56 153v249h90v-249q0-59 36-94 35-36 94-36 48 0 79 4 31 3 41 6v369h90v-730z'],
+        'Ш': [600, 'm536 0h-470l-2 730h84v-662h117v662h72v-662h116v662h83v-730z'],
+        'Щ': [600, 'm575-140h-80v140h-431v730h81v-654h116v654h70v-654h116v654h81v-654h47v-216z'],
+        'Ъ': [600, 'm330 0h-195v648h-140v82h230v-300h105q66 0 116-27 49-27 77-75 27-48 27-113 0-64-27-112-28-49-77-76-50-27-116-27zm-105 348v-266h100q59 0 96 37 36 36 36 96 0 60-36 97-37 36-96 36h-100z'],
+        'Ы': [600, 'm190 0h-125v730h84v-300h41q91 0 144-51 52-51 52-139v-51q0-88-52-138-52-51-144-51zm-41 351v-272h41q53 0 82 30 28 29 28 81v50q0 53-28 82-29 29-82 29h-41zm386-351h-84v730h84v-730z'],
+        'Ь': [600, 'm330 0h-236v730h90v-300h146q66 0 116-27 49-27 77-75 27-48 27-113 0-64-27-112-28-49-77-76-50-27-116-27zm-146 348v-266h141q59 0 96 37 36 36 36 96 0 60-36 97-37 36-96 36h-141z'],
+        'Э': [600, 'm296-10q-65 0-113 26-48 25-73 73-26 47-26 111h90q0-62 32-96 32-34 90-34 59 0 92 34 32 34 32 96v127h-225v82h225v122q0 62-32 96-33 33-92 33-58 0-90-34-32-34-32-96h-90q0 65 26 112 25 47 73 73 48 25 113 25 67 0 115-25 47-25 73-72 26-47 26-113v-330q0-65-26-112-26-48-73-73-48-25-115-25z'],
+        'Ю': [600, 'm389-10q-77 0-122 51-45 51-45 139v155h-79v-335h-83v730h83v-315h79v135q0 89 45 140 44 50 122 50 80 0 126-51 45-51 45-139v-370q0-88-45-139-46-51-126-51zm0 78q43 0 66 29 22 29 22 83v370q0 54-22 83-23 29-66 29-43 0-65-29-23-29-23-83v-370q0-54 23-83 22-29 65-29z'],
+        'Я': [600, 'm160 0h-104l150 320q-66 20-104 73-38 53-38 127 0 63 27 110 27 47 76 74 49 26 114 26h224v-730h-90v310h-116l-139-310zm121 390h134v260h-134q-55 0-89-35-35-36-35-95 0-58 34-94 34-36 90-36z'],
+        'а': [600, 'm252-10q-87 0-137 45-50 44-50 120 0 77 50 121 50 44 135 44h170v55q0 51-30 79-31 27-87 27-49 0-82-20-33-21-38-56h-90q9 71 67 113 58 42 145 42 95 0 150-49 55-49 55-133v-378h-88v105h-1q-5-49-45-80-47-35-124-35zm22 71q64 0 105 32 41 32 41 82v78h-168q-45 0-71-25-26-25-26-68 0-46 32-72 31-27 87-27z'],
+        'б': [600, 'm300-10q-97 0-153 58-57 57-57 157v250q0 132 66 204 66 71 189 71h140v-90h-140q-81 0-123-47-42-48-42-138v-65h2q6 45 38 72 39 33 106 33 87 0 136-56 48-56 48-154v-80q0-67-25-115-25-48-72-74-47-26-113-26zm0 80q58 0 89 35 31 35 31 100v80q0 65-31 100-31 35-89 35-58 0-89-34-31-35-31-101v-80q0-65 31-100 31-35 89-35z'],
+        'в': [600, 'm335 0h-241v550h238q86 0 133-38 47-39 47-108 0-57-39-91-25-23-61-31 42-7 71-31 42-35 42-94 0-74-50-115-50-42-140-42zm-153 240v-161h153q48 0 75 21 26 21 26 59 0 39-26 60-27 21-75 21h-153zm0 231v-153h150q42 0 67 20 24 20 24 56 0 36-24 57-24 20-67 20h-150z'],
+        'г': [600, 'm220 0h-90v550h395v-82h-305v-468z'],
+        'д': [600, 'm110-140h-80v217h45q17 17 36 67 18 50 19 127l6 279h359v-473h70v-217h-80v140h-375v-140zm60 217h235v393h-184l-4-201q-1-79-17-128-16-49-30-64z'],
+        'е': [600, 'm300-10q-65 0-113 26-49 26-75 74-27 47-27 110v150q0 64 27 111 26 47 75 73 48 26 113 26 65 0 114-26 48-26 75-73 26-47 26-111v-97h-342v-53q0-65 33-99 33-35 94-35 52 0 84 19 32 18 39 55h90q-9-69-67-109-59-41-146-41zm-127 331h254v29q0 65-32 100-33 35-95 35-61 0-94-35-33-35-33-100v-29z'],
+        'ж': [600, 'm107 0h-89l120 282-112 268h87l96-240h53v240h76v-240h51l99 240h86l-112-265 120-285h-90l-100 250h-54v-250h-76v250h-54l-101-250z'],
+        'з': [600, 'm321-7h-47q-87 0-142 37-56 37-67 100h95q7-25 38-41 30-16 76-16h47q49 0 77 23 27 23 27 60 0 40-26 63-27 23-78 23h-121v78h118q46 0 70 22 24 22 24 58 0 25-10 42-11 17-32 26-21 9-51 9h-50q-40 0-69-18-29-18-35-44h-95q10 62 65 102 55 40 134 40h50q59 0 101-18 42-19 65-53 22-34 22-81 0-49-32-80-32-32-90-36v-4q71-5 103-38 32-33 32-95 0-73-54-116-54-43-145-43z'],
+        'и': [600, 'm209 0h-115v550h86v-300q0-29-1-61-2-32-4-60-3-29-6-49l222 470h115v-550h-86v300q0 29 2 61 1 32 4 62 3 29 5 48l-222-471z'],
+        'й': [600, 'm209 0h-115v550h86v-300q0-29-1-61-2-32-4-60-3-29-6-49l222 470h115v-550h-86v300q0 29 2 61 1 32 4 62 3 29 5 48l-222-471zm95 640q-72 0-116 40-44 40-44 105h71q0-39 24-63 24-24 64-24 41 0 66 24 24 24 24 63h71q0-65-44-105-44-40-116-40z'],
+        'к': [600, 'm187 0h-90v550h90v-227h94l160 227h103l-185-262 188-288h-105l-160 245h-95v-245z'],
+        'л': [600, 'm48-7h-23v84h18q46 0 65 36 18 36 19 129l6 308h373v-550h-90v468h-194l-5-230q-2-87-19-141-18-54-54-79-37-25-96-25z'],
+        'м': [600, 'm163 0h-87v550h122l72-211q11-32 20-63 9-32 13-49 4 17 13 49 8 31 18 64l68 210h122v-550h-87v85q0 45 1 98 1 53 3 107 1 54 3 103 2 48 3 85l-98-313h-95l-99 311q2-45 4-112 1-67 3-140 1-73 1-139v-85z'],
+        'н': [600, 'm184 0h-90v550h90v-229h232v229h90v-550h-90v239h-232v-239z'],
+        'о': [600, 'm300-8q-66 0-114 25-48 25-74 73-27 47-27 112v146q0 66 27 113 26 47 74 72 48 25 114 25 66 0 114-25 48-25 75-72 26-47 26-112v-147q0-65-26-112-27-48-75-73-48-25-114-25zm0 80q59 0 92 33 33 33 33 97v146q0 64-33 97-33 33-92 33-58 0-91-33-34-33-34-97v-146q0-64 34-97 33-33 91-33z'],
+        'п': [600, 'm184 0h-90v550h412v-550h-90v468h-232v-468z'],
+        'р': [600, 'm182-180h-90v730h90v-105h1q6 48 41 79 41 36 109 36 83 0 133-54 49-55 49-150v-161q0-63-22-109-23-46-63-71-41-25-97-25-67 0-109 37-35 31-41 78h-3l2-125v-160zm121 248q57 0 90 34 32 34 32 98v150q0 64-32 98-33 34-90 34-55 0-88-35-33-35-33-97v-150q0-62 33-97 33-35 88-35z'],
+        'с': [600, 'm302-10q-66 0-115 25-50 25-77 73-27 47-27 112v150q0 66 27 113 27 47 77 72 49 25 115 25 95 0 153-51 58-51 61-139h-90q-3 53-35 82-33 28-89 28-59 0-94-33-35-34-35-96v-151q0-62 35-96 35-34 94-34 56 0 89 29 32 29 35 81h90q-3-88-61-139-58-51-153-51z'],
+        'т': [600, 'm345 0h-90v471h-200v79h490v-79h-200v-471z'],
+        'у': [600, 'm274-180h-96l81 214-204 516h100l128-340q7-17 13-40 6-24 10-40 4 16 10 40 6 23 12 40l120 340h97l-271-730z'],
+        'ф': [600, 'm340-180h-80v180q-96 0-151 54-55 54-55 148v148q0 93 56 147 55 53 150 53v180h80v-180q96 0 151-53 55-54 55-147v-148q0-94-55-148-55-54-151-54v-180zm-78 251v408q-58 0-91-34-33-34-33-95v-148q0-61 33-96 33-35 91-35zm76 408v-408q59 0 92 35 32 35 32 96v148q0 61-32 95-33 34-92 34z'],
+        'х': [600, 'm155 0h-105l195 283-183 267h106l109-170q7-11 14-24l10-21q3 8 10 21 6 13 13 24l110 170h105l-183-268 194-282h-106l-118 180q-7 11-13 26-7 14-12 23-4-9-11-23-8-15-16-26l-119-180z'],
+        'ц': [600, 'm565-140h-80v140h-391v550h90v-470h216v470h90v-470h75v-220z'],
+        'ч': [600, 'm500 0h-90v200q-16-4-48-7-33-4-69-4-102-1-158 50-57 50-57 141v170h90v-170q0-51 35-80 34-30 95-30 42 0 72 4 29 3 40 6v270h90v-550z'],
+        'ш': [600, 'm536 0h-470l-2 550h84v-482h117v482h72v-482h116v482h83v-550z'],
+        'щ': [600, 'm575-140h-80v140h-431v550h81v-474h116v474h70v-474h116v474h81v-474h47v-216z'],
+        'ъ': [600, 'm350 0h-210v470h-140v80h230v-202h120q93 0 147-46 53-47 53-128 0-80-54-127-54-47-146-47zm-120 266v-184h120q52 0 80 24 27 23 27 68 0 45-27 69-28 23-80 23h-120z'],
+        'ы': [600, 'm194 0h-129v550h84v-202h45q89 0 141-46 51-47 51-128 0-81-51-127-52-47-141-47zm-45 276v-204h45q53 0 83 27 29 27 29 75 0 48-29 75-30 27-83 27h-45zm386-276h-84v550h84v-550z'],
+        'ь': [600, 'm350 0h-252v550h90v-202h162q93 0 147-46 53-47 53-128 0-80-54-127-54-47-146-47zm-162 266v-184h162q52 0 80 24 27 23 27 68 0 45-27 69-28 23-80 23h-162z'],
+        'э': [600, 'm296-10q-95 0-152 51-57 51-60 139h90q3-52 35-81 32-29 87-29 59 0 92 34 32 34 32 96v40h-195v80h195v31q0 62-32 96-33 33-92 33-55 0-87-28-32-29-35-82h-90q3 88 60 139 57 51 152 51 67 0 115-25 47-25 73-72 26-47 26-113v-150q0-65-26-112-26-48-73-73-48-25-115-25z'],
+        'ю': [600, 'm386-10q-69 0-111 47-42 47-42 123v83h-88v-243h-83v550h83v-235h88v75q0 77 42 124 41 46 111 46 74 0 119-46 45-47 45-124v-230q0-76-45-123-45-47-119-47zm0 70q38 0 60 27 21 26 21 73v230q0 47-21 74-22 26-60 26-37 0-58-26-21-27-21-74v-230q0-47 21-73 21-27 58-27z'],
+        'я': [600, 'm165 0h-105l141 212q-63 15-97 58-35 43-35 107 0 81 54 127 53 46 146 46h237v-550h-90v205h-121l-130-205zm104 285h147v185h-147q-50 0-79-24-29-25-29-69 0-43 29-67 29-25 79-25z'],
+        'ё': [600, 'm411 649q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17zm-222 0q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17zm111-659q-65 0-113 26-49 26-75 74-27 47-27 110v150q0 64 27 111 26 47 75 73 48 26 113 26 65 0 114-26 48-26 75-73 26-47 26-111v-97h-342v-53q0-65 33-99 33-35 94-35 52 0 84 19 32 18 39 55h90q-9-69-67-109-59-41-146-41zm-127 331h254v29q0 65-32 100-33 35-95 35-61 0-94-35-33-35-33-100v-29z'],
+        'ђ': [600, 'm287-180h-37v83h37q62 0 97 34 34 33 34 94v269q0 59-30 92-31 32-85 32-56 0-87-35-32-35-32-99v-290h-90v570h-94v75h94v85h90v-85h166v-75h-166v-185h1q5 50 37 80 38 35 107 35 83 0 131-51 48-51 48-139v-279q0-97-60-154-60-57-161-57z'],
+        'ѓ': [600, 'm220 0h-90v550h395v-82h-305v-468zm144 645h-92l106 140h97l-111-140z'],
+        'є': [600, 'm304-10q-66 0-114 25-48 25-74 73-26 47-26 112v150q0 66 26 113 26 47 74 72 48 25 114 25 95 0 152-51 57-51 60-139h-90q-3 53-34 82-32 28-88 28-59 0-91-33-33-34-33-96v-31h195v-80h-195v-40q0-62 33-96 32-34 91-34 56 0 88 29 31 29 34 81h90q-3-88-60-139-57-51-152-51z'],
+        'ѕ': [600, 'm325-8h-42q-56 0-97 18-42 17-66 49-25 32-30 76h90q6-29 33-46 26-17 70-17h42q53 0 79 22 26 21 26 57 0 35-23 56-24 20-70 27l-74 12q-81 14-120 51-40 36-40 106 0 74 47 115 47 40 141 40h38q79 0 127-37 48-37 58-100h-90q-6 26-30 42-24 15-65 15h-38q-51 0-74-19-24-19-24-57 0-34 20-50 20-16 63-23l74-12q89-14 130-52 40-38 40-110 0-76-48-119-49-44-147-44z'],
+        'і': [600, 'm555 0h-470v82h195v386h-170v82h260v-468h185v-82zm-240 649q-33 0-52 17-19 17-19 46 0 30 19 48 19 17 52 17 33 0 52-17 19-18 19-48 0-29-19-46-19-17-52-17z'],
+        'ї': [600, 'm555 0h-470v82h195v386h-170v82h260v-468h185v-82zm-129 649q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17zm-222 0q-29 0-46 17-18 17-18 46 0 30 18 48 17 17 46 17 29 0 47-17 17-18 17-48 0-29-17-46-18-17-47-17z'],
+        'ј': [600, 'm214-180h-129v83h129q62 0 97 34 34 33 34 94v437h-230v82h320v-519q0-97-60-154-60-57-161-57zm171 829q-33 0-52 17-19 17-19 46 0 30 19 48 19 17 52 17 33 0 52-17 19-18 19-48 0-29-19-46-19-17-52-17z'],
+        'љ': [600, 'm20-5h-15v85h18q25 0 40 31 15 31 16 83l4 356h282v-200h60q72 0 116-42 44-43 44-112v-42q0-69-44-111-44-43-116-43h-140v473h-123l-3-279q-1-91-37-145-37-54-102-54zm345 281v-202h60q36 0 58 22 22 22 22 58v42q0 36-22 58-22 22-58 22h-60z'],
+        'њ': [600, 'm147 0h-83v550h83v-200h137v200h73v-200h61q72 0 116-42 44-43 44-113v-40q0-70-44-112-44-43-116-43h-134v275h-137v-275zm210 275v-200h61q36 0 57 22 20 22 20 58v40q0 36-20 58-21 22-57 22h-61z'],
+        'ћ': [600, 'm92 570h-92v75h92v85h90v-85h168v-75h-168v-185h1q7 55 45 85 38 30 101 30 83 0 132-51 49-51 49-139v-310h-90v300q0 59-31 92-32 32-86 32-56 0-88-35-33-35-33-99v-290h-90v570z'],
+        'ќ': [600, 'm187 0h-90v550h90v-227h94l160 227h103l-185-262 188-288h-105l-160 245h-95v-245zm147 645h-92l106 140h97l-111-140z'],
+        'ў': [600, 'm304 640q-72 0-116 40-44 40-44 105h71q0-39 24-63 24-24 64-24 41 0 66 24 24 24 24 63h71q0-65-44-105-44-40-116-40zm-30-820h-96l81 214-204 516h100l128-340q7-17 13-40 6-24 10-40 4 16 10 40 6 23 12 40l120 340h97l-271-730z'],
+        'џ': [600, 'm345-125h-90v125h-161v550h90v-468h232v468h90v-550h-161v-125z'],
+        'Ґ': [600, 'm200 0h-90v730h340v95h85v-177h-335v-648z'],
+        'ґ': [600, 'm220 0h-90v550h310v105h85v-187h-305v-468z'],
+        'ʼ': [600, 'm245 465h-80l80 311h130l-130-311z'],
+        '–': [600, 'm520 290h-440v80h440v-80z'],
+        '—': [600, 'm600 290h-600v80h600v-80z'],
+        '‘': [600, 'm360 775h80l-80-311h-130l130 311z'],
+        '’': [600, 'm240 465h-80l80 311h130l-130-311z'],
+        '‚': [600, 'm245-160h-80l80 311h130l-130-311z'],
+        '“': [600, 'm435 465h-130l130 311h80l-80-311zm-230 0h-130l130 311h80l-80-311z'],
+        '”': [600, 'm395 465h-80l80 311h130l-130-311zm-230 0h-80l80 311h130l-130-311z'],
+        '„': [600, 'm395-160h-80l80 311h130l-130-311zm-230 0h-80l80 311h130l-130-311z'],
+        '•': [600, 'm300 245q-52 0-86 34-34 34-34 86 0 53 34 87 34 33 86 33 53 0 87-33 33-34 33-87 0-52-33-86-34-34-87-34z'],
+        '…': [600, 'm490-10q-22 0-36 15-14 15-14 40v70q0 25 14 40 14 15 36 15 23 0 37-15 13-15 13-40v-70q0-25-13-40-14-15-37-15zm-380 0q-22 0-36 15-14 15-14 40v70q0 25 14 40 14 15 36 15 23 0 37-15 13-15 13-40v-70q0-25-13-40-14-15-37-15zm190 0q-22 0-36 15-14 15-14 40v70q0 25 14 40 14 15 36 15 23 0 37-15 13-15 13-40v-70q0-25-13-40-14-15-37-15z'],
+        '№': [600, 'm100 0h-70v730h95l117-453q6-21 14-55 8-34 17-71 8-37 14-66-2 22-4 49-2 27-4 56-2 29-3 55-1 26-1 45v440h70v-730h-95l-114 454q-5 23-13 57-9 34-17 71-9 36-16 64 2-21 4-48 1-27 3-55 1-29 2-55 1-27 1-48v-440zm395 300q-40 0-67 29-28 29-28 76v230q0 47 28 76 27 29 67 29 41 0 68-29 27-29 27-76v-230q0-47-27-76-27-29-68-29zm0 55q14 0 25 9 10 9 10 31v250q0 18-10 29-11 11-25 11-13 0-24-11-11-11-11-29v-250q0-22 11-31 11-9 24-9z'],
+        '€': [600, 'm320-10q-67 0-116 27-50 26-77 75-27 48-27 113v40h-81v65h81v100h-81v65h81v40q0 66 27 114 27 48 77 75 49 26 116 26 62 0 109-23 47-24 76-67 28-44 35-105h-90q-6 54-40 85-35 30-90 30-60 0-95-36-35-36-35-99v-40h165v-65h-165v-100h165v-65h-165v-40q0-63 35-99 34-36 95-36 55 0 90 31 34 30 40 84h90q-7-61-35-104-29-44-76-67-47-24-109-24z'],
+        '™': [600, 'm175 370h-60v310h-100v50h260v-50h-100v-310zm190 0h-55v360h80l34-102q5-14 10-35 4-22 6-36 2 14 6 36 3 21 8 35l33 102h78v-360h-55v221q0 19 1 40 1 20 3 39 2 18 3 30-6-20-13-45-7-26-10-35l-30-103h-51l-33 104q-3 9-10 34-7 25-13 45 2-12 4-30 1-19 3-39 1-21 1-40v-221z']
+      })
+    }),
+    bold: Object.freeze({
+      name: 'JetBrainsMono-Bold',
+      glyphs: Object.freeze({
+        '0': [600, 'm300-10q-71 0-123 27-52 27-80 76-29 49-29 115v314q0 66 29 115 28 49 80 76 52 27 123 27 72 0 124-27 51-27 80-76 28-49 28-115v-314q0-66-28-115-29-49-81-76-52-27-123-27zm0 108q52 0 83 30 31 30 31 80v314q0 50-31 80-31 30-83 30-52 0-83-30-31-30-31-80v-314q0-50 31-80 31-30 83-30zm0 202q-29 0-47 19-19 19-19 49 0 30 18 48 18 18 48 18 30 0 48-18 18-18 18-48 0-30-18-49-18-19-48-19z'],
+        '1': [600, 'm552 0h-468v110h190v509l-191-142v132l168 121h148v-620h153v-110z'],
+        '2': [600, 'm535 0h-456v121l228 229q48 49 71 89 23 39 23 81 0 51-28 80-28 28-76 28-53 0-83-30-30-31-30-85h-125q1 70 31 121 29 50 83 78 54 28 126 28 69 0 120-26 51-26 79-73 28-47 28-112 0-67-34-130-35-64-111-137l-152-149h306v-113z'],
+        '3': [600, 'm293-10q-71 0-123 26-53 26-82 73-29 47-29 111h126q0-49 29-76 28-28 80-28 52 0 80 28 28 28 28 76v57q0 49-28 77-28 27-80 27h-82v113l161 149h-281v107h408v-113l-165-151q80-9 130-55 63-57 63-154v-57q0-64-29-111-29-47-82-73-53-26-124-26z'],
+        '4': [600, 'm515 0h-125v145h-325v181l281 404h140l-301-437v-38h205v165h125v-420z'],
+        '5': [600, 'm299-10q-101 0-162 51-61 50-67 137h125q4-38 31-58 26-21 73-21 52 0 79 28 27 27 27 76v71q0 50-27 77-27 26-79 26-32 0-55-13-23-13-35-36h-122l5 402h411v-113h-293l-2-212h2q8 29 34 48 36 26 98 26 89 1 139-53 49-55 49-152v-71q0-99-61-156-62-57-170-57z'],
+        '6': [600, 'm300-10q-73 0-128 31-56 30-86 86-31 55-31 128 0 52 18 109 17 57 48 107l172 279h139l-216-340 6-4q20 31 54 47 34 16 76 16 59 0 102-28 43-28 67-78 24-50 24-117 0-71-30-124-31-53-85-82-55-30-130-30zm0 106q55 0 89 36 34 35 34 92 0 59-34 95-34 35-89 35-55 0-89-35-34-36-34-95 0-57 34-92 34-36 89-36z'],
+        '7': [600, 'm289 0h-134l264 614h-234v-106h-125v222h484v-118l-255-612z'],
+        '8': [600, 'm300-10q-72 0-125 25-53 24-82 69-29 45-29 105 0 66 37 113 34 43 97 74-56 29-86 68-36 44-36 106 0 56 27 99 27 43 78 67 50 24 119 24 69 0 119-24 49-24 77-67 27-43 27-99 0-63-35-107-30-38-85-67 67-33 98-75 35-48 35-112 0-92-63-145-64-54-173-54zm0 107q52 0 83 28 30 27 30 72 0 35-21 67-21 31-58 48l-34 16-35-17q-36-16-57-47-21-31-21-66 0-45 31-73 30-28 82-28zm-24 337l24-11 23 10q36 17 57 46 20 29 20 65 0 41-27 66-27 24-73 24-46 0-73-25-28-25-28-66 0-35 21-64 21-29 56-45z'],
+        '9': [600, 'm307 0h-139l216 340-6 4q-20-31-54-47-34-16-76-16-58 0-101 28-44 28-68 78-24 50-24 117 0 72 31 125 30 52 85 82 55 29 128 29 75 0 130-30 55-31 86-86 30-55 30-129 0-51-17-108-17-58-49-108l-172-279zm-7 376q55 0 89 36 34 35 34 94 0 57-34 93-34 35-89 35-55 0-89-35-34-36-34-93 0-59 34-94 34-36 89-36z'],
+        ' ': [600, ''],
+        '!': [600, 'm346 233h-92l-22 359v138h136v-138l-22-359zm-32-238h-29q-31 0-50 19-19 18-19 47 0 29 19 48 19 18 50 18h30q32 0 51-18 18-18 18-48 0-29-19-47-19-19-51-19z'],
+        '"': [600, 'm461 430h-101l-13 169v131h126v-131l-12-169zm-220 0h-101l-13 169v131h126v-131l-12-169z'],
+        '#': [600, 'm166 0h-91l33 182h-82v86h97l34 194h-99v86h114l32 182h91l-33-182h140l32 182h91l-33-182h82v-86h-97l-34-194h99v-86h-114l-32-182h-91l33 182h-140l-32-182zm81 462l-34-194h140l34 194h-140z'],
+        '$': [600, 'm331-140h-62v132q-98 8-154 63-57 54-58 141h125q0-37 23-61 23-25 64-33v212l-18 5q-86 22-132 79-47 57-47 138 0 85 53 140 53 54 144 62v132h62v-131q92-8 146-61 54-54 55-139h-125q0 36-19 59-20 23-57 30v-202l33-9q87-22 133-78 46-57 46-140 0-87-57-143-58-57-155-65v-131zm0 435v-194q41 6 64 31 23 24 23 62 0 44-31 73-22 21-56 28zm-62 149v184q-35-7-53-28-19-22-19-57 0-45 31-74 16-17 41-25z'],
+        '%': [600, 'm87 0h-90l516 730h90l-516-730zm355-5q-64 0-104 37-41 36-41 98v65q0 62 41 99 40 36 104 36 64 0 105-36 41-37 41-99v-65q0-62-41-98-41-37-105-37zm0 78q57 0 57 57v65q0 58-57 58-57 0-57-58v-65q0-57 57-57zm-284 327q-63 0-104 36-42 36-42 99v65q0 63 42 99 41 36 104 36 63 0 104-36 41-36 41-99v-65q0-63-41-99-41-36-104-36zm0 77q57 0 57 58v65q0 58-57 58-28 0-42-14-15-14-15-44v-65q0-30 15-44 14-14 42-14z'],
+        '&': [600, 'm233-10q-90 0-140 50-50 50-50 138v93q0 67 34 110 25 33 68 47-21 32-33 63-17 41-17 81 0 50 24 88 24 37 67 59 43 21 101 21 60 0 105-23 44-23 69-63 24-41 24-96h-116q0 24-10 42-10 18-28 28-19 9-44 9-24 0-42-9-18-9-27-26-10-17-10-40 0-24 13-53 12-29 34-59l138-195 55 105h121l-107-203 112-157h-125l-47 66q-70-76-169-76zm10 103q29 0 54 16 25 16 43 44l-137 192q-21-8-31-26-10-19-10-48v-93q0-40 22-62 21-23 59-23z'],
+        '\'': [600, 'm349 430h-102l-13 144v156h127v-156l-12-144z'],
+        '(': [600, 'm485 6v-126q-152 40-235 142-83 101-83 247v181q0 96 39 175 38 78 110 134 71 55 169 81v-123q-59-14-102-51-44-37-67-92-23-55-23-124v-181q0-67 23-121 23-55 67-91 43-37 102-51z'],
+        ')': [600, 'm115-120v126q60 14 103 51 43 36 66 91 23 54 23 121v181q0 69-23 124-23 55-66 92-43 37-103 51v123q99-26 170-81 71-56 110-134 38-79 38-175v-181q0-146-83-247-83-102-235-142z'],
+        '*': [600, 'm231 146l-41-59-92 64 41 59q15 22 38 43 22 21 45 39 22 18 38 30l-2 6q-21 0-49 2-29 2-58 8-30 5-54 13l-67 24 39 106 66-24q24-8 50-24 26-16 50-33 23-17 39-31l5 4q-6 21-14 49-9 28-15 59-6 31-6 57v72h112v-72q0-26-6-57-6-31-14-59-8-28-16-49l5-3q16 14 40 31 23 16 49 32 26 16 50 24l67 24 39-106-68-24q-23-8-52-13-30-6-58-8-28-2-50-2l-2-6q16-12 39-30 22-19 45-40 22-21 36-42l41-59-92-64-41 59q-15 21-27 50-13 28-22 56-10 28-16 47h-6q-6-19-15-47-10-28-22-56-13-29-29-50z'],
+        '+': [600, 'm362 92h-124v180h-179v116h179v180h124v-180h179v-116h-179v-180z'],
+        ',': [600, 'm260-160h-110l80 311h160l-130-311z'],
+        '-': [600, 'm460 272h-320v116h320v-116z'],
+        '.': [600, 'm300-10q-43 0-68 25-26 25-26 68 0 43 26 69 25 25 68 25 43 0 69-25 25-26 25-69 0-43-25-68-26-25-69-25z'],
+        '/': [600, 'm190-110h-130l350 940h130l-350-940z'],
+        ':': [600, 'm300 392q-42 0-67 24-26 23-26 60 0 38 26 61 25 23 67 23 42 0 68-23 25-23 25-61 0-37-25-60-26-24-68-24zm0-402q-42 0-67 23-26 23-26 61 0 38 26 61 25 23 67 23 42 0 68-23 25-23 25-61 0-38-25-61-26-23-68-23z'],
+        ';': [600, 'm265-160h-110l80 311h160l-130-311zm45 552h-20q-37 0-60 24-24 24-24 60 0 36 24 60 24 24 60 24h20q36 0 60-24 24-24 24-60 0-36-23-60-24-24-61-24z'],
+        '<': [600, 'm524 173v-117l-448 211v125l448 211v-115l-290-134q-20-9-39-15-20-7-31-9 11-2 31-8 20-6 39-15l290-134z'],
+        '=': [600, 'm518 395h-436v115h436v-115zm0-245h-436v115h436v-115z'],
+        '>': [600, 'm524 267l-448-211v115l290 134q20 9 40 16 19 6 30 8-11 2-31 8-20 5-39 14l-290 135v117l448-211v-125z'],
+        '?': [600, 'm304 217h-111l-2 200h79q50 0 80 27 30 27 30 71 0 45-30 72-30 26-81 26h-149v117h143q74 0 128-26 54-27 84-75 30-48 30-114 0-61-25-107-26-46-71-73-45-27-105-28v-90zm-41-222h-29q-31 0-50 19-19 18-19 47 0 29 19 48 19 18 50 18h30q31 0 50-18 18-18 18-48 0-29-19-47-19-19-50-19z'],
+        '@': [600, 'm395-179h-70q-90 0-155 35-65 35-101 100-36 65-36 155v339q0 90 34 155 34 65 97 100 63 35 151 35 80 0 138-30 57-31 88-85 31-55 31-127v-433h-95l6 55h-19q-6-23-25-39-30-26-79-26-63 0-97 42-35 42-35 119v114q0 77 35 119 34 42 97 42 49 0 79-25 21-19 27-46h18l-16 68v10q0 45-18 79-18 34-52 54-34 19-83 19-85 0-131-52-47-53-47-148v-339q0-93 50-144 49-51 138-51h70v-95zm5 310q36 0 52 21 16 21 16 68v110q0 42-17 64-17 21-51 21-34 0-51-21-17-22-17-64v-114q0-45 17-65 17-20 51-20z'],
+        'A': [600, 'm163 0h-128l184 730h161l185-730h-128l-40 177h-194l-40-177zm107 476l-44-197h148l-44 196q-11 49-19 89-8 39-11 57-3-18-10-57-8-40-20-88z'],
+        'B': [600, 'm312 0h-235v730h224q106 0 168-50 62-51 62-138 0-49-22-85-22-36-59-56-25-13-54-18 33-4 62-17 41-21 66-61 24-40 24-97 0-63-29-110-29-47-81-72-53-26-126-26zm-113 328v-224h105q55 0 87 30 31 29 31 80 0 51-31 83-32 31-87 31h-105zm0 298v-197h100q50 0 79 27 28 26 28 72 0 46-28 72-29 26-79 26h-100z'],
+        'C': [600, 'm304-10q-70 0-122 27-53 26-81 75-29 48-29 114v318q0 67 29 115 28 48 81 75 52 26 122 26 71 0 123-26 51-27 80-75 29-48 29-115h-126q0 52-27 79-28 27-79 27-51 0-79-27-28-27-28-78v-319q0-51 28-78 28-28 79-28 51 0 79 28 27 27 27 78h126q0-65-29-114-29-49-80-75-52-27-123-27z'],
+        'D': [600, 'm292 0h-217v730h217q74 0 129-28 54-28 84-79 30-51 30-121v-273q0-69-30-120-30-52-84-80-55-29-129-29zm-92 615v-500h92q54 0 86 31 32 30 32 83v273q0 52-32 83-32 30-86 30h-92z'],
+        'E': [600, 'm526 0h-438v730h438v-109h-315v-190h280v-108h-280v-214h315v-109z'],
+        'F': [600, 'm205 0h-125v730h454v-116h-331v-195h305v-116h-303v-303z'],
+        'G': [600, 'm304-10q-70 0-122 27-53 26-81 75-29 48-29 114v318q0 67 29 115 28 48 81 75 52 26 122 26 71 0 123-26 51-27 80-75 29-48 29-115h-126q0 52-27 79-28 27-79 27-51 0-79-27-28-27-28-78v-319q0-51 28-79 28-28 79-28 51 0 79 28 27 28 27 79v74h-124v108h250v-182q0-66-29-114-29-49-80-75-52-27-123-27z'],
+        'H': [600, 'm202 0h-125v730h125v-293h196v293h125v-730h-125v321h-196v-321z'],
+        'I': [600, 'm510 0h-420v110h147v510h-147v110h420v-110h-147v-510h147v-110z'],
+        'J': [600, 'm270-11q-111 0-175 62-65 61-65 165h125q0-55 31-86 31-31 84-31 53 0 84 31 31 30 31 85v399h-170v116h295v-515q0-105-64-165-65-61-176-61z'],
+        'K': [600, 'm201 0h-125v730h125v-295h87l137 295h136l-163-350 171-380h-139l-144 321h-85v-321z'],
+        'L': [600, 'm538 0h-435v730h125v-614h310v-116z'],
+        'M': [600, 'm173 0h-117v730h148l71-232q11-35 18-64 7-29 9-42 2 13 9 42 7 29 17 64l68 232h148v-730h-117v227q0 50 3 109 3 59 7 118 4 59 10 112 5 53 9 93l-98-345h-114l-101 345q5-38 10-89 5-52 10-110 4-59 7-119 3-60 3-114v-227z'],
+        'N': [600, 'm186 0h-114v730h153l203-590q-3 32-6 76-4 43-6 89-2 45-2 79v346h114v-730h-153l-201 590q2-29 5-70 3-41 5-84 2-43 2-79v-357z'],
+        'O': [600, 'm300-10q-70 0-121 27-52 26-79 75-28 48-28 114v318q0 66 28 115 27 48 79 75 51 26 121 26 71 0 122-26 51-27 79-75 27-49 27-114v-319q0-66-27-114-28-49-79-75-51-27-122-27zm0 110q51 0 77 28 26 27 26 78v318q0 52-26 79-26 27-77 27-51 0-77-27-26-27-26-79v-318q0-51 27-78 26-28 76-28z'],
+        'P': [600, 'm202 0h-125v730h243q73 0 128-28 54-28 84-78 30-51 30-119 0-67-30-118-31-51-85-79-54-28-127-28h-118v-280zm0 617v-224h118q52 0 84 31 31 30 31 81 0 52-31 82-32 30-84 30h-118z'],
+        'Q': [600, 'm544-180h-135l-103 170q-3 0-6 0-70 0-122 27-52 27-81 77-29 49-29 114v314q0 67 29 116 29 48 81 75 52 27 122 27 70 0 122-27 52-27 81-76 29-49 29-115v-314q0-66-28-115-29-50-81-76l121-197zm-244 280q52 0 80 29 27 28 27 79v314q0 52-28 81-29 28-79 28-50 0-78-28-29-29-29-81v-314q0-51 28-79 28-29 79-29z'],
+        'R': [600, 'm201 0h-125v730h231q73 0 127-27 53-27 83-75 30-49 30-115 0-72-36-127-37-55-99-78l145-308h-140l-127 290h-89v-290zm0 620v-220h106q53 0 83 29 30 29 30 80 0 52-30 82-30 29-83 29h-106z'],
+        'S': [600, 'm302-10q-75 0-130 25-55 25-84 72-30 46-31 109h125q0-45 33-70 32-26 88-26 54 0 85 25 30 25 30 69 0 37-21 65-22 27-62 37l-84 23q-86 22-132 79-47 57-47 138 0 62 28 108 28 46 80 71 51 25 121 25 106 0 168-54 62-55 63-147h-125q0 43-28 68-28 24-79 24-49 0-76-23-27-23-27-65 0-38 21-64 20-27 59-38l87-24q87-22 133-78 46-57 46-140 0-62-30-109-30-48-84-74-54-26-127-26z'],
+        'T': [600, 'm363 0h-126v614h-191v116h508v-116h-191v-614z'],
+        'U': [600, 'm300-10q-107 0-167 59-61 58-61 159v522h126v-521q0-52 26-81 26-29 76-29 49 0 76 29 26 29 26 81v521h126v-522q0-101-60-159-60-59-168-59z'],
+        'V': [600, 'm381 0h-162l-184 730h130l110-476q9-35 17-75 8-40 12-65 4 25 11 65 7 40 15 76l109 475h126l-184-730z'],
+        'W': [600, 'm230 0h-139l-75 730h108l44-510q2-17 4-41 1-25 3-50 1-25 1-44 2 19 4 44 2 25 5 50 2 24 4 41l60 510h105l56-510q3-17 6-41 2-25 5-50 3-25 5-44 1 19 2 44 1 25 3 50 1 24 3 41l43 510h107l-79-730h-138l-54 512q-2 19-4 45-3 25-5 51-2 25-3 43-1-18-3-43-3-26-5-51-2-26-4-45l-59-512z'],
+        'X': [600, 'm164 0h-136l202 374-190 356h140l92-183q10-20 18-38 8-19 12-29 3 10 11 29 8 18 18 38l93 183h136l-190-353 202-377h-140l-103 202q-10 20-18 39-9 19-13 30-4-11-12-30-8-19-18-39l-104-202z'],
+        'Y': [600, 'm363 0h-126v265l-214 465h131l114-253q13-30 22-59 9-29 12-45 4 16 13 45 8 29 21 59l111 253h130l-214-465v-265z'],
+        'Z': [600, 'm521 0h-442v119l293 495h-286v116h424v-119l-294-495h305v-116z'],
+        '[': [600, 'm465-110h-280v940h280v-115h-155v-710h155v-115z'],
+        '\\': [600, 'm539-110h-130l-349 940h130l349-940z'],
+        ']': [600, 'm415-110h-280v115h155v710h-155v115h280v-940z'],
+        '^': [600, 'm184 340h-116l173 390h120l171-390h-117l-92 230q-8 22-13 41-6 19-8 29-2-10-8-29-7-19-15-41l-95-230z'],
+        '_': [600, 'm540-138h-480v113h480v-113z'],
+        '`': [600, 'm408 645h-129l-116 140h138l107-140z'],
+        'a': [600, 'm239-10q-85 0-134 45-49 45-49 121 0 81 54 125 54 44 153 44h137v47q0 40-26 63-26 22-71 22-41 0-68-18-27-18-32-49h-122q9 78 70 124 61 46 156 46 101 0 160-50 58-51 58-137v-373h-121v96h-2q-8-42-43-70-45-36-120-36zm41 94q53 0 87 27 33 27 33 70v67h-135q-38 0-61-22-23-22-23-58 0-39 27-61 26-23 72-23z'],
+        'b': [600, 'm347-10q-68 0-108 39-31 29-38 76h-2v-105h-122v730h125v-154l-4-131h3q7 47 38 77 40 38 108 38 83 0 133-57 50-57 50-154v-149q0-96-50-153-50-57-133-57zm-44 108q48 0 75 28 27 28 27 80v138q0 52-27 80-27 28-75 28-47 0-74-28-27-29-27-80v-138q0-51 27-79 27-29 74-29z'],
+        'c': [600, 'm303-10q-70 0-122 27-53 26-82 75-29 48-29 114v138q0 67 29 115 29 48 82 75 52 26 122 26 104 0 166-53 62-54 65-146h-125q-3 43-30 67-28 23-76 23-50 0-79-27-29-28-29-79v-139q0-51 29-79 29-28 79-28 48 0 76 24 27 23 30 66h125q-3-92-65-145-62-54-166-54z'],
+        'd': [600, 'm253-10q-82 0-132 57-51 57-51 153v149q0 97 50 154 50 57 133 57 68 0 108-38 31-30 38-77h3l-4 131v154h125v-730h-122v105h-2q-7-47-38-76-40-39-108-39zm44 108q48 0 75 29 26 28 26 79v138q0 51-26 80-27 28-75 28-48 0-75-28-27-28-27-80v-138q0-52 27-80 27-28 75-28z'],
+        'e': [600, 'm301-10q-70 0-122 27-52 27-80 76-29 48-29 113v138q0 65 29 114 28 48 80 75 52 27 122 27 69 0 121-27 51-27 80-75 28-49 28-114v-99h-339v-39q0-58 28-87 28-30 83-30 42 0 68 15 26 14 33 42h123q-14-71-75-113-62-43-150-43zm-110 333l218 2v20q0 57-27 88-27 30-81 30-54 0-82-31-28-31-28-88v-21z'],
+        'f': [600, 'm330 0h-125v376h-151v113h151v83q0 72 48 115 48 43 127 43h161v-110h-158q-24 0-38-13-15-14-15-37v-81h211v-113h-211v-376z'],
+        'g': [600, 'm317-180h-165v104h163q42 0 63 21 21 20 21 58v41l2 103h-2q-6-48-37-77-40-38-107-38-84 0-133 57-50 57-50 154v107q0 96 50 153 49 57 133 57 67 0 107-37 31-30 37-78h2l-3 105h125v-550q0-83-55-131-55-49-151-49zm-20 320q48 0 75 29 26 28 26 79v96q0 51-26 80-27 28-75 28-48 0-74-28-26-28-26-80v-96q0-52 26-80 26-28 74-28z'],
+        'h': [600, 'm202 0h-125v730h125v-180l-3-105h2q7 48 38 77 39 38 108 38 81 0 130-54 48-54 48-145v-361h-125v348q0 50-26 77-26 27-73 27-46 0-72-28-27-28-27-80v-344z'],
+        'i': [600, 'm558 0h-482v114h192v323h-167v113h287v-436h170v-114zm-240 642q-38 0-60 20-22 19-22 52 0 33 22 53 22 19 60 19 38 0 60-19 22-20 22-53 0-33-22-52-22-20-60-20z'],
+        'j': [600, 'm236-180h-154v116h147q50 0 77 27 27 27 27 76v395h-221v116h346v-514q0-100-60-158-60-58-162-58zm155 822q-38 0-60 20-22 19-22 52 0 33 22 53 22 19 60 19 38 0 60-19 22-20 22-53 0-33-22-52-22-20-60-20z'],
+        'k': [600, 'm205 0h-125v730h125v-396h87l134 216h140l-166-266 169-284h-143l-134 228h-87v-228z'],
+        'l': [600, 'm559 0h-175q-54 0-94 22-41 22-64 63-23 40-23 93v439h-176v113h301v-552q0-30 18-47 17-18 47-18h166v-113z'],
+        'm': [600, 'm162 0h-110v550h102v-74h5q4 34 25 56 26 28 67 28 44 0 69-36 13-20 19-48h5q4 34 25 56 26 28 69 28 51 0 81-38 30-38 30-103v-419h-110v414q0 27-12 43-12 15-35 15-22 0-34-15-13-15-13-43v-414h-90v414q0 28-12 43-12 15-35 15-23 0-34-15-12-15-12-43v-414z'],
+        'n': [600, 'm202 0h-125v550h122v-105h2q7 48 38 77 39 38 108 38 81 0 130-54 48-54 48-145v-361h-125v348q0 50-26 77-26 27-73 27-46 0-72-28-27-28-27-80v-344z'],
+        'o': [600, 'm300-9q-70 0-121 27-52 26-80 75-29 48-29 114v136q0 66 29 115 28 48 80 75 51 26 121 26 71 0 122-26 51-27 80-75 28-49 28-114v-137q0-66-28-114-29-49-80-75-51-27-122-27zm0 109q50 0 78 28 27 27 27 79v136q0 53-27 80-28 27-78 27-49 0-77-27-28-27-28-80v-136q0-52 28-79 28-28 77-28z'],
+        'p': [600, 'm202-180h-125v730h122v-105h2q7 47 38 77 40 38 108 38 83 0 133-57 50-57 50-153v-149q0-64-22-111-23-48-64-74-41-26-97-26-68 0-108 39-31 29-38 76h-3l4-131v-154zm101 278q48 0 75 28 27 28 27 80v138q0 52-27 80-27 28-75 28-47 0-74-28-27-29-27-80v-138q0-51 27-79 27-29 74-29z'],
+        'q': [600, 'm523-180h-125v154l4 131h-4q-7-47-37-76-40-39-108-39-83 0-132 57-49 57-49 154v149q0 96 50 153 49 57 131 57 68 0 108-38 30-30 37-77h3v105h122v-730zm-226 278q48 0 75 29 26 28 26 79v138q0 51-26 80-27 28-75 28-48 0-74-28-26-28-26-80v-138q0-52 26-80 26-28 74-28z'],
+        'r': [600, 'm219 0h-125v550h118v-105q10 43 34 70 40 45 118 45 89 0 140-55 51-55 51-152v-40h-131v31q0 53-27 82-28 29-76 29-49 0-75-29-27-29-27-82v-344z'],
+        's': [600, 'm323-9h-44q-63 0-110 20-47 20-73 56-27 35-29 83h125q2-26 26-42 23-16 61-16h44q46 0 69 18 23 18 23 49 0 29-20 46-21 16-64 21l-68 10q-94 13-138 50-44 37-44 111 0 77 52 120 52 42 153 42h38q92 0 147-41 55-41 59-110h-125q-3 22-24 36-22 14-57 14h-38q-43 0-62-15-20-16-20-46 0-28 17-41 17-14 55-20l71-10q98-14 145-52 46-39 46-114 0-80-54-124-55-45-161-45z'],
+        't': [600, 'm519 0h-159q-79 0-123 44-45 44-45 121v272h-149v113h149v155h126v-155h211v-113h-211v-272q0-52 51-52h150v-113z'],
+        'u': [600, 'm300-10q-105 0-165 59-60 58-60 159v342h125v-341q0-53 26-81 26-29 74-29 47 0 74 29 26 28 26 81v341h125v-342q0-101-61-159-61-59-164-59z'],
+        'v': [600, 'm381 0h-161l-181 550h128l105-334q9-30 18-62 8-32 12-51 5 19 13 51 8 32 16 61l103 335h127l-180-550z'],
+        'w': [600, 'm233 0h-129l-84 550h104l46-337q4-29 8-64 3-35 5-58 3 23 8 58 5 35 9 64l52 337h97l51-337q4-29 9-64 5-36 8-59 2 24 7 60 4 35 7 63l49 337h100l-86-550h-129l-48 339q-4 28-9 63-5 34-8 56-3-22-7-56-5-35-10-63l-50-339z'],
+        'x': [600, 'm177 0h-141l192 284-179 266h141l85-135q8-12 15-27 6-15 10-24 4 9 11 24 7 15 14 27l86 135h141l-179-266 191-284h-142l-95 151q-8 13-15 28-7 15-12 24-4-9-11-24-7-15-15-28l-97-151z'],
+        'y': [600, 'm297-180h-131l77 210-205 520h137l102-281q8-23 16-55 8-33 12-54 5 21 13 54 8 32 16 55l96 281h132l-265-730z'],
+        'z': [600, 'm522 0h-444v113l287 327h-278v110h424v-113l-290-327h301v-110z'],
+        '{': [600, 'm521-111h-69q-56 0-98 22-43 22-65 62-22 39-19 94l10 152q3 41-16 62-20 21-66 21h-119v115h119q46 0 66 21 19 21 16 61l-10 157q-3 54 19 93 22 39 65 60 42 21 98 21h69v-115h-51q-36 0-56-17-21-17-19-54l10-156q4-59-35-95-27-25-69-33 41-7 69-32 39-37 35-97l-10-156q-1-33 20-51 20-19 55-19h51v-116z'],
+        '|': [600, 'm363-110h-126v940h126v-940z'],
+        '}': [600, 'm148-111h-69v116h51q35 0 56 19 21 18 19 51l-10 156q-4 60 36 97 27 25 68 32-41 8-68 33-40 36-36 95l10 156q2 37-18 54-21 17-57 17h-51v115h69q56 0 99-21 42-21 64-60 22-39 19-93l-10-157q-3-40 17-61 20-21 65-21h119v-115h-119q-45 0-65-21-20-21-17-62l10-152q3-55-19-94-22-40-64-62-43-22-99-22z'],
+        '~': [600, 'm156 255h-106v79q0 62 40 99 40 37 105 37 41 0 68-14 27-14 46-34 18-20 33-40 14-21 29-34 15-14 35-14 19 0 29 12 9 11 9 31v73h106v-79q0-61-39-98-40-38-106-38-41 0-68 14-27 14-45 34-19 20-33 41-15 20-30 34-15 13-35 13-18 0-28-11-10-11-10-32v-73z'],
+        '«': [600, 'm579 40h-136l-179 240 180 240h135l-184-238 184-242zm-243 0h-136l-179 240 180 240h135l-184-238 184-242z'],
+        '»': [600, 'm399 40h-134l181 240-182 240h136l179-240-180-240zm-243 0h-134l181 240-182 240h136l179-240-180-240z'],
+        '°': [600, 'm300 450q-67 0-108 40-42 40-42 105 0 65 42 105 41 40 108 40 68 0 109-40 41-40 41-105 0-65-41-105-41-40-109-40zm-1 59q37 0 60 24 22 24 22 62 0 39-22 63-23 23-59 23-37 0-59-23-22-24-22-63 0-38 22-62 22-24 58-24z'],
+        '©': [600, 'm300 110q-76 0-133 30-58 30-90 84-32 54-32 126v150q0 72 32 126 32 54 90 84 57 30 133 30 77 0 134-30 57-30 89-84 32-54 32-126v-150q0-72-32-126-32-54-89-84-57-30-134-30zm0 50q60 0 105 24 45 23 70 66 25 43 25 100v150q0 57-25 100-25 42-70 66-45 24-105 24-60 0-105-24-45-24-70-66-25-43-25-100v-150q0-57 25-100 25-43 70-66 45-24 105-24zm5 85q-59 0-95 34-36 33-36 87v118q0 54 36 88 36 33 95 33 58 0 94-33 36-34 36-88h-77q0 25-14 40-15 14-39 14-24 0-39-14-15-15-15-40v-118q0-25 15-39 15-15 39-15 24 0 39 15 14 14 14 39h77q0-54-35-87-36-34-95-34z'],
+        '®': [600, 'm300 110q-76 0-133 30-58 30-90 84-32 54-32 126v150q0 72 32 126 32 54 90 84 57 30 133 30 77 0 134-30 57-30 89-84 32-54 32-126v-150q0-72-32-126-32-54-89-84-57-30-134-30zm0 50q60 0 105 24 45 23 70 66 25 43 25 100v150q0 57-25 100-25 42-70 66-45 24-105 24-60 0-105-24-45-24-70-66-25-43-25-100v-150q0-57 25-100 25-43 70-66 45-24 105-24zm133 90h-76l-55 137h-46v-137h-72v350h120q56 0 90-29 33-30 33-79 0-49-33-77-11-9-24-15l63-150zm-177 294v-98h48q23 0 37 14 13 13 13 35 0 22-13 36-14 13-37 13h-48z'],
+        '§': [600, 'm314-155h-30q-63 0-111 19-49 19-78 54-29 35-37 83h127q8-25 35-41 27-16 64-16h30q50 0 78 21 27 20 27 53 0 29-21 49-22 19-68 28l-92 20q-79 16-124 60-46 43-46 102 0 58 37 95 36 36 99 42v7q-29 4-60 21-32 17-53 49-21 32-21 80 0 78 57 124 57 45 159 45h30q93 0 151-39 58-40 67-110h-127q-5 21-29 36-25 14-62 14h-30q-46 0-70-18-24-19-24-50 0-26 21-45 20-20 59-28l98-21q81-18 126-62 45-44 45-105 0-58-37-95-37-37-101-40v-7q30-3 62-20 32-17 55-49 22-33 22-84 0-79-60-125-60-47-168-47zm-57 366l64-13q29-6 51 5 22 10 34 34 12 23 12 56 0 33-20 58-20 25-53 32l-63 13q-28 6-48-4-21-11-32-34-12-23-12-56 0-35 19-60 18-26 48-31z'],
+        '·': [600, 'm300 255q-43 0-68 25-26 25-26 68 0 43 26 69 25 25 68 25 43 0 69-25 25-26 25-69 0-43-25-68-26-25-69-25z'],
+        '±': [600, 'm533 0h-466v94h174v181h-179v115h179v180h124v-180h179v-115h-179v-181h168v-94z'],
+        '×': [600, 'm299 245l-129-130-81 82 128 128-128 130 81 81 129-129 131 131 81-82-131-131 130-128-82-82-129 130z'],
+        'Ё': [600, 'm526 0h-438v730h438v-109h-315v-190h280v-108h-280v-214h315v-109zm-89 808q-33 0-53 20-20 19-20 52 0 34 20 54 20 19 53 19 34 0 54-19 20-20 20-54 0-33-20-52-20-20-54-20zm-234 0q-34 0-54 20-20 19-20 52 0 34 20 54 20 19 54 19 33 0 53-19 20-20 20-54 0-33-20-52-20-20-53-20z'],
+        'Ђ': [600, 'm333-180h-58v119h64q44 0 69 25 25 24 25 66v260q0 48-18 73-19 24-54 24-46 0-94-50l-38-39v-298h-125v615h-104v115h343v-115h-114v-205l15 15q67 70 148 70 76 0 121-53 45-53 45-141v-280q0-60-28-105-28-46-79-71-51-25-118-25z'],
+        'Ѓ': [600, 'm226 0h-125v730h437v-116h-312v-614zm129 810h-126l106 140h134l-114-140z'],
+        'Є': [600, 'm304-10q-70 0-122 27-52 26-81 75-29 48-29 114v318q0 67 29 115 29 48 81 75 52 26 122 26 71 0 123-26 51-27 80-75 28-48 28-115h-125q0 52-27 80-28 27-79 27-51 0-78-27-28-28-28-79v-101h213v-113h-213v-105q0-51 28-79 27-28 78-28 51 0 79 28 27 28 27 79h125q0-65-28-114-29-49-80-75-52-27-123-27z'],
+        'Ѕ': [600, 'm302-10q-75 0-130 25-55 25-84 72-30 46-31 109h125q0-45 33-70 32-26 88-26 54 0 85 25 30 25 30 69 0 37-21 65-22 27-62 37l-84 23q-86 22-132 79-47 57-47 138 0 62 28 108 28 46 80 71 51 25 121 25 106 0 168-54 62-55 63-147h-125q0 43-28 68-28 24-79 24-49 0-76-23-27-23-27-65 0-38 21-64 20-27 59-38l87-24q87-22 133-78 46-57 46-140 0-62-30-109-30-48-84-74-54-26-127-26z'],
+        'І': [600, 'm510 0h-420v110h147v510h-147v110h420v-110h-147v-510h147v-110z'],
+        'Ї': [600, 'm510 0h-420v110h147v510h-147v110h420v-110h-147v-510h147v-110zm-93 808q-33 0-53 20-20 19-20 52 0 34 20 54 20 19 53 19 34 0 54-19 20-20 20-54 0-33-20-52-20-20-54-20zm-234 0q-34 0-54 20-20 19-20 52 0 34 20 54 20 19 54 19 33 0 53-19 20-20 20-54 0-33-20-52-20-20-53-20z'],
+        'Ј': [600, 'm270-11q-111 0-175 62-65 61-65 165h125q0-55 31-86 31-31 84-31 53 0 84 31 31 30 31 85v399h-170v116h295v-515q0-105-64-165-65-61-176-61z'],
+        'Љ': [600, 'm16-5h-24v100h19q27 0 43 29 15 28 16 76l6 530h304v-291h28q82 0 130-46 48-47 48-127v-93q0-80-48-126-48-47-130-47h-131v635h-99l-5-435q-1-93-44-149-43-56-113-56zm364 348v-248h28q35 0 55 21 19 21 19 57v91q0 38-19 59-20 20-55 20h-28z'],
+        'Њ': [600, 'm149 0h-104v730h104v-285h128v285h103v-285h28q83 0 131-46 47-47 47-128v-98q0-80-47-126-48-47-131-47h-131v349h-128v-349zm231 349v-254h28q36 0 55 21 19 21 19 57v97q0 38-19 59-20 20-55 20h-28z'],
+        'Ћ': [600, 'm229 0h-125v615h-104v115h343v-115h-114v-205l15 15q67 70 148 70 76 0 121-53 45-53 45-141v-301h-125v290q0 48-18 73-19 24-54 24-46 0-94-50l-38-39v-298z'],
+        'Ќ': [600, 'm350 810h-126l106 140h134l-114-140zm-149-810h-125v730h125v-295h87l137 295h136l-163-350 171-380h-139l-144 321h-85v-321z'],
+        'Ў': [600, 'm305 0h-132l75 187-213 543h136l110-322q10-28 18-59 7-31 9-49 2 18 8 50 6 31 15 58l101 322h133l-260-730zm-5 802q-78 0-126 41-48 41-48 107h97q0-33 21-53 21-20 56-20 35 0 57 20 21 20 21 53h97q0-66-48-107-48-41-127-41z'],
+        'Џ': [600, 'm363-125h-126v125h-159v730h125v-614h194v614h125v-730h-159v-125z'],
+        'А': [600, 'm163 0h-128l184 730h161l185-730h-128l-40 177h-194l-40-177zm107 476l-44-197h148l-44 196q-11 49-19 89-8 39-11 57-3-18-10-57-8-40-20-88z'],
+        'Б': [600, 'm308 0h-230v730h438v-116h-316v-177h107q74 0 128-27 53-27 83-76 30-49 30-115 0-66-30-115-30-49-83-76-54-28-127-28zm-108 330v-223h108q53 0 83 30 30 30 30 81 0 52-30 82-30 30-83 30h-108z'],
+        'В': [600, 'm312 0h-235v730h224q106 0 168-50 62-51 62-138 0-49-22-85-22-36-59-56-25-13-54-18 33-4 62-17 41-21 66-61 24-40 24-97 0-63-29-110-29-47-81-72-53-26-126-26zm-113 328v-224h105q55 0 87 30 31 29 31 80 0 51-31 83-32 31-87 31h-105zm0 298v-197h100q50 0 79 27 28 26 28 72 0 46-28 72-29 26-79 26h-100z'],
+        'Г': [600, 'm226 0h-125v730h437v-116h-312v-614z'],
+        'Д': [600, 'm138-140h-115v247h37q11 19 24 52 12 32 21 74 9 42 9 90l6 407h393v-623h64v-247h-115v140h-324v-140zm47 247h208v515h-156l-5-299q-1-73-17-131-16-58-30-85z'],
+        'Е': [600, 'm526 0h-438v730h438v-109h-315v-190h280v-108h-280v-214h315v-109z'],
+        'Ж': [600, 'm120 0h-109l110 372-103 358h110l89-329h36v329h91v-329h38l89 329h108l-101-357 111-373h-109l-96 343h-40l3-343h-91l-3 343h-38l-95-343z'],
+        'З': [600, 'm296-10q-73 0-128 25-55 24-87 70-32 45-36 106h125q5-43 39-67 34-25 87-25 57 0 91 31 34 30 34 78 0 49-33 78-34 29-92 29h-99v113h98q55 0 87 32 31 31 31 75 0 46-31 71-32 25-87 25-49 0-80-26-32-26-36-70h-126q4 63 36 109 31 46 85 71 54 25 125 25 108 0 172-47 64-48 64-133 0-51-22-91-23-41-65-63-17-9-36-14 22-5 41-15 45-23 70-66 25-43 25-100 0-66-31-115-31-50-87-78-57-28-134-28z'],
+        'И': [600, 'm225 0h-153v730h114v-357q0-35-2-78-2-43-5-84-3-41-5-71l201 590h153v-730h-114v346q0 35 2 80 2 45 6 89 3 44 6 75l-203-590z'],
+        'Й': [600, 'm225 0h-153v730h114v-357q0-35-2-78-2-43-5-84-3-41-5-71l201 590h153v-730h-114v346q0 35 2 80 2 45 6 89 3 44 6 75l-203-590zm75 802q-78 0-126 41-48 41-48 107h97q0-33 21-53 21-20 56-20 35 0 57 20 21 20 21 53h97q0-66-48-107-48-41-127-41z'],
+        'К': [600, 'm201 0h-125v730h125v-295h87l137 295h136l-163-350 171-380h-139l-144 321h-85v-321z'],
+        'Л': [600, 'm50-5h-33v114h25q34 0 52 33 18 32 19 98l8 490h401v-730h-125v614h-153l-7-374q-1-119-50-182-49-63-137-63z'],
+        'М': [600, 'm173 0h-117v730h148l71-232q11-35 18-64 7-29 9-42 2 13 9 42 7 29 17 64l68 232h148v-730h-117v227q0 50 3 109 3 59 7 118 4 59 10 112 5 53 9 93l-98-345h-114l-101 345q5-38 10-89 5-52 10-110 4-59 7-119 3-60 3-114v-227z'],
+        'Н': [600, 'm202 0h-125v730h125v-293h196v293h125v-730h-125v321h-196v-321z'],
+        'О': [600, 'm300-10q-70 0-121 27-52 26-79 75-28 48-28 114v318q0 66 28 115 27 48 79 75 51 26 121 26 71 0 122-26 51-27 79-75 27-49 27-114v-319q0-66-27-114-28-49-79-75-51-27-122-27zm0 110q51 0 77 28 26 27 26 78v318q0 52-26 79-26 27-77 27-51 0-77-27-26-27-26-79v-318q0-51 27-78 26-28 76-28z'],
+        'П': [600, 'm203 0h-125v730h444v-730h-125v614h-194v-614z'],
+        'Р': [600, 'm202 0h-125v730h243q73 0 128-28 54-28 84-78 30-51 30-119 0-67-30-118-31-51-85-79-54-28-127-28h-118v-280zm0 617v-224h118q52 0 84 31 31 30 31 81 0 52-31 82-32 30-84 30h-118z'],
+        'С': [600, 'm304-10q-70 0-122 27-53 26-81 75-29 48-29 114v318q0 67 29 115 28 48 81 75 52 26 122 26 71 0 123-26 51-27 80-75 29-48 29-115h-126q0 52-27 79-28 27-79 27-51 0-79-27-28-27-28-78v-319q0-51 28-78 28-28 79-28 51 0 79 28 27 27 27 78h126q0-65-29-114-29-49-80-75-52-27-123-27z'],
+        'Т': [600, 'm363 0h-126v614h-191v116h508v-116h-191v-614z'],
+        'У': [600, 'm305 0h-132l75 187-213 543h136l110-322q10-28 18-59 7-31 9-49 2 18 8 50 6 31 15 58l101 322h133l-260-730z'],
+        'Ф': [600, 'm353-25h-106v70q-61 0-108 27-47 27-73 75-26 48-26 112v224q0 66 26 115 26 48 73 75 46 27 108 27v70h106v-70q62 0 109-27 46-27 72-75 26-49 26-115v-224q0-64-26-112-26-48-72-75-47-27-109-27v-70zm-102 169v457q-31 0-54-14-23-15-35-41-13-27-13-63v-224q0-35 13-60 12-26 35-40 23-15 54-15zm98 457v-457q32 0 55 15 22 14 35 40 12 25 12 60v224q0 36-12 63-13 26-35 41-23 14-55 14z'],
+        'Х': [600, 'm164 0h-136l202 374-190 356h140l92-183q10-20 18-38 8-19 12-29 3 10 11 29 8 18 18 38l93 183h136l-190-353 202-377h-140l-103 202q-10 20-18 39-9 19-13 30-4-11-12-30-8-19-18-39l-104-202z'],
+        'Ц': [600, 'm573-140h-115v140h-380v730h125v-615h170v615h125v-615h75v-255z'],
+        'Ч': [600, 'm520 0h-125v277q-13-3-44-6-32-4-77-4-98 0-156 58-58 58-58 156v249h125v-244q0-48 32-77 31-29 84-29 36 0 61 4 24 3 33 5v341h125v-730z'],
+        'Ш': [600, 'm550 0h-499l-1 730h107v-643h98v643h91v-643h98v643h106v-730z'],
+        'Щ': [600, 'm582-140h-109v140h-424v730h100v-640h94v640h87v-640h95v640h99v-640h58v-230z'],
+        'Ъ': [600, 'm318 0h-198v626h-125v104h250v-291h73q74 0 129-27 54-28 85-77 30-49 30-115 0-66-30-115-31-50-85-77-55-28-129-28zm-73 329v-219h71q54 0 87 30 32 30 32 79 0 50-32 80-33 30-87 30h-71z'],
+        'Ы': [600, 'm190 0h-140v730h108v-291h32q90 0 141-51 51-51 51-140v-58q0-88-51-139-51-51-141-51zm-32 339v-239h32q41 0 64 24 23 23 23 67v56q0 44-23 68-23 24-64 24h-32zm392-339h-108v730h108v-730z'],
+        'Ь': [600, 'm318 0h-240v730h125v-291h115q74 0 129-27 54-28 85-77 30-49 30-115 0-66-30-115-31-50-85-77-55-28-129-28zm-115 329v-219h113q54 0 87 30 32 30 32 79 0 50-32 80-33 30-87 30h-113z'],
+        'Э': [600, 'm296-10q-70 0-122 27-52 26-80 75-29 49-29 114h125q0-51 28-79 28-28 78-28 51 0 79 28 27 28 27 79v105h-213v113h213v101q0 51-27 79-28 27-79 27-50 0-78-27-28-28-28-80h-125q0 66 29 115 28 48 80 75 52 26 122 26 71 0 123-26 51-27 80-75 29-48 29-115v-318q0-66-29-114-29-49-80-75-52-27-123-27z'],
+        'Ю': [600, 'm391-10q-74 0-118 50-44 50-44 134v153h-74v-327h-107v730h107v-308h74v134q0 85 44 135 43 49 118 49 81 0 128-49 47-49 47-135v-382q0-84-47-134-47-50-128-50zm0 97q33 0 51 22 17 21 17 59v394q0 38-18 60-18 21-50 21-33 0-50-21-18-22-18-60v-394q0-38 18-59 17-22 50-22z'],
+        'Я': [600, 'm182 0h-137l141 308q-61 23-97 78-36 55-36 127 0 66 30 115 29 48 83 75 54 27 126 27h230v-730h-125v290h-89l-126-290zm110 399h105v222h-105q-51 0-82-30-31-30-31-82 0-51 31-80 30-30 82-30z'],
+        'а': [600, 'm239-10q-85 0-134 45-49 45-49 121 0 81 54 125 54 44 153 44h137v47q0 40-26 63-26 22-71 22-41 0-68-18-27-18-32-49h-122q9 78 70 124 61 46 156 46 101 0 160-50 58-51 58-137v-373h-121v96h-2q-8-42-43-70-45-36-120-36zm41 94q53 0 87 27 33 27 33 70v67h-135q-38 0-61-22-23-22-23-58 0-39 27-61 26-23 72-23z'],
+        'б': [600, 'm300-10q-105 1-166 59-62 58-62 159v247q0 132 71 204 71 71 202 71h155v-122h-155q-72 0-109-39-38-39-38-114v-68h2q5 46 37 74 38 33 107 33 87 0 136-56 48-57 48-157v-73q0-67-28-116-28-50-78-76-51-27-122-26zm0 109q50 0 76 29 26 28 26 80v73q0 53-26 81-26 28-76 28-49 0-75-27-27-28-27-82v-73q0-52 27-80 26-29 75-29z'],
+        'в': [600, 'm330 0h-253v550h244q95 0 150-39 54-40 54-109 0-56-42-90-27-21-64-29 43-8 73-31 46-36 46-95 0-73-55-115-56-42-153-42zm-130 237v-142h126q42 0 66 19 24 19 24 51 0 34-24 53-24 19-66 19h-126zm0 219v-135h122q37 0 59 18 22 18 22 49 0 31-21 50-22 18-60 18h-122z'],
+        'г': [600, 'm246 0h-125v550h410v-116h-285v-434z'],
+        'д': [600, 'm140-140h-115v246h37q17 17 36 63 18 45 19 113l6 268h385v-444h65v-246h-115v140h-318v-140zm49 246h200v335h-150l-4-159q-1-67-16-112-16-46-30-64z'],
+        'е': [600, 'm301-10q-70 0-122 27-52 27-80 76-29 48-29 113v138q0 65 29 114 28 48 80 75 52 27 122 27 69 0 121-27 51-27 80-75 28-49 28-114v-99h-339v-39q0-58 28-87 28-30 83-30 42 0 68 15 26 14 33 42h123q-14-71-75-113-62-43-150-43zm-110 333l218 2v20q0 57-27 88-27 30-81 30-54 0-82-31-28-31-28-88v-21z'],
+        'ж': [600, 'm124 0h-115l111 282-103 268h112l88-243h37v243h92v-243h37l93 243h107l-103-265 111-285h-111l-96 253h-38v-253h-92v253h-39l-91-253z'],
+        'з': [600, 'm326-7h-53q-90 0-149 42-59 41-71 113h125q7-24 33-38 25-15 62-15h53q39 0 62 19 22 18 22 49 0 32-22 50-22 18-62 18h-126v100h121q37 0 57 17 20 17 20 46 0 20-9 34-9 13-26 20-17 7-42 7h-47q-35 0-59-15-25-15-31-40h-125q12 71 70 114 58 43 145 43h47q63 0 109-18 45-19 70-52 25-34 25-81 0-52-38-85-30-26-76-33 54-6 87-35 40-36 40-98 0-74-57-118-58-44-155-44z'],
+        'и': [600, 'm232 0h-154v550h113v-271q0-26-2-61-3-36-7-70-4-34-8-59l194 461h154v-550h-113v271q0 27 3 60 2 33 6 65 3 32 7 54l-193-450z'],
+        'й': [600, 'm232 0h-154v550h113v-271q0-26-2-61-3-36-7-70-4-34-8-59l194 461h154v-550h-113v271q0 27 3 60 2 33 6 65 3 32 7 54l-193-450zm72 637q-78 0-126 41-49 41-49 107h97q0-33 22-53 21-20 56-20 35 0 57 20 21 20 21 53h97q0-66-48-107-48-41-127-41z'],
+        'к': [600, 'm206 0h-125v550h125v-216h82l134 216h140l-166-266 169-284h-143l-134 228h-82v-228z'],
+        'л': [600, 'm56-7h-33v114h25q34 0 52 28 17 27 18 87l6 328h398v-550h-125v434h-150l-4-219q-2-72-24-121-22-50-63-75-41-26-100-26z'],
+        'м': [600, 'm172 0h-116v550h150l68-207q11-34 19-64 7-30 9-45 3 15 10 45 6 30 17 64l65 207h150v-550h-116v94q0 38 1 84 1 46 3 95 2 48 5 93 2 44 4 78l-83-285h-114l-86 284q3-42 7-103 3-62 5-126 2-65 2-120v-94z'],
+        'н': [600, 'm203 0h-125v550h125v-213h194v213h125v-550h-125v221h-194v-221z'],
+        'о': [600, 'm300-9q-70 0-121 27-52 26-80 75-29 48-29 114v136q0 66 29 115 28 48 80 75 51 26 121 26 71 0 122-26 51-27 80-75 28-49 28-114v-137q0-66-28-114-29-49-80-75-51-27-122-27zm0 109q50 0 78 28 27 27 27 79v136q0 53-27 80-28 27-78 27-49 0-77-27-28-27-28-80v-136q0-52 28-79 28-28 77-28z'],
+        'п': [600, 'm203 0h-125v550h444v-550h-125v434h-194v-434z'],
+        'р': [600, 'm202-180h-125v730h122v-105h2q7 47 38 77 40 38 108 38 83 0 133-57 50-57 50-153v-149q0-64-22-111-23-48-64-74-41-26-97-26-68 0-108 39-31 29-38 76h-3l4-131v-154zm101 278q48 0 75 28 27 28 27 80v138q0 52-27 80-27 28-75 28-47 0-74-28-27-29-27-80v-138q0-51 27-79 27-29 74-29z'],
+        'с': [600, 'm302-10q-70 0-122 27-53 26-82 75-29 48-29 114v138q0 67 29 115 29 48 82 75 52 26 122 26 104 0 166-53 62-54 65-146h-125q-3 43-30 67-28 23-76 23-50 0-79-27-29-28-29-79v-139q0-51 29-79 29-28 79-28 48 0 76 24 27 23 30 66h125q-3-92-65-145-62-54-166-54z'],
+        'т': [600, 'm363 0h-126v435h-188v115h502v-115h-188v-435z'],
+        'у': [600, 'm297-180h-131l77 210-205 520h137l102-281q8-23 16-55 8-33 12-54 5 21 13 54 8 32 16 55l96 281h132l-265-730z'],
+        'ф': [600, 'm352-180h-104v180q-96 0-150 55-55 55-55 150v141q0 95 55 150 55 54 150 54v180h104v-180q96 0 151-54 54-55 54-150v-141q0-95-54-150-55-55-151-55v-180zm-99 278v354q-47 0-74-28-27-28-27-78v-141q0-50 27-78 27-29 74-29zm94 354v-354q48 0 75 29 26 28 26 78v141q0 50-26 78-27 28-75 28z'],
+        'х': [600, 'm177 0h-141l192 284-179 266h141l85-135q8-12 15-27 6-15 10-24 4 9 11 24 7 15 14 27l86 135h141l-179-266 191-284h-142l-95 151q-8 13-15 28-7 15-12 24-4-9-11-24-7-15-15-28l-97-151z'],
+        'ц': [600, 'm573-140h-115v140h-380v550h125v-435h170v435h125v-435h75v-255z'],
+        'ч': [600, 'm518 0h-126v185q-13-3-41-6-29-4-63-4-106 0-166 53-60 52-60 146v176h125v-170q0-43 30-67 30-25 82-25 34 0 59 4 25 3 34 6v252h126v-550z'],
+        'ш': [600, 'm550 0h-499l-1 550h107v-463h98v463h91v-463h98v463h106v-550z'],
+        'щ': [600, 'm582-140h-109v140h-424v550h100v-460h94v460h87v-460h95v460h99v-460h58v-230z'],
+        'ъ': [600, 'm350 0h-222v435h-128v115h253v-180h96q100 0 157-49 56-50 56-137 0-85-57-134-57-50-155-50zm-97 260v-150h91q44 0 68 20 23 19 23 55 0 36-23 56-24 19-68 19h-91z'],
+        'ы': [600, 'm195 0h-145v550h108v-186h37q89 0 141-50 52-50 52-134 0-82-52-131-53-49-141-49zm-37 267v-170h37q43 0 67 22 23 22 23 61 0 41-23 64-24 23-67 23h-37zm392-267h-108v550h108v-550z'],
+        'ь': [600, 'm350 0h-268v550h125v-180h142q100 0 157-49 56-50 56-137 0-85-57-134-58-50-155-50zm-143 260v-150h137q44 0 68 20 23 19 23 55 0 36-23 56-24 19-68 19h-137z'],
+        'э': [600, 'm297-10q-104 0-165 54-62 53-66 145h126q3-43 31-66 27-24 74-24 50 0 78 28 27 28 27 79v22h-172v100h172v17q0 51-27 79-28 27-78 27-47 0-74-23-28-24-31-67h-126q4 92 66 146 61 53 165 53 71 0 123-26 51-27 80-75 28-48 28-115v-138q0-66-28-114-29-49-80-75-52-27-123-27z'],
+        'ю': [600, 'm390-10q-75 0-117 46-43 46-43 122v77h-80v-235h-107v550h107v-229h80v72q0 75 42 121 42 46 118 46 77 0 125-45 47-46 47-122v-235q0-76-48-122-48-46-124-46zm0 93q29 0 47 21 18 20 18 54v235q0 33-18 54-18 20-47 20-30 0-47-20-18-21-18-54v-235q0-34 18-54 17-21 47-21z'],
+        'я': [600, 'm197 0h-143l129 201q-57 18-89 61-32 43-32 103 0 87 58 136 58 49 160 49h242v-550h-124v187h-89l-112-187zm88 287h113v160h-113q-46 0-72-21-26-21-26-60 0-37 26-58 26-21 72-21z'],
+        'ё': [600, 'm417 642q-33 0-53 20-20 19-20 52 0 33 20 53 20 19 53 19 34 0 54-19 20-20 20-53 0-33-20-52-20-20-54-20zm-234 0q-34 0-54 20-20 19-20 52 0 33 20 53 20 19 54 19 33 0 53-19 20-20 20-53 0-33-20-52-20-20-53-20zm118-652q-70 0-122 27-52 27-80 76-29 48-29 113v138q0 65 29 114 28 48 80 75 52 27 122 27 69 0 121-27 51-27 80-75 28-49 28-114v-99h-339v-39q0-58 28-87 28-30 83-30 42 0 68 15 26 14 33 42h123q-14-71-75-113-62-43-150-43zm-110 333l218 2v20q0 57-27 88-27 30-81 30-54 0-82-31-28-31-28-88v-21z'],
+        'ђ': [600, 'm302-180h-52v116h45q50 0 77 27 27 27 27 76v249q0 50-25 77-26 27-73 27-46 0-72-28-26-28-26-80v-284h-125v561h-78v84h78v85h125v-85h153v-84h-153v-71l-3-105h2q7 48 37 77 39 38 108 38 81 0 129-54 48-54 48-145v-265q0-100-60-158-60-58-162-58z'],
+        'ѓ': [600, 'm246 0h-125v550h410v-116h-285v-434zm134 645h-126l106 140h134l-114-140z'],
+        'є': [600, 'm308-10q-71 0-123 27-52 26-80 75-28 48-28 114v138q0 67 28 115 28 48 80 75 52 26 123 26 103 0 165-53 61-54 65-146h-125q-3 43-30 67-28 23-75 23-51 0-78-27-28-28-28-79v-17h172v-100h-172v-22q0-51 28-79 27-28 78-28 47 0 75 24 27 23 30 66h125q-4-92-65-145-62-54-165-54z'],
+        'ѕ': [600, 'm323-9h-44q-63 0-110 20-47 20-73 56-27 35-29 83h125q2-26 26-42 23-16 61-16h44q46 0 69 18 23 18 23 49 0 29-20 46-21 16-64 21l-68 10q-94 13-138 50-44 37-44 111 0 77 52 120 52 42 153 42h38q92 0 147-41 55-41 59-110h-125q-3 22-24 36-22 14-57 14h-38q-43 0-62-15-20-16-20-46 0-28 17-41 17-14 55-20l71-10q98-14 145-52 46-39 46-114 0-80-54-124-55-45-161-45z'],
+        'і': [600, 'm558 0h-482v114h192v323h-167v113h287v-436h170v-114zm-240 642q-38 0-60 20-22 19-22 52 0 33 22 53 22 19 60 19 38 0 60-19 22-20 22-53 0-33-22-52-22-20-60-20z'],
+        'ї': [600, 'm558 0h-482v114h192v323h-167v113h287v-436h170v-114zm-123 642q-33 0-53 20-20 19-20 52 0 33 20 53 20 19 53 19 34 0 54-19 20-20 20-53 0-33-20-52-20-20-54-20zm-234 0q-34 0-54 20-20 19-20 52 0 33 20 53 20 19 54 19 33 0 53-19 20-20 20-53 0-33-20-52-20-20-53-20z'],
+        'ј': [600, 'm236-180h-154v116h147q50 0 77 27 27 27 27 76v395h-221v116h346v-514q0-100-60-158-60-58-162-58zm155 822q-38 0-60 20-22 19-22 52 0 33 22 53 22 19 60 19 38 0 60-19 22-20 22-53 0-33-22-52-22-20-60-20z'],
+        'љ': [600, 'm22-5h-23v103h19q26 0 42 28 15 27 16 74l5 350h300v-185h45q74 0 120-43 45-43 45-114v-56q0-69-45-110-45-42-119-42h-146v454h-97l-3-256q-1-93-43-148-43-55-116-55zm359 274v-174h45q27 0 44 16 16 15 16 41v56q0 28-16 45-17 16-44 16h-45z'],
+        'њ': [600, 'm156 0h-106v550h106v-188h124v188h97v-188h46q74 0 120-43 45-43 45-115v-52q0-68-45-110-46-42-119-42h-144v266h-124v-266zm221 266v-171h46q27 0 43 16 16 16 16 42v53q0 27-16 44-16 16-43 16h-46z'],
+        'ћ': [600, 'm77 561h-77v84h77v85h125v-85h154v-84h-154v-71l-3-105h2q9 54 47 85 38 30 99 30 81 0 130-54 48-54 48-145v-301h-125v288q0 50-26 77-26 27-73 27-46 0-72-28-27-28-27-80v-284h-125v561z'],
+        'ќ': [600, 'm206 0h-125v550h125v-216h82l134 216h140l-166-266 169-284h-143l-134 228h-82v-228zm144 645h-126l106 140h134l-114-140z'],
+        'ў': [600, 'm304 637q-78 0-126 41-49 41-49 107h97q0-33 22-53 21-20 56-20 35 0 57 20 21 20 21 53h97q0-66-48-107-48-41-127-41zm-7-817h-131l77 210-205 520h137l102-281q8-23 16-55 8-33 12-54 5 21 13 54 8 32 16 55l96 281h132l-265-730z'],
+        'џ': [600, 'm363-125h-126v125h-159v550h125v-434h194v434h125v-550h-159v-125z'],
+        'Ґ': [600, 'm226 0h-125v730h317v95h120v-211h-312v-614z'],
+        'ґ': [600, 'm246 0h-125v550h290v105h120v-221h-285v-434z'],
+        'ʼ': [600, 'm260 465h-110l80 311h160l-130-311z'],
+        '–': [600, 'm523 272h-446v116h446v-116z'],
+        '—': [600, 'm600 272h-600v116h600v-116z'],
+        '‘': [600, 'm345 775h110l-80-311h-160l130 311z'],
+        '’': [600, 'm255 465h-110l80 311h160l-130-311z'],
+        '‚': [600, 'm260-160h-110l80 311h160l-130-311z'],
+        '“': [600, 'm458 465h-159l130 311h109l-80-311zm-247 0h-159l130 311h109l-80-311z'],
+        '”': [600, 'm418 465h-109l80 311h159l-130-311zm-247 0h-109l80 311h159l-130-311z'],
+        '„': [600, 'm418-160h-109l80 311h159l-130-311zm-247 0h-109l80 311h159l-130-311z'],
+        '•': [600, 'm300 236q-57 0-93 36-36 36-36 93 0 57 36 93 36 36 93 36 57 0 93-36 36-36 36-93 0-57-36-93-36-36-93-36z'],
+        '…': [600, 'm489-10q-25 0-41 17-17 17-17 44v64q0 27 17 44 16 17 41 17 28 0 44-17 16-17 16-44v-64q0-27-16-44-16-17-44-17zm-380 0q-25 0-41 17-17 17-17 44v64q0 27 17 44 16 17 41 17 28 0 44-17 16-17 16-44v-64q0-27-16-44-16-17-44-17zm190 0q-25 0-41 17-17 17-17 44v64q0 27 17 44 16 17 41 17 28 0 44-17 16-17 16-44v-64q0-27-16-44-16-17-44-17z'],
+        '№': [600, 'm123 0h-99v730h121l99-418q6-23 14-61 8-39 18-81 9-43 15-76-5 41-10 91-6 49-11 100-5 50-8 93-3 43-3 70v282h99v-730h-121l-97 419q-5 26-13 65-9 39-17 80-9 41-16 73 4-41 9-90 5-50 10-100 5-51 8-94 2-43 2-71v-282zm372 300q-42 0-68 27-27 27-27 72v242q0 45 27 72 26 27 68 27 42 0 69-27 26-27 26-72v-242q0-45-26-72-27-27-69-27zm0 64q11 0 19 7 7 7 7 22v254q0 14-7 22-8 7-19 7-11 0-18-7-8-8-8-22v-254q0-15 8-22 7-7 18-7z'],
+        '€': [600, 'm319-10q-71 0-124 28-54 27-84 77-30 50-30 116v22h-67v83h67v88h-67v83h67v22q0 67 30 117 30 49 84 77 53 27 125 27 70 0 123-26 52-26 82-73 30-48 33-114h-126q-2 48-32 75-30 26-80 26-53 0-83-29-31-29-31-80v-22h155v-83h-155v-88h155v-83h-155v-22q0-51 30-80 30-29 83-29 51 0 81 27 30 26 32 74h126q-3-65-33-113-31-48-83-74-52-26-123-26z'],
+        '™': [600, 'm178 370h-66v301h-97v59h263v-59h-100v-301zm189 0h-61v360h85l31-102q5-15 10-36 4-21 6-35 2 14 6 35 4 21 9 36l30 102h82v-360h-61v182q0 19 2 46 2 26 5 54 2 27 4 48-5-20-12-49-8-30-13-49l-25-85h-56l-27 86q-6 19-13 47-8 28-13 47 2-18 5-44 3-26 5-52 1-26 1-45v-186z']
+      })
+    })
+  })
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FONT_GLYPHS;
+}
+if (typeof window !== 'undefined') {
+  window.FONT_GLYPHS = FONT_GLYPHS;
+}
@@ -0,0 +1,111 @@
+/**
+ * Font Metrics - Bundled advance widths for text layout without a browser
+ *
+ * Widths are in font units (1000 per em) for the regular weight and were
+ * sampled from Inter; e-Ukraine shares its proportions closely enough for
+ * layout, so both families map to the same table. Bold text is widened by
+ * `boldFactor`. Characters missing from a table use `fallback`, and wide
+ * symbols (emoji, CJK) use one full em.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/**
+ * Expand a { width: 'chars' } map into { char: width }
+ * @param {Object<number, string>} groups - Characters grouped by advance width
+ * @returns {Object<string, number>} Per-character widths
+ */
+function expandWidthGroups(groups) {
+  const widths = {};
+  Object.entries(groups).forEach(([width, chars]) => {
+    [...chars].forEach((char) => {
+      widths[char] = Number(width);
+    });
+  });
+  return widths;
+}
+
+/**
+ * @typedef {Object} FontMetricsTable
+ * @property {string[]} families - CSS family names served by the table
+ * @property {number} unitsPerEm - Font units per em
+ * @property {number} ascent - Ascender height (font units)
+ * @property {number} descent - Descender depth (font units, positive)
+ * @property {number} boldFactor - Width multiplier for weights >= 600
+ * @property {number} fallback - Width of characters missing from the table
+ * @property {Object<string, number>} widths - Per-character advance widths
+ */
+
+/**
+ * Bundled metric tables
+ * @const {Object<string, FontMetricsTable>}
+ */
+const FONT_METRICS = Object.freeze({
+  sans: Object.freeze({
+    families: ['e-Ukraine', 'Inter', 'sans-serif', 'system-ui', '-apple-system'],
+    unitsPerEm: 1000,
+    ascent: 969,
+    descent: 242,
+    boldFactor: 1.05,
+    fallback: 600,
+    widths: Object.freeze(expandWidthGroups({
+      220: '\'ʼ’‘|',
+      240: 'ijlії',
+      260: ' .,:;!IІЇ',
+      350: 'ft()[]{}',
+      370: 'r',
+      380: '/\\"«»',
+      420: '1*',
+      430: 'гґ',
+      440: '-–',
+      470: 'т',
+      500: 'zз?_',
+      510: 'sxхJ',
+      520: 'kvyук',
+      540: 'cсвьяL',
+      550: 'aаєч',
+      560: 'eеF',
+      580: 'hnouонпEЕ',
+      600: 'bdgpqрбий023456789+=<>#$',
+      610: 'дц',
+      620: 'PSTZРТЯГҐ',
+      640: 'BRБВЬ',
+      650: 'KYКЧ',
+      660: 'XУХ',
+      680: 'AVАЗ',
+      700: 'CСЄ%',
+      720: 'DGUЛмл',
+      730: 'HNИЙНП',
+      740: 'Д&',
+      750: 'OQО',
+      760: 'Ц',
+      780: 'w@',
+      800: 'жфю',
+      840: 'ФшЮ',
+      860: 'щ',
+      870: 'MМm',
+      920: 'Ж',
+      980: 'WШ',
+      1010: 'Щ',
+      1100: '№—…'
+    }))
+  }),
+  mono: Object.freeze({
+    families: ['monospace', 'ui-monospace', 'Menlo', 'Consolas', 'Courier New'],
+    unitsPerEm: 1000,
+    ascent: 800,
+    descent: 200,
+    boldFactor: 1,
+    fallback: 600,
+    widths: Object.freeze({})
+  })
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FONT_METRICS;
+}
+if (typeof window !== 'undefined') {
+  window.FONT_METRICS = FONT_METRICS;
+}
@@ -0,0 +1,926 @@
+/**
+ * Formula DSL - Vector Logic screens as formulas instead of JSON
+ *
+ * A small text language that compiles to a screen schema document, so
+ * VectorRenderer draws it exactly like a hand-written schema:
+ *
+ *   // Three document rows, 8 units apart
+ *   let rowHeight = 48
+ *   screen name="rows" width=$canvas.width height=$canvas.height {
+ *     prop title = "Документи"
+ *     text "{{title}}" x=$spacing.md y=32 fontSize=$fontSize.lg
+ *     repeat i in 0..3 {
+ *       rect x=$spacing.md y=56 + i * (rowHeight + 8) right=$spacing.md height=rowHeight
+ *            radius=$radius.md fill=$colors.surfaceMuted
+ *       text "Рядок " + (i + 1) x=$spacing.xl y=86 + i * (rowHeight + 8)
+ *     }
+ *   }
+ *
+ * Statements:
+ *   - element   `<type> ["text" | (expr)] name=expr ... [{ children }]` for every
+ *               schema node type; the leading value is text (text), data (qr),
+ *               href (image) or d (path)
+ *   - screen    the root element: name, width, height, label
+ *   - let       `let name = expr` (block scoped)
+ *   - prop      `prop name = "default" [aliases=[...]]` (screen level)
+ *   - def       `def dropShadow id="shadow" dy=4 blur=8` (screen level)
+ *   - repeat    `repeat i in from..to { ... }` (to is exclusive)
+ *   - comments  `// ...`
+ *
+ * Expressions: numbers, `50%`, "strings", `#hex` colors, true/false,
+ * `$token.path`, variables, + - * / with parentheses, [arrays], { objects }
+ * and min/max/round/floor/ceil/abs. A token or percentage used alone stays a
+ * reference in the schema (so themes still apply); inside arithmetic a token
+ * is resolved against the theme's tokens at compile time.
+ *
+ * Errors carry `line` and `column` (1-based) and name them in the message.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/screen-schema.js for the compiled format
+ */
+
+/* global ScreenSchema, DiiaTokens, VectorRenderer */
+
+/**
+ * Upper bound on repeat iterations per block (runaway loops)
+ * @const {number}
+ */
+const FORMULA_MAX_REPEAT = 1000;
+
+/**
+ * Element types whose leading value fills a specific property
+ * @const {Object<string, string>}
+ */
+const FORMULA_PRIMARY_PROPS = Object.freeze({ text: 'text', qr: 'data', image: 'href', path: 'd' });
+
+/**
+ * Built-in numeric functions
+ * @const {Object<string, Function>}
+ */
+const FORMULA_FUNCTIONS = Object.freeze({
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs
+});
+
+const FORMULA_KEYWORDS = ['let', 'prop', 'def', 'repeat', 'in', 'true', 'false'];
+
+/** Binary operator precedence (higher binds tighter) */
+const FORMULA_PRECEDENCE = Object.freeze({ '+': 1, '-': 1, '*': 2, '/': 2 });
+
+/** Markers for values that stay references in the schema */
+const TOKEN_REF = Symbol('token');
+const PERCENT = Symbol('percent');
+
+/**
+ * Create an error positioned in the source
+ * @private
+ * @param {Function} ErrorClass - SyntaxError, TypeError, ReferenceError or RangeError
+ * @param {string} message - Description
+ * @param {{line: number, column: number}} loc - Source position
+ * @returns {Error} Error with line and column
+ */
+function formulaError(ErrorClass, message, loc) {
+  const error = new ErrorClass(`line ${loc.line}, column ${loc.column}: ${message}`);
+  error.line = loc.line;
+  error.column = loc.column;
+  return error;
+}
+
+/**
+ * Split source text into tokens
+ * @private
+ * @param {string} source - DSL source
+ * @returns {Object[]} Tokens ({type, value, line, column}), ending with "eof"
+ * @throws {SyntaxError} On characters that start no token
+ */
+function tokenizeFormula(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+  let lastLine = 0;
+
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({ type, value, line, column: start - lineStart + 1, ...extra });
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const start = index;
+
+    if (char === '\n') {
+      index++;
+      line++;
+      lineStart = index;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (source.startsWith('//', index)) {
+      const end = source.indexOf('\n', index);
+      const text = source.slice(index + 2, end === -1 ? source.length : end).trim();
+      push('comment', text, start, { trailing: lastLine === line });
+      index = end === -1 ? source.length : end;
+      continue;
+    }
+
+    lastLine = line;
+    const rest = source.slice(index);
+    let match;
+
+    if ((match = /^\d+(?:\.\d+)?%?/.exec(rest))) {
+      const percent = match[0].endsWith('%');
+      push('number', parseFloat(match[0]), start, { percent });
+      index += match[0].length;
+    } else if ((match = /^\$([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)/.exec(rest))) {
+      push('token', match[1], start);
+      index += match[0].length;
+    } else if ((match = /^#(?:[0-9a-fA-F]{8}|[0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/.exec(rest))) {
+      push('color', match[0], start);
+      index += match[0].length;
+    } else if ((match = /^[A-Za-z_]\w*/.exec(rest))) {
+      push(FORMULA_KEYWORDS.includes(match[0]) ? 'keyword' : 'ident', match[0], start);
+      index += match[0].length;
+    } else if (char === '"') {
+      let end = index + 1;
+      while (end < source.length && source[end] !== '"' && source[end] !== '\n') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      if (source[end] !== '"') {
+        throw formulaError(SyntaxError, 'Unterminated string', { line, column: start - lineStart + 1 });
+      }
+      let value;
+      try {
+        value = JSON.parse(source.slice(index, end + 1));
+      } catch (e) {
+        throw formulaError(SyntaxError, 'Invalid escape in string', { line, column: start - lineStart + 1 });
+      }
+      push('string', value, start);
+      index = end + 1;
+    } else if (source.startsWith('..', index)) {
+      push('punct', '..', start);
+      index += 2;
+    } else if ('={}()[],:+-*/'.includes(char)) {
+      push('punct', char, start);
+      index++;
+    } else {
+      throw formulaError(SyntaxError, `Unexpected character "${char}"`, { line, column: start - lineStart + 1 });
+    }
+  }
+
+  push('eof', null, index);
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing the DSL syntax tree
+ * @private
+ */
+class FormulaParser {
+  /**
+   * @param {string} source - DSL source
+   */
+  constructor(source) {
+    this.tokens = tokenizeFormula(source);
+    this.index = 0;
+    this.pendingComments = [];
+  }
+
+  /** Current token, skipping comments (collected for the next statement) */
+  peek(offset = 0) {
+    let index = this.index;
+    let seen = -1;
+    while (index < this.tokens.length) {
+      if (this.tokens[index].type !== 'comment' && ++seen === offset) {
+        return this.tokens[index];
+      }
+      index++;
+    }
+    return this.tokens[this.tokens.length - 1];
+  }
+
+  next() {
+    while (this.tokens[this.index].type === 'comment') {
+      this.pendingComments.push(this.tokens[this.index++]);
+    }
+    return this.tokens[this.index++];
+  }
+
+  is(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value, what) {
+    const token = this.peek();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      throw formulaError(SyntaxError, `Expected ${what || `"${value}"`}, got ${describeToken(token)}`, token);
+    }
+    return this.next();
+  }
+
+  /**
+   * Parse a whole program
+   * @returns {Object} Program node
+   */
+  parseProgram() {
+    const body = this.parseStatements('eof');
+    return { type: 'Program', body };
+  }
+
+  /**
+   * Parse statements until a closing token ("}" or end of input)
+   * @param {'eof'|'}'} until - Terminator
+   * @returns {Object[]} Statements (comments included)
+   */
+  parseStatements(until) {
+    const body = [];
+    let previousEnd = null;
+
+    for (;;) {
+      // Own-line comments become statements; a trailing one annotates the previous statement
+      while (this.tokens[this.index].type === 'comment') {
+        const comment = this.tokens[this.index++];
+        const last = body[body.length - 1];
+        if (comment.trailing && last && last.type !== 'Comment' && last.end === comment.line) {
+          last.comment = comment.value;
+        } else {
+          body.push({ type: 'Comment', text: comment.value, line: comment.line, end: comment.line, blankLine: blankLineBefore(previousEnd, comment.line) });
+          previousEnd = comment.line;
+        }
+      }
+      if (until === 'eof' ? this.is('eof') : this.is('punct', '}') || this.is('eof')) {
+        return body;
+      }
+
+      const first = this.peek();
+      const statement = this.parseStatement();
+      const leading = this.pendingComments.splice(0).map((comment) => ({ type: 'Comment', text: comment.value, line: comment.line, end: comment.line }));
+      statement.line = first.line;
+      statement.column = first.column;
+      statement.end = this.tokens[this.index - 1].line;
+      statement.blankLine = blankLineBefore(previousEnd, first.line);
+      // Comments inside a statement move in front of it
+      body.push(...leading, statement);
+      previousEnd = statement.end;
+    }
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'let': {
+          this.next();
+          const name = this.expect('ident', undefined, 'a variable name').value;
+          this.expect('punct', '=');
+          return { type: 'Let', name, value: this.parseExpression() };
+        }
+        case 'prop': {
+          this.next();
+          const name = this.expect('ident', undefined, 'a prop name').value;
+          let value = null;
+          if (this.is('punct', '=')) {
+            this.next();
+            value = this.parseExpression();
+          }
+          return { type: 'Prop', name, value, attrs: this.parseAttributes() };
+        }
+        case 'def': {
+          this.next();
+          const kind = this.expect('ident', undefined, 'a definition type').value;
+          return { type: 'Def', kind, attrs: this.parseAttributes() };
+        }
+        case 'repeat': {
+          this.next();
+          const variable = this.expect('ident', undefined, 'a loop variable').value;
+          this.expect('keyword', 'in');
+          const from = this.parseExpression();
+          this.expect('punct', '..');
+          const to = this.parseExpression();
+          return { type: 'Repeat', variable, from, to, body: this.parseBlock() };
+        }
+        default:
+          throw formulaError(SyntaxError, `Unexpected ${describeToken(token)}`, token);
+      }
+    }
+
+    const kind = this.expect('ident', undefined, 'an element, let, prop, def or repeat').value;
+    let primary = null;
+    if (this.is('string') || this.is('punct', '(')) {
+      primary = this.parseExpression();
+    }
+    const attrs = this.parseAttributes();
+    const children = this.is('punct', '{') ? this.parseBlock() : null;
+    return { type: 'Element', kind, primary, attrs, children };
+  }
+
+  /**
+   * Parse `name=expr` pairs
+   * @returns {Object[]} Attributes ({name, value, line, column})
+   */
+  parseAttributes() {
+    const attrs = [];
+    while (this.is('ident') && this.peek(1).type === 'punct' && this.peek(1).value === '=') {
+      const name = this.next();
+      this.next();
+      if (attrs.some((attr) => attr.name === name.value)) {
+        throw formulaError(SyntaxError, `Duplicate attribute "${name.value}"`, name);
+      }
+      attrs.push({ name: name.value, value: this.parseExpression(), line: name.line, column: name.column });
+    }
+    return attrs;
+  }
+
+  parseBlock() {
+    this.expect('punct', '{');
+    const body = this.parseStatements('}');
+    this.expect('punct', '}');
+    return body;
+  }
+
+  /**
+   * Parse an expression (precedence climbing)
+   * @param {number} [minPrecedence=1] - Lowest operator precedence to accept
+   * @returns {Object} Expression node
+   */
+  parseExpression(minPrecedence = 1) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      const precedence = token.type === 'punct' ? FORMULA_PRECEDENCE[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) {
+        return left;
+      }
+      this.next();
+      const right = this.parseExpression(precedence + 1);
+      left = { type: 'Binary', op: token.value, left, right, line: token.line, column: token.column };
+    }
+  }
+
+  parseUnary() {
+    if (this.is('punct', '-')) {
+      const token = this.next();
+      return { type: 'Unary', op: '-', argument: this.parseUnary(), line: token.line, column: token.column };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    const at = { line: token.line, column: token.column };
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'Number', value: token.value, percent: token.percent, ...at };
+      case 'string':
+        return { type: 'String', value: token.value, ...at };
+      case 'color':
+        return { type: 'Color', value: token.value, ...at };
+      case 'token':
+        return { type: 'Token', path: token.value, ...at };
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'Boolean', value: token.value === 'true', ...at };
+        }
+        break;
+      case 'ident':
+        if (this.is('punct', '(')) {
+          this.next();
+          const args = this.parseList(')');
+          return { type: 'Call', callee: token.value, args, ...at };
+        }
+        return { type: 'Variable', name: token.value, ...at };
+      case 'punct':
+        if (token.value === '(') {
+          const expression = this.parseExpression();
+          this.expect('punct', ')');
+          return { type: 'Group', expression, ...at };
+        }
+        if (token.value === '[') {
+          return { type: 'Array', elements: this.parseList(']'), ...at };
+        }
+        if (token.value === '{') {
+          return { type: 'Object', entries: this.parseObjectEntries(), ...at };
+        }
+        break;
+      default:
+        break;
+    }
+    throw formulaError(SyntaxError, `Expected a value, got ${describeToken(token)}`, token);
+  }
+
+  /** Comma separated expressions up to a closing bracket (trailing comma allowed) */
+  parseList(close) {
+    const items = [];
+    while (!this.is('punct', close)) {
+      items.push(this.parseExpression());
+      if (!this.is('punct', close)) {
+        this.expect('punct', ',', `"," or "${close}"`);
+      }
+    }
+    this.next();
+    return items;
+  }
+
+  /** `key: expr` pairs up to "}" */
+  parseObjectEntries() {
+    const entries = [];
+    while (!this.is('punct', '}')) {
+      const key = this.peek();
+      if (key.type !== 'ident' && key.type !== 'string' && key.type !== 'keyword') {
+        throw formulaError(SyntaxError, `Expected an object key, got ${describeToken(key)}`, key);
+      }
+      this.next();
+      this.expect('punct', ':');
+      entries.push({ key: key.value, value: this.parseExpression() });
+      if (!this.is('punct', '}')) {
+        this.expect('punct', ',', '"," or "}"');
+      }
+    }
+    this.next();
+    return entries;
+  }
+}
+
+/**
+ * Human description of a token for error messages
+ * @private
+ */
+function describeToken(token) {
+  if (token.type === 'eof') return 'end of input';
+  if (token.type === 'string') return `string ${JSON.stringify(token.value)}`;
+  if (token.type === 'token') return `"$${token.value}"`;
+  return `"${token.value}${token.percent ? '%' : ''}"`;
+}
+
+/**
+ * Whether a blank line separates a statement from the previous one
+ * @private
+ */
+function blankLineBefore(previousEnd, line) {
+  return previousEnd !== null && line > previousEnd + 1;
+}
+
+/**
+ * Compiler from the syntax tree to a screen schema document
+ * @private
+ */
+class FormulaCompiler {
+  /**
+   * @param {Object} tokens - Design tokens for arithmetic on token references
+   */
+  constructor(tokens) {
+    this.tokens = tokens;
+  }
+
+  /**
+   * Compile a program
+   * @param {Object} program - Program node
+   * @returns {ScreenSchemaDocument} Validated screen schema
+   */
+  compile(program) {
+    const scope = new Map();
+    const doc = { type: 'screen', version: ScreenSchema.VERSION };
+    let screen = null;
+
+    program.body.forEach((statement) => {
+      if (statement.type === 'Element' && statement.kind === 'screen') {
+        if (screen) {
+          throw formulaError(SyntaxError, 'Only one screen per file', statement);
+        }
+        screen = statement;
+      } else {
+        this.declaration(statement, doc, scope, 'top level');
+      }
+    });
+    if (!screen) {
+      throw formulaError(SyntaxError, 'Missing "screen" element', { line: 1, column: 1 });
+    }
+    if (screen.primary) {
+      throw formulaError(TypeError, 'screen takes no leading value', screen);
+    }
+
+    screen.attrs.forEach((attr) => {
+      doc[attr.name] = this.output(this.evaluate(attr.value, scope));
+    });
+    doc.type = 'screen';
+    doc.version = ScreenSchema.VERSION;
+    doc.children = this.children(screen.children || [], scope, doc);
+
+    try {
+      return ScreenSchema.validate(doc);
+    } catch (error) {
+      // Structural errors (missing r, unknown def type) point at the screen
+      throw formulaError(error.constructor, error.message, screen);
+    }
+  }
+
+  /**
+   * Handle let/prop/def/comment; anything else is not allowed here
+   * @returns {boolean} True if the statement was a declaration
+   */
+  declaration(statement, doc, scope, where) {
+    switch (statement.type) {
+      case 'Comment':
+        return true;
+      case 'Let':
+        scope.set(statement.name, this.evaluate(statement.value, scope));
+        return true;
+      case 'Prop': {
+        if (!doc) {
+          throw formulaError(SyntaxError, 'prop is only allowed at screen level', statement);
+        }
+        const decl = {};
+        if (statement.value) {
+          decl.default = this.output(this.evaluate(statement.value, scope));
+        }
+        statement.attrs.forEach((attr) => {
+          decl[attr.name] = this.output(this.evaluate(attr.value, scope));
+        });
+        doc.props = { ...doc.props, [statement.name]: decl };
+        return true;
+      }
+      case 'Def': {
+        if (!doc) {
+          throw formulaError(SyntaxError, 'def is only allowed at screen level', statement);
+        }
+        if (!ScreenSchema.DEF_TYPES[statement.kind]) {
+          throw formulaError(TypeError, `Unknown definition type "${statement.kind}"`, statement);
+        }
+        const def = { type: statement.kind };
+        statement.attrs.forEach((attr) => {
+          def[attr.name] = this.output(this.evaluate(attr.value, scope));
+        });
+        doc.defs = [...(doc.defs || []), def];
+        return true;
+      }
+      default:
+        throw formulaError(SyntaxError, `${statement.type === 'Repeat' ? 'repeat' : `"${statement.kind}"`} is not allowed at ${where}`, statement);
+    }
+  }
+
+  /**
+   * Compile a block into schema nodes
+   * @param {Object[]} statements - Block statements
+   * @param {Map} parentScope - Enclosing variables
+   * @param {?Object} doc - Screen document (screen level only, for props/defs)
+   * @returns {ScreenNode[]} Nodes
+   */
+  children(statements, parentScope, doc = null) {
+    const scope = new Map(parentScope);
+    const nodes = [];
+
+    statements.forEach((statement) => {
+      if (statement.type === 'Element') {
+        nodes.push(this.element(statement, scope));
+      } else if (statement.type === 'Repeat') {
+        nodes.push(...this.repeat(statement, scope));
+      } else {
+        this.declaration(statement, doc, scope, 'this level');
+      }
+    });
+    return nodes;
+  }
+
+  element(statement, scope) {
+    const { kind } = statement;
+    if (kind === 'screen') {
+      throw formulaError(SyntaxError, 'screen must be the root element', statement);
+    }
+    if (!ScreenSchema.NODE_TYPES[kind]) {
+      throw formulaError(TypeError, `Unknown element "${kind}", expected one of: ${Object.keys(ScreenSchema.NODE_TYPES).join(', ')}`, statement);
+    }
+
+    const node = { type: kind };
+    if (statement.primary) {
+      const prop = FORMULA_PRIMARY_PROPS[kind];
+      if (!prop) {
+        throw formulaError(TypeError, `${kind} takes no leading value`, statement.primary);
+      }
+      node[prop] = this.output(this.evaluate(statement.primary, scope));
+    }
+    statement.attrs.forEach((attr) => {
+      if (attr.name === 'type' || attr.name === 'children') {
+        throw formulaError(SyntaxError, `"${attr.name}" is set by the element itself`, attr);
+      }
+      node[attr.name] = this.output(this.evaluate(attr.value, scope));
+    });
+    if (statement.children) {
+      node.children = this.children(statement.children, scope);
+    }
+    return node;
+  }
+
+  repeat(statement, scope) {
+    const from = this.number(this.evaluate(statement.from, scope), statement.from);
+    const to = this.number(this.evaluate(statement.to, scope), statement.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      throw formulaError(TypeError, 'repeat bounds must be integers', statement);
+    }
+    if (to - from > FORMULA_MAX_REPEAT) {
+      throw formulaError(RangeError, `repeat is limited to ${FORMULA_MAX_REPEAT} iterations`, statement);
+    }
+
+    const nodes = [];
+    for (let i = from; i < to; i++) {
+      const iteration = new Map(scope);
+      iteration.set(statement.variable, i);
+      nodes.push(...this.children(statement.body, iteration));
+    }
+    return nodes;
+  }
+
+  /**
+   * Evaluate an expression to a value (tokens and percentages stay references)
+   * @param {Object} node - Expression node
+   * @param {Map} scope - Variables
+   * @returns {*} Value
+   */
+  evaluate(node, scope) {
+    switch (node.type) {
+      case 'Number':
+        return node.percent ? { [PERCENT]: node.value } : node.value;
+      case 'String':
+      case 'Color':
+      case 'Boolean':
+        return node.value;
+      case 'Token':
+        return { [TOKEN_REF]: node.path };
+      case 'Variable':
+        if (!scope.has(node.name)) {
+          throw formulaError(ReferenceError, `Unknown variable "${node.name}"`, node);
+        }
+        return scope.get(node.name);
+      case 'Group':
+        return this.evaluate(node.expression, scope);
+      case 'Array':
+        return node.elements.map((element) => this.evaluate(element, scope));
+      case 'Object':
+        return Object.fromEntries(node.entries.map(({ key, value }) => [key, this.evaluate(value, scope)]));
+      case 'Unary': {
+        const value = this.evaluate(node.argument, scope);
+        if (value !== null && typeof value === 'object' && PERCENT in value) {
+          return { [PERCENT]: -value[PERCENT] };
+        }
+        return -this.number(value, node.argument);
+      }
+      case 'Call': {
+        const fn = FORMULA_FUNCTIONS[node.callee];
+        if (!fn) {
+          throw formulaError(ReferenceError, `Unknown function "${node.callee}", expected one of: ${Object.keys(FORMULA_FUNCTIONS).join(', ')}`, node);
+        }
+        return fn(...node.args.map((arg) => this.number(this.evaluate(arg, scope), arg)));
+      }
+      case 'Binary': {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        if (node.op === '+' && (typeof left === 'string' || typeof right === 'string')) {
+          return `${this.text(left, node.left)}${this.text(right, node.right)}`;
+        }
+        const a = this.number(left, node.left);
+        const b = this.number(right, node.right);
+        if (node.op === '/' && b === 0) {
+          throw formulaError(RangeError, 'Division by zero', node);
+        }
+        // Round away binary float noise (0.1 + 0.2) so output stays readable
+        const result = { '+': a + b, '-': a - b, '*': a * b, '/': a / b }[node.op];
+        return Math.round(result * 1e6) / 1e6;
+      }
+      default:
+        throw formulaError(SyntaxError, `Unexpected ${node.type}`, node);
+    }
+  }
+
+  /** Numeric value of an operand (tokens resolve against the theme) */
+  number(value, node) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value !== null && typeof value === 'object' && TOKEN_REF in value) {
+      let resolved;
+      try {
+        resolved = ScreenSchema.resolveToken(value[TOKEN_REF], this.tokens);
+      } catch (error) {
+        throw formulaError(ReferenceError, error.message, node);
+      }
+      if (typeof resolved !== 'number') {
+        throw formulaError(TypeError, `Token "$${value[TOKEN_REF]}" is not a number`, node);
+      }
+      return resolved;
+    }
+    if (value !== null && typeof value === 'object' && PERCENT in value) {
+      throw formulaError(TypeError, 'Percentages are relative to the parent and cannot be used in arithmetic', node);
+    }
+    throw formulaError(TypeError, `Expected a number, got ${JSON.stringify(this.output(value))}`, node);
+  }
+
+  /** String value of a concatenation operand */
+  text(value, node) {
+    if (typeof value === 'string' || typeof value === 'number') {
+      return String(value);
+    }
+    if (value !== null && typeof value === 'object' && TOKEN_REF in value) {
+      return String(this.number(value, node));
+    }
+    throw formulaError(TypeError, 'Only strings and numbers can be joined with "+"', node);
+  }
+
+  /** Convert an evaluated value to its schema representation */
+  output(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.output(item));
+    }
+    if (value !== null && typeof value === 'object') {
+      if (TOKEN_REF in value) return `$${value[TOKEN_REF]}`;
+      if (PERCENT in value) return `${value[PERCENT]}%`;
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.output(item)]));
+    }
+    return value;
+  }
+}
+
+/**
+ * Print an expression in canonical form
+ * @private
+ * @param {Object} node - Expression node
+ * @returns {string} Source text
+ */
+function formatExpression(node) {
+  switch (node.type) {
+    case 'Number':
+      return `${node.value}${node.percent ? '%' : ''}`;
+    case 'String':
+      return JSON.stringify(node.value);
+    case 'Color':
+      return node.value;
+    case 'Boolean':
+      return String(node.value);
+    case 'Token':
+      return `$${node.path}`;
+    case 'Variable':
+      return node.name;
+    case 'Group':
+      // Parentheses are re-derived from precedence
+      return formatExpression(node.expression);
+    case 'Array':
+      return `[${node.elements.map(formatExpression).join(', ')}]`;
+    case 'Object':
+      return node.entries.length === 0
+        ? '{}'
+        : `{ ${node.entries.map(({ key, value }) => `${/^[A-Za-z_]\w*$/.test(key) ? key : JSON.stringify(key)}: ${formatExpression(value)}`).join(', ')} }`;
+    case 'Call':
+      return `${node.callee}(${node.args.map(formatExpression).join(', ')})`;
+    case 'Unary': {
+      const argument = unwrapGroup(node.argument);
+      const text = formatExpression(argument);
+      return argument.type === 'Binary' || argument.type === 'Unary' ? `-(${text})` : `-${text}`;
+    }
+    case 'Binary': {
+      const precedence = FORMULA_PRECEDENCE[node.op];
+      const side = (child, right) => {
+        const inner = unwrapGroup(child);
+        const text = formatExpression(inner);
+        if (inner.type !== 'Binary') return text;
+        const childPrecedence = FORMULA_PRECEDENCE[inner.op];
+        // a - (b + c) keeps its parentheses, and so does "x" + (1 + 2) (concatenation)
+        const needs = childPrecedence < precedence || (right && childPrecedence === precedence);
+        return needs ? `(${text})` : text;
+      };
+      return `${side(node.left, false)} ${node.op} ${side(node.right, true)}`;
+    }
+    default:
+      return '';
+  }
+}
+
+/** Strip redundant grouping nodes */
+function unwrapGroup(node) {
+  return node.type === 'Group' ? unwrapGroup(node.expression) : node;
+}
+
+/**
+ * Print statements in canonical form
+ * @private
+ * @param {Object[]} statements - Statements
+ * @param {string} indent - Current indentation
+ * @returns {string[]} Lines
+ */
+function formatStatements(statements, indent) {
+  const lines = [];
+  statements.forEach((statement, i) => {
+    if (statement.blankLine && i > 0) {
+      lines.push('');
+    }
+    const attrs = (list) => list.map((attr) => ` ${attr.name}=${formatExpression(attr.value)}`).join('');
+    const trailing = statement.comment ? ` // ${statement.comment}` : '';
+    let head;
+
+    switch (statement.type) {
+      case 'Comment':
+        lines.push(`${indent}//${statement.text ? ` ${statement.text}` : ''}`);
+        return;
+      case 'Let':
+        head = `let ${statement.name} = ${formatExpression(statement.value)}`;
+        break;
+      case 'Prop':
+        head = `prop ${statement.name}${statement.value ? ` = ${formatExpression(statement.value)}` : ''}${attrs(statement.attrs)}`;
+        break;
+      case 'Def':
+        head = `def ${statement.kind}${attrs(statement.attrs)}`;
+        break;
+      case 'Repeat':
+        head = `repeat ${statement.variable} in ${formatExpression(statement.from)}..${formatExpression(statement.to)}`;
+        break;
+      default:
+        head = `${statement.kind}${statement.primary ? ` ${formatExpression(statement.primary)}` : ''}${attrs(statement.attrs)}`;
+    }
+
+    const body = statement.type === 'Repeat' ? statement.body : statement.children;
+    if (!body) {
+      lines.push(`${indent}${head}${trailing}`);
+    } else if (body.length === 0) {
+      lines.push(`${indent}${head} {}${trailing}`);
+    } else {
+      lines.push(`${indent}${head} {${trailing}`, ...formatStatements(body, `${indent}  `), `${indent}}`);
+    }
+  });
+  return lines;
+}
+
+const FormulaDSL = Object.freeze({
+  MAX_REPEAT: FORMULA_MAX_REPEAT,
+  FUNCTIONS: Object.keys(FORMULA_FUNCTIONS),
+
+  /**
+   * Parse DSL source into a syntax tree
+   * @param {string} source - DSL source
+   * @returns {Object} Program node ({type: 'Program', body})
+   * @throws {TypeError} If source is not a string
+   * @throws {SyntaxError} With line/column on invalid syntax
+   */
+  parse(source) {
+    if (typeof source !== 'string') {
+      throw new TypeError('Formula source must be a string');
+    }
+    return new FormulaParser(source).parseProgram();
+  },
+
+  /**
+   * Compile DSL source (or a parsed program) to a screen schema document
+   * @param {string|Object} source - DSL source or Program node
+   * @param {Object} [options={}] - Compile options
+   * @param {string} [options.theme='light'] - Theme for tokens used in arithmetic
+   * @param {Object} [options.tokens] - Resolved tokens (overrides theme)
+   * @returns {ScreenSchemaDocument} Validated screen schema
+   * @throws {SyntaxError|TypeError|ReferenceError|RangeError} With line/column
+   */
+  compile(source, options = {}) {
+    const program = typeof source === 'string' ? FormulaDSL.parse(source) : source;
+    const tokens = options.tokens || DiiaTokens.resolve(options.theme);
+    return new FormulaCompiler(tokens).compile(program);
+  },
+
+  /**
+   * Compile and render to SVG with VectorRenderer
+   * @param {string} source - DSL source
+   * @param {Object} [options={}] - Render options
+   * @param {number} [options.scale=1] - Scale multiplier
+   * @param {Object} [options.props={}] - Prop values
+   * @param {VectorRenderer} [options.renderer] - Renderer (theme, tokens, ID scoping)
+   * @returns {string} SVG markup
+   */
+  render(source, options = {}) {
+    const renderer = options.renderer || new VectorRenderer({ theme: options.theme });
+    const schema = FormulaDSL.compile(source, { tokens: renderer.tokens });
+    return renderer.render(schema, options.scale === undefined ? 1 : options.scale, options.props || {});
+  },
+
+  /**
+   * Print DSL source in canonical form (2-space indent, one statement per
+   * line, minimal parentheses); comments and blank lines are kept, so
+   * format(format(source)) === format(source)
+   * @param {string|Object} source - DSL source or Program node
+   * @returns {string} Formatted source
+   */
+  format(source) {
+    const program = typeof source === 'string' ? FormulaDSL.parse(source) : source;
+    return `${formatStatements(program.body, '').join('\n')}\n`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormulaDSL;
+}
+if (typeof window !== 'undefined') {
+  window.FormulaDSL = FormulaDSL;
+}
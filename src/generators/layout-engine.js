@@ -0,0 +1,430 @@
+/**
+ * Layout Engine - Constraint-based stack layout for screen schemas
+ *
+ * Turns schema nodes into absolute boxes before anything is painted:
+ *   - frames and groups position children absolutely (x/y/right/bottom, "50%")
+ *   - stacks flow children vertically or horizontally:
+ *       y = prevY + height + gap
+ *     with padding, gap, main-axis justification and cross-axis alignment
+ *   - sizes are numbers, tokens, percentages, "fill" (share the free space)
+ *     or "hug" (shrink to content)
+ *   - stack children with position: "absolute" opt out of the flow
+ *
+ * All boxes are in unscaled design units; renderers multiply by scale.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/* global ScreenSchema, TextLayout */
+
+/**
+ * @typedef {Object} LayoutBox
+ * @property {ScreenNode} node - Source schema node
+ * @property {number} x - Left edge (design units, absolute)
+ * @property {number} y - Top edge
+ * @property {number} width - Box width
+ * @property {number} height - Box height
+ * @property {number} [baseline] - Text only: absolute Y of the first baseline
+ * @property {string[]} [lines] - Text only: wrapped lines
+ * @property {number} [lineHeight] - Text only: distance between baselines
+ * @property {boolean} [truncated] - Text only: true if the text was ellipsized
+ * @property {LayoutBox[]} children - Laid out children
+ */
+
+/**
+ * Container node types
+ * @const {string[]}
+ */
+const LAYOUT_CONTAINER_TYPES = ['frame', 'stack', 'group'];
+
+/**
+ * LayoutEngine Class
+ *
+ * @class
+ * @example
+ * const engine = new LayoutEngine({ tokens: DiiaTokens.resolve() });
+ * const boxes = engine.layout(schema.children, { x: 0, y: 0, width: 360, height: 680 });
+ */
+class LayoutEngine {
+  /**
+   * @param {Object} [options={}] - Engine options
+   * @param {Object} [options.tokens={}] - Design tokens for "$token" references
+   * @param {Function} [options.measureText] - (text, options) => TextBlock, defaults to TextLayout.layout
+   */
+  constructor(options = {}) {
+    this.tokens = options.tokens || {};
+    this.measureText = options.measureText || TextLayout.layout;
+  }
+
+  /**
+   * Lay out top-level nodes inside a root box
+   *
+   * @param {ScreenNode[]} nodes - Schema nodes
+   * @param {{x: number, y: number, width: number, height: number}} box - Root box
+   * @param {Object} [props={}] - Resolved props (for measuring text)
+   * @returns {LayoutBox[]} Laid out boxes
+   */
+  layout(nodes, box, props = {}) {
+    const ctx = { props };
+    return nodes.map((node) => this._placeAbsolute(node, box, ctx));
+  }
+
+  /**
+   * Resolve a schema value (tokens, percentages)
+   * @private
+   * @param {*} value - Raw value
+   * @param {number} [relativeTo=0] - Reference dimension for percentages
+   * @returns {*} Resolved value
+   */
+  _resolve(value, relativeTo = 0) {
+    return ScreenSchema.resolveValue(value, this.tokens, relativeTo);
+  }
+
+  /**
+   * Resolve padding into [top, right, bottom, left]
+   * @private
+   * @param {number|string|Array} padding - CSS-like padding shorthand
+   * @returns {number[]} Padding edges
+   */
+  _padding(padding) {
+    if (padding === undefined) return [0, 0, 0, 0];
+    const values = (Array.isArray(padding) ? padding : [padding]).map((v) => this._resolve(v) || 0);
+    switch (values.length) {
+      case 1:
+        return [values[0], values[0], values[0], values[0]];
+      case 2:
+        return [values[0], values[1], values[0], values[1]];
+      case 3:
+        return [values[0], values[1], values[2], values[1]];
+      default:
+        return values.slice(0, 4);
+    }
+  }
+
+  /**
+   * Shrink a box by padding
+   * @private
+   * @param {Object} box - Outer box
+   * @param {number[]} padding - [top, right, bottom, left]
+   * @returns {Object} Content box
+   */
+  _inset(box, [top, right, bottom, left]) {
+    return {
+      x: box.x + left,
+      y: box.y + top,
+      width: Math.max(0, box.width - left - right),
+      height: Math.max(0, box.height - top - bottom)
+    };
+  }
+
+  /**
+   * Measure a text node (wrapping and truncation included)
+   * @private
+   * @param {ScreenNode} node - Text node
+   * @param {number} [maxWidth=Infinity] - Available width for wrapping
+   * @param {Object} ctx - Layout context
+   * @returns {TextBlock} Laid out text
+   */
+  _measureText(node, maxWidth = Infinity, ctx) {
+    const limit = this._resolve(node.maxWidth, maxWidth);
+    return this.measureText(ScreenSchema.interpolate(node.text, ctx.props), {
+      fontSize: this._resolve(node.fontSize || '$fontSize.base'),
+      fontFamily: this._resolve(node.fontFamily || '$fontFamily.primary'),
+      fontWeight: this._resolve(node.fontWeight),
+      lineHeight: node.lineHeight,
+      maxWidth: typeof limit === 'number' ? Math.min(limit, maxWidth) : maxWidth,
+      maxLines: node.maxLines
+    });
+  }
+
+  /**
+   * Intrinsic ("hug") size of a node
+   * @private
+   * @param {ScreenNode} node - Schema node
+   * @param {number} maxWidth - Available width (for text wrapping)
+   * @param {Object} ctx - Layout context
+   * @returns {{width: number, height: number}} Content size
+   */
+  _intrinsicSize(node, maxWidth, ctx) {
+    const fixed = (value, fallback) => {
+      const resolved = this._resolve(value);
+      return typeof resolved === 'number' ? resolved : fallback;
+    };
+
+    switch (node.type) {
+      case 'text': {
+        const size = this._measureText(node, fixed(node.width, maxWidth), ctx);
+        return { width: fixed(node.width, size.width), height: fixed(node.height, size.height) };
+      }
+      case 'circle': {
+        const d = this._resolve(node.r) * 2;
+        return { width: d, height: d };
+      }
+      case 'qr': {
+        const size = this._resolve(node.size);
+        return { width: size, height: size };
+      }
+      case 'stack': {
+        const [top, right, bottom, left] = this._padding(node.padding);
+        const horizontal = node.direction === 'horizontal';
+        const gap = this._resolve(node.gap) || 0;
+        const available = fixed(node.width, maxWidth) - left - right;
+        const content = { x: 0, y: 0, width: available, height: Infinity };
+        const { items } = this._flowItems(node, content, ctx, true);
+        const main = items.reduce((sum, item) => sum + item.main, 0) + Math.max(0, items.length - 1) * gap;
+        const cross = Math.max(0, ...items.map((item) => item.cross));
+        return {
+          width: fixed(node.width, (horizontal ? main : cross) + left + right),
+          height: fixed(node.height, (horizontal ? cross : main) + top + bottom)
+        };
+      }
+      case 'frame':
+      case 'group': {
+        const [top, right, bottom, left] = this._padding(node.padding);
+        let width = 0;
+        let height = 0;
+        (node.children || []).forEach((child) => {
+          const size = this._childSize(child, maxWidth - left - right, ctx);
+          width = Math.max(width, (fixed(child.x, 0)) + size.width);
+          height = Math.max(height, (fixed(child.y, 0)) + size.height);
+        });
+        return {
+          width: fixed(node.width, width + left + right),
+          height: fixed(node.height, height + top + bottom)
+        };
+      }
+      default:
+        return { width: fixed(node.width, 0), height: fixed(node.height, 0) };
+    }
+  }
+
+  /**
+   * Size of a child used when measuring its parent ("fill" counts as content size)
+   * @private
+   * @param {ScreenNode} child - Child node
+   * @param {number} maxWidth - Available width
+   * @param {Object} ctx - Layout context
+   * @returns {{width: number, height: number}} Size
+   */
+  _childSize(child, maxWidth, ctx) {
+    const intrinsic = this._intrinsicSize(child, maxWidth, ctx);
+    const width = this._resolve(child.width, Number.isFinite(maxWidth) ? maxWidth : 0);
+    const height = this._resolve(child.height);
+    return {
+      width: typeof width === 'number' ? width : intrinsic.width,
+      height: typeof height === 'number' ? height : intrinsic.height
+    };
+  }
+
+  /**
+   * Place a node absolutely inside a parent box (frames, groups, root)
+   * @private
+   * @param {ScreenNode} node - Schema node
+   * @param {Object} parent - Parent content box
+   * @param {Object} ctx - Layout context
+   * @returns {LayoutBox} Placed box
+   */
+  _placeAbsolute(node, parent, ctx) {
+    const x = this._resolve(node.x, parent.width);
+    const y = this._resolve(node.y, parent.height);
+    const right = this._resolve(node.right, parent.width);
+    const bottom = this._resolve(node.bottom, parent.height);
+
+    // Circles keep their center-based geometry
+    if (node.type === 'circle') {
+      const r = this._resolve(node.r);
+      const cx = parent.x + (this._resolve(node.cx, parent.width) || 0);
+      const cy = parent.y + (this._resolve(node.cy, parent.height) || 0);
+      return this._place(node, { x: cx - r, y: cy - r, width: r * 2, height: r * 2 }, ctx);
+    }
+
+    const fillsByDefault = node.type === 'frame' || node.type === 'group';
+    // Absolute text only wraps inside an explicit width (or between x and right)
+    const availableWidth = node.type === 'text' ? Infinity : parent.width - (x || 0) - (right || 0);
+    let width = this._resolve(node.width, parent.width);
+    let height = this._resolve(node.height, parent.height);
+    let intrinsic = null;
+    const hug = () => intrinsic || (intrinsic = this._intrinsicSize(node, availableWidth, ctx));
+
+    // Stretch between opposite anchors; frames and groups fill the remaining space by default
+    if (typeof width !== 'number') {
+      const stretch = width === 'fill' || (x !== undefined && right !== undefined) ||
+        (width === undefined && fillsByDefault);
+      width = stretch ? parent.width - (x || 0) - (right || 0) : hug().width;
+    }
+    if (typeof height !== 'number') {
+      const stretch = height === 'fill' || (y !== undefined && bottom !== undefined) ||
+        (height === undefined && fillsByDefault);
+      height = stretch ? parent.height - (y || 0) - (bottom || 0) : hug().height;
+    }
+
+    let left = x !== undefined ? x : right !== undefined ? parent.width - right - width : 0;
+    let top = y !== undefined ? y : bottom !== undefined ? parent.height - bottom - height : 0;
+
+    // Absolutely positioned text is anchored at its baseline origin, as in SVG
+    if (node.type === 'text') {
+      const originX = x !== undefined ? x : right !== undefined ? parent.width - right : 0;
+      const originY = y !== undefined ? y : bottom !== undefined ? parent.height - bottom : 0;
+      const shift = node.anchor === 'middle' ? width / 2 : node.anchor === 'end' ? width : 0;
+      left = originX - shift;
+      top = originY - this._measureText(node, width, ctx).ascent;
+    }
+
+    return this._place(node, { x: parent.x + left, y: parent.y + top, width, height }, ctx);
+  }
+
+  /**
+   * Create the layout box for a node and lay out its children
+   * @private
+   * @param {ScreenNode} node - Schema node
+   * @param {{x: number, y: number, width: number, height: number}} box - Node box
+   * @param {Object} ctx - Layout context
+   * @returns {LayoutBox} Layout box
+   */
+  _place(node, box, ctx) {
+    const result = { node, ...box, children: [] };
+
+    if (node.type === 'text') {
+      const block = this._measureText(node, box.width, ctx);
+      result.baseline = box.y + block.ascent;
+      result.lines = block.lines;
+      result.lineHeight = block.lineHeight;
+      result.truncated = block.truncated;
+    }
+
+    if (!LAYOUT_CONTAINER_TYPES.includes(node.type)) {
+      return result;
+    }
+
+    const content = this._inset(box, this._padding(node.padding));
+    if (node.type === 'stack') {
+      result.children = this._placeStack(node, content, ctx);
+    } else {
+      result.children = (node.children || []).map((child) => this._placeAbsolute(child, content, ctx));
+    }
+    return result;
+  }
+
+  /**
+   * Resolve the main/cross size of every flow child of a stack
+   * Fixed sizes are kept, "hug" children are measured and "fill" children
+   * share the free main-axis space (by `grow`). When measuring a hug stack,
+   * stretch is ignored and unbounded axes fall back to content size.
+   *
+   * @private
+   * @param {ScreenNode} node - Stack node
+   * @param {Object} content - Content box (may be unbounded when measuring)
+   * @param {Object} ctx - Layout context
+   * @param {boolean} measuring - True when computing the stack's own hug size
+   * @returns {{items: Object[], free: number, totalGrow: number}} Sized items
+   */
+  _flowItems(node, content, ctx, measuring) {
+    const horizontal = node.direction === 'horizontal';
+    const mainKey = horizontal ? 'width' : 'height';
+    const crossKey = horizontal ? 'height' : 'width';
+    const mainSize = content[mainKey];
+    const crossSize = content[crossKey];
+    const finite = (value) => (Number.isFinite(value) ? value : 0);
+    const gap = this._resolve(node.gap) || 0;
+    const align = node.align || 'start';
+
+    const flow = (node.children || []).filter((child) => child.position !== 'absolute');
+
+    // 1. Resolve sizes: fixed, hug or fill (grow)
+    const items = flow.map((child) => {
+      const main = this._resolve(child[mainKey], finite(mainSize));
+      const cross = this._resolve(child[crossKey], finite(crossSize));
+      const childAlign = child.alignSelf || align;
+      const item = { child, grow: 0, main: 0, cross: 0, align: childAlign };
+
+      const stretchCross = !measuring && (cross === 'fill' || (cross === undefined && childAlign === 'stretch'));
+      if (typeof cross === 'number') item.cross = cross;
+      else if (stretchCross) item.cross = crossSize;
+
+      const maxWidth = horizontal
+        ? (typeof main === 'number' ? main : Infinity)
+        : (typeof cross === 'number' ? cross : crossSize);
+      const intrinsic = this._intrinsicSize(child, maxWidth, ctx);
+
+      if (typeof main === 'number') item.main = main;
+      else if (main === 'fill' && Number.isFinite(mainSize)) item.grow = child.grow || 1;
+      else item.main = intrinsic[mainKey];
+
+      item.hugCross = typeof cross !== 'number' && !stretchCross;
+      if (item.hugCross) item.cross = intrinsic[crossKey];
+      return item;
+    });
+
+    // 2. Distribute free space to growing children
+    const used = items.reduce((sum, item) => sum + item.main, 0) + Math.max(0, items.length - 1) * gap;
+    const free = Number.isFinite(mainSize) ? Math.max(0, mainSize - used) : 0;
+    const totalGrow = items.reduce((sum, item) => sum + item.grow, 0);
+    items.forEach((item) => {
+      if (item.grow > 0) item.main = (free * item.grow) / totalGrow;
+      // Wrapped text gets taller once its final width is known
+      if (horizontal && item.hugCross) {
+        item.cross = this._intrinsicSize(item.child, item.main, ctx).height;
+      }
+    });
+
+    return { items, free, totalGrow };
+  }
+
+  /**
+   * Flow stack children along the main axis
+   * @private
+   * @param {ScreenNode} node - Stack node
+   * @param {Object} content - Content box (padding applied)
+   * @param {Object} ctx - Layout context
+   * @returns {LayoutBox[]} Children boxes in document order
+   */
+  _placeStack(node, content, ctx) {
+    const horizontal = node.direction === 'horizontal';
+    const crossSize = horizontal ? content.height : content.width;
+    const gap = this._resolve(node.gap) || 0;
+    const { items, free, totalGrow } = this._flowItems(node, content, ctx, false);
+
+    // 3. Main-axis justification
+    const remaining = totalGrow > 0 ? 0 : free;
+    let cursor = 0;
+    let spacing = gap;
+    switch (node.justify) {
+      case 'center':
+        cursor = remaining / 2;
+        break;
+      case 'end':
+        cursor = remaining;
+        break;
+      case 'space-between':
+        spacing = items.length > 1 ? gap + remaining / (items.length - 1) : gap;
+        break;
+      default:
+        break;
+    }
+
+    // 4. Place children: y = prevY + height + gap
+    const placed = new Map();
+    items.forEach((item) => {
+      let crossOffset = 0;
+      if (item.align === 'center') crossOffset = (crossSize - item.cross) / 2;
+      if (item.align === 'end') crossOffset = crossSize - item.cross;
+
+      const box = horizontal
+        ? { x: content.x + cursor, y: content.y + crossOffset, width: item.main, height: item.cross }
+        : { x: content.x + crossOffset, y: content.y + cursor, width: item.cross, height: item.main };
+      placed.set(item.child, this._place(item.child, box, ctx));
+      cursor += item.main + spacing;
+    });
+
+    return (node.children || []).map((child) => placed.get(child) || this._placeAbsolute(child, content, ctx));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LayoutEngine;
+}
+if (typeof window !== 'undefined') {
+  window.LayoutEngine = LayoutEngine;
+}
@@ -0,0 +1,756 @@
+/**
+ * Lottie Exporter - Scene graph and a timeline to Lottie (Bodymovin) JSON
+ *
+ * Draws a laid out screen (see SceneGraph) as shape layers, one per painted
+ * node, and animates it from a keyframe description, so native players
+ * (lottie-ios, lottie-android, lottie-web) play what the browser animates:
+ *   - `tilt`: the hologram gradient sweep of VectorRenderer.setTilt
+ *   - `ripple`: the DiiaButton press ripple over a node
+ *   - `particles`: the drifting dots of VectorBackground (without the
+ *     connecting lines, which change every frame)
+ *   - property tracks: opacity, position, scale and rotation of any node
+ *     with an ID, its children included
+ *
+ * Text becomes text layers naming the token font family; players load it from
+ * the app's fonts. Images are referenced by URL, stretched to their box.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, DiiaTokens */
+
+/**
+ * Bodymovin format version written in the file
+ * @const {string}
+ */
+const LOTTIE_VERSION = '5.7.4';
+
+/**
+ * Control point distance of a quarter circle drawn as a cubic curve, per unit radius
+ * @const {number}
+ */
+const LOTTIE_KAPPA = 0.5523;
+
+/**
+ * Easing of the segment leaving a keyframe, as CSS cubic-bezier control points
+ * (`hold` jumps to the next value)
+ * @const {Object<string, ?number[]>}
+ */
+const LOTTIE_EASINGS = Object.freeze({
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+  hold: null
+});
+
+/**
+ * Line caps and joins by their Lottie codes
+ * @const {Object<string, Object<string, number>>}
+ */
+const LOTTIE_LINE_STYLES = Object.freeze({
+  linecap: Object.freeze({ butt: 1, round: 2, square: 3 }),
+  linejoin: Object.freeze({ miter: 1, round: 2, bevel: 3 })
+});
+
+/**
+ * Number rounded to 3 decimals (keeps the JSON small)
+ * @private
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function lottieNumber(value) {
+  return Math.round(value * 1000) / 1000 || 0;
+}
+
+/**
+ * Static property value
+ * @private
+ * @param {number|number[]} value - Value
+ * @returns {{a: 0, k: number|number[]}} Lottie property
+ */
+function lottieStatic(value) {
+  return { a: 0, k: Array.isArray(value) ? value.map(lottieNumber) : lottieNumber(value) };
+}
+
+/**
+ * Animated property value, or a static one when every keyframe holds the same value
+ * @private
+ * @param {{frame: number, value: number[], easing?: string}[]} keyframes - Keyframes by frame
+ * @returns {Object} Lottie property
+ */
+function lottieAnimated(keyframes) {
+  const same = keyframes.every(({ value }) => value.every((v, i) => lottieNumber(v) === lottieNumber(keyframes[0].value[i])));
+  if (same) {
+    return lottieStatic(keyframes[0].value.length === 1 ? keyframes[0].value[0] : keyframes[0].value);
+  }
+  return {
+    a: 1,
+    k: keyframes.map(({ frame, value, easing = 'linear' }, i) => {
+      const keyframe = { t: lottieNumber(frame), s: value.map(lottieNumber) };
+      if (i === keyframes.length - 1) {
+        return keyframe;
+      }
+      const curve = LOTTIE_EASINGS[easing];
+      if (!curve) {
+        return { ...keyframe, h: 1 };
+      }
+      return { ...keyframe, o: { x: [curve[0]], y: [curve[1]] }, i: { x: [curve[2]], y: [curve[3]] } };
+    })
+  };
+}
+
+/**
+ * Identity layer or group transform, with overrides
+ * @private
+ * @param {Object} [overrides={}] - Properties to replace (o, p, a, s, r)
+ * @returns {Object} Lottie transform
+ */
+function lottieTransform(overrides = {}) {
+  return {
+    o: lottieStatic(100),
+    r: lottieStatic(0),
+    p: lottieStatic([0, 0, 0]),
+    a: lottieStatic([0, 0, 0]),
+    s: lottieStatic([100, 100, 100]),
+    ...overrides
+  };
+}
+
+/**
+ * 0-1 RGBA components of a color, opacity left to the fill
+ * @private
+ * @param {{r: number, g: number, b: number}} color - SceneGraph.color result
+ * @returns {number[]} [r, g, b, 1]
+ */
+function lottieColor(color) {
+  return [color.r, color.g, color.b, 1].map(lottieNumber);
+}
+
+/**
+ * Closed outline of a (rounded) rectangle as one Lottie path
+ * @private
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} [radius=0] - Corner radius
+ * @returns {{c: boolean, v: number[][], i: number[][], o: number[][]}} Path with vertices and tangents
+ */
+function lottieRectPath(x, y, width, height, radius = 0) {
+  const r = Math.min(radius || 0, width / 2, height / 2);
+  const right = x + width;
+  const bottom = y + height;
+  if (!r) {
+    const zero = [[0, 0], [0, 0], [0, 0], [0, 0]];
+    return { c: true, v: [[x, y], [right, y], [right, bottom], [x, bottom]].map((p) => p.map(lottieNumber)), i: zero, o: zero };
+  }
+  const k = lottieNumber(r * LOTTIE_KAPPA);
+  return {
+    c: true,
+    v: [[x + r, y], [right - r, y], [right, y + r], [right, bottom - r], [right - r, bottom], [x + r, bottom], [x, bottom - r], [x, y + r]]
+      .map((p) => p.map(lottieNumber)),
+    i: [[-k, 0], [0, 0], [0, -k], [0, 0], [k, 0], [0, 0], [0, k], [0, 0]],
+    o: [[0, 0], [k, 0], [0, 0], [0, k], [0, 0], [-k, 0], [0, 0], [0, -k]]
+  };
+}
+
+/**
+ * Lottie paths of SVG path data, one per subpath
+ * @private
+ * @param {string} d - Path data
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {{c: boolean, v: number[][], i: number[][], o: number[][]}[]} Paths with vertices and tangents
+ */
+function lottiePaths(d, dx, dy) {
+  const paths = [];
+  let path = null;
+  let start = [dx, dy];
+  const begin = (x, y) => {
+    path = { c: false, v: [[x, y]], i: [[0, 0]], o: [[0, 0]] };
+    paths.push(path);
+  };
+  const add = (x, y, inTangent = [0, 0]) => {
+    path.v.push([x, y]);
+    path.i.push(inTangent);
+    path.o.push([0, 0]);
+  };
+  SceneGraph.pathCommands(d, dx, dy).forEach(({ command, points }) => {
+    if (command === 'M') {
+      begin(points[0], points[1]);
+      start = points;
+      return;
+    }
+    if (command === 'Z') {
+      if (path) {
+        const last = path.v.length - 1;
+        // A closing vertex on the start point merges into it
+        if (last > 0 && path.v[last][0] === path.v[0][0] && path.v[last][1] === path.v[0][1]) {
+          path.i[0] = path.i[last];
+          path.v.pop();
+          path.i.pop();
+          path.o.pop();
+        }
+        path.c = true;
+      }
+      path = null;
+      return;
+    }
+    if (!path) {
+      begin(start[0], start[1]);
+    }
+    const last = path.v.length - 1;
+    const [px, py] = path.v[last];
+    let cubic = points;
+    if (command === 'L') {
+      add(points[0], points[1]);
+      return;
+    }
+    if (command === 'Q') {
+      // Control points 2/3 of the way from each end to the quadratic control
+      const [cx, cy, x, y] = points;
+      cubic = [px + (cx - px) * 2 / 3, py + (cy - py) * 2 / 3, x + (cx - x) * 2 / 3, y + (cy - y) * 2 / 3, x, y];
+    }
+    const [c1x, c1y, c2x, c2y, x, y] = cubic;
+    path.o[last] = [c1x - px, c1y - py];
+    add(x, y, [c2x - x, c2y - y]);
+  });
+  return paths.map((p) => ({ c: p.c, v: p.v.map((q) => q.map(lottieNumber)), i: p.i.map((q) => q.map(lottieNumber)), o: p.o.map((q) => q.map(lottieNumber)) }));
+}
+
+/**
+ * Text style name of a CSS font weight
+ * @private
+ * @param {string|number} [weight] - Font weight
+ * @returns {string} "Regular", "Medium", "SemiBold" or "Bold"
+ */
+function lottieFontStyle(weight) {
+  const value = weight === 'bold' ? 700 : Number(weight) || 400;
+  return value >= 700 ? 'Bold' : value >= 600 ? 'SemiBold' : value >= 500 ? 'Medium' : 'Regular';
+}
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32), so an export is repeatable
+ * @private
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator
+ */
+function lottieRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check a track's keyframes and convert their times to frames
+ * @private
+ * @param {Object[]} keyframes - Keyframes with `time` in seconds
+ * @param {number} fps - Frame rate
+ * @param {string} what - Track description for errors
+ * @returns {Object[]} Keyframes with `frame`
+ * @throws {TypeError} If there are no keyframes or an easing is unknown
+ * @throws {RangeError} If times are negative or out of order
+ */
+function lottieKeyframes(keyframes, fps, what) {
+  if (!Array.isArray(keyframes) || !keyframes.length) {
+    throw new TypeError(`${what} needs keyframes`);
+  }
+  let previous = -Infinity;
+  return keyframes.map((keyframe) => {
+    const { time, easing } = keyframe;
+    if (!Number.isFinite(time) || time < 0 || time <= previous) {
+      throw new RangeError(`${what}: keyframe times must be increasing seconds from 0, got ${time}`);
+    }
+    if (easing !== undefined && !(easing in LOTTIE_EASINGS)) {
+      throw new TypeError(`${what}: unknown easing "${easing}" (${Object.keys(LOTTIE_EASINGS).join(', ')})`);
+    }
+    previous = time;
+    return { ...keyframe, frame: time * fps };
+  });
+}
+
+/**
+ * Linear keyframes of a particle bouncing inside a box (VectorBackground.update)
+ * @private
+ * @param {Object} particle - Start position and velocity per second
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} duration - Seconds
+ * @param {number} fps - Frame rate
+ * @returns {{frame: number, value: number[]}[]} Position keyframes
+ */
+function lottieBounce(particle, width, height, duration, fps) {
+  let { x, y, vx, vy } = particle;
+  let time = 0;
+  const keyframes = [{ frame: 0, value: [x, y] }];
+  const until = (position, velocity, size) => (velocity > 0 ? (size - position) / velocity : velocity < 0 ? -position / velocity : Infinity);
+  while (time < duration) {
+    const tx = until(x, vx, width);
+    const ty = until(y, vy, height);
+    const step = Math.min(tx, ty, duration - time);
+    time += step;
+    x = Math.max(0, Math.min(width, x + vx * step));
+    y = Math.max(0, Math.min(height, y + vy * step));
+    if (tx === step) vx = -vx;
+    if (ty === step) vy = -vy;
+    if (step > 0 && lottieNumber(time * fps) > keyframes[keyframes.length - 1].frame) {
+      keyframes.push({ frame: lottieNumber(time * fps), value: [x, y] });
+    }
+  }
+  return keyframes;
+}
+
+const LottieExporter = Object.freeze({
+  /**
+   * Animate a scene as a Lottie composition
+   *
+   * A timeline lists tracks; times are in seconds and each keyframe's easing
+   * (linear, ease, ease-in, ease-out, ease-in-out, hold) shapes the segment
+   * to the next keyframe, as in CSS.
+   *   - `{type: 'tilt', keyframes: [{time, x, y}]}` - hologram tilt in [-1, 1]
+   *   - `{type: 'ripple', target, time, duration = 0.6, x, y}` - press ripple
+   *     from a point of the node (its center by default)
+   *   - `{type: 'particles', count = 50, seed = 1, speed = 0.5, color, opacity = 0.3, above}` -
+   *     drifting dots over the whole screen, behind it or above the node `above`
+   *   - `{target, property, keyframes: [{time, value}]}` - `opacity` (0-1),
+   *     `position` ([dx, dy] from the layout), `scale` (factor or [sx, sy]) or
+   *     `rotation` (degrees) of a node, around its center
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Export options
+   * @param {Object} [options.timeline={}] - Tracks, `duration` (default: end of the last track, at least 1s) and `fps` (default 60)
+   * @param {Object} [options.tokens] - Resolved design tokens (hologram, pattern and particle colors)
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Theme to resolve tokens for when none are given
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry
+   * @throws {TypeError} If a track has an unknown type, property or easing
+   * @throws {RangeError} If the frame rate, duration or keyframe times are invalid
+   * @throws {ReferenceError} If a track targets a node ID the scene does not have
+   * @returns {Object} Lottie animation (serialize with JSON.stringify)
+   * @example
+   * LottieExporter.fromScene(SceneGraph.build('upload-screen'), {
+   *   timeline: { tracks: [{ type: 'ripple', target: 'next-button', time: 0.2 }] }
+   * });
+   * // {v: '5.7.4', fr: 60, ip: 0, op: 60, w: 360, h: 680, layers: [...]}
+   */
+  fromScene(scene, options = {}) {
+    const { timeline = {}, pattern } = options;
+    const tokens = options.tokens || DiiaTokens.resolve(options.theme);
+    const { colors } = tokens;
+    const fps = timeline.fps === undefined ? 60 : timeline.fps;
+    if (!Number.isFinite(fps) || fps <= 0) {
+      throw new RangeError(`Frame rate must be a positive number, got ${fps}`);
+    }
+
+    // Check the tracks and find their targets
+    const nodes = new Map();
+    SceneGraph.walk(scene, (node) => {
+      if (node.id && !nodes.has(node.id)) nodes.set(node.id, node);
+    });
+    const target = (id, what) => {
+      if (!nodes.has(id)) {
+        throw new ReferenceError(`${what}: the scene has no node "${id}"`);
+      }
+      return nodes.get(id);
+    };
+    let end = 0;
+    let tilt = null;
+    const ripples = [];
+    const particles = [];
+    const animated = new Map();
+    (timeline.tracks || []).forEach((track, index) => {
+      const what = `Track ${index + 1}`;
+      if (track.type === 'tilt') {
+        tilt = lottieKeyframes(track.keyframes, fps, what).map((keyframe) => ({
+          ...keyframe,
+          x: Math.max(-1, Math.min(1, keyframe.x || 0)),
+          y: Math.max(-1, Math.min(1, keyframe.y || 0))
+        }));
+        end = Math.max(end, track.keyframes[track.keyframes.length - 1].time);
+      } else if (track.type === 'ripple') {
+        const { time = 0, duration = 0.6 } = track;
+        if (!(time >= 0) || !(duration > 0)) {
+          throw new RangeError(`${what}: ripple time and duration must be positive seconds`);
+        }
+        ripples.push({ ...track, node: target(track.target, what), time, duration });
+        end = Math.max(end, time + duration);
+      } else if (track.type === 'particles') {
+        if (track.above !== undefined) target(track.above, what);
+        particles.push(track);
+      } else if (track.type === undefined && ['opacity', 'position', 'scale', 'rotation'].includes(track.property)) {
+        const node = target(track.target, what);
+        const keyframes = lottieKeyframes(track.keyframes, fps, what);
+        animated.set(node, { ...animated.get(node), [track.property]: keyframes });
+        end = Math.max(end, track.keyframes[track.keyframes.length - 1].time);
+      } else {
+        throw new TypeError(`${what}: expected a tilt, ripple or particles track, or an opacity, position, scale or rotation property track`);
+      }
+    });
+    const duration = timeline.duration === undefined ? Math.max(end, 1) : timeline.duration;
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new RangeError(`Duration must be a positive number of seconds, got ${duration}`);
+    }
+    const frames = lottieNumber(duration * fps);
+
+    // Layers are collected back to front and reversed at the end (Lottie lists the top layer first)
+    const layers = [];
+    const assets = [];
+    const fonts = new Map();
+    let index = 0;
+    const layer = (ty, nm, context, extra) => {
+      const entry = { ddd: 0, ind: ++index, ty, nm, sr: 1, ks: lottieTransform(), ao: 0, ip: 0, op: frames, st: 0, bm: 0, ...extra };
+      if (context.parent) entry.parent = context.parent;
+      if (context.clips.length) {
+        entry.hasMask = true;
+        entry.masksProperties = context.clips.map((clip, i) => ({
+          inv: false,
+          mode: i ? 'i' : 'a',
+          pt: { a: 0, k: lottieRectPath(clip.x, clip.y, clip.width, clip.height, clip.radius) },
+          o: lottieStatic(100),
+          x: lottieStatic(0),
+          nm: `Clip ${i + 1}`
+        }));
+      }
+      // Opacity of the node and its ancestors, with the nearest opacity track
+      entry.ks.o = context.fade
+        ? lottieAnimated(context.fade.map((keyframe) => ({ ...keyframe, value: [keyframe.value * 100 * context.alpha] })))
+        : lottieStatic(100 * context.alpha);
+      layers.push(entry);
+      return entry;
+    };
+    const group = (nm, items) => ({ ty: 'gr', nm, it: [...items, { ty: 'tr', ...lottieTransform() }] });
+
+    // Fill or stroke for a paint value; strokes take a gradient's first stop
+    const paint = (value, box, stroke) => {
+      if (value === undefined || value === 'none') {
+        return null;
+      }
+      const def = SceneGraph.def(scene, value);
+      if (!def) {
+        const color = SceneGraph.color(value);
+        return color ? { c: lottieStatic(lottieColor(color)), o: lottieStatic(100 * color.a) } : null;
+      }
+      const at = (offset) => SceneGraph.gradient(def, tokens, offset);
+      const gradient = at();
+      if (!gradient) {
+        return null;
+      }
+      if (stroke || gradient.stops.length < 2) {
+        const [stop] = gradient.stops;
+        const color = SceneGraph.color(stop.color);
+        return color ? { c: lottieStatic(lottieColor(color)), o: lottieStatic(100 * color.a * (stop.opacity === undefined ? 1 : stop.opacity)) } : null;
+      }
+      const stops = gradient.stops.map((stop) => ({ ...stop, rgba: SceneGraph.color(stop.color) || { r: 0, g: 0, b: 0, a: 1 } }));
+      const point = (g, x, y) => [box.x + g[x] * box.width, box.y + g[y] * box.height];
+      // The hologram follows the tilt track like VectorRenderer.setTilt
+      const ends = (x, y) => (def.type === 'hologram' && tilt
+        ? lottieAnimated(tilt.map((keyframe) => ({ ...keyframe, value: point(at({ x: keyframe.x * 0.5, y: keyframe.y * 0.5 }), x, y) })))
+        : lottieStatic(point(gradient, x, y)));
+      return {
+        gradient: true,
+        s: ends('x1', 'y1'),
+        e: ends('x2', 'y2'),
+        g: {
+          p: stops.length,
+          k: lottieStatic([
+            ...stops.flatMap((stop) => [stop.offset, stop.rgba.r, stop.rgba.g, stop.rgba.b]),
+            ...stops.flatMap((stop) => [stop.offset, stop.rgba.a * (stop.opacity === undefined ? 1 : stop.opacity)])
+          ])
+        },
+        o: lottieStatic(100)
+      };
+    };
+    const fillOf = (value, box) => {
+      const fill = paint(value, box);
+      if (!fill) return null;
+      return fill.gradient
+        ? { ty: 'gf', nm: 'Fill', t: 1, s: fill.s, e: fill.e, g: fill.g, o: fill.o, r: 1, bm: 0 }
+        : { ty: 'fl', nm: 'Fill', c: fill.c, o: fill.o, r: 1, bm: 0 };
+    };
+    const strokeOf = (node, value = node.stroke, width = node.strokeWidth || 1) => {
+      const stroke = paint(value, node, true);
+      if (!stroke) return null;
+      const item = {
+        ty: 'st', nm: 'Stroke', c: stroke.c, o: stroke.o, w: lottieStatic(width),
+        lc: LOTTIE_LINE_STYLES.linecap[node.linecap] || 1, lj: LOTTIE_LINE_STYLES.linejoin[node.linejoin] || 1, ml: 4, bm: 0
+      };
+      if (node.dash && node.dash.length) {
+        const dash = node.dash.length % 2 ? [...node.dash, ...node.dash] : node.dash;
+        item.d = [
+          ...dash.map((length, i) => ({ n: i % 2 ? 'g' : 'd', nm: i % 2 ? 'gap' : 'dash', v: lottieStatic(Number(length)) })),
+          { n: 'o', nm: 'offset', v: lottieStatic(0) }
+        ];
+      }
+      return item;
+    };
+    const shadowOf = (node) => {
+      const shadow = SceneGraph.def(scene, node.filter);
+      if (!shadow || shadow.type !== 'dropShadow') {
+        return undefined;
+      }
+      const color = SceneGraph.color(shadow.color || SceneGraph.SHADOW_COLOR) || { r: 0, g: 0, b: 0, a: 1 };
+      const dx = shadow.dx || 0;
+      const dy = shadow.dy || 0;
+      // After Effects measures the direction clockwise from straight up; players
+      // blur by a quarter of the softness (lottie-web's stdDeviation)
+      const value = (ty, nm, v) => ({ ty, nm, v: lottieStatic(v) });
+      return [{
+        ty: 25, nm: 'Drop Shadow', np: 8, en: 1,
+        ef: [
+          value(2, 'Shadow Color', lottieColor(color)),
+          value(0, 'Opacity', 255 * color.a * (shadow.opacity === undefined ? 1 : shadow.opacity)),
+          value(0, 'Direction', (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360),
+          value(0, 'Distance', Math.hypot(dx, dy)),
+          value(0, 'Softness', 4 * (shadow.blur || 0)),
+          value(7, 'Shadow Only', 0)
+        ]
+      }];
+    };
+    const shapeLayer = (node, nm, geometry, context) => {
+      // Items higher in a group paint on top: the stroke goes before the fill
+      const items = [...geometry, strokeOf(node), fillOf(node.fill, node)].filter(Boolean);
+      if (items.length > geometry.length) {
+        const effects = shadowOf(node);
+        layer(4, nm, context, { shapes: [group(nm, items)], ...(effects ? { ef: effects } : {}) });
+      }
+    };
+    const rect = (node) => ({
+      ty: 'rc', nm: 'Rectangle', d: 1,
+      p: lottieStatic([node.x + node.width / 2, node.y + node.height / 2]),
+      s: lottieStatic([node.width, node.height]),
+      r: lottieStatic(node.radius || 0)
+    });
+    const path = (d, x, y) => lottiePaths(d, x, y).map((ks, i) => ({ ty: 'sh', nm: `Path ${i + 1}`, d: 1, ks: { a: 0, k: ks } }));
+    const frame = (time) => lottieNumber(time * fps);
+
+    const ripple = (track, context) => {
+      const { node } = track;
+      const cx = node.x + (track.x === undefined ? node.width / 2 : track.x);
+      const cy = node.y + (track.y === undefined ? node.height / 2 : track.y);
+      const r = Math.max(node.width, node.height);
+      const from = frame(track.time);
+      const to = frame(track.time + track.duration);
+      // The circle grows to cover the node while it fades, like the DiiaButton ripple keyframes
+      const grow = (start, value) => lottieAnimated([{ frame: from, value: start, easing: 'ease-out' }, { frame: to, value }]);
+      const size = grow([0, 0], [2 * r, 2 * r]);
+      const edge = grow([cx, cy], [cx + r, cy]);
+      const entry = layer(4, `${node.id} ripple`, { ...context, fade: null, clips: [...context.clips, { x: node.x, y: node.y, width: node.width, height: node.height, radius: node.radius }] }, {
+        ip: from,
+        op: to,
+        shapes: [group('Ripple', [
+          { ty: 'el', nm: 'Ellipse', d: 1, p: lottieStatic([cx, cy]), s: size },
+          {
+            ty: 'gf', nm: 'Fill', t: 2, s: lottieStatic([cx, cy]), e: edge, h: lottieStatic(0), a: lottieStatic(0),
+            g: { p: 2, k: lottieStatic([0, 1, 1, 1, 1, 1, 1, 1, 0, 0.4, 1, 0]) }, o: lottieStatic(100), r: 1, bm: 0
+          }
+        ])]
+      });
+      entry.ks.o = grow([100 * context.alpha], [0]);
+    };
+
+    const drift = (track, context) => {
+      const random = lottieRandom(track.seed === undefined ? 1 : track.seed);
+      const speed = (track.speed === undefined ? 0.5 : track.speed) * 60; // VectorBackground moves per frame at 60fps
+      const color = SceneGraph.color(track.color || colors.primary) || { r: 0.4, g: 0.76, b: 0.95, a: 1 };
+      const dots = Array.from({ length: track.count === undefined ? 50 : track.count }, (_, i) => {
+        const particle = { x: random() * scene.width, y: random() * scene.height, vx: (random() - 0.5) * speed, vy: (random() - 0.5) * speed };
+        const r = random() * 2 + 1;
+        return {
+          ty: 'gr', nm: `Particle ${i + 1}`,
+          it: [
+            { ty: 'el', nm: 'Ellipse', d: 1, p: lottieStatic([0, 0]), s: lottieStatic([2 * r, 2 * r]) },
+            { ty: 'fl', nm: 'Fill', c: lottieStatic(lottieColor(color)), o: lottieStatic(100 * color.a), r: 1, bm: 0 },
+            { ty: 'tr', ...lottieTransform({ p: lottieAnimated(lottieBounce(particle, scene.width, scene.height, duration, fps)) }) }
+          ]
+        };
+      });
+      layer(4, 'Particles', { ...context, alpha: context.alpha * (track.opacity === undefined ? 0.3 : track.opacity) }, { shapes: dots });
+    };
+
+    const render = (node, context) => {
+      const alpha = context.alpha * (node.opacity === undefined ? 1 : node.opacity);
+      let own = { ...context, alpha };
+      const tracks = animated.get(node);
+      if (tracks) {
+        // A null layer carries the node's transform; its layers are parented to it
+        const center = [node.x + node.width / 2, node.y + node.height / 2, 0];
+        const keyframes = (list, value) => lottieAnimated(list.map((keyframe) => ({ ...keyframe, value: value(keyframe.value) })));
+        const ks = lottieTransform({
+          a: lottieStatic(center),
+          p: tracks.position ? keyframes(tracks.position, ([dx, dy]) => [center[0] + dx, center[1] + dy, 0]) : lottieStatic(center),
+          s: tracks.scale ? keyframes(tracks.scale, (s) => (Array.isArray(s) ? [s[0] * 100, s[1] * 100, 100] : [s * 100, s * 100, 100])) : lottieStatic([100, 100, 100]),
+          r: tracks.rotation ? keyframes(tracks.rotation, (r) => [r]) : lottieStatic(0)
+        });
+        const entry = layer(3, `${node.id} transform`, { ...context, alpha: 1, clips: [], fade: null }, {});
+        entry.ks = ks;
+        own = { ...own, parent: entry.ind, fade: tracks.opacity || context.fade };
+      }
+      const name = node.id || node.type;
+      // Ripples paint over the node's own shape and under its children, as in DiiaButton
+      const press = () => ripples.filter((track) => track.node === node).forEach((track) => ripple(track, own));
+
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          if (node.type !== 'group') {
+            shapeLayer(node, name, [rect(node)], own);
+          }
+          press();
+          const inner = node.clip ? { ...own, clips: [...own.clips, node.clip] } : own;
+          node.children.forEach((child) => render(child, inner));
+          break;
+        }
+
+        case 'rect':
+          shapeLayer(node, name, [rect(node)], own);
+          break;
+
+        case 'circle':
+          shapeLayer(node, name, [{
+            ty: 'el', nm: 'Ellipse', d: 1,
+            p: lottieStatic([node.x + node.width / 2, node.y + node.height / 2]),
+            s: lottieStatic([2 * node.r, 2 * node.r])
+          }], own);
+          break;
+
+        case 'path':
+          shapeLayer(node, name, path(node.d, node.x, node.y), own);
+          break;
+
+        case 'text': {
+          const color = (!SceneGraph.def(scene, node.fill) && SceneGraph.color(node.fill)) || SceneGraph.color(colors.heading) || { r: 0, g: 0, b: 0, a: 1 };
+          const family = String(node.fontFamily || 'sans-serif').split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+          const style = lottieFontStyle(node.fontWeight);
+          const font = `${family.replace(/\s+/g, '')}-${style}`;
+          fonts.set(font, { fName: font, fFamily: family, fStyle: style, fOrigin: 'n', ascent: 75 });
+          const offset = node.anchor === 'middle' ? node.width / 2 : node.anchor === 'end' ? node.width : 0;
+          const entry = layer(5, name, { ...own, alpha: alpha * color.a }, {
+            t: {
+              d: {
+                k: [{
+                  s: {
+                    s: node.fontSize, f: font, t: node.lines.join('\r'),
+                    j: node.anchor === 'middle' ? 2 : node.anchor === 'end' ? 1 : 0,
+                    tr: 0, lh: lottieNumber(node.lineHeight), ls: 0, fc: lottieColor(color).slice(0, 3)
+                  },
+                  t: 0
+                }]
+              },
+              p: {},
+              m: { g: 1, a: lottieStatic([0, 0]) },
+              a: []
+            }
+          });
+          entry.ks.p = lottieStatic([node.x + offset, node.baseline, 0]);
+          break;
+        }
+
+        case 'image': {
+          const id = `image_${assets.length}`;
+          assets.push({ id, w: node.width, h: node.height, u: '', p: node.href, e: /^data:/.test(node.href) ? 1 : 0 });
+          const entry = layer(2, name, own, { refId: id });
+          entry.ks.p = lottieStatic([node.x, node.y, 0]);
+          break;
+        }
+
+        case 'qr': {
+          const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+          if (node.background !== undefined) {
+            shapeLayer({ ...node, fill: node.background }, `${name} background`, [rect({ ...node, radius: 0 })], own);
+          }
+          shapeLayer({ fill: node.fill, x: node.x, y: node.y, width: node.width, height: node.height }, name,
+            path(QREncoder.toPathData(qr, { moduleSize: node.size / qr.size }), node.x, node.y), own);
+          break;
+        }
+
+        case 'pattern': {
+          if (!pattern) {
+            break;
+          }
+          const { paths, strokeWidth, linecap } = pattern(node);
+          layer(4, name, { ...own, alpha: alpha * 0.1 }, {
+            shapes: [group(name, [
+              ...path(paths.join(''), node.x, node.y),
+              strokeOf({ linecap }, colors.pattern, strokeWidth)
+            ])]
+          });
+          break;
+        }
+
+        default:
+          break;
+      }
+
+      if (!node.children) press();
+      particles.filter((track) => track.above === node.id).forEach((track) => drift(track, context));
+    };
+
+    const root = { alpha: 1, clips: [], fade: null };
+    particles.filter((track) => track.above === undefined).forEach((track) => drift(track, root));
+    scene.nodes.forEach((node) => render(node, root));
+
+    const animation = {
+      v: LOTTIE_VERSION,
+      fr: fps,
+      ip: 0,
+      op: frames,
+      w: scene.width,
+      h: scene.height,
+      nm: scene.name || 'screen',
+      ddd: 0,
+      assets,
+      layers: layers.reverse(),
+      markers: []
+    };
+    if (fonts.size) {
+      animation.fonts = { list: [...fonts.values()] };
+    }
+    return animation;
+  },
+
+  /**
+   * Timeline the export engine uses when none is given: a hologram sweep when
+   * the screen has one and a ripple on each button, over three seconds
+   *
+   * @param {Scene} scene - Scene graph
+   * @returns {Object} Timeline for fromScene
+   */
+  defaultTimeline(scene) {
+    const tracks = [];
+    if ((scene.defs || []).some((def) => def.type === 'hologram')) {
+      tracks.push({
+        type: 'tilt',
+        keyframes: [
+          { time: 0, x: -1, y: -1, easing: 'ease-in-out' },
+          { time: 1.5, x: 1, y: 1, easing: 'ease-in-out' },
+          { time: 3, x: -1, y: -1 }
+        ]
+      });
+    }
+    let time = 0.5;
+    SceneGraph.walk(scene, (node) => {
+      if (node.id && node.semantic && node.semantic.type === 'button') {
+        tracks.push({ type: 'ripple', target: node.id, time });
+        time += 1;
+      }
+    });
+    return { duration: 3, tracks };
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LottieExporter;
+}
+if (typeof window !== 'undefined') {
+  window.LottieExporter = LottieExporter;
+}
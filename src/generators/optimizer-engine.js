@@ -8,6 +8,73 @@
  * @author 010io (Igor Omelchenko)
  */
 
+/* global SvgTree */
+
+/**
+ * Decimals kept in geometry attributes
+ * @const {number}
+ */
+const OPTIMIZER_PRECISION = 2;
+
+/**
+ * Length from which an ID counts as tool-generated, and is removed when
+ * nothing refers to it
+ * @const {number}
+ */
+const OPTIMIZER_LONG_ID = 15;
+
+/**
+ * Attributes whose numbers are rounded
+ * @const {Set<string>}
+ */
+const OPTIMIZER_GEOMETRY_ATTRIBUTES = new Set([
+  'x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2', 'd', 'points', 'stroke-width'
+]);
+
+/**
+ * Namespaces of design tool data, which never renders
+ * @const {RegExp[]}
+ */
+const OPTIMIZER_EDITOR_NAMESPACES = [
+  /ns\.adobe\.com/i, /bohemiancoding\.com\/sketch/i, /inkscape\.org/i, /sodipodi/i, /penpot/i
+];
+
+/**
+ * Inherited presentation properties and their initial values
+ * @const {Object<string, string>}
+ */
+const OPTIMIZER_INHERITED = Object.freeze({
+  fill: 'black',
+  'fill-opacity': '1',
+  'fill-rule': 'nonzero',
+  stroke: 'none',
+  'stroke-width': '1',
+  'stroke-opacity': '1',
+  'stroke-linecap': 'butt',
+  'stroke-linejoin': 'miter',
+  'stroke-miterlimit': '4',
+  'stroke-dasharray': 'none',
+  'stroke-dashoffset': '0',
+  'clip-rule': 'nonzero',
+  visibility: 'visible',
+  'text-anchor': 'start'
+});
+
+/**
+ * Elements whose content is rendered in another context, where inherited
+ * values from the tree above do not apply
+ * @const {Set<string>}
+ */
+const OPTIMIZER_CONTEXT_ELEMENTS = new Set([
+  'defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient', 'radialGradient', 'filter', 'foreignObject'
+]);
+
+/**
+ * Elements where whitespace is text
+ * @const {Set<string>}
+ */
+const OPTIMIZER_TEXT_ELEMENTS = new Set(['text', 'style', 'script', 'title', 'desc', 'foreignObject']);
+
 /**
  * OptimizerEngine Class
  * 
@@ -19,7 +86,7 @@
  * const result = optimizer.analyze(figmaSVG);
  * console.log(result.stats.reduction); // "78.5%"
  */
-export class OptimizerEngine {
+class OptimizerEngine {
   constructor() {
     // Format signatures for auto-detection
     this.formatSignatures = {
@@ -70,7 +137,7 @@ export class OptimizerEngine {
 
     this.stats.analyzed++;
 
-    const originalSize = new Blob([rawCode]).size;
+    const originalSize = new TextEncoder().encode(rawCode).length;
     const originalLines = rawCode.split('\n').length;
 
     // 1. Detect format
@@ -86,7 +153,7 @@ export class OptimizerEngine {
     const vectorLogic = this.generateVectorLogic(patterns, cleaned);
 
     // 5. Calculate sizes and scores
-    const optimizedSize = new Blob([vectorLogic]).size;
+    const optimizedSize = new TextEncoder().encode(vectorLogic).length;
     const optimizedLines = vectorLogic.split('\n').length;
 
     const bytesSaved = originalSize - optimizedSize;
@@ -157,82 +224,261 @@ export class OptimizerEngine {
   /**
    * Clean SVG - Digital Liposuction
    * 
-   * Removes metadata, comments, redundant attributes, and bloat
+   * Parses the markup and removes what cannot change the rendered result:
+   * comments, the XML declaration, metadata, design tool attributes and
+   * namespaces, IDs nothing refers to, presentation attributes that repeat
+   * the inherited value, empty and attribute-less groups. Geometry numbers
+   * are rounded to OPTIMIZER_PRECISION decimals (sub-pixel). Input that is
+   * not well-formed XML is returned as it is.
    * 
    * @param {string} svg - Raw SVG code
    * @param {string} format - Detected format
    * @returns {string} Cleaned SVG
    */
   cleanSVG(svg, format = 'generic') {
-    let cleaned = svg;
-
-    // Remove XML comments
-    cleaned = cleaned.replace(/<!--[\s\S]*?-->/g, '');
+    let document;
+    try {
+      document = SvgTree.parse(svg);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return svg.trim();
+      }
+      throw error;
+    }
 
-    // Remove XML declarations
-    cleaned = cleaned.replace(/<\?xml[^?]*\?>/g, '');
+    // Declaration, comments and DOCTYPE (entities are already expanded)
+    document.children = document.children.filter((node) => node.type === 'element' || (node.type === 'instruction' && node.name !== 'xml'));
+
+    const styled = this._hasStyleSheet(document);
+    const scripted = this._findElements(document, (element) => element.name === 'script').length > 0;
+    const referenced = SvgTree.references(document);
+    const editorPrefixes = this._editorPrefixes(document);
+
+    SvgTree.walk(document, (element) => {
+      element.children = element.children.filter((child) => child.type !== 'comment' &&
+        !(child.type === 'element' && (child.name === 'metadata' || editorPrefixes.has(child.name.split(':')[0]))));
+      Object.keys(element.attributes).forEach((key) => {
+        const value = element.attributes[key];
+        const prefix = key.includes(':') ? key.split(':')[0] : null;
+        const remove =
+          (prefix && editorPrefixes.has(prefix)) ||
+          (key.startsWith('xmlns:') && editorPrefixes.has(key.slice(6))) ||
+          (format === 'adobe' && key === 'data-name' && !styled) ||
+          (key === 'id' && value.length >= OPTIMIZER_LONG_ID && !referenced.has(value) && !scripted) ||
+          (['transform', 'style', 'class'].includes(key) && value.trim() === '');
+        if (remove) {
+          delete element.attributes[key];
+        } else if (OPTIMIZER_GEOMETRY_ATTRIBUTES.has(key)) {
+          element.attributes[key] = this._roundNumbers(key, value);
+        }
+      });
+    });
 
-    // Remove Adobe-specific namespaces and attributes
-    if (format === 'adobe') {
-      cleaned = cleaned.replace(/xmlns:adobe="[^"]*"/g, '');
-      cleaned = cleaned.replace(/xmlns:i="[^"]*"/g, '');
-      cleaned = cleaned.replace(/data-name="[^"]*"/g, '');
-      cleaned = cleaned.replace(/i:extraneous="[^"]*"/g, '');
+    if (!styled) {
+      this._removeInheritedAttributes(document, referenced);
     }
-
-    // Remove Figma-specific bloat
-    if (format === 'figma') {
-      cleaned = cleaned.replace(/fill-rule="evenodd"/g, '');
-      cleaned = cleaned.replace(/clip-rule="evenodd"/g, '');
+    this._removeUnusedNamespaces(document);
+    this._removeWhitespace(document, false);
+    if (!styled) {
+      this._removeEmptyGroups(document, referenced);
+      this._unwrapGroups(document);
     }
 
-    // Remove generic bloat
-    cleaned = cleaned
-      // Remove empty groups
-      .replace(/<g>\s*<\/g>/g, '')
-      // Remove redundant xlink namespace
-      .replace(/xmlns:xlink="[^"]*"/g, '')
-      // Remove overly specific IDs (keep short ones)
-      .replace(/id="[A-Za-z0-9_-]{15,}"/g, '')
-      // Round long decimals to 2 places
-      .replace(/(\d+\.\d{2})\d+/g, '$1')
-      // Remove unnecessary fill="none" on paths (default)
-      .replace(/fill="none"\s*/g, '')
-      // Remove empty transform attributes
-      .replace(/transform=""\s*/g, '')
-      // Collapse multiple spaces
-      .replace(/\s{2,}/g, ' ')
-      // Remove spaces before closing tags
-      .replace(/\s+>/g, '>')
-      // Remove spaces after opening tags
-      .replace(/>\s+</g, '><');
-
-    // Merge nested groups with no attributes
-    cleaned = this.mergeRedundantGroups(cleaned);
-
-    return cleaned.trim();
+    return SvgTree.serialize(document).trim();
   }
 
   /**
    * Merge redundant nested groups
    * 
+   * Attribute-less groups are unwrapped into their parent (not inside
+   * <switch>, which picks among its direct children, and not when a style
+   * sheet could select by structure)
+   * 
    * @param {string} svg - SVG code
-   * @returns {string} SVG with merged groups
+   * @returns {string} SVG with merged groups, or the input if it is not well-formed XML
    */
   mergeRedundantGroups(svg) {
-    // Simple pattern: <g><g>content</g></g> -> <g>content</g>
-    let previous = '';
-    let current = svg;
-    let iterations = 0;
-    const maxIterations = 10;
-
-    while (previous !== current && iterations < maxIterations) {
-      previous = current;
-      current = current.replace(/<g>(\s*<g[^>]*>[\s\S]*?<\/g>\s*)<\/g>/g, '$1');
-      iterations++;
+    let document;
+    try {
+      document = SvgTree.parse(svg);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return svg;
+      }
+      throw error;
+    }
+    if (!this._hasStyleSheet(document)) {
+      this._unwrapGroups(document);
+    }
+    return SvgTree.serialize(document);
+  }
+
+  /**
+   * Elements matching a test, in document order
+   * @private
+   */
+  _findElements(root, test) {
+    const found = [];
+    SvgTree.walk(root, (element) => {
+      if (test(element)) found.push(element);
+    });
+    return found;
+  }
+
+  /**
+   * Whether CSS rules can select elements: a non-empty <style> element or
+   * an xml-stylesheet instruction
+   * @private
+   */
+  _hasStyleSheet(document) {
+    return document.children.some((node) => node.type === 'instruction' && node.name === 'xml-stylesheet') ||
+      this._findElements(document, (element) => element.name === 'style' && SvgTree.textContent(element).trim() !== '').length > 0;
+  }
+
+  /**
+   * Namespace prefixes bound to design tool namespaces (Illustrator, Sketch,
+   * Inkscape, Penpot...): their elements and attributes never render
+   * @private
+   */
+  _editorPrefixes(document) {
+    const prefixes = new Set();
+    SvgTree.walk(document, (element) => {
+      Object.keys(element.attributes).forEach((key) => {
+        if (key.startsWith('xmlns:') && OPTIMIZER_EDITOR_NAMESPACES.some((pattern) => pattern.test(element.attributes[key]))) {
+          prefixes.add(key.slice(6));
+        }
+      });
+    });
+    return prefixes;
+  }
+
+  /**
+   * Round the numbers of a geometry attribute that have more decimals than
+   * OPTIMIZER_PRECISION. Path data with relative commands is left alone:
+   * rounding each step would add up along the path
+   * @private
+   */
+  _roundNumbers(key, value) {
+    if (key === 'd' && /[a-y]/.test(value.replace(/e[-+]?\d/gi, ''))) {
+      return value;
     }
+    const decimals = new RegExp(`^-?\\d*\\.\\d{${OPTIMIZER_PRECISION + 1},}$`);
+    return value.replace(/-?(?:\d+\.\d*|\.\d+|\d+)(?:e[-+]?\d+)?/gi, (number, offset) => {
+      if (!decimals.test(number)) {
+        return number;
+      }
+      const rounded = Number(Number(number).toFixed(OPTIMIZER_PRECISION));
+      let text = String(Object.is(rounded, -0) ? 0 : rounded);
+      // Keep ".5" short; a number that now starts with a digit needs a separator after "10" or "1.5"
+      if (/^-?\./.test(number)) text = text.replace(/^(-?)0\./, '$1.');
+      return /\d/.test(text[0]) && /[\d.]/.test(value[offset - 1] || '') ? ` ${text}` : text;
+    });
+  }
+
+  /**
+   * Remove presentation attributes that set an inherited property to the
+   * value the element inherits anyway (fill="none" under fill="none",
+   * fill-rule="nonzero", fill="inherit"). Elements that are rendered in
+   * another context (defs, clip paths, markers, anything referenced by
+   * <use>) only trust values set inside that context
+   * @private
+   */
+  _removeInheritedAttributes(document, referenced) {
+    const visit = (element, inherited) => {
+      let context = inherited;
+      if (OPTIMIZER_CONTEXT_ELEMENTS.has(element.name) || referenced.has(element.attributes.id)) {
+        context = {};
+      }
+      const style = {};
+      String(element.attributes.style || '').split(';').forEach((declaration) => {
+        const colon = declaration.indexOf(':');
+        if (colon > 0) style[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim().toLowerCase();
+      });
+      const own = { ...context };
+      Object.keys(OPTIMIZER_INHERITED).forEach((property) => {
+        if (style[property] !== undefined) {
+          // The style attribute wins over the presentation attribute
+          own[property] = /!important|var\(/.test(style[property]) ? undefined : style[property];
+          return;
+        }
+        const value = element.attributes[property];
+        if (value === undefined) {
+          return;
+        }
+        const normalized = value.trim().toLowerCase();
+        if (normalized === 'inherit' || (context[property] !== undefined && context[property] === normalized)) {
+          delete element.attributes[property];
+          return;
+        }
+        own[property] = normalized;
+      });
+      element.children.filter((child) => child.type === 'element').forEach((child) => visit(child, own));
+    };
+    document.children.filter((node) => node.type === 'element').forEach((root) => visit(root, { ...OPTIMIZER_INHERITED }));
+  }
+
+  /**
+   * Remove xmlns:prefix declarations whose prefix no element or attribute uses
+   * @private
+   */
+  _removeUnusedNamespaces(document) {
+    const used = new Set();
+    SvgTree.walk(document, (element) => {
+      [element.name, ...Object.keys(element.attributes)].forEach((name) => {
+        if (name.includes(':') && !name.startsWith('xmlns:')) used.add(name.split(':')[0]);
+      });
+    });
+    SvgTree.walk(document, (element) => {
+      Object.keys(element.attributes).forEach((key) => {
+        if (key.startsWith('xmlns:') && !used.has(key.slice(6))) delete element.attributes[key];
+      });
+    });
+  }
 
-    return current;
+  /**
+   * Remove whitespace-only text between elements, except where text is
+   * content: inside <text>, <style>, <script>, <title>, <desc>,
+   * <foreignObject> and xml:space="preserve"
+   * @private
+   */
+  _removeWhitespace(node, keep) {
+    node.children = node.children.filter((child) => keep || child.type !== 'text' || child.value.trim() !== '');
+    node.children.forEach((child) => {
+      if (child.type === 'element') {
+        this._removeWhitespace(child, keep || OPTIMIZER_TEXT_ELEMENTS.has(child.name) || child.attributes['xml:space'] === 'preserve');
+      }
+    });
+  }
+
+  /**
+   * Remove groups with no children, unless referenced or filtered (a filter
+   * region can paint without content)
+   * @private
+   */
+  _removeEmptyGroups(node, referenced) {
+    node.children = node.children.filter((child) => {
+      if (child.type !== 'element') {
+        return true;
+      }
+      this._removeEmptyGroups(child, referenced);
+      const filtered = child.attributes.filter !== undefined || /filter\s*:/.test(child.attributes.style || '');
+      return !(child.name === 'g' && child.children.length === 0 && !referenced.has(child.attributes.id) && !filtered);
+    });
+  }
+
+  /**
+   * Replace attribute-less groups with their children
+   * @private
+   */
+  _unwrapGroups(node) {
+    node.children = node.children.flatMap((child) => {
+      if (child.type !== 'element') {
+        return [child];
+      }
+      this._unwrapGroups(child);
+      const bare = child.name === 'g' && Object.keys(child.attributes).length === 0 && node.type === 'element' && node.name !== 'switch';
+      return bare ? child.children : [child];
+    });
   }
 
   /**
@@ -451,7 +697,7 @@ export class OptimizerEngine {
     const suggestions = [];
 
     // Size-based suggestions
-    const size = new Blob([svg]).size;
+    const size = new TextEncoder().encode(svg).length;
     if (size > 10000) {
       suggestions.push({
         type: 'warning',
@@ -521,3 +767,6 @@ export class OptimizerEngine {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { OptimizerEngine };
 }
+if (typeof window !== 'undefined') {
+  window.OptimizerEngine = OptimizerEngine;
+}
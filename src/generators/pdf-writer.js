@@ -0,0 +1,748 @@
+/**
+ * PDF Writer - Scene graph to a PDF file or an EPS document
+ *
+ * Draws a laid out screen (see SceneGraph) as one page, one design unit per point:
+ *   - PDF 1.4: a content stream of path, curve and text operators, axial
+ *     shadings for gradients and ExtGState transparency for translucent
+ *     layers and security patterns (the hologram's varying stop opacity
+ *     through a luminosity soft mask)
+ *   - EPS 3.0: the same drawing in PostScript level 2, which has no
+ *     transparency: translucent layers and gradients are left out, opaque
+ *     gradients fall back to their first stop
+ *
+ * Text is set in Type 3 fonts embedded in the file, drawn from the FONT_GLYPHS
+ * outlines, so Cyrillic prints the same on every viewer and printer. A font
+ * resource holds only the characters the page shows: ASCII at its own codes,
+ * anything else at 128-255, each glyph named uniXXXX, and a ToUnicode CMap
+ * keeps the PDF text searchable. Lines start where the layout put them.
+ * Shadows and images are left out.
+ * Both outputs are plain ASCII, so they travel as strings.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, Escape, TextLayout, DiiaTokens, FONT_GLYPHS */
+
+/**
+ * Control point distance of a quarter circle drawn as a cubic curve, per unit radius
+ * @const {number}
+ */
+const PDF_KAPPA = 0.5523;
+
+/**
+ * Number rounded for page content ("12", "22.5", "0.333")
+ * @private
+ * @param {number} value - Number
+ * @param {number} [digits=2] - Decimals
+ * @returns {string} Number text
+ */
+function pdfNumber(value, digits = 2) {
+  const scale = 10 ** digits;
+  return String(Math.round(value * scale) / scale || 0);
+}
+
+/**
+ * 0-1 RGB components of a color, rounded to 3 decimals
+ * @private
+ * @param {{r: number, g: number, b: number}} color - SceneGraph.color result
+ * @returns {string} "r g b"
+ */
+function pdfRGB(color) {
+  return [color.r, color.g, color.b].map((channel) => pdfNumber(channel, 3)).join(' ');
+}
+
+/**
+ * Outline of a rectangle, with cubic curves for rounded corners
+ * @private
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} [radius=0] - Corner radius
+ * @returns {{command: string, points: number[]}[]} Segments in design units (Y down)
+ */
+function pdfRect(x, y, width, height, radius = 0) {
+  const r = Math.min(radius, width / 2, height / 2);
+  const right = x + width;
+  const bottom = y + height;
+  if (!r) {
+    return [
+      { command: 'M', points: [x, y] }, { command: 'L', points: [right, y] },
+      { command: 'L', points: [right, bottom] }, { command: 'L', points: [x, bottom] },
+      { command: 'Z', points: [] }
+    ];
+  }
+  const k = r * (1 - PDF_KAPPA);
+  return [
+    { command: 'M', points: [x + r, y] },
+    { command: 'L', points: [right - r, y] },
+    { command: 'C', points: [right - k, y, right, y + k, right, y + r] },
+    { command: 'L', points: [right, bottom - r] },
+    { command: 'C', points: [right, bottom - k, right - k, bottom, right - r, bottom] },
+    { command: 'L', points: [x + r, bottom] },
+    { command: 'C', points: [x + k, bottom, x, bottom - k, x, bottom - r] },
+    { command: 'L', points: [x, y + r] },
+    { command: 'C', points: [x, y + k, x + k, y, x + r, y] },
+    { command: 'Z', points: [] }
+  ];
+}
+
+/**
+ * Outline of a circle as four cubic curves
+ * @private
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} r - Radius
+ * @returns {{command: string, points: number[]}[]} Segments in design units (Y down)
+ */
+function pdfCircle(cx, cy, r) {
+  const k = r * PDF_KAPPA;
+  return [
+    { command: 'M', points: [cx + r, cy] },
+    { command: 'C', points: [cx + r, cy + k, cx + k, cy + r, cx, cy + r] },
+    { command: 'C', points: [cx - k, cy + r, cx - r, cy + k, cx - r, cy] },
+    { command: 'C', points: [cx - r, cy - k, cx - k, cy - r, cx, cy - r] },
+    { command: 'C', points: [cx + k, cy - r, cx + r, cy - k, cx + r, cy] },
+    { command: 'Z', points: [] }
+  ];
+}
+
+/**
+ * Outline of SVG path data with quadratic curves raised to cubics
+ * (PDF and PostScript only draw cubics)
+ * @private
+ * @param {string} d - Path data
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {{command: string, points: number[]}[]} Segments M, L, C and Z in design units (Y down)
+ */
+function pdfPath(d, dx, dy) {
+  let current = [0, 0];
+  let start = current;
+  return SceneGraph.pathCommands(d, dx, dy).map(({ command, points }) => {
+    if (command === 'Z') {
+      current = start;
+      return { command, points };
+    }
+    let segment = { command, points };
+    if (command === 'Q') {
+      // Control points 2/3 of the way from each end to the quadratic control
+      const [qx, qy, x, y] = points;
+      segment = { command: 'C', points: [current[0] + (2 / 3) * (qx - current[0]), current[1] + (2 / 3) * (qy - current[1]), x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), x, y] };
+    }
+    current = segment.points.slice(-2);
+    if (command === 'M') start = current;
+    return segment;
+  });
+}
+
+/**
+ * Embedded font for a text node: FONT_GLYPHS mono outlines for monospace
+ * stacks, sans otherwise, in the node's weight
+ * @private
+ * @param {SceneNode} node - Text node
+ * @returns {{name: string, family: string, bold: boolean}} Font (name is the PostScript font name)
+ */
+function pdfFont(node) {
+  const family = TextLayout.metricsFor(node.fontFamily).families.includes('monospace') ? 'mono' : 'sans';
+  const bold = node.fontWeight === 'bold' || Number(node.fontWeight) >= 600;
+  return { name: FONT_GLYPHS[family][bold ? 'bold' : 'regular'].name, family, bold };
+}
+
+/**
+ * Outline of a character in an embedded font, in font units (1000 per em, Y up)
+ * Characters without an outline draw nothing but keep their advance.
+ * @private
+ * @param {{family: string, bold: boolean}} font - Font (pdfFont)
+ * @param {string} char - Character
+ * @returns {{width: number, box: number[], segments: {command: string, points: number[]}[]}} Advance, bounding box and segments M, L, C and Z
+ */
+function pdfGlyph(font, char) {
+  const style = font.bold ? 'bold' : 'regular';
+  const glyph = [FONT_GLYPHS[font.family][style], FONT_GLYPHS.sans[style]]
+    .map((set) => set.glyphs[char])
+    .find((value) => value !== undefined);
+  const segments = glyph && glyph[1] ? pdfPath(glyph[1], 0, 0) : [];
+  const points = segments.flatMap((segment) => segment.points);
+  const xs = points.filter((value, i) => i % 2 === 0);
+  const ys = points.filter((value, i) => i % 2 === 1);
+  return {
+    // Characters the fonts lack advance as far as the layout measured them
+    width: glyph ? glyph[0] : TextLayout.measure(char, {
+      fontFamily: font.family === 'mono' ? 'monospace' : 'sans-serif',
+      fontWeight: font.bold ? 'bold' : 'normal',
+      fontSize: 1000
+    }),
+    box: xs.length ? [Math.floor(Math.min(...xs)), Math.floor(Math.min(...ys)), Math.ceil(Math.max(...xs)), Math.ceil(Math.max(...ys))] : [0, 0, 0, 0],
+    segments
+  };
+}
+
+/**
+ * Glyph name of a character ("Ш" -> "uni0428")
+ * @private
+ * @param {string} char - Character
+ * @returns {string} Glyph name
+ */
+function pdfGlyphName(char) {
+  const code = char.codePointAt(0);
+  return code > 0xFFFF ? `u${code.toString(16).toUpperCase()}` : `uni${code.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * ToUnicode CMap of an embedded font, so its text can be searched and copied
+ * @private
+ * @param {string[]} chars - Characters at codes 128 and up
+ * @returns {string} CMap program
+ */
+function pdfToUnicode(chars) {
+  const hex = (value, width) => value.toString(16).toUpperCase().padStart(width, '0');
+  const blocks = [];
+  for (let i = 0; i < chars.length; i += 100) {
+    const block = chars.slice(i, i + 100).map((char, j) => `<${hex(128 + i + j, 2)}> <${char.split('').map((unit) => hex(unit.charCodeAt(0), 4)).join('')}>`);
+    blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange\n<00> <FF>\nendcodespacerange',
+    '1 beginbfrange\n<20> <7E> <0020>\nendbfrange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+}
+
+/**
+ * Font resources of one document, each an embedded font whose codes 128-255
+ * are assigned to non-ASCII characters as text is encoded
+ * @private
+ * @returns {{resources: {name: string, font: Object, chars: string[], codes: Set<number>}[], encode: function(Object, string): {name: string, bytes: string}[]}} Font set
+ */
+function pdfFontSet() {
+  const resources = [];
+  const create = (font) => {
+    const resource = { name: `F${resources.length + 1}`, font, chars: [], codes: new Set() };
+    resources.push(resource);
+    return resource;
+  };
+  return {
+    resources,
+    // Runs of one font resource each, as byte strings (one char per code)
+    encode(font, text) {
+      const runs = [];
+      for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        const last = runs.length ? runs[runs.length - 1] : null;
+        let resource;
+        let byte;
+        if (code >= 32 && code <= 126) {
+          resource = last ? last.resource : resources.find((item) => item.font.name === font.name) || create(font);
+          byte = code;
+        } else {
+          const fonts = resources.filter((item) => item.font.name === font.name);
+          resource = fonts.find((item) => item.chars.includes(char)) || fonts.find((item) => item.chars.length < 128) || create(font);
+          if (!resource.chars.includes(char)) resource.chars.push(char);
+          byte = 128 + resource.chars.indexOf(char);
+        }
+        resource.codes.add(byte);
+        if (last && last.resource === resource) {
+          last.bytes += String.fromCharCode(byte);
+        } else {
+          runs.push({ resource, bytes: String.fromCharCode(byte) });
+        }
+      }
+      return runs.map(({ resource, bytes }) => ({ name: resource.name, bytes }));
+    }
+  };
+}
+
+/**
+ * Glyphs a font resource shows, by code
+ * @private
+ * @param {{font: Object, chars: string[], codes: Set<number>}} resource - Font resource (pdfFontSet)
+ * @returns {{code: number, name: string, glyph: Object}[]} Code, glyph name and outline (pdfGlyph), in code order
+ */
+function pdfFontGlyphs(resource) {
+  return [...resource.codes].sort((a, b) => a - b).map((code) => {
+    const char = code < 128 ? String.fromCharCode(code) : resource.chars[code - 128];
+    return { code, name: pdfGlyphName(char), glyph: pdfGlyph(resource.font, char) };
+  });
+}
+
+/**
+ * Bounding box of a font's glyphs ("llx lly urx ury")
+ * @private
+ * @param {{glyph: Object}[]} glyphs - Glyphs (pdfFontGlyphs)
+ * @returns {string} Box in font units
+ */
+function pdfFontBox(glyphs) {
+  const boxes = glyphs.map(({ glyph }) => glyph.box);
+  return [
+    Math.min(...boxes.map((box) => box[0])), Math.min(...boxes.map((box) => box[1])),
+    Math.max(...boxes.map((box) => box[2])), Math.max(...boxes.map((box) => box[3]))
+  ].join(' ');
+}
+
+/**
+ * Walk a scene and hand every mark to a backend
+ * Shared by the PDF and EPS writers so they draw the same page.
+ * @private
+ * @param {Scene} scene - Scene graph
+ * @param {Object} options - Writer options (tokens or theme, pattern)
+ * @param {Object} out - Backend: fill, stroke, text, clip, save and restore
+ */
+function pdfDraw(scene, options, out) {
+  const tokens = options.tokens || DiiaTokens.resolve(options.theme);
+  const { colors } = tokens;
+  const solid = (value, alpha) => {
+    const color = SceneGraph.color(value);
+    return color ? { color, alpha: color.a * alpha } : null;
+  };
+  // Paint for a fill or stroke; strokes cannot carry a shading and take the first stop
+  const paint = (value, alpha, box, stroke) => {
+    if (value === undefined || value === 'none') {
+      return null;
+    }
+    const def = SceneGraph.def(scene, value);
+    if (!def) {
+      return solid(value, alpha);
+    }
+    const gradient = SceneGraph.gradient(def, tokens);
+    if (!gradient) {
+      return null;
+    }
+    if (stroke || gradient.stops.length < 2) {
+      const [stop] = gradient.stops;
+      return solid(stop.color, alpha * (stop.opacity === undefined ? 1 : stop.opacity));
+    }
+    return { gradient, alpha, box };
+  };
+  const shape = (node, segments, alpha) => {
+    const fill = paint(node.fill, alpha, node);
+    if (fill) out.fill(segments, fill);
+    const stroke = paint(node.stroke, alpha, node, true);
+    if (stroke) {
+      out.stroke(segments, stroke, { width: node.strokeWidth || 1, linecap: node.linecap, linejoin: node.linejoin, dash: node.dash });
+    }
+  };
+
+  const render = (node, opacity) => {
+    const alpha = opacity * (node.opacity === undefined ? 1 : node.opacity);
+    switch (node.type) {
+      case 'frame':
+      case 'stack':
+      case 'group': {
+        if (node.type !== 'group') {
+          shape(node, pdfRect(node.x, node.y, node.width, node.height, node.radius), alpha);
+        }
+        const { clip } = node;
+        if (clip) {
+          out.save();
+          out.clip(pdfRect(clip.x, clip.y, clip.width, clip.height, clip.radius));
+        }
+        node.children.forEach((child) => render(child, alpha));
+        if (clip) out.restore();
+        break;
+      }
+
+      case 'rect':
+        shape(node, pdfRect(node.x, node.y, node.width, node.height, node.radius), alpha);
+        break;
+
+      case 'circle':
+        shape(node, pdfCircle(node.x + node.width / 2, node.y + node.height / 2, node.r), alpha);
+        break;
+
+      case 'path':
+        shape(node, pdfPath(node.d, node.x, node.y), alpha);
+        break;
+
+      case 'text': {
+        const fill = (!SceneGraph.def(scene, node.fill) && paint(node.fill, alpha)) || solid(colors.heading, alpha);
+        const lines = node.lines.map((line, i) => {
+          const width = TextLayout.measure(line, node);
+          const offset = node.anchor === 'middle' ? (node.width - width) / 2 : node.anchor === 'end' ? node.width - width : 0;
+          return { text: line, x: node.x + offset, y: node.baseline + i * node.lineHeight };
+        });
+        if (lines.length) out.text(lines, pdfFont(node), node.fontSize, fill);
+        break;
+      }
+
+      case 'qr': {
+        const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+        const d = QREncoder.toPathData(qr, { moduleSize: node.size / qr.size });
+        if (node.background !== undefined) {
+          shape({ fill: node.background }, pdfRect(node.x, node.y, node.width, node.height), alpha);
+        }
+        shape({ fill: node.fill }, pdfPath(d, node.x, node.y), alpha);
+        break;
+      }
+
+      case 'pattern': {
+        if (!options.pattern) {
+          break;
+        }
+        const { paths, strokeWidth, linecap } = options.pattern(node);
+        out.stroke(pdfPath(paths.join(''), node.x, node.y), solid(colors.pattern, alpha * 0.1), { width: strokeWidth, linecap });
+        break;
+      }
+
+      default:
+        // Images and shadows are not drawn
+        break;
+    }
+  };
+
+  out.fill(pdfRect(0, 0, scene.width, scene.height), solid(colors.background, 1));
+  scene.nodes.forEach((node) => render(node, 1));
+}
+
+/**
+ * Line cap and join operands shared by PDF and PostScript
+ * @const {Object<string, Object<string, number>>}
+ */
+const PDF_LINE_STYLES = Object.freeze({
+  linecap: Object.freeze({ butt: 0, round: 1, square: 2 }),
+  linejoin: Object.freeze({ miter: 0, round: 1, bevel: 2 })
+});
+
+const PDFWriter = Object.freeze({
+  /**
+   * Write a scene as a one-page PDF document
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Writer options
+   * @param {Object} [options.tokens] - Resolved design tokens (page background, default text, gradient and pattern colors)
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Theme to resolve tokens for when none are given
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry (patterns are skipped without it)
+   * @param {string} [options.title] - Document title (default: the screen label or name)
+   * @returns {string} PDF file contents (ASCII)
+   * @example
+   * const pdf = PDFWriter.fromScene(SceneGraph.build('diia-id-card'), { tokens: DiiaTokens.resolve() });
+   * new Blob([pdf], { type: 'application/pdf' });
+   */
+  fromScene(scene, options = {}) {
+    const n = pdfNumber;
+    const flip = (y) => scene.height - y;
+    const fonts = pdfFontSet();
+    // Objects 1-4 are the catalog, page tree, page and content stream
+    const objects = [null, null, null, null];
+    const add = (body) => objects.push(body);
+    const stream = (dict, data) => `<< ${dict ? `${dict} ` : ''}/Length ${data.length} >>\nstream\n${data}\nendstream`;
+    const states = new Map();
+    const shadings = [];
+    const state = (dict) => {
+      if (!states.has(dict)) states.set(dict, `GS${states.size + 1}`);
+      return `/${states.get(dict)} gs`;
+    };
+
+    const path = (segments) => segments.map(({ command, points }) => (command === 'Z'
+      ? 'h'
+      : `${points.map((value, i) => n(i % 2 ? flip(value) : value)).join(' ')} ${{ M: 'm', L: 'l', C: 'c' }[command]}`)).join('\n');
+    // Axial shading over a box; stop offsets are stretched to its ends
+    const shading = (gradient, box, space, value) => {
+      const { stops } = gradient;
+      const first = stops[0].offset;
+      const span = stops[stops.length - 1].offset - first || 1;
+      const at = (t) => [
+        box.x + (gradient.x1 + t * (gradient.x2 - gradient.x1)) * box.width,
+        flip(box.y + (gradient.y1 + t * (gradient.y2 - gradient.y1)) * box.height)
+      ];
+      const pieces = stops.slice(1).map((stop, i) => `<< /FunctionType 2 /Domain [0 1] /C0 [${value(stops[i])}] /C1 [${value(stop)}] /N 1 >>`);
+      const fn = pieces.length === 1
+        ? pieces[0]
+        : `<< /FunctionType 3 /Domain [0 1] /Functions [${pieces.join(' ')}] /Bounds [${stops.slice(1, -1).map((stop) => n((stop.offset - first) / span, 3)).join(' ')}] /Encode [${pieces.map(() => '0 1').join(' ')}] >>`;
+      return `<< /ShadingType 2 /ColorSpace /${space} /Coords [${[...at(first), ...at(first + span)].map((value) => n(value)).join(' ')}] /Function ${fn} /Extend [true true] >>`;
+    };
+    const opacity = (stop) => (stop.opacity === undefined ? 1 : stop.opacity);
+
+    const ops = [];
+    pdfDraw(scene, options, {
+      fill(segments, paint) {
+        if (!paint.gradient) {
+          const alpha = paint.alpha < 1 ? [state(`<< /ca ${n(paint.alpha, 3)} >>`)] : [];
+          const draw = [`${pdfRGB(paint.color)} rg`, path(segments), 'f'];
+          ops.push((alpha.length ? ['q', ...alpha, ...draw, 'Q'] : draw).join('\n'));
+          return;
+        }
+        const { gradient, alpha, box } = paint;
+        const name = `Sh${shadings.push(shading(gradient, box, 'DeviceRGB', (stop) => pdfRGB(SceneGraph.color(stop.color) || { r: 0, g: 0, b: 0 })))}`;
+        const alphas = gradient.stops.map((stop) => opacity(stop) * alpha);
+        let mask = null;
+        if (alphas.some((value) => value !== alphas[0])) {
+          // Stop opacities vary: a gray copy of the shading masks it
+          const form = add(stream(
+            `/Type /XObject /Subtype /Form /BBox [0 0 ${n(scene.width)} ${n(scene.height)}] /Group << /S /Transparency /CS /DeviceGray >> /Resources << /Shading << /Sh0 ${shading(gradient, box, 'DeviceGray', (stop) => n(opacity(stop) * alpha, 3))} >> >>`,
+            '/Sh0 sh'
+          ));
+          mask = state(`<< /SMask << /Type /Mask /S /Luminosity /G ${form} 0 R >> >>`);
+        } else if (alphas[0] < 1) {
+          mask = state(`<< /ca ${n(alphas[0], 3)} >>`);
+        }
+        ops.push(['q', ...(mask ? [mask] : []), path(segments), 'W n', `/${name} sh`, 'Q'].join('\n'));
+      },
+
+      stroke(segments, paint, style) {
+        ops.push([
+          'q',
+          ...(paint.alpha < 1 ? [state(`<< /CA ${n(paint.alpha, 3)} >>`)] : []),
+          `${pdfRGB(paint.color)} RG`,
+          `${n(style.width)} w`,
+          ...(style.linecap ? [`${PDF_LINE_STYLES.linecap[style.linecap] || 0} J`] : []),
+          ...(style.linejoin ? [`${PDF_LINE_STYLES.linejoin[style.linejoin] || 0} j`] : []),
+          ...(style.dash ? [`[${style.dash.map((value) => n(value)).join(' ')}] 0 d`] : []),
+          path(segments),
+          'S',
+          'Q'
+        ].join('\n'));
+      },
+
+      text(lines, font, size, paint) {
+        const shown = [];
+        let current = null;
+        lines.forEach((line) => {
+          shown.push(`1 0 0 1 ${n(line.x)} ${n(flip(line.y))} Tm`);
+          fonts.encode(font, line.text).forEach((run) => {
+            if (run.name !== current) {
+              current = run.name;
+              shown.push(`/${current} ${n(size)} Tf`);
+            }
+            shown.push(`(${Escape.postScriptString(run.bytes)}) Tj`);
+          });
+        });
+        const alpha = paint.alpha < 1 ? [state(`<< /ca ${n(paint.alpha, 3)} >>`)] : [];
+        const block = ['BT', `${pdfRGB(paint.color)} rg`, ...shown, 'ET'];
+        ops.push((alpha.length ? ['q', ...alpha, ...block, 'Q'] : block).join('\n'));
+      },
+
+      clip(segments) {
+        ops.push(`${path(segments)}\nW n`);
+      },
+
+      save() {
+        ops.push('q');
+      },
+
+      restore() {
+        ops.push('Q');
+      }
+    });
+
+    const resources = [];
+    if (fonts.resources.length) {
+      const refs = fonts.resources.map((resource) => {
+        const glyphs = pdfFontGlyphs(resource);
+        // Glyph procedures paint in the text color (d1), so one font serves every fill
+        const procs = glyphs.map(({ name, glyph }) => {
+          const outline = glyph.segments.map(({ command, points }) => (command === 'Z'
+            ? 'h'
+            : `${points.map((value) => n(value, 1)).join(' ')} ${{ M: 'm', L: 'l', C: 'c' }[command]}`));
+          const proc = [`${n(glyph.width, 1)} 0 ${glyph.box.join(' ')} d1`, ...outline, ...(outline.length ? ['f'] : [])];
+          return `/${name} ${add(stream('', proc.join('\n')))} 0 R`;
+        });
+        // Codes are listed only where they jump: [32 /uni0020 /uni0021 65 /uni0041]
+        const differences = glyphs.map(({ code, name }, i) => (i && glyphs[i - 1].code === code - 1 ? `/${name}` : `${code} /${name}`));
+        const first = glyphs[0].code;
+        const last = glyphs[glyphs.length - 1].code;
+        const widths = Array.from({ length: last - first + 1 }, (_, i) => {
+          const shown = glyphs.find(({ code }) => code === first + i);
+          return shown ? n(shown.glyph.width, 1) : '0';
+        });
+        const toUnicode = add(stream('', pdfToUnicode(resource.chars)));
+        return `/${resource.name} ${add([
+          `<< /Type /Font /Subtype /Type3 /Name /${resource.name} /FontBBox [${pdfFontBox(glyphs)}] /FontMatrix [0.001 0 0 0.001 0 0]`,
+          `/CharProcs << ${procs.join(' ')} >>`,
+          `/Encoding << /Type /Encoding /Differences [${differences.join(' ')}] >>`,
+          `/FirstChar ${first} /LastChar ${last} /Widths [${widths.join(' ')}]`,
+          `/Resources << >> /ToUnicode ${toUnicode} 0 R >>`
+        ].join('\n'))} 0 R`;
+      });
+      resources.push(`/Font << ${refs.join(' ')} >>`);
+    }
+    if (states.size) {
+      resources.push(`/ExtGState << ${[...states].map(([dict, name]) => `/${name} ${dict}`).join(' ')} >>`);
+    }
+    if (shadings.length) {
+      resources.push(`/Shading << ${shadings.map((dict, i) => `/Sh${i + 1} ${add(dict)} 0 R`).join(' ')} >>`);
+    }
+    const title = String(options.title || scene.label || scene.name || 'Screen');
+    const info = add(`<< /Title <FEFF${title.split('').map((char) => char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')).join('')}> /Producer (Vector Logic) >>`);
+
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = '<< /Type /Pages /Kids [3 0 R] /Count 1 >>';
+    objects[2] = [
+      '<< /Type /Page /Parent 2 0 R',
+      `/MediaBox [0 0 ${n(scene.width)} ${n(scene.height)}]`,
+      `/Resources << ${resources.join(' ')} >>`,
+      // Transparency is composited on the page, not on a printer's default
+      ...(states.size ? ['/Group << /S /Transparency /CS /DeviceRGB >>'] : []),
+      '/Contents 4 0 R >>'
+    ].join('\n');
+    objects[3] = stream('', ops.join('\n'));
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    return `${pdf}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  },
+
+  /**
+   * Write a scene as an Encapsulated PostScript document
+   * Fonts are defined in the prolog; each mark is a paragraph of the page.
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Writer options, as for fromScene
+   * @returns {string} EPS document
+   */
+  epsFromScene(scene, options = {}) {
+    const n = pdfNumber;
+    const flip = (y) => scene.height - y;
+    const fonts = pdfFontSet();
+    const path = (segments) => ['newpath', ...segments.map(({ command, points }) => (command === 'Z'
+      ? 'closepath'
+      : `${points.map((value, i) => n(i % 2 ? flip(value) : value)).join(' ')} ${{ M: 'moveto', L: 'lineto', C: 'curveto' }[command]}`))].join('\n');
+    // No transparency: translucent paint is left out
+    const opaque = (paint) => {
+      if (paint.gradient) {
+        const [stop] = paint.gradient.stops;
+        const full = paint.alpha >= 1 && paint.gradient.stops.every((item) => item.opacity === undefined || item.opacity >= 1);
+        return full ? SceneGraph.color(stop.color) : null;
+      }
+      return paint.alpha >= 1 ? paint.color : null;
+    };
+
+    const blocks = [];
+    pdfDraw(scene, options, {
+      fill(segments, paint) {
+        const color = opaque(paint);
+        if (color) blocks.push(`${path(segments)}\n${pdfRGB(color)} setrgbcolor\nfill`);
+      },
+
+      stroke(segments, paint, style) {
+        const color = opaque(paint);
+        if (!color) {
+          return;
+        }
+        blocks.push([
+          'gsave',
+          path(segments),
+          ...(style.dash ? [`[${style.dash.map((value) => n(value)).join(' ')}] 0 setdash`] : []),
+          ...(style.linecap ? [`${PDF_LINE_STYLES.linecap[style.linecap] || 0} setlinecap`] : []),
+          ...(style.linejoin ? [`${PDF_LINE_STYLES.linejoin[style.linejoin] || 0} setlinejoin`] : []),
+          `${pdfRGB(color)} setrgbcolor`,
+          `${n(style.width)} setlinewidth stroke`,
+          'grestore'
+        ].join('\n'));
+      },
+
+      text(lines, font, size, paint) {
+        const color = opaque(paint);
+        if (!color) {
+          return;
+        }
+        const shown = [`${pdfRGB(color)} setrgbcolor`];
+        let current = null;
+        lines.forEach((line) => {
+          shown.push(`${n(line.x)} ${n(flip(line.y))} moveto`);
+          fonts.encode(font, line.text).forEach((run) => {
+            if (run.name !== current) {
+              current = run.name;
+              shown.push(`/${current} findfont ${n(size)} scalefont setfont`);
+            }
+            shown.push(`(${Escape.postScriptString(run.bytes)}) show`);
+          });
+        });
+        blocks.push(shown.join('\n'));
+      },
+
+      clip(segments) {
+        blocks.push(`${path(segments)}\nclip newpath`);
+      },
+
+      save() {
+        blocks.push('gsave');
+      },
+
+      restore() {
+        blocks.push('grestore');
+      }
+    });
+
+    // Type 3 fonts with the same glyphs and codes as the PDF's; glyphs paint
+    // in the current color (setcachedevice)
+    const prolog = fonts.resources.map((resource) => {
+      const glyphs = pdfFontGlyphs(resource);
+      const procs = glyphs.map(({ name, glyph }) => [
+        `    /${name} {`,
+        `      ${n(glyph.width, 1)} 0 ${glyph.box.join(' ')} setcachedevice`,
+        ...glyph.segments.map(({ command, points }) => `      ${command === 'Z'
+          ? 'closepath'
+          : `${points.map((value) => n(value, 1)).join(' ')} ${{ M: 'moveto', L: 'lineto', C: 'curveto' }[command]}`}`),
+        ...(glyph.segments.length ? ['      fill'] : []),
+        '    } def'
+      ].join('\n'));
+      return [
+        `%%BeginResource: font ${resource.name}`,
+        `/${resource.name} 10 dict begin`,
+        '  /FontType 3 def',
+        `  /FontName /${resource.font.name} def`,
+        '  /FontMatrix [0.001 0 0 0.001 0 0] def',
+        `  /FontBBox [${pdfFontBox(glyphs)}] def`,
+        '  /Encoding 256 array 0 1 255 { 1 index exch /.notdef put } for',
+        ...glyphs.map(({ code, name }) => `    dup ${code} /${name} put`),
+        '  def',
+        `  /CharProcs ${glyphs.length + 1} dict dup begin`,
+        '    /.notdef { 0 0 0 0 0 0 setcachedevice } def',
+        ...procs,
+        '  end def',
+        '  /BuildGlyph { exch /CharProcs get exch 2 copy known not { pop /.notdef } if get exec } bind def',
+        '  /BuildChar { 1 index /Encoding get exch get 1 index /BuildGlyph get exec } bind def',
+        '  currentdict',
+        'end definefont pop',
+        '%%EndResource'
+      ].join('\n');
+    });
+
+    return [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      `%%BoundingBox: 0 0 ${Math.ceil(scene.width)} ${Math.ceil(scene.height)}`,
+      `%%HiResBoundingBox: 0 0 ${n(scene.width)} ${n(scene.height)}`,
+      `%%Title: (${Escape.postScriptString(String(scene.name || 'screen').replace(/[^\x20-\x7e]/g, '?'))})`,
+      '%%Creator: (Vector Logic)',
+      '%%LanguageLevel: 2',
+      ...(fonts.resources.length ? [`%%DocumentSuppliedResources: font ${fonts.resources.map((resource) => resource.name).join(' ')}`] : []),
+      '%%EndComments',
+      '%%BeginProlog',
+      ...prolog,
+      '%%EndProlog',
+      '',
+      blocks.join('\n\n'),
+      '',
+      'showpage',
+      '%%EOF',
+      ''
+    ].join('\n');
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PDFWriter;
+}
+if (typeof window !== 'undefined') {
+  window.PDFWriter = PDFWriter;
+}
@@ -0,0 +1,528 @@
+/**
+ * React Native Exporter - Scene graph to a react-native-svg component
+ *
+ * Transpiles a laid out screen (see SceneGraph) into a typed TSX module:
+ *   - the screen's declared props become a typed props object, with the
+ *     exported values as defaults; prop-bound text reads the prop
+ *   - token-backed values reference the tokens module (`fill={colors.cardBg}`),
+ *     which tokensModule() generates for the active theme
+ *   - every container with an ID, and every container structure that repeats
+ *     (label/value rows), becomes its own component; strings that differ
+ *     between instances become that component's props
+ *
+ * Geometry is the layout for the exported props. react-native-svg does not
+ * wrap text, so prop-bound text is drawn on one line, and QR codes are
+ * encoded once, at export time.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, Escape */
+
+/**
+ * Names the generated module imports or declares itself
+ * @const {string[]}
+ */
+const RN_RESERVED_NAMES = ['React', 'View', 'StyleSheet', 'Svg', 'Defs', 'LinearGradient', 'Stop', 'ClipPath', 'G', 'Rect', 'Circle', 'Path', 'SvgText', 'TSpan', 'Image'];
+
+/**
+ * Round a number for generated code
+ * @private
+ * @param {number} value - Number
+ * @returns {number} Value rounded to 2 decimals
+ */
+function rnNumber(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Double-quoted JS string literal
+ * @private
+ * @param {*} value - Value
+ * @returns {string} Literal
+ */
+function rnString(value) {
+  return `"${Escape.jsString(value)}"`;
+}
+
+/**
+ * camelCase identifier ("upload-zone" -> "uploadZone", "user.name" -> "userName")
+ * @private
+ * @param {string} name - Name
+ * @returns {string} Identifier
+ */
+function rnIdentifier(name) {
+  const words = String(name).split(/[^a-z0-9]+/i).filter(Boolean);
+  const identifier = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+  return /^[a-z_$]/i.test(identifier) ? identifier : `_${identifier}`;
+}
+
+/**
+ * PascalCase type name ("upload-zone" -> "UploadZone")
+ * @private
+ * @param {string} name - Name
+ * @returns {string} Type name
+ */
+function rnTypeName(name) {
+  const identifier = rnIdentifier(name).replace(/^_/, '');
+  return identifier[0].toUpperCase() + identifier.slice(1);
+}
+
+/**
+ * JS expression for a {{prop}} template ("{{title}}" -> title, "№ {{n}}" -> `№ ${n}`)
+ * @private
+ * @param {string} template - Template string
+ * @returns {string} Expression
+ */
+function rnTemplate(template) {
+  const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+  if (single) {
+    return rnIdentifier(single[1]);
+  }
+  const parts = template.split(/\{\{\s*([\w.]+)\s*\}\}/);
+  return `\`${parts.map((part, i) => (i % 2 ? `\${${rnIdentifier(part)}}` : Escape.jsString(part))).join('')}\``;
+}
+
+/**
+ * Prop names referenced by a template
+ * @private
+ * @param {string} template - Template string
+ * @returns {string[]} Prop names
+ */
+function rnTemplateProps(template) {
+  return [...template.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Token path as an expression on the imported group ("colors.qr.fg", "spacing.0" -> spacing['0'])
+ * @private
+ * @param {string} path - Token path
+ * @returns {string} Expression
+ */
+function rnTokenExpression(path) {
+  const [group, ...keys] = path.split('.');
+  return group + keys.map((key) => (/^[a-z_$][\w$]*$/i.test(key) ? `.${key}` : `['${Escape.jsString(key)}']`)).join('');
+}
+
+/**
+ * TypeScript object literal for a token value
+ * @private
+ * @param {*} value - Token value
+ * @param {string} indent - Current indentation
+ * @returns {string} Literal
+ */
+function rnLiteral(value, indent) {
+  if (value && typeof value === 'object') {
+    const inner = `${indent}  `;
+    const entries = Object.entries(value).map(([key, item]) => {
+      const name = /^[a-z_$][\w$]*$/i.test(key) ? key : `'${Escape.jsString(key)}'`;
+      return `${inner}${name}: ${rnLiteral(item, inner)},`;
+    });
+    return `{\n${entries.join('\n')}\n${indent}}`;
+  }
+  return typeof value === 'number' ? String(value) : `'${Escape.jsString(value)}'`;
+}
+
+const ReactNativeExporter = Object.freeze({
+  /**
+   * Import path of the tokens module in generated components
+   * @const {string}
+   */
+  TOKENS_MODULE: './diia-tokens',
+
+  /**
+   * Transpile a scene into a react-native-svg TSX module
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.name] - Screen component name (default from the scene name)
+   * @param {Object} [options.tokens] - Resolved design tokens (hologram gradient colors)
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry (patterns are skipped without it)
+   * @param {string} [options.tokensModule=ReactNativeExporter.TOKENS_MODULE] - Import path of the tokens module
+   * @returns {string} TSX source
+   * @example
+   * ReactNativeExporter.transpile(SceneGraph.build('upload-screen'));
+   * // ... const DiiaUploadScreen = ({ title = "Завантаження документів", ... }: DiiaUploadScreenProps) => ...
+   */
+  transpile(scene, options = {}) {
+    const screenName = options.name || rnTypeName(`diia-${String(scene.name || 'screen').replace(/^diia-/, '')}`);
+    const used = new Set();
+    const tokenGroups = new Set();
+    const defs = new Map();
+    const screenProps = new Map(Object.entries(scene.props || {}));
+
+    // Attribute list: numbers as {n}, token-backed values as {group.key}, strings quoted
+    const attrs = (values, node) => Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => {
+        const [attr, key] = name.split(':');
+        const token = node && node.tokens && node.tokens[key || attr];
+        if (token) {
+          tokenGroups.add(token.split('.')[0]);
+          return ` ${attr}={${rnTokenExpression(token)}}`;
+        }
+        return ` ${attr}=${typeof value === 'number' ? `{${rnNumber(value)}}` : `"${Escape.xmlAttr(value)}"`}`;
+      })
+      .join('');
+    const element = (name, values, node, children) => {
+      used.add(name);
+      return children === undefined ? `<${name}${attrs(values, node)} />` : `<${name}${attrs(values, node)}>${children}</${name}>`;
+    };
+    const paint = (value) => {
+      const def = SceneGraph.def(scene, value);
+      if (!def) {
+        return value;
+      }
+      const gradient = options.tokens ? SceneGraph.gradient(def, options.tokens) : null;
+      if (!gradient) {
+        return undefined;
+      }
+      if (!defs.has(def.id)) {
+        const stops = gradient.stops.map((stop) => element('Stop', { offset: stop.offset, stopColor: stop.color, stopOpacity: stop.opacity })).join('');
+        defs.set(def.id, element('LinearGradient', { id: def.id, x1: gradient.x1, y1: gradient.y1, x2: gradient.x2, y2: gradient.y2 }, null, stops));
+      }
+      return `url(#${def.id})`;
+    };
+    const stroke = (node) => ({
+      'stroke:stroke': paint(node.stroke),
+      'strokeWidth:strokeWidth': node.strokeWidth,
+      strokeDasharray: node.dash ? node.dash.join(' ') : undefined,
+      strokeLinecap: node.linecap,
+      strokeLinejoin: node.linejoin
+    });
+    const pathData = (d, dx, dy) => SceneGraph.pathCommands(d, dx, dy)
+      .map(({ command, points }) => command + points.map(rnNumber).join(' '))
+      .join('');
+
+    // Strings a node shows or announces, keyed by kind
+    const fieldsOf = (node) => {
+      const fields = [];
+      if (node.type === 'text') fields.push(['text', node.text]);
+      if (node.type === 'image' && node.href) fields.push(['href', node.href]);
+      if (node.label !== undefined) fields.push(['label', node.label]);
+      if (node.semantic && node.semantic.label !== undefined) fields.push(['semanticLabel', node.semantic.label]);
+      return fields;
+    };
+    // Value of a field at the screen level: prop expression or literal
+    const screenValue = (node, kind, value) => {
+      const binding = node.bindings && node.bindings[kind];
+      if (binding) {
+        rnTemplateProps(binding).forEach((prop) => {
+          if (!screenProps.has(prop)) screenProps.set(prop, '');
+        });
+        return { expression: rnTemplate(binding) };
+      }
+      return { literal: value };
+    };
+
+    // Pass 1: components. Containers with an ID, and container structures that repeat
+    const containers = [];
+    const depthOf = new Map();
+    const collect = (nodes, depth) => nodes.forEach((node) => {
+      if (node.children) {
+        containers.push(node);
+        depthOf.set(node, depth);
+        collect(node.children, depth + 1);
+      }
+    });
+    collect(scene.nodes, 0);
+
+    // Node types of a subtree: nodes that draw nothing still decide slot paths
+    const shapeOf = (node) => (node.children ? `${node.type}(${node.children.map(shapeOf).join(',')})` : node.type);
+
+    const componentOf = new Map();
+    const components = [];
+    const taken = new Set([...RN_RESERVED_NAMES, screenName]);
+    const uniqueName = (base) => {
+      let name = taken.has(base) ? `${base}Group` : base;
+      for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+      taken.add(name);
+      return name;
+    };
+    const bySignature = new Map();
+    containers.forEach((node) => {
+      // The structure as drawn at its own origin, strings left out
+      const signature = `${node.id || ''}\n${shapeOf(node)}\n${draw(node, { origin: node, path: [], root: node, field: () => ({ slot: '?' }), inline: true }, '')}`;
+      if (!bySignature.has(signature)) bySignature.set(signature, []);
+      bySignature.get(signature).push(node);
+    });
+    // Signatures are drafts: only the final markup decides imports and definitions
+    used.clear();
+    tokenGroups.clear();
+    defs.clear();
+    let unnamed = 0;
+    bySignature.forEach((instances) => {
+      const [first] = instances;
+      if (!first.id && instances.length < 2) {
+        return;
+      }
+      const base = first.id ? rnTypeName(first.id) : `${rnTypeName((first.semantic && first.semantic.type) || first.type)}${++unnamed}`;
+      const component = { name: uniqueName(base), root: first, instances, slots: new Map() };
+      instances.forEach((node) => componentOf.set(node, component));
+      components.push(component);
+    });
+
+    // Pass 2: slots. A string becomes a prop of its component unless every instance shows the same literal
+    components.forEach((component) => {
+      const values = new Map();
+      component.instances.forEach((instance) => {
+        const visit = (node, path) => {
+          fieldsOf(node).forEach(([kind, value]) => {
+            const key = `${path.join('.')}:${kind}`;
+            if (!values.has(key)) values.set(key, { node, kind, values: [] });
+            values.get(key).values.push(screenValue(node, kind, value));
+          });
+          (node.children || []).forEach((child, i) => visit(child, [...path, i]));
+        };
+        visit(instance, []);
+      });
+      const names = new Set(['x', 'y']);
+      const boundTo = new Map();
+      values.forEach(({ node, kind, values: all }, key) => {
+        if (all.every((value) => value.literal !== undefined && value.literal === all[0].literal)) {
+          return;
+        }
+        const bound = all.every((value) => /^[\w$]+$/.test(value.expression || '')) && new Set(all.map((value) => value.expression)).size === 1;
+        // Strings bound to the same prop share one slot
+        if (bound && boundTo.has(all[0].expression)) {
+          component.slots.set(key, boundTo.get(all[0].expression));
+          return;
+        }
+        // Unnamed strings: static copy that differs per instance is a label, prop-bound text a value
+        const role = all.every((value) => value.literal !== undefined) ? 'label' : all.every((value) => value.expression) ? 'value' : kind;
+        const base = bound ? all[0].expression : rnIdentifier(node.id ? `${node.id}-${kind}` : kind === 'text' ? role : kind);
+        let name = base;
+        for (let i = 1; names.has(name); i++) name = `${base}${i}`;
+        names.add(name);
+        if (bound) boundTo.set(all[0].expression, name);
+        component.slots.set(key, name);
+      });
+    });
+
+    // Pass 3: emit
+    function valueExpression(value) {
+      return value.expression !== undefined ? value.expression : rnString(value.literal);
+    }
+
+    /**
+     * JSX for a node drawn relative to scope.origin
+     * scope.field(node, kind, value, path) returns {expression}, {literal} or {slot}
+     */
+    function draw(node, scope, pad) {
+      const { origin } = scope;
+      const component = !scope.inline && node !== scope.root ? componentOf.get(node) : undefined;
+      const field = (kind, value) => {
+        const result = scope.field(node, kind, value, scope.path);
+        return result.slot !== undefined ? result.slot : valueExpression(result);
+      };
+      const a11y = () => [
+        node.label !== undefined ? ` accessibilityLabel={${field('label', node.label)}}` : '',
+        node.semantic && node.semantic.type === 'button' ? ' accessibilityRole="button"' : '',
+        node.semantic && /^h[1-6]$/.test(node.semantic.type) ? ' accessibilityRole="header"' : '',
+        node.semantic && node.semantic.label !== undefined ? ` accessibilityLabel={${field('semanticLabel', node.semantic.label)}}` : '',
+        node.hidden ? ' accessibilityElementsHidden importantForAccessibility="no-hide-descendants"' : ''
+      ].join('');
+      const x = node.x - origin.x;
+      const y = node.y - origin.y;
+
+      if (component) {
+        used.add(component.name);
+        const passed = new Set();
+        const args = [...component.slots].filter(([, slot]) => !passed.has(slot) && passed.add(slot)).map(([key, slot]) => {
+          const [path, kind] = key.split(':');
+          let target = node;
+          const indices = path ? path.split('.').map(Number) : [];
+          indices.forEach((i) => { target = target.children[i]; });
+          const value = fieldsOf(target).find(([name]) => name === kind)[1];
+          const result = scope.field(target, kind, value, [...scope.path, ...indices]);
+          return ` ${slot}={${result.slot !== undefined ? result.slot : valueExpression(result)}}`;
+        });
+        return `${pad}<${component.name} x={${rnNumber(x)}} y={${rnNumber(y)}}${args.join('')} />`;
+      }
+
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          const isRoot = node === scope.root;
+          const ox = isRoot ? 0 : x;
+          const oy = isRoot ? 0 : y;
+          const lines = [];
+          if (node.type !== 'group' && (node.fill !== undefined || node.stroke !== undefined)) {
+            lines.push(element('Rect', { x: ox, y: oy, width: node.width, height: node.height, 'rx:radius': node.radius, 'fill:fill': paint(node.fill), ...stroke(node) }, node));
+          }
+          let clipPath;
+          if (node.clip) {
+            const { clip } = node;
+            const id = `${clip.id || 'frame'}-clip`;
+            const cx = isRoot ? clip.x - node.x : clip.x - origin.x;
+            const cy = isRoot ? clip.y - node.y : clip.y - origin.y;
+            defs.set(id, element('ClipPath', { id }, null, element('Rect', { x: cx, y: cy, width: clip.width, height: clip.height, rx: clip.radius })));
+            clipPath = `url(#${id})`;
+          }
+          const inner = isRoot ? node : origin;
+          const children = node.children.map((child, i) => draw(child, { ...scope, origin: inner, path: [...scope.path, i] }, ''));
+          const groupAttrs = `${attrs({ opacity: node.opacity, clipPath })}${a11y()}`;
+          if (isRoot) {
+            used.add('G');
+            return [`${pad}<G x={x} y={y}${groupAttrs}>`, ...[...lines, ...children].flatMap((line) => line.split('\n')).map((line) => `${pad}  ${line}`), `${pad}</G>`].join('\n');
+          }
+          if (!groupAttrs) {
+            return [...lines, ...children].filter(Boolean).map((line) => line.split('\n').map((part) => pad + part).join('\n')).join('\n');
+          }
+          used.add('G');
+          return [`${pad}<G${groupAttrs}>`, ...[...lines, ...children].filter(Boolean).flatMap((line) => line.split('\n')).map((line) => `${pad}  ${line}`), `${pad}</G>`].join('\n');
+        }
+
+        case 'rect':
+          return pad + element('Rect', { x, y, width: node.width, height: node.height, 'rx:radius': node.radius, 'fill:fill': paint(node.fill), ...stroke(node), opacity: node.opacity }, node).replace(/ \/>$/, `${a11y()} />`);
+
+        case 'circle':
+          return pad + element('Circle', { cx: x + node.width / 2, cy: y + node.height / 2, 'r:r': node.r, 'fill:fill': paint(node.fill), ...stroke(node), opacity: node.opacity }, node).replace(/ \/>$/, `${a11y()} />`);
+
+        case 'text': {
+          const offset = node.anchor === 'middle' ? node.width / 2 : node.anchor === 'end' ? node.width : 0;
+          const tx = x + offset;
+          const content = scope.field(node, 'text', node.text, scope.path);
+          used.add('SvgText');
+          let body;
+          if (content.literal !== undefined && node.lines.length > 1) {
+            used.add('TSpan');
+            body = node.lines.map((line, i) => `${pad}  <TSpan x={${rnNumber(tx)}} y={${rnNumber(node.baseline - origin.y + i * node.lineHeight)}}>{${rnString(line)}}</TSpan>`);
+          } else {
+            const text = content.literal !== undefined ? rnString(node.lines.length ? node.lines[0] : node.text) : (content.slot || content.expression);
+            body = [`${pad}  {${text}}`];
+          }
+          const open = `<SvgText${attrs({
+            x: tx,
+            y: node.baseline - origin.y,
+            textAnchor: node.anchor,
+            'fontFamily:fontFamily': node.tokens && node.tokens.fontFamily ? node.fontFamily : String(node.fontFamily).split(',')[0].trim(),
+            'fontWeight:fontWeight': node.fontWeight !== undefined ? String(node.fontWeight) : undefined,
+            'fontSize:fontSize': node.fontSize,
+            'fill:fill': paint(node.fill),
+            opacity: node.opacity
+          }, node)}${a11y()}>`;
+          return [`${pad}${open}`, ...body, `${pad}</SvgText>`].join('\n');
+        }
+
+        case 'path':
+          return pad + element('Path', { d: pathData(node.d, x, y), 'fill:fill': paint(node.fill) || 'none', ...stroke(node), opacity: node.opacity }, node);
+
+        case 'image': {
+          if (!node.href) {
+            return '';
+          }
+          used.add('Image');
+          return `${pad}<Image${attrs({ x, y, width: node.width, height: node.height, preserveAspectRatio: node.fit, opacity: node.opacity })} href={{ uri: ${field('href', node.href)} }}${a11y()} />`;
+        }
+
+        case 'qr': {
+          const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+          const d = QREncoder.toPathData(qr, { x, y, moduleSize: node.size / qr.size });
+          return [
+            node.background !== undefined ? pad + element('Rect', { x, y, width: node.width, height: node.height, 'fill:background': node.background }, node) : '',
+            pad + element('Path', { d, 'fill:fill': node.fill }, node)
+          ].filter(Boolean).join('\n');
+        }
+
+        case 'pattern': {
+          if (!options.pattern) {
+            return '';
+          }
+          const { paths, strokeWidth, linecap } = options.pattern(node);
+          const strokes = paths.map((d) => element('Path', { d: pathData(d, x, y), 'stroke:stroke': 'pattern', strokeWidth, strokeLinecap: linecap, fill: 'none' }, { tokens: { stroke: 'colors.pattern' } }));
+          return `${pad}${element('G', { opacity: 0.1 }, null, strokes.join(''))}`;
+        }
+
+        default:
+          return '';
+      }
+    }
+
+    // Screen scope: strings are prop expressions or literals
+    const screenScope = {
+      origin: { x: 0, y: 0 },
+      path: [],
+      root: null,
+      field: (node, kind, value) => screenValue(node, kind, value)
+    };
+    const body = scene.nodes.map((node, i) => draw(node, { ...screenScope, path: [i] }, '        ')).filter(Boolean).join('\n');
+    const label = scene.label !== undefined
+      ? ` accessibilityLabel={${scene.bindings && scene.bindings.label ? rnTemplate(scene.bindings.label) : rnString(scene.label)}}`
+      : '';
+
+    // Components, innermost first (an outer component places inner ones)
+    const definitions = [...components].sort((a, b) => depthOf.get(b.root) - depthOf.get(a.root)).map((component) => {
+      const slots = [...new Set(component.slots.values())];
+      const scope = {
+        origin: component.root,
+        path: [],
+        root: component.root,
+        field: (node, kind, value, path) => {
+          const slot = component.slots.get(`${path.join('.')}:${kind}`);
+          return slot !== undefined ? { slot } : { literal: value };
+        }
+      };
+      const jsx = draw(component.root, scope, '  ');
+      const type = `type ${component.name}Props = {\n  x: number;\n  y: number;\n${slots.map((slot) => `  ${slot}: string;\n`).join('')}};`;
+      return `${type}\n\nconst ${component.name} = ({ ${['x', 'y', ...slots].join(', ')} }: ${component.name}Props) => (\n${jsx}\n);`;
+    });
+
+    if (scene.bindings && scene.bindings.label) {
+      rnTemplateProps(scene.bindings.label).forEach((prop) => {
+        if (!screenProps.has(prop)) screenProps.set(prop, '');
+      });
+    }
+    const propNames = [...screenProps.keys()];
+    const propsType = `export type ${screenName}Props = {\n${propNames.map((prop) => `  ${rnIdentifier(prop)}?: string;\n`).join('')}};`;
+    const defaults = propNames.map((prop) => `  ${rnIdentifier(prop)} = ${rnString(screenProps.get(prop) === undefined || screenProps.get(prop) === null ? '' : screenProps.get(prop))},`);
+    const defsBlock = defs.size ? `        ${element('Defs', {}, null, [...defs.values()].join(''))}\n` : '';
+
+    tokenGroups.add('colors');
+    const svgImports = RN_RESERVED_NAMES.filter((name) => used.has(name) && !['React', 'View', 'StyleSheet', 'Svg'].includes(name))
+      .map((name) => (name === 'SvgText' ? 'Text as SvgText' : name));
+    const imports = [
+      "import React from 'react';",
+      "import { View, StyleSheet } from 'react-native';",
+      `import Svg${svgImports.length ? `, { ${svgImports.join(', ')} }` : ''} from 'react-native-svg';`,
+      `import { ${[...tokenGroups].sort().join(', ')} } from '${Escape.jsString(options.tokensModule || ReactNativeExporter.TOKENS_MODULE)}';`
+    ];
+
+    return [
+      imports.join('\n'),
+      propsType,
+      ...definitions,
+      `const ${screenName} = ({${defaults.length ? `\n${defaults.join('\n')}\n` : ' '}}: ${screenName}Props) => {\n  return (\n    <View style={styles.container}>\n      <Svg width={${scene.width}} height={${scene.height}} viewBox="0 0 ${scene.width} ${scene.height}"${label}>\n${defsBlock}${body}\n      </Svg>\n    </View>\n  );\n};`,
+      'const styles = StyleSheet.create({\n  container: {\n    flex: 1,\n    backgroundColor: colors.background,\n  },\n});',
+      `export default ${screenName};\n`
+    ].join('\n\n');
+  },
+
+  /**
+   * The tokens module generated components import (one export per token group)
+   * React Native takes a single font family, so font stacks keep their first family.
+   *
+   * @param {Object} tokens - Resolved design tokens (DiiaTokens.resolve(theme))
+   * @returns {string} TypeScript source
+   */
+  tokensModule(tokens) {
+    const groups = Object.entries(tokens).map(([group, values]) => {
+      const value = group === 'fontFamily'
+        ? Object.fromEntries(Object.entries(values).map(([key, stack]) => [key, String(stack).split(',')[0].trim().replace(/^["']|["']$/g, '')]))
+        : values;
+      return `export const ${group} = ${rnLiteral(value, '')} as const;`;
+    });
+    return `/**\n * Diia design tokens for React Native components exported by Vector Logic\n */\n\n${groups.join('\n\n')}\n`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReactNativeExporter;
+}
+if (typeof window !== 'undefined') {
+  window.ReactNativeExporter = ReactNativeExporter;
+}
@@ -0,0 +1,652 @@
+/**
+ * Scene Graph - Shared intermediate representation of a laid out screen
+ *
+ * A screen schema says *what* is on a screen ("$spacing.md", "50%", "{{title}}",
+ * stacks). The scene graph says exactly *where* and *how*, once, for every
+ * generator: layout is done, tokens and props are resolved, text is wrapped.
+ * The SVG, canvas, DOM and Figma renderers and the React Native, SwiftUI,
+ * Compose, VectorDrawable, Flutter and PDF exporters all walk the same scene,
+ * so they cannot drift apart.
+ *
+ * Scene nodes are plain JSON-serializable objects in unscaled design units
+ * with absolute coordinates; generators multiply by their own scale.
+ * Paint values are colors, "none" or "@id" references to `scene.defs`.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/screen-schema.js for the source format
+ */
+
+/* global ScreenSchema, LayoutEngine, DiiaTokens, Escape */
+
+/**
+ * @typedef {Object} SceneNode
+ * @property {string} type - frame, stack, group, rect, circle, text, path, image, qr or pattern
+ * @property {string} [id] - Schema node ID
+ * @property {number} x - Left edge (design units, absolute)
+ * @property {number} y - Top edge
+ * @property {number} width - Box width
+ * @property {number} height - Box height
+ * @property {string} [fill] - Fill color or "@id" paint
+ * @property {string} [stroke] - Stroke color or "@id" paint
+ * @property {number} [strokeWidth] - Stroke width
+ * @property {number[]} [dash] - Stroke dash lengths
+ * @property {string} [linecap] - Stroke line cap
+ * @property {string} [linejoin] - Stroke line join
+ * @property {number} [radius] - Corner radius (frame, stack, rect)
+ * @property {string} [filter] - "@id" filter reference
+ * @property {number} [opacity] - Opacity 0-1
+ * @property {{x: number, y: number, width: number, height: number, radius?: number, id?: string}} [clip] - Containers: clip to this frame
+ * @property {number} [r] - Circle radius
+ * @property {string} [text] - Text: full text (props interpolated)
+ * @property {string[]} [lines] - Text: wrapped lines as laid out
+ * @property {number} [baseline] - Text: absolute Y of the first baseline
+ * @property {number} [lineHeight] - Text: distance between baselines
+ * @property {boolean} [truncated] - Text: true if the text was ellipsized
+ * @property {number} [maxLines] - Text: line limit
+ * @property {string} [anchor] - Text: start, middle or end
+ * @property {string} [fontFamily] - Text: font family
+ * @property {string|number} [fontWeight] - Text: font weight
+ * @property {number} [fontSize] - Text: font size
+ * @property {string} [d] - Path: path data relative to (x, y)
+ * @property {string} [href] - Image: sanitized URL ('' if rejected)
+ * @property {string} [fit] - Image: preserveAspectRatio
+ * @property {string} [data] - QR: encoded text
+ * @property {number} [size] - QR: code size
+ * @property {string} [ecLevel] - QR: error correction level
+ * @property {string} [background] - QR: background color
+ * @property {string} [kind] - Pattern: security pattern style
+ * @property {string} [role] - ARIA role
+ * @property {string} [label] - Accessible label
+ * @property {boolean} [hidden] - Hidden from assistive technologies
+ * @property {{type: string, text?: string, label?: string}} [semantic] - Semantic meaning (h1, p, button)
+ * @property {Object<string, string>} [tokens] - Token paths the resolved values came from ({fill: 'colors.cardBg'})
+ * @property {Object<string, string>} [bindings] - Raw templates of prop-bound strings ({text: '{{title}}'})
+ * @property {SceneNode[]} [children] - Containers: child nodes
+ */
+
+/**
+ * @typedef {Object} Scene
+ * @property {string} [name] - Schema name
+ * @property {number} width - Screen width (design units)
+ * @property {number} height - Screen height
+ * @property {string} [label] - Accessible label of the screen
+ * @property {Object<string, string>} [bindings] - Raw template of the label ({label: '{{title}}'})
+ * @property {Object<string, *>} props - Declared props as resolved for this scene
+ * @property {Object[]} defs - Resolved definitions (gradients, filters)
+ * @property {SceneNode[]} nodes - Top-level nodes, in paint order
+ */
+
+/**
+ * Copy of an object without undefined values
+ * @private
+ * @param {Object} object - Source object
+ * @returns {Object} Object with defined values only
+ */
+function compactScene(object) {
+  const result = {};
+  Object.keys(object).forEach((key) => {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Convert one layout box (and its children) to a scene node
+ * @private
+ * @param {LayoutBox} box - Layout box
+ * @param {Object} ctx - Build context ({tokens, props})
+ * @param {?LayoutBox} frame - Nearest enclosing frame or stack
+ * @returns {SceneNode} Scene node
+ * @throws {TypeError} If a clipped group has no enclosing frame
+ */
+function toSceneNode(box, ctx, frame) {
+  const { node } = box;
+  // Generators that keep tokens and props symbolic (code exports) read these back
+  const tokens = {};
+  const bindings = {};
+  const resolve = (value, key) => {
+    if (key && typeof value === 'string' && value.startsWith('$')) {
+      tokens[key] = value.slice(1);
+    }
+    return ScreenSchema.resolveValue(value, ctx.tokens);
+  };
+  const text = (value, key) => {
+    if (key && typeof value === 'string' && /\{\{\s*[\w.]+\s*\}\}/.test(value)) {
+      bindings[key] = value;
+    }
+    return ScreenSchema.interpolate(value, ctx.props);
+  };
+  const stroke = () => ({
+    stroke: resolve(node.stroke, 'stroke'),
+    strokeWidth: resolve(node.strokeWidth, 'strokeWidth'),
+    dash: node.dash ? node.dash.map((value, index) => resolve(value, `dash.${index}`)) : undefined,
+    linecap: node.linecap,
+    linejoin: node.linejoin
+  });
+
+  const scene = { type: node.type, id: node.id, x: box.x, y: box.y, width: box.width, height: box.height };
+
+  switch (node.type) {
+    case 'frame':
+    case 'stack':
+    case 'group': {
+      const childFrame = node.type === 'group' ? frame : box;
+      if (node.type !== 'group') {
+        Object.assign(scene, { fill: resolve(node.fill, 'fill'), ...stroke(), radius: resolve(node.radius, 'radius'), filter: resolve(node.filter) });
+      }
+      if (node.clip) {
+        if (!childFrame) {
+          throw new TypeError('Clipped groups must be placed inside a frame or stack');
+        }
+        scene.clip = compactScene({
+          x: childFrame.x,
+          y: childFrame.y,
+          width: childFrame.width,
+          height: childFrame.height,
+          radius: resolve(childFrame.node.radius),
+          id: childFrame.node.id
+        });
+      }
+      scene.children = toSceneNodes(box.children, ctx, childFrame);
+      break;
+    }
+
+    case 'rect':
+      Object.assign(scene, { fill: resolve(node.fill, 'fill'), ...stroke(), radius: resolve(node.radius, 'radius'), filter: resolve(node.filter) });
+      break;
+
+    case 'circle':
+      Object.assign(scene, { r: resolve(node.r, 'r'), fill: resolve(node.fill, 'fill'), ...stroke() });
+      break;
+
+    case 'text':
+      Object.assign(scene, {
+        text: text(node.text, 'text'),
+        lines: box.lines,
+        baseline: box.baseline,
+        lineHeight: box.lineHeight,
+        truncated: box.truncated || undefined,
+        maxLines: node.maxLines,
+        anchor: node.anchor,
+        fontFamily: resolve(node.fontFamily || '$fontFamily.primary', 'fontFamily'),
+        fontWeight: resolve(node.fontWeight, 'fontWeight'),
+        fontSize: resolve(node.fontSize || '$fontSize.base', 'fontSize'),
+        fill: resolve(node.fill, 'fill')
+      });
+      break;
+
+    case 'path':
+      Object.assign(scene, { d: node.d, fill: resolve(node.fill, 'fill'), ...stroke() });
+      break;
+
+    case 'image':
+      Object.assign(scene, { href: Escape.url(text(node.href, 'href')), fit: node.fit });
+      break;
+
+    case 'qr':
+      Object.assign(scene, {
+        data: String(text(node.data || '', 'data')),
+        size: resolve(node.size, 'size'),
+        ecLevel: node.ecLevel,
+        fill: resolve(node.fill || '$colors.qr.fg', 'fill'),
+        background: resolve(node.background, 'background')
+      });
+      break;
+
+    case 'pattern':
+      scene.kind = node.kind;
+      break;
+
+    default:
+      break;
+  }
+
+  Object.assign(scene, {
+    opacity: node.opacity,
+    role: node.role,
+    label: node.label !== undefined ? text(node.label, 'label') : undefined,
+    hidden: node.hidden ? true : undefined
+  });
+  if (node.semantic) {
+    scene.semantic = compactScene({
+      type: node.semantic.type,
+      text: text(node.semantic.text !== undefined ? node.semantic.text : node.text, 'semanticText'),
+      label: node.semantic.label !== undefined ? text(node.semantic.label, 'semanticLabel') : undefined
+    });
+  }
+
+  if (Object.keys(tokens).length) {
+    scene.tokens = tokens;
+  }
+  if (Object.keys(bindings).length) {
+    scene.bindings = bindings;
+  }
+  return compactScene(scene);
+}
+
+/**
+ * Scene nodes for sibling layout boxes (spacers only take up room and are dropped)
+ * @private
+ * @param {LayoutBox[]} boxes - Layout boxes
+ * @param {Object} ctx - Build context ({tokens, props})
+ * @param {?LayoutBox} frame - Nearest enclosing frame or stack
+ * @returns {SceneNode[]} Scene nodes
+ */
+function toSceneNodes(boxes, ctx, frame) {
+  return boxes.filter((box) => box.node.type !== 'spacer').map((box) => toSceneNode(box, ctx, frame));
+}
+
+/**
+ * Resolve token colors inside a definition
+ * @private
+ * @param {Object} def - Definition from schema.defs
+ * @param {Object} tokens - Design tokens
+ * @returns {Object} Resolved definition
+ */
+function toSceneDef(def, tokens) {
+  const resolve = (value) => ScreenSchema.resolveValue(value, tokens);
+  switch (def.type) {
+    case 'dropShadow':
+      return compactScene({ ...def, color: resolve(def.color) });
+    case 'linearGradient':
+      return { ...def, stops: def.stops.map((stop) => compactScene({ ...stop, color: resolve(stop.color) })) };
+    default:
+      return { ...def };
+  }
+}
+
+/**
+ * Cubic Bézier segments approximating an SVG elliptical arc (at most 90° each)
+ * @private
+ * @param {number} x1 - Start X
+ * @param {number} y1 - Start Y
+ * @param {number[]} arc - Arc arguments: rx, ry, rotation, large-arc flag, sweep flag, end X, end Y
+ * @returns {number[][]} Curves as [c1x, c1y, c2x, c2y, x, y]
+ * @see https://www.w3.org/TR/SVG11/implnote.html#ArcImplementationNotes
+ */
+function arcToCurves(x1, y1, arc) {
+  const [, , rotation, largeArc, sweep, x2, y2] = arc;
+  let rx = Math.abs(arc[0]);
+  let ry = Math.abs(arc[1]);
+  if (!rx || !ry || (x1 === x2 && y1 === y2)) {
+    return rx && ry ? [] : [[x1, y1, x2, y2, x2, y2]];
+  }
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  // Endpoint to center parameterization
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const px = cos * dx + sin * dy;
+  const py = -sin * dx + cos * dy;
+  const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+  const root = Math.sqrt(Math.max(0, numerator / (rx * rx * py * py + ry * ry * px * px)));
+  const sign = Number(largeArc) === Number(sweep) ? -1 : 1;
+  const cxp = sign * root * ((rx * py) / ry);
+  const cyp = sign * root * (-(ry * px) / rx);
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (px - cxp) / rx, (py - cyp) / ry);
+  let delta = angle((px - cxp) / rx, (py - cyp) / ry, (-px - cxp) / rx, (-py - cyp) / ry);
+  if (!Number(sweep) && delta > 0) delta -= 2 * Math.PI;
+  if (Number(sweep) && delta < 0) delta += 2 * Math.PI;
+
+  const count = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / count;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+  const tangent = (t) => [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+
+  const curves = [];
+  for (let i = 0; i < count; i++) {
+    const t1 = start + i * step;
+    const t2 = t1 + step;
+    const [ax, ay] = point(t1);
+    const [bx, by] = point(t2);
+    const [tx1, ty1] = tangent(t1);
+    const [tx2, ty2] = tangent(t2);
+    curves.push([ax + k * tx1, ay + k * ty1, bx - k * tx2, by - k * ty2, bx, by]);
+  }
+  // Land exactly on the requested end point
+  curves[curves.length - 1].splice(4, 2, x2, y2);
+  return curves;
+}
+
+const SceneGraph = Object.freeze({
+  /**
+   * Drop shadow color when a dropShadow definition has none (SVG's default flood color)
+   * @const {string}
+   */
+  SHADOW_COLOR: '#000000',
+
+  /**
+   * Lay out and resolve a screen into a scene
+   *
+   * @param {ScreenSchemaDocument|string} schema - Screen document or registered template name
+   * @param {Object} [props={}] - Values for the declared props
+   * @param {Object} [options={}] - Build options
+   * @param {Object} [options.tokens] - Resolved design tokens (default: light theme)
+   * @param {LayoutEngine} [options.layoutEngine] - Engine to reuse (its tokens are replaced)
+   * @returns {Scene} Scene graph
+   * @throws {TypeError} If the schema or props are invalid
+   * @throws {RangeError} If the schema version is unsupported
+   * @throws {ReferenceError} If the template or a token is unknown
+   * @example
+   * const scene = SceneGraph.build('upload-screen', { title: 'Довідка' });
+   * scene.nodes[1].children[0].lines; // ['Довідка']
+   */
+  build(schema, props = {}, options = {}) {
+    const doc = SceneGraph.schemaFor(schema);
+    if (props === null || typeof props !== 'object' || Array.isArray(props)) {
+      throw new TypeError('Props must be an object');
+    }
+    ScreenSchema.validate(doc);
+
+    const tokens = options.tokens || DiiaTokens.resolve();
+    const layoutEngine = options.layoutEngine || new LayoutEngine({ tokens });
+    layoutEngine.tokens = tokens;
+
+    const resolved = ScreenSchema.resolveProps(doc, props);
+    const width = ScreenSchema.resolveValue(doc.width, tokens);
+    const height = ScreenSchema.resolveValue(doc.height, tokens);
+    const boxes = layoutEngine.layout(doc.children, { x: 0, y: 0, width, height }, resolved);
+    const ctx = { tokens, props: resolved };
+
+    const declared = Object.fromEntries(Object.keys(doc.props || {}).map((name) => [name, resolved[name]]));
+
+    return compactScene({
+      name: doc.name,
+      width,
+      height,
+      label: ScreenSchema.interpolate(doc.label, resolved),
+      bindings: /\{\{/.test(doc.label || '') ? { label: doc.label } : undefined,
+      props: declared,
+      defs: (doc.defs || []).map((def) => toSceneDef(def, tokens)),
+      nodes: toSceneNodes(boxes, ctx, null)
+    });
+  },
+
+  /**
+   * Look up a registered template (a document is passed through)
+   * @param {ScreenSchemaDocument|string} schema - Screen document or template name
+   * @returns {ScreenSchemaDocument} Screen document
+   * @throws {ReferenceError} If the template is not registered
+   */
+  schemaFor(schema) {
+    if (typeof schema !== 'string') {
+      return schema;
+    }
+    const template = ScreenSchema.get(schema);
+    if (!template) {
+      throw new ReferenceError(`Screen template "${schema}" is not registered`);
+    }
+    return template;
+  },
+
+  /**
+   * Built-in screen for a props object, for callers that pass props only
+   * (props naming the upload step pick it, anything else the ID card)
+   * @param {Object} [props={}] - Component properties
+   * @returns {string} Registered template name
+   */
+  templateFor(props = {}) {
+    if (props && (props.buttonText || props.subtitle || props.description)) {
+      return 'upload-screen';
+    }
+    return 'diia-id-card';
+  },
+
+  /**
+   * How a container's children follow each other, if they do, for generators
+   * with stack layouts (SwiftUI VStack/HStack, Compose Column/Row)
+   * Children must not overlap along the axis, and every child needs a box of
+   * its own (paths and patterns draw in their parent's coordinates). Offsets
+   * are cross-axis insets from the leftmost/topmost child, when the children
+   * do not share an edge or center.
+   * @param {SceneNode} node - Container node
+   * @returns {{axis: 'vertical'|'horizontal', children: SceneNode[], gaps: number[], offsets: number[], alignment: 'start'|'center'|'end'}|null} Flow, null for overlapping children
+   */
+  flow(node) {
+    const children = (node.children || []).filter((child) => child.type !== 'image' || child.href);
+    if (children.length < 2 || children.some((child) => child.type === 'path' || child.type === 'pattern')) {
+      return null;
+    }
+    const EPSILON = 0.01;
+    const same = (values) => values.every((value) => Math.abs(value - values[0]) < EPSILON);
+    const along = (axis) => {
+      const [pos, size, cross, crossSize] = axis === 'vertical' ? ['y', 'height', 'x', 'width'] : ['x', 'width', 'y', 'height'];
+      const gaps = children.slice(1).map((child, i) => child[pos] - (children[i][pos] + children[i][size]));
+      if (gaps.some((gap) => gap < -EPSILON)) {
+        return null;
+      }
+      const start = Math.min(...children.map((child) => child[cross]));
+      const offsets = children.map((child) => child[cross] - start);
+      let alignment = 'start';
+      if (!same(offsets)) {
+        if (same(children.map((child) => child[cross] + child[crossSize] / 2))) alignment = 'center';
+        else if (same(children.map((child) => child[cross] + child[crossSize]))) alignment = 'end';
+      }
+      return { axis, children, gaps, offsets: alignment === 'start' ? offsets : offsets.map(() => 0), alignment };
+    };
+    return along('vertical') || along('horizontal');
+  },
+
+  /**
+   * Visit every node depth-first, parents before children (paint order)
+   * @param {Scene|SceneNode[]} scene - Scene or node list
+   * @param {function(SceneNode, ?SceneNode, number): void} visit - Called with node, parent and depth
+   * @returns {void}
+   */
+  walk(scene, visit) {
+    const step = (nodes, parent, depth) => nodes.forEach((node) => {
+      visit(node, parent, depth);
+      if (node.children) {
+        step(node.children, node, depth + 1);
+      }
+    });
+    step(Array.isArray(scene) ? scene : scene.nodes, null, 0);
+  },
+
+  /**
+   * Find a definition referenced by a "@id" paint or filter
+   * @param {Scene} scene - Scene
+   * @param {*} ref - Paint value
+   * @returns {Object|undefined} Definition, undefined for plain colors
+   */
+  def(scene, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('@')) {
+      return undefined;
+    }
+    return scene.defs.find((def) => def.id === ref.slice(1));
+  },
+
+  /**
+   * A gradient definition as fractions of the painted box, for backends
+   * without SVG gradients (canvas, CSS, native exports)
+   * The hologram uses the same geometry and stops as VectorRenderer.generateHologramGradient
+   *
+   * @param {Object} def - Scene definition
+   * @param {Object} tokens - Design tokens (hologram colors)
+   * @param {{x: number, y: number}} [tilt={x: 0, y: 0}] - Hologram tilt offset
+   * @returns {{x1: number, y1: number, x2: number, y2: number, stops: Object[]}|null} Gradient, null for filters
+   */
+  gradient(def, tokens, tilt = { x: 0, y: 0 }) {
+    if (def.type === 'hologram') {
+      const colors = tokens.colors;
+      return {
+        x1: tilt.x, y1: tilt.y, x2: 1 + tilt.x, y2: 1 + tilt.y,
+        stops: [
+          { offset: 0, color: colors.hologram, opacity: 0.05 },
+          { offset: 0.3, color: colors.primary, opacity: 0.15 },
+          { offset: 0.7, color: colors.hologram, opacity: 0.2 },
+          { offset: 1, color: colors.primary, opacity: 0.05 }
+        ]
+      };
+    }
+    if (def.type === 'linearGradient') {
+      return {
+        x1: SceneGraph.fraction(def.x1, 0), y1: SceneGraph.fraction(def.y1, 0),
+        x2: SceneGraph.fraction(def.x2, 1), y2: SceneGraph.fraction(def.y2, 0),
+        stops: def.stops.map((stop) => ({ offset: SceneGraph.fraction(stop.offset, 0), color: stop.color, opacity: stop.opacity }))
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Normalize SVG path data to absolute move, line, cubic, quadratic and
+   * close commands, for backends that build paths point by point
+   * (SwiftUI, PostScript). H/V become L, S/T their explicit curves, arcs cubics.
+   *
+   * @param {string} d - Path data (a scene path is relative to its node's x, y)
+   * @param {number} [dx=0] - Horizontal offset added to every point
+   * @param {number} [dy=0] - Vertical offset added to every point
+   * @returns {{command: string, points: number[]}[]} Commands M, L, C, Q and Z with flat [x, y, ...] points
+   * @example
+   * SceneGraph.pathCommands('M0 0h10v5z', 100, 50);
+   * // [{command: 'M', points: [100, 50]}, {command: 'L', points: [110, 50]}, {command: 'L', points: [110, 55]}, {command: 'Z', points: []}]
+   */
+  pathCommands(d, dx = 0, dy = 0) {
+    const ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+    const commands = [];
+    const pattern = /([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+    // Current point, subpath start and the last control point (for S and T)
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let control = null;
+    let match;
+
+    while ((match = pattern.exec(String(d))) !== null) {
+      const letter = match[1];
+      const upper = letter.toUpperCase();
+      const relative = letter !== upper;
+      const args = (match[2].match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+      const arity = ARITY[upper];
+
+      if (upper === 'Z') {
+        commands.push({ command: 'Z', points: [] });
+        x = startX;
+        y = startY;
+        control = null;
+        continue;
+      }
+
+      for (let i = 0; i + arity <= args.length; i += arity) {
+        const a = args.slice(i, i + arity);
+        // Relative coordinate pairs are offsets from the current point
+        const abs = (values) => values.map((value, j) => value + (relative ? (j % 2 === 0 ? x : y) : 0));
+        // Extra pairs after a move are implicit line-tos
+        const command = upper === 'M' && i > 0 ? 'L' : upper;
+        let next = null;
+
+        switch (command) {
+          case 'M':
+          case 'L': {
+            const [px, py] = abs(a);
+            commands.push({ command, points: [px, py] });
+            if (command === 'M') {
+              startX = px;
+              startY = py;
+            }
+            next = [px, py, null];
+            break;
+          }
+          case 'H':
+            next = [a[0] + (relative ? x : 0), y, null];
+            commands.push({ command: 'L', points: next.slice(0, 2) });
+            break;
+          case 'V':
+            next = [x, a[0] + (relative ? y : 0), null];
+            commands.push({ command: 'L', points: next.slice(0, 2) });
+            break;
+          case 'C':
+          case 'S': {
+            const points = command === 'C' ? abs(a) : [
+              ...(control && control.type === 'C' ? [2 * x - control.x, 2 * y - control.y] : [x, y]),
+              ...abs(a)
+            ];
+            commands.push({ command: 'C', points });
+            next = [points[4], points[5], { type: 'C', x: points[2], y: points[3] }];
+            break;
+          }
+          case 'Q':
+          case 'T': {
+            const points = command === 'Q' ? abs(a) : [
+              ...(control && control.type === 'Q' ? [2 * x - control.x, 2 * y - control.y] : [x, y]),
+              ...abs(a)
+            ];
+            commands.push({ command: 'Q', points });
+            next = [points[2], points[3], { type: 'Q', x: points[0], y: points[1] }];
+            break;
+          }
+          default: {
+            const end = abs([a[5], a[6]]);
+            arcToCurves(x, y, [...a.slice(0, 5), ...end]).forEach((points) => commands.push({ command: 'C', points }));
+            next = [end[0], end[1], null];
+          }
+        }
+        [x, y, control] = next;
+      }
+    }
+
+    if (!dx && !dy) {
+      return commands;
+    }
+    return commands.map(({ command, points }) => ({
+      command,
+      points: points.map((value, i) => value + (i % 2 === 0 ? dx : dy))
+    }));
+  },
+
+  /**
+   * Parse a gradient coordinate or stop offset ("30%", 0.3) as a fraction
+   * @param {number|string|undefined} value - Raw value
+   * @param {number} fallback - Value when missing
+   * @returns {number} Fraction
+   */
+  fraction(value, fallback) {
+    if (value === undefined) return fallback;
+    const number = parseFloat(value);
+    return typeof value === 'string' && value.trim().endsWith('%') ? number / 100 : number;
+  },
+
+  /**
+   * Parse a hex or rgb()/rgba() color into 0-1 channels, for generators without CSS colors
+   * @param {*} color - "#RGB", "#RRGGBB", "#RRGGBBAA", "rgb(r, g, b)" or "rgba(r, g, b, a)"
+   * @returns {{r: number, g: number, b: number, a: number}|null} Channels, null if not such a color
+   */
+  color(color) {
+    const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color);
+    if (rgb) {
+      return { r: rgb[1] / 255, g: rgb[2] / 255, b: rgb[3] / 255, a: rgb[4] === undefined ? 1 : Number(rgb[4]) };
+    }
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color);
+    if (!match) {
+      return null;
+    }
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    const channel = (i) => parseInt(digits.slice(i, i + 2), 16) / 255;
+    return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? channel(6) : 1 };
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SceneGraph;
+}
+if (typeof window !== 'undefined') {
+  window.SceneGraph = SceneGraph;
+}
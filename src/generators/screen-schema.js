@@ -0,0 +1,350 @@
+/**
+ * Screen Schema - Declarative D-Vec screen description format
+ *
+ * A screen is plain JSON data: a tree of nodes (frames, stacks, rects,
+ * text, images, paths, QR codes) whose geometry and colors may reference
+ * design tokens (`"$spacing.md"`) and props (`"{{title}}"`).
+ * VectorRenderer.render(schema, scale, props) draws any valid document,
+ * so new Diia screens are added as data instead of new renderer methods.
+ *
+ * Format summary (version 1):
+ *
+ *   {
+ *     "type": "screen",
+ *     "version": 1,
+ *     "name": "upload-screen",
+ *     "width": "$canvas.width",            // number | token
+ *     "height": "$canvas.height",
+ *     "label": "{{title}}",                // aria-label of the <svg>
+ *     "props": {                           // declared props with defaults
+ *       "title": { "default": "Завантаження документів", "aliases": ["heading"] }
+ *     },
+ *     "defs": [                            // gradients / filters, referenced as "@id"
+ *       { "type": "dropShadow", "id": "shadow", "dy": 4, "blur": 8, "opacity": 0.15 }
+ *     ],
+ *     "children": [ ...nodes ]
+ *   }
+ *
+ * Values:
+ *   - numbers are design units (multiplied by the render scale)
+ *   - "$path.to.token" resolves against the renderer tokens
+ *   - "50%" is relative to the parent box (x/width use width, y/height use height)
+ *   - "@id" references an entry of `defs` (fill="@holo" -> url(#holo))
+ *   - "{{prop}}" inside strings is replaced by the prop value
+ *
+ * Node geometry is relative to the parent frame: `x`/`y` offset from the
+ * top-left corner, `right`/`bottom` anchor to the opposite edges and
+ * stretch the node when combined with `x`/`y`.
+ *
+ * Stacks lay their children out in flow (see LayoutEngine):
+ *
+ *   { "type": "stack", "direction": "vertical", "padding": "$spacing.md",
+ *     "gap": "$spacing.sm", "align": "stretch", "justify": "start",
+ *     "children": [ { "type": "text", ... }, { "type": "spacer", "height": "fill" } ] }
+ *
+ * Sizes accept "fill" (take the free space) and "hug" (shrink to content);
+ * a stack child with "position": "absolute" is placed like a frame child.
+ * Text inside stacks wraps to the available width and `maxLines` ellipsizes
+ * the last line (see TextLayout); the wrapped height pushes siblings down.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ScreenNode
+ * @property {'frame'|'stack'|'group'|'rect'|'circle'|'text'|'path'|'image'|'qr'|'pattern'|'spacer'} type
+ * @property {string} [id] - Node identifier (frames use it for clip paths)
+ * @property {number|string} [x] - Left offset inside the parent
+ * @property {number|string} [y] - Top offset inside the parent (text: baseline)
+ * @property {number|string} [right] - Right inset inside the parent
+ * @property {number|string} [bottom] - Bottom inset inside the parent
+ * @property {number|string} [width] - Box width, "fill" or "hug"
+ * @property {number|string} [height] - Box height, "fill" or "hug"
+ * @property {'vertical'|'horizontal'} [direction='vertical'] - Stack flow direction
+ * @property {number|string|Array<number|string>} [padding] - Container padding (CSS shorthand)
+ * @property {number|string} [gap] - Stack spacing between children
+ * @property {'start'|'center'|'end'|'stretch'} [align='start'] - Stack cross-axis alignment
+ * @property {'start'|'center'|'end'|'space-between'} [justify='start'] - Stack main-axis distribution
+ * @property {'start'|'center'|'end'|'stretch'} [alignSelf] - Override of the parent stack align
+ * @property {number} [grow=1] - Share of free space for "fill" sizes in a stack
+ * @property {'absolute'} [position] - Take a stack child out of the flow
+ * @property {number} [lineHeight] - Text line height multiplier
+ * @property {number|string} [maxWidth] - Text wrap width (defaults to the box width in stacks)
+ * @property {number} [maxLines] - Text line limit; the last line is ellipsized
+ * @property {string} [data] - QR only: encoded text (supports {{props}})
+ * @property {'L'|'M'|'Q'|'H'} [ecLevel='M'] - QR only: error correction level
+ * @property {'security'|'guilloche'|'grid'|'lines'|'dots'} [kind='security'] - Pattern only: line style
+ * @property {string} [fill] - Color, token or "@def" reference
+ * @property {string} [stroke] - Stroke color
+ * @property {number|string} [strokeWidth] - Stroke width
+ * @property {Array<number|string>} [dash] - Stroke dash pattern
+ * @property {number|string} [radius] - Corner radius (rect/frame)
+ * @property {number} [opacity] - Node opacity
+ * @property {string} [filter] - "@def" filter reference
+ * @property {boolean} [clip] - Group only: clip children to the parent frame
+ * @property {string} [role] - ARIA role
+ * @property {string} [label] - ARIA label (supports {{props}})
+ * @property {boolean} [hidden] - Hide from assistive technologies
+ * @property {{type: 'h1'|'p'|'button', text?: string, label?: string}} [semantic] - Element mirrored in the accessibility layer
+ * @property {ScreenNode[]} [children] - Children of frame/stack/group
+ */
+
+/**
+ * @typedef {Object} ScreenSchemaDocument
+ * @property {'screen'} type
+ * @property {number} version - Must equal SCREEN_SCHEMA_VERSION
+ * @property {string} [name] - Template name
+ * @property {number|string} width - Canvas width
+ * @property {number|string} height - Canvas height
+ * @property {string} [label] - Accessible name of the screen
+ * @property {Object<string, {default?: string, aliases?: string[]}>} [props]
+ * @property {Object[]} [defs] - Gradient and filter definitions
+ * @property {ScreenNode[]} children - Top-level nodes
+ */
+
+/**
+ * Current schema version understood by the renderer
+ * @const {number}
+ */
+const SCREEN_SCHEMA_VERSION = 1;
+
+/**
+ * Supported node types and their required fields
+ * @const {Object<string, string[]>}
+ */
+const SCREEN_NODE_TYPES = Object.freeze({
+  frame: [],
+  stack: [],
+  group: [],
+  rect: [],
+  circle: ['r'],
+  text: ['text'],
+  path: ['d'],
+  image: ['href', 'width', 'height'],
+  qr: ['size'],
+  pattern: [],
+  spacer: []
+});
+
+/**
+ * Security pattern styles (pattern nodes), one per document family
+ * @const {string[]}
+ */
+const SCREEN_PATTERN_KINDS = Object.freeze(['security', 'guilloche', 'grid', 'lines', 'dots']);
+
+/**
+ * Supported definition types and their required fields
+ * @const {Object<string, string[]>}
+ */
+const SCREEN_DEF_TYPES = Object.freeze({
+  hologram: ['id'],
+  linearGradient: ['id', 'stops'],
+  dropShadow: ['id']
+});
+
+/**
+ * Node types that may contain children
+ * @const {string[]}
+ */
+const SCREEN_CONTAINER_TYPES = ['frame', 'stack', 'group'];
+
+/**
+ * Registered screen templates (name -> document)
+ * @type {Map<string, ScreenSchemaDocument>}
+ */
+const screenTemplates = new Map();
+
+const ScreenSchema = Object.freeze({
+  VERSION: SCREEN_SCHEMA_VERSION,
+  NODE_TYPES: SCREEN_NODE_TYPES,
+  PATTERN_KINDS: SCREEN_PATTERN_KINDS,
+  DEF_TYPES: SCREEN_DEF_TYPES,
+
+  /**
+   * Check whether a value looks like a screen schema document
+   * @param {*} value - Candidate value
+   * @returns {boolean} True for objects with type "screen"
+   */
+  isSchema(value) {
+    return value !== null && typeof value === 'object' && value.type === 'screen';
+  },
+
+  /**
+   * Validate a screen schema document
+   * @param {ScreenSchemaDocument} doc - Document to validate
+   * @throws {TypeError} If the document is structurally invalid
+   * @throws {RangeError} If the document version is not supported
+   * @returns {ScreenSchemaDocument} The same document (for chaining)
+   */
+  validate(doc) {
+    if (!ScreenSchema.isSchema(doc)) {
+      throw new TypeError('Screen schema must be an object with type "screen"');
+    }
+    if (doc.version !== SCREEN_SCHEMA_VERSION) {
+      throw new RangeError(
+        `Unsupported screen schema version ${doc.version}, expected ${SCREEN_SCHEMA_VERSION}`
+      );
+    }
+    if (doc.width === undefined || doc.height === undefined) {
+      throw new TypeError('Screen schema requires width and height');
+    }
+    if (!Array.isArray(doc.children)) {
+      throw new TypeError('Screen schema requires a children array');
+    }
+
+    (doc.defs || []).forEach((def, i) => {
+      const required = SCREEN_DEF_TYPES[def && def.type];
+      if (!required) {
+        throw new TypeError(`defs[${i}]: unknown definition type "${def && def.type}"`);
+      }
+      required.forEach((field) => {
+        if (def[field] === undefined) {
+          throw new TypeError(`defs[${i}]: ${def.type} requires "${field}"`);
+        }
+      });
+    });
+
+    doc.children.forEach((node, i) => validateNode(node, `children[${i}]`));
+    return doc;
+  },
+
+  /**
+   * Resolve a schema value against tokens and a parent dimension
+   * @param {*} value - Raw schema value
+   * @param {Object} tokens - Design tokens
+   * @param {number} [relativeTo=0] - Parent dimension for percentages
+   * @returns {*} Resolved value (numbers stay unscaled)
+   * @throws {ReferenceError} If a token reference cannot be resolved
+   */
+  resolveValue(value, tokens, relativeTo = 0) {
+    if (typeof value !== 'string') return value;
+
+    if (value.startsWith('$$')) return value.slice(1);
+    if (value.startsWith('$')) return ScreenSchema.resolveToken(value.slice(1), tokens);
+
+    const percent = /^(-?\d+(?:\.\d+)?)%$/.exec(value);
+    if (percent) return (parseFloat(percent[1]) / 100) * relativeTo;
+
+    return value;
+  },
+
+  /**
+   * Look up a dotted token path ("spacing.md")
+   * @param {string} path - Token path
+   * @param {Object} tokens - Design tokens
+   * @returns {*} Token value
+   * @throws {ReferenceError} If the token does not exist
+   */
+  resolveToken(path, tokens) {
+    const value = path.split('.').reduce(
+      (obj, key) => (obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined),
+      tokens
+    );
+    if (value === undefined) {
+      throw new ReferenceError(`Unknown design token "$${path}"`);
+    }
+    return value;
+  },
+
+  /**
+   * Resolve declared props: explicit values, aliases, then defaults
+   * @param {ScreenSchemaDocument} doc - Screen document
+   * @param {Object} [props={}] - Caller props
+   * @returns {Object} Props with every declared prop filled in
+   */
+  resolveProps(doc, props = {}) {
+    const resolved = { ...props };
+    Object.entries(doc.props || {}).forEach(([name, decl]) => {
+      const sources = [name, ...((decl && decl.aliases) || [])];
+      const key = sources.find((source) => props[source] !== undefined && props[source] !== '');
+      resolved[name] = key !== undefined ? props[key] : decl && decl.default;
+    });
+    return resolved;
+  },
+
+  /**
+   * Replace {{prop}} placeholders in a string
+   * @param {string} template - Template string
+   * @param {Object} props - Resolved props
+   * @returns {string} Interpolated string
+   */
+  interpolate(template, props) {
+    if (typeof template !== 'string') return template;
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+      const value = props[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  },
+
+  /**
+   * Register a named screen template
+   * @param {string} name - Template name
+   * @param {ScreenSchemaDocument} doc - Screen document
+   * @returns {ScreenSchemaDocument} The validated document
+   */
+  register(name, doc) {
+    screenTemplates.set(name, ScreenSchema.validate(doc));
+    return doc;
+  },
+
+  /**
+   * Get a registered screen template
+   * @param {string} name - Template name
+   * @returns {ScreenSchemaDocument|undefined} Screen document
+   */
+  get(name) {
+    return screenTemplates.get(name);
+  },
+
+  /**
+   * List registered template names
+   * @returns {string[]} Template names
+   */
+  list() {
+    return [...screenTemplates.keys()];
+  }
+});
+
+/**
+ * Validate a single node recursively
+ * @private
+ * @param {ScreenNode} node - Node to validate
+ * @param {string} path - Location used in error messages
+ * @throws {TypeError} If the node is invalid
+ * @returns {void}
+ */
+function validateNode(node, path) {
+  if (node === null || typeof node !== 'object') {
+    throw new TypeError(`${path}: node must be an object`);
+  }
+  const required = SCREEN_NODE_TYPES[node.type];
+  if (!required) {
+    throw new TypeError(`${path}: unknown node type "${node.type}"`);
+  }
+  required.forEach((field) => {
+    if (node[field] === undefined) {
+      throw new TypeError(`${path}: ${node.type} requires "${field}"`);
+    }
+  });
+  if (node.type === 'pattern' && node.kind !== undefined && !SCREEN_PATTERN_KINDS.includes(node.kind)) {
+    throw new TypeError(`${path}: unknown pattern kind "${node.kind}"`);
+  }
+  if (node.children !== undefined) {
+    if (!SCREEN_CONTAINER_TYPES.includes(node.type)) {
+      throw new TypeError(`${path}: ${node.type} cannot have children`);
+    }
+    if (!Array.isArray(node.children)) {
+      throw new TypeError(`${path}.children must be an array`);
+    }
+    node.children.forEach((child, i) => validateNode(child, `${path}.children[${i}]`));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScreenSchema;
+}
+if (typeof window !== 'undefined') {
+  window.ScreenSchema = ScreenSchema;
+}
@@ -0,0 +1,360 @@
+/**
+ * SwiftUI Exporter - Scene graph to a SwiftUI view
+ *
+ * Transpiles a laid out screen (see SceneGraph) into a SwiftUI struct:
+ *   - the screen's declared props become stored properties, with the exported
+ *     values as defaults; prop-bound text reads (or interpolates) them
+ *   - token-backed colors reference a `Color` extension (`Color.diiaCardBg`),
+ *     which colorExtension() generates from the active theme's tokens
+ *   - containers whose children follow each other become VStack/HStack with
+ *     the laid out spacing; anything else is a top-leading ZStack with every
+ *     child offset to its position
+ *
+ * Geometry is the layout for the exported props, so every view has a fixed
+ * frame and the result matches the vector preview point for point.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, Escape */
+
+/**
+ * Font.Weight for CSS font weights
+ * @const {Object<string, string>}
+ */
+const SWIFTUI_WEIGHTS = Object.freeze({
+  bold: '.bold', 100: '.ultraLight', 200: '.thin', 300: '.light', 500: '.medium', 600: '.semibold', 700: '.bold', 800: '.heavy', 900: '.black'
+});
+
+/**
+ * Round a number for generated code
+ * @private
+ * @param {number} value - Number
+ * @returns {number} Value rounded to 2 decimals
+ */
+function swiftUINumber(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Double-quoted Swift string literal
+ * @private
+ * @param {*} value - Value
+ * @returns {string} Literal
+ */
+function swiftUIString(value) {
+  return `"${Escape.swiftString(value)}"`;
+}
+
+/**
+ * lowerCamelCase Swift identifier ("upload-zone" -> "uploadZone", "user.name" -> "userName")
+ * @private
+ * @param {string} name - Name
+ * @returns {string} Identifier
+ */
+function swiftUIIdentifier(name) {
+  const words = String(name).split(/[^a-z0-9]+/i).filter(Boolean);
+  const identifier = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+  return /^[a-z_]/i.test(identifier) ? identifier : `_${identifier}`;
+}
+
+/**
+ * Swift expression for a {{prop}} template ("{{title}}" -> title, "№ {{n}}" -> "№ \(n)")
+ * @private
+ * @param {string} template - Template string
+ * @returns {string} Expression
+ */
+function swiftUITemplate(template) {
+  const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+  if (single) {
+    return swiftUIIdentifier(single[1]);
+  }
+  const parts = template.split(/\{\{\s*([\w.]+)\s*\}\}/);
+  return `"${parts.map((part, i) => (i % 2 ? `\\(${swiftUIIdentifier(part)})` : Escape.swiftString(part))).join('')}"`;
+}
+
+/**
+ * SwiftUI Color initializer for a color value
+ * @private
+ * @param {string} value - Hex or rgb()/rgba() color
+ * @param {number} [opacity] - Extra opacity 0-1
+ * @throws {TypeError} If the value is not a color
+ * @returns {string} Color expression
+ */
+function swiftUIColor(value, opacity) {
+  const color = SceneGraph.color(value);
+  if (!color) {
+    throw new TypeError(`Expected a hex or rgb() color, got "${value}"`);
+  }
+  const [r, g, b] = [color.r, color.g, color.b].map((channel) => Math.round(channel * 1000) / 1000);
+  const alpha = color.a * (opacity === undefined ? 1 : opacity);
+  return `Color(red: ${r}, green: ${g}, blue: ${b})${alpha < 1 ? `.opacity(${swiftUINumber(alpha)})` : ''}`;
+}
+
+/**
+ * Color extension member for a color token path ("colors.flag.blue" -> "diiaFlagBlue")
+ * @private
+ * @param {string} path - Token path under colors
+ * @returns {string} Static member name
+ */
+function swiftUIColorName(path) {
+  return swiftUIIdentifier(`diia-${path.replace(/^colors\./, '')}`);
+}
+
+const SwiftUIExporter = Object.freeze({
+  /**
+   * Transpile a scene into a SwiftUI view
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.name] - View name (default from the scene name)
+   * @param {Object} [options.tokens] - Resolved design tokens (hologram gradient colors)
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry (patterns are skipped without it)
+   * @returns {string} Swift source
+   * @example
+   * SwiftUIExporter.transpile(SceneGraph.build('upload-screen'), { name: 'DiiaUploadScreen' });
+   * // struct DiiaUploadScreen: View { var title: String = "Завантаження документів" ...
+   */
+  transpile(scene, options = {}) {
+    const n = swiftUINumber;
+    const viewName = options.name || `Diia${swiftUIIdentifier(String(scene.name || 'screen').replace(/^diia-/, '')).replace(/^./, (c) => c.toUpperCase())}`;
+    const screenProps = new Map(Object.entries(scene.props || {}));
+
+    // Token-backed colors use the extension, everything else is spelled out
+    const color = (value, token, opacity) => (token && token.startsWith('colors.') && SceneGraph.color(value) && opacity === undefined
+      ? `Color.${swiftUIColorName(token)}`
+      : swiftUIColor(value, opacity));
+    const paint = (value, token) => {
+      const def = SceneGraph.def(scene, value);
+      if (!def) {
+        return value === undefined || value === 'none' || !SceneGraph.color(value) ? null : color(value, token);
+      }
+      const gradient = options.tokens ? SceneGraph.gradient(def, options.tokens) : null;
+      if (!gradient) {
+        return null;
+      }
+      const stops = gradient.stops.map((stop) => `.init(color: ${swiftUIColor(stop.color, stop.opacity)}, location: ${n(stop.offset)})`);
+      return `LinearGradient(gradient: Gradient(stops: [${stops.join(', ')}]), startPoint: UnitPoint(x: ${n(gradient.x1)}, y: ${n(gradient.y1)}), endPoint: UnitPoint(x: ${n(gradient.x2)}, y: ${n(gradient.y2)}))`;
+    };
+    // Strings read props when bound to them
+    const string = (node, kind, value) => {
+      const binding = node.bindings && node.bindings[kind];
+      if (!binding) {
+        return swiftUIString(value);
+      }
+      [...binding.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].forEach(([, prop]) => {
+        if (!screenProps.has(prop)) screenProps.set(prop, '');
+      });
+      return swiftUITemplate(binding);
+    };
+    const strokeStyle = (node) => {
+      const parts = [`lineWidth: ${n(node.strokeWidth || 1)}`];
+      if (node.linecap) parts.push(`lineCap: .${node.linecap}`);
+      if (node.linejoin) parts.push(`lineJoin: .${node.linejoin}`);
+      if (node.dash) parts.push(`dash: [${node.dash.join(', ')}]`);
+      return `StrokeStyle(${parts.join(', ')})`;
+    };
+    const path = (d, dx, dy) => {
+      const calls = SceneGraph.pathCommands(d, dx, dy).map(({ command, points }) => {
+        const p = points.map(n);
+        switch (command) {
+          case 'M': return `p.move(to: CGPoint(x: ${p[0]}, y: ${p[1]}))`;
+          case 'L': return `p.addLine(to: CGPoint(x: ${p[0]}, y: ${p[1]}))`;
+          case 'C': return `p.addCurve(to: CGPoint(x: ${p[4]}, y: ${p[5]}), control1: CGPoint(x: ${p[0]}, y: ${p[1]}), control2: CGPoint(x: ${p[2]}, y: ${p[3]}))`;
+          case 'Q': return `p.addQuadCurve(to: CGPoint(x: ${p[2]}, y: ${p[3]}), control: CGPoint(x: ${p[0]}, y: ${p[1]}))`;
+          default: return 'p.closeSubpath()';
+        }
+      });
+      return `Path { p in ${calls.join('; ')} }`;
+    };
+    const tokenOf = (node, key) => node.tokens && node.tokens[key];
+
+    // Fill, border and shadow of a box, as background/overlay modifiers
+    const decorations = (node) => {
+      const shape = node.radius ? `RoundedRectangle(cornerRadius: ${n(node.radius)})` : 'Rectangle()';
+      const modifiers = [];
+      const fill = paint(node.fill, tokenOf(node, 'fill'));
+      const shadow = SceneGraph.def(scene, node.filter);
+      if (fill) {
+        const shadowed = shadow && shadow.type === 'dropShadow'
+          ? `.shadow(color: ${swiftUIColor(shadow.color || SceneGraph.SHADOW_COLOR, shadow.opacity)}, radius: ${n(shadow.blur || 0)}, x: ${n(shadow.dx || 0)}, y: ${n(shadow.dy || 0)})`
+          : '';
+        modifiers.push(`.background(${shape}.fill(${fill})${shadowed})`);
+      }
+      const stroke = paint(node.stroke, tokenOf(node, 'stroke'));
+      if (stroke) {
+        modifiers.push(`.overlay(${shape}.stroke(${stroke}, style: ${strokeStyle(node)}))`);
+      }
+      return modifiers;
+    };
+    // Frame, position (absolute children only), opacity and accessibility
+    const place = (node, origin, flow, view, alignment = '.topLeading', extra = []) => {
+      const modifiers = [`.frame(width: ${n(node.width)}, height: ${n(node.height)}, alignment: ${alignment})`, ...extra];
+      if (!flow && (node.x !== origin.x || node.y !== origin.y)) modifiers.push(`.offset(x: ${n(node.x - origin.x)}, y: ${n(node.y - origin.y)})`);
+      if (node.opacity !== undefined) modifiers.push(`.opacity(${n(node.opacity)})`);
+      if (node.label !== undefined) modifiers.push(`.accessibilityLabel(${string(node, 'label', node.label)})`);
+      if (node.hidden) modifiers.push('.accessibilityHidden(true)');
+      return { view, modifiers };
+    };
+    // View lines: the view, then one modifier per line
+    const emit = ({ view, modifiers }, pad) => [...view.map((line, i) => (i ? line : pad + line)), ...modifiers.map((modifier) => `${pad}    ${modifier}`)];
+
+    const render = (node, origin, pad, flow = false) => {
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          const layout = SceneGraph.flow(node);
+          let view;
+          const extra = [];
+          if (layout) {
+            const vertical = layout.axis === 'vertical';
+            const alignment = vertical
+              ? { start: '.leading', center: '.center', end: '.trailing' }[layout.alignment]
+              : { start: '.top', center: '.center', end: '.bottom' }[layout.alignment];
+            const spacing = layout.gaps.every((gap) => Math.abs(gap - layout.gaps[0]) < 0.01) ? layout.gaps[0] : 0;
+            const children = layout.children.flatMap((child, i) => {
+              const rendered = render(child, node, `${pad}    `, true);
+              const gap = i ? layout.gaps[i - 1] - spacing : 0;
+              if (gap > 0.01) rendered.push(`${pad}        .padding(${vertical ? '.top' : '.leading'}, ${n(gap)})`);
+              if (layout.offsets[i] > 0.01) rendered.push(`${pad}        .padding(${vertical ? '.leading' : '.top'}, ${n(layout.offsets[i])})`);
+              return rendered;
+            });
+            const [first] = layout.children;
+            const start = vertical ? Math.min(...layout.children.map((child) => child.x)) : first.x;
+            const top = vertical ? first.y : Math.min(...layout.children.map((child) => child.y));
+            view = [`${vertical ? 'VStack' : 'HStack'}(alignment: ${alignment}, spacing: ${n(spacing)}) {`, ...children, `${pad}}`];
+            if (top - node.y > 0.01) view.push(`${pad}    .padding(.top, ${n(top - node.y)})`);
+            if (start - node.x > 0.01) view.push(`${pad}    .padding(.leading, ${n(start - node.x)})`);
+          } else {
+            view = ['ZStack(alignment: .topLeading) {', ...node.children.flatMap((child) => render(child, node, `${pad}    `)), `${pad}}`];
+          }
+          if (node.type !== 'group') extra.push(...decorations(node));
+          if (node.clip) {
+            // Clip to the enclosing frame, in this container's coordinates
+            const { clip } = node;
+            extra.push(`.clipShape(RoundedRectangle(cornerRadius: ${n(clip.radius || 0)}).size(width: ${n(clip.width)}, height: ${n(clip.height)}).offset(x: ${n(clip.x - node.x)}, y: ${n(clip.y - node.y)}))`);
+          }
+          if (node.semantic && node.semantic.type === 'button') {
+            extra.push('.accessibilityElement(children: .combine)', '.accessibilityAddTraits(.isButton)');
+            if (node.semantic.label !== undefined) extra.push(`.accessibilityLabel(${string(node, 'semanticLabel', node.semantic.label)})`);
+          }
+          return emit(place(node, origin, flow, view, '.topLeading', extra), pad);
+        }
+
+        case 'rect': {
+          const shape = node.radius ? `RoundedRectangle(cornerRadius: ${n(node.radius)})` : 'Rectangle()';
+          const view = [shape, `${pad}    .fill(${paint(node.fill, tokenOf(node, 'fill')) || 'Color.clear'})`];
+          const stroke = paint(node.stroke, tokenOf(node, 'stroke'));
+          if (stroke) view.push(`${pad}    .overlay(${shape}.stroke(${stroke}, style: ${strokeStyle(node)}))`);
+          const shadow = SceneGraph.def(scene, node.filter);
+          const extra = shadow && shadow.type === 'dropShadow'
+            ? [`.shadow(color: ${swiftUIColor(shadow.color || SceneGraph.SHADOW_COLOR, shadow.opacity)}, radius: ${n(shadow.blur || 0)}, x: ${n(shadow.dx || 0)}, y: ${n(shadow.dy || 0)})`]
+            : [];
+          return emit(place(node, origin, flow, view, '.topLeading', extra), pad);
+        }
+
+        case 'circle': {
+          const circle = [`Circle()`, `${pad}    .fill(${paint(node.fill, tokenOf(node, 'fill')) || 'Color.clear'})`];
+          const stroke = paint(node.stroke, tokenOf(node, 'stroke'));
+          if (stroke) circle.push(`${pad}    .overlay(Circle().stroke(${stroke}, style: ${strokeStyle(node)}))`);
+          if (node.r * 2 !== node.width || node.r * 2 !== node.height) circle.push(`${pad}    .frame(width: ${n(node.r * 2)}, height: ${n(node.r * 2)})`);
+          return emit(place(node, origin, flow, circle, '.center'), pad);
+        }
+
+        case 'text': {
+          const weight = SWIFTUI_WEIGHTS[node.fontWeight] || '.regular';
+          const alignment = { middle: ['.center', '.top'], end: ['.trailing', '.topTrailing'] }[node.anchor] || ['.leading', '.topLeading'];
+          const family = String(node.fontFamily).split(',')[0].trim().replace(/^["']|["']$/g, '');
+          const view = [
+            `Text(${string(node, 'text', node.text)})`,
+            `${pad}    .font(.custom(${swiftUIString(family)}, size: ${n(node.fontSize)}).weight(${weight}))`,
+            `${pad}    .foregroundColor(${paint(node.fill, tokenOf(node, 'fill')) || 'Color.primary'})`,
+            `${pad}    .lineLimit(${node.maxLines || Math.max(1, node.lines.length)})`,
+            `${pad}    .lineSpacing(${n(Math.max(0, node.lineHeight - node.fontSize))})`,
+            `${pad}    .multilineTextAlignment(${alignment[0]})`
+          ];
+          const extra = [];
+          if (node.semantic && /^h[1-6]$/.test(node.semantic.type)) {
+            extra.push('.accessibilityAddTraits(.isHeader)');
+          }
+          return emit(place(node, origin, flow, view, alignment[1], extra), pad);
+        }
+
+        case 'path':
+          return emit(place({ ...node, x: origin.x, y: origin.y, width: origin.width, height: origin.height }, origin, flow, [
+            path(node.d, node.x - origin.x, node.y - origin.y),
+            `${pad}    .stroke(${paint(node.stroke, tokenOf(node, 'stroke')) || 'Color.clear'}, style: ${strokeStyle(node)})`
+          ]), pad);
+
+        case 'image':
+          return node.href
+            ? emit(place(node, origin, flow, [
+              `AsyncImage(url: URL(string: ${string(node, 'href', node.href)})) { image in image.resizable().aspectRatio(contentMode: ${node.fit === 'none' ? '.fill' : '.fit'}) } placeholder: { Color.clear }`
+            ]), pad)
+            : [];
+
+        case 'qr': {
+          const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+          const d = QREncoder.toPathData(qr, { moduleSize: node.size / qr.size });
+          const view = [path(d, 0, 0), `${pad}    .fill(${color(node.fill, tokenOf(node, 'fill'))})`];
+          return emit(place(node, origin, flow, view, '.topLeading', node.background !== undefined ? [`.background(${color(node.background, tokenOf(node, 'background'))})`] : []), pad);
+        }
+
+        case 'pattern': {
+          if (!options.pattern) {
+            return [];
+          }
+          const { paths, strokeWidth, linecap } = options.pattern(node);
+          const stroke = options.tokens ? `Color.${swiftUIColorName('colors.pattern')}` : 'Color.primary';
+          return emit(place({ ...node, opacity: 0.1 }, origin, flow, [
+            path(paths.join(''), 0, 0),
+            `${pad}    .stroke(${stroke}, style: StrokeStyle(lineWidth: ${n(strokeWidth)}${linecap ? `, lineCap: .${linecap}` : ''}))`,
+            `${pad}    .accessibilityHidden(true)`
+          ]), pad);
+        }
+
+        default:
+          return [];
+      }
+    };
+
+    const root = { x: 0, y: 0, width: scene.width, height: scene.height };
+    const body = scene.nodes.flatMap((node) => render(node, root, '            ')).join('\n');
+    const label = scene.label !== undefined
+      ? `\n        .accessibilityElement(children: .contain)\n        .accessibilityLabel(${scene.bindings && scene.bindings.label ? string(scene, 'label', scene.label) : swiftUIString(scene.label)})`
+      : '';
+    const properties = [...screenProps].map(([prop, value]) => `    var ${swiftUIIdentifier(prop)}: String = ${swiftUIString(value === undefined || value === null ? '' : value)}\n`).join('');
+    return `import SwiftUI\n\nstruct ${viewName}: View {\n${properties}${properties ? '\n' : ''}    var body: some View {\n        ZStack(alignment: .topLeading) {\n${body}\n        }\n        .frame(width: ${scene.width}, height: ${scene.height}, alignment: .topLeading)\n        .background(Color.${swiftUIColorName('colors.background')})${label}\n    }\n}\n`;
+  },
+
+  /**
+   * Color extension generated views use (one static member per color token)
+   * Token values that are not plain colors (gradients, keywords) are skipped.
+   *
+   * @param {Object} tokens - Resolved design tokens (DiiaTokens.resolve(theme))
+   * @returns {string} Swift source
+   */
+  colorExtension(tokens) {
+    const members = [];
+    const visit = (value, path) => {
+      if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => visit(item, `${path}.${key}`));
+      } else if (SceneGraph.color(value)) {
+        members.push(`    static let ${swiftUIColorName(path)} = ${swiftUIColor(value)}`);
+      }
+    };
+    visit(tokens.colors, 'colors');
+    return `import SwiftUI\n\n/// Diia color tokens for SwiftUI views exported by Vector Logic\nextension Color {\n${members.join('\n')}\n}\n`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SwiftUIExporter;
+}
+if (typeof window !== 'undefined') {
+  window.SwiftUIExporter = SwiftUIExporter;
+}
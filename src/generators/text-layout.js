@@ -0,0 +1,231 @@
+/**
+ * Text Layout - Measurement, wrapping and truncation for SVG text
+ *
+ * SVG has no automatic line breaking, so text is laid out before painting:
+ * strings are measured against the bundled FONT_METRICS tables, broken into
+ * lines that fit a max width, and ellipsized when they exceed a line count.
+ * Works identically in the browser and in Node (no canvas measureText).
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/* global FONT_METRICS */
+
+/**
+ * @typedef {Object} TextFont
+ * @property {number} fontSize - Font size in design units
+ * @property {string} [fontFamily] - CSS font-family stack
+ * @property {string|number} [fontWeight] - CSS font weight
+ */
+
+/**
+ * @typedef {Object} TextBlock
+ * @property {string[]} lines - Lines to paint (one <tspan> each)
+ * @property {number} width - Width of the widest line
+ * @property {number} height - Total height (lines x line height)
+ * @property {number} lineHeight - Line height in design units
+ * @property {number} ascent - Distance from the block top to the first baseline
+ * @property {boolean} truncated - True if text was cut and ellipsized
+ */
+
+/**
+ * Default line height multiplier
+ * @const {number}
+ */
+const TEXT_LINE_HEIGHT = 1.25;
+
+/**
+ * Ellipsis appended to truncated text
+ * @const {string}
+ */
+const TEXT_ELLIPSIS = '…';
+
+const TextLayout = Object.freeze({
+  LINE_HEIGHT: TEXT_LINE_HEIGHT,
+  ELLIPSIS: TEXT_ELLIPSIS,
+
+  /**
+   * Pick the metrics table for a CSS font-family stack
+   * @param {string} [fontFamily] - e.g. "e-Ukraine, Inter, sans-serif"
+   * @returns {FontMetricsTable} First table serving a family of the stack
+   */
+  metricsFor(fontFamily = '') {
+    const families = String(fontFamily)
+      .split(',')
+      .map((family) => family.trim().replace(/^["']|["']$/g, '').toLowerCase());
+    const tables = Object.values(FONT_METRICS);
+    for (const family of families) {
+      const table = tables.find((t) => t.families.some((name) => name.toLowerCase() === family));
+      if (table) return table;
+    }
+    return FONT_METRICS.sans;
+  },
+
+  /**
+   * Measure the advance width of a single-line string
+   * @param {string} text - Text to measure
+   * @param {TextFont} font - Font description
+   * @returns {number} Width in design units
+   */
+  measure(text, font) {
+    const table = TextLayout.metricsFor(font.fontFamily);
+    const bold = isBold(font.fontWeight);
+    let units = 0;
+    for (const char of String(text)) {
+      units += charWidth(char, table);
+    }
+    const factor = bold ? table.boldFactor : 1;
+    return (units * factor * font.fontSize) / table.unitsPerEm;
+  },
+
+  /**
+   * Break text into lines no wider than maxWidth
+   * Breaks at spaces and explicit newlines; words longer than a line are split
+   *
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Maximum line width (Infinity disables wrapping)
+   * @param {TextFont} font - Font description
+   * @returns {string[]} Lines
+   */
+  wrap(text, maxWidth, font) {
+    const lines = [];
+    String(text).split('\n').forEach((paragraph) => {
+      if (!(maxWidth < Infinity)) {
+        lines.push(paragraph);
+        return;
+      }
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (TextLayout.measure(candidate, font) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        line = '';
+        // Split words that cannot fit on a line of their own
+        for (const char of word) {
+          if (line && TextLayout.measure(line + char, font) > maxWidth) {
+            lines.push(line);
+            line = '';
+          }
+          line += char;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  },
+
+  /**
+   * Shorten text to fit maxWidth, ending with an ellipsis
+   * Cuts at word boundaries when possible
+   *
+   * @param {string} text - Text to truncate
+   * @param {number} maxWidth - Maximum width
+   * @param {TextFont} font - Font description
+   * @param {string} [ellipsis='…'] - Suffix for shortened text
+   * @returns {string} Text that fits, unchanged if it already did
+   */
+  truncate(text, maxWidth, font, ellipsis = TEXT_ELLIPSIS) {
+    if (TextLayout.measure(text, font) <= maxWidth) return text;
+    const fits = (value) => TextLayout.measure(value.trimEnd() + ellipsis, font) <= maxWidth;
+
+    // Drop whole words first, then characters of the last one
+    let kept = String(text).trimEnd();
+    while (kept.includes(' ') && !fits(kept)) {
+      kept = kept.slice(0, kept.lastIndexOf(' ')).trimEnd();
+    }
+    const chars = [...kept];
+    while (chars.length > 0 && !fits(chars.join(''))) {
+      chars.pop();
+    }
+    return chars.join('').trimEnd() + ellipsis;
+  },
+
+  /**
+   * Lay out a text block: wrap, limit lines and compute vertical metrics
+   *
+   * @param {string} text - Text content
+   * @param {Object} options - Layout options
+   * @param {number} options.fontSize - Font size in design units
+   * @param {string} [options.fontFamily] - CSS font-family stack
+   * @param {string|number} [options.fontWeight] - CSS font weight
+   * @param {number} [options.lineHeight=1.25] - Line height multiplier
+   * @param {number} [options.maxWidth=Infinity] - Wrap width
+   * @param {number} [options.maxLines=Infinity] - Maximum number of lines
+   * @returns {TextBlock} Laid out block
+   * @throws {RangeError} If fontSize is not a positive number
+   */
+  layout(text, options) {
+    const { fontSize, maxWidth = Infinity, maxLines = Infinity } = options;
+    if (!(fontSize > 0)) {
+      throw new RangeError(`Font size must be a positive number, got ${fontSize}`);
+    }
+
+    let lines = TextLayout.wrap(text, maxWidth, options);
+    let truncated = false;
+    if (lines.length > maxLines) {
+      const rest = lines.slice(maxLines - 1).join(' ');
+      lines = [...lines.slice(0, maxLines - 1), TextLayout.truncate(rest, maxWidth, options)];
+      truncated = true;
+    } else if (lines.length === 1 && TextLayout.measure(lines[0], options) > maxWidth) {
+      lines = [TextLayout.truncate(lines[0], maxWidth, options)];
+      truncated = true;
+    }
+
+    const table = TextLayout.metricsFor(options.fontFamily);
+    const lineHeight = fontSize * (options.lineHeight || TEXT_LINE_HEIGHT);
+    const content = ((table.ascent + table.descent) * fontSize) / table.unitsPerEm;
+
+    return {
+      lines,
+      width: Math.max(0, ...lines.map((line) => TextLayout.measure(line, options))),
+      height: lines.length * lineHeight,
+      lineHeight,
+      ascent: (lineHeight - content) / 2 + (table.ascent * fontSize) / table.unitsPerEm,
+      truncated
+    };
+  }
+});
+
+/**
+ * Whether a CSS font weight renders as bold
+ * @private
+ * @param {string|number} [weight] - CSS font weight
+ * @returns {boolean} True for bold weights
+ */
+function isBold(weight) {
+  if (weight === 'bold' || weight === 'bolder') return true;
+  return Number(weight) >= 600;
+}
+
+/**
+ * Advance width of one character in font units
+ * @private
+ * @param {string} char - Single code point
+ * @param {FontMetricsTable} table - Metrics table
+ * @returns {number} Width in font units
+ */
+function charWidth(char, table) {
+  if (table.widths[char] !== undefined) return table.widths[char];
+  const code = char.codePointAt(0);
+  // Zero-width joiners, variation selectors and combining marks
+  if (code === 0x200d || (code >= 0xfe00 && code <= 0xfe0f) || (code >= 0x300 && code <= 0x36f)) {
+    return 0;
+  }
+  // Emoji and CJK take a full em
+  if (code > 0xffff || (code >= 0x2e80 && code <= 0xa4cf) || (code >= 0xac00 && code <= 0xd7a3)) {
+    return table.unitsPerEm;
+  }
+  return table.fallback;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextLayout;
+}
+if (typeof window !== 'undefined') {
+  window.TextLayout = TextLayout;
+}
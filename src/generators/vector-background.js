@@ -7,16 +7,19 @@
  * @version 1.0.0
  */
 
+/* global DiiaTokens */
+
 class VectorBackground {
   /**
    * @param {HTMLElement} container - Container element
    * @param {Object} options - Configuration options
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Theme whose primary color the particles use
    */
   constructor(container, options = {}) {
     this.container = container;
     this.options = {
       particleCount: options.particleCount || 50,
-      color: options.color || '#67C3F3',
+      color: options.color || DiiaTokens.resolve(options.theme).colors.primary,
       opacity: options.opacity || 0.3,
       speed: options.speed || 0.5,
       connectionDistance: options.connectionDistance || 150,
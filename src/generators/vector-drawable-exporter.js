@@ -0,0 +1,263 @@
+/**
+ * VectorDrawable Exporter - Scene graph to Android VectorDrawable XML
+ *
+ * Writes a screen, or one node of it as an icon or illustration, as a
+ * `<vector>` resource:
+ *   - containers with an ID or a clip become `<group>`s, clipped with
+ *     `<clip-path>`; other containers are flattened into their parent
+ *   - rectangles, circles, paths, QR codes and security patterns become
+ *     `<path>`s with absolute path data (rounded corners and circles as arcs)
+ *   - gradients become `<gradient>` fills through `aapt:attr`
+ *
+ * VectorDrawable has no text, images, dashes, shadows or group opacity:
+ * text and images are left out, dashed strokes are skipped, shadows are
+ * dropped and container opacity is multiplied into each path's alpha.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/scene-graph.js for the input
+ */
+
+/* global SceneGraph, QREncoder, Escape */
+
+/**
+ * Number rounded to 2 decimals
+ * @private
+ * @param {number} value - Number
+ * @returns {string} Number text
+ */
+function vectorDrawableNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Android color (#RRGGBB) and its alpha for a color value
+ * @private
+ * @param {string} value - Hex or rgb()/rgba() color
+ * @returns {{hex: string, alpha: number}|null} Color, null if not a color
+ */
+function vectorDrawableColor(value) {
+  const color = SceneGraph.color(value);
+  if (!color) {
+    return null;
+  }
+  const hex = [color.r, color.g, color.b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+  return { hex: `#${hex.toUpperCase()}`, alpha: color.a };
+}
+
+/**
+ * Android color with alpha (#AARRGGBB), for gradient items
+ * @private
+ * @param {string} value - Hex or rgb()/rgba() color
+ * @param {number} [opacity=1] - Extra opacity 0-1
+ * @returns {string} Color
+ */
+function vectorDrawableARGB(value, opacity = 1) {
+  const color = vectorDrawableColor(value) || { hex: '#000000', alpha: 1 };
+  return `#${Math.round(color.alpha * opacity * 255).toString(16).padStart(2, '0').toUpperCase()}${color.hex.slice(1)}`;
+}
+
+/**
+ * Path data for a rectangle, with arcs for rounded corners
+ * @private
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} [radius=0] - Corner radius
+ * @returns {string} Path data
+ */
+function vectorDrawableRect(x, y, width, height, radius = 0) {
+  const n = vectorDrawableNumber;
+  const r = Math.min(radius, width / 2, height / 2);
+  if (!r) {
+    return `M${n(x)},${n(y)}H${n(x + width)}V${n(y + height)}H${n(x)}Z`;
+  }
+  const arc = (toX, toY) => `A${n(r)},${n(r)} 0 0 1 ${n(toX)},${n(toY)}`;
+  return [
+    `M${n(x + r)},${n(y)}H${n(x + width - r)}`, arc(x + width, y + r),
+    `V${n(y + height - r)}`, arc(x + width - r, y + height),
+    `H${n(x + r)}`, arc(x, y + height - r),
+    `V${n(y + r)}`, arc(x + r, y), 'Z'
+  ].join('');
+}
+
+/**
+ * Absolute path data for SVG path data drawn at an offset
+ * @private
+ * @param {string} d - Path data
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {string} Path data with absolute M, L, C, Q and Z commands
+ */
+function vectorDrawablePath(d, dx, dy) {
+  return SceneGraph.pathCommands(d, dx, dy)
+    .map(({ command, points }) => command + points.map(vectorDrawableNumber).join(','))
+    .join('');
+}
+
+const VectorDrawableExporter = Object.freeze({
+  /**
+   * Write a scene, or one of its nodes, as a VectorDrawable
+   *
+   * @param {Scene} scene - Scene graph (SceneGraph.build)
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.id] - Only draw the node with this schema ID, cropped to its box
+   * @param {Object} [options.tokens] - Resolved design tokens (screen background, hologram and pattern colors)
+   * @param {function(SceneNode): {paths: string[], strokeWidth: number, linecap?: string}} [options.pattern] - Security pattern geometry (patterns are skipped without it)
+   * @throws {ReferenceError} If no node has the given ID
+   * @returns {string} VectorDrawable XML
+   * @example
+   * VectorDrawableExporter.fromScene(SceneGraph.build('diia-id-card'), { id: 'card' });
+   * // <vector xmlns:android="..." android:width="328dp" android:height="220dp" ...
+   */
+  fromScene(scene, options = {}) {
+    const n = vectorDrawableNumber;
+    let root = null;
+    if (options.id !== undefined) {
+      SceneGraph.walk(scene, (node) => {
+        if (!root && node.id === options.id) root = node;
+      });
+      if (!root) {
+        throw new ReferenceError(`Unknown node "${options.id}" in screen "${scene.name}"`);
+      }
+    }
+    const area = root || { x: 0, y: 0, width: scene.width, height: scene.height };
+    let gradients = false;
+
+    const name = (node) => (node.id ? ` android:name="${Escape.xmlAttr(node.id)}"` : '');
+    // fillColor/strokeColor attributes, or an aapt:attr child for gradients
+    const paint = (kind, value, opacity) => {
+      const def = SceneGraph.def(scene, value);
+      if (def) {
+        const gradient = options.tokens ? SceneGraph.gradient(def, options.tokens) : null;
+        return gradient ? { gradient } : null;
+      }
+      const color = vectorDrawableColor(value);
+      if (!color) {
+        return null;
+      }
+      const alpha = color.alpha * opacity;
+      return { attrs: [`android:${kind}Color="${color.hex}"`, ...(alpha < 1 ? [`android:${kind}Alpha="${n(alpha)}"`] : [])] };
+    };
+    const gradientAttr = (kind, gradient, box, opacity) => {
+      gradients = true;
+      const x = (fraction) => n(box.x + fraction * box.width);
+      const y = (fraction) => n(box.y + fraction * box.height);
+      return [
+        `<aapt:attr name="android:${kind}Color">`,
+        `    <gradient android:type="linear" android:startX="${x(gradient.x1)}" android:startY="${y(gradient.y1)}" android:endX="${x(gradient.x2)}" android:endY="${y(gradient.y2)}">`,
+        ...gradient.stops.map((stop) => `        <item android:offset="${n(stop.offset)}" android:color="${vectorDrawableARGB(stop.color, (stop.opacity === undefined ? 1 : stop.opacity) * opacity)}"/>`),
+        '    </gradient>',
+        '</aapt:attr>'
+      ];
+    };
+    const element = (node, pathData, style, opacity, pad) => {
+      const attrs = [`android:pathData="${pathData}"`];
+      const children = [];
+      const fill = style.fill !== undefined && style.fill !== 'none' ? paint('fill', style.fill, opacity) : null;
+      const stroke = style.stroke !== undefined && style.stroke !== 'none' && !style.dash ? paint('stroke', style.stroke, opacity) : null;
+      if (!fill && !stroke) {
+        return [];
+      }
+      if (fill && fill.attrs) attrs.push(...fill.attrs);
+      if (fill && fill.gradient) children.push(...gradientAttr('fill', fill.gradient, node, opacity));
+      if (stroke) {
+        if (stroke.attrs) attrs.push(...stroke.attrs);
+        if (stroke.gradient) children.push(...gradientAttr('stroke', stroke.gradient, node, opacity));
+        attrs.push(`android:strokeWidth="${n(style.strokeWidth || 1)}"`);
+        if (style.linecap) attrs.push(`android:strokeLineCap="${style.linecap}"`);
+        if (style.linejoin) attrs.push(`android:strokeLineJoin="${style.linejoin}"`);
+      }
+      const open = `${pad}<path${name(node)}\n${attrs.map((attr) => `${pad}    ${attr}`).join('\n')}`;
+      return children.length
+        ? [`${open}>`, ...children.map((line) => `${pad}    ${line}`), `${pad}</path>`]
+        : [`${open}/>`];
+    };
+
+    const render = (node, opacity, pad) => {
+      const alpha = opacity * (node.opacity === undefined ? 1 : node.opacity);
+      switch (node.type) {
+        case 'frame':
+        case 'stack':
+        case 'group': {
+          // Unnamed, unclipped containers add nothing a group would carry
+          const { clip } = node;
+          const grouped = Boolean(node.id || clip);
+          const inner = grouped ? `${pad}    ` : pad;
+          const lines = node.type !== 'group'
+            ? element({ ...node, id: undefined }, vectorDrawableRect(node.x, node.y, node.width, node.height, node.radius), node, alpha, inner)
+            : [];
+          if (clip) {
+            lines.push(`${inner}<clip-path android:pathData="${vectorDrawableRect(clip.x, clip.y, clip.width, clip.height, clip.radius)}"/>`);
+          }
+          lines.push(...node.children.flatMap((child) => render(child, alpha, inner)));
+          return grouped && lines.length ? [`${pad}<group${name(node)}>`, ...lines, `${pad}</group>`] : lines;
+        }
+
+        case 'rect':
+          return element(node, vectorDrawableRect(node.x, node.y, node.width, node.height, node.radius), node, alpha, pad);
+
+        case 'circle': {
+          const cx = node.x + node.width / 2;
+          const cy = node.y + node.height / 2;
+          const arc = `A${n(node.r)},${n(node.r)} 0 1 0`;
+          return element(node, `M${n(cx - node.r)},${n(cy)}${arc} ${n(cx + node.r)},${n(cy)}${arc} ${n(cx - node.r)},${n(cy)}Z`, node, alpha, pad);
+        }
+
+        case 'path':
+          return element(node, vectorDrawablePath(node.d, node.x, node.y), node, alpha, pad);
+
+        case 'qr': {
+          const qr = QREncoder.encode(node.data, { ecLevel: node.ecLevel || 'M' });
+          const d = QREncoder.toPathData(qr, { moduleSize: node.size / qr.size });
+          return [
+            ...(node.background !== undefined ? element({}, vectorDrawableRect(node.x, node.y, node.width, node.height), { fill: node.background }, alpha, pad) : []),
+            ...element(node, vectorDrawablePath(d, node.x, node.y), { fill: node.fill }, alpha, pad)
+          ];
+        }
+
+        case 'pattern': {
+          if (!options.pattern) {
+            return [];
+          }
+          const { paths, strokeWidth, linecap } = options.pattern(node);
+          const stroke = options.tokens ? options.tokens.colors.pattern : '#000000';
+          return element(node, vectorDrawablePath(paths.join(''), node.x, node.y), { stroke, strokeWidth, linecap }, alpha * 0.1, pad);
+        }
+
+        default:
+          // Text and images have no VectorDrawable equivalent
+          return [];
+      }
+    };
+
+    const nodes = root ? [root] : scene.nodes;
+    const translated = area.x !== 0 || area.y !== 0;
+    const pad = translated ? '        ' : '    ';
+    const body = [
+      ...(!root && options.tokens ? element({}, vectorDrawableRect(0, 0, scene.width, scene.height), { fill: options.tokens.colors.background }, 1, pad) : []),
+      ...nodes.flatMap((node) => render(node, 1, pad))
+    ];
+    const namespaces = `xmlns:android="http://schemas.android.com/apk/res/android"${gradients ? '\n    xmlns:aapt="http://schemas.android.com/aapt"' : ''}`;
+
+    return [
+      `<vector ${namespaces}`,
+      `    android:width="${n(area.width)}dp"`,
+      `    android:height="${n(area.height)}dp"`,
+      `    android:viewportWidth="${n(area.width)}"`,
+      `    android:viewportHeight="${n(area.height)}">`,
+      ...(translated ? [`    <group android:translateX="${n(-area.x)}" android:translateY="${n(-area.y)}">`, ...body, '    </group>'] : body),
+      '</vector>',
+      ''
+    ].join('\n');
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VectorDrawableExporter;
+}
+if (typeof window !== 'undefined') {
+  window.VectorDrawableExporter = VectorDrawableExporter;
+}
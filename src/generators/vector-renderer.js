@@ -9,77 +9,13 @@
  * @license MIT
  */
 
+/* global ScreenSchema, SceneGraph, LayoutEngine, QREncoder, SvgIds, Escape, DiiaTokens */
+
 /**
- * Design tokens - Single source of truth for Diia Design System
- * @const {Object}
+ * @typedef {Object} RenderOptions
+ * @property {string} [idPrefix] - Prefix for defs IDs (e.g. "card-2"); content hash by default
+ * @property {boolean} [shareDefs] - Leave defs out of the SVG and collect them for renderSharedDefs()
  */
-const DIIA_TOKENS = Object.freeze({
-  // Color palette
-  colors: {
-    primary: '#67C3F3',      // Diia Blue
-    background: '#E2ECF4',   // Light Blue Gray
-    dark: '#0a0e27',         // Near Black
-    cardBg: '#FFFFFF',       // Pure White
-    text: '#000000',         // Black
-    textSecondary: '#666666', // Gray
-    textTertiary: '#999999', // Light Gray
-    flag: {
-      blue: '#005BBB',       // Ukrainian Blue
-      yellow: '#FFD700'      // Ukrainian Yellow
-    }
-  },
-
-  // Layout system (8px grid)
-  spacing: {
-    xs: 4,
-    sm: 8,
-    md: 16,
-    lg: 24,
-    xl: 32,
-    xxl: 48
-  },
-
-  // Typography scale
-  fontSize: {
-    xs: 7,
-    sm: 8,
-    base: 10,
-    md: 14,
-    lg: 18,
-    xl: 32,
-    xxl: 40
-  },
-
-  // Border radius
-  radius: {
-    sm: 8,
-    md: 16,
-    lg: 24
-  },
-
-  // Dimensions
-  canvas: {
-    width: 360,
-    height: 680
-  },
-
-  card: {
-    height: 220,
-    photoRadius: 45,
-    qrSize: 60,
-    flagWidth: 40,
-    flagHeight: 24
-  },
-
-  // Mathematical constants
-  goldenRatio: 1.618,
-
-  // Animation
-  animation: {
-    duration: 300,
-    easing: 'cubic-bezier(0.4, 0.0, 0.2, 1)'
-  }
-});
 
 /**
  * @typedef {Object} DiiaCardProps
@@ -87,6 +23,8 @@ const DIIA_TOKENS = Object.freeze({
  * @property {string} [firstName='ТАРАС'] - First name
  * @property {string} [lastName='ШЕВЧЕНКО'] - Last name
  * @property {string} [birthDate='09.03.1814'] - Birth date
+ * @property {string} [issueDate='15.11.2024'] - Issue date (4a)
+ * @property {string} [expiryDate='15.11.2034'] - Expiry date (4c)
  * @property {string} [cardNumber='AAA 123456'] - Card number
  */
 
@@ -105,13 +43,20 @@ class VectorRenderer {
   /**
    * Creates a new VectorRenderer instance
    * @constructor
+   * @param {Object} [options={}] - Renderer options
+   * @param {'light'|'dark'|'high-contrast'} [options.theme='light'] - Color theme
+   * @param {Object} [options.tokens] - Token overrides for this renderer only
    */
-  constructor() {
-    // Design tokens (immutable reference)
-    this.tokens = DIIA_TOKENS;
+  constructor(options = {}) {
+    // Design tokens come from DiiaTokens; colors follow the theme
+    this.theme = 'light';
+    this.tokenOverrides = null;
+    /** @private Resolved tokens and the DiiaTokens version they were built from */
+    this._tokens = null;
+    this._tokensVersion = -1;
 
-    // Layout state (mutable for stacking calculations)
-    this.currentY = 0;
+    // Layout: schema nodes -> absolute boxes (stacks, padding, gap, alignment)
+    this.layoutEngine = new LayoutEngine({ tokens: this.tokens });
 
     // 3D tilt state (bounded to [-1, 1])
     this.tiltX = 0;
@@ -132,6 +77,34 @@ class VectorRenderer {
     // Accessibility: Track semantic elements for Shadow DOM
     this.a11yElements = [];
     this.enableA11y = true; // Enable accessibility layer by default
+
+    // Defs IDs: hashed by content unless a per-render prefix is given
+    this.idPrefix = '';
+
+    // Shared defs: collect definitions for one page-level <defs> block
+    this.shareDefs = false;
+    /** @type {Map<string, string>} */
+    this.sharedDefs = new Map();
+
+    if (options.theme) {
+      this.setTheme(options.theme);
+    }
+    if (options.tokens) {
+      this.setTokens(options.tokens);
+    }
+  }
+
+  /**
+   * Design tokens for the current theme, including runtime overrides
+   * (DiiaTokens.override) and this renderer's own overrides (setTokens)
+   * @type {Object}
+   */
+  get tokens() {
+    if (!this._tokens || this._tokensVersion !== DiiaTokens.version) {
+      this._tokens = DiiaTokens.resolve(this.theme, this.tokenOverrides || undefined);
+      this._tokensVersion = DiiaTokens.version;
+    }
+    return this._tokens;
   }
 
   /**
@@ -141,28 +114,42 @@ class VectorRenderer {
   getConfig() {
     return {
       tokens: this.tokens,
+      theme: this.theme,
       tilt: { x: this.tiltX, y: this.tiltY },
       stats: { ...this.stats }
     };
   }
 
   /**
-   * Reset layout engine
+   * Switch the color theme
+   * Every fill and stroke resolves through the theme's semantic palette
+   * 
+   * @param {'light'|'dark'|'high-contrast'} name - Theme name
+   * @throws {RangeError} If the theme is unknown
    * @returns {void}
    */
-  reset() {
-    this.currentY = 0;
+  setTheme(name) {
+    if (!DiiaTokens.themes.includes(name)) {
+      throw new RangeError(`Unknown theme "${name}", expected one of: ${DiiaTokens.themes.join(', ')}`);
+    }
+    this.theme = name;
+    this._tokens = null;
   }
 
   /**
-   * Advance Y position for vertical stacking
-   * @param {number} height - Height to advance
-   * @param {number} [gap=0] - Optional gap
-   * @returns {number} New Y position
+   * Override design tokens for this renderer only
+   * Partial trees are merged over the theme: `{ colors: { primary: '#0057B8' } }`
+   * 
+   * @param {Object|null} overrides - Partial token tree, null to drop overrides
+   * @throws {TypeError} If overrides is not an object
+   * @returns {void}
    */
-  advanceY(height, gap = 0) {
-    this.currentY += height + gap;
-    return this.currentY;
+  setTokens(overrides) {
+    if (overrides !== null && typeof overrides !== 'object') {
+      throw new TypeError(`Token overrides must be an object, got ${typeof overrides}`);
+    }
+    this.tokenOverrides = overrides;
+    this._tokens = null;
   }
 
   /**
@@ -238,26 +225,92 @@ class VectorRenderer {
     const y2 = 100 + offsetY * 100;
 
     return `
-      <linearGradient id="${id}" x1="${x1}%" y1="${y1}%" x2="${x2}%" y2="${y2}%">
-        <stop offset="0%" stop-color="#ffffff" stop-opacity="0.05" />
+      <linearGradient id="${Escape.xmlAttr(id)}" x1="${x1}%" y1="${y1}%" x2="${x2}%" y2="${y2}%">
+        <stop offset="0%" stop-color="${this.tokens.colors.hologram}" stop-opacity="0.05" />
         <stop offset="30%" stop-color="${this.tokens.colors.primary}" stop-opacity="0.15" />
-        <stop offset="70%" stop-color="#ffffff" stop-opacity="0.2" />
+        <stop offset="70%" stop-color="${this.tokens.colors.hologram}" stop-opacity="0.2" />
         <stop offset="100%" stop-color="${this.tokens.colors.primary}" stop-opacity="0.05" />
       </linearGradient>
     `;
   }
 
   /**
-   * Generate security pattern (diagonal vector grid)
+   * Security pattern geometry, shared by the SVG and canvas backends
+   * Each document family has its own line style (see ScreenSchema.PATTERN_KINDS):
+   * security (diagonal lines), guilloche (interlaced sine waves), grid,
+   * lines (ruled paper) and dots (halftone, zero-length segments with round caps)
+   * 
+   * @param {number} width - Pattern width
+   * @param {number} height - Pattern height
+   * @param {number} [scale=1] - Scale multiplier
+   * @param {string} [kind='security'] - Pattern style
+   * @returns {{paths: string[], strokeWidth: number, linecap?: string}} Stroked path data
+   * @throws {TypeError} If the pattern kind is unknown
+   */
+  getPatternGeometry(width, height, scale = 1, kind = 'security') {
+    if (!ScreenSchema.PATTERN_KINDS.includes(kind)) {
+      throw new TypeError(`Unknown pattern kind "${kind}", expected one of: ${ScreenSchema.PATTERN_KINDS.join(', ')}`);
+    }
+    const strokeWidth = 0.5 * scale;
+    const round = (n) => Math.round(n * 100) / 100;
+    const d = [];
+
+    if (kind === 'security') {
+      // Diagonal lines, one path each
+      const spacing = 20 * scale;
+      for (let i = 0; i < width; i += spacing) {
+        d.push(`M${i} 0 L${i - spacing} ${height}`);
+      }
+      return { paths: d, strokeWidth };
+    }
+
+    if (kind === 'guilloche') {
+      // Two families of phase-shifted waves cross each other: y = base + A·sin(2πx/λ + φ)
+      const spacing = 12 * scale;
+      const amplitude = 6 * scale;
+      const wavelength = 48 * scale;
+      const step = 4 * scale;
+      for (let base = 0; base <= height + spacing; base += spacing) {
+        [0, Math.PI].forEach((phase) => {
+          const points = [];
+          for (let x = 0; x <= width + step; x += step) {
+            points.push(`${round(x)} ${round(base + amplitude * Math.sin((2 * Math.PI * x) / wavelength + phase))}`);
+          }
+          d.push(`M${points.join('L')}`);
+        });
+      }
+    } else if (kind === 'grid') {
+      const spacing = 16 * scale;
+      for (let x = 0; x <= width; x += spacing) d.push(`M${round(x)} 0V${height}`);
+      for (let y = 0; y <= height; y += spacing) d.push(`M0 ${round(y)}H${width}`);
+    } else if (kind === 'lines') {
+      const spacing = 12 * scale;
+      for (let y = spacing; y < height; y += spacing) d.push(`M0 ${round(y)}H${width}`);
+    } else {
+      // Dots: staggered rows
+      const spacing = 10 * scale;
+      for (let row = 0, y = spacing / 2; y < height; row++, y += spacing) {
+        for (let x = (row % 2) * (spacing / 2); x < width; x += spacing) d.push(`M${round(x)} ${round(y)}h0`);
+      }
+      return { paths: [d.join('')], strokeWidth: 3 * strokeWidth, linecap: 'round' };
+    }
+    // Every other style is a single path
+    return { paths: [d.join('')], strokeWidth };
+  }
+
+  /**
+   * Generate security pattern as SVG (see getPatternGeometry)
    * Uses caching for performance optimization
    * 
    * @param {number} width - Pattern width
    * @param {number} height - Pattern height
    * @param {number} [scale=1] - Scale multiplier
+   * @param {string} [kind='security'] - Pattern style
    * @returns {string} SVG path elements
+   * @throws {TypeError} If the pattern kind is unknown
    */
-  generateSecurityPattern(width, height, scale = 1) {
-    const cacheKey = `pattern_${width}_${height}_${scale}`;
+  generateSecurityPattern(width, height, scale = 1, kind = 'security') {
+    const cacheKey = `pattern_${kind}_${width}_${height}_${scale}_${this.tokens.colors.pattern}`;
 
     // Check cache
     if (this.patternCache.has(cacheKey)) {
@@ -269,18 +322,13 @@ class VectorRenderer {
       return val;
     }
 
+    const { paths, strokeWidth, linecap } = this.getPatternGeometry(width, height, scale, kind);
     this.stats.cacheMisses++;
 
-    const spacing = 20 * scale;
-    const strokeWidth = 0.5 * scale;
-    const parts = [];
-
-    // Generate diagonal lines
-    for (let i = 0; i < width; i += spacing) {
-      parts.push(`<path d="M${i} 0 L${i - spacing} ${height}" stroke="white" stroke-width="${strokeWidth}" stroke-opacity="0.1"/>`);
-    }
-
-    const pattern = parts.join('');
+    const stroke = this.tokens.colors.pattern;
+    const pattern = kind === 'security'
+      ? paths.map((d) => `<path d="${d}" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-opacity="0.1"/>`).join('')
+      : `<path${this._attrs({ d: paths[0], fill: 'none', stroke, 'stroke-width': strokeWidth, 'stroke-linecap': linecap, 'stroke-opacity': 0.1 })}/>`;
 
     // Cache result with size limit
     if (this.patternCache.size >= this.maxCacheSize) {
@@ -293,48 +341,24 @@ class VectorRenderer {
   }
 
   /**
-   * Generate Vector QR Code (simplified mathematical pattern)
-   * 
-   * Note: This is a decorative pattern, not a real QR code
-   * For production, use a proper QR library
+   * Generate Vector QR Code
+   * Encodes real, scannable data (QREncoder) as a single merged <path>
    * 
    * @param {number} x - X position
    * @param {number} y - Y position
    * @param {number} size - QR code size
    * @param {number} [scale=1] - Scale multiplier
    * @param {string} [color] - Fill color
+   * @param {string} [data=''] - Text to encode
+   * @param {'L'|'M'|'Q'|'H'} [ecLevel='M'] - Error correction level
    * @returns {string} SVG path element
+   * @throws {RangeError} If data does not fit in a QR code
    */
-  generateVectorQR(x, y, size, scale = 1, color = this.tokens.colors.dark) {
-    const actualSize = size * scale;
-    const gridSize = 21;
-    const pixelSize = actualSize / gridSize;
-
-    const pattern = [
-      1, 1, 1, 1, 1, 1, 1, 0, 0, 1, 0, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1,
-      1, 0, 0, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0, 0, 1,
-      1, 0, 1, 1, 1, 0, 1, 0, 0, 1, 1, 1, 0, 0, 1, 0, 1, 1, 1, 0, 1,
-      1, 0, 1, 1, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 1, 0, 1,
-      1, 0, 1, 1, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 1, 1, 0, 1,
-      1, 0, 0, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0, 0, 1,
-      1, 1, 1, 1, 1, 1, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 1, 1, 1, 1, 1,
-      0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    ];
-
-    const parts = [];
-    for (let i = 0; i < gridSize && i < 8; i++) {
-      for (let j = 0; j < gridSize; j++) {
-        const index = i * gridSize + j;
-        if (index >= pattern.length) break;
-        if (pattern[index] === 1) {
-          const px = x + j * pixelSize;
-          const py = y + i * pixelSize;
-          parts.push(`M${px} ${py} h${pixelSize} v${pixelSize} h${-pixelSize} z `);
-        }
-      }
-    }
+  generateVectorQR(x, y, size, scale = 1, color = this.tokens.colors.qr.fg, data = '', ecLevel = 'M') {
+    const qr = QREncoder.encode(String(data), { ecLevel });
+    const d = QREncoder.toPathData(qr, { x, y, moduleSize: (size * scale) / qr.size });
 
-    return `<path d="${parts.join('')}" fill="${color}" role="img" aria-label="QR код"/>`;
+    return `<path d="${d}" fill="${Escape.xmlAttr(color)}" shape-rendering="crispEdges" role="img" aria-label="QR код"/>`;
   }
 
   /**
@@ -342,181 +366,513 @@ class VectorRenderer {
    * 
    * @param {DiiaCardProps} [props={}] - Card properties
    * @param {number} [scale=1] - Scale multiplier (1 = 360x680)
+   * @param {RenderOptions} [options={}] - Defs ID scoping
    * @returns {string} Complete SVG markup
    * @throws {TypeError} If props is invalid
    * @throws {RangeError} If scale is out of bounds
    */
-  renderDiiaIDCard(props = {}, scale = 1) {
+  renderDiiaIDCard(props = {}, scale = 1, options = {}) {
+    return this.renderSchema(this._getTemplate('diia-id-card'), props, scale, options);
+  }
+
+  /**
+   * Render Upload Documents Screen (Vector Logic)
+   * Matches the DOM renderer output but using pure SVG
+   * 
+   * @param {Object} props - Screen properties
+   * @param {number} [scale=1] - Scale multiplier
+   * @param {RenderOptions} [options={}] - Defs ID scoping
+   * @returns {string} SVG markup
+   */
+  renderUploadScreen(props = {}, scale = 1, options = {}) {
+    return this.renderSchema(this._getTemplate('upload-screen'), props, scale, options);
+  }
+
+  /**
+   * Render a Diia document card by template name
+   * Built-in documents: 'diia-id-card' (driver's license), 'diia-passport',
+   * 'diia-tax-id' (РНОКПП), 'diia-fop-extract' (ЄДР extract), 'diia-student-card'.
+   * Each template declares its own props; see src/screens/ for the field lists.
+   * 
+   * @param {string} name - Registered template name
+   * @param {Object} [props={}] - Document props
+   * @param {number} [scale=1] - Scale multiplier
+   * @param {RenderOptions} [options={}] - Defs ID scoping
+   * @returns {string} Complete SVG markup
+   * @throws {ReferenceError} If the template is not registered
+   * @example
+   * renderer.renderDocument('diia-tax-id', { taxNumber: '1234567890' });
+   */
+  renderDocument(name, props = {}, scale = 1, options = {}) {
+    return this.renderSchema(this._getTemplate(name), props, scale, options);
+  }
+
+  /**
+   * Smart render method
+   * Draws a screen schema document, or picks a built-in screen based on props
+   * 
+   * @param {ScreenSchemaDocument|Object} [input={}] - Screen schema or component properties
+   * @param {number} [scale=1] - Scale multiplier
+   * @param {Object} [props={}] - Props for a schema document
+   * @param {RenderOptions} [options={}] - Defs ID scoping
+   * @returns {string} SVG markup
+   * @example
+   * renderer.render(UPLOAD_SCREEN_SCHEMA, 2, { title: 'Довідка' });
+   */
+  render(input = {}, scale = 1, props = {}, options = {}) {
+    if (ScreenSchema.isSchema(input)) {
+      return this.renderSchema(input, props, scale, options);
+    }
+    return this.renderSchema(this._templateFor(input), input, scale, options);
+  }
+
+  /**
+   * Render a declarative screen schema document
+   * 
+   * @param {ScreenSchemaDocument} schema - Screen description
+   * @param {Object} [props={}] - Values for the declared props
+   * @param {number} [scale=1] - Scale multiplier
+   * @param {RenderOptions} [options={}] - Defs ID scoping
+   * @returns {string} Complete SVG markup
+   * @throws {TypeError} If the schema, props or ID prefix are invalid
+   * @throws {RangeError} If scale or schema version is out of bounds
+   * @throws {ReferenceError} If the schema references an unknown token
+   */
+  renderSchema(schema, props = {}, scale = 1, options = {}) {
+    const { idPrefix = this.idPrefix, shareDefs = this.shareDefs } = options;
     this._validateProps(props);
     this._validateScale(scale);
+    if (idPrefix) {
+      SvgIds.validatePrefix(idPrefix);
+    }
+    const scene = this.buildScene(schema, props || {});
 
-    this.reset();
     this.stats.rendersCount++;
 
-    const W = this.tokens.canvas.width * scale;
-    const H = this.tokens.canvas.height * scale;
-    const P = this.tokens.spacing.md * scale;
-    const R = this.tokens.radius.lg * scale;
-    const cardW = W - (P * 2);
-    const cardH = this.tokens.card.height * scale;
-    const cardX = P;
-    const cardY = P + (this.tokens.spacing.xl * scale);
-    const cardR = this.tokens.radius.md * scale;
+    const ctx = {
+      scale,
+      idPrefix,
+      ids: new Map(),
+      defs: new Map()
+    };
 
-    const parts = [];
-    parts.push(`<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Diia ID Card">`);
-    parts.push(`<defs>`);
-    parts.push(this.generateHologramGradient('holo-gradient', this.tiltX * 0.5, this.tiltY * 0.5));
-    parts.push(`<filter id="shadow"><feDropShadow dx="0" dy="4" stdDeviation="8" flood-opacity="0.15"/></filter>`);
-    parts.push(`<clipPath id="card-clip"><rect x="${cardX}" y="${cardY}" width="${cardW}" height="${cardH}" rx="${cardR}"/></clipPath></defs>`);
-    parts.push(`<rect width="${W}" height="${H}" rx="${R}" fill="${this.tokens.colors.background}"/>`);
-    parts.push(`<rect x="${cardX}" y="${cardY}" width="${cardW}" height="${cardH}" rx="${cardR}" fill="${this.tokens.colors.cardBg}" filter="url(#shadow)"/>`);
-    parts.push(`<g opacity="0.3" clip-path="url(#card-clip)">`);
-    parts.push(this.generateSecurityPattern(cardW, cardH, scale));
-    parts.push(`</g>`);
-    parts.push(`<rect x="${cardX}" y="${cardY}" width="${cardW}" height="${cardH}" rx="${cardR}" fill="url(#holo-gradient)" aria-hidden="true"/>`);
-
-    const flagX = cardX + (P * 2);
-    const flagY = cardY + (P * 2);
-    const flagW = this.tokens.card.flagWidth * scale;
-    const flagH = this.tokens.card.flagHeight * scale;
-    const flagHalfH = Math.round(flagH / 2);
-
-    parts.push(`<g role="img" aria-label="Прапор України"><rect x="${flagX}" y="${flagY}" width="${flagW}" height="${flagHalfH}" fill="${this.tokens.colors.flag.blue}"/><rect x="${flagX}" y="${flagY + flagHalfH}" width="${flagW}" height="${flagH - flagHalfH}" fill="${this.tokens.colors.flag.yellow}"/></g>`);
-
-    const titleX = flagX + flagW + (12 * scale);
-    const titleY = flagY + (18 * scale);
-    parts.push(`<text x="${titleX}" y="${titleY}" font-family="e-Ukraine, Inter, sans-serif" font-weight="bold" font-size="${this.tokens.fontSize.md * scale}" fill="${this.tokens.colors.dark}">УКРАЇНА</text>`);
-    parts.push(`<text x="${titleX}" y="${titleY + 16 * scale}" font-family="e-Ukraine, Inter, sans-serif" font-size="${this.tokens.fontSize.base * scale}" fill="${this.tokens.colors.textSecondary}">${props.title || 'ПОСВІДЧЕННЯ ВОДІЯ'}</text>`);
-
-    const photoR = this.tokens.card.photoRadius * scale;
-    const photoX = cardX + (P * 2) + photoR;
-    const photoY = cardY + (90 * scale);
-    parts.push(`<circle cx="${photoX}" cy="${photoY}" r="${photoR}" fill="#D0D0D0" stroke="${this.tokens.colors.primary}" stroke-width="${2 * scale}" role="img" aria-label="Фото"/>`);
-    parts.push(`<text x="${photoX}" y="${photoY + 5 * scale}" font-size="${this.tokens.fontSize.xxl * scale}" text-anchor="middle" opacity="0.3" aria-hidden="true">👤</text>`);
-
-    const dataX = photoX + photoR + (20 * scale);
-    let dataY = cardY + (70 * scale);
-    const fields = [
-      { label: '1. Прізвище', value: props.lastName || 'ШЕВЧЕНКО' },
-      { label: '2. Ім\'я', value: props.firstName || 'ТАРАС' },
-      { label: '3. Дата народження', value: props.birthDate || '09.03.1814' },
-      { label: '4a. Дата видачі', value: '15.11.2024' },
-      { label: '4c. Дійсне до', value: '15.11.2034' }
-    ];
-    fields.forEach((field) => {
-      parts.push(`<text x="${dataX}" y="${dataY}" font-family="e-Ukraine, Inter, sans-serif" font-size="${this.tokens.fontSize.xs * scale}" fill="${this.tokens.colors.textSecondary}">${field.label}</text>`);
-      dataY += 12 * scale;
-      parts.push(`<text x="${dataX}" y="${dataY}" font-family="e-Ukraine, Inter, sans-serif" font-weight="600" font-size="${this.tokens.fontSize.base * scale}" fill="${this.tokens.colors.dark}">${field.value}</text>`);
-      dataY += 18 * scale;
-    });
+    // Definitions first: the body references their scoped IDs
+    scene.defs.forEach((def) => this._define(def.id, this._renderDef(def, ctx), ctx));
+    const body = scene.nodes.map((node) => this._renderNode(node, ctx));
 
-    const qrSize = this.tokens.card.qrSize * scale;
-    const qrX = cardX + cardW - qrSize - (P * 2);
-    const qrY = cardY + cardH - qrSize - (P * 2);
-    parts.push(`<rect x="${qrX}" y="${qrY}" width="${qrSize}" height="${qrSize}" fill="white"/>`);
-    parts.push(this.generateVectorQR(qrX, qrY, this.tokens.card.qrSize, scale));
+    let defs = [...ctx.defs.values()];
+    if (shareDefs) {
+      ctx.defs.forEach((markup, id) => this.sharedDefs.set(id, markup));
+      defs = [];
+    }
+
+    const W = this._num(scene.width * scale);
+    const H = this._num(scene.height * scale);
+    const label = scene.label;
 
-    const logoX = cardX + (P * 2);
-    const logoY = cardY + cardH - (40 * scale);
-    parts.push(`<text x="${logoX}" y="${logoY}" font-family="e-Ukraine, Inter, sans-serif" font-weight="bold" font-size="${this.tokens.fontSize.lg * scale}" fill="${this.tokens.colors.primary}" role="img" aria-label="Дія логотип">Дія</text>`);
-    parts.push(`<text x="${cardX + cardW / 2}" y="${cardY + cardH - 12 * scale}" text-anchor="middle" font-family="monospace" font-size="${this.tokens.fontSize.sm * scale}" fill="${this.tokens.colors.textTertiary}">№ ${props.cardNumber || 'AAA 123456'}</text>`);
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg"${this._attrs({ viewBox: `0 0 ${W} ${H}`, width: W, height: H, role: 'img', 'aria-label': label })}>`);
+    if (defs.length > 0) {
+      parts.push(`<defs>${defs.join('')}</defs>`);
+    }
+    parts.push(...body);
     parts.push(`</svg>`);
 
     return parts.join('');
   }
 
   /**
-   * Legacy render method (backwards compatibility)
-   * @param {DiiaCardProps} [props={}] - Card properties
-   * @param {number} [scale=1] - Scale multiplier
-   * @returns {string} SVG markup
+   * Page-level definitions collected while `shareDefs` is on
+   * Insert once per document, before or after the screens that use them
+   * 
+   * @returns {string} Hidden SVG holding every shared definition
+   * @example
+   * renderer.shareDefs = true;
+   * const cards = [a, b].map((props) => renderer.render(props));
+   * document.body.innerHTML = renderer.renderSharedDefs() + cards.join('');
    */
+  renderSharedDefs() {
+    const defs = [...this.sharedDefs.values()].join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="0" height="0" aria-hidden="true" focusable="false" style="position:absolute"><defs>${defs}</defs></svg>`;
+  }
+
   /**
-   * Render Upload Documents Screen (Vector Logic)
-   * Matches the DOM renderer output but using pure SVG
+   * Forget shared definitions (e.g. before re-rendering a page)
+   * @returns {void}
+   */
+  clearSharedDefs() {
+    this.sharedDefs.clear();
+  }
+
+  /**
+   * Lay out and resolve a screen with this renderer's tokens
+   * The scene is what every backend paints (see src/generators/scene-graph.js)
    * 
-   * @param {Object} props - Screen properties
-   * @param {number} [scale=1] - Scale multiplier
-   * @returns {string} SVG markup
+   * @param {ScreenSchemaDocument|string} schema - Screen document or template name
+   * @param {Object} [props={}] - Values for the declared props
+   * @returns {Scene} Scene graph in design units
    */
-  renderUploadScreen(props = {}, scale = 1) {
-    this._validateScale(scale);
+  buildScene(schema, props = {}) {
+    return SceneGraph.build(schema, props, { tokens: this.tokens, layoutEngine: this.layoutEngine });
+  }
 
-    const width = this.tokens.canvas.width * scale;
-    const height = this.tokens.canvas.height * scale;
-    const P = this.tokens.spacing.md * scale; // Padding 16px
+  /**
+   * Compute the layout of a screen schema without painting it
+   * 
+   * @param {ScreenSchemaDocument} schema - Screen description
+   * @param {Object} [props={}] - Resolved props (used to measure text)
+   * @returns {{width: number, height: number, boxes: LayoutBox[]}} Unscaled layout tree
+   */
+  layoutSchema(schema, props = {}) {
+    const width = this._resolve(schema.width);
+    const height = this._resolve(schema.height);
+    // Tokens may have changed since the last layout (theme, runtime overrides)
+    this.layoutEngine.tokens = this.tokens;
+    const boxes = this.layoutEngine.layout(schema.children, { x: 0, y: 0, width, height }, props);
+    return { width, height, boxes };
+  }
 
-    const parts = [];
-    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${props.title || 'Завантаження документів'}">`);
+  /**
+   * Get a registered screen template
+   * @private
+   * @param {string} name - Template name
+   * @throws {ReferenceError} If the template is not registered
+   * @returns {ScreenSchemaDocument} Screen document
+   */
+  _getTemplate(name) {
+    const template = ScreenSchema.get(name);
+    if (!template) {
+      throw new ReferenceError(`Screen template "${name}" is not registered`);
+    }
+    return template;
+  }
+
+  /**
+   * Pick the built-in screen for a props object (or pass a schema through)
+   * @private
+   * @param {ScreenSchemaDocument|Object} input - Screen schema or component properties
+   * @returns {ScreenSchemaDocument} Screen document
+   */
+  _templateFor(input) {
+    if (ScreenSchema.isSchema(input)) {
+      return input;
+    }
+    return this._getTemplate(SceneGraph.templateFor(input));
+  }
+
+  /**
+   * Resolve a schema value (tokens, percentages) to its unscaled value
+   * @private
+   * @param {*} value - Raw schema value
+   * @param {number} [relativeTo=0] - Parent dimension for percentages
+   * @returns {*} Resolved value
+   */
+  _resolve(value, relativeTo = 0) {
+    return ScreenSchema.resolveValue(value, this.tokens, relativeTo);
+  }
 
-    // Background
-    parts.push(`<rect width="${width}" height="${height}" fill="${this.tokens.colors.background}" rx="${this.tokens.radius.lg * scale}"/>`);
+  /**
+   * Turn a resolved "@id" paint into a url() reference to the scoped ID
+   * @private
+   * @param {*} paint - Scene paint value
+   * @param {Object} ctx - Render context (maps schema IDs to scoped IDs)
+   * @returns {string|undefined} SVG paint
+   */
+  _paint(paint, ctx) {
+    if (typeof paint === 'string' && paint.startsWith('@')) {
+      const id = paint.slice(1);
+      return `url(#${ctx.ids.get(id) || id})`;
+    }
+    return paint;
+  }
 
-    // Card Container (White bg)
-    const cardY = 16 * scale;
-    const cardX = 8 * scale;
-    const cardW = width - (16 * scale);
-    const cardH = height - (32 * scale);
+  /**
+   * Round to 3 decimals to keep scaled coordinates compact
+   * @private
+   * @param {number} value - Number to format
+   * @returns {number} Rounded number
+   */
+  _num(value) {
+    return Math.round(value * 1000) / 1000;
+  }
 
-    parts.push(`<rect x="${cardX}" y="${cardY}" width="${cardW}" height="${cardH}" rx="${24 * scale}" fill="${this.tokens.colors.cardBg}"/>`);
+  /**
+   * Serialize an attribute map, skipping undefined/null values
+   * Values are XML-escaped, so props can be passed through as is
+   * @private
+   * @param {Object} attrs - Attribute name/value pairs
+   * @returns {string} Attribute string with a leading space
+   */
+  _attrs(attrs) {
+    return Object.entries(attrs)
+      .filter(([, value]) => value !== undefined && value !== null && value !== false)
+      .map(([name, value]) => ` ${name}="${Escape.xmlAttr(value)}"`)
+      .join('');
+  }
 
-    // Content Area
-    const contentX = cardX + P;
-    let currentY = cardY + (32 * scale);
+  /**
+   * Common ARIA attributes of a node
+   * @private
+   * @param {SceneNode} node - Scene node
+   * @returns {Object} Attribute map
+   */
+  _a11yAttrs(node) {
+    return {
+      role: node.role,
+      'aria-label': node.label,
+      'aria-hidden': node.hidden ? 'true' : undefined
+    };
+  }
 
-    // Title
-    parts.push(`<text x="${contentX}" y="${currentY}" font-family="e-Ukraine, Inter, sans-serif" font-weight="bold" font-size="${18 * scale}" fill="#111827">${props.title || 'Завантаження документів'}</text>`);
+  /**
+   * Paint one scene node (recursively for containers)
+   * @private
+   * @param {SceneNode} node - Laid out, resolved node
+   * @param {Object} ctx - Render context
+   * @returns {string} SVG markup
+   */
+  _renderNode(node, ctx) {
+    const s = ctx.scale;
+    const x = this._num(node.x * s);
+    const y = this._num(node.y * s);
+    const w = this._num(node.width * s);
+    const h = this._num(node.height * s);
+    const len = (value) => (value === undefined ? undefined : this._num(value * s));
+    const strokeAttrs = () => ({
+      stroke: this._paint(node.stroke, ctx),
+      'stroke-width': len(node.strokeWidth),
+      'stroke-dasharray': node.dash ? node.dash.map(len).join(' ') : undefined,
+      'stroke-linecap': node.linecap,
+      'stroke-linejoin': node.linejoin
+    });
 
-    // Subtitle/Description
-    currentY += 24 * scale;
-    parts.push(`<text x="${contentX}" y="${currentY}" font-family="e-Ukraine, Inter, sans-serif" font-size="${14 * scale}" fill="#374151">${props.subtitle || props.description || 'Додайте необхідні документи'}</text>`);
+    switch (node.type) {
+      case 'frame':
+      case 'stack':
+      case 'group': {
+        const parts = [];
 
-    // Upload Zone
-    currentY += 32 * scale;
-    const zoneH = 120 * scale;
-    const zoneW = cardW - (P * 2);
+        if (node.type !== 'group' && (node.fill !== undefined || node.stroke !== undefined)) {
+          parts.push(`<rect${this._attrs({ x, y, width: w, height: h, rx: len(node.radius), fill: this._paint(node.fill, ctx), ...strokeAttrs(), filter: this._paint(node.filter, ctx) })}/>`);
+        }
 
-    // Dashed border rect
-    parts.push(`<rect x="${contentX}" y="${currentY}" width="${zoneW}" height="${zoneH}" rx="${16 * scale}" fill="#F5F8FA" stroke="#D1D5DB" stroke-width="${2 * scale}" stroke-dasharray="${8 * scale} ${8 * scale}"/>`);
+        node.children.forEach((child) => {
+          parts.push(this._renderNode(child, ctx));
+        });
+
+        const groupAttrs = {
+          opacity: node.opacity,
+          'clip-path': node.clip ? `url(#${this._clipPath(node.clip, ctx)})` : undefined,
+          ...this._a11yAttrs(node)
+        };
+        if (Object.values(groupAttrs).some((value) => value !== undefined)) {
+          return `<g${this._attrs(groupAttrs)}>${parts.join('')}</g>`;
+        }
+        return parts.join('');
+      }
 
-    // Upload Icon & Text (Centered in zone)
-    const centerX = contentX + (zoneW / 2);
-    const centerY = currentY + (zoneH / 2);
+      case 'rect':
+        return `<rect${this._attrs({
+          x: x || undefined,
+          y: y || undefined,
+          width: w,
+          height: h,
+          rx: len(node.radius),
+          fill: this._paint(node.fill, ctx),
+          ...strokeAttrs(),
+          opacity: node.opacity,
+          filter: this._paint(node.filter, ctx),
+          ...this._a11yAttrs(node)
+        })}/>`;
+
+      case 'circle':
+        return `<circle${this._attrs({
+          cx: this._num((node.x + node.width / 2) * s),
+          cy: this._num((node.y + node.height / 2) * s),
+          r: len(node.r),
+          fill: this._paint(node.fill, ctx),
+          ...strokeAttrs(),
+          opacity: node.opacity,
+          ...this._a11yAttrs(node)
+        })}/>`;
+
+      case 'text': {
+        const offset = node.anchor === 'middle' ? node.width / 2 : node.anchor === 'end' ? node.width : 0;
+        const tx = this._num((node.x + offset) * s);
+        const content = node.lines.length === 1
+          ? Escape.xmlText(node.lines[0])
+          : node.lines.map((line, i) => `<tspan${this._attrs({ x: tx, y: this._num((node.baseline + i * node.lineHeight) * s) })}>${Escape.xmlText(line)}</tspan>`).join('');
+        const a11y = this._a11yAttrs(node);
+        // Keep the full string available to assistive technologies when it was ellipsized
+        if (node.truncated && a11y['aria-label'] === undefined) {
+          a11y['aria-label'] = node.text;
+        }
+        return `<text${this._attrs({
+          x: tx,
+          y: this._num(node.baseline * s),
+          'text-anchor': node.anchor,
+          'font-family': node.fontFamily,
+          'font-weight': node.fontWeight,
+          'font-size': len(node.fontSize),
+          fill: this._paint(node.fill, ctx),
+          opacity: node.opacity,
+          ...a11y
+        })}>${content}</text>`;
+      }
 
-    // Arrow Icon (Simple path)
-    const arrowSize = 24 * scale;
-    const arrowY = centerY - (12 * scale);
+      case 'path':
+        return `<path${this._attrs({
+          d: this._transformPath(node.d, s, x, y),
+          fill: this._paint(node.fill, ctx),
+          ...strokeAttrs(),
+          opacity: node.opacity,
+          ...this._a11yAttrs(node)
+        })}/>`;
+
+      case 'image':
+        return `<image${this._attrs({
+          href: node.href,
+          x,
+          y,
+          width: w,
+          height: h,
+          preserveAspectRatio: node.fit,
+          opacity: node.opacity,
+          ...this._a11yAttrs(node)
+        })}/>`;
+
+      case 'qr': {
+        const background = node.background !== undefined
+          ? `<rect${this._attrs({ x, y, width: w, height: h, fill: this._paint(node.background, ctx) })}/>`
+          : '';
+        return background + this.generateVectorQR(x, y, node.size, s, this._paint(node.fill, ctx), node.data, node.ecLevel);
+      }
 
-    parts.push(`<path d="M${centerX} ${arrowY} L${centerX} ${arrowY + 12 * scale} M${centerX} ${arrowY} L${centerX - 4 * scale} ${arrowY + 4 * scale} M${centerX} ${arrowY} L${centerX + 4 * scale} ${arrowY + 4 * scale}" stroke="#67C3F3" stroke-width="${2 * scale}" stroke-linecap="round" stroke-linejoin="round"/>`);
+      case 'pattern': {
+        const pattern = this.generateSecurityPattern(w, h, s, node.kind);
+        return x || y ? `<g transform="translate(${x} ${y})">${pattern}</g>` : pattern;
+      }
 
-    // "Add File" Text
-    parts.push(`<text x="${centerX}" y="${centerY + 16 * scale}" text-anchor="middle" font-family="e-Ukraine, Inter, sans-serif" font-size="${16 * scale}" fill="#6B7280">${props.buttonText || 'Додати файл'}</text>`);
+      default:
+        return '';
+    }
+  }
 
-    // Bottom Button "Next"
-    const btnH = 56 * scale;
-    const btnY = cardY + cardH - btnH - P;
+  /**
+   * Register (once) a clip path matching the enclosing frame and return its ID
+   * @private
+   * @param {Object} clip - Scene clip box (x, y, width, height, radius, frame id)
+   * @param {Object} ctx - Render context
+   * @returns {string} Clip path ID
+   */
+  _clipPath(clip, ctx) {
+    const s = ctx.scale;
+    const id = `${clip.id || `frame-${ctx.defs.size}`}-clip`;
+    if (ctx.ids.has(id)) {
+      return ctx.ids.get(id);
+    }
+    return this._define(id, `<clipPath${this._attrs({ id })}><rect${this._attrs({
+      x: this._num(clip.x * s),
+      y: this._num(clip.y * s),
+      width: this._num(clip.width * s),
+      height: this._num(clip.height * s),
+      rx: clip.radius !== undefined ? this._num(clip.radius * s) : undefined
+    })}/></clipPath>`, ctx);
+  }
 
-    parts.push(`<rect x="${contentX}" y="${btnY}" width="${zoneW}" height="${btnH}" rx="${16 * scale}" fill="#000000"/>`);
-    parts.push(`<text x="${centerX}" y="${btnY + (btnH / 2) + (6 * scale)}" text-anchor="middle" font-family="e-Ukraine, Inter, sans-serif" font-weight="600" font-size="${18 * scale}" fill="#FFFFFF">Далі</text>`);
+  /**
+   * Register a definition under a document-unique ID
+   * @private
+   * @param {string} id - Schema-local ID
+   * @param {string} markup - Definition markup written with the local ID
+   * @param {Object} ctx - Render context
+   * @returns {string} Scoped ID
+   */
+  _define(id, markup, ctx) {
+    const scoped = SvgIds.scope(id, markup, ctx.idPrefix);
+    ctx.ids.set(id, scoped);
+    ctx.defs.set(scoped, markup.replace(`id="${Escape.xmlAttr(id)}"`, `id="${Escape.xmlAttr(scoped)}"`));
+    return scoped;
+  }
 
-    parts.push(`</svg>`);
-    return parts.join('');
+  /**
+   * Render a gradient or filter definition
+   * @private
+   * @param {Object} def - Resolved definition from scene.defs
+   * @param {Object} ctx - Render context
+   * @returns {string} SVG definition markup
+   */
+  _renderDef(def, ctx) {
+    const s = ctx.scale;
+    switch (def.type) {
+      case 'hologram':
+        return this.generateHologramGradient(def.id, this.tiltX * 0.5, this.tiltY * 0.5);
+      case 'dropShadow':
+        return `<filter${this._attrs({ id: def.id })}><feDropShadow${this._attrs({
+          dx: this._num((def.dx || 0) * s),
+          dy: this._num((def.dy || 0) * s),
+          stdDeviation: this._num((def.blur || 0) * s),
+          'flood-color': this._paint(def.color, ctx),
+          'flood-opacity': def.opacity
+        })}/></filter>`;
+      case 'linearGradient': {
+        const stops = def.stops.map((stop) => `<stop${this._attrs({
+          offset: stop.offset,
+          'stop-color': this._paint(stop.color, ctx),
+          'stop-opacity': stop.opacity
+        })}/>`);
+        return `<linearGradient${this._attrs({ id: def.id, x1: def.x1, y1: def.y1, x2: def.x2, y2: def.y2 })}>${stops.join('')}</linearGradient>`;
+      }
+      default:
+        return '';
+    }
   }
 
   /**
-   * Smart render method - chooses appropriate renderer based on props
-   * @param {Object} [props={}] - Component properties
-   * @param {number} [scale=1] - Scale multiplier
-   * @returns {string} SVG markup
+   * Scale and translate SVG path data
+   * Absolute commands are offset by (dx, dy); relative commands are only scaled
+   * 
+   * @private
+   * @param {string} d - Path data in design units
+   * @param {number} scale - Scale multiplier
+   * @param {number} dx - Horizontal offset (already scaled)
+   * @param {number} dy - Vertical offset (already scaled)
+   * @returns {string} Transformed path data
    */
-  render(props = {}, scale = 1) {
-    // Heuristic: If props contain 'buttonText' or 'subtitle', it's likely the Upload Screen
-    if (props.buttonText || props.subtitle || props.description) {
-      return this.renderUploadScreen(props, scale);
+  _transformPath(d, scale, dx, dy) {
+    const segments = [];
+    const commandRegex = /([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+    let match;
+
+    while ((match = commandRegex.exec(d)) !== null) {
+      const command = match[1];
+      const args = (match[2].match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+      const absolute = command === command.toUpperCase();
+      const ox = absolute ? dx : 0;
+      const oy = absolute ? dy : 0;
+
+      const mapped = args.map((value, i) => {
+        switch (command.toUpperCase()) {
+          case 'H':
+            return value * scale + ox;
+          case 'V':
+            return value * scale + oy;
+          case 'A': {
+            const k = i % 7;
+            if (k === 2 || k === 3 || k === 4) return value; // rotation and flags
+            if (k === 5) return value * scale + ox;
+            if (k === 6) return value * scale + oy;
+            return value * scale; // radii
+          }
+          default:
+            return value * scale + (i % 2 === 0 ? ox : oy);
+        }
+      });
+
+      segments.push(command + mapped.map((value) => this._num(value)).join(' '));
     }
-    // Default to ID Card
-    return this.renderDiiaIDCard(props, scale);
+
+    return segments.join(' ');
   }
 
   /**
@@ -527,7 +883,7 @@ class VectorRenderer {
    */
   getPayloadSize(props = {}, scale = 1) {
     const output = this.renderDiiaIDCard(props, scale);
-    return new Blob([output]).size;
+    return new TextEncoder().encode(output).length;
   }
 
   /**
@@ -547,58 +903,26 @@ class VectorRenderer {
    * 
    * @param {Object} props - Screen properties
    * @param {number} [scale=1] - Scale multiplier
+   * @param {ScreenSchemaDocument} [schema] - Screen whose `semantic` nodes are exported (upload screen by default)
    * @returns {Array} Array of semantic element objects
    */
-  generateA11yLayer(props = {}, scale = 1) {
-    const width = this.tokens.canvas.width * scale;
-    const P = this.tokens.spacing.md * scale;
-    const cardX = 8 * scale;
-    const cardY = 16 * scale;
-    const cardW = width - (16 * scale);
-    const cardH = (this.tokens.canvas.height * scale) - (32 * scale);
-    const contentX = cardX + P;
-
+  generateA11yLayer(props = {}, scale = 1, schema = this._getTemplate('upload-screen')) {
+    const scene = this.buildScene(schema, props || {});
     const elements = [];
 
-    // Title (h1) - Main heading
-    elements.push({
-      type: 'h1',
-      text: props.title || 'Завантаження документів',
-      bounds: { x: contentX, y: cardY + (32 * scale), w: cardW - (P * 2), h: 24 * scale },
-      ariaLabel: props.title || 'Заголовок екрану завантаження документів'
-    });
-
-    // Description (p)
-    elements.push({
-      type: 'p',
-      text: props.subtitle || props.description || 'Додайте необхідні документи',
-      bounds: { x: contentX, y: cardY + (56 * scale), w: cardW - (P * 2), h: 24 * scale },
-      ariaLabel: null
-    });
-
-    // Upload Zone (button)
-    const zoneY = cardY + (88 * scale);
-    const zoneH = 120 * scale;
-    const zoneW = cardW - (P * 2);
-
-    elements.push({
-      type: 'button',
-      label: props.buttonText || 'Додати файл',
-      bounds: { x: contentX, y: zoneY, w: zoneW, h: zoneH },
-      role: 'button',
-      ariaLabel: 'Натисніть або перетягніть файл для завантаження документа'
-    });
-
-    // Next Button (button)
-    const btnH = 56 * scale;
-    const btnY = cardY + cardH - btnH - P;
-
-    elements.push({
-      type: 'button',
-      label: 'Далі',
-      bounds: { x: contentX, y: btnY, w: zoneW, h: btnH },
-      role: 'button',
-      ariaLabel: 'Перейти до наступного кроку'
+    // Semantic nodes keep the bounds the layout engine gave them
+    SceneGraph.walk(scene, (node) => {
+      const { semantic } = node;
+      if (semantic) {
+        const bounds = { x: node.x * scale, y: node.y * scale, w: node.width * scale, h: node.height * scale };
+        const ariaLabel = semantic.label !== undefined ? semantic.label : null;
+
+        if (semantic.type === 'button') {
+          elements.push({ type: 'button', label: semantic.text, bounds, role: 'button', ariaLabel });
+        } else {
+          elements.push({ type: semantic.type, text: semantic.text, bounds, ariaLabel });
+        }
+      }
     });
 
     return elements;
@@ -625,13 +949,15 @@ class VectorRenderer {
         z-index: 10;
       `.replace(/\s+/g, ' ').trim();
 
+      const label = el.ariaLabel ? ` aria-label="${Escape.xmlAttr(el.ariaLabel)}"` : '';
+
       switch (el.type) {
         case 'h1':
-          return `<h1 style="${style}" aria-label="${el.ariaLabel}">${el.text}</h1>`;
+          return `<h1 style="${style}"${label}>${Escape.xmlText(el.text)}</h1>`;
         case 'p':
-          return `<p style="${style}">${el.text}</p>`;
+          return `<p style="${style}">${Escape.xmlText(el.text)}</p>`;
         case 'button':
-          return `<button style="${style}" aria-label="${el.ariaLabel}" role="${el.role}">${el.label}</button>`;
+          return `<button style="${style}"${label} role="${Escape.xmlAttr(el.role)}">${Escape.xmlText(el.label)}</button>`;
         default:
           return '';
       }
@@ -674,7 +1000,7 @@ class VectorRenderer {
       return svg;
     }
 
-    const a11yElements = this.generateA11yLayer(props, scale);
+    const a11yElements = this.generateA11yLayer(props, scale, this._templateFor(props));
     const a11yHTML = this.renderA11yHTML(a11yElements, scale);
     const combined = this.wrapWithA11y(svg, a11yHTML);
 
@@ -690,4 +1016,6 @@ class VectorRenderer {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VectorRenderer;
 }
-window.VectorRenderer = VectorRenderer;
+if (typeof window !== 'undefined') {
+  window.VectorRenderer = VectorRenderer;
+}
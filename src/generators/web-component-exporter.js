@@ -0,0 +1,281 @@
+/**
+ * Web Component Exporter - Rendered screen to a standalone custom element
+ *
+ * Wraps the vector SVG and its accessibility layer (VectorRenderer.wrapWithA11y)
+ * in an ES module defining `<diia-...>` for pages without React or Vector Logic:
+ *   - the markup is stamped into an open Shadow DOM, so its styles and IDs
+ *     stay inside the element
+ *   - each declared prop is an attribute (`button-text`) reflected to a
+ *     property (`buttonText`); changing either updates the bound SVG text and
+ *     the semantic element that reads it
+ *   - semantic buttons dispatch a composed CustomEvent named after their
+ *     node ID (`upload-zone`, `next-button`) with the current props
+ *
+ * Geometry is the layout for the exported props. Bound text with a line limit
+ * re-wraps inside its box with the browser's own text metrics; other bound
+ * text stays on one line.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/vector-renderer.js for the markup
+ */
+
+/* global SceneGraph, Escape */
+
+/**
+ * Semantic types VectorRenderer.renderA11yHTML draws an element for
+ * @const {string[]}
+ */
+const WEB_COMPONENT_SEMANTIC_TYPES = ['h1', 'p', 'button'];
+
+/**
+ * Runtime of the generated module: template filling, text wrapping and the
+ * element class body (the data tables and class name are prepended)
+ * @const {string}
+ */
+const WEB_COMPONENT_RUNTIME = `const fill = (text, props) => text.replace(/\\{\\{\\s*([\\w.]+)\\s*\\}\\}/g, (_, name) => (props[name] == null ? '' : String(props[name])));
+
+let context;
+
+/** Greedy wrap at spaces with canvas metrics, ellipsized past maxLines */
+function wrap(text, width, maxLines, font) {
+  if (context === undefined) {
+    context = document.createElement('canvas').getContext('2d');
+  }
+  if (!context) {
+    return { lines: [text], truncated: false };
+  }
+  context.font = font;
+  const fits = (line) => context.measureText(line).width <= width;
+  const lines = [];
+  text.split('\\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      const next = line ? \`\${line} \${word}\` : word;
+      if (!line || fits(next)) {
+        line = next;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  if (lines.length <= maxLines) {
+    return { lines, truncated: false };
+  }
+  let last = lines[maxLines - 1];
+  while (last && !fits(\`\${last}…\`)) last = last.slice(0, -1);
+  return { lines: [...lines.slice(0, maxLines - 1), \`\${last.trimEnd()}…\`], truncated: true };
+}`;
+
+/**
+ * Attribute name for a prop ("buttonText" -> "button-text", "user.name" -> "user-name")
+ * @private
+ * @param {string} prop - Prop name
+ * @returns {string} Attribute name
+ */
+function webComponentAttribute(prop) {
+  return String(prop).replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`).replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Property name for a prop ("user.name" -> "userName")
+ * @private
+ * @param {string} prop - Prop name
+ * @returns {string} Identifier
+ */
+function webComponentProperty(prop) {
+  const words = String(prop).split(/[^a-z0-9]+/i).filter(Boolean);
+  const identifier = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+  return /^[a-z_$]/i.test(identifier) ? identifier : `_${identifier}`;
+}
+
+const WebComponentExporter = Object.freeze({
+  /**
+   * Generate an ES module defining a custom element for a rendered screen
+   *
+   * @param {Scene} scene - Scene graph the markup was rendered from (SceneGraph.build)
+   * @param {Object} options - Export options
+   * @param {string} options.markup - SVG and accessibility layer (VectorRenderer.wrapWithA11y)
+   * @param {string} [options.name] - Class name (default from the scene name)
+   * @param {string} [options.tag] - Element name (default "diia-" + the scene name)
+   * @throws {TypeError} If the markup is missing or the tag is not a valid custom element name
+   * @returns {string} JavaScript module source
+   * @example
+   * const svg = renderer.renderSchema('upload-screen');
+   * const a11y = renderer.renderA11yHTML(renderer.generateA11yLayer({}, 1, 'upload-screen'));
+   * WebComponentExporter.fromScene(SceneGraph.build('upload-screen'), { markup: renderer.wrapWithA11y(svg, a11y) });
+   * // ... customElements.define('diia-upload-screen', DiiaUploadScreen);
+   */
+  fromScene(scene, options = {}) {
+    if (typeof options.markup !== 'string') {
+      throw new TypeError('Expected the rendered screen markup (options.markup)');
+    }
+    const base = String(scene.name || 'screen').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+    const tag = options.tag || (base.startsWith('diia-') ? base : `diia-${base}`);
+    if (!/^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(tag)) {
+      throw new TypeError(`"${tag}" is not a valid custom element name`);
+    }
+    const name = options.name || tag.split('-').map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+
+    const props = new Map(Object.entries(scene.props || {}));
+    const use = (template) => {
+      [...template.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].forEach(([, prop]) => {
+        if (!props.has(prop)) props.set(prop, '');
+      });
+      return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, prop) => `{{${webComponentProperty(prop)}}}`);
+    };
+
+    // Nodes are found again by their position: the renderer draws one <text>
+    // per text node and one element per semantic node, in scene order
+    const texts = [];
+    const semantics = [];
+    const actions = [];
+    let textIndex = 0;
+    let semanticIndex = 0;
+    SceneGraph.walk(scene, (node) => {
+      const bindings = node.bindings || {};
+      if (node.type === 'text') {
+        if (bindings.text) {
+          const offset = node.anchor === 'middle' ? node.width / 2 : node.anchor === 'end' ? node.width : 0;
+          texts.push({
+            index: textIndex,
+            text: use(bindings.text),
+            x: Math.round((node.x + offset) * 100) / 100,
+            baseline: node.baseline,
+            lineHeight: node.lineHeight,
+            ...(node.maxLines ? {
+              width: node.width,
+              maxLines: node.maxLines,
+              font: `${node.fontWeight || 'normal'} ${node.fontSize}px ${node.fontFamily}`
+            } : {})
+          });
+        }
+        textIndex++;
+      }
+      if (node.semantic && WEB_COMPONENT_SEMANTIC_TYPES.includes(node.semantic.type)) {
+        if (bindings.semanticText || bindings.semanticLabel) {
+          semantics.push({
+            index: semanticIndex,
+            ...(bindings.semanticText ? { text: use(bindings.semanticText) } : {}),
+            ...(bindings.semanticLabel ? { label: use(bindings.semanticLabel) } : {})
+          });
+        }
+        if (node.semantic.type === 'button') {
+          actions.push({ index: semanticIndex, event: node.id || `button-${actions.length + 1}` });
+        }
+        semanticIndex++;
+      }
+    });
+
+    const attributes = Object.fromEntries([...props.keys()].map((prop) => [webComponentAttribute(prop), webComponentProperty(prop)]));
+    const defaults = Object.fromEntries([...props].map(([prop, value]) => [webComponentProperty(prop), value === undefined || value === null ? '' : String(value)]));
+    const json = (value) => JSON.stringify(value, null, 2);
+    const events = actions.map((action) => action.event);
+
+    return `// <${tag}>: the "${Escape.jsString(scene.name || 'screen')}" screen as a custom element, generated by Vector Logic
+// Attributes: ${Object.keys(attributes).join(', ') || 'none'}
+// Events: ${events.join(', ') || 'none'} (CustomEvent, detail: { props })
+
+/** Attribute name -> property name */
+const ATTRIBUTES = ${json(attributes)};
+
+/** Prop values the markup was rendered with */
+const DEFAULTS = ${json(defaults)};
+
+/** Prop-bound <text> elements, by position */
+const TEXTS = ${json(texts)};
+
+/** Prop-bound semantic elements, by position */
+const SEMANTICS = ${json(semantics)};
+
+/** Semantic buttons and the event each dispatches */
+const ACTIONS = ${json(actions)};
+
+const template = document.createElement('template');
+template.innerHTML = \`<style>:host { display: inline-block; } .vector-semantic button { cursor: pointer; }</style>${Escape.jsString(options.markup)}\`;
+
+${WEB_COMPONENT_RUNTIME}
+
+export class ${name} extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(ATTRIBUTES);
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' }).appendChild(template.content.cloneNode(true));
+    const semantic = this.shadowRoot.querySelector('.vector-semantic').children;
+    ACTIONS.forEach(({ index, event }) => {
+      semantic[index].addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent(event, { bubbles: true, composed: true, detail: { props: this.props } }));
+      });
+    });
+  }
+
+  /** Current prop values: attributes over the defaults */
+  get props() {
+    return Object.fromEntries(Object.entries(ATTRIBUTES).map(([attribute, prop]) => [prop, this.hasAttribute(attribute) ? this.getAttribute(attribute) : DEFAULTS[prop]]));
+  }
+
+  attributeChangedCallback() {
+    this.update();
+  }
+
+  /** Redraw prop-bound text and semantics */
+  update() {
+    const { props } = this;
+    const texts = this.shadowRoot.querySelectorAll('svg text');
+    TEXTS.forEach(({ index, text, x, baseline, lineHeight, width, maxLines, font }) => {
+      const node = texts[index];
+      const value = fill(text, props);
+      const { lines } = maxLines ? wrap(value, width, maxLines, font) : { lines: [value] };
+      node.textContent = lines.length === 1 ? lines[0] : '';
+      if (lines.length > 1) {
+        lines.forEach((line, i) => {
+          const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+          tspan.setAttribute('x', x);
+          tspan.setAttribute('y', Math.round((baseline + i * lineHeight) * 100) / 100);
+          tspan.textContent = line;
+          node.appendChild(tspan);
+        });
+      }
+    });
+    const semantic = this.shadowRoot.querySelector('.vector-semantic').children;
+    SEMANTICS.forEach(({ index, text, label }) => {
+      if (text !== undefined) semantic[index].textContent = fill(text, props);
+      if (label !== undefined) semantic[index].setAttribute('aria-label', fill(label, props));
+    });
+  }
+}
+
+// Properties reflect to attributes
+Object.entries(ATTRIBUTES).forEach(([attribute, prop]) => {
+  Object.defineProperty(${name}.prototype, prop, {
+    get() {
+      return this.props[prop];
+    },
+    set(value) {
+      this.setAttribute(attribute, value);
+    },
+    configurable: true
+  });
+});
+
+if (!customElements.get('${tag}')) {
+  customElements.define('${tag}', ${name});
+}
+
+export default ${name};
+`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebComponentExporter;
+}
+if (typeof window !== 'undefined') {
+  window.WebComponentExporter = WebComponentExporter;
+}
@@ -0,0 +1,119 @@
+/**
+ * Vector Logic - Node.js ES module entry point
+ *
+ * The engines are classic scripts that find each other through the page's
+ * shared global scope (see the <script> order in index.html). This entry loads
+ * them in the same order, handing each script the exports of the ones before
+ * it as its globals (see script-loader.mjs), so they run in Node without a
+ * browser window and without touching the importer's globalThis: build
+ * scripts and server-side rendering import everything from here.
+ *
+ * Node has no canvas: CanvasRenderer needs an OffscreenCanvas polyfill or a
+ * 2D context passed in.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @example
+ * import { VectorRenderer } from './src/index.mjs';
+ * const svg = new VectorRenderer().renderDocument('diia-passport', { lastName: 'КОСАЧ' });
+ */
+
+import { loadScript } from './script-loader.mjs';
+
+/**
+ * Scripts in dependency order, with the global name of their export
+ * (no name: the script exports an object of named values)
+ * @const {Array<[string, string]>}
+ */
+const SCRIPTS = [
+  ['./utils/qr-encoder.js', 'QREncoder'],
+  ['./utils/svg-ids.js', 'SvgIds'],
+  ['./utils/escape.js', 'Escape'],
+  ['./utils/svg-tree.js', 'SvgTree'],
+  ['./utils/token-estimator.js', 'TokenEstimator'],
+  ['./utils/zip-writer.js', 'ZipWriter'],
+  ['./utils/pattern-detector.js', 'PatternDetector'],
+  ['./theme/diia-tokens.js'],
+  ['./generators/screen-schema.js', 'ScreenSchema'],
+  ['./generators/font-metrics.js', 'FONT_METRICS'],
+  ['./generators/font-glyphs.js', 'FONT_GLYPHS'],
+  ['./generators/text-layout.js', 'TextLayout'],
+  ['./generators/layout-engine.js', 'LayoutEngine'],
+  ['./generators/scene-graph.js', 'SceneGraph'],
+  ['./screens/document-card.js', 'DocumentCard'],
+  ['./screens/upload-screen.js', 'UPLOAD_SCREEN_SCHEMA'],
+  ['./screens/diia-id-card.js', 'DIIA_ID_CARD_SCHEMA'],
+  ['./screens/diia-passport.js', 'DIIA_PASSPORT_SCHEMA'],
+  ['./screens/diia-tax-id.js', 'DIIA_TAX_ID_SCHEMA'],
+  ['./screens/diia-fop-extract.js', 'DIIA_FOP_EXTRACT_SCHEMA'],
+  ['./screens/diia-student-card.js', 'DIIA_STUDENT_CARD_SCHEMA'],
+  ['./generators/vector-renderer.js', 'VectorRenderer'],
+  ['./generators/canvas-renderer.js', 'CanvasRenderer'],
+  ['./generators/formula-dsl.js', 'FormulaDSL'],
+  ['./generators/dom-renderer.js', 'DomRenderer'],
+  ['./generators/figma-simulator.js', 'FigmaSimulator'],
+  ['./generators/react-native-exporter.js', 'ReactNativeExporter'],
+  ['./generators/swiftui-exporter.js', 'SwiftUIExporter'],
+  ['./generators/compose-exporter.js', 'ComposeExporter'],
+  ['./generators/vector-drawable-exporter.js', 'VectorDrawableExporter'],
+  ['./generators/flutter-exporter.js', 'FlutterExporter'],
+  ['./generators/pdf-writer.js', 'PDFWriter'],
+  ['./generators/web-component-exporter.js', 'WebComponentExporter'],
+  ['./generators/lottie-exporter.js', 'LottieExporter'],
+  ['./generators/export-verifier.js', 'ExportVerifier'],
+  ['./generators/optimizer-engine.js'],
+  ['./export-engine.js', 'ExportEngine']
+];
+
+const modules = {};
+SCRIPTS.forEach(([path, name]) => {
+  // Later scripts resolve their dependencies as globals, like in the browser
+  const exported = loadScript(path, modules);
+  Object.assign(modules, name ? { [name]: exported } : exported);
+});
+
+export const {
+  QREncoder,
+  SvgIds,
+  Escape,
+  SvgTree,
+  TokenEstimator,
+  ZipWriter,
+  PatternDetector,
+  DIIA_TOKENS,
+  DIIA_THEMES,
+  DiiaTokens,
+  getDiiaCSSVariables,
+  ScreenSchema,
+  FONT_METRICS,
+  FONT_GLYPHS,
+  TextLayout,
+  LayoutEngine,
+  SceneGraph,
+  DocumentCard,
+  UPLOAD_SCREEN_SCHEMA,
+  DIIA_ID_CARD_SCHEMA,
+  DIIA_PASSPORT_SCHEMA,
+  DIIA_TAX_ID_SCHEMA,
+  DIIA_FOP_EXTRACT_SCHEMA,
+  DIIA_STUDENT_CARD_SCHEMA,
+  VectorRenderer,
+  CanvasRenderer,
+  FormulaDSL,
+  DomRenderer,
+  FigmaSimulator,
+  ReactNativeExporter,
+  SwiftUIExporter,
+  ComposeExporter,
+  VectorDrawableExporter,
+  FlutterExporter,
+  PDFWriter,
+  WebComponentExporter,
+  LottieExporter,
+  ExportVerifier,
+  OptimizerEngine,
+  ExportEngine
+} = modules;
+
+export default modules;
@@ -0,0 +1,370 @@
+/**
+ * Vector Logic MCP Server - Model Context Protocol over stdio
+ *
+ * Exposes the engines as MCP tools so an agent can render, validate, optimize
+ * and export Diia screens without a browser. JSON-RPC 2.0 messages, one per
+ * line on stdin/stdout (the MCP stdio transport); nothing else is written to
+ * stdout.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see https://modelcontextprotocol.io/specification
+ * @example
+ * // mcp.json
+ * { "mcpServers": { "vector-logic": { "command": "node", "args": ["bin/vector-logic-mcp.mjs"] } } }
+ */
+
+import { createInterface } from 'node:readline';
+import {
+  VectorRenderer, ExportEngine, OptimizerEngine, TokenEstimator, ScreenSchema, DiiaTokens
+} from './index.mjs';
+
+/**
+ * Protocol revisions this server speaks, newest first
+ * @const {string[]}
+ */
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * JSON-RPC error codes
+ * @const {Object<string, number>}
+ */
+const RPC_ERRORS = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+});
+
+const THEME_SCHEMA = { type: 'string', enum: [...DiiaTokens.themes], description: 'Color theme' };
+const PROPS_SCHEMA = { type: 'object', description: 'Screen props (see list_screens)', additionalProperties: true };
+
+/**
+ * A protocol-level failure, answered as a JSON-RPC error
+ * @private
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Tool definitions: MCP metadata plus a handler returning a tool result
+ * @private
+ * @const {Array<Object>}
+ */
+const TOOLS = [
+  {
+    name: 'render_screen',
+    description: 'Render a Diia screen to SVG. "schema" is a template name from list_screens or a full screen schema document; invalid schemas return the validation error.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        schema: { type: ['string', 'object'], description: 'Template name or screen schema document' },
+        props: PROPS_SCHEMA,
+        scale: { type: 'number', minimum: 0.1, maximum: 10, default: 1 },
+        theme: THEME_SCHEMA
+      },
+      required: ['schema']
+    },
+    handler({ schema, props = {}, scale = 1, theme }) {
+      const doc = typeof schema === 'string' ? ScreenSchema.get(schema) : schema;
+      if (!doc) {
+        throw new ReferenceError(`Unknown screen template "${schema}", see list_screens`);
+      }
+      const renderer = new VectorRenderer({ theme });
+      const svg = renderer.render(doc, scale, props);
+      const { width, height } = renderer.buildScene(doc, props);
+      return {
+        content: [{ type: 'text', text: svg }],
+        structuredContent: {
+          name: doc.name,
+          width: width * scale,
+          height: height * scale,
+          bytes: new TextEncoder().encode(svg).length
+        }
+      };
+    }
+  },
+  {
+    name: 'list_screens',
+    description: 'List the registered screen templates with their props and defaults.',
+    inputSchema: { type: 'object', properties: {} },
+    handler() {
+      const screens = ScreenSchema.list().map((name) => {
+        const doc = ScreenSchema.get(name);
+        return { name, label: doc.label, props: doc.props || {} };
+      });
+      return json({ screens });
+    }
+  },
+  {
+    name: 'list_tokens',
+    description: 'Design tokens of a theme (colors, spacing, type scale, radii, card sizes). Pass "path" (e.g. "colors" or "spacing.md") for a subtree; schemas reference tokens as "$path".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        theme: THEME_SCHEMA,
+        path: { type: 'string', description: 'Dotted token path' }
+      }
+    },
+    handler({ theme = 'light', path }) {
+      const tokens = DiiaTokens.resolve(theme);
+      return json(path ? { path, value: ScreenSchema.resolveToken(path, tokens) } : tokens);
+    }
+  },
+  {
+    name: 'optimize_svg',
+    description: 'Optimize a design tool SVG export (Figma, Sketch, Adobe) into Vector Logic and report size, AI score and token savings.',
+    inputSchema: {
+      type: 'object',
+      properties: { svg: { type: 'string', description: 'SVG or HTML markup' } },
+      required: ['svg']
+    },
+    handler({ svg }) {
+      const analysis = new OptimizerEngine().analyze(svg);
+      return {
+        content: [{ type: 'text', text: analysis.optimized }],
+        structuredContent: { format: analysis.format, stats: analysis.stats, suggestions: analysis.suggestions }
+      };
+    }
+  },
+  {
+    name: 'estimate_tokens',
+    description: 'Estimate LLM tokens and API cost of a text for several models.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        model: { type: 'string', description: 'Only this model (e.g. "claude", "gpt-4")' }
+      },
+      required: ['text']
+    },
+    handler({ text, model }) {
+      const breakdown = new TokenEstimator().getBreakdown(text);
+      if (model !== undefined) {
+        if (!breakdown.models[model]) {
+          throw new RangeError(`Unknown model "${model}", expected one of: ${Object.keys(breakdown.models).join(', ')}`);
+        }
+        breakdown.models = { [model]: breakdown.models[model] };
+      }
+      return json(breakdown);
+    }
+  },
+  {
+    name: 'export_component',
+    description: 'Export the upload screen as native code: React Native, SwiftUI, Jetpack Compose, Android VectorDrawable, Flutter, PDF, EPS, a Web Component or a Lottie animation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        target: { type: 'string', enum: Object.keys(ExportEngine.TARGETS) },
+        props: PROPS_SCHEMA,
+        theme: THEME_SCHEMA
+      },
+      required: ['target']
+    },
+    handler({ target, props = {}, theme }) {
+      const engine = new ExportEngine();
+      engine.setVectorRenderer(new VectorRenderer({ theme }));
+      const code = engine[ExportEngine.TARGETS[target]](props);
+      return {
+        content: [{ type: 'text', text: code }],
+        structuredContent: { target, bytes: new TextEncoder().encode(code).length }
+      };
+    }
+  }
+];
+
+/**
+ * Tool result carrying a JSON value (text for older clients, structured for newer)
+ * @private
+ * @param {Object} value - Result value
+ * @returns {Object} MCP tool result
+ */
+function json(value) {
+  return { content: [{ type: 'text', text: JSON.stringify(value, null, 2) }], structuredContent: value };
+}
+
+/**
+ * Check tool arguments against the required/type/enum/minimum/maximum parts of its input schema
+ * @private
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Call arguments
+ * @throws {RpcError} INVALID_PARAMS on mismatch
+ * @returns {void}
+ */
+function checkArguments(tool, args) {
+  const { properties = {}, required = [] } = tool.inputSchema;
+  required.forEach((name) => {
+    if (args[name] === undefined) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${tool.name}: missing argument "${name}"`);
+    }
+  });
+  Object.entries(args).forEach(([name, value]) => {
+    const schema = properties[name];
+    if (!schema) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${tool.name}: unknown argument "${name}"`);
+    }
+    const types = [].concat(schema.type);
+    const type = value === null ? 'null' : typeof value;
+    if (!types.includes(type)) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${tool.name}: "${name}" must be ${types.join(' or ')}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${tool.name}: "${name}" must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${tool.name}: "${name}" must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${tool.name}: "${name}" must be at most ${schema.maximum}`);
+    }
+  });
+}
+
+/**
+ * MCP server: routes JSON-RPC messages to the tools
+ *
+ * @class
+ * @example
+ * const server = new McpServer();
+ * await server.listen(process.stdin, process.stdout);
+ */
+export class McpServer {
+  /**
+   * Creates a new McpServer instance
+   * @constructor
+   * @param {Object} [options={}] - Server options
+   * @param {string} [options.name='vector-logic'] - Server name reported on initialize
+   * @param {string} [options.version='1.0.0'] - Server version reported on initialize
+   */
+  constructor(options = {}) {
+    this.info = { name: options.name || 'vector-logic', version: options.version || '1.0.0' };
+    this.tools = new Map(TOOLS.map((tool) => [tool.name, tool]));
+    this.protocolVersion = null;
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   *
+   * @param {Object} message - Parsed JSON-RPC request or notification
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handle(message) {
+    const id = message && message.id !== undefined ? message.id : null;
+    try {
+      if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        throw new RpcError(RPC_ERRORS.INVALID_REQUEST, 'Expected a JSON-RPC 2.0 request');
+      }
+      const result = await this._dispatch(message.method, message.params || {});
+      return message.id === undefined ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      if (message && message.id === undefined && message.jsonrpc === '2.0') {
+        // Notifications never get a response, not even an error
+        return null;
+      }
+      const code = error instanceof RpcError ? error.code : RPC_ERRORS.INTERNAL_ERROR;
+      return { jsonrpc: '2.0', id, error: { code, message: error.message } };
+    }
+  }
+
+  /**
+   * Handle one line of the stdio transport
+   *
+   * @param {string} line - Raw JSON text
+   * @returns {Promise<Object|null>} Response, or null if nothing is to be sent
+   */
+  async handleLine(line) {
+    if (!line.trim()) {
+      return null;
+    }
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: `Parse error: ${error.message}` } };
+    }
+    return this.handle(message);
+  }
+
+  /**
+   * Serve newline-delimited JSON-RPC until the input ends
+   *
+   * @param {NodeJS.ReadableStream} input - Usually process.stdin
+   * @param {NodeJS.WritableStream} output - Usually process.stdout
+   * @returns {Promise<void>} Resolves when the input closes
+   */
+  async listen(input, output) {
+    const lines = createInterface({ input, crlfDelay: Infinity });
+    // Sequential: responses leave in request order
+    for await (const line of lines) {
+      const response = await this.handleLine(line);
+      if (response) {
+        output.write(`${JSON.stringify(response)}\n`);
+      }
+    }
+  }
+
+  /**
+   * Route a method to its implementation
+   * @private
+   * @param {string} method - JSON-RPC method
+   * @param {Object} params - Method params
+   * @returns {Promise<Object>} Method result
+   */
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        this.protocolVersion = PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0];
+        return {
+          protocolVersion: this.protocolVersion,
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: this.info,
+          instructions: 'Render Diia screens from templates or screen schema JSON (list_screens, list_tokens, render_screen), then optimize, estimate tokens or export them.'
+        };
+      }
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return {};
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: [...this.tools.values()].map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+        };
+      case 'tools/call':
+        return this._callTool(params.name, params.arguments || {});
+      default:
+        throw new RpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Run a tool; engine errors become tool results with isError so the agent can fix its input
+   * @private
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} MCP tool result
+   * @throws {RpcError} For unknown tools and malformed arguments
+   */
+  async _callTool(name, args) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `${name}: arguments must be an object`);
+    }
+    checkArguments(tool, args);
+    try {
+      return await tool.handler(args);
+    } catch (error) {
+      return { content: [{ type: 'text', text: `${error.name}: ${error.message}` }], isError: true };
+    }
+  }
+}
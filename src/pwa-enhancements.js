@@ -2,6 +2,8 @@
  * PWA Enhancements - Responsive, Accessible, Hybrid rendering
  */
 
+/* global QREncoder, Escape, DiiaTokens */
+
 class PWAEnhancements {
   constructor() {
     this.theme = localStorage.getItem('theme') || 'dark';
@@ -44,25 +46,47 @@ class PWAEnhancements {
   }
 
   applyTheme() {
+    this.applyThemeColors();
+    document.body.classList.toggle('light-mode', this.theme === 'light');
+    document.body.classList.toggle('dark-mode', this.theme !== 'light');
+
+    this.notifyThemeChange();
+  }
+
+  /**
+   * Copy the render theme's design tokens into the page's CSS variables
+   */
+  applyThemeColors() {
     const root = document.documentElement;
-    
-    if (this.theme === 'light') {
-      root.style.setProperty('--diia-bg', '#ffffff');
-      root.style.setProperty('--diia-bg-card', '#f5f5f5');
-      root.style.setProperty('--diia-text', '#000000');
-      root.style.setProperty('--diia-text-secondary', '#666666');
-      root.style.setProperty('--diia-border', '#e0e0e0');
-      document.body.classList.add('light-mode');
-      document.body.classList.remove('dark-mode');
-    } else {
-      root.style.setProperty('--diia-bg', '#0a0e27');
-      root.style.setProperty('--diia-bg-card', '#1a1f3a');
-      root.style.setProperty('--diia-text', '#ffffff');
-      root.style.setProperty('--diia-text-secondary', '#a1a1aa');
-      root.style.setProperty('--diia-border', '#27272a');
-      document.body.classList.add('dark-mode');
-      document.body.classList.remove('light-mode');
-    }
+    const { colors } = DiiaTokens.resolve(this.getRenderTheme());
+
+    root.style.setProperty('--diia-bg', colors.background);
+    root.style.setProperty('--diia-bg-card', colors.cardBg);
+    root.style.setProperty('--diia-text', colors.text);
+    root.style.setProperty('--diia-text-secondary', colors.textSecondary);
+    root.style.setProperty('--diia-border', colors.border);
+    root.style.setProperty('--diia-primary', colors.primary);
+    root.style.setProperty('--diia-success', colors.success);
+    root.style.setProperty('--diia-error', colors.error);
+  }
+
+  /**
+   * Theme for vector screens: high contrast wins over light/dark
+   * @returns {'light'|'dark'|'high-contrast'} VectorRenderer theme name
+   */
+  getRenderTheme() {
+    if (this.accessibility === 'high-contrast') return 'high-contrast';
+    return this.theme === 'light' ? 'light' : 'dark';
+  }
+
+  /**
+   * Let renderers follow the page theme
+   * Fires `diia:themechange` on window with `detail.theme`
+   */
+  notifyThemeChange() {
+    window.dispatchEvent(new CustomEvent('diia:themechange', {
+      detail: { theme: this.getRenderTheme() }
+    }));
   }
 
   setupAccessibility() {
@@ -104,9 +128,6 @@ class PWAEnhancements {
         document.body.classList.add('large-text');
         break;
       case 'high-contrast':
-        root.style.setProperty('--diia-primary', '#FF00FF');
-        root.style.setProperty('--diia-success', '#00FF00');
-        root.style.setProperty('--diia-error', '#FF0000');
         document.body.classList.add('high-contrast');
         break;
       case 'dyslexia':
@@ -115,6 +136,9 @@ class PWAEnhancements {
       default:
         root.style.fontSize = '16px';
     }
+
+    this.applyThemeColors();
+    this.notifyThemeChange();
   }
 
   setupQRCode() {
@@ -140,7 +164,6 @@ class PWAEnhancements {
     `;
     document.body.appendChild(modal);
     
-    // Simple QR generation (use qrcode.js library if available)
     this.generateQR(window.location.href, 'qr-container');
     this.playSound('success');
   }
@@ -149,6 +172,16 @@ class PWAEnhancements {
     const container = document.getElementById(containerId);
     if (!container) return;
     
+    // Same encoder as the ID card QR in VectorRenderer
+    if (typeof QREncoder !== 'undefined') {
+      try {
+        container.innerHTML = QREncoder.toSVG(text, { size: 200, ecLevel: 'M' });
+        return;
+      } catch (error) {
+        console.warn('QR encoding failed:', error.message);
+      }
+    }
+    
     // Fallback: show URL as text
     const qr = document.createElement('div');
     qr.className = 'qr-fallback';
@@ -209,8 +242,13 @@ class PWAEnhancements {
 
 // Hybrid Rendering for weak devices
 class HybridRenderer {
-  constructor(renderMode) {
+  /**
+   * @param {'hybrid'|'full'} renderMode - Render mode (PWAEnhancements.detectRenderMode)
+   * @param {'light'|'dark'|'high-contrast'} [theme='light'] - Color theme
+   */
+  constructor(renderMode, theme = 'light') {
     this.mode = renderMode;
+    this.theme = theme;
   }
 
   render(content, scale = 1) {
@@ -232,7 +270,7 @@ class HybridRenderer {
     text.setAttribute('x', 16);
     text.setAttribute('y', 40);
     text.setAttribute('font-size', 20 * scale);
-    text.setAttribute('fill', '#67C3F3');
+    text.setAttribute('fill', DiiaTokens.resolve(this.theme).colors.primary);
     text.textContent = content.title || 'Content';
     
     svg.appendChild(text);
@@ -241,11 +279,19 @@ class HybridRenderer {
 
   renderFull(content, scale) {
     const div = document.createElement('div');
-    div.innerHTML = `<h1>${content.title}</h1><p>${content.description}</p>`;
+    div.innerHTML = `<h1>${Escape.xmlText(content.title)}</h1><p>${Escape.xmlText(content.description)}</p>`;
     return div;
   }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PWAEnhancements, HybridRenderer };
+}
+if (typeof window !== 'undefined') {
+  window.PWAEnhancements = PWAEnhancements;
+  window.HybridRenderer = HybridRenderer;
+}
+
 window.addEventListener('DOMContentLoaded', () => {
   new PWAEnhancements();
 });
@@ -26,12 +26,12 @@ class ResponsiveTester {
     const vectorStart = performance.now();
     const vectorOutput = this.vectorRenderer.render(props);
     const vectorTime = performance.now() - vectorStart;
-    const vectorSize = new Blob([vectorOutput]).size;
+    const vectorSize = new TextEncoder().encode(vectorOutput).length;
 
     const domStart = performance.now();
     const domOutput = this.domRenderer.render(props);
     const domTime = performance.now() - domStart;
-    const domSize = new Blob([domOutput]).size;
+    const domSize = new TextEncoder().encode(domOutput).length;
 
     sandbox.style.width = '';
     sandbox.style.height = '';
@@ -0,0 +1,65 @@
+/**
+ * Diia ФОП Extract - Screen schema document
+ *
+ * Extract from the Unified State Register (ЄДР) for a sole proprietor
+ * (фізична особа-підприємець): a tall, document-like card with the
+ * registration record, main activity (КВЕД) and tax group. Ruled-lines
+ * security pattern; the QR code carries the registration record number.
+ * Rendered by VectorRenderer.renderDocument('diia-fop-extract', props, scale).
+ *
+ * @see src/screens/document-card.js for the shared card chrome
+ */
+
+/* global ScreenSchema, DocumentCard */
+
+/**
+ * @const {ScreenSchemaDocument}
+ */
+const DIIA_FOP_EXTRACT_SCHEMA = DocumentCard.schema({
+  name: 'diia-fop-extract',
+  label: 'Diia ФОП Extract',
+  title: 'ВИТЯГ З ЄДР',
+  props: {
+    fullName: { default: 'ШЕВЧЕНКО ТАРАС ГРИГОРОВИЧ' },
+    taxNumber: { default: '3409400000', aliases: ['rnokpp'] },
+    registrationDate: { default: '01.09.2020' },
+    recordNumber: { default: '2000000000000000001' },
+    activity: { default: '62.01 Комп\'ютерне програмування', aliases: ['kved'] },
+    taxGroup: { default: '3 група' },
+    status: { default: 'зареєстровано' },
+    issueDate: { default: '15.11.2024' }
+  },
+  pattern: 'lines',
+  height: 380,
+  body: [
+    {
+      type: 'text',
+      text: 'Фізична особа-підприємець',
+      fontWeight: 'bold',
+      fontSize: '$fontSize.base',
+      fill: '$colors.dark'
+    },
+    DocumentCard.fields([
+      ['Прізвище, ім\'я, по батькові', '{{fullName}}'],
+      ['РНОКПП', '{{taxNumber}}'],
+      ['Дата та номер запису про реєстрацію', '{{registrationDate}} № {{recordNumber}}'],
+      ['Основний вид діяльності (КВЕД)', '{{activity}}', { maxLines: 2 }],
+      ['Платник єдиного податку', '{{taxGroup}}'],
+      ['Стан', '{{status}}']
+    ]),
+    DocumentCard.fields([
+      ['Дата формування витягу', '{{issueDate}}']
+    ], { padding: [0, '$card.qrSize', 0, 0] })
+  ],
+  qr: '{{recordNumber}}',
+  serial: '№ {{recordNumber}}'
+});
+
+ScreenSchema.register(DIIA_FOP_EXTRACT_SCHEMA.name, DIIA_FOP_EXTRACT_SCHEMA);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DIIA_FOP_EXTRACT_SCHEMA;
+}
+if (typeof window !== 'undefined') {
+  window.DIIA_FOP_EXTRACT_SCHEMA = DIIA_FOP_EXTRACT_SCHEMA;
+}
@@ -0,0 +1,57 @@
+/**
+ * Diia ID Card (Driver's License) - Screen schema document
+ *
+ * Holographic document card with security pattern, photo, data fields and QR.
+ * Rendered by VectorRenderer.render(DIIA_ID_CARD_SCHEMA, scale, props).
+ *
+ * @see src/generators/screen-schema.js for the format
+ * @see src/screens/document-card.js for the shared card chrome
+ */
+
+/* global ScreenSchema, DocumentCard */
+
+/**
+ * @const {ScreenSchemaDocument}
+ */
+const DIIA_ID_CARD_SCHEMA = DocumentCard.schema({
+  name: 'diia-id-card',
+  label: 'Diia ID Card',
+  title: 'ПОСВІДЧЕННЯ ВОДІЯ',
+  props: {
+    lastName: { default: 'ШЕВЧЕНКО' },
+    firstName: { default: 'ТАРАС' },
+    birthDate: { default: '09.03.1814' },
+    issueDate: { default: '15.11.2024' },
+    expiryDate: { default: '15.11.2034' },
+    cardNumber: { default: 'AAA 123456' }
+  },
+  pattern: 'security',
+  body: [
+    {
+      type: 'stack',
+      direction: 'horizontal',
+      gap: '$spacing.md',
+      children: [
+        DocumentCard.photo(),
+        DocumentCard.fields([
+          ['1. Прізвище', '{{lastName}}'],
+          ['2. Ім\'я', '{{firstName}}'],
+          ['3. Дата народження', '{{birthDate}}'],
+          ['4a. Дата видачі', '{{issueDate}}'],
+          ['4c. Дійсне до', '{{expiryDate}}']
+        ], { padding: [0, '$card.qrSize', 0, 0] })
+      ]
+    }
+  ],
+  qr: '{{cardNumber}}',
+  serial: '№ {{cardNumber}}'
+});
+
+ScreenSchema.register(DIIA_ID_CARD_SCHEMA.name, DIIA_ID_CARD_SCHEMA);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DIIA_ID_CARD_SCHEMA;
+}
+if (typeof window !== 'undefined') {
+  window.DIIA_ID_CARD_SCHEMA = DIIA_ID_CARD_SCHEMA;
+}
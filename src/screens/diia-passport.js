@@ -0,0 +1,81 @@
+/**
+ * Diia Passport (ID card) - Screen schema document
+ *
+ * Passport of a citizen of Ukraine in ID-card form: photo with the name
+ * block beside it, bilingual personal data below, УНЗР record number in
+ * the QR code. Guilloche security pattern.
+ * Rendered by VectorRenderer.renderDocument('diia-passport', props, scale).
+ *
+ * @see src/screens/document-card.js for the shared card chrome
+ */
+
+/* global ScreenSchema, DocumentCard */
+
+/**
+ * @const {ScreenSchemaDocument}
+ */
+const DIIA_PASSPORT_SCHEMA = DocumentCard.schema({
+  name: 'diia-passport',
+  label: 'Diia Passport',
+  title: 'ПАСПОРТ ГРОМАДЯНИНА УКРАЇНИ',
+  props: {
+    lastName: { default: 'ШЕВЧЕНКО' },
+    firstName: { default: 'ТАРАС' },
+    patronymic: { default: 'ГРИГОРОВИЧ' },
+    birthDate: { default: '09.03.1814' },
+    sex: { default: 'Ч/M' },
+    nationality: { default: 'УКРАЇНА/UKR' },
+    recordNumber: { default: '18140309-00000' },
+    documentNumber: { default: '000000000' },
+    issueDate: { default: '15.11.2024' },
+    expiryDate: { default: '15.11.2034' },
+    authority: { default: '8000' }
+  },
+  pattern: 'guilloche',
+  height: 340,
+  body: [
+    {
+      type: 'stack',
+      direction: 'horizontal',
+      gap: '$spacing.md',
+      children: [
+        DocumentCard.photo(),
+        DocumentCard.fields([
+          ['Прізвище / Surname', '{{lastName}}'],
+          ['Ім\'я / Given names', '{{firstName}}'],
+          ['По батькові / Patronymic', '{{patronymic}}'],
+          ['Дата народження / Date of birth', '{{birthDate}}']
+        ])
+      ]
+    },
+    {
+      type: 'stack',
+      direction: 'horizontal',
+      gap: '$spacing.md',
+      padding: [0, '$card.qrSize', 0, 0],
+      children: [
+        DocumentCard.fields([
+          ['Стать / Sex', '{{sex}}'],
+          ['Громадянство', '{{nationality}}'],
+          ['Запис № / Record No.', '{{recordNumber}}']
+        ]),
+        DocumentCard.fields([
+          ['Дата видачі', '{{issueDate}}'],
+          ['Дійсний до', '{{expiryDate}}'],
+          ['Орган / Authority', '{{authority}}']
+        ])
+      ]
+    }
+  ],
+  qr: '{{recordNumber}}',
+  serial: '№ {{documentNumber}}'
+});
+
+ScreenSchema.register(DIIA_PASSPORT_SCHEMA.name, DIIA_PASSPORT_SCHEMA);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DIIA_PASSPORT_SCHEMA;
+}
+if (typeof window !== 'undefined') {
+  window.DIIA_PASSPORT_SCHEMA = DIIA_PASSPORT_SCHEMA;
+}
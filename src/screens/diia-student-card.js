@@ -0,0 +1,63 @@
+/**
+ * Diia Student Card - Screen schema document
+ *
+ * Student ID: photo with name and validity, then the institution and
+ * faculty across the full card width. Halftone-dots security pattern.
+ * Rendered by VectorRenderer.renderDocument('diia-student-card', props, scale).
+ *
+ * @see src/screens/document-card.js for the shared card chrome
+ */
+
+/* global ScreenSchema, DocumentCard */
+
+/**
+ * @const {ScreenSchemaDocument}
+ */
+const DIIA_STUDENT_CARD_SCHEMA = DocumentCard.schema({
+  name: 'diia-student-card',
+  label: 'Diia Student Card',
+  title: 'СТУДЕНТСЬКИЙ КВИТОК',
+  props: {
+    lastName: { default: 'ШЕВЧЕНКО' },
+    firstName: { default: 'ТАРАС' },
+    birthDate: { default: '09.03.1814' },
+    institution: { default: 'Київський національний університет імені Тараса Шевченка' },
+    faculty: { default: 'Факультет комп\'ютерних наук' },
+    studyForm: { default: 'Денна' },
+    expiryDate: { default: '30.06.2028' },
+    cardNumber: { default: 'КВ 12345678' }
+  },
+  pattern: 'dots',
+  height: 320,
+  body: [
+    {
+      type: 'stack',
+      direction: 'horizontal',
+      gap: '$spacing.md',
+      children: [
+        DocumentCard.photo(),
+        DocumentCard.fields([
+          ['Прізвище', '{{lastName}}'],
+          ['Ім\'я', '{{firstName}}'],
+          ['Дата народження', '{{birthDate}}'],
+          ['Дійсний до', '{{expiryDate}}']
+        ])
+      ]
+    },
+    DocumentCard.fields([
+      ['Заклад освіти', '{{institution}}', { maxLines: 2 }],
+      ['Факультет · форма навчання', '{{faculty}} · {{studyForm}}']
+    ], { padding: [0, '$card.qrSize', 0, 0] })
+  ],
+  qr: '{{cardNumber}}',
+  serial: '№ {{cardNumber}}'
+});
+
+ScreenSchema.register(DIIA_STUDENT_CARD_SCHEMA.name, DIIA_STUDENT_CARD_SCHEMA);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DIIA_STUDENT_CARD_SCHEMA;
+}
+if (typeof window !== 'undefined') {
+  window.DIIA_STUDENT_CARD_SCHEMA = DIIA_STUDENT_CARD_SCHEMA;
+}
@@ -0,0 +1,61 @@
+/**
+ * Diia Tax ID (РНОКПП) - Screen schema document
+ *
+ * Taxpayer registration number card: no photo, the 10-digit number set
+ * large in monospace, then the owner's name. Grid security pattern.
+ * Rendered by VectorRenderer.renderDocument('diia-tax-id', props, scale).
+ *
+ * @see src/screens/document-card.js for the shared card chrome
+ */
+
+/* global ScreenSchema, DocumentCard */
+
+/**
+ * @const {ScreenSchemaDocument}
+ */
+const DIIA_TAX_ID_SCHEMA = DocumentCard.schema({
+  name: 'diia-tax-id',
+  label: 'Diia Tax ID',
+  title: 'КАРТКА ПЛАТНИКА ПОДАТКІВ',
+  props: {
+    taxNumber: { default: '3409400000', aliases: ['rnokpp'] },
+    lastName: { default: 'ШЕВЧЕНКО' },
+    firstName: { default: 'ТАРАС' },
+    patronymic: { default: 'ГРИГОРОВИЧ' },
+    birthDate: { default: '09.03.1814' }
+  },
+  pattern: 'grid',
+  height: 260,
+  body: [
+    {
+      type: 'stack',
+      children: [
+        { type: 'text', text: 'РНОКПП', fontSize: '$card.labelSize', fill: '$colors.textSecondary' },
+        {
+          type: 'text',
+          text: '{{taxNumber}}',
+          fontFamily: '$fontFamily.mono',
+          fontWeight: 'bold',
+          fontSize: '$fontSize.xl',
+          fill: '$colors.dark',
+          maxLines: 1
+        }
+      ]
+    },
+    DocumentCard.fields([
+      ['Прізвище, ім\'я, по батькові', '{{lastName}} {{firstName}} {{patronymic}}'],
+      ['Дата народження', '{{birthDate}}']
+    ], { padding: [0, '$card.qrSize', 0, 0] })
+  ],
+  qr: '{{taxNumber}}',
+  serial: 'РНОКПП {{taxNumber}}'
+});
+
+ScreenSchema.register(DIIA_TAX_ID_SCHEMA.name, DIIA_TAX_ID_SCHEMA);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DIIA_TAX_ID_SCHEMA;
+}
+if (typeof window !== 'undefined') {
+  window.DIIA_TAX_ID_SCHEMA = DIIA_TAX_ID_SCHEMA;
+}
@@ -0,0 +1,203 @@
+/**
+ * Diia Document Card - Shared building blocks for document screen schemas
+ *
+ * Every Diia document (driver's license, passport, tax ID, ФОП extract,
+ * student card) is the same card chrome: backdrop, holographic card with a
+ * security pattern, УКРАЇНА header, QR code, Дія mark and serial number.
+ * Templates supply only what differs: field list, pattern kind and body layout.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see src/generators/screen-schema.js for the format
+ */
+
+/**
+ * @typedef {Object} DocumentCardSpec
+ * @property {string} name - Template name (registered with ScreenSchema)
+ * @property {string} label - Accessible name of the screen
+ * @property {string} title - Default document title (the "title" prop)
+ * @property {Object<string, {default?: string, aliases?: string[]}>} props - Document props
+ * @property {'security'|'guilloche'|'grid'|'lines'|'dots'} [pattern='security'] - Security pattern
+ * @property {number|string} [height='$card.height'] - Card height
+ * @property {ScreenNode[]} body - Nodes below the header
+ * @property {string} qr - QR data template (e.g. "{{cardNumber}}")
+ * @property {string} serial - Serial line template (e.g. "№ {{cardNumber}}")
+ */
+
+/**
+ * A field as [label, value] or [label, value, extra node properties]
+ * @typedef {Array} DocumentField
+ */
+
+const DocumentCard = Object.freeze({
+  /**
+   * Build a complete document screen schema
+   * @param {DocumentCardSpec} spec - Document description
+   * @returns {ScreenSchemaDocument} Screen schema (register it with ScreenSchema.register)
+   */
+  schema(spec) {
+    return {
+      type: 'screen',
+      version: 1,
+      name: spec.name,
+      width: '$canvas.width',
+      height: '$canvas.height',
+      label: spec.label,
+      props: {
+        title: { default: spec.title },
+        ...spec.props
+      },
+      defs: [
+        { type: 'hologram', id: 'holo-gradient' },
+        { type: 'dropShadow', id: 'shadow', dx: 0, dy: 4, blur: 8, opacity: 0.15 }
+      ],
+      children: [
+        { type: 'rect', width: '100%', height: '100%', radius: '$radius.xl', fill: '$colors.background' },
+        {
+          type: 'frame',
+          id: 'card',
+          x: '$spacing.md',
+          y: 48,
+          right: '$spacing.md',
+          height: spec.height || '$card.height',
+          radius: '$radius.lg',
+          fill: '$colors.cardBg',
+          filter: '@shadow',
+          children: [
+            {
+              type: 'group',
+              opacity: 0.3,
+              clip: true,
+              children: [{ type: 'pattern', kind: spec.pattern || 'security', width: '100%', height: '100%' }]
+            },
+            { type: 'rect', width: '100%', height: '100%', radius: '$radius.lg', fill: '@holo-gradient', hidden: true },
+            {
+              type: 'stack',
+              padding: '$spacing.xl',
+              gap: '$spacing.md',
+              children: [DocumentCard.header(), ...spec.body]
+            },
+            {
+              type: 'qr',
+              right: '$spacing.xl',
+              bottom: '$spacing.xl',
+              size: '$card.qrSize',
+              data: spec.qr,
+              background: '$colors.qr.bg',
+              fill: '$colors.qr.fg'
+            },
+            {
+              type: 'text',
+              x: '$spacing.xl',
+              bottom: 40,
+              text: 'Дія',
+              fontWeight: 'bold',
+              fontSize: '$fontSize.lg',
+              fill: '$colors.primary',
+              role: 'img',
+              label: 'Дія логотип'
+            },
+            {
+              type: 'text',
+              x: '50%',
+              bottom: 12,
+              anchor: 'middle',
+              text: spec.serial,
+              fontFamily: '$fontFamily.mono',
+              fontSize: '$card.numberSize',
+              fill: '$colors.textTertiary'
+            }
+          ]
+        }
+      ]
+    };
+  },
+
+  /**
+   * Flag, УКРАЇНА and the document title
+   * @returns {ScreenNode} Horizontal stack
+   */
+  header() {
+    return {
+      type: 'stack',
+      direction: 'horizontal',
+      gap: '$spacing.sm',
+      align: 'center',
+      children: [
+        {
+          type: 'group',
+          width: '$card.flagWidth',
+          height: '$card.flagHeight',
+          role: 'img',
+          label: 'Прапор України',
+          children: [
+            { type: 'rect', width: '100%', height: '50%', fill: '$colors.flag.blue' },
+            { type: 'rect', y: '50%', width: '100%', height: '50%', fill: '$colors.flag.yellow' }
+          ]
+        },
+        {
+          type: 'stack',
+          width: 'fill',
+          children: [
+            { type: 'text', text: 'УКРАЇНА', fontWeight: 'bold', fontSize: '$fontSize.base', fill: '$colors.dark' },
+            { type: 'text', text: '{{title}}', fontSize: '$card.valueSize', fill: '$colors.textSecondary', maxLines: 1 }
+          ]
+        }
+      ]
+    };
+  },
+
+  /**
+   * Round photo placeholder
+   * @returns {ScreenNode} Group sized by $card.photoRadius
+   */
+  photo() {
+    return {
+      type: 'group',
+      children: [
+        {
+          type: 'circle',
+          cx: '50%',
+          cy: '50%',
+          r: '$card.photoRadius',
+          fill: '$colors.placeholder',
+          stroke: '$colors.primary',
+          strokeWidth: 2,
+          role: 'img',
+          label: 'Фото'
+        },
+        { type: 'text', x: '50%', y: '65%', text: '👤', fontSize: '$card.iconSize', anchor: 'middle', opacity: 0.3, hidden: true }
+      ]
+    };
+  },
+
+  /**
+   * Label/value pairs as a vertical stack
+   * @param {DocumentField[]} fields - Fields in reading order
+   * @param {Object} [stack={}] - Extra properties of the stack (padding, width)
+   * @returns {ScreenNode} Vertical stack
+   */
+  fields(fields, stack = {}) {
+    return {
+      type: 'stack',
+      width: 'fill',
+      gap: '$spacing.xs',
+      ...stack,
+      children: fields.map(([label, value, extra = {}]) => ({
+        type: 'stack',
+        children: [
+          { type: 'text', text: label, fontSize: '$card.labelSize', fill: '$colors.textSecondary', maxLines: 1 },
+          { type: 'text', text: value, fontWeight: '600', fontSize: '$card.valueSize', fill: '$colors.dark', maxLines: 1, ...extra }
+        ]
+      }))
+    };
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DocumentCard;
+}
+if (typeof window !== 'undefined') {
+  window.DocumentCard = DocumentCard;
+}
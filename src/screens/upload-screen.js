@@ -0,0 +1,112 @@
+/**
+ * Upload Documents Screen - Screen schema document
+ *
+ * The Diia "Завантаження документів" step described as data.
+ * Rendered by VectorRenderer.render(UPLOAD_SCREEN_SCHEMA, scale, props).
+ *
+ * @see src/generators/screen-schema.js for the format
+ */
+
+/* global ScreenSchema */
+
+/**
+ * @const {ScreenSchemaDocument}
+ */
+const UPLOAD_SCREEN_SCHEMA = {
+  type: 'screen',
+  version: 1,
+  name: 'upload-screen',
+  width: '$canvas.width',
+  height: '$canvas.height',
+  label: '{{title}}',
+  props: {
+    title: { default: 'Завантаження документів' },
+    subtitle: { default: 'Додайте необхідні документи', aliases: ['description'] },
+    buttonText: { default: 'Додати файл' }
+  },
+  children: [
+    { type: 'rect', width: '100%', height: '100%', radius: '$radius.xl', fill: '$colors.background' },
+    {
+      type: 'stack',
+      id: 'card',
+      x: 8,
+      y: 16,
+      right: 8,
+      bottom: 16,
+      padding: '$spacing.md',
+      gap: '$spacing.sm',
+      align: 'stretch',
+      radius: '$radius.xl',
+      fill: '$colors.cardBg',
+      children: [
+        {
+          type: 'text',
+          text: '{{title}}',
+          fontWeight: 'bold',
+          fontSize: '$fontSize.lg',
+          fill: '$colors.heading',
+          maxLines: 2,
+          semantic: { type: 'h1', label: '{{title}}' }
+        },
+        {
+          type: 'text',
+          text: '{{subtitle}}',
+          fontSize: '$fontSize.base',
+          fill: '$colors.body',
+          maxLines: 3,
+          semantic: { type: 'p' }
+        },
+        { type: 'spacer', height: '$spacing.sm' },
+        {
+          type: 'frame',
+          id: 'upload-zone',
+          height: 120,
+          radius: '$radius.lg',
+          fill: '$colors.surfaceMuted',
+          stroke: '$colors.border',
+          strokeWidth: 2,
+          dash: [8, 8],
+          semantic: {
+            type: 'button',
+            text: '{{buttonText}}',
+            label: 'Натисніть або перетягніть файл для завантаження документа'
+          },
+          children: [
+            {
+              type: 'path',
+              x: '50%',
+              y: '50%',
+              d: 'M0 -12 L0 0 M0 -12 L-4 -8 M0 -12 L4 -8',
+              stroke: '$colors.primary',
+              strokeWidth: 2,
+              linecap: 'round',
+              linejoin: 'round'
+            },
+            { type: 'text', x: '50%', y: 76, anchor: 'middle', text: '{{buttonText}}', fontSize: '$fontSize.md', fill: '$colors.muted' }
+          ]
+        },
+        { type: 'spacer', height: 'fill' },
+        {
+          type: 'frame',
+          id: 'next-button',
+          height: 56,
+          radius: '$radius.lg',
+          fill: '$colors.action',
+          semantic: { type: 'button', text: 'Далі', label: 'Перейти до наступного кроку' },
+          children: [
+            { type: 'text', x: '50%', y: 34, anchor: 'middle', text: 'Далі', fontWeight: '600', fontSize: '$fontSize.lg', fill: '$colors.onAction' }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+ScreenSchema.register(UPLOAD_SCREEN_SCHEMA.name, UPLOAD_SCREEN_SCHEMA);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UPLOAD_SCREEN_SCHEMA;
+}
+if (typeof window !== 'undefined') {
+  window.UPLOAD_SCREEN_SCHEMA = UPLOAD_SCREEN_SCHEMA;
+}
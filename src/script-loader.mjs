@@ -0,0 +1,47 @@
+/**
+ * Script loader - runs the browser's classic scripts as Node modules
+ *
+ * In the page the engines find each other as globals. Here each script runs
+ * in its own function scope instead: `module`, `exports` and the globals it
+ * depends on are parameters of that function, so loading the engines never
+ * writes to the importer's globalThis.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+/**
+ * Directory the script paths are relative to (src/)
+ * @const {string}
+ */
+const SOURCE_DIR = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Run a classic script with the given globals in scope
+ *
+ * @param {string} path - Script path relative to src/ ("./utils/escape.js")
+ * @param {Object<string, *>} [scope={}] - Globals the script can see (other
+ *   free names still resolve to Node's own globals)
+ * @returns {*} The script's module.exports
+ * @example
+ * const Escape = loadScript('./utils/escape.js');
+ * const SvgTree = loadScript('./utils/svg-tree.js', { Escape });
+ */
+export function loadScript(path, scope = {}) {
+  const filename = resolve(SOURCE_DIR, path);
+  const source = readFileSync(filename, 'utf8');
+  // A script's own top-level declarations win over a global of the same name
+  const names = Object.keys(scope).filter((name) => (
+    !new RegExp(`^(?:const|let|class)\\s+${name}\\b`, 'm').test(source)
+  ));
+  const module = { exports: {} };
+  const run = vm.compileFunction(source, ['module', 'exports', ...names], { filename });
+  run(module, module.exports, ...names.map((name) => scope[name]));
+  return module.exports;
+}
@@ -1,73 +1,151 @@
 /**
  * Diia Design System - Design Tokens
- * 
- * Single source of truth for the entire design system
- * Based on official Diia Design System specifications
- * 
+ *
+ * Single source of truth for every renderer, component and exporter.
+ * Colors are semantic roles with one palette per theme; everything else is
+ * theme-independent. Consumers ask `DiiaTokens.resolve(theme)` instead of
+ * hardcoding values, so a brand change is one edit here, or one
+ * `DiiaTokens.override()` call at runtime.
+ *
+ * Screen schemas reference tokens by path: `$spacing.md`, `$fontSize.base`,
+ * `$colors.heading`, `$card.qrSize`.
+ *
  * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
  * @see https://design.diia.gov.ua/
  */
 
 /**
- * Complete Diia Design Tokens
+ * Light palette: every semantic color role
+ * @const {Object}
+ */
+const DIIA_LIGHT_COLORS = Object.freeze({
+  // Brand
+  primary: '#67C3F3',           // Diia Blue - accents, icons
+  primaryDark: '#4BA3D3',       // Hover
+  primaryPressed: '#3893C3',    // Active / pressed
+  primaryLight: '#A3DDFB',      // Light backgrounds
+  primaryTint: 'rgba(103, 195, 243, 0.1)',       // Hover overlay on transparent controls
+  primaryTintStrong: 'rgba(103, 195, 243, 0.2)', // Pressed overlay on transparent controls
+
+  // Surfaces
+  background: '#E2ECF4',        // Screen backdrop
+  backgroundHover: '#D3E4F0',
+  backgroundPressed: '#C3D4E0',
+  cardBg: '#FFFFFF',            // Card surface
+  surfaceMuted: '#F5F8FA',      // Drop zones, inputs
+  border: '#D1D5DB',            // Outlines, dashed zones, tracks
+
+  // Text
+  dark: '#0a0e27',              // Strongest text (document values)
+  heading: '#111827',           // Screen titles
+  body: '#374151',              // Paragraph text
+  muted: '#6B7280',             // Hints inside controls
+  text: '#000000',              // Plain text
+  textSecondary: '#666666',     // Field labels
+  textTertiary: '#999999',      // Fine print
+  textInverse: '#FFFFFF',       // Text on brand fills
+
+  // Controls
+  action: '#000000',            // Primary button fill
+  onAction: '#FFFFFF',          // Primary button label
+  disabled: '#D1D5DB',          // Disabled fill / outline
+  onDisabled: '#9CA3AF',        // Disabled label
+  disabledSurface: '#F3F4F6',   // Disabled secondary fill
+
+  // Status
+  success: '#4CAF50',
+  error: '#F44336',
+  warning: '#FF9800',
+  info: '#2196F3',
+
+  // Document card
+  placeholder: '#D0D0D0',       // Empty photo
+  pattern: '#FFFFFF',           // Security pattern lines
+  hologram: '#FFFFFF',          // Hologram highlight
+  // QR stays dark on light in every theme to remain scannable
+  qr: Object.freeze({ fg: '#0a0e27', bg: '#FFFFFF' }),
+  flag: Object.freeze({ blue: '#005BBB', yellow: '#FFD700' })
+});
+
+/**
+ * Semantic color palettes, one per theme
+ * Dark and high-contrast only list the roles they change
+ * @const {Object<string, Object>}
+ */
+const DIIA_THEMES = Object.freeze({
+  light: DIIA_LIGHT_COLORS,
+  dark: Object.freeze({
+    ...DIIA_LIGHT_COLORS,
+    background: '#0a0e27',
+    backgroundHover: '#141a3a',
+    backgroundPressed: '#1e2547',
+    cardBg: '#1a1f3a',
+    surfaceMuted: '#232946',
+    border: '#27272a',
+    dark: '#F5F7FA',
+    heading: '#F9FAFB',
+    body: '#D1D5DB',
+    muted: '#9CA3AF',
+    text: '#FFFFFF',
+    textSecondary: '#a1a1aa',
+    textTertiary: '#71717a',
+    action: '#67C3F3',
+    onAction: '#0a0e27',
+    disabled: '#3f3f46',
+    onDisabled: '#71717a',
+    disabledSurface: '#27272a',
+    placeholder: '#3f3f46',
+    pattern: '#67C3F3'
+  }),
+  // Black/white/yellow, every text pair above 7:1 (WCAG AAA)
+  'high-contrast': Object.freeze({
+    ...DIIA_LIGHT_COLORS,
+    primary: '#FFFF00',
+    primaryDark: '#FFFF00',
+    primaryPressed: '#FFFF00',
+    primaryLight: '#FFFF00',
+    primaryTint: 'rgba(255, 255, 0, 0.2)',
+    primaryTintStrong: 'rgba(255, 255, 0, 0.4)',
+    background: '#000000',
+    backgroundHover: '#000000',
+    backgroundPressed: '#000000',
+    cardBg: '#000000',
+    surfaceMuted: '#000000',
+    border: '#FFFFFF',
+    dark: '#FFFFFF',
+    heading: '#FFFFFF',
+    body: '#FFFFFF',
+    muted: '#FFFF00',
+    text: '#FFFFFF',
+    textSecondary: '#FFFFFF',
+    textTertiary: '#FFFFFF',
+    textInverse: '#000000',
+    action: '#FFFF00',
+    onAction: '#000000',
+    disabled: '#FFFFFF',
+    onDisabled: '#FFFFFF',
+    disabledSurface: '#000000',
+    placeholder: '#000000',
+    pattern: '#000000',
+    hologram: '#000000',
+    qr: Object.freeze({ fg: '#000000', bg: '#FFFFFF' })
+  })
+});
+
+/**
+ * Complete Diia Design Tokens (light theme, no runtime overrides)
+ * Read through DiiaTokens.resolve() so themes and overrides apply
  * @const {Object} DIIA_TOKENS
  */
-export const DIIA_TOKENS = Object.freeze({
+const DIIA_TOKENS = deepFreeze({
   /**
    * Color Palette
-   * Primary colors based on official Diia branding
+   * Semantic roles; see DIIA_THEMES for the other themes
    */
-  colors: {
-    // Primary
-    primary: '#67C3F3',          // Diia Blue - main brand color
-    primaryDark: '#4BA3D3',      // Darker shade for hover states
-    primaryLight: '#A3DDFB',      // Lighter shade for backgrounds
-    
-    // Background
-    background: '#E2ECF4',        // Light blue-gray
-    backgroundDark: '#0a0e27',    // Dark mode background
-    backgroundCard: '#FFFFFF',    // Card background
-    
-    // Text
-    text: '#000000',              // Primary text
-    textSecondary: '#666666',     // Secondary text
-    textTertiary: '#999999',      // Tertiary text / placeholders
-    textInverse: '#FFFFFF',       // Text on dark backgrounds
-    
-    // Semantic colors
-    success: '#4CAF50',           // Green - success states
-    error: '#F44336',             // Red - error states
-    warning: '#FF9800',           // Orange - warning states
-    info: '#2196F3',              // Blue - informational
-    
-    // Ukrainian flag
-    flag: {
-      blue: '#005BBB',            // Ukrainian blue
-      yellow: '#FFD700'           // Ukrainian yellow (gold)
-    },
-    
-    // Grays
-    gray: {
-      50: '#F9FAFB',
-      100: '#F3F4F6',
-      200: '#E5E7EB',
-      300: '#D1D5DB',
-      400: '#9CA3AF',
-      500: '#6B7280',
-      600: '#4B5563',
-      700: '#374151',
-      800: '#1F2937',
-      900: '#111827'
-    },
-    
-    // Transparency overlays
-    overlay: {
-      light: 'rgba(255, 255, 255, 0.9)',
-      medium: 'rgba(255, 255, 255, 0.7)',
-      dark: 'rgba(0, 0, 0, 0.5)'
-    }
-  },
-  
+  colors: DIIA_LIGHT_COLORS,
+
   /**
    * Spacing System (8px grid)
    * All spacing should use multiples of 8px
@@ -81,59 +159,57 @@ export const DIIA_TOKENS = Object.freeze({
     xl: 32,     // 4 × base
     xxl: 48,    // 6 × base
     xxxl: 64,   // 8 × base
-    
+
     // Semantic spacing
     sectionGap: 48,
     containerPadding: 16,
     cardPadding: 24
   },
-  
+
   /**
-   * Typography Scale
-   * Font sizes based on 8px grid with responsive scaling
+   * Typography
+   * Font stacks are unquoted so they can go straight into SVG attributes
    */
-  typography: {
-    fontFamily: {
-      primary: "'e-Ukraine', 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-      mono: "'Roboto Mono', 'Courier New', monospace"
-    },
-    
-    fontSize: {
-      xs: 10,      // Labels, captions
-      sm: 12,      // Small text
-      base: 14,    // Body text
-      md: 16,      // Medium text
-      lg: 18,      // Large text
-      xl: 24,      // Headings
-      xxl: 32,     // Large headings
-      xxxl: 48,    // Hero text
-      display: 64  // Display text
-    },
-    
-    fontWeight: {
-      light: 300,
-      regular: 400,
-      medium: 500,
-      semibold: 600,
-      bold: 700
-    },
-    
-    lineHeight: {
-      tight: 1.2,
-      normal: 1.5,
-      relaxed: 1.75,
-      loose: 2
-    },
-    
-    letterSpacing: {
-      tighter: '-0.05em',
-      tight: '-0.025em',
-      normal: '0',
-      wide: '0.025em',
-      wider: '0.05em'
-    }
+  fontFamily: {
+    primary: 'e-Ukraine, Inter, sans-serif',
+    mono: 'monospace'
+  },
+
+  fontSize: {
+    xs: 10,      // Labels, captions
+    sm: 12,      // Small text
+    base: 14,    // Body text
+    md: 16,      // Medium text
+    lg: 18,      // Large text
+    xl: 24,      // Headings
+    xxl: 32,     // Large headings
+    xxxl: 48,    // Hero text
+    display: 64  // Display text
+  },
+
+  fontWeight: {
+    light: 300,
+    regular: 400,
+    medium: 500,
+    semibold: 600,
+    bold: 700
+  },
+
+  lineHeight: {
+    tight: 1.2,
+    normal: 1.5,
+    relaxed: 1.75,
+    loose: 2
   },
-  
+
+  letterSpacing: {
+    tighter: '-0.05em',
+    tight: '-0.025em',
+    normal: '0',
+    wide: '0.025em',
+    wider: '0.05em'
+  },
+
   /**
    * Border Radius
    * Rounded corners for UI elements
@@ -146,9 +222,9 @@ export const DIIA_TOKENS = Object.freeze({
     lg: 16,
     xl: 24,
     xxl: 32,
-    full: '9999px'  // Pills / circles
+    full: 9999  // Pills / circles
   },
-  
+
   /**
    * Shadows
    * Elevation system for depth
@@ -162,11 +238,11 @@ export const DIIA_TOKENS = Object.freeze({
     xl: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
     xxl: '0 25px 50px -12px rgba(0, 0, 0, 0.25)',
     inner: 'inset 0 2px 4px 0 rgba(0, 0, 0, 0.06)',
-    
+
     // Diia-specific holographic glow
     hologram: '0 0 20px rgba(103, 195, 243, 0.3)'
   },
-  
+
   /**
    * Animation & Transitions
    */
@@ -180,7 +256,7 @@ export const DIIA_TOKENS = Object.freeze({
       slower: 750,
       slowest: 1000
     },
-    
+
     // Easing functions
     easing: {
       linear: 'linear',
@@ -188,12 +264,12 @@ export const DIIA_TOKENS = Object.freeze({
       easeIn: 'cubic-bezier(0.4, 0, 1, 1)',
       easeOut: 'cubic-bezier(0, 0, 0.2, 1)',
       easeInOut: 'cubic-bezier(0.4, 0, 0.2, 1)',
-      
+
       // Custom Diia easing
       diiaSmooth: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)',
       diiaSharp: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)'
     },
-    
+
     // Keyframes (CSS property)
     keyframes: {
       fadeIn: 'fadeIn',
@@ -203,7 +279,7 @@ export const DIIA_TOKENS = Object.freeze({
       hologramShift: 'hologramShift'
     }
   },
-  
+
   /**
    * Breakpoints for Responsive Design
    */
@@ -216,7 +292,7 @@ export const DIIA_TOKENS = Object.freeze({
     wide: 1536,       // Wide desktop
     ultrawide: 1920   // Ultra-wide screens
   },
-  
+
   /**
    * Z-Index Scale
    * Layering system
@@ -232,61 +308,64 @@ export const DIIA_TOKENS = Object.freeze({
     tooltip: 1070,
     toast: 1080
   },
-  
+
   /**
    * Component-Specific Dimensions
    */
-  components: {
-    // Canvas / viewport
-    canvas: {
-      width: 360,
-      height: 680,
-      maxWidth: 1920
-    },
-    
-    // Diia ID Card
-    card: {
-      width: 328,           // Card width
-      height: 220,          // Card height
-      photoRadius: 45,      // Profile photo radius
-      qrSize: 60,           // QR code size
-      flagWidth: 40,        // Flag width
-      flagHeight: 24        // Flag height
-    },
-    
-    // Buttons
-    button: {
-      height: {
-        sm: 32,
-        md: 40,
-        lg: 48
-      },
-      padding: {
-        sm: 12,
-        md: 16,
-        lg: 24
-      }
-    },
-    
-    // Input fields
-    input: {
-      height: 48,
-      padding: 16,
-      borderWidth: 1
+  // Canvas / viewport
+  canvas: {
+    width: 360,
+    height: 680,
+    maxWidth: 1920
+  },
+
+  // Diia ID Card (document cards use a denser type scale than screens)
+  card: {
+    width: 328,           // Card width
+    height: 220,          // Card height
+    photoRadius: 45,      // Profile photo radius
+    qrSize: 60,           // QR code size
+    flagWidth: 40,        // Flag width
+    flagHeight: 24,       // Flag height
+    labelSize: 7,         // Field label font size
+    valueSize: 10,        // Field value font size
+    numberSize: 8,        // Document number font size
+    iconSize: 40          // Photo placeholder glyph
+  },
+
+  // Buttons
+  button: {
+    height: {
+      sm: 32,
+      md: 40,
+      lg: 48
     },
-    
-    // Header
-    header: {
-      height: 64,
-      mobileHeight: 56
+    padding: {
+      sm: 12,
+      md: 16,
+      lg: 24
     },
-    
-    // Footer
-    footer: {
-      height: 80
-    }
+    radius: 12
+  },
+
+  // Input fields
+  input: {
+    height: 48,
+    padding: 16,
+    borderWidth: 1
+  },
+
+  // Header
+  header: {
+    height: 64,
+    mobileHeight: 56
+  },
+
+  // Footer
+  footer: {
+    height: 80
   },
-  
+
   /**
    * Mathematical Constants
    */
@@ -298,39 +377,140 @@ export const DIIA_TOKENS = Object.freeze({
   }
 });
 
+/**
+ * Runtime overrides applied on top of every theme
+ * @type {Object}
+ */
+let tokenOverrides = {};
+
+/**
+ * Incremented on every override() / reset() so consumers can cache
+ * @type {number}
+ */
+let tokensVersion = 0;
+
+/**
+ * Resolved token trees per theme (without per-call overrides)
+ * @type {Map<string, Object>}
+ */
+const resolvedTokens = new Map();
+
+const DiiaTokens = Object.freeze({
+  /**
+   * Theme names
+   * @type {string[]}
+   */
+  themes: Object.freeze(Object.keys(DIIA_THEMES)),
+
+  /**
+   * Change counter of the runtime overrides
+   * @type {number}
+   */
+  get version() {
+    return tokensVersion;
+  },
+
+  /**
+   * Full token tree for a theme
+   * Layers: base tokens, theme palette, runtime overrides, call overrides
+   *
+   * @param {string} [theme='light'] - Theme name (see DiiaTokens.themes)
+   * @param {Object} [overrides] - Extra overrides for this consumer only
+   * @returns {Object} Deeply frozen tokens
+   * @throws {RangeError} If the theme is unknown
+   * @example
+   * DiiaTokens.resolve('dark').colors.cardBg; // '#1a1f3a'
+   */
+  resolve(theme = 'light', overrides) {
+    if (!DIIA_THEMES[theme]) {
+      throw new RangeError(`Unknown theme "${theme}", expected one of: ${DiiaTokens.themes.join(', ')}`);
+    }
+    if (!resolvedTokens.has(theme)) {
+      resolvedTokens.set(theme, deepFreeze(deepMerge(deepMerge(DIIA_TOKENS, { colors: DIIA_THEMES[theme] }), tokenOverrides)));
+    }
+    const tokens = resolvedTokens.get(theme);
+    return overrides ? deepFreeze(deepMerge(tokens, overrides)) : tokens;
+  },
+
+  /**
+   * Override tokens at runtime for every consumer (e.g. a brand refresh)
+   * Partial trees are merged: `{ colors: { primary: '#0057B8' } }`
+   *
+   * @param {Object} overrides - Partial token tree
+   * @throws {TypeError} If overrides is not an object
+   * @returns {void}
+   */
+  override(overrides) {
+    if (!overrides || typeof overrides !== 'object') {
+      throw new TypeError(`Token overrides must be an object, got ${typeof overrides}`);
+    }
+    tokenOverrides = deepMerge(tokenOverrides, overrides);
+    resolvedTokens.clear();
+    tokensVersion++;
+  },
+
+  /**
+   * Drop all runtime overrides
+   * @returns {void}
+   */
+  reset() {
+    tokenOverrides = {};
+    resolvedTokens.clear();
+    tokensVersion++;
+  },
+
+  /**
+   * Color with opacity, for contexts without an opacity attribute (CSS)
+   * @param {string} hex - "#RRGGBB" or "#RGB"
+   * @param {number} opacity - 0..1
+   * @throws {TypeError} If the color is not a hex color
+   * @returns {string} rgba() color
+   */
+  alpha(hex, opacity) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+    if (!match) {
+      throw new TypeError(`Expected a hex color, got "${hex}"`);
+    }
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    const [r, g, b] = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  }
+});
+
 /**
  * Get CSS custom properties string
  * For use in <style> tags or CSS files
- * 
+ *
+ * @param {string} [theme='light'] - Theme name
  * @returns {string} CSS custom properties
  */
-export function getDiiaCSSVariables() {
-  const tokens = DIIA_TOKENS;
-  
+function getDiiaCSSVariables(theme = 'light') {
+  const tokens = DiiaTokens.resolve(theme);
+
   return `
 :root {
   /* Colors - Primary */
   --diia-primary: ${tokens.colors.primary};
   --diia-primary-dark: ${tokens.colors.primaryDark};
   --diia-primary-light: ${tokens.colors.primaryLight};
-  
+
   /* Colors - Background */
   --diia-bg: ${tokens.colors.background};
-  --diia-bg-dark: ${tokens.colors.backgroundDark};
-  --diia-bg-card: ${tokens.colors.backgroundCard};
-  
+  --diia-bg-dark: ${DiiaTokens.resolve('dark').colors.background};
+  --diia-bg-card: ${tokens.colors.cardBg};
+
   /* Colors - Text */
   --diia-text: ${tokens.colors.text};
   --diia-text-secondary: ${tokens.colors.textSecondary};
   --diia-text-tertiary: ${tokens.colors.textTertiary};
   --diia-text-inverse: ${tokens.colors.textInverse};
-  
+
   /* Colors - Semantic */
   --diia-success: ${tokens.colors.success};
   --diia-error: ${tokens.colors.error};
   --diia-warning: ${tokens.colors.warning};
   --diia-info: ${tokens.colors.info};
-  
+
   /* Spacing */
   --diia-space-xs: ${tokens.spacing.xs}px;
   --diia-space-sm: ${tokens.spacing.sm}px;
@@ -338,24 +518,24 @@ export function getDiiaCSSVariables() {
   --diia-space-lg: ${tokens.spacing.lg}px;
   --diia-space-xl: ${tokens.spacing.xl}px;
   --diia-space-xxl: ${tokens.spacing.xxl}px;
-  
+
   /* Typography */
-  --diia-font-primary: ${tokens.typography.fontFamily.primary};
-  --diia-font-mono: ${tokens.typography.fontFamily.mono};
-  --diia-font-size-base: ${tokens.typography.fontSize.base}px;
-  
+  --diia-font-primary: ${tokens.fontFamily.primary};
+  --diia-font-mono: ${tokens.fontFamily.mono};
+  --diia-font-size-base: ${tokens.fontSize.base}px;
+
   /* Border Radius */
   --diia-radius-sm: ${tokens.radius.sm}px;
   --diia-radius-md: ${tokens.radius.md}px;
   --diia-radius-lg: ${tokens.radius.lg}px;
-  --diia-radius-full: ${tokens.radius.full};
-  
+  --diia-radius-full: ${tokens.radius.full}px;
+
   /* Shadows */
   --diia-shadow-sm: ${tokens.shadows.sm};
   --diia-shadow-md: ${tokens.shadows.md};
   --diia-shadow-lg: ${tokens.shadows.lg};
   --diia-shadow-hologram: ${tokens.shadows.hologram};
-  
+
   /* Animation */
   --diia-duration-fast: ${tokens.animation.duration.fast}ms;
   --diia-duration-base: ${tokens.animation.duration.base}ms;
@@ -367,9 +547,43 @@ export function getDiiaCSSVariables() {
 }
 
 /**
- * Export for browser (non-module)
+ * Merge a partial tree into a copy of base (arrays and primitives replace)
+ * @private
+ * @param {Object} base - Source tree
+ * @param {Object} patch - Partial tree
+ * @returns {Object} New merged tree
+ */
+function deepMerge(base, patch) {
+  const result = { ...base };
+  Object.entries(patch).forEach(([key, value]) => {
+    const current = result[key];
+    const mergeable = (item) => item && typeof item === 'object' && !Array.isArray(item);
+    result[key] = mergeable(value) && mergeable(current) ? deepMerge(current, value) : value;
+  });
+  return result;
+}
+
+/**
+ * Freeze an object and everything it contains
+ * @private
+ * @param {Object} object - Tree to freeze
+ * @returns {Object} The same, frozen tree
  */
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DIIA_TOKENS, DIIA_THEMES, DiiaTokens, getDiiaCSSVariables };
+}
 if (typeof window !== 'undefined') {
   window.DIIA_TOKENS = DIIA_TOKENS;
+  window.DIIA_THEMES = DIIA_THEMES;
+  window.DiiaTokens = DiiaTokens;
   window.getDiiaCSSVariables = getDiiaCSSVariables;
 }
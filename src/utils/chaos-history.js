@@ -48,4 +48,9 @@ class ChaosHistory {
   }
 }
 
-window.ChaosHistory = ChaosHistory;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChaosHistory;
+}
+if (typeof window !== 'undefined') {
+  window.ChaosHistory = ChaosHistory;
+}
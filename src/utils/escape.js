@@ -0,0 +1,218 @@
+/**
+ * Escape - Context-aware escaping for generated markup and source code
+ *
+ * Props reach several output languages: SVG/HTML text and attributes, JS/JSX
+ * Swift, Kotlin and Dart string literals, PostScript and PDF strings. Each context has its own
+ * special characters, so every interpolated value goes through the escaper
+ * for the context it lands in — never a generic "sanitize" pass.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/**
+ * C0 control characters as a character class range; the patterns that
+ * escape them are built with RegExp from it
+ * @const {string}
+ */
+const CONTROL_RANGE = '\\u0000-\\u001F';
+
+/**
+ * C0 controls XML 1.0 forbids (all but tab, LF and CR)
+ * @const {string}
+ */
+const XML_INVALID_CONTROLS = '\\u0000-\\u0008\\u000B\\u000C\\u000E-\\u001F';
+
+/**
+ * Characters not allowed anywhere in XML 1.0 (C0 controls except tab/LF/CR,
+ * lone surrogates, U+FFFE/U+FFFF)
+ * @const {RegExp}
+ */
+const XML_INVALID_CHARS = new RegExp(
+  `[${XML_INVALID_CONTROLS}\\uFFFE\\uFFFF]|[\\uD800-\\uDBFF](?![\\uDC00-\\uDFFF])|(?<![\\uD800-\\uDBFF])[\\uDC00-\\uDFFF]`,
+  'g'
+);
+
+/**
+ * URL schemes allowed in href/src attributes
+ * @const {RegExp}
+ */
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|data:image\/(?:png|jpeg|gif|webp);|[^:]*$)/i;
+
+const Escape = Object.freeze({
+  /**
+   * Escape text content of an XML/HTML element
+   * @param {*} value - Value to escape (null/undefined become '')
+   * @returns {string} Safe element content
+   * @example
+   * `<text>${Escape.xmlText('A < B & C')}</text>` // <text>A &lt; B &amp; C</text>
+   */
+  xmlText(value) {
+    return toText(value)
+      .replace(XML_INVALID_CHARS, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  },
+
+  /**
+   * Escape a double- or single-quoted XML/HTML attribute value
+   * Whitespace controls are encoded so attribute normalization keeps them
+   * @param {*} value - Value to escape (null/undefined become '')
+   * @returns {string} Safe attribute value
+   */
+  xmlAttr(value) {
+    return Escape.xmlText(value)
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replace(/\t/g, '&#9;')
+      .replace(/\n/g, '&#10;')
+      .replace(/\r/g, '&#13;');
+  },
+
+  /**
+   * Escape the contents of a JS/JSX string literal (any quote style)
+   * `</` is broken up so the literal is also safe inside an inline <script>
+   * @param {*} value - Value to escape (null/undefined become '')
+   * @returns {string} Literal contents, without quotes
+   * @example
+   * `{"${Escape.jsString(title)}"}` // JSX expression with a string literal
+   */
+  jsString(value) {
+    return toText(value).replace(new RegExp(`[\\\\"'\`${CONTROL_RANGE}\\u2028\\u2029]|\\$\\{|</`, 'g'), (char) => {
+      switch (char) {
+        case '\\': return '\\\\';
+        case '"': return '\\"';
+        case '\'': return '\\\'';
+        case '`': return '\\`';
+        case '${': return '\\${';
+        case '</': return '<\\/';
+        case '\n': return '\\n';
+        case '\r': return '\\r';
+        case '\t': return '\\t';
+        default: return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+      }
+    });
+  },
+
+  /**
+   * Escape the contents of a Swift string literal ("...")
+   * Escaping the backslash also disables `\(...)` interpolation
+   * @param {*} value - Value to escape (null/undefined become '')
+   * @returns {string} Literal contents, without quotes
+   */
+  swiftString(value) {
+    return toText(value).replace(new RegExp(`[\\\\"${CONTROL_RANGE}]`, 'g'), (char) => {
+      switch (char) {
+        case '\\': return '\\\\';
+        case '"': return '\\"';
+        case '\0': return '\\0';
+        case '\n': return '\\n';
+        case '\r': return '\\r';
+        case '\t': return '\\t';
+        default: return `\\u{${char.charCodeAt(0).toString(16)}}`;
+      }
+    });
+  },
+
+  /**
+   * Escape the contents of a Kotlin string literal ("...")
+   * `$` is escaped so `$name` and `${...}` templates stay literal text
+   * @param {*} value - Value to escape (null/undefined become '')
+   * @returns {string} Literal contents, without quotes
+   */
+  kotlinString(value) {
+    return toText(value).replace(new RegExp(`[\\\\"$${CONTROL_RANGE}]`, 'g'), (char) => {
+      switch (char) {
+        case '\\': return '\\\\';
+        case '"': return '\\"';
+        case '$': return '\\$';
+        case '\n': return '\\n';
+        case '\r': return '\\r';
+        case '\t': return '\\t';
+        case '\b': return '\\b';
+        default: return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+      }
+    });
+  },
+
+  /**
+   * Escape the contents of a single-quoted Dart string literal ('...')
+   * `$` is escaped so `$name` and `${...}` interpolation stays literal text
+   * @param {*} value - Value to escape (null/undefined become '')
+   * @returns {string} Literal contents, without quotes
+   */
+  dartString(value) {
+    return toText(value).replace(new RegExp(`[\\\\'$${CONTROL_RANGE}]`, 'g'), (char) => {
+      switch (char) {
+        case '\\': return '\\\\';
+        case "'": return "\\'";
+        case '$': return '\\$';
+        case '\n': return '\\n';
+        case '\r': return '\\r';
+        case '\t': return '\\t';
+        default: return `\\u{${char.charCodeAt(0).toString(16)}}`;
+      }
+    });
+  },
+
+  /**
+   * Escape the contents of a PostScript or PDF string literal ((...))
+   * The value is a byte string (one char per byte, U+0000-U+00FF); encode
+   * text to the font's bytes first. Parentheses are escaped even when
+   * balanced; controls and bytes above 126 use octal codes, so encoded text
+   * stays ASCII
+   * @param {*} value - Byte string to escape (null/undefined become '')
+   * @returns {string} Literal contents, without parentheses
+   * @throws {RangeError} If a character is above U+00FF
+   */
+  postScriptString(value) {
+    const text = toText(value);
+    const wide = /[\u0100-\uFFFF]/.exec(text);
+    if (wide) {
+      throw new RangeError(`PostScript strings hold bytes, got U+${wide[0].codePointAt(0).toString(16).toUpperCase().padStart(4, '0')} at ${wide.index}`);
+    }
+    return text.replace(new RegExp(`[\\\\()${CONTROL_RANGE}\\u007F-\\u00FF]`, 'g'), (char) => {
+      switch (char) {
+        case '\\': return '\\\\';
+        case '(': return '\\(';
+        case ')': return '\\)';
+        case '\n': return '\\n';
+        case '\r': return '\\r';
+        case '\t': return '\\t';
+        default: return `\\${char.charCodeAt(0).toString(8).padStart(3, '0')}`;
+      }
+    });
+  },
+
+  /**
+   * Sanitize a URL for href/src attributes
+   * Keeps http(s), mailto, raster data URLs and relative URLs; anything else
+   * (javascript:, vbscript:, data:text/html, ...) becomes an empty string
+   * @param {*} value - URL
+   * @returns {string} URL (still needs xmlAttr when written into markup)
+   */
+  url(value) {
+    const url = toText(value).trim();
+    // Browsers ignore whitespace and controls inside the scheme ("java\tscript:")
+    return SAFE_URL_PATTERN.test(url.replace(new RegExp(`[${CONTROL_RANGE}\\u0020\\u007F]`, 'g'), '')) ? url : '';
+  }
+});
+
+/**
+ * Convert a prop value to text
+ * @private
+ * @param {*} value - Any value
+ * @returns {string} Text ('' for null/undefined)
+ */
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Escape;
+}
+if (typeof window !== 'undefined') {
+  window.Escape = Escape;
+}
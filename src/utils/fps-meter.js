@@ -75,4 +75,9 @@ class FPSMeter {
   }
 }
 
-window.FPSMeter = FPSMeter;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FPSMeter;
+}
+if (typeof window !== 'undefined') {
+  window.FPSMeter = FPSMeter;
+}
@@ -156,4 +156,6 @@ class LLMCostCalculator {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LLMCostCalculator;
 }
-window.LLMCostCalculator = LLMCostCalculator;
+if (typeof window !== 'undefined') {
+  window.LLMCostCalculator = LLMCostCalculator;
+}
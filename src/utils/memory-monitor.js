@@ -102,4 +102,6 @@ class MemoryMonitor {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = MemoryMonitor;
 }
-window.MemoryMonitor = MemoryMonitor;
+if (typeof window !== 'undefined') {
+  window.MemoryMonitor = MemoryMonitor;
+}
@@ -6,7 +6,7 @@
  * @version 1.0.0
  */
 
-export class PatternDetector {
+class PatternDetector {
   constructor() {
     this.patterns = [];
   }
@@ -219,3 +219,10 @@ export class PatternDetector {
     return mostCommon;
   }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PatternDetector;
+}
+if (typeof window !== 'undefined') {
+  window.PatternDetector = PatternDetector;
+}
@@ -0,0 +1,685 @@
+/**
+ * QR Encoder - Self-contained QR Code Model 2 generator
+ *
+ * Implements ISO/IEC 18004: numeric, alphanumeric and byte (UTF-8) modes,
+ * versions 1-40, error correction levels L/M/Q/H, Reed-Solomon codes over
+ * GF(256) and automatic mask selection by penalty score. The module matrix
+ * is emitted as a single <path> with horizontal runs merged, so a card QR
+ * costs one DOM node.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} QRMatrix
+ * @property {number} version - QR version (1-40)
+ * @property {number} size - Modules per side (17 + 4 * version)
+ * @property {'L'|'M'|'Q'|'H'} ecLevel - Error correction level
+ * @property {number} mask - Applied mask pattern (0-7)
+ * @property {'numeric'|'alphanumeric'|'byte'} mode - Data encoding mode
+ * @property {boolean[][]} modules - modules[y][x], true = dark
+ */
+
+/**
+ * Error correction levels: format bits and table row
+ * @const {Object<string, {bits: number, index: number}>}
+ */
+const QR_EC_LEVELS = Object.freeze({
+  L: { bits: 1, index: 0 },
+  M: { bits: 0, index: 1 },
+  Q: { bits: 3, index: 2 },
+  H: { bits: 2, index: 3 }
+});
+
+/**
+ * Error correction codewords per block, indexed [level][version]
+ * @const {number[][]}
+ */
+const QR_ECC_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/**
+ * Number of error correction blocks, indexed [level][version]
+ * @const {number[][]}
+ */
+const QR_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/**
+ * Data modes: mode indicator and character count bits per version range
+ * (1-9, 10-26, 27-40)
+ * @const {Object<string, {indicator: number, countBits: number[]}>}
+ */
+const QR_MODES = Object.freeze({
+  numeric: { indicator: 0x1, countBits: [10, 12, 14] },
+  alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+  byte: { indicator: 0x4, countBits: [8, 16, 16] }
+});
+
+/**
+ * Alphanumeric mode character set (value = index)
+ * @const {string}
+ */
+const QR_ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+/**
+ * Mask predicates: true inverts the module at (x, y)
+ * @const {Function[]}
+ */
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const QREncoder = Object.freeze({
+  EC_LEVELS: Object.keys(QR_EC_LEVELS),
+  MIN_VERSION: 1,
+  MAX_VERSION: 40,
+
+  /**
+   * Encode text into a QR module matrix
+   *
+   * @param {string} text - Text to encode (UTF-8 in byte mode)
+   * @param {Object} [options={}] - Encoding options
+   * @param {'L'|'M'|'Q'|'H'} [options.ecLevel='M'] - Error correction level
+   * @param {number} [options.minVersion=1] - Smallest version to consider
+   * @param {number} [options.maxVersion=40] - Largest version to consider
+   * @param {number} [options.mask] - Force a mask pattern (0-7), best by default
+   * @returns {QRMatrix} Encoded symbol
+   * @throws {TypeError} If text is not a string or ecLevel is unknown
+   * @throws {RangeError} If the data does not fit the allowed versions
+   */
+  encode(text, options = {}) {
+    const { ecLevel = 'M', minVersion = 1, maxVersion = 40, mask } = options;
+    if (typeof text !== 'string') {
+      throw new TypeError(`QR text must be a string, got ${typeof text}`);
+    }
+    if (!QR_EC_LEVELS[ecLevel]) {
+      throw new TypeError(`Unknown QR error correction level "${ecLevel}", expected L, M, Q or H`);
+    }
+    if (!(minVersion >= 1 && minVersion <= maxVersion && maxVersion <= 40)) {
+      throw new RangeError(`Invalid QR version range ${minVersion}-${maxVersion}`);
+    }
+    if (mask !== undefined && !(Number.isInteger(mask) && mask >= 0 && mask <= 7)) {
+      throw new RangeError(`QR mask must be an integer 0-7, got ${mask}`);
+    }
+
+    const mode = QREncoder.detectMode(text);
+    const data = mode === 'byte' ? utf8Bytes(text) : text;
+
+    // Smallest version whose capacity fits the segment
+    let version = minVersion;
+    let bits;
+    for (; ; version++) {
+      bits = encodeSegment(mode, data, version);
+      if (bits.length <= dataCodewordCount(version, ecLevel) * 8) break;
+      if (version >= maxVersion) {
+        throw new RangeError(
+          `Data too long for QR version ${maxVersion}-${ecLevel} (${bits.length} bits)`
+        );
+      }
+    }
+
+    // Terminator, byte alignment and pad bytes
+    const capacity = dataCodewordCount(version, ecLevel) * 8;
+    appendBits(bits, 0, Math.min(4, capacity - bits.length));
+    appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+      appendBits(bits, pad, 8);
+    }
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const symbol = new QRSymbol(version, ecLevel);
+    symbol.drawCodewords(addErrorCorrection(codewords, version, ecLevel));
+
+    let bestMask = mask;
+    if (bestMask === undefined) {
+      let minPenalty = Infinity;
+      for (let candidate = 0; candidate < 8; candidate++) {
+        symbol.applyMask(candidate);
+        symbol.drawFormatBits(candidate);
+        const penalty = symbol.penalty();
+        if (penalty < minPenalty) {
+          bestMask = candidate;
+          minPenalty = penalty;
+        }
+        symbol.applyMask(candidate); // XOR again to undo
+      }
+    }
+    symbol.applyMask(bestMask);
+    symbol.drawFormatBits(bestMask);
+
+    return { version, size: symbol.size, ecLevel, mask: bestMask, mode, modules: symbol.modules };
+  },
+
+  /**
+   * Pick the most compact mode able to represent the whole text
+   * @param {string} text - Text to encode
+   * @returns {'numeric'|'alphanumeric'|'byte'} Mode name
+   */
+  detectMode(text) {
+    if (/^[0-9]*$/.test(text)) return 'numeric';
+    if ([...text].every((char) => QR_ALPHANUMERIC.includes(char))) return 'alphanumeric';
+    return 'byte';
+  },
+
+  /**
+   * Convert a module matrix into compact SVG path data
+   * Horizontal runs of dark modules become one rectangle each
+   *
+   * @param {QRMatrix} qr - Encoded symbol
+   * @param {Object} [options={}] - Placement
+   * @param {number} [options.x=0] - Left edge of the symbol
+   * @param {number} [options.y=0] - Top edge of the symbol
+   * @param {number} [options.moduleSize=1] - Size of one module
+   * @param {number} [options.margin=0] - Quiet zone in modules (inside x/y)
+   * @returns {string} Path data
+   */
+  toPathData(qr, options = {}) {
+    const { x = 0, y = 0, moduleSize = 1, margin = 0 } = options;
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const parts = [];
+
+    qr.modules.forEach((row, r) => {
+      let c = 0;
+      while (c < qr.size) {
+        if (!row[c]) {
+          c++;
+          continue;
+        }
+        const start = c;
+        while (c < qr.size && row[c]) c++;
+        const left = round(x + (start + margin) * moduleSize);
+        const top = round(y + (r + margin) * moduleSize);
+        const width = round((c - start) * moduleSize);
+        parts.push(`M${left} ${top}h${width}v${round(moduleSize)}h-${width}z`);
+      }
+    });
+
+    return parts.join('');
+  },
+
+  /**
+   * Render text as a standalone SVG QR code
+   *
+   * @param {string} text - Text to encode
+   * @param {Object} [options={}] - Encoding and drawing options
+   * @param {number} [options.size=200] - Output width/height in px
+   * @param {number} [options.margin=4] - Quiet zone in modules
+   * @param {string} [options.color='#000000'] - Module color
+   * @param {string} [options.background='#FFFFFF'] - Background color
+   * @param {string} [options.label='QR код'] - Accessible name
+   * @returns {string} SVG markup
+   */
+  toSVG(text, options = {}) {
+    const {
+      size = 200,
+      margin = 4,
+      color = '#000000',
+      background = '#FFFFFF',
+      label = 'QR код'
+    } = options;
+    const qr = QREncoder.encode(text, options);
+    const units = qr.size + margin * 2;
+    const d = QREncoder.toPathData(qr, { margin });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${units} ${units}" width="${size}" height="${size}" role="img" aria-label="${label}" shape-rendering="crispEdges"><rect width="${units}" height="${units}" fill="${background}"/><path d="${d}" fill="${color}"/></svg>`;
+  }
+});
+
+/**
+ * Mutable symbol under construction (function patterns + data)
+ * @private
+ */
+class QRSymbol {
+  /**
+   * @param {number} version - QR version
+   * @param {'L'|'M'|'Q'|'H'} ecLevel - Error correction level
+   */
+  constructor(version, ecLevel) {
+    this.version = version;
+    this.ecLevel = ecLevel;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.drawFunctionPatterns();
+  }
+
+  /**
+   * Set a function (non-data) module
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark - Module color
+   * @returns {void}
+   */
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  /**
+   * Draw timing, finder and alignment patterns plus reserved format/version areas
+   * @returns {void}
+   */
+  drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            this.setFunction(x, y, dist !== 2 && dist !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        // Skip the three corners occupied by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  /**
+   * Draw the 15 format bits (level + mask) twice, and the dark module
+   * @param {number} mask - Mask pattern
+   * @returns {void}
+   */
+  drawFormatBits(mask) {
+    const data = (QR_EC_LEVELS[this.ecLevel].bits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const size = this.size;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  /**
+   * Draw the 18-bit version information blocks (version 7 and up)
+   * @returns {void}
+   */
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  /**
+   * Place codeword bits in the zigzag order
+   * @param {number[]} codewords - Interleaved data + EC codewords
+   * @returns {void}
+   */
+  drawCodewords(codewords) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask pattern over the data modules (applying twice undoes it)
+   * @param {number} mask - Mask pattern
+   * @returns {void}
+   */
+  applyMask(mask) {
+    const predicate = QR_MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && predicate(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score used to choose the mask (rules N1-N4 of the standard)
+   * @returns {number} Penalty (lower is better)
+   */
+  penalty() {
+    const size = this.size;
+    const m = this.modules;
+    let result = 0;
+
+    const scanLine = (get) => {
+      let runColor = false;
+      let runLength = 0;
+      const history = [0, 0, 0, 0, 0, 0, 0];
+      for (let i = 0; i < size; i++) {
+        if (get(i) === runColor) {
+          runLength++;
+          if (runLength === 5) result += 3;
+          else if (runLength > 5) result++;
+        } else {
+          finderHistoryAdd(runLength, history, size);
+          if (!runColor) result += finderPatternCount(history) * 40;
+          runColor = get(i);
+          runLength = 1;
+        }
+      }
+      // Terminate the line as if followed by light modules
+      if (runColor) {
+        finderHistoryAdd(runLength, history, size);
+        runLength = 0;
+      }
+      finderHistoryAdd(runLength + size, history, size);
+      result += finderPatternCount(history) * 40;
+    };
+
+    for (let y = 0; y < size; y++) scanLine((x) => m[y][x]);
+    for (let x = 0; x < size; x++) scanLine((y) => m[y][x]);
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = m[y][x];
+        if (color === m[y][x + 1] && color === m[y + 1][x] && color === m[y + 1][x + 1]) {
+          result += 3;
+        }
+      }
+    }
+
+    const dark = m.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return result;
+  }
+}
+
+/**
+ * Push the low `length` bits of value, most significant first
+ * @private
+ * @param {number[]} bits - Bit buffer
+ * @param {number} value - Value to append
+ * @param {number} length - Number of bits
+ * @returns {void}
+ */
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+/**
+ * UTF-8 encode a string
+ * @private
+ * @param {string} text - Text
+ * @returns {number[]} Bytes
+ */
+function utf8Bytes(text) {
+  return [...new TextEncoder().encode(text)];
+}
+
+/**
+ * Encode one data segment (mode indicator, count and payload) for a version
+ * @private
+ * @param {string} mode - Mode name
+ * @param {string|number[]} data - Text (numeric/alphanumeric) or bytes
+ * @param {number} version - Version (selects the count field width)
+ * @returns {number[]} Bit buffer
+ */
+function encodeSegment(mode, data, version) {
+  const { indicator, countBits } = QR_MODES[mode];
+  const bits = [];
+  appendBits(bits, indicator, 4);
+  appendBits(bits, data.length, countBits[version < 10 ? 0 : version < 27 ? 1 : 2]);
+
+  if (mode === 'numeric') {
+    for (let i = 0; i < data.length; i += 3) {
+      const chunk = data.slice(i, i + 3);
+      appendBits(bits, parseInt(chunk, 10), chunk.length * 3 + 1);
+    }
+  } else if (mode === 'alphanumeric') {
+    for (let i = 0; i < data.length; i += 2) {
+      const first = QR_ALPHANUMERIC.indexOf(data[i]);
+      if (i + 1 < data.length) {
+        appendBits(bits, first * 45 + QR_ALPHANUMERIC.indexOf(data[i + 1]), 11);
+      } else {
+        appendBits(bits, first, 6);
+      }
+    }
+  } else {
+    data.forEach((byte) => appendBits(bits, byte, 8));
+  }
+  return bits;
+}
+
+/**
+ * Centers of alignment patterns for a version
+ * @private
+ * @param {number} version - QR version
+ * @returns {number[]} Row/column coordinates
+ */
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [];
+  for (let pos = size - 7; result.length < count - 1; pos -= step) {
+    result.unshift(pos);
+  }
+  result.unshift(6);
+  return result;
+}
+
+/**
+ * Modules available for data + EC codewords (after function patterns)
+ * @private
+ * @param {number} version - QR version
+ * @returns {number} Module count
+ */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const count = Math.floor(version / 7) + 2;
+    result -= (25 * count - 10) * count - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Data codewords available for a version and level
+ * @private
+ * @param {number} version - QR version
+ * @param {'L'|'M'|'Q'|'H'} ecLevel - Error correction level
+ * @returns {number} Codeword count
+ */
+function dataCodewordCount(version, ecLevel) {
+  const level = QR_EC_LEVELS[ecLevel].index;
+  return Math.floor(rawDataModules(version) / 8) -
+    QR_ECC_PER_BLOCK[level][version] * QR_ECC_BLOCKS[level][version];
+}
+
+/**
+ * Split data into blocks, append Reed-Solomon codes and interleave
+ * @private
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR version
+ * @param {'L'|'M'|'Q'|'H'} ecLevel - Error correction level
+ * @returns {number[]} Final codeword sequence
+ */
+function addErrorCorrection(data, version, ecLevel) {
+  const level = QR_EC_LEVELS[ecLevel].index;
+  const numBlocks = QR_ECC_BLOCKS[level][version];
+  const eccLength = QR_ECC_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0); // placeholder, skipped below
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @private
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial of a degree (leading 1 omitted)
+ * @private
+ * @param {number} degree - Number of EC codewords
+ * @returns {number[]} Coefficients
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon remainder of data divided by the generator
+ * @private
+ * @param {number[]} data - Data codewords
+ * @param {number[]} divisor - Generator coefficients
+ * @returns {number[]} EC codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Record a run length for the finder-like pattern rule
+ * @private
+ * @param {number} length - Run length
+ * @param {number[]} history - Last seven run lengths (newest first)
+ * @param {number} size - Symbol size (light border for the first run)
+ * @returns {void}
+ */
+function finderHistoryAdd(length, history, size) {
+  history.pop();
+  history.unshift(history[0] === 0 ? length + size : length);
+}
+
+/**
+ * Count 1:1:3:1:1 finder-like patterns with 4 light modules on a side
+ * @private
+ * @param {number[]} history - Run history
+ * @returns {number} 0, 1 or 2
+ */
+function finderPatternCount(history) {
+  const n = history[1];
+  const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+  return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+    (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QREncoder;
+}
+if (typeof window !== 'undefined') {
+  window.QREncoder = QREncoder;
+}
@@ -0,0 +1,73 @@
+/**
+ * SVG IDs - Collision-free IDs for <defs> shared by many SVGs in one page
+ *
+ * Inline SVGs share the document's ID namespace, so two screens that both
+ * define `id="shadow"` make every `url(#shadow)` resolve to the first one.
+ * Definitions are scoped either by an explicit per-render prefix or, by
+ * default, by a hash of their markup: equal definitions get equal IDs (safe
+ * to deduplicate), different ones never clash, and output stays
+ * deterministic.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/**
+ * Valid ID prefix: XML name characters, starting with a letter or underscore
+ * @const {RegExp}
+ */
+const SVG_ID_PREFIX_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+const SvgIds = Object.freeze({
+  /**
+   * Short content hash (32-bit FNV-1a, base 36)
+   * @param {string} text - Content to hash
+   * @returns {string} Hash, at most 7 characters
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  },
+
+  /**
+   * Check a per-render ID prefix
+   * @param {*} prefix - Prefix to validate
+   * @throws {TypeError} If prefix is not a valid XML ID start
+   * @returns {void}
+   */
+  validatePrefix(prefix) {
+    if (typeof prefix !== 'string' || !SVG_ID_PREFIX_PATTERN.test(prefix)) {
+      throw new TypeError(`ID prefix must start with a letter or "_" and contain only letters, digits, "_" or "-", got "${prefix}"`);
+    }
+  },
+
+  /**
+   * Scope a local definition ID
+   *
+   * @param {string} id - Local ID as written in the source (e.g. "shadow")
+   * @param {string} content - Definition markup, hashed when there is no prefix
+   * @param {string} [prefix] - Per-render prefix; replaces the content hash
+   * @returns {string} Document-unique ID
+   * @example
+   * SvgIds.scope('shadow', '<filter>…</filter>');       // "shadow-1k3f9qz"
+   * SvgIds.scope('shadow', '<filter>…</filter>', 'c2'); // "c2-shadow"
+   */
+  scope(id, content, prefix) {
+    if (prefix) {
+      return `${prefix}-${id}`;
+    }
+    return `${id}-${SvgIds.hash(content)}`;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgIds;
+}
+if (typeof window !== 'undefined') {
+  window.SvgIds = SvgIds;
+}
@@ -0,0 +1,355 @@
+/**
+ * SVG Tree - XML parsing, serialization and reference tracking for SVG
+ *
+ * A small non-validating XML parser that behaves the same in the browser and
+ * in Node (no DOMParser there), so SVG can be transformed as a tree instead
+ * of with regexes. Entities are decoded on parse, including the ones Adobe
+ * Illustrator declares in its DOCTYPE (`&ns_svg;`), and re-escaped on output.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ */
+
+/* global Escape */
+
+/**
+ * A parsed node
+ * @typedef {Object} SvgTreeNode
+ * @property {'document'|'element'|'text'|'cdata'|'comment'|'instruction'|'doctype'} type - Node kind
+ * @property {string} [name] - Element or processing instruction name
+ * @property {Object<string, string>} [attributes] - Element attributes, in source order
+ * @property {SvgTreeNode[]} [children] - Child nodes (document and elements)
+ * @property {string} [value] - Text, CDATA, comment, instruction or DOCTYPE content
+ */
+
+/**
+ * Predefined XML entities
+ * @const {Object<string, string>}
+ */
+const SVG_TREE_ENTITIES = Object.freeze({ amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' });
+
+/**
+ * Longest text entity expansion may produce, against entity bombs
+ * @const {number}
+ */
+const SVG_TREE_MAX_EXPANSION = 1000000;
+
+/**
+ * Attributes whose value is a list of element IDs
+ * @const {Set<string>}
+ */
+const SVG_TREE_ID_LIST_ATTRIBUTES = new Set([
+  'aria-labelledby', 'aria-describedby', 'aria-owns', 'aria-controls', 'aria-flowto',
+  'aria-activedescendant', 'aria-details', 'aria-errormessage'
+]);
+
+/**
+ * XML name
+ * @const {RegExp}
+ */
+const SVG_TREE_NAME = /[A-Za-z_:\u00C0-\uFFFF][\w.:\u00B7\u00C0-\uFFFF-]*/y;
+
+/**
+ * Parse error with the line and column it was found at
+ * @private
+ */
+function svgTreeError(source, index, message) {
+  const before = source.slice(0, index).split('\n');
+  return new SyntaxError(`${message} at line ${before.length}, column ${before[before.length - 1].length + 1}`);
+}
+
+const SvgTree = Object.freeze({
+  /**
+   * Parse an XML document
+   *
+   * @param {string} source - XML (an SVG file, or a fragment with one or more elements)
+   * @returns {SvgTreeNode} Document node
+   * @throws {TypeError} If source is not a string
+   * @throws {SyntaxError} If the markup is not well-formed
+   * @example
+   * SvgTree.parse('<svg><rect width="10"/></svg>').children[0].children[0].attributes.width; // "10"
+   */
+  parse(source) {
+    if (typeof source !== 'string') {
+      throw new TypeError(`SVG source must be a string, got ${typeof source}`);
+    }
+    const document = { type: 'document', children: [] };
+    const stack = [document];
+    const entities = { ...SVG_TREE_ENTITIES };
+    let expanded = 0;
+    let i = 0;
+
+    const name = () => {
+      SVG_TREE_NAME.lastIndex = i;
+      const match = SVG_TREE_NAME.exec(source);
+      if (!match) {
+        throw svgTreeError(source, i, 'Expected a name');
+      }
+      i = SVG_TREE_NAME.lastIndex;
+      return match[0];
+    };
+    const skipSpace = () => {
+      while (i < source.length && /\s/.test(source[i])) i++;
+    };
+    const decode = (text, at, depth = 0) => text.replace(/&([^;&\s]*);|&/g, (match, entity) => {
+      if (entity === undefined) {
+        throw svgTreeError(source, at, 'Unescaped "&"');
+      }
+      const numeric = /^#(x[0-9a-f]+|\d+)$/i.exec(entity);
+      if (numeric) {
+        const code = numeric[1][0] === 'x' || numeric[1][0] === 'X' ? parseInt(numeric[1].slice(1), 16) : Number(numeric[1]);
+        if (code > 0x10FFFF) {
+          throw svgTreeError(source, at, `Invalid character reference "${match}"`);
+        }
+        return String.fromCodePoint(code);
+      }
+      if (!Object.prototype.hasOwnProperty.call(entities, entity)) {
+        throw svgTreeError(source, at, `Unknown entity "${match}"`);
+      }
+      if (depth > 8) {
+        throw svgTreeError(source, at, `Entity "${match}" refers to itself`);
+      }
+      const value = SVG_TREE_ENTITIES[entity] === undefined ? decode(entities[entity], at, depth + 1) : entities[entity];
+      expanded += value.length;
+      if (expanded > SVG_TREE_MAX_EXPANSION) {
+        throw svgTreeError(source, at, 'Entity expansion too large');
+      }
+      return value;
+    });
+    const append = (node) => stack[stack.length - 1].children.push(node);
+    const until = (end, what) => {
+      const at = source.indexOf(end, i);
+      if (at < 0) {
+        throw svgTreeError(source, i, `Unterminated ${what}`);
+      }
+      const value = source.slice(i, at);
+      i = at + end.length;
+      return value;
+    };
+
+    while (i < source.length) {
+      if (source[i] !== '<') {
+        const start = i;
+        const end = source.indexOf('<', i);
+        i = end < 0 ? source.length : end;
+        const text = source.slice(start, i);
+        if (stack.length === 1 && text.trim()) {
+          throw svgTreeError(source, start, 'Text outside the root element');
+        }
+        append({ type: 'text', value: decode(text, start) });
+        continue;
+      }
+      const start = i;
+      if (source.startsWith('<!--', i)) {
+        i += 4;
+        append({ type: 'comment', value: until('-->', 'comment') });
+      } else if (source.startsWith('<![CDATA[', i)) {
+        i += 9;
+        append({ type: 'cdata', value: until(']]>', 'CDATA section') });
+      } else if (source.startsWith('<!DOCTYPE', i)) {
+        i += 9;
+        const open = source.indexOf('[', i);
+        const close = source.indexOf('>', i);
+        if (close < 0) {
+          throw svgTreeError(source, start, 'Unterminated DOCTYPE');
+        }
+        if (open >= 0 && open < close) {
+          // Internal subset: general entities are collected, everything else skipped
+          const subsetEnd = source.indexOf(']', open);
+          const end = subsetEnd < 0 ? -1 : source.indexOf('>', subsetEnd);
+          if (end < 0) {
+            throw svgTreeError(source, start, 'Unterminated DOCTYPE');
+          }
+          for (const [, entity, double, single] of source.slice(open + 1, subsetEnd).matchAll(/<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g)) {
+            if (!Object.prototype.hasOwnProperty.call(entities, entity)) {
+              entities[entity] = double === undefined ? single : double;
+            }
+          }
+          append({ type: 'doctype', value: source.slice(start + 9, end).trim() });
+          i = end + 1;
+        } else {
+          append({ type: 'doctype', value: source.slice(i, close).trim() });
+          i = close + 1;
+        }
+      } else if (source.startsWith('<?', i)) {
+        i += 2;
+        const target = name();
+        append({ type: 'instruction', name: target, value: until('?>', 'processing instruction').trim() });
+      } else if (source.startsWith('</', i)) {
+        i += 2;
+        const closing = name();
+        skipSpace();
+        if (source[i] !== '>') {
+          throw svgTreeError(source, i, `Expected ">" after "</${closing}"`);
+        }
+        i++;
+        const open = stack[stack.length - 1];
+        if (open.type !== 'element' || open.name !== closing) {
+          throw svgTreeError(source, start, open.type === 'element' ? `Expected "</${open.name}>", found "</${closing}>"` : `Unexpected "</${closing}>"`);
+        }
+        stack.pop();
+      } else {
+        i++;
+        const element = { type: 'element', name: name(), attributes: {}, children: [] };
+        for (;;) {
+          const space = i;
+          skipSpace();
+          if (source.startsWith('/>', i)) {
+            i += 2;
+            append(element);
+            break;
+          }
+          if (source[i] === '>') {
+            i++;
+            append(element);
+            stack.push(element);
+            break;
+          }
+          if (i === space || i >= source.length) {
+            throw svgTreeError(source, i, `Malformed <${element.name}> tag`);
+          }
+          const attribute = name();
+          skipSpace();
+          if (source[i] !== '=') {
+            throw svgTreeError(source, i, `Attribute "${attribute}" has no value`);
+          }
+          i++;
+          skipSpace();
+          const quote = source[i];
+          if (quote !== '"' && quote !== '\'') {
+            throw svgTreeError(source, i, `Attribute "${attribute}" value must be quoted`);
+          }
+          if (Object.prototype.hasOwnProperty.call(element.attributes, attribute)) {
+            throw svgTreeError(source, i, `Duplicate attribute "${attribute}"`);
+          }
+          const valueStart = ++i;
+          const raw = until(quote, `"${attribute}" attribute`);
+          if (raw.includes('<')) {
+            throw svgTreeError(source, valueStart, `"<" in "${attribute}" attribute`);
+          }
+          // Attribute value normalization: whitespace characters become spaces
+          element.attributes[attribute] = decode(raw.replace(/[\t\n\r]/g, ' '), valueStart);
+        }
+      }
+    }
+    if (stack.length > 1) {
+      throw svgTreeError(source, source.length, `Unclosed <${stack[stack.length - 1].name}>`);
+    }
+    if (!document.children.some((node) => node.type === 'element')) {
+      throw svgTreeError(source, source.length, 'No root element');
+    }
+    return document;
+  },
+
+  /**
+   * Write a tree back as XML, without added whitespace
+   *
+   * @param {SvgTreeNode} node - Document, element or any other node
+   * @returns {string} Markup
+   * @example
+   * SvgTree.serialize(SvgTree.parse('<svg  ><text>A &amp; B</text></svg>')); // "<svg><text>A &amp; B</text></svg>"
+   */
+  serialize(node) {
+    switch (node.type) {
+      case 'document':
+        return node.children.map((child) => SvgTree.serialize(child)).join('');
+      case 'text':
+        return Escape.xmlText(node.value);
+      case 'cdata':
+        return `<![CDATA[${node.value}]]>`;
+      case 'comment':
+        return `<!--${node.value}-->`;
+      case 'instruction':
+        return `<?${node.name}${node.value ? ` ${node.value}` : ''}?>`;
+      case 'doctype':
+        return `<!DOCTYPE ${node.value}>`;
+      default: {
+        const attributes = Object.keys(node.attributes).map((key) => ` ${key}="${Escape.xmlAttr(node.attributes[key])}"`).join('');
+        return node.children.length
+          ? `<${node.name}${attributes}>${node.children.map((child) => SvgTree.serialize(child)).join('')}</${node.name}>`
+          : `<${node.name}${attributes}/>`;
+      }
+    }
+  },
+
+  /**
+   * Visit every element, parents before their children
+   *
+   * @param {SvgTreeNode} node - Document or element to start from
+   * @param {function(SvgTreeNode, ?SvgTreeNode): (boolean|void)} visit - Called with each element and its parent element;
+   *   returning false skips the element's children
+   * @returns {void}
+   */
+  walk(node, visit) {
+    const step = (current, parent) => {
+      (current.children || []).forEach((child) => {
+        if (child.type === 'element' && visit(child, parent) !== false) {
+          step(child, child);
+        }
+      });
+    };
+    step(node, node.type === 'element' ? node : null);
+  },
+
+  /**
+   * Text of a node and its descendants (text and CDATA)
+   *
+   * @param {SvgTreeNode} node - Node
+   * @returns {string} Text content
+   */
+  textContent(node) {
+    if (node.type === 'text' || node.type === 'cdata') {
+      return node.value;
+    }
+    return (node.children || []).map((child) => SvgTree.textContent(child)).join('');
+  },
+
+  /**
+   * IDs the document refers to: `url(#id)` in attributes and style sheets,
+   * `href="#id"`, animation timing (`begin="fade.end"`), ARIA ID lists and
+   * `#id` selectors
+   *
+   * @param {SvgTreeNode} root - Document or element
+   * @returns {Set<string>} Referenced IDs
+   * @example
+   * SvgTree.references(SvgTree.parse('<svg><rect fill="url(#g)"/><use href="#icon"/></svg>')); // Set {"g", "icon"}
+   */
+  references(root) {
+    const ids = new Set();
+    const urls = (text) => {
+      for (const [, id] of String(text).matchAll(/url\(\s*["']?#([^"')\s]+)["']?\s*\)/g)) {
+        ids.add(id);
+      }
+    };
+    SvgTree.walk(root, (element) => {
+      Object.keys(element.attributes).forEach((key) => {
+        const value = element.attributes[key];
+        urls(value);
+        if ((key === 'href' || key.endsWith(':href')) && value.trim().startsWith('#')) {
+          ids.add(value.trim().slice(1));
+        } else if (key === 'begin' || key === 'end') {
+          for (const [, id] of value.matchAll(/(?:^|[;\s])([A-Za-z_][\w-]*)\.[A-Za-z]/g)) {
+            ids.add(id);
+          }
+        } else if (SVG_TREE_ID_LIST_ATTRIBUTES.has(key)) {
+          value.split(/\s+/).filter(Boolean).forEach((id) => ids.add(id));
+        }
+      });
+      if (element.name === 'style') {
+        // Selectors and url() alike; hex colors only add IDs that are kept for nothing
+        for (const [, id] of SvgTree.textContent(element).matchAll(/#([A-Za-z_][\w-]*)/g)) {
+          ids.add(id);
+        }
+      }
+    });
+    return ids;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgTree;
+}
+if (typeof window !== 'undefined') {
+  window.SvgTree = SvgTree;
+}
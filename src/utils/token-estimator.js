@@ -6,7 +6,7 @@
  * @version 1.0.0
  */
 
-export class TokenEstimator {
+class TokenEstimator {
   constructor() {
     // Token-to-character ratios (approximate)
     this.ratios = {
@@ -151,3 +151,10 @@ export class TokenEstimator {
     return breakdown;
   }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenEstimator;
+}
+if (typeof window !== 'undefined') {
+  window.TokenEstimator = TokenEstimator;
+}
@@ -0,0 +1,215 @@
+/**
+ * ZIP Writer - Archives built in the browser, without a server or a library
+ *
+ * Writes stored (uncompressed) ZIP entries with UTF-8 names, which every
+ * unzip tool and OS file manager opens. Entries carry a fixed timestamp
+ * unless one is given, so the same files always give the same archive bytes.
+ * Also hashes file contents (SHA-256) for manifests.
+ *
+ * @version 1.0.0
+ * @author 010io (Igor Omelchenko)
+ * @license MIT
+ * @see https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ * @const {Uint32Array}
+ */
+const ZIP_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * SHA-256 round constants
+ * @const {Uint32Array}
+ */
+const ZIP_SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Bytes of a string (UTF-8) or byte array
+ * @private
+ * @param {string|Uint8Array} content - Content
+ * @returns {Uint8Array} Bytes
+ */
+function zipBytes(content) {
+  return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+}
+
+/**
+ * MS-DOS time and date fields of a timestamp (local time, 2-second steps, from 1980)
+ * @private
+ * @param {Date} date - Timestamp
+ * @returns {{time: number, date: number}} Packed fields
+ */
+function zipDosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const ZipWriter = Object.freeze({
+  /**
+   * CRC-32 checksum, as stored in ZIP headers
+   *
+   * @param {string|Uint8Array} content - Text (hashed as UTF-8) or bytes
+   * @returns {number} Unsigned 32-bit checksum
+   * @example
+   * ZipWriter.crc32('The quick brown fox jumps over the lazy dog'); // 0x414FA339
+   */
+  crc32(content) {
+    const bytes = zipBytes(content);
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  /**
+   * SHA-256 digest (synchronous, unlike crypto.subtle)
+   *
+   * @param {string|Uint8Array} content - Text (hashed as UTF-8) or bytes
+   * @returns {string} Lowercase hex digest
+   * @example
+   * ZipWriter.sha256('abc'); // 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+   */
+  sha256(content) {
+    const bytes = zipBytes(content);
+    // Message, a 1 bit, zeros and the bit length, in 64-byte blocks
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const message = new Uint8Array(length);
+    message.set(bytes);
+    message[bytes.length] = 0x80;
+    const view = new DataView(message.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+    const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < length; offset += 64) {
+      for (let i = 0; i < 16; i++) {
+        w[i] = view.getUint32(offset + i * 4);
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+      let [a, b, c, d, e, f, g, h] = hash;
+      for (let i = 0; i < 64; i++) {
+        const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + ZIP_SHA256_K[i] + w[i]) >>> 0;
+        const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+        [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+      }
+      [a, b, c, d, e, f, g, h].forEach((value, i) => {
+        hash[i] = (hash[i] + value) >>> 0;
+      });
+    }
+    return [...hash].map((word) => word.toString(16).padStart(8, '0')).join('');
+  },
+
+  /**
+   * Write a ZIP archive
+   *
+   * @param {{path: string, content: string|Uint8Array}[]} files - Entries; text is stored as UTF-8,
+   *   paths use forward slashes ("flutter/diia_tokens.dart")
+   * @param {Object} [options={}] - Archive options
+   * @param {Date} [options.date] - Modification time of every entry (default 1980-01-01, for repeatable output)
+   * @returns {Uint8Array} Archive bytes
+   * @throws {TypeError} If a path is not a string, is empty, absolute, climbs out with "..", or repeats
+   * @throws {RangeError} If the archive needs ZIP64 (over 65535 entries or 4 GB)
+   * @example
+   * const zip = ZipWriter.write([{ path: 'manifest.json', content: '{}' }]);
+   * new Blob([zip], { type: 'application/zip' });
+   */
+  write(files, options = {}) {
+    const stamp = zipDosDateTime(options.date || new Date(1980, 0, 1));
+    const seen = new Set();
+    const entries = files.map(({ path: name, content }) => {
+      if (typeof name !== 'string' || !name || name.startsWith('/') || name.split(/[\\/]/).includes('..') || /^[a-z]:/i.test(name)) {
+        throw new TypeError(`Invalid archive path "${name}"`);
+      }
+      if (seen.has(name)) {
+        throw new TypeError(`Duplicate archive path "${name}"`);
+      }
+      seen.add(name);
+      const data = zipBytes(content);
+      return { name: zipBytes(name.replace(/\\/g, '/')), data, crc: ZipWriter.crc32(data) };
+    });
+    if (entries.length > 0xFFFF) {
+      throw new RangeError(`A ZIP archive holds at most 65535 entries, got ${entries.length}`);
+    }
+
+    const size = entries.reduce((sum, { name, data }) => sum + 76 + 2 * name.length + data.length, 22);
+    if (size > 0xFFFFFFFF) {
+      throw new RangeError('Archive is over 4 GB');
+    }
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+    const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+    const put = (data) => { bytes.set(data, offset); offset += data.length; };
+    // Version 2.0, UTF-8 names (flag bit 11), stored
+    const header = ({ name, data, crc }) => {
+      u16(20); u16(0x0800); u16(0);
+      u16(stamp.time); u16(stamp.date);
+      u32(crc); u32(data.length); u32(data.length);
+      u16(name.length); u16(0);
+    };
+
+    const locals = entries.map((entry) => {
+      const at = offset;
+      u32(0x04034B50);
+      header(entry);
+      put(entry.name);
+      put(entry.data);
+      return at;
+    });
+    const directory = offset;
+    entries.forEach((entry, i) => {
+      u32(0x02014B50);
+      u16(20);
+      header(entry);
+      u16(0); u16(0); u16(0); u32(0);
+      u32(locals[i]);
+      put(entry.name);
+    });
+    const directorySize = offset - directory;
+    u32(0x06054B50);
+    u16(0); u16(0);
+    u16(entries.length); u16(entries.length);
+    u32(directorySize);
+    u32(directory);
+    u16(0);
+    return bytes;
+  }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipWriter;
+}
+if (typeof window !== 'undefined') {
+  window.ZipWriter = ZipWriter;
+}
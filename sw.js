@@ -2,7 +2,7 @@
  * Service Worker - PWA Offline Support
  */
 
-const CACHE_NAME = 'vector-logic-v2';
+const CACHE_NAME = 'vector-logic-v24';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -10,9 +10,40 @@ const urlsToCache = [
   '/src/utils/fps-meter.js',
   '/src/utils/memory-monitor.js',
   '/src/utils/llm-cost-calculator.js',
+  '/src/utils/qr-encoder.js',
+  '/src/utils/svg-ids.js',
+  '/src/utils/escape.js',
+  '/src/utils/svg-tree.js',
+  '/src/utils/token-estimator.js',
+  '/src/utils/zip-writer.js',
+  '/src/theme/diia-tokens.js',
+  '/src/generators/screen-schema.js',
+  '/src/generators/font-metrics.js',
+  '/src/generators/font-glyphs.js',
+  '/src/generators/text-layout.js',
+  '/src/generators/layout-engine.js',
+  '/src/generators/scene-graph.js',
+  '/src/screens/document-card.js',
+  '/src/screens/upload-screen.js',
+  '/src/screens/diia-id-card.js',
+  '/src/screens/diia-passport.js',
+  '/src/screens/diia-tax-id.js',
+  '/src/screens/diia-fop-extract.js',
+  '/src/screens/diia-student-card.js',
   '/src/generators/vector-renderer.js',
+  '/src/generators/canvas-renderer.js',
+  '/src/generators/formula-dsl.js',
   '/src/generators/dom-renderer.js',
   '/src/generators/figma-simulator.js',
+  '/src/generators/react-native-exporter.js',
+  '/src/generators/swiftui-exporter.js',
+  '/src/generators/compose-exporter.js',
+  '/src/generators/vector-drawable-exporter.js',
+  '/src/generators/flutter-exporter.js',
+  '/src/generators/pdf-writer.js',
+  '/src/generators/web-component-exporter.js',
+  '/src/generators/lottie-exporter.js',
+  '/src/generators/export-verifier.js',
   '/src/generators/chaos-mode.js',
   '/src/benchmark-engine.js',
   '/src/export-engine.js',
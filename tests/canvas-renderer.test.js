@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-tax-id.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/canvas-renderer.js';
+
+const { CanvasRenderer, VectorRenderer, ScreenSchema, DiiaTokens } = window;
+
+/**
+ * Recording stand-in for CanvasRenderingContext2D (jsdom has no canvas)
+ * Logs every call with the fill/stroke state it was made with
+ */
+function recordingContext() {
+  const calls = [];
+  const state = { fillStyle: '#000000', strokeStyle: '#000000', globalAlpha: 1, font: '', textAlign: 'start', lineWidth: 1 };
+  const stack = [];
+  const ctx = {
+    calls,
+    ...state,
+    save() { stack.push({ fillStyle: ctx.fillStyle, strokeStyle: ctx.strokeStyle, globalAlpha: ctx.globalAlpha }); },
+    restore() { Object.assign(ctx, stack.pop()); },
+    createLinearGradient(...coords) {
+      const gradient = { coords, stops: [], addColorStop: (offset, color) => gradient.stops.push([offset, color]) };
+      return gradient;
+    }
+  };
+  ['scale', 'translate', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'arcTo', 'arc', 'ellipse', 'rect',
+    'bezierCurveTo', 'quadraticCurveTo', 'clip', 'fillRect', 'drawImage', 'setLineDash'].forEach((name) => {
+    ctx[name] = (...args) => calls.push({ name, args });
+  });
+  ['fill', 'stroke', 'fillText'].forEach((name) => {
+    ctx[name] = (...args) => calls.push({
+      name, args, fillStyle: ctx.fillStyle, strokeStyle: ctx.strokeStyle, globalAlpha: ctx.globalAlpha, font: ctx.font, textAlign: ctx.textAlign
+    });
+  });
+  return ctx;
+}
+
+const named = (ctx, name) => ctx.calls.filter((call) => call.name === name);
+
+describe('CanvasRenderer', () => {
+  it('paints the same text as the SVG renderer', () => {
+    const vectorRenderer = new VectorRenderer();
+    const renderer = new CanvasRenderer({ vectorRenderer });
+    const ctx = recordingContext();
+    const props = { lastName: 'КОСАЧ', firstName: 'ЛАРИСА' };
+
+    const size = renderer.renderDocument(ctx, 'diia-id-card', props, 2);
+    expect(size).toEqual({ width: 720, height: 1360 });
+    expect(ctx.calls[0]).toEqual({ name: 'scale', args: [2, 2] });
+
+    const svg = new DOMParser().parseFromString(vectorRenderer.renderDocument('diia-id-card', props), 'image/svg+xml');
+    const svgText = [...svg.querySelectorAll('text')].map((node) => node.textContent);
+    expect(named(ctx, 'fillText').map((call) => call.args[0])).toEqual(svgText);
+
+    const serial = named(ctx, 'fillText').find((call) => call.args[0].startsWith('№'));
+    expect(serial.textAlign).toBe('center');
+    expect(serial.font).toBe('normal 8px monospace');
+    expect(serial.fillStyle).toBe(DiiaTokens.resolve().colors.textTertiary);
+  });
+
+  it('uses theme colors, rounded rects and the frame clip', () => {
+    const renderer = new CanvasRenderer({ theme: 'dark' });
+    const ctx = recordingContext();
+    renderer.renderDocument(ctx, 'diia-tax-id');
+    const colors = DiiaTokens.resolve('dark').colors;
+
+    const fills = named(ctx, 'fill').map((call) => call.fillStyle);
+    expect(fills).toContain(colors.background);
+    expect(fills).toContain(colors.cardBg);
+    expect(named(ctx, 'arcTo').some((call) => call.args[4] === DiiaTokens.resolve('dark').radius.lg)).toBe(true);
+    expect(named(ctx, 'clip')).toHaveLength(1);
+
+    // Pattern strokes at 0.3 (group) × 0.1 (pattern) opacity
+    const pattern = named(ctx, 'stroke').find((call) => call.strokeStyle === colors.pattern);
+    expect(pattern.globalAlpha).toBeCloseTo(0.03);
+  });
+
+  it('turns the hologram into a canvas gradient', () => {
+    const renderer = new CanvasRenderer();
+    renderer.vectorRenderer.setTilt(0.5, 0);
+    const ctx = recordingContext();
+    renderer.renderDocument(ctx, 'diia-id-card');
+
+    const hologram = named(ctx, 'fill').find((call) => typeof call.fillStyle === 'object');
+    const { primary, hologram: holo } = DiiaTokens.resolve().colors;
+    expect(hologram.fillStyle.stops).toEqual([
+      [0, DiiaTokens.alpha(holo, 0.05)],
+      [0.3, DiiaTokens.alpha(primary, 0.15)],
+      [0.7, DiiaTokens.alpha(holo, 0.2)],
+      [1, DiiaTokens.alpha(primary, 0.05)]
+    ]);
+    // Shifted by the tilt like the SVG x1/x2
+    expect(hologram.fillStyle.coords[0]).toBeGreaterThan(16);
+  });
+
+  it('fills one module square per dark QR module', () => {
+    const renderer = new CanvasRenderer();
+    const ctx = recordingContext();
+    renderer.renderDocument(ctx, 'diia-id-card', { cardNumber: 'QR 42' });
+
+    const qr = window.QREncoder.encode('QR 42', { ecLevel: 'M' });
+    const dark = qr.modules.flat().filter(Boolean).length;
+    const qrFill = named(ctx, 'fill').find((call) => call.fillStyle === DiiaTokens.resolve().colors.qr.fg);
+    expect(qrFill).toBeDefined();
+    const closes = ctx.calls.slice(0, ctx.calls.indexOf(qrFill)).filter((call) => call.name === 'closePath');
+    expect(closes.length).toBeGreaterThanOrEqual(Math.ceil(dark / qr.size));
+  });
+
+  it('traces every SVG path command', () => {
+    const renderer = new CanvasRenderer();
+    const ctx = recordingContext();
+    renderer.renderSchema(ctx, {
+      type: 'screen',
+      version: 1,
+      width: 100,
+      height: 100,
+      children: [{ type: 'path', x: 10, y: 10, d: 'M0 0 h10 v10 c1 1 2 2 3 3 s4 4 5 5 q1 1 2 2 t3 3 a5 5 0 0 1 10 0 Z', stroke: '$colors.primary', fill: 'none' }]
+    });
+
+    expect(named(ctx, 'translate')[0].args).toEqual([10, 10]);
+    expect(named(ctx, 'lineTo').map((call) => call.args)).toEqual([[10, 0], [10, 10]]);
+    expect(named(ctx, 'bezierCurveTo')[1].args).toEqual([14, 14, 17, 17, 18, 18]);
+    expect(named(ctx, 'quadraticCurveTo')[1].args).toEqual([21, 21, 23, 23]);
+    expect(named(ctx, 'ellipse')[0].args.slice(0, 4).map(Math.round)).toEqual([28, 23, 5, 5]);
+    expect(named(ctx, 'fill')).toHaveLength(0);
+    expect(named(ctx, 'stroke')).toHaveLength(1);
+  });
+
+  it('validates its target and inputs like the SVG renderer', () => {
+    const renderer = new CanvasRenderer();
+    expect(() => renderer.render({}, {})).toThrow(TypeError);
+    expect(() => renderer.render(recordingContext(), {}, 0)).toThrow(RangeError);
+    expect(() => renderer.renderDocument(recordingContext(), 'diia-visa')).toThrow(ReferenceError);
+    expect(() => renderer.setTheme('sepia')).toThrow(RangeError);
+    expect(ScreenSchema.get('upload-screen')).toBeDefined();
+    expect(renderer.render(recordingContext(), { subtitle: 'x' })).toEqual({ width: 360, height: 680 });
+  });
+});
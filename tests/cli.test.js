@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { run } from '../src/cli.mjs';
+
+/** Run the CLI with captured output */
+async function cli(...argv) {
+  const out = { stdout: '', stderr: '' };
+  const code = await run(argv, {
+    stdout: { write: (chunk) => { out.stdout += chunk; } },
+    stderr: { write: (chunk) => { out.stderr += chunk; } }
+  });
+  return { code, ...out };
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'vector-logic-'));
+
+describe('vector-logic CLI', () => {
+  it('renders a template to a file with a JSON report', async () => {
+    const file = join(dir, 'card.svg');
+    const { code, stdout } = await cli('render', 'diia-passport', '--scale', '2', '-o', file, '--prop', 'lastName=КОСАЧ', '--json');
+
+    expect(code).toBe(0);
+    const report = JSON.parse(stdout);
+    expect(report).toMatchObject({ command: 'render', schema: 'diia-passport', scale: 2, width: 720, height: 1360, file });
+    const svg = readFileSync(file, 'utf8');
+    expect(svg).toContain('КОСАЧ');
+    expect(report.bytes).toBe(new TextEncoder().encode(svg).length);
+  });
+
+  it('renders a schema file with props and theme to stdout', async () => {
+    const schema = join(dir, 'screen.json');
+    const props = join(dir, 'props.json');
+    writeFileSync(schema, JSON.stringify({
+      type: 'screen',
+      version: 1,
+      width: 100,
+      height: 40,
+      props: { label: { default: 'x' } },
+      children: [{ type: 'text', text: '{{label}}', fill: '$colors.heading' }]
+    }));
+    writeFileSync(props, JSON.stringify({ label: 'Привіт' }));
+
+    const { code, stdout } = await cli('render', schema, '--props', props, '--theme', 'dark');
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^<svg/);
+    expect(stdout).toContain('>Привіт<');
+  });
+
+  it('renders a formula DSL file and reports its errors', async () => {
+    const formula = join(dir, 'rows.vl');
+    writeFileSync(formula, 'screen width=100 height=20 * 2 {\n  repeat i in 0..2 { text "Рядок " + (i + 1) y=16 + i * 20 }\n}\n');
+    const { code, stdout } = await cli('render', formula);
+    expect(code).toBe(0);
+    expect(stdout).toContain('height="40"');
+    expect(stdout).toContain('>Рядок 2<');
+
+    writeFileSync(formula, 'screen width=100 height=40 {\n  text x=gap\n}\n');
+    const broken = await cli('render', formula);
+    expect(broken.code).toBe(1);
+    expect(broken.stderr).toContain('line 2, column 10: Unknown variable "gap"');
+  });
+
+  it('optimizes, exports and estimates tokens', async () => {
+    const source = join(dir, 'export.svg');
+    writeFileSync(source, '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><g><rect x="0" y="0" width="10" height="10"/></g></svg>');
+
+    const optimized = JSON.parse((await cli('optimize', source, '--json')).stdout);
+    expect(optimized.stats.originalSize).toBeGreaterThan(0);
+    expect(optimized.output).toContain('Vector Logic');
+
+    const swift = await cli('export', '--target', 'swiftui', '--prop', 'title=Довідка');
+    expect(swift.code).toBe(0);
+    expect(swift.stdout).toContain('var title: String = "Довідка"');
+
+    const tokens = JSON.parse((await cli('tokens', 'estimate', source, '--model', 'claude', '--json')).stdout);
+    expect(Object.keys(tokens.models)).toEqual(['claude']);
+    expect(tokens.models.claude.tokens).toBeGreaterThan(0);
+  });
+
+  it('benchmarks the renderers with JSON on stdout only', async () => {
+    const { code, stdout, stderr } = await cli('bench', '--json');
+    expect(code).toBe(0);
+    expect(stderr).toContain('Benchmark complete');
+    const report = JSON.parse(stdout);
+    expect(report.vector.size).toBeGreaterThan(0);
+    expect(report.dom.stress.count).toBe(100);
+    expect(report.efficiency.sizeVsFigma).toBeDefined();
+  });
+
+  it('exits 2 on bad usage and 1 on failures', async () => {
+    expect((await cli()).code).toBe(2);
+    expect((await cli('frobnicate')).code).toBe(2);
+    expect((await cli('render', 'diia-id-card', '--bogus')).code).toBe(2);
+    expect((await cli('export', '--target', 'xamarin')).stderr).toContain('react-native, swiftui, pdf');
+    expect((await cli('render', 'diia-id-card', '--scale', '200')).code).toBe(1);
+    expect((await cli('--help')).code).toBe(0);
+  });
+
+  it('rejects a scale that is not a positive number', async () => {
+    for (const scale of ['abc', '0', '-2', 'Infinity', '']) {
+      const { code, stdout, stderr } = await cli('render', 'upload-screen', `--scale=${scale}`, '--json');
+      expect(code, scale).toBe(2);
+      expect(stdout).toBe('');
+      expect(stderr).toContain('--scale must be a positive number');
+    }
+  });
+});
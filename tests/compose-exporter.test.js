@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-passport.js';
+import '../src/screens/diia-tax-id.js';
+import '../src/screens/diia-fop-extract.js';
+import '../src/screens/diia-student-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/escape.js';
+import '../src/generators/compose-exporter.js';
+
+const { SceneGraph, ComposeExporter, DiiaTokens } = window;
+
+describe('ComposeExporter', () => {
+  it('takes the screen props as parameters and reads prop-bound text from them', () => {
+    const kotlin = ComposeExporter.transpile(SceneGraph.build('diia-id-card', { cardNumber: 'ВХ 42' }), { name: 'IdCard' });
+
+    expect(kotlin).toContain('@Composable\nfun IdCard(\n    title: String = "ПОСВІДЧЕННЯ ВОДІЯ",');
+    expect(kotlin).toContain('    cardNumber: String = "ВХ 42"\n) {');
+    expect(kotlin).toContain('text = lastName,');
+    expect(kotlin).toContain('text = "№ ${cardNumber}",');
+    expect(kotlin).toContain('text = "УКРАЇНА",');
+  });
+
+  it('uses the color object for token colors and imports what it uses', () => {
+    const kotlin = ComposeExporter.transpile(SceneGraph.build('upload-screen'));
+
+    expect(kotlin).toContain('.background(DiiaColors.CardBg, RoundedCornerShape(24.dp))');
+    expect(kotlin).toContain('color = DiiaColors.Heading,');
+    expect(kotlin).toContain('.semantics(mergeDescendants = true) { contentDescription = "Перейти до наступного кроку"; role = Role.Button }');
+    expect(kotlin).toContain('import androidx.compose.ui.semantics.heading\n');
+    expect(kotlin).not.toContain('import androidx.compose.foundation.layout.Row\n');
+    expect(kotlin).not.toMatch(/Color\(0x/);
+  });
+
+  it('lays out children that follow each other in Columns and Rows', () => {
+    const kotlin = ComposeExporter.transpile(SceneGraph.build('upload-screen'));
+
+    // Uneven gaps become padding on the child instead of spacing
+    expect(kotlin).toMatch(/Column\(\n\s+modifier = Modifier\n\s+\.offset\(x = 8\.dp, y = 16\.dp\)[^]*?verticalArrangement = Arrangement\.Top,/);
+    expect(kotlin).toMatch(/\.padding\(top = 8\.dp\)\n\s+\.size\(width = 312\.dp, height = 17\.5\.dp\)/);
+    // The dashed border and the upload icon are drawn
+    expect(kotlin).toContain('PathEffect.dashPathEffect(floatArrayOf(8.dp.toPx(), 8.dp.toPx()))');
+    expect(kotlin).toContain('drawPath(Path().apply { moveTo(156f, 48f); lineTo(156f, 60f);');
+
+    // Flag stripes touch: a Column without spacing
+    expect(ComposeExporter.transpile(SceneGraph.build('diia-id-card'))).toMatch(/Column\(\n\s+modifier = Modifier\n\s+\.size\(width = 40\.dp, height = 24\.dp\)[^]*?verticalArrangement = Arrangement\.Top,/);
+  });
+
+  it('exports every registered screen with balanced brackets', () => {
+    const tokens = DiiaTokens.resolve();
+    ['upload-screen', 'diia-id-card', 'diia-passport', 'diia-tax-id', 'diia-fop-extract', 'diia-student-card'].forEach((name) => {
+      const kotlin = ComposeExporter.transpile(SceneGraph.build(name), { tokens });
+      const code = kotlin.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+      expect(code.split('{').length, name).toBe(code.split('}').length);
+      expect(code.split('(').length, name).toBe(code.split(')').length);
+    });
+  });
+
+  it('generates a color for every color token', () => {
+    const source = ComposeExporter.colorObject(DiiaTokens.resolve());
+
+    expect(source).toContain('object DiiaColors {\n    val Primary = Color(0xFF67C3F3)\n');
+    expect(source).toContain('val FlagBlue = Color(0xFF005BBB)');
+    expect(source).toContain('val PrimaryTint = Color(0x1A67C3F3)');
+    expect(source).toMatch(/\n\}\n$/);
+  });
+});
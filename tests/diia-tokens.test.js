@@ -0,0 +1,126 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/font-glyphs.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/dom-renderer.js';
+import '../src/generators/react-native-exporter.js';
+import '../src/generators/swiftui-exporter.js';
+import '../src/generators/compose-exporter.js';
+import '../src/generators/vector-drawable-exporter.js';
+import '../src/generators/flutter-exporter.js';
+import '../src/generators/pdf-writer.js';
+import '../src/generators/web-component-exporter.js';
+import '../src/generators/lottie-exporter.js';
+import '../src/export-engine.js';
+import '../src/diia-dashboard.js';
+import '../src/components/svg/DiiaButton.js';
+import '../src/components/svg/DiiaLogo.js';
+
+const {
+  DiiaTokens, VectorRenderer, DomRenderer, ExportEngine, DiiaScreenRenderer,
+  generateDiiaButton, generateDiiaLogo, UPLOAD_SCREEN_SCHEMA
+} = window;
+
+const BRAND = '#0057B8';
+
+afterEach(() => DiiaTokens.reset());
+
+describe('DiiaTokens', () => {
+  it('resolves one frozen tree per theme', () => {
+    const light = DiiaTokens.resolve();
+    expect(light).toBe(DiiaTokens.resolve('light'));
+    expect(light.fontSize.base).toBe(14);
+    expect(Object.isFrozen(light.colors.qr)).toBe(true);
+    expect(DiiaTokens.resolve('dark').colors.cardBg).toBe('#1a1f3a');
+    expect(DiiaTokens.resolve('dark').spacing).toEqual(light.spacing);
+    expect(() => DiiaTokens.resolve('sepia')).toThrow(RangeError);
+  });
+
+  it('merges runtime and per-call overrides', () => {
+    const version = DiiaTokens.version;
+    DiiaTokens.override({ colors: { primary: BRAND } });
+
+    expect(DiiaTokens.version).toBe(version + 1);
+    expect(DiiaTokens.resolve().colors.primary).toBe(BRAND);
+    expect(DiiaTokens.resolve().colors.heading).toBe('#111827');
+    expect(DiiaTokens.resolve('light', { radius: { lg: 20 } }).radius).toMatchObject({ lg: 20, xl: 24 });
+    expect(() => DiiaTokens.override('blue')).toThrow(TypeError);
+
+    DiiaTokens.reset();
+    expect(DiiaTokens.resolve().colors.primary).toBe('#67C3F3');
+  });
+
+  it('converts hex colors to rgba', () => {
+    expect(DiiaTokens.alpha('#67C3F3', 0.3)).toBe('rgba(103, 195, 243, 0.3)');
+    expect(DiiaTokens.alpha('#fff', 1)).toBe('rgba(255, 255, 255, 1)');
+    expect(() => DiiaTokens.alpha('blue', 1)).toThrow(TypeError);
+  });
+});
+
+describe('Token consumers', () => {
+  it('VectorRenderer reads the shared tokens', () => {
+    const renderer = new VectorRenderer({ theme: 'dark' });
+    expect(renderer.tokens).toBe(DiiaTokens.resolve('dark'));
+  });
+
+  it('a runtime override re-brands every renderer, component and exporter', () => {
+    const renderer = new VectorRenderer();
+    const engine = new ExportEngine();
+    engine.setVectorRenderer(renderer);
+    renderer.render(UPLOAD_SCREEN_SCHEMA);
+
+    DiiaTokens.override({ colors: { primary: BRAND }, radius: { xl: 20 } });
+
+    expect(renderer.render(UPLOAD_SCREEN_SCHEMA)).toContain(`stroke="${BRAND}"`);
+    expect(renderer.render(UPLOAD_SCREEN_SCHEMA)).toMatch(/rx="20"/);
+    expect(new DomRenderer().render(UPLOAD_SCREEN_SCHEMA)).toContain(`stroke="${BRAND}"`);
+    expect(generateDiiaButton({ text: 'OK' })).toContain(`fill="${BRAND}"`);
+    expect(generateDiiaLogo()).toContain(`fill="${BRAND}"`);
+    expect(new DiiaScreenRenderer({ theme: 'light' }).renderVector()).toContain(`fill="${BRAND}"`);
+    expect(engine.toReactNative()).toContain('rx={radius.xl}');
+    expect(engine.toReactNativeTokens()).toContain('xl: 20,');
+  });
+
+  it('per-renderer overrides leave other renderers alone', () => {
+    const branded = new VectorRenderer({ tokens: { colors: { action: BRAND } } });
+    expect(branded.render(UPLOAD_SCREEN_SCHEMA)).toContain(`fill="${BRAND}"`);
+    expect(new VectorRenderer().render(UPLOAD_SCREEN_SCHEMA)).not.toContain(BRAND);
+
+    branded.setTokens(null);
+    expect(branded.render(UPLOAD_SCREEN_SCHEMA)).not.toContain(BRAND);
+    expect(() => branded.setTokens('blue')).toThrow(TypeError);
+  });
+
+  it('consumers hold no hardcoded colors', () => {
+    [
+      'src/generators/vector-renderer.js',
+      'src/generators/dom-renderer.js',
+      'src/export-engine.js',
+      'src/diia-dashboard.js',
+      'src/components/svg/DiiaButton.js',
+      'src/components/svg/DiiaLogo.js',
+      'src/screens/upload-screen.js',
+      'src/screens/diia-id-card.js',
+      'src/generators/vector-background.js',
+      'src/generators/lottie-exporter.js',
+      'src/generators/pdf-writer.js',
+      'src/pwa-enhancements.js'
+    ].forEach((file) => {
+      const source = readFileSync(file, 'utf8').replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '');
+      expect(source, file).not.toMatch(/#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|rgba?\(\s*\d/i);
+    });
+  });
+});
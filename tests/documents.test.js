@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-passport.js';
+import '../src/screens/diia-tax-id.js';
+import '../src/screens/diia-fop-extract.js';
+import '../src/screens/diia-student-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+
+const { VectorRenderer, ScreenSchema } = window;
+
+const DOCUMENTS = {
+  'diia-id-card': 'security',
+  'diia-passport': 'guilloche',
+  'diia-tax-id': 'grid',
+  'diia-fop-extract': 'lines',
+  'diia-student-card': 'dots'
+};
+
+/** Text boxes of a laid out tree */
+const texts = (box) => [
+  ...(box.node.type === 'text' ? [box] : []),
+  ...(box.children || []).flatMap(texts)
+];
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+describe('Diia document templates', () => {
+  it('renders every document with its own security pattern', () => {
+    const renderer = new VectorRenderer();
+    const patterns = new Set();
+
+    Object.entries(DOCUMENTS).forEach(([name, kind]) => {
+      const svg = renderer.renderDocument(name);
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      expect(doc.querySelector('parsererror'), name).toBeNull();
+      expect(ScreenSchema.get(name).children[1].children[0].children[0].kind).toBe(kind);
+
+      const pattern = doc.querySelector('g[opacity="0.3"]').innerHTML;
+      expect(patterns.has(pattern), name).toBe(false);
+      patterns.add(pattern);
+    });
+  });
+
+  it('takes every field from props', () => {
+    const renderer = new VectorRenderer();
+    const license = renderer.renderDocument('diia-id-card', { issueDate: '01.02.2025', expiryDate: '01.02.2035' });
+    expect(license).toContain('01.02.2025');
+    expect(license).toContain('01.02.2035');
+    expect(license).not.toContain('15.11.20');
+
+    const tax = renderer.renderDocument('diia-tax-id', { rnokpp: '1234567890' });
+    expect(tax).toContain('>1234567890<');
+    expect(tax).not.toContain('3409400000');
+
+    const extract = renderer.renderDocument('diia-fop-extract', { kved: '47.91 Роздрібна торгівля' });
+    expect(extract).toContain('47.91 Роздрібна торгівля');
+  });
+
+  it('keeps the fields clear of the QR code and the Дія mark', () => {
+    const renderer = new VectorRenderer();
+
+    Object.keys(DOCUMENTS).forEach((name) => {
+      const schema = ScreenSchema.get(name);
+      const long = Object.fromEntries(Object.keys(schema.props).map((prop) => [prop, 'Ш'.repeat(80)]));
+
+      [{}, long].forEach((props) => {
+        const card = renderer.layoutSchema(schema, ScreenSchema.resolveProps(schema, props)).boxes[1];
+        const qr = card.children.find((box) => box.node.type === 'qr');
+        const body = card.children.find((box) => box.node.type === 'stack');
+        const logo = card.children.find((box) => box.node.text === 'Дія');
+
+        texts(body).forEach((text) => {
+          expect(text.y + text.height, `${name}: ${text.lines}`).toBeLessThanOrEqual(card.y + card.height);
+          expect(overlaps(text, qr), `${name}: ${text.lines} over QR`).toBe(false);
+          expect(overlaps(text, logo), `${name}: ${text.lines} over logo`).toBe(false);
+        });
+      });
+    });
+  });
+
+  it('rejects unknown documents and pattern kinds', () => {
+    const renderer = new VectorRenderer();
+    expect(() => renderer.renderDocument('diia-visa')).toThrow(ReferenceError);
+    expect(() => renderer.generateSecurityPattern(100, 100, 1, 'zigzag')).toThrow(TypeError);
+    expect(() => ScreenSchema.validate({
+      type: 'screen',
+      version: 1,
+      width: 10,
+      height: 10,
+      children: [{ type: 'pattern', kind: 'zigzag' }]
+    })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/font-glyphs.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/dom-renderer.js';
+import '../src/generators/react-native-exporter.js';
+import '../src/generators/swiftui-exporter.js';
+import '../src/generators/compose-exporter.js';
+import '../src/generators/vector-drawable-exporter.js';
+import '../src/generators/flutter-exporter.js';
+import '../src/generators/pdf-writer.js';
+import '../src/generators/web-component-exporter.js';
+import '../src/generators/lottie-exporter.js';
+import '../src/export-engine.js';
+import '../src/pwa-enhancements.js';
+
+const { Escape, VectorRenderer, DomRenderer, ExportEngine, HybridRenderer, UPLOAD_SCREEN_SCHEMA } = window;
+
+const HOSTILE = 'A</text><script>x()</script> & "B" \'C\' (D) \\ ${E}`';
+const props = { title: HOSTILE, description: `${HOSTILE}\nline 2` };
+
+/** Read back the first string literal that follows `prefix` */
+function literal(source, prefix, close) {
+  const start = source.indexOf(prefix) + prefix.length;
+  let i = start;
+  while (source[i] !== close) i += source[i] === '\\' ? 2 : 1;
+  return source.slice(start, i);
+}
+
+const unescapeSwift = (value) => value.replace(/\\(u\{[0-9a-f]+\}|.)/g, (_, code) => {
+  const map = { n: '\n', r: '\r', t: '\t', 0: '\0' };
+  if (code.startsWith('u{')) return String.fromCodePoint(parseInt(code.slice(2, -1), 16));
+  return map[code] || code;
+});
+
+const unescapeKotlin = (value) => value.replace(/\\(u[0-9a-f]{4}|.)/g, (_, code) => {
+  const map = { n: '\n', r: '\r', t: '\t', b: '\b' };
+  if (code.startsWith('u') && code.length === 5) return String.fromCharCode(parseInt(code.slice(1), 16));
+  return map[code] || code;
+});
+
+const unescapeDart = (value) => value.replace(/\\(u\{[0-9a-f]+\}|.)/g, (_, code) => {
+  const map = { n: '\n', r: '\r', t: '\t' };
+  if (code.startsWith('u{')) return String.fromCodePoint(parseInt(code.slice(2, -1), 16));
+  return map[code] || code;
+});
+
+const unescapePostScript = (value) => value.replace(/\\([0-7]{3}|.)/g, (_, code) => {
+  const map = { n: '\n', r: '\r', t: '\t' };
+  if (/^[0-7]{3}$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+  return map[code] || code;
+});
+
+describe('Escape', () => {
+  it('escapes XML text and attributes', () => {
+    expect(Escape.xmlText('<a> & </a>')).toBe('&lt;a&gt; &amp; &lt;/a&gt;');
+    expect(Escape.xmlAttr('"x" \'y\'\n')).toBe('&quot;x&quot; &#39;y&#39;&#10;');
+    expect(Escape.xmlText('a\u0000b\u0007c\uD800d')).toBe('abcd');
+    expect(Escape.xmlText(undefined)).toBe('');
+  });
+
+  it('escapes JS, Swift, Kotlin, Dart and PostScript string contents', () => {
+    const js = Escape.jsString(HOSTILE + '\u2028');
+    expect(new Function(`return "${js}" + '${js}' + \`${js}\`;`)()).toBe((HOSTILE + '\u2028').repeat(3));
+    expect(js).not.toContain('</');
+
+    expect(Escape.swiftString('say "\\(hi)"\n')).toBe('say \\"\\\\(hi)\\"\\n');
+    expect(Escape.kotlinString('say "${hi}" $x\u0001')).toBe('say \\"\\${hi}\\" \\$x\\u0001');
+    expect(Escape.dartString("it's ${x} $y\u0001")).toBe("it\\'s \\${x} \\$y\\u{1}");
+    expect(Escape.postScriptString('a (b) \\ c\u0001')).toBe('a \\(b\\) \\\\ c\\001');
+    expect(Escape.postScriptString('\u0080\u00ff')).toBe('\\200\\377');
+    expect(() => Escape.postScriptString('Дія')).toThrow('PostScript strings hold bytes, got U+0414 at 0');
+    expect(() => Escape.postScriptString('a😀')).toThrow(RangeError);
+  });
+
+  it('keeps only safe URLs', () => {
+    expect(Escape.url('https://diia.gov.ua/logo.png')).toBe('https://diia.gov.ua/logo.png');
+    expect(Escape.url('assets/photo.jpg')).toBe('assets/photo.jpg');
+    expect(Escape.url('data:image/png;base64,AAAA')).toBe('data:image/png;base64,AAAA');
+    expect(Escape.url(' java\tscript:alert(1)')).toBe('');
+    expect(Escape.url('data:text/html,<script>')).toBe('');
+  });
+});
+
+describe('Renderers with hostile props', () => {
+  it('VectorRenderer keeps the SVG well-formed and the text intact', () => {
+    const renderer = new VectorRenderer();
+    const svg = renderer.render(UPLOAD_SCREEN_SCHEMA, 1, props);
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(doc.querySelector('script')).toBeNull();
+    expect(doc.documentElement.getAttribute('aria-label')).toBe(HOSTILE);
+    expect(doc.querySelector('text').textContent).toContain('A</text><script>');
+  });
+
+  it('VectorRenderer drops unsafe image URLs', () => {
+    const svg = new VectorRenderer().render({
+      type: 'screen',
+      version: 1,
+      width: 10,
+      height: 10,
+      children: [{ type: 'image', href: '{{href}}', width: 10, height: 10 }]
+    }, 1, { href: 'javascript:alert(1)' });
+
+    expect(svg).toContain('href=""');
+  });
+
+  it('renderA11yHTML escapes labels and text', () => {
+    const renderer = new VectorRenderer();
+    const html = renderer.renderA11yHTML(renderer.generateA11yLayer(props, 1));
+    const root = document.createElement('div');
+    root.innerHTML = html;
+
+    expect(root.querySelector('script')).toBeNull();
+    expect(root.querySelector('h1').textContent).toBe(HOSTILE);
+    expect(root.querySelector('h1').getAttribute('aria-label')).toBe(HOSTILE);
+  });
+
+  it('DomRenderer and HybridRenderer.renderFull escape HTML', () => {
+    const root = document.createElement('div');
+    root.innerHTML = new DomRenderer().render(props);
+    const full = new HybridRenderer('full').renderFull(props, 1);
+
+    [root, full].forEach((el) => {
+      expect(el.querySelector('script')).toBeNull();
+      expect(el.querySelector('h1, h2').textContent).toBe(HOSTILE);
+    });
+  });
+
+  it('ExportEngine emits valid JS, Swift, Kotlin, Dart, PostScript and PDF literals', () => {
+    const engine = new ExportEngine();
+
+    const jsx = engine.toReactNative(props);
+    expect(new Function(`return "${literal(jsx, 'title = "', '"')}";`)()).toBe(HOSTILE);
+
+    const swift = engine.toSwiftUI(props);
+    expect(unescapeSwift(literal(swift, 'var title: String = "', '"'))).toBe(HOSTILE);
+
+    const kotlin = engine.toCompose(props);
+    expect(unescapeKotlin(literal(kotlin, 'title: String = "', '"'))).toBe(HOSTILE);
+
+    const dart = engine.toFlutter(props);
+    expect(unescapeDart(literal(dart, "this.title = '", "'"))).toBe(HOSTILE);
+
+    // PostScript and PDF show wrapped text one laid out line at a time
+    const ps = engine.toEPS(props);
+    const title = ps.split('\n\n').find((block) => block.includes('moveto\n('));
+    const lines = title.split('moveto\n').slice(1).map((part) => unescapePostScript(literal(part, '(', ')')));
+    expect(lines.join(' ')).toBe(HOSTILE);
+
+    const pdf = engine.toPDF(props);
+    const text = pdf.split('BT\n').find((block) => block.includes(') Tj'));
+    const shown = text.split(' Tm\n').slice(1).map((part) => unescapePostScript(literal(part, '(', ')')));
+    expect(shown.join(' ')).toBe(HOSTILE);
+  });
+});
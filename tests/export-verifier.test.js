@@ -0,0 +1,93 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+
+import {
+  ExportVerifier, ExportEngine, SceneGraph, VectorRenderer, DomRenderer, FigmaSimulator
+} from '../src/index.mjs';
+
+const renderer = new VectorRenderer();
+const tokens = renderer.tokens;
+
+describe('ExportVerifier', () => {
+  it('reads every export target back without mismatches', () => {
+    const engine = new ExportEngine();
+    ['upload-screen', 'diia-id-card', 'diia-passport', 'diia-fop-extract'].forEach((schema) => {
+      const results = engine.verifyExports({ title: 'Ціна $5 "лапки" \'апостроф\' <b> ${x}' }, schema);
+
+      expect(Object.keys(results)).toEqual([
+        'svg', 'react-native', 'swiftui', 'compose', 'vector-drawable', 'flutter', 'web-component', 'lottie', 'pdf', 'eps'
+      ]);
+      Object.values(results).forEach((result) => {
+        expect(result.mismatches, `${schema} ${result.target}`).toEqual([]);
+        expect(result).toMatchObject({ ok: true, matched: result.shapes });
+        expect(result.shapes).toBeGreaterThan(3);
+      });
+    });
+  });
+
+  it('leaves out what a target cannot draw', () => {
+    const scene = SceneGraph.build('diia-id-card', {}, { tokens });
+    const all = ExportVerifier.expected(scene, { tokens });
+    const vd = ExportVerifier.expected(scene, { target: 'vector-drawable', tokens });
+    const eps = ExportVerifier.expected(scene, { target: 'eps', tokens });
+
+    expect(all.some((shape) => shape.text === '👤')).toBe(true);
+    expect(vd.some((shape) => shape.type === 'text')).toBe(false);
+    expect(eps.some((shape) => shape.text === '👤')).toBe(false);
+    expect(eps.filter((shape) => shape.type === 'text').length).toBe(all.filter((shape) => shape.type === 'text').length - 1);
+  });
+
+  it('reports moved, recolored, retyped and dropped shapes', () => {
+    const engine = new ExportEngine();
+    const scene = engine.buildScene();
+    const swift = engine.toSwiftUI();
+
+    const moved = ExportVerifier.verify(scene, 'swiftui', swift.replace('.offset(x: 8, y: 16)', '.offset(x: 8, y: 20)'), { tokens });
+    expect(moved.ok).toBe(false);
+    expect(moved.mismatches).toContainEqual({ kind: 'geometry', shape: 'box #card', property: 'y', expected: 16, actual: 20 });
+
+    const pdf = ExportVerifier.verify(scene, 'pdf', engine.toPDF().replace(/^0 0 0 rg$/m, '1 0 0 rg'), { tokens });
+    expect(pdf.mismatches).toContainEqual({ kind: 'paint', shape: 'box #next-button', property: 'fill', expected: '#000000', actual: '#ff0000' });
+
+    const flutter = ExportVerifier.verify(scene, 'flutter', engine.toFlutter().replace('\'Далі\'', '\'Назад\''), { tokens });
+    expect(flutter.mismatches).toContainEqual({ kind: 'text', shape: 'text "Далі"', expected: 'Далі', actual: 'Назад' });
+
+    const vd = engine.toVectorDrawable();
+    const dropped = ExportVerifier.verify(scene, 'vector-drawable', vd.replace(/<group android:name="next-button">[\s\S]*?<\/group>/, ''), { tokens });
+    expect(dropped.mismatches).toEqual([{ kind: 'missing', shape: 'box #next-button' }]);
+    expect(dropped.matched).toBe(dropped.shapes - 1);
+  });
+
+  it('matches positions within the tolerance', () => {
+    const expected = [{ type: 'box', x: 10, y: 10, width: 100, height: 40, fill: '#000000' }];
+    const near = [{ type: 'box', x: 10.4, y: 9.7, width: 100, height: 40, fill: '#010101' }];
+
+    expect(ExportVerifier.diff(expected, near)).toEqual({ matched: 1, mismatches: [] });
+    expect(ExportVerifier.diff(expected, near, { tolerance: 0.1 }).mismatches.map((item) => item.property)).toEqual(['x', 'y']);
+    expect(ExportVerifier.diff(expected, [{ ...near[0], fill: 'gradient' }]).mismatches).toEqual([]);
+    expect(ExportVerifier.diff(expected, [{ ...near[0], fill: undefined, stroke: '#000000' }]).mismatches).toEqual([
+      { kind: 'paint', shape: 'box 10,10,100,40', property: 'fill', expected: '#000000', actual: 'none' },
+      { kind: 'paint', shape: 'box 10,10,100,40', property: 'stroke', expected: 'none', actual: '#000000' }
+    ]);
+    expect(ExportVerifier.diff([], near).mismatches).toEqual([{ kind: 'extra', shape: 'box 10.4,9.7,100,40' }]);
+  });
+
+  it('rejects unknown targets and files it cannot read', () => {
+    expect(() => ExportVerifier.parse('sketch', '')).toThrow(RangeError);
+    expect(() => ExportVerifier.parse('pdf', '%PDF-1.4')).toThrow(SyntaxError);
+    expect(() => ExportVerifier.parse('swiftui', 'struct A {}')).toThrow(SyntaxError);
+    expect(ExportVerifier.TARGETS).toContain('web-component');
+  });
+});
+
+describe('ExportEngine fidelity report', () => {
+  it('adds a round-trip result for each export format', () => {
+    const engine = new ExportEngine();
+    engine.setVectorRenderer(renderer);
+    const report = engine.generateComparisonReport({ vector: renderer, dom: new DomRenderer(), figma: new FigmaSimulator() });
+
+    expect(Object.keys(report.fidelity)).toEqual(['svg', ...Object.keys(report.exportFormats)]);
+    Object.values(report.fidelity).forEach((result) => expect(result.ok, result.target).toBe(true));
+    expect(report.exportFormats.lottie).toBe(new TextEncoder().encode(engine.toLottie()).length);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-passport.js';
+import '../src/screens/diia-tax-id.js';
+import '../src/screens/diia-fop-extract.js';
+import '../src/screens/diia-student-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/escape.js';
+import '../src/generators/flutter-exporter.js';
+
+const { SceneGraph, FlutterExporter, DiiaTokens } = window;
+
+describe('FlutterExporter', () => {
+  it('takes the screen props as fields and reads prop-bound text from them', () => {
+    const dart = FlutterExporter.transpile(SceneGraph.build('diia-id-card', { cardNumber: 'ВХ 42' }), { name: 'IdCard' });
+
+    expect(dart).toContain("class IdCard extends StatelessWidget {\n  const IdCard({\n    super.key,\n    this.title = 'ПОСВІДЧЕННЯ ВОДІЯ',");
+    expect(dart).toContain("    this.cardNumber = 'ВХ 42',\n  });");
+    expect(dart).toContain('  final String cardNumber;\n');
+    expect(dart).toContain('  lastName,\n');
+    expect(dart).toContain("'№ $cardNumber',");
+    expect(dart).toContain("'УКРАЇНА',");
+  });
+
+  it('paints shapes with token colors, shadows and dashed borders', () => {
+    const upload = FlutterExporter.transpile(SceneGraph.build('upload-screen'));
+
+    expect(upload).toContain('class _DiiaUploadScreenPainter extends CustomPainter {');
+    expect(upload).toContain('canvas.drawRRect(RRect.fromRectAndRadius(Rect.fromLTWH(8, 16, 344, 648), Radius.circular(DiiaTokens.radiusXl)), Paint()..color = DiiaTokens.cardBg);');
+    expect(upload).toContain('canvas.drawPath(_dash((Path()..addRRect(');
+    expect(upload).toContain('Path _dash(Path source, List<double> pattern) {');
+
+    const card = FlutterExporter.transpile(SceneGraph.build('diia-id-card'));
+    expect(card).toContain('Paint()..color = Color(0x26000000)..maskFilter = MaskFilter.blur(BlurStyle.normal, 8));');
+    expect(card).not.toContain('_dash(');
+  });
+
+  it('puts text and semantics in a widget tree laid out like the scene', () => {
+    const dart = FlutterExporter.transpile(SceneGraph.build('upload-screen'));
+
+    expect(dart).toContain('const Positioned.fill(child: CustomPaint(painter: _DiiaUploadScreenPainter())),');
+    expect(dart).toMatch(/child: Column\(\n\s+mainAxisSize: MainAxisSize\.min,\n\s+crossAxisAlignment: CrossAxisAlignment\.start,/);
+    expect(dart).toMatch(/Semantics\(\n\s+header: true,\n\s+child: SizedBox\(/);
+    expect(dart).toMatch(/Semantics\(\n\s+button: true,\n\s+label: /);
+    expect(dart).toContain('fontSize: DiiaTokens.fontSizeLg, fontWeight: FontWeight.w700');
+  });
+
+  it('exports every registered screen with balanced brackets', () => {
+    const tokens = DiiaTokens.resolve();
+    ['upload-screen', 'diia-id-card', 'diia-passport', 'diia-tax-id', 'diia-fop-extract', 'diia-student-card'].forEach((name) => {
+      const dart = FlutterExporter.transpile(SceneGraph.build(name), { tokens });
+      const code = dart.replace(/'(?:[^'\\]|\\.)*'/g, "''");
+      expect(code.split('{').length, name).toBe(code.split('}').length);
+      expect(code.split('(').length, name).toBe(code.split(')').length);
+      expect(code.split('[').length, name).toBe(code.split(']').length);
+    });
+  });
+
+  it('generates a constant for every token', () => {
+    const source = FlutterExporter.tokensClass(DiiaTokens.resolve());
+
+    expect(source).toContain('abstract final class DiiaTokens {\n  // colors\n  static const Color primary = Color(0xFF67C3F3);\n');
+    expect(source).toContain('static const Color flagBlue = Color(0xFF005BBB);');
+    expect(source).toContain('static const double radiusXl = 24;');
+    expect(source).toContain('static const FontWeight fontWeightBold = FontWeight.w700;');
+    expect(source).toMatch(/\n\}\n$/);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/formula-dsl.js';
+
+const { FormulaDSL, VectorRenderer, UPLOAD_SCREEN_SCHEMA } = window;
+
+const UPLOAD_SCREEN = `// Diia "Завантаження документів" step
+screen name="upload-screen" width=$canvas.width height=$canvas.height label="{{title}}" {
+  prop title = "Завантаження документів"
+  prop subtitle = "Додайте необхідні документи" aliases=["description"]
+  prop buttonText = "Додати файл"
+
+  rect width=100% height=100% radius=$radius.xl fill=$colors.background
+  stack id="card" x=8 y=16 right=8 bottom=16 padding=$spacing.md gap=$spacing.sm align="stretch" radius=$radius.xl fill=$colors.cardBg {
+    text "{{title}}" fontWeight="bold" fontSize=$fontSize.lg fill=$colors.heading maxLines=2 semantic={ type: "h1", label: "{{title}}" }
+    text "{{subtitle}}" fontSize=$fontSize.base fill=$colors.body maxLines=3 semantic={ type: "p" }
+    spacer height=$spacing.sm
+    frame id="upload-zone" height=120 radius=$radius.lg fill=$colors.surfaceMuted stroke=$colors.border strokeWidth=2 dash=[8, 8] semantic={ type: "button", text: "{{buttonText}}", label: "Натисніть або перетягніть файл для завантаження документа" } {
+      path "M0 -12 L0 0 M0 -12 L-4 -8 M0 -12 L4 -8" x=50% y=50% stroke=$colors.primary strokeWidth=2 linecap="round" linejoin="round"
+      text "{{buttonText}}" x=50% y=76 anchor="middle" fontSize=$fontSize.md fill=$colors.muted
+    }
+    spacer height="fill"
+    frame id="next-button" height=56 radius=$radius.lg fill=$colors.action semantic={ type: "button", text: "Далі", label: "Перейти до наступного кроку" } {
+      text "Далі" x=50% y=34 anchor="middle" fontWeight="600" fontSize=$fontSize.lg fill=$colors.onAction
+    }
+  }
+}
+`;
+
+/** Error thrown by fn, for asserting its class and position */
+function thrown(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('FormulaDSL', () => {
+  it('compiles the upload screen to its schema and identical SVG', () => {
+    expect(FormulaDSL.compile(UPLOAD_SCREEN)).toEqual(UPLOAD_SCREEN_SCHEMA);
+
+    const renderer = new VectorRenderer();
+    const props = { title: 'Довідка', description: 'Оберіть файл' };
+    expect(FormulaDSL.render(UPLOAD_SCREEN, { renderer, scale: 2, props })).toBe(renderer.render(UPLOAD_SCREEN_SCHEMA, 2, props));
+  });
+
+  it('evaluates variables, arithmetic, tokens and repeat blocks', () => {
+    const doc = FormulaDSL.compile(`
+      let row = 48
+      screen width=360 height=row * 4 {
+        let left = $spacing.md + 4
+        repeat i in 0..3 {
+          rect x=left y=i * (row + 8) right=left height=row radius=max(2, row / 8)
+          text "Рядок " + (i + 1) x=-left
+        }
+      }
+    `);
+
+    expect(doc.height).toBe(192);
+    expect(doc.children).toHaveLength(6);
+    expect(doc.children[2]).toEqual({ type: 'rect', x: 20, y: 56, right: 20, height: 48, radius: 6 });
+    expect(doc.children[5]).toEqual({ type: 'text', text: 'Рядок 3', x: -20 });
+  });
+
+  it('keeps bare tokens and percentages as references', () => {
+    const doc = FormulaDSL.compile('screen width=100 height=100 { circle r=50% fill=$colors.primary }');
+    expect(doc.children[0]).toEqual({ type: 'circle', r: '50%', fill: '$colors.primary' });
+  });
+
+  it('resolves tokens in arithmetic against the theme', () => {
+    const source = 'screen width=$canvas.width - $spacing.md * 2 height=10 {}';
+    expect(FormulaDSL.compile(source).width).toBe(328);
+    expect(FormulaDSL.compile(source, { tokens: { canvas: { width: 100 }, spacing: { md: 10 } } }).width).toBe(80);
+  });
+
+  it('reports errors with line and column', () => {
+    const syntax = thrown(() => FormulaDSL.parse('screen width=10 height=10 {\n  rect x=(1 + }\n}'));
+    expect(syntax).toBeInstanceOf(SyntaxError);
+    expect(syntax).toMatchObject({ line: 2, column: 15 });
+    expect(syntax.message).toBe('line 2, column 15: Expected a value, got "}"');
+
+    const variable = thrown(() => FormulaDSL.compile('screen width=10 height=10 {\n  rect x=gap\n}'));
+    expect(variable).toBeInstanceOf(ReferenceError);
+    expect(variable).toMatchObject({ line: 2, column: 10 });
+
+    const element = thrown(() => FormulaDSL.compile('screen width=10 height=10 {\n\n    blob\n}'));
+    expect(element).toBeInstanceOf(TypeError);
+    expect(element.message).toMatch(/^line 3, column 5: Unknown element "blob"/);
+
+    expect(thrown(() => FormulaDSL.compile('screen width=10 height=10 { rect x=50% + 1 }')).message).toContain('Percentages');
+    expect(thrown(() => FormulaDSL.compile('screen width=10 height=10 { repeat i in 0..5000 {} }'))).toBeInstanceOf(RangeError);
+    expect(thrown(() => FormulaDSL.parse('rect x="open'))).toMatchObject({ line: 1, column: 8 });
+    expect(thrown(() => FormulaDSL.compile('rect x=1'))).toBeInstanceOf(SyntaxError);
+  });
+
+  it('formats canonically and round-trips', () => {
+    const messy = [
+      '// header',
+      'let   a=( 1+2 )*3 // nine',
+      'screen   width=a-(2-1)   height=( a ) {',
+      '',
+      '',
+      '  def dropShadow id="s" dy=4',
+      'frame x=-(a+1) semantic={"aria-label":"x",type:"p"} {}',
+      '}'
+    ].join('\n');
+    const formatted = FormulaDSL.format(messy);
+
+    expect(formatted).toBe([
+      '// header',
+      'let a = (1 + 2) * 3 // nine',
+      'screen width=a - (2 - 1) height=a {',
+      '  def dropShadow id="s" dy=4',
+      '  frame x=-(a + 1) semantic={ "aria-label": "x", type: "p" } {}',
+      '}',
+      ''
+    ].join('\n'));
+    expect(FormulaDSL.format(formatted)).toBe(formatted);
+    expect(FormulaDSL.compile(formatted)).toEqual(FormulaDSL.compile(messy));
+    expect(FormulaDSL.format(UPLOAD_SCREEN)).toBe(UPLOAD_SCREEN);
+    expect(FormulaDSL.format('let s = "n" + (1 + 2)\nlet t = (1 + 2) + 3')).toBe('let s = "n" + (1 + 2)\nlet t = 1 + 2 + 3\n');
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+
+const { LayoutEngine, VectorRenderer } = window;
+
+const tokens = { spacing: { sm: 8, md: 16 }, fontSize: { base: 10 }, fontFamily: { primary: 'Inter' } };
+const root = { x: 0, y: 0, width: 200, height: 100 };
+const rect = (extra = {}) => ({ type: 'rect', ...extra });
+const boxOf = ({ x, y, width, height }) => ({ x, y, width, height });
+
+describe('LayoutEngine', () => {
+  it('stacks children vertically: y = prevY + height + gap', () => {
+    const [stack] = new LayoutEngine({ tokens }).layout([
+      {
+        type: 'stack',
+        x: 10,
+        y: 10,
+        padding: '$spacing.sm',
+        gap: '$spacing.md',
+        children: [rect({ width: 20, height: 30 }), rect({ width: 40, height: 10 }), rect({ width: 10, height: 5 })]
+      }
+    ], root);
+
+    expect(stack.children.map((child) => child.y)).toEqual([18, 64, 90]);
+    expect(boxOf(stack)).toEqual({ x: 10, y: 10, width: 56, height: 93 });
+  });
+
+  it('distributes free space to fill children and aligns on the cross axis', () => {
+    const [stack] = new LayoutEngine({ tokens }).layout([
+      {
+        type: 'stack',
+        direction: 'horizontal',
+        x: 0,
+        right: 0,
+        height: 40,
+        gap: 15,
+        align: 'center',
+        children: [
+          rect({ width: 50, height: 20 }),
+          rect({ width: 'fill', height: 'fill' }),
+          rect({ width: 'fill', grow: 2, alignSelf: 'end', height: 10 })
+        ]
+      }
+    ], root);
+
+    expect(stack.children.map(boxOf)).toEqual([
+      { x: 0, y: 10, width: 50, height: 20 },
+      { x: 65, y: 0, width: 40, height: 40 },
+      { x: 120, y: 30, width: 80, height: 10 }
+    ]);
+  });
+
+  it('justifies content and keeps absolute children out of the flow', () => {
+    const [stack] = new LayoutEngine({ tokens }).layout([
+      {
+        type: 'stack',
+        width: 100,
+        height: 100,
+        justify: 'space-between',
+        align: 'stretch',
+        children: [
+          rect({ height: 10 }),
+          rect({ position: 'absolute', right: 0, bottom: 0, width: 5, height: 5 }),
+          rect({ height: 10 })
+        ]
+      }
+    ], root);
+
+    expect(stack.children.map(boxOf)).toEqual([
+      { x: 0, y: 0, width: 100, height: 10 },
+      { x: 95, y: 95, width: 5, height: 5 },
+      { x: 0, y: 90, width: 100, height: 10 }
+    ]);
+  });
+
+  it('places stacks that are empty or have no children', () => {
+    const [empty, bare] = new LayoutEngine({ tokens }).layout([
+      { type: 'stack', padding: 8, children: [] },
+      { type: 'stack', direction: 'horizontal', width: 50 }
+    ], root);
+
+    expect(boxOf(empty)).toEqual({ x: 0, y: 0, width: 16, height: 16 });
+    expect(empty.children).toEqual([]);
+    expect(boxOf(bare)).toEqual({ x: 0, y: 0, width: 50, height: 0 });
+    expect(bare.children).toEqual([]);
+
+    const screen = { type: 'screen', version: 1, width: 200, height: 200, children: [{ type: 'stack' }] };
+    expect(new VectorRenderer().renderSchema(screen)).toContain('<svg');
+  });
+
+  it('hugs text using the measurement hook', () => {
+    const measureText = (text, { fontSize }) => ({
+      lines: [text],
+      width: text.length * 5,
+      height: fontSize * 2,
+      lineHeight: fontSize * 2,
+      ascent: fontSize
+    });
+    const [stack] = new LayoutEngine({ tokens, measureText }).layout([
+      { type: 'stack', children: [{ type: 'text', text: '{{name}}' }, { type: 'text', text: 'ab', fontSize: 20 }] }
+    ], root, { name: 'abcd' });
+
+    expect(boxOf(stack)).toEqual({ x: 0, y: 0, width: 20, height: 60 });
+    expect(stack.children.map((child) => child.baseline)).toEqual([10, 40]);
+  });
+
+  it('lays out the upload screen from tokens', () => {
+    const renderer = new VectorRenderer();
+    const [zone, next] = renderer.generateA11yLayer({}, 1).filter((el) => el.type === 'button');
+
+    expect(zone.bounds).toEqual({ x: 24, y: 104, w: 312, h: 120 });
+    expect(next.bounds.y + next.bounds.h).toBe(680 - 16 - 16);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/generators/lottie-exporter.js';
+
+const { SceneGraph, LottieExporter, DiiaTokens } = window;
+
+const tokens = DiiaTokens.resolve();
+
+/** Position of the layer with the given name, or of the text layer showing `text` */
+function layerIndex(animation, name) {
+  return animation.layers.findIndex((layer) => layer.nm === name || (layer.ty === 5 && layer.t.d.k[0].s.t === name));
+}
+
+describe('LottieExporter', () => {
+  it('draws every painted node as a layer, top layer first', () => {
+    const scene = SceneGraph.build('upload-screen');
+    const animation = LottieExporter.fromScene(scene, { tokens });
+
+    expect(animation).toMatchObject({ fr: 60, ip: 0, op: 60, w: 360, h: 680, nm: 'upload-screen' });
+    expect(animation.layers[animation.layers.length - 1].shapes[0].it[0]).toEqual({
+      ty: 'rc', nm: 'Rectangle', d: 1, p: { a: 0, k: [180, 340] }, s: { a: 0, k: [360, 680] }, r: { a: 0, k: 24 }
+    });
+    const zone = animation.layers[layerIndex(animation, 'upload-zone')].shapes[0].it;
+    expect(zone.map((item) => item.ty)).toEqual(['rc', 'st', 'fl', 'tr']);
+    expect(zone[1].d.map((dash) => dash.v.k)).toEqual([8, 8, 0]);
+
+    const next = animation.layers[layerIndex(animation, 'Далі')];
+    expect(next.ty).toBe(5);
+    expect(next.ks.p.k).toEqual([180, 626, 0]);
+    expect(next.t.d.k[0].s).toMatchObject({ s: 18, f: 'e-Ukraine-SemiBold', j: 2, fc: [1, 1, 1] });
+    expect(animation.fonts.list).toContainEqual({ fName: 'e-Ukraine-SemiBold', fFamily: 'e-Ukraine', fStyle: 'SemiBold', fOrigin: 'n', ascent: 75 });
+    expect(JSON.parse(JSON.stringify(animation))).toEqual(animation);
+  });
+
+  it('plays a ripple over a button, under its label and clipped to it', () => {
+    const scene = SceneGraph.build('upload-screen');
+    const animation = LottieExporter.fromScene(scene, { tokens, timeline: LottieExporter.defaultTimeline(scene) });
+    const index = layerIndex(animation, 'next-button ripple');
+    const ripple = animation.layers[index];
+
+    expect(animation.op).toBe(180);
+    expect(ripple).toMatchObject({ ip: 90, op: 126, hasMask: true });
+    expect(ripple.masksProperties[0].pt.k.v[0]).toEqual([40, 592]);
+    expect(ripple.ks.o.k[0]).toMatchObject({ t: 90, s: [100], o: { x: [0], y: [0] }, i: { x: [0.58], y: [1] } });
+    expect(ripple.ks.o.k[1]).toEqual({ t: 126, s: [0] });
+    expect(ripple.shapes[0].it[0].s.k[1].s).toEqual([624, 624]);
+    expect(layerIndex(animation, 'Далі')).toBeLessThan(index);
+    expect(layerIndex(animation, 'next-button')).toBeGreaterThan(index);
+    expect(layerIndex(animation, 'upload-zone ripple')).toBeGreaterThan(-1);
+  });
+
+  it('sweeps the hologram gradient with the tilt track', () => {
+    const animation = LottieExporter.fromScene(SceneGraph.build('diia-id-card'), {
+      tokens,
+      timeline: { tracks: [{ type: 'tilt', keyframes: [{ time: 0, x: -1, y: -1, easing: 'ease-in-out' }, { time: 2, x: 2, y: 1 }] }] }
+    });
+    const hologram = animation.layers.find((layer) => layer.shapes && layer.shapes[0].it.some((item) => item.ty === 'gf'));
+    const fill = hologram.shapes[0].it.find((item) => item.ty === 'gf');
+
+    expect(animation.op).toBe(120);
+    expect(fill.s.k.map((keyframe) => keyframe.s)).toEqual([[-148, -62], [180, 158]]);
+    expect(fill.e.k.map((keyframe) => keyframe.s)).toEqual([[180, 158], [508, 378]]);
+    expect(fill.g.p).toBe(4);
+    expect(fill.g.k.k.slice(16)).toEqual([0, 0.05, 0.3, 0.15, 0.7, 0.2, 1, 0.05]);
+    expect(animation.layers[layerIndex(animation, 'card')].ef[0]).toMatchObject({ ty: 25, nm: 'Drop Shadow' });
+  });
+
+  it('moves nodes with their children and drifts particles inside the screen', () => {
+    const timeline = {
+      duration: 4,
+      tracks: [
+        { target: 'upload-zone', property: 'opacity', keyframes: [{ time: 0, value: 0 }, { time: 1, value: 1 }] },
+        { target: 'upload-zone', property: 'position', keyframes: [{ time: 0, value: [0, 40], easing: 'ease-out' }, { time: 1, value: [0, 0] }] },
+        { type: 'particles', count: 12, seed: 7, speed: 2 }
+      ]
+    };
+    const animation = LottieExporter.fromScene(SceneGraph.build('upload-screen'), { tokens, timeline });
+    const transform = animation.layers[layerIndex(animation, 'upload-zone transform')];
+
+    expect(transform).toMatchObject({ ty: 3, ks: { a: { a: 0, k: [180, 164, 0] } } });
+    expect(transform.ks.p.k.map((keyframe) => keyframe.s)).toEqual([[180, 204, 0], [180, 164, 0]]);
+    ['upload-zone', 'Додати файл'].forEach((name) => {
+      const layer = animation.layers[layerIndex(animation, name)];
+      expect(layer.parent).toBe(transform.ind);
+      expect(layer.ks.o.k.map((keyframe) => keyframe.s)).toEqual([[0], [100]]);
+    });
+    expect(animation.layers[layerIndex(animation, 'next-button')].parent).toBeUndefined();
+
+    const particles = animation.layers[animation.layers.length - 1];
+    expect(particles.nm).toBe('Particles');
+    expect(particles.ks.o.k).toBe(30);
+    expect(particles.shapes).toHaveLength(12);
+    particles.shapes.forEach((particle) => {
+      const { k } = particle.it[2].p;
+      expect(k[k.length - 1].t).toBe(240);
+      k.forEach(({ s: [x, y] }) => {
+        expect(x).toBeGreaterThanOrEqual(0);
+        expect(x).toBeLessThanOrEqual(360);
+        expect(y).toBeGreaterThanOrEqual(0);
+        expect(y).toBeLessThanOrEqual(680);
+      });
+    });
+    expect(LottieExporter.fromScene(SceneGraph.build('upload-screen'), { tokens, timeline })).toEqual(animation);
+  });
+
+  it('rejects unknown targets, tracks, easings and times', () => {
+    const scene = SceneGraph.build('upload-screen');
+    const exportWith = (timeline) => () => LottieExporter.fromScene(scene, { tokens, timeline });
+
+    expect(exportWith({ tracks: [{ type: 'ripple', target: 'missing' }] })).toThrow(ReferenceError);
+    expect(exportWith({ tracks: [{ type: 'confetti' }] })).toThrow(TypeError);
+    expect(exportWith({ tracks: [{ target: 'card', property: 'opacity', keyframes: [{ time: 0, value: 1, easing: 'bounce' }] }] })).toThrow(TypeError);
+    expect(exportWith({ tracks: [{ target: 'card', property: 'opacity', keyframes: [{ time: 1, value: 1 }, { time: 0.5, value: 0 }] }] })).toThrow(RangeError);
+    expect(exportWith({ fps: 0 })).toThrow(RangeError);
+  });
+});
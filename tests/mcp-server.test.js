@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { PassThrough } from 'node:stream';
+import { spawnSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import process from 'node:process';
+
+import { McpServer } from '../src/mcp-server.mjs';
+
+const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+const call = (server, name, args) => server.handle(request(1, 'tools/call', { name, arguments: args }));
+
+describe('McpServer', () => {
+  it('negotiates the protocol and lists the tools', async () => {
+    const server = new McpServer();
+    const init = await server.handle(request(1, 'initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 't', version: '1' } }));
+    expect(init.result).toMatchObject({ protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'vector-logic' } });
+    expect((await server.handle(request(2, 'initialize', { protocolVersion: '1999-01-01' }))).result.protocolVersion).toBe('2025-06-18');
+    expect(await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+
+    const { result } = await server.handle(request(3, 'tools/list'));
+    expect(result.tools.map((tool) => tool.name)).toEqual([
+      'render_screen', 'list_screens', 'list_tokens', 'optimize_svg', 'estimate_tokens', 'export_component'
+    ]);
+    result.tools.forEach((tool) => expect(tool.inputSchema.type).toBe('object'));
+  });
+
+  it('renders templates and reports schema errors as tool errors', async () => {
+    const server = new McpServer();
+    const card = await call(server, 'render_screen', { schema: 'diia-tax-id', props: { rnokpp: '1234567890' }, scale: 2, theme: 'dark' });
+    expect(card.result.content[0].text).toContain('>1234567890<');
+    expect(card.result.structuredContent).toMatchObject({ name: 'diia-tax-id', width: 720, height: 1360 });
+
+    const invalid = await call(server, 'render_screen', { schema: { type: 'screen', version: 1, width: 10, height: 10, children: [{ type: 'blob' }] } });
+    expect(invalid.result.isError).toBe(true);
+    expect(invalid.result.content[0].text).toContain('unknown node type "blob"');
+
+    const unknown = await call(server, 'render_screen', { schema: 'diia-visa' });
+    expect(unknown.result.isError).toBe(true);
+  });
+
+  it('serves tokens, screens, optimization, estimates and exports', async () => {
+    const server = new McpServer();
+    expect((await call(server, 'list_tokens', { path: 'spacing.md' })).result.structuredContent.value).toBe(16);
+    expect((await call(server, 'list_tokens', { theme: 'dark' })).result.structuredContent.colors.cardBg).toBe('#1a1f3a');
+    for (const path of ['spacing.huge', 'toString', 'colors.primary.length']) {
+      const unknown = await call(server, 'list_tokens', { path });
+      expect(unknown.result.isError, path).toBe(true);
+      expect(unknown.result.content[0].text).toContain(`Unknown design token "$${path}"`);
+    }
+
+    const screens = (await call(server, 'list_screens', {})).result.structuredContent.screens;
+    expect(screens.find((screen) => screen.name === 'diia-passport').props.lastName).toBeDefined();
+
+    const optimized = await call(server, 'optimize_svg', { svg: '<svg><g><rect width="1" height="1"/></g></svg>' });
+    expect(optimized.result.structuredContent.stats.originalSize).toBeGreaterThan(0);
+
+    const tokens = await call(server, 'estimate_tokens', { text: 'Дія '.repeat(50), model: 'claude' });
+    expect(Object.keys(tokens.result.structuredContent.models)).toEqual(['claude']);
+
+    const swift = await call(server, 'export_component', { target: 'swiftui', props: { title: 'Довідка' } });
+    expect(swift.result.content[0].text).toContain('var title: String = "Довідка"');
+  });
+
+  it('answers protocol errors with JSON-RPC error codes', async () => {
+    const server = new McpServer();
+    expect((await server.handle(request(1, 'resources/list'))).error.code).toBe(-32601);
+    expect((await server.handle({ id: 2, method: 'ping' })).error.code).toBe(-32600);
+    expect((await call(server, 'draw_cat', {})).error.code).toBe(-32602);
+    expect((await call(server, 'render_screen', {})).error.message).toContain('missing argument "schema"');
+    expect((await call(server, 'export_component', { target: 'xamarin' })).error.code).toBe(-32602);
+    expect((await call(server, 'render_screen', { schema: 'diia-id-card', scale: '2' })).error.code).toBe(-32602);
+    expect((await call(server, 'render_screen', { schema: 'diia-id-card', scale: 0 })).error.message).toContain('"scale" must be at least 0.1');
+    expect((await call(server, 'render_screen', { schema: 'diia-id-card', scale: 1e6 })).error.message).toContain('"scale" must be at most 10');
+    expect((await server.handleLine('{oops')).error.code).toBe(-32700);
+  });
+
+  it('speaks newline-delimited JSON over streams', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let written = '';
+    output.on('data', (chunk) => { written += chunk; });
+
+    const done = new McpServer().listen(input, output);
+    input.write(`${JSON.stringify(request(1, 'ping'))}\n\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    input.end(`${JSON.stringify(request(2, 'tools/call', { name: 'list_tokens', arguments: { path: 'radius.lg' } }))}\n`);
+    await done;
+
+    const lines = written.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+    expect(lines[1].result.structuredContent.value).toBe(16);
+  });
+
+  it('runs as the vector-logic-mcp bin with only protocol messages on stdout', () => {
+    const { bin } = JSON.parse(readFileSync('package.json', 'utf8'));
+    const { stdout, stderr, status } = spawnSync(process.execPath, [bin['vector-logic-mcp']], {
+      input: `${JSON.stringify(request(1, 'ping'))}\n`,
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    expect(status).toBe(0);
+    expect(stdout.trim().split('\n').map((line) => JSON.parse(line))).toEqual([{ jsonrpc: '2.0', id: 1, result: {} }]);
+    expect(stderr).toContain('vector-logic-mcp: listening on stdio');
+  });
+});
@@ -0,0 +1,81 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { Buffer } from 'node:buffer';
+import { execFileSync } from 'node:child_process';
+import process from 'node:process';
+
+import VectorLogic, {
+  VectorRenderer, DomRenderer, FigmaSimulator, ExportEngine,
+  OptimizerEngine, TokenEstimator, PatternDetector, ScreenSchema
+} from '../src/index.mjs';
+
+describe('Node ESM entry', () => {
+  it('runs the engines without DOM globals', () => {
+    expect(typeof window).toBe('undefined');
+    expect(typeof document).toBe('undefined');
+
+    const renderer = new VectorRenderer();
+    const svg = renderer.renderDocument('diia-tax-id', { rnokpp: '1234567890' });
+    expect(svg).toContain('>1234567890<');
+    expect(renderer.getPayloadSize()).toBe(Buffer.byteLength(renderer.render()));
+
+    const engine = new ExportEngine();
+    engine.setVectorRenderer(renderer);
+    expect(engine.toReactNative()).toContain('Svg');
+    const report = engine.generateComparisonReport({
+      vector: renderer, dom: new DomRenderer(), figma: new FigmaSimulator()
+    });
+    expect(report.payloadSize.vector).toBe(Buffer.byteLength(renderer.render()));
+    expect(report.exportFormats.swiftUI).toBeGreaterThan(0);
+    expect(report.exportFormats.compose).toBe(Buffer.byteLength(engine.toCompose()));
+    expect(report.exportFormats.vectorDrawable).toBe(Buffer.byteLength(engine.toVectorDrawable()));
+    expect(report.exportFormats.flutter).toBe(Buffer.byteLength(engine.toFlutter()));
+    expect(report.exportFormats.pdf).toBe(Buffer.byteLength(engine.toPDF()));
+
+    expect(new OptimizerEngine().analyze(svg).stats.originalSize).toBe(Buffer.byteLength(svg));
+    expect(new TokenEstimator()).toBeInstanceOf(TokenEstimator);
+    expect(new PatternDetector()).toBeInstanceOf(PatternDetector);
+  });
+
+  it('exposes every screen template and named export', () => {
+    ['upload-screen', 'diia-id-card', 'diia-passport', 'diia-tax-id', 'diia-fop-extract', 'diia-student-card']
+      .forEach((name) => expect(ScreenSchema.get(name), name).toBeDefined());
+    expect(VectorLogic.VectorRenderer).toBe(VectorRenderer);
+    expect(VectorLogic.OptimizerEngine).toBe(OptimizerEngine);
+  });
+
+  it('keeps the engines out of the global scope', () => {
+    ['VectorRenderer', 'DiiaTokens', 'ScreenSchema', 'SceneGraph', 'Escape', 'ExportEngine'].forEach((name) => {
+      expect(name in globalThis, name).toBe(false);
+    });
+  });
+
+  it('resolves as the vector-logic package', () => {
+    const pkg = JSON.parse(readFileSync('package.json', 'utf8'));
+    expect(pkg.exports['.']).toBe('./src/index.mjs');
+
+    const probe = "import { VectorRenderer } from 'vector-logic'; process.stdout.write(`${typeof VectorRenderer} ${typeof globalThis.VectorRenderer}`);";
+    expect(execFileSync(process.execPath, ['--input-type=module', '-e', probe], { encoding: 'utf8' })).toBe('function undefined');
+  });
+
+  it('keeps browser globals behind typeof checks', () => {
+    [
+      'src/generators/vector-renderer.js',
+      'src/generators/dom-renderer.js',
+      'src/generators/figma-simulator.js',
+      'src/generators/optimizer-engine.js',
+      'src/export-engine.js',
+      'src/generators/export-verifier.js',
+      'src/utils/token-estimator.js',
+      'src/utils/pattern-detector.js',
+      'src/utils/chaos-history.js',
+      'src/utils/svg-tree.js'
+    ].forEach((file) => {
+      const source = readFileSync(file, 'utf8');
+      expect(source, file).not.toMatch(/^window\./m);
+      expect(source, file).not.toMatch(/^export /m);
+      expect(source, file).not.toMatch(/new Blob\(/);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/utils/escape.js';
+import '../src/utils/svg-tree.js';
+import '../src/generators/optimizer-engine.js';
+
+const { OptimizerEngine } = window;
+
+const SVG_NS = 'xmlns="http://www.w3.org/2000/svg"';
+
+describe('OptimizerEngine.cleanSVG', () => {
+  const optimizer = new OptimizerEngine();
+
+  it('removes comments, declarations, metadata and design tool data', () => {
+    const adobe = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<!-- Generator: Adobe Illustrator 27.0 -->',
+      '<!DOCTYPE svg [<!ENTITY ns_svg "http://www.w3.org/2000/svg"><!ENTITY ns_ai "http://ns.adobe.com/AdobeIllustrator/10.0/">]>',
+      '<svg xmlns="&ns_svg;" xmlns:i="&ns_ai;" xmlns:xlink="http://www.w3.org/1999/xlink" i:viewOrigin="0 0">',
+      '  <metadata><i:pgf>...</i:pgf></metadata>',
+      '  <g id="Layer_1" data-name="Layer 1" i:extraneous="self">',
+      '    <rect width="10" height="10" fill="#000"/>',
+      '  </g>',
+      '</svg>'
+    ].join('\n');
+
+    expect(optimizer.detectFormat(adobe)).toBe('adobe');
+    expect(optimizer.cleanSVG(adobe, 'adobe')).toBe(`<svg ${SVG_NS}><g id="Layer_1"><rect width="10" height="10" fill="#000"/></g></svg>`);
+  });
+
+  it('keeps fill="none" unless the element inherits it', () => {
+    const svg = `<svg ${SVG_NS}><path fill="none" stroke="#000" d="M0 0L9 9"/><g fill="none"><rect fill="none" width="1" height="1"/><circle fill="inherit" fill-rule="nonzero" r="1"/></g><path fill-rule="evenodd" d="M0 0L1 1Z"/></svg>`;
+
+    expect(optimizer.cleanSVG(svg)).toBe(`<svg ${SVG_NS}><path fill="none" stroke="#000" d="M0 0L9 9"/><g fill="none"><rect width="1" height="1"/><circle r="1"/></g><path fill-rule="evenodd" d="M0 0L1 1Z"/></svg>`);
+    // Content of <defs> and of referenced elements inherits from where it is used
+    const defs = `<svg ${SVG_NS}><g fill="none"><defs><path id="p" fill="none" d="M0 0"/></defs></g><use href="#p" fill="red"/></svg>`;
+    expect(optimizer.cleanSVG(defs)).toBe(defs);
+  });
+
+  it('removes long IDs only when nothing refers to them', () => {
+    const svg = [
+      `<svg ${SVG_NS} xmlns:xlink="http://www.w3.org/1999/xlink">`,
+      '<defs><linearGradient id="paint0_linear_12345"><stop offset="0"/></linearGradient><path id="icon_shape_123456" d="M0 0"/></defs>',
+      '<rect id="Rectangle_1234567890" fill="url(#paint0_linear_12345)" width="1" height="1"/>',
+      '<use xlink:href="#icon_shape_123456"/>',
+      '</svg>'
+    ].join('');
+
+    expect(optimizer.cleanSVG(svg)).toBe(svg.replace(' id="Rectangle_1234567890"', ''));
+  });
+
+  it('merges attribute-less groups, however deeply nested', () => {
+    const svg = `<svg ${SVG_NS}><g><g><g transform="translate(1 1)"><g><rect width="1" height="1"/></g></g></g><circle r="1"/></g><g> </g><switch><g><rect width="2" height="2"/></g></switch></svg>`;
+
+    expect(optimizer.cleanSVG(svg)).toBe(`<svg ${SVG_NS}><g transform="translate(1 1)"><rect width="1" height="1"/></g><circle r="1"/><switch><g><rect width="2" height="2"/></g></switch></svg>`);
+    expect(optimizer.mergeRedundantGroups('<svg><g><g id="a"><g/></g></g><g id="b"/></svg>')).toBe('<svg><g id="a"/><g id="b"/></svg>');
+  });
+
+  it('rounds geometry without touching text or relative paths', () => {
+    const svg = `<svg ${SVG_NS}><rect x="1.23456" y="-0.001" width="10.005" height=".129"/><path d="M10-0.001 1.5.0001L3.14159 2"/><path d="m1.23456 1l.5 .5"/><text x="1.23456">π = 3.14159</text></svg>`;
+
+    expect(optimizer.cleanSVG(svg)).toBe(`<svg ${SVG_NS}><rect x="1.23" y="0" width="10.01" height=".13"/><path d="M10 0 1.5 0L3.14 2"/><path d="m1.23456 1l.5 .5"/><text x="1.23">π = 3.14159</text></svg>`);
+  });
+
+  it('keeps text whitespace and leaves style sheets their structure', () => {
+    const svg = `<svg ${SVG_NS}>\n  <style>g > rect { fill: red }</style>\n  <g><rect width="1" height="1" fill="black"/></g>\n  <text>a <tspan>b</tspan> c</text>\n</svg>`;
+
+    expect(optimizer.cleanSVG(svg)).toBe(`<svg ${SVG_NS}><style>g &gt; rect { fill: red }</style><g><rect width="1" height="1" fill="black"/></g><text>a <tspan>b</tspan> c</text></svg>`);
+  });
+
+  it('returns markup it cannot parse unchanged and still analyzes it', () => {
+    const html = '<div class="card"><br><p>Дія</p></div>';
+
+    expect(optimizer.cleanSVG(`  ${html}\n`)).toBe(html);
+    expect(optimizer.analyze(html).optimized).toContain(html);
+  });
+
+  it('writes well-formed SVG', () => {
+    const svg = `<svg ${SVG_NS} xmlns:xlink="http://www.w3.org/1999/xlink"><a xlink:href="https://diia.gov.ua/?a=1&amp;b=2"><text>Tom &amp; Jerry &lt;3</text></a></svg>`;
+    const cleaned = optimizer.cleanSVG(svg);
+    const doc = new DOMParser().parseFromString(cleaned, 'image/svg+xml');
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(doc.querySelector('text').textContent).toBe('Tom & Jerry <3');
+    expect(cleaned).toBe(svg);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/font-glyphs.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-passport.js';
+import '../src/screens/diia-tax-id.js';
+import '../src/screens/diia-fop-extract.js';
+import '../src/screens/diia-student-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/escape.js';
+import '../src/generators/pdf-writer.js';
+
+const { SceneGraph, PDFWriter, DiiaTokens } = window;
+
+const tokens = DiiaTokens.resolve();
+const pattern = () => ({ paths: ['M0 0L10 10'], strokeWidth: 0.5 });
+
+/** Body of the object a name refers to ("/F1 12 0 R") */
+function object(pdf, name) {
+  const id = new RegExp(`/${name} (\\d+) 0 R`).exec(pdf)[1];
+  return pdf.split(`\n${id} 0 obj\n`)[1].split('\nendobj')[0];
+}
+
+/** Characters a font resource shows, by code */
+function differences(pdf, name) {
+  const chars = {};
+  let code = 0;
+  for (const [, number, glyph] of /\/Differences \[([^\]]*)\]/.exec(object(pdf, name))[1].matchAll(/(\d+)|\/u(?:ni)?([0-9A-F]{4,6})/g)) {
+    if (number) code = Number(number);
+    else chars[code++] = String.fromCodePoint(parseInt(glyph, 16));
+  }
+  return chars;
+}
+
+/** Text a PDF shows, decoded through each font's encoding */
+function shownText(pdf) {
+  let chars = {};
+  return [...pdf.matchAll(/\/(F\d+) [\d.]+ Tf|\(((?:[^()\\]|\\.)*)\) Tj/g)].map(([, font, literal]) => {
+    if (font) {
+      chars = differences(pdf, font);
+      return '';
+    }
+    const bytes = literal.replace(/\\([0-7]{3}|.)/g, (_, code) => (code.length === 3 ? String.fromCharCode(parseInt(code, 8)) : code));
+    return [...bytes].map((byte) => chars[byte.charCodeAt(0)]).join('');
+  }).join('');
+}
+
+describe('PDFWriter', () => {
+  it('writes an ASCII PDF whose cross-reference table points at every object', () => {
+    const pdf = PDFWriter.fromScene(SceneGraph.build('diia-id-card'), { tokens, pattern });
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).toMatch(/^[\x20-\x7e\n]*$/);
+    const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]);
+    const [, count, entries] = /^xref\n0 (\d+)\n0000000000 65535 f \n((?:\d{10} 00000 n \n)*)trailer/.exec(pdf.slice(xref));
+    const offsets = entries.match(/\d{10}/g).map(Number);
+    expect(offsets).toHaveLength(Number(count) - 1);
+    offsets.forEach((offset, i) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj\n`)));
+    // Stream lengths count the bytes between the keywords
+    [...pdf.matchAll(/\/Length (\d+) >>\nstream\n/g)].forEach((match) => {
+      const start = match.index + match[0].length;
+      expect(pdf.slice(start + Number(match[1]))).toMatch(/^\nendstream/);
+    });
+    expect(pdf).toContain('/Title <FEFF004400690069006100200049004400200043006100720064>');
+  });
+
+  it('draws rounded boxes with curves, measured from the bottom of the page', () => {
+    const pdf = PDFWriter.fromScene(SceneGraph.build('upload-screen'), { tokens });
+
+    expect(pdf).toContain('/MediaBox [0 0 360 680]');
+    // The upload zone: 312 x 120 at (24, 104), corners of 16
+    expect(pdf).toContain('40 576 m\n320 576 l\n328.84 576 336 568.84 336 560 c\n');
+    expect(pdf).toContain('[8 8] 0 d');
+    expect(pdf).not.toContain('roundrect');
+  });
+
+  it('embeds Type 3 fonts that draw Cyrillic', () => {
+    const pdf = PDFWriter.fromScene(SceneGraph.build('diia-id-card', { lastName: 'ШЕВЧЕНКО' }), { tokens });
+
+    expect(pdf).not.toMatch(/Helvetica|Courier|\/Type1/);
+    expect(object(pdf, 'F1')).toMatch(/^<< \/Type \/Font \/Subtype \/Type3 \/Name \/F1 \/FontBBox \[[-\d ]+\] \/FontMatrix \[0\.001 0 0 0\.001 0 0\]\n/);
+    expect(object(pdf, 'F1')).toMatch(/\/Differences \[[^\]]* 128 \/uni0423 /);
+    // Each glyph is an outline painted in the text color
+    const sha = object(pdf, 'uni0428').split('\nstream\n')[1];
+    expect(sha).toMatch(/^\d+ 0 -?\d+ -?\d+ \d+ \d+ d1\n[\d.]+ -?[\d.]+ m\n/);
+    expect(sha).toMatch(/\nf\nendstream$/);
+    expect(sha).not.toMatch(/ (rg|RG|g|G)\n/);
+    expect(pdf).toContain('1 beginbfrange\n<20> <7E> <0020>\nendbfrange');
+    expect(shownText(pdf)).toContain('УКРАЇНА');
+    expect(shownText(pdf)).toContain('ШЕВЧЕНКО');
+    expect(shownText(pdf)).toContain("Ім'я");
+
+    // Past 128 characters a font gets a second resource
+    const many = Array.from({ length: 150 }, (_, i) => String.fromCharCode(0x4E00 + i)).join('');
+    const scene = SceneGraph.build({ type: 'screen', version: 1, width: 4000, height: 40, children: [{ type: 'text', y: 20, text: many }] });
+    const wide = PDFWriter.fromScene(scene);
+    expect(wide).toContain('/F2 ');
+    expect(shownText(wide)).toBe(many);
+  });
+
+  it('round-trips Cyrillic text through pdf.js', async () => {
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const props = { lastName: 'ҐОНЧАР', firstName: 'Євгенія' };
+    const pdf = PDFWriter.fromScene(SceneGraph.build('diia-id-card', props), { tokens });
+
+    const loaded = await getDocument({ data: Uint8Array.from(pdf, (char) => char.charCodeAt(0)), verbosity: 0 }).promise;
+    const { items } = await (await loaded.getPage(1)).getTextContent();
+    const text = items.map((item) => item.str).filter(Boolean);
+    expect(text).toEqual(expect.arrayContaining(['УКРАЇНА', '1. Прізвище', 'ҐОНЧАР', "2. Ім'я", 'Євгенія', '4c. Дійсне до']));
+    await loaded.destroy();
+  });
+
+  it('defines every glyph the EPS shows in its prolog', () => {
+    const eps = PDFWriter.epsFromScene(SceneGraph.build('diia-id-card', { lastName: 'ҐОНЧАР' }), { tokens });
+    const prolog = eps.split('%%EndProlog')[0];
+
+    expect(prolog).not.toMatch(/findfont|Helvetica|Courier/);
+    const encoded = [...prolog.matchAll(/dup (\d+) \/uni([0-9A-F]{4}) put/g)].map(([, , code]) => String.fromCharCode(parseInt(code, 16)));
+    expect(encoded).toEqual(expect.arrayContaining([...'ҐОНЧАРУКРАЇНА']));
+    encoded.forEach((char) => {
+      const name = `uni${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+      const proc = new RegExp(`\\n    /${name} \\{\\n      [\\d.]+ 0 -?\\d+ -?\\d+ -?\\d+ -?\\d+ setcachedevice\\n([\\s\\S]*?)    \\} def`).exec(prolog);
+      expect(proc, name).not.toBeNull();
+      // Only the space has no outline
+      if (char !== ' ') expect(proc[1], name).toMatch(/ moveto\n[\s\S]* closepath\n {6}fill\n$/);
+    });
+  });
+
+  it('keeps gradients and translucent layers in the PDF and leaves them out of the EPS', () => {
+    const scene = SceneGraph.build('diia-id-card');
+    const pdf = PDFWriter.fromScene(scene, { tokens, pattern });
+    const eps = PDFWriter.epsFromScene(scene, { tokens, pattern });
+
+    // The hologram fades between stops through a soft mask; patterns draw at 10%
+    expect(pdf).toContain('/ShadingType 2 /ColorSpace /DeviceRGB');
+    expect(pdf).toContain('/SMask << /Type /Mask /S /Luminosity /G ');
+    expect(pdf).toContain('<< /CA 0.03 >>');
+    expect(pdf).toContain('/Group << /S /Transparency /CS /DeviceRGB >>');
+
+    expect(eps.startsWith('%!PS-Adobe-3.0 EPSF-3.0\n%%BoundingBox: 0 0 360 680\n')).toBe(true);
+    expect(eps).toContain('%%BeginResource: font F1\n/F1 10 dict begin\n  /FontType 3 def\n  /FontName /Inter-Bold def\n');
+    expect(eps).toMatch(/\nshowpage\n%%EOF\n$/);
+    expect(eps).not.toMatch(/ sh\n|\/ca|setdash\n0\.1/);
+  });
+
+  it('balances graphics states on every registered screen', () => {
+    ['upload-screen', 'diia-id-card', 'diia-passport', 'diia-tax-id', 'diia-fop-extract', 'diia-student-card'].forEach((name) => {
+      const scene = SceneGraph.build(name);
+      const content = PDFWriter.fromScene(scene, { tokens, pattern }).split('\nstream\n')[1].split('\nendstream')[0];
+      expect(content.match(/^q$/gm) || [], name).toHaveLength((content.match(/^Q$/gm) || []).length);
+      expect(content.match(/^BT$/gm) || [], name).toHaveLength((content.match(/^ET$/gm) || []).length);
+
+      const eps = PDFWriter.epsFromScene(scene, { tokens, pattern });
+      expect(eps.match(/^gsave$/gm) || [], name).toHaveLength((eps.match(/^grestore$/gm) || []).length);
+    });
+  });
+});
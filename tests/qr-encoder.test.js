@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+
+const { QREncoder, VectorRenderer, DIIA_ID_CARD_SCHEMA } = window;
+
+const rows = (qr) => qr.modules.map((row) => row.map((dark) => (dark ? '#' : '.')).join(''));
+
+// Version 1-Q "HELLO WORLD", cross-checked against the qrcode npm package
+const HELLO_WORLD_1Q = [
+  '#######....#..#######',
+  '#.....#.##..#.#.....#',
+  '#.###.#..#.##.#.###.#',
+  '#.###.#.#####.#.###.#',
+  '#.###.#.##.#..#.###.#',
+  '#.....#..#..#.#.....#',
+  '#######.#.#.#.#######',
+  '........##.##........',
+  '.#.####.##..###.##.#.',
+  '#.####.#....####.###.',
+  '..#.#.##...#..##.....',
+  '#.##.#...#.##...##...',
+  '##.########.###.#####',
+  '........#...#..#.#...',
+  '#######..##..##..####',
+  '#.....#.#.#..#..#.###',
+  '#.###.#.##.#..#...###',
+  '#.###.#.#.###...#.#..',
+  '#.###.#..#....#....##',
+  '#.....#.###..###..##.',
+  '#######..#.#.......#.'
+];
+
+describe('QREncoder', () => {
+  it('encodes a known symbol module for module', () => {
+    const qr = QREncoder.encode('HELLO WORLD', { ecLevel: 'Q', mask: 6 });
+    expect(qr).toMatchObject({ version: 1, size: 21, ecLevel: 'Q', mask: 6, mode: 'alphanumeric' });
+    expect(rows(qr)).toEqual(HELLO_WORLD_1Q);
+  });
+
+  it('picks the smallest version and the cheapest mask', () => {
+    expect(QREncoder.encode('HELLO WORLD', { ecLevel: 'Q' }).mask).toBe(0);
+    expect(QREncoder.encode('https://010io.github.io/UI-Matrix/', { ecLevel: 'H' }).version).toBe(4);
+    expect(QREncoder.encode('ШЕВЧЕНКО Тарас 09.03.1814').version).toBe(3);
+    expect(QREncoder.encode('7'.repeat(1500), { ecLevel: 'H' }).version).toBe(27);
+  });
+
+  it('detects the densest mode for the text', () => {
+    expect(QREncoder.detectMode('0123456789')).toBe('numeric');
+    expect(QREncoder.detectMode('AAA 123456')).toBe('alphanumeric');
+    expect(QREncoder.detectMode('aaa 123456')).toBe('byte');
+    expect(QREncoder.detectMode('ДІЯ')).toBe('byte');
+  });
+
+  it('rejects invalid input', () => {
+    expect(() => QREncoder.encode(42)).toThrow(TypeError);
+    expect(() => QREncoder.encode('x', { ecLevel: 'X' })).toThrow(TypeError);
+    expect(() => QREncoder.encode('x', { mask: 8 })).toThrow(RangeError);
+    expect(() => QREncoder.encode('x'.repeat(100), { maxVersion: 2 })).toThrow(RangeError);
+  });
+
+  it('paints the ID card QR from the card number as one path', () => {
+    const renderer = new VectorRenderer();
+    const svg = renderer.render(DIIA_ID_CARD_SCHEMA, 1, { cardNumber: 'AAA 123456' });
+    const qr = QREncoder.encode('AAA 123456');
+
+    const runs = QREncoder.toPathData(qr).split('z').length;
+
+    expect(svg.match(/aria-label="QR код"/g)).toHaveLength(1);
+    expect(svg.match(/<path d="([^"]*)"[^>]*aria-label="QR код"/)[1].split('z')).toHaveLength(runs);
+    expect(renderer.render(DIIA_ID_CARD_SCHEMA, 1, { cardNumber: 'BBB 654321' })).not.toBe(svg);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/escape.js';
+import '../src/generators/react-native-exporter.js';
+
+const { SceneGraph, ReactNativeExporter, DiiaTokens } = window;
+
+describe('ReactNativeExporter', () => {
+  it('types the screen props and reads prop-bound text from them', () => {
+    const scene = SceneGraph.build('upload-screen', { title: 'Довідка' });
+    const tsx = ReactNativeExporter.transpile(scene, { name: 'UploadScreen' });
+
+    expect(tsx).toContain('export type UploadScreenProps = {\n  title?: string;\n  subtitle?: string;\n  buttonText?: string;\n};');
+    expect(tsx).toContain('const UploadScreen = ({\n  title = "Довідка",');
+    expect(tsx).toContain('accessibilityLabel={title}');
+    expect(tsx).toContain('{buttonText}');
+    expect(tsx).not.toContain('Додати файл"}');
+  });
+
+  it('imports token groups instead of inlining their values', () => {
+    const tsx = ReactNativeExporter.transpile(SceneGraph.build('upload-screen'));
+
+    expect(tsx).toContain("import { colors, fontFamily, fontSize, radius } from './diia-tokens';");
+    expect(tsx).toContain('fill={colors.cardBg}');
+    expect(tsx).toContain('fontSize={fontSize.lg}');
+    expect(tsx).toContain('backgroundColor: colors.background');
+    expect(tsx).not.toMatch(/#[0-9a-f]{6}/i);
+    expect(ReactNativeExporter.transpile(SceneGraph.build('upload-screen'), { tokensModule: '../theme' })).toContain("from '../theme';");
+  });
+
+  it('turns repeated groups into one component with props for what differs', () => {
+    const tsx = ReactNativeExporter.transpile(SceneGraph.build('diia-id-card'), { tokens: DiiaTokens.resolve() });
+
+    expect(tsx).toContain('const Stack1 = ({ x, y, label, value }: Stack1Props) => (');
+    expect(tsx.match(/<Stack1 /g)).toHaveLength(5);
+    expect(tsx).toContain('<Stack1 x={138} y={78} label={"1. Прізвище"} value={lastName} />');
+    // Mixed text becomes a template literal; the card component takes it as a prop
+    expect(tsx).toContain('value={`№ ${cardNumber}`}');
+    // Components are defined before the components placing them
+    expect(tsx.indexOf('const Stack1 =')).toBeLessThan(tsx.indexOf('const Card ='));
+    expect(tsx).toContain('<LinearGradient id="holo-gradient"');
+  });
+
+  it('skips what it cannot draw without tokens or pattern geometry', () => {
+    const tsx = ReactNativeExporter.transpile(SceneGraph.build('diia-id-card'));
+    expect(tsx).not.toContain('LinearGradient');
+    expect(tsx).not.toContain('url(#holo-gradient)');
+    expect(tsx).toContain('<ClipPath id="card-clip">');
+  });
+
+  it('generates the tokens module the components import', () => {
+    const source = ReactNativeExporter.tokensModule(DiiaTokens.resolve());
+
+    expect(source).toContain("export const colors = {\n  primary: '#67C3F3',");
+    expect(source).toContain("primary: 'e-Ukraine',");
+    expect(source).toContain("'0': 0,");
+    expect(source).toMatch(/\n\} as const;\n$/);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/font-glyphs.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-passport.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/dom-renderer.js';
+import '../src/generators/figma-simulator.js';
+import '../src/generators/react-native-exporter.js';
+import '../src/generators/swiftui-exporter.js';
+import '../src/generators/compose-exporter.js';
+import '../src/generators/vector-drawable-exporter.js';
+import '../src/generators/flutter-exporter.js';
+import '../src/generators/pdf-writer.js';
+import '../src/generators/web-component-exporter.js';
+import '../src/generators/lottie-exporter.js';
+import '../src/export-engine.js';
+
+const { SceneGraph, VectorRenderer, DomRenderer, FigmaSimulator, ExportEngine, DiiaTokens, UPLOAD_SCREEN_SCHEMA } = window;
+
+/** Scene node with the given schema ID */
+function findNode(scene, id) {
+  let found = null;
+  SceneGraph.walk(scene, (node) => {
+    if (node.id === id) found = node;
+  });
+  return found;
+}
+
+describe('SceneGraph', () => {
+  it('lays out and resolves a screen into plain JSON', () => {
+    const scene = SceneGraph.build('upload-screen', { title: 'Довідка' });
+    const colors = DiiaTokens.resolve().colors;
+
+    expect(scene).toMatchObject({ name: 'upload-screen', width: 360, height: 680, label: 'Довідка' });
+    expect(JSON.parse(JSON.stringify(scene))).toEqual(scene);
+
+    const card = findNode(scene, 'card');
+    expect(card).toMatchObject({ type: 'stack', x: 8, y: 16, width: 344, height: 648, fill: colors.cardBg });
+    expect(card.children[0]).toMatchObject({ type: 'text', text: 'Довідка', lines: ['Довідка'], x: 24, fill: colors.heading });
+    expect(findNode(scene, 'upload-zone').children[0].d).toBe('M0 -12 L0 0 M0 -12 L-4 -8 M0 -12 L4 -8');
+    // Where values came from, for code generators
+    expect(card.tokens).toMatchObject({ fill: 'colors.cardBg', radius: 'radius.xl' });
+    expect(card.children[0].bindings).toEqual({ text: '{{title}}', semanticText: '{{title}}', semanticLabel: '{{title}}' });
+    expect(scene.bindings).toEqual({ label: '{{title}}' });
+    expect(scene.props).toMatchObject({ title: 'Довідка', buttonText: 'Додати файл' });
+
+    const depths = [];
+    SceneGraph.walk(scene, (node, parent, depth) => depths.push(depth));
+    expect(depths).toEqual([0, 0, 1, 1, 1, 2, 2, 1, 2]);
+  });
+
+  it('records the token behind each dash length', () => {
+    const scene = SceneGraph.build({
+      type: 'screen',
+      version: 1,
+      width: 100,
+      height: 100,
+      children: [{ type: 'rect', id: 'rule', width: 100, height: 10, stroke: '$colors.border', dash: ['$spacing.xs', 2, '$spacing.sm'] }]
+    });
+    const rule = findNode(scene, 'rule');
+
+    expect(rule.dash).toEqual([4, 2, 8]);
+    expect(rule.tokens).toEqual({ stroke: 'colors.border', 'dash.0': 'spacing.xs', 'dash.2': 'spacing.sm' });
+  });
+
+  it('rejects unknown templates and picks templates for bare props', () => {
+    expect(() => SceneGraph.build('diia-visa')).toThrow(ReferenceError);
+    expect(() => SceneGraph.build('upload-screen', 'title')).toThrow(TypeError);
+    expect(SceneGraph.templateFor({ buttonText: 'OK' })).toBe('upload-screen');
+    expect(SceneGraph.templateFor({ firstName: 'ОЛЕНА' })).toBe('diia-id-card');
+  });
+
+  it('turns gradients into fractions and colors into channels', () => {
+    const scene = SceneGraph.build('diia-id-card');
+    const tokens = DiiaTokens.resolve();
+    const hologram = SceneGraph.gradient(SceneGraph.def(scene, '@holo-gradient'), tokens, { x: 0.1, y: 0 });
+
+    expect(hologram).toMatchObject({ x1: 0.1, y1: 0, x2: 1.1, y2: 1 });
+    expect(hologram.stops.map((stop) => stop.offset)).toEqual([0, 0.3, 0.7, 1]);
+    expect(SceneGraph.gradient(SceneGraph.def(scene, '@shadow'), tokens)).toBeNull();
+    expect(SceneGraph.def(scene, '#ffffff')).toBeUndefined();
+    expect(SceneGraph.color('#fff8')).toBeNull();
+    expect(SceneGraph.color('#FF000080')).toEqual({ r: 1, g: 0, b: 0, a: 128 / 255 });
+  });
+
+  it('normalizes path data to absolute commands', () => {
+    expect(SceneGraph.pathCommands('M0 0h10v5l-10 0z m1 1 2 2', 100, 50)).toEqual([
+      { command: 'M', points: [100, 50] },
+      { command: 'L', points: [110, 50] },
+      { command: 'L', points: [110, 55] },
+      { command: 'L', points: [100, 55] },
+      { command: 'Z', points: [] },
+      { command: 'M', points: [101, 51] },
+      { command: 'L', points: [103, 53] }
+    ]);
+
+    const [, quarter] = SceneGraph.pathCommands('M10 0A10 10 0 0 1 0 10');
+    expect(quarter.command).toBe('C');
+    expect(quarter.points.slice(4)).toEqual([0, 10]);
+    expect(quarter.points[1]).toBeCloseTo(5.523, 3);
+
+    // T reflects the previous control point
+    expect(SceneGraph.pathCommands('M0 0Q5 5 10 0T20 0').slice(1)).toEqual([
+      { command: 'Q', points: [5, 5, 10, 0] },
+      { command: 'Q', points: [15, -5, 20, 0] }
+    ]);
+  });
+
+  it('puts every generator at the same coordinates', () => {
+    const vectorRenderer = new VectorRenderer();
+    const engine = new ExportEngine();
+    engine.setVectorRenderer(vectorRenderer);
+    const props = { title: 'Довідка', description: 'Оберіть файл' };
+    const zone = findNode(vectorRenderer.buildScene(UPLOAD_SCREEN_SCHEMA, props), 'upload-zone');
+    const card = { x: 8, y: 16 };
+    expect(zone).toMatchObject({ x: 24, y: 104, width: 312, height: 120 });
+
+    expect(vectorRenderer.render(UPLOAD_SCREEN_SCHEMA, 1, props)).toContain('<rect x="24" y="104" width="312" height="120"');
+
+    const root = document.createElement('div');
+    root.innerHTML = new DomRenderer({ vectorRenderer }).render(UPLOAD_SCREEN_SCHEMA, 1, props);
+    const button = root.querySelector('button.upload-zone');
+    expect([button.style.left, button.style.top, button.style.width]).toEqual(['16px', '88px', '312px']);
+    expect(root.querySelector('h1').textContent).toBe('Довідка');
+
+    const figma = JSON.parse(new FigmaSimulator({ vectorRenderer }).render(UPLOAD_SCREEN_SCHEMA, 1, props));
+    const layer = figma.layers[0].children[1].children.find((child) => child.name === 'upload-zone');
+    expect(layer).toMatchObject({ type: 'FRAME', x: zone.x - card.x, y: zone.y - card.y, width: 312, height: 120 });
+
+    // React Native places components: the card at its offset, the zone inside it
+    const jsx = engine.toReactNative(props);
+    expect(jsx).toContain('<Card x={8} y={16}');
+    expect(jsx).toContain('<UploadZone x={16} y={88}');
+    expect(jsx).toContain('<Rect x={0} y={0} width={312} height={120}');
+    // SwiftUI stacks the card's children: the zone follows the subtitle 24pt down
+    const swift = engine.toSwiftUI(props);
+    expect(swift).toContain('.frame(width: 344, height: 648, alignment: .topLeading)');
+    expect(swift).toContain('.frame(width: 312, height: 120, alignment: .topLeading)');
+    expect(swift).toMatch(/\.accessibilityLabel\("Натисніть[^"]*"\)\n\s+\.padding\(\.top, 24\)/);
+    // PostScript measures Y from the bottom: the zone's top edge is at 680 - 104
+    expect(engine.toEPS(props)).toContain('newpath\n40 576 moveto\n320 576 lineto\n');
+  });
+
+  it('exports any registered screen', () => {
+    const engine = new ExportEngine();
+    const swift = engine.toSwiftUI({ lastName: 'ШЕВЧЕНКО' }, 'diia-passport');
+    expect(swift).toContain('struct DiiaPassport: View');
+    expect(swift).toContain('var lastName: String = "ШЕВЧЕНКО"');
+    expect(swift).toContain('Text(lastName)');
+    expect(engine.toReactNative({}, 'diia-passport')).toContain('}: DiiaPassportProps) => {');
+    expect(engine.toEPS({ lastName: 'ШЕВЧЕНКО' }, 'diia-passport')).toMatch(/dup \d+ \/uni0428 put/);
+  });
+});
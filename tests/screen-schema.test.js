@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+
+const { ScreenSchema, VectorRenderer, UPLOAD_SCREEN_SCHEMA } = window;
+
+const parse = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+describe('screen-schema', () => {
+  it('registers the built-in screens', () => {
+    expect(ScreenSchema.list()).toEqual(expect.arrayContaining(['upload-screen', 'diia-id-card']));
+  });
+
+  it('renders a schema document through render(schema, scale, props)', () => {
+    const renderer = new VectorRenderer();
+    const svg = renderer.render(UPLOAD_SCREEN_SCHEMA, 2, { title: 'Довідка' });
+    const doc = parse(svg);
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(doc.documentElement.getAttribute('width')).toBe('720');
+    expect(doc.documentElement.getAttribute('aria-label')).toBe('Довідка');
+    expect(svg).toBe(renderer.renderUploadScreen({ title: 'Довідка' }, 2));
+  });
+
+  it('keeps the props heuristic for legacy callers', () => {
+    const renderer = new VectorRenderer();
+    expect(renderer.render({ description: 'Опис' })).toContain('Опис');
+    expect(renderer.render({ lastName: 'КОСТЕНКО' })).toContain('aria-label="Diia ID Card"');
+  });
+
+  it('lays out custom documents with tokens, percentages, anchors and stacks', () => {
+    const svg = new VectorRenderer().render({
+      type: 'screen',
+      version: 1,
+      width: 200,
+      height: 100,
+      props: { name: { default: 'Світ' } },
+      children: [
+        { type: 'rect', x: '$spacing.md', right: '$spacing.md', y: 10, height: '50%', fill: '$colors.primary' },
+        {
+          type: 'stack',
+          x: 8,
+          y: 8,
+          gap: 4,
+          children: [
+            { type: 'rect', width: 10, height: 20 },
+            { type: 'rect', width: 10, height: 30 }
+          ]
+        },
+        { type: 'text', x: '50%', bottom: 8, anchor: 'middle', text: 'Привіт, {{name}}' }
+      ]
+    }, 1);
+    const rects = parse(svg).querySelectorAll('rect');
+    const text = parse(svg).querySelector('text');
+
+    expect(rects[0].getAttribute('x')).toBe('16');
+    expect(rects[0].getAttribute('width')).toBe('168');
+    expect(rects[0].getAttribute('height')).toBe('50');
+    expect(rects[0].getAttribute('fill')).toBe('#67C3F3');
+    expect(rects[2].getAttribute('y')).toBe('32');
+    expect(text.getAttribute('x')).toBe('100');
+    expect(text.getAttribute('y')).toBe('92');
+    expect(text.textContent).toBe('Привіт, Світ');
+  });
+
+  it('rejects invalid documents with descriptive errors', () => {
+    const renderer = new VectorRenderer();
+    const base = { type: 'screen', version: 1, width: 10, height: 10 };
+
+    expect(() => renderer.render({ ...base, version: 2, children: [] })).toThrow(RangeError);
+    expect(() => renderer.render({ ...base, children: [{ type: 'blob' }] })).toThrow(
+      'children[0]: unknown node type "blob"'
+    );
+    expect(() => renderer.render({ ...base, children: [{ type: 'text' }] })).toThrow('requires "text"');
+    expect(() => renderer.render({ ...base, children: [{ type: 'rect', fill: '$colors.nope' }] })).toThrow(
+      ReferenceError
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/components/svg/DiiaButton.js';
+
+const { SvgIds, VectorRenderer, DIIA_ID_CARD_SCHEMA, generateDiiaButton } = window;
+
+/**
+ * Put markup into one document and check every url(#id) lands in the
+ * SVG that references it
+ */
+function checkReferences(markup) {
+  const doc = document.createElement('div');
+  doc.innerHTML = markup;
+  const ids = [...doc.querySelectorAll('[id]')].map((el) => el.id);
+  const refs = [...markup.matchAll(/url\(#([^)]+)\)/g)].map((match) => match[1]);
+  return { ids, refs, unique: new Set(ids).size === ids.length, resolved: refs.every((ref) => ids.includes(ref)) };
+}
+
+describe('SvgIds', () => {
+  it('scopes by content hash or by prefix', () => {
+    expect(SvgIds.scope('shadow', '<a/>')).toBe(SvgIds.scope('shadow', '<a/>'));
+    expect(SvgIds.scope('shadow', '<a/>')).not.toBe(SvgIds.scope('shadow', '<b/>'));
+    expect(SvgIds.scope('shadow', '<a/>', 'card-2')).toBe('card-2-shadow');
+    expect(() => SvgIds.validatePrefix('2card')).toThrow(TypeError);
+    expect(() => SvgIds.validatePrefix('a"b')).toThrow(TypeError);
+  });
+});
+
+describe('VectorRenderer defs IDs', () => {
+  it('gives different cards on one page distinct, resolvable IDs', () => {
+    const renderer = new VectorRenderer();
+    const first = renderer.render(DIIA_ID_CARD_SCHEMA, 1, {});
+    renderer.setTilt(0.5, 0);
+    const second = renderer.render(DIIA_ID_CARD_SCHEMA, 2, {});
+
+    const { ids, unique, resolved } = checkReferences(first + second);
+    expect(ids).not.toContain('shadow');
+    expect(ids).not.toContain('card-clip');
+    expect(unique).toBe(true);
+    expect(resolved).toBe(true);
+  });
+
+  it('is deterministic and uses a per-render prefix when given', () => {
+    const renderer = new VectorRenderer();
+    expect(renderer.render(DIIA_ID_CARD_SCHEMA)).toBe(renderer.render(DIIA_ID_CARD_SCHEMA));
+
+    const svg = renderer.render(DIIA_ID_CARD_SCHEMA, 1, {}, { idPrefix: 'card-1' });
+    expect(svg).toContain('id="card-1-shadow"');
+    expect(svg).toContain('filter="url(#card-1-shadow)"');
+    expect(svg).toContain('clip-path="url(#card-1-card-clip)"');
+    expect(() => renderer.render(DIIA_ID_CARD_SCHEMA, 1, {}, { idPrefix: '1 card' })).toThrow(TypeError);
+  });
+
+  it('collects shared defs once for many screens', () => {
+    const renderer = new VectorRenderer();
+    renderer.shareDefs = true;
+    const cards = [1, 2, 3].map(() => renderer.render(DIIA_ID_CARD_SCHEMA));
+    const sprite = renderer.renderSharedDefs();
+
+    cards.forEach((card) => expect(card).not.toContain('<defs>'));
+    expect(renderer.sharedDefs.size).toBe(3);
+    expect(checkReferences(sprite + cards.join(''))).toMatchObject({ unique: true, resolved: true });
+
+    renderer.clearSharedDefs();
+    expect(renderer.renderSharedDefs()).toContain('<defs></defs>');
+  });
+});
+
+describe('DiiaButton defs IDs', () => {
+  it('derives distinct IDs for different buttons without an explicit id', () => {
+    const markup = generateDiiaButton({ text: 'Далі' }) + generateDiiaButton({ text: 'Назад', variant: 'outline' });
+    const { unique, resolved } = checkReferences(markup);
+
+    expect(unique).toBe(true);
+    expect(resolved).toBe(true);
+    expect(generateDiiaButton({ text: 'Далі', id: 'next' })).toContain('filter="url(#next-shadow)"');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/utils/escape.js';
+import '../src/utils/svg-tree.js';
+
+const { SvgTree } = window;
+
+describe('SvgTree', () => {
+  it('parses elements, attributes, text and CDATA', () => {
+    const doc = SvgTree.parse('<?xml version="1.0"?><svg a="1 &amp; 2" b=\'&#x41;&#66;\'><text>A &lt; B</text><style><![CDATA[a > b {}]]></style><!-- note --><g/></svg>');
+    const [declaration, svg] = doc.children;
+
+    expect(declaration).toEqual({ type: 'instruction', name: 'xml', value: 'version="1.0"' });
+    expect(svg.attributes).toEqual({ a: '1 & 2', b: 'AB' });
+    expect(svg.children.map((node) => node.name || node.type)).toEqual(['text', 'style', 'comment', 'g']);
+    expect(SvgTree.textContent(svg.children[0])).toBe('A < B');
+    expect(svg.children[1].children[0]).toEqual({ type: 'cdata', value: 'a > b {}' });
+  });
+
+  it('expands entities declared in the DOCTYPE', () => {
+    const doc = SvgTree.parse('<!DOCTYPE svg [\n<!ENTITY ns_svg "http://www.w3.org/2000/svg">\n<!ENTITY both "&ns_svg;#">\n]><svg xmlns="&ns_svg;" id="&both;"/>');
+
+    expect(doc.children[1].attributes).toEqual({ xmlns: 'http://www.w3.org/2000/svg', id: 'http://www.w3.org/2000/svg#' });
+    expect(() => SvgTree.parse('<!DOCTYPE a [<!ENTITY a "&a;">]><a>&a;</a>')).toThrow(SyntaxError);
+  });
+
+  it('reports malformed markup with its position', () => {
+    expect(() => SvgTree.parse('<svg><g></svg>')).toThrow('Expected "</g>", found "</svg>" at line 1, column 9');
+    expect(() => SvgTree.parse('<svg>\n<rect width=1/></svg>')).toThrow('Attribute "width" value must be quoted at line 2, column 13');
+    expect(() => SvgTree.parse('<svg><rect/>')).toThrow('Unclosed <svg>');
+    expect(() => SvgTree.parse('<svg a="1" a="2"/>')).toThrow('Duplicate attribute "a"');
+    expect(() => SvgTree.parse('<svg>&nbsp;</svg>')).toThrow('Unknown entity "&nbsp;"');
+    expect(() => SvgTree.parse('just text')).toThrow(SyntaxError);
+    expect(() => SvgTree.parse(null)).toThrow(TypeError);
+  });
+
+  it('serializes back to equivalent markup', () => {
+    const source = '<svg xmlns="http://www.w3.org/2000/svg"><text x="1" title="&quot;a&quot; &amp; &lt;b&gt;">Дія &amp; &lt;b&gt;</text><path d="M0 0"/></svg>';
+    const markup = SvgTree.serialize(SvgTree.parse(source));
+
+    expect(markup).toBe('<svg xmlns="http://www.w3.org/2000/svg"><text x="1" title="&quot;a&quot; &amp; &lt;b&gt;">Дія &amp; &lt;b&gt;</text><path d="M0 0"/></svg>');
+    expect(new DOMParser().parseFromString(markup, 'image/svg+xml').querySelector('text').getAttribute('title')).toBe('"a" & <b>');
+    expect(SvgTree.parse(markup)).toEqual(SvgTree.parse(source));
+  });
+
+  it('collects the IDs a document refers to', () => {
+    const doc = SvgTree.parse([
+      '<svg xmlns:xlink="http://www.w3.org/1999/xlink" aria-labelledby="title desc">',
+      '<style>#styled { fill: url( "#css" ) }</style>',
+      '<rect fill="url(#paint)" style="filter: url(\'#shadow\')"/>',
+      '<use xlink:href="#icon"/><use href="#icon2"/><a href="https://x.test/#not"/>',
+      '<animate begin="intro.end + 1s; click"/>',
+      '</svg>'
+    ].join(''));
+
+    expect([...SvgTree.references(doc)].sort()).toEqual(['css', 'desc', 'icon', 'icon2', 'intro', 'paint', 'shadow', 'styled', 'title']);
+  });
+});
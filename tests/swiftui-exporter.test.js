@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/screens/diia-passport.js';
+import '../src/screens/diia-tax-id.js';
+import '../src/screens/diia-fop-extract.js';
+import '../src/screens/diia-student-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/escape.js';
+import '../src/generators/swiftui-exporter.js';
+
+const { SceneGraph, SwiftUIExporter, DiiaTokens } = window;
+
+describe('SwiftUIExporter', () => {
+  it('stores the screen props and reads prop-bound text from them', () => {
+    const swift = SwiftUIExporter.transpile(SceneGraph.build('diia-id-card', { cardNumber: 'ВХ 42' }), { name: 'IdCard' });
+
+    expect(swift).toContain('struct IdCard: View {\n    var title: String = "ПОСВІДЧЕННЯ ВОДІЯ"');
+    expect(swift).toContain('    var cardNumber: String = "ВХ 42"\n');
+    expect(swift).toContain('Text(lastName)');
+    expect(swift).toContain('Text("№ \\(cardNumber)")');
+    expect(swift).toContain('Text("УКРАЇНА")');
+  });
+
+  it('uses the Color extension for token colors', () => {
+    const swift = SwiftUIExporter.transpile(SceneGraph.build('diia-id-card'));
+
+    expect(swift).toContain('.fill(Color.diiaFlagBlue)');
+    expect(swift).toContain('.foregroundColor(Color.diiaTextSecondary)');
+    expect(swift).toContain('.background(Color.diiaBackground)');
+    // Shadows are not tokens
+    expect(swift).toContain('.shadow(color: Color(red: 0, green: 0, blue: 0).opacity(0.15)');
+  });
+
+  it('stacks children that follow each other and offsets the rest', () => {
+    const swift = SwiftUIExporter.transpile(SceneGraph.build('diia-id-card'));
+
+    // Flag stripes touch: a VStack without spacing
+    expect(swift).toMatch(/VStack\(alignment: \.leading, spacing: 0\) \{\n\s+Rectangle\(\)\n\s+\.fill\(Color\.diiaFlagBlue\)/);
+    // Photo and fields sit side by side
+    expect(swift).toContain('HStack(alignment: .top, spacing: 16) {');
+    // The QR code overlaps nothing in a stack: absolute in the card's ZStack
+    expect(swift).toMatch(/\.background\(Color\.diiaQrBg\)\n\s+\.offset\(x: 236, y: 128\)/);
+  });
+
+  it('exports every registered screen with balanced braces', () => {
+    const tokens = DiiaTokens.resolve();
+    ['upload-screen', 'diia-id-card', 'diia-passport', 'diia-tax-id', 'diia-fop-extract', 'diia-student-card'].forEach((name) => {
+      const swift = SwiftUIExporter.transpile(SceneGraph.build(name), { tokens });
+      const code = swift.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+      expect(code.split('{').length, name).toBe(code.split('}').length);
+      expect(code.split('(').length, name).toBe(code.split(')').length);
+    });
+  });
+
+  it('generates a static color for every color token', () => {
+    const source = SwiftUIExporter.colorExtension(DiiaTokens.resolve('high-contrast'));
+
+    expect(source).toContain('extension Color {\n    static let diiaPrimary = ');
+    expect(source).toContain('static let diiaFlagBlue = Color(red: 0, green: 0.357, blue: 0.733)');
+    expect(source).toContain('static let diiaPrimaryTint = Color(red: ');
+    expect(source).toMatch(/static let diiaBackground = Color\(red: 0, green: 0, blue: 0\)\n/);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+
+const { TextLayout, VectorRenderer } = window;
+
+const font = { fontSize: 10, fontFamily: 'e-Ukraine, Inter, sans-serif' };
+const parse = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+describe('TextLayout', () => {
+  it('measures strings from the bundled metrics', () => {
+    expect(TextLayout.measure('ШЕВЧЕНКО', font)).toBeGreaterThan(TextLayout.measure('ІІІІІІІІ', font));
+    expect(TextLayout.measure('abc', { ...font, fontWeight: 'bold' })).toBeGreaterThan(TextLayout.measure('abc', font));
+    expect(TextLayout.measure('iii', { fontSize: 10, fontFamily: 'monospace' })).toBe(18);
+    expect(TextLayout.measure('', font)).toBe(0);
+  });
+
+  it('wraps at spaces and splits words longer than a line', () => {
+    const lines = TextLayout.wrap('Додайте необхідні документи', 80, font);
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) => expect(TextLayout.measure(line, font)).toBeLessThanOrEqual(80));
+    expect(lines.join(' ')).toBe('Додайте необхідні документи');
+
+    const split = TextLayout.wrap('ААААААААААААААААААААААААА', 50, font);
+    expect(split.length).toBeGreaterThan(1);
+    expect(split.join('')).toBe('ААААААААААААААААААААААААА');
+  });
+
+  it('ellipsizes to a width and a line count', () => {
+    expect(TextLayout.truncate('Коротко', 200, font)).toBe('Коротко');
+    const cut = TextLayout.truncate('Завантаження документів онлайн', 100, font);
+    expect(cut.endsWith('…')).toBe(true);
+    expect(TextLayout.measure(cut, font)).toBeLessThanOrEqual(100);
+
+    const block = TextLayout.layout('один два три чотири пʼять шість сім вісім девʼять десять', {
+      ...font,
+      maxWidth: 60,
+      maxLines: 2
+    });
+    expect(block.lines).toHaveLength(2);
+    expect(block.lines[1].endsWith('…')).toBe(true);
+    expect(block.truncated).toBe(true);
+    expect(block.height).toBe(2 * block.lineHeight);
+  });
+
+  it('rejects invalid font sizes', () => {
+    expect(() => TextLayout.layout('x', { fontSize: 0 })).toThrow(RangeError);
+  });
+});
+
+describe('VectorRenderer text layout', () => {
+  it('ellipsizes long ID card fields and keeps the full name accessible', () => {
+    const lastName = 'ШЕВЧЕНКО-КВІТКА-ОСНОВʼЯНЕНКО';
+    const svg = new VectorRenderer().renderDiiaIDCard({ lastName }, 1);
+    const field = [...parse(svg).querySelectorAll('text')].find((el) => el.getAttribute('aria-label') === lastName);
+
+    expect(field).toBeDefined();
+    expect(field.textContent.endsWith('…')).toBe(true);
+  });
+
+  it('wraps long descriptions into tspans and moves the upload zone down', () => {
+    const renderer = new VectorRenderer();
+    const description = 'Додайте скан-копії паспорта, ідентифікаційного коду та довідки про місце проживання';
+    const doc = parse(renderer.renderUploadScreen({ description }, 1));
+    const subtitle = doc.querySelectorAll('text')[1];
+
+    expect(subtitle.querySelectorAll('tspan').length).toBeGreaterThan(1);
+    expect(subtitle.textContent.replace(/\s/g, '')).toBe(description.replace(/\s/g, ''));
+
+    const zone = (props) => renderer.generateA11yLayer(props, 1).find((el) => el.type === 'button').bounds;
+    expect(zone({ description }).y).toBeGreaterThan(zone({}).y);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/font-glyphs.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/react-native-exporter.js';
+import '../src/generators/swiftui-exporter.js';
+import '../src/generators/compose-exporter.js';
+import '../src/generators/vector-drawable-exporter.js';
+import '../src/generators/flutter-exporter.js';
+import '../src/generators/pdf-writer.js';
+import '../src/generators/web-component-exporter.js';
+import '../src/generators/lottie-exporter.js';
+import '../src/export-engine.js';
+
+const {
+  VectorRenderer, ExportEngine, SceneGraph, PDFWriter, LottieExporter, DIIA_THEMES, UPLOAD_SCREEN_SCHEMA, DIIA_ID_CARD_SCHEMA
+} = window;
+
+const palette = (colors) => Object.values(colors).flatMap((value) => (
+  typeof value === 'object' ? palette(value) : [value.toLowerCase()]
+));
+
+const paints = (svg) => [...svg.matchAll(/(?:fill|stroke|stop-color|flood-color)="([^"]+)"/g)]
+  .map((match) => match[1].toLowerCase())
+  .filter((value) => value !== 'none' && !value.startsWith('url('));
+
+describe('VectorRenderer themes', () => {
+  it('paints every fill and stroke from the active palette', () => {
+    Object.keys(DIIA_THEMES).forEach((theme) => {
+      const renderer = new VectorRenderer({ theme });
+      const allowed = palette(DIIA_THEMES[theme]);
+
+      [UPLOAD_SCREEN_SCHEMA, DIIA_ID_CARD_SCHEMA].forEach((schema) => {
+        const used = paints(renderer.render(schema));
+        expect(used.length).toBeGreaterThan(0);
+        used.forEach((color) => expect(allowed, `${theme}: ${color}`).toContain(color));
+      });
+    });
+  });
+
+  it('switches the backdrop and card surface with setTheme', () => {
+    const renderer = new VectorRenderer();
+    const light = renderer.render(UPLOAD_SCREEN_SCHEMA);
+    renderer.setTheme('dark');
+    const dark = renderer.render(UPLOAD_SCREEN_SCHEMA);
+
+    expect(light).toContain('fill="#E2ECF4"');
+    expect(dark).toContain(`fill="${DIIA_THEMES.dark.background}"`);
+    expect(dark).toContain(`fill="${DIIA_THEMES.dark.cardBg}"`);
+    expect(dark).not.toContain('#E2ECF4');
+    expect(renderer.getConfig().theme).toBe('dark');
+  });
+
+  it('keeps the QR code dark on light in every theme', () => {
+    const svg = new VectorRenderer({ theme: 'high-contrast' }).render(DIIA_ID_CARD_SCHEMA);
+    expect(svg).toMatch(/fill="#000000" shape-rendering="crispEdges" role="img" aria-label="QR код"/);
+  });
+
+  it('rejects unknown themes', () => {
+    expect(() => new VectorRenderer({ theme: 'sepia' })).toThrow(RangeError);
+  });
+});
+
+describe('ExportEngine themes', () => {
+  it('exports in the colors of the renderer theme', () => {
+    const engine = new ExportEngine();
+    const light = engine.toSwiftUIColors();
+    expect(light).toContain('static let diiaBackground = Color(red: 0.886, green: 0.925, blue: 0.957)');
+
+    engine.setVectorRenderer(new VectorRenderer({ theme: 'high-contrast' }));
+    expect(engine.toSwiftUIColors()).not.toContain('Color(red: 0.886');
+    expect(engine.toReactNativeTokens()).toContain("background: '#000000'");
+    expect(engine.toComposeColors()).toContain('val Background = Color(0xFF000000)');
+    expect(engine.toFlutterTokens()).toContain('static const Color background = Color(0xFF000000);');
+    expect(engine.toEPS()).toContain('1 1 0 setrgbcolor');
+  });
+
+  it('writes PDF and Lottie in a theme without explicit tokens', () => {
+    const scene = SceneGraph.build('upload-screen');
+
+    expect(PDFWriter.fromScene(scene, { theme: 'dark' })).toContain('stream\n0.039 0.055 0.153 rg\n0 680 m');
+    expect(PDFWriter.fromScene(scene)).toContain('stream\n0.886 0.925 0.957 rg\n0 680 m');
+
+    const particles = { tracks: [{ type: 'particles', target: 'card' }] };
+    const lottie = JSON.stringify(LottieExporter.fromScene(scene, { theme: 'high-contrast', timeline: particles }));
+    expect(lottie).toContain('"c":{"a":0,"k":[1,1,0,1]}');
+  });
+});
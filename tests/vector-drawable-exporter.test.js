@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-drawable-exporter.js';
+
+const { SceneGraph, VectorDrawableExporter, DiiaTokens } = window;
+
+const parse = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+
+describe('VectorDrawableExporter', () => {
+  it('writes a well-formed vector the size of the screen', () => {
+    const xml = VectorDrawableExporter.fromScene(SceneGraph.build('upload-screen'), { tokens: DiiaTokens.resolve() });
+    const doc = parse(xml);
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(doc.documentElement.getAttribute('android:width')).toBe('360dp');
+    expect(doc.documentElement.getAttribute('android:viewportHeight')).toBe('680');
+    // Screen background first, then the card as a named group
+    expect(doc.querySelector('path').getAttribute('android:pathData')).toBe('M0,0H360V680H0Z');
+    expect(xml).toContain('<group android:name="upload-zone">');
+    // Rounded corners are arcs, the icon keeps its stroke style
+    expect(xml).toContain('android:pathData="M32,16H328A24,24 0 0 1 352,40V');
+    expect(xml).toContain('android:pathData="M180,152L180,164M180,152L176,156M180,152L184,156"');
+    expect(xml).toContain('android:strokeLineCap="round"');
+    // No text or gradients here
+    expect(xml).not.toContain('xmlns:aapt');
+    expect(xml).not.toContain('Завантаження');
+  });
+
+  it('crops to one node and draws gradients through aapt:attr', () => {
+    const xml = VectorDrawableExporter.fromScene(SceneGraph.build('diia-id-card'), { id: 'card', tokens: DiiaTokens.resolve() });
+    const doc = parse(xml);
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(doc.documentElement.getAttribute('android:width')).toBe('328dp');
+    expect(xml).toContain('<group android:translateX="-16" android:translateY="-48">');
+    expect(xml).toContain('xmlns:aapt="http://schemas.android.com/aapt"');
+    expect(xml).toContain('<aapt:attr name="android:fillColor">');
+    expect(xml).toContain('<item android:offset="0.3" android:color="#2667C3F3"/>');
+    expect(xml).toContain('<clip-path android:pathData="M32,48H328A16,16');
+    expect(xml).toContain('android:fillColor="#005BBB"');
+  });
+
+  it('skips gradients without tokens and rejects unknown IDs', () => {
+    const scene = SceneGraph.build('diia-id-card');
+
+    expect(VectorDrawableExporter.fromScene(scene)).not.toContain('gradient');
+    expect(() => VectorDrawableExporter.fromScene(scene, { id: 'nope' })).toThrow(ReferenceError);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+
+import '../src/theme/diia-tokens.js';
+import '../src/generators/screen-schema.js';
+import '../src/generators/font-metrics.js';
+import '../src/generators/text-layout.js';
+import '../src/generators/layout-engine.js';
+import '../src/generators/scene-graph.js';
+import '../src/screens/document-card.js';
+import '../src/screens/upload-screen.js';
+import '../src/screens/diia-id-card.js';
+import '../src/utils/qr-encoder.js';
+import '../src/utils/svg-ids.js';
+import '../src/utils/escape.js';
+import '../src/generators/vector-renderer.js';
+import '../src/generators/web-component-exporter.js';
+
+const { SceneGraph, VectorRenderer, WebComponentExporter } = window;
+
+/** Generated module for a screen under its own tag */
+function exportScreen(name, tag, props = {}) {
+  const renderer = new VectorRenderer();
+  const svg = renderer.renderSchema(name, props, 1, { shareDefs: false });
+  const a11y = renderer.renderA11yHTML(renderer.generateA11yLayer(props, 1, name));
+  return WebComponentExporter.fromScene(SceneGraph.build(name, props), { markup: renderer.wrapWithA11y(svg, a11y), tag });
+}
+
+/** Run a generated module in the page and return its element class */
+function load(source) {
+  const body = source.replace(/^export default (\w+);$/m, 'return $1;').replace(/^export /m, '');
+  return new Function(body)();
+}
+
+describe('WebComponentExporter', () => {
+  beforeAll(() => {
+    // jsdom has no canvas: 10px per character
+    HTMLCanvasElement.prototype.getContext = () => ({ font: '', measureText: (text) => ({ width: text.length * 10 }) });
+  });
+
+  it('declares the screen props as attributes and the buttons as events', () => {
+    const source = exportScreen('upload-screen');
+
+    expect(source).toContain("customElements.define('diia-upload-screen', DiiaUploadScreen);");
+    expect(source).toContain('// Attributes: title, subtitle, button-text\n// Events: upload-zone, next-button');
+    expect(source).toContain('  "button-text": "buttonText"\n');
+    expect(source).toContain('  "buttonText": "Додати файл"\n');
+    expect(source).toContain("this.attachShadow({ mode: 'open' })");
+    expect(() => WebComponentExporter.fromScene(SceneGraph.build('upload-screen'), { markup: '', tag: 'upload' })).toThrow(TypeError);
+    expect(() => WebComponentExporter.fromScene(SceneGraph.build('upload-screen'))).toThrow(TypeError);
+  });
+
+  it('redraws bound text and semantics when an attribute changes', () => {
+    load(exportScreen('upload-screen', 'test-upload-attributes'));
+    const element = document.createElement('test-upload-attributes');
+    document.body.appendChild(element);
+
+    element.setAttribute('title', 'Довідки');
+    element.setAttribute('button-text', 'Обрати');
+    const texts = element.shadowRoot.querySelectorAll('svg text');
+    const heading = element.shadowRoot.querySelector('.vector-semantic h1');
+    expect(texts[0].textContent).toBe('Довідки');
+    expect(texts[2].textContent).toBe('Обрати');
+    expect(heading.textContent).toBe('Довідки');
+    expect(heading.getAttribute('aria-label')).toBe('Довідки');
+    expect(element.shadowRoot.querySelectorAll('.vector-semantic button')[0].textContent).toBe('Обрати');
+    expect(texts[1].textContent).toBe('Додайте необхідні документи');
+  });
+
+  it('wraps and ellipsizes text with a line limit inside its box', () => {
+    load(exportScreen('upload-screen', 'test-upload-wrap'));
+    const element = document.createElement('test-upload-wrap');
+
+    element.title = `${'слово '.repeat(40)}кінець`;
+    const lines = [...element.shadowRoot.querySelectorAll('svg text')[0].querySelectorAll('tspan')];
+    expect(lines).toHaveLength(2);
+    expect(lines.map((line) => line.getAttribute('x'))).toEqual(['24', '24']);
+    expect(lines[1].getAttribute('y')).toBe('72.29');
+    expect(lines[1].textContent.endsWith('…')).toBe(true);
+    lines.forEach((line) => expect(line.textContent.length * 10).toBeLessThanOrEqual(312));
+  });
+
+  it('reflects properties to attributes', () => {
+    load(exportScreen('upload-screen', 'test-upload-props', { subtitle: 'PDF до 10 МБ' }));
+    const element = document.createElement('test-upload-props');
+
+    expect(element.subtitle).toBe('PDF до 10 МБ');
+    element.buttonText = 'Сканувати';
+    expect(element.getAttribute('button-text')).toBe('Сканувати');
+    expect(element.buttonText).toBe('Сканувати');
+    expect(element.props).toEqual({ title: 'Завантаження документів', subtitle: 'PDF до 10 МБ', buttonText: 'Сканувати' });
+  });
+
+  it('dispatches composed events from the upload zone and the next button', () => {
+    load(exportScreen('upload-screen', 'test-upload-events'));
+    const element = document.createElement('test-upload-events');
+    document.body.appendChild(element);
+    const events = [];
+    document.body.addEventListener('upload-zone', (event) => events.push(event));
+    document.body.addEventListener('next-button', (event) => events.push(event));
+
+    element.setAttribute('title', 'Довідки');
+    const [zone, next] = element.shadowRoot.querySelectorAll('.vector-semantic button');
+    zone.click();
+    next.click();
+    expect(events.map((event) => event.type)).toEqual(['upload-zone', 'next-button']);
+    expect(events[0].composed).toBe(true);
+    expect(events[0].detail.props.title).toBe('Довідки');
+  });
+});
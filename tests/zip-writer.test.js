@@ -0,0 +1,132 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { Buffer } from 'node:buffer';
+
+import { ZipWriter, ExportEngine, VectorRenderer, SceneGraph } from '../src/index.mjs';
+
+/** Entries of a stored ZIP archive, read through its central directory */
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  expect(offset + view.getUint32(end + 12, true)).toBe(end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014B50);
+    const flags = view.getUint16(offset + 8, true);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const path = Buffer.from(bytes.subarray(offset + 46, offset + 46 + nameLength)).toString('utf8');
+    expect(view.getUint32(local, true)).toBe(0x04034B50);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    entries.push({ path, flags, crc, data, text: Buffer.from(data).toString('utf8') });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('ZipWriter', () => {
+  it('computes CRC-32 and SHA-256 test vectors', () => {
+    expect(ZipWriter.crc32('The quick brown fox jumps over the lazy dog')).toBe(0x414FA339);
+    expect(ZipWriter.crc32('')).toBe(0);
+    expect(ZipWriter.sha256('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(ZipWriter.sha256('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(ZipWriter.sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+    expect(ZipWriter.sha256('Дія')).toBe(ZipWriter.sha256(new TextEncoder().encode('Дія')));
+  });
+
+  it('writes stored entries with UTF-8 names', () => {
+    const zip = ZipWriter.write([
+      { path: 'manifest.json', content: '{}' },
+      { path: 'документи/Довідка.txt', content: 'Дія' },
+      { path: 'empty', content: new Uint8Array(0) }
+    ]);
+    const entries = unzip(zip);
+
+    expect(entries.map((entry) => entry.path)).toEqual(['manifest.json', 'документи/Довідка.txt', 'empty']);
+    expect(entries[1].text).toBe('Дія');
+    expect(entries[1].flags).toBe(0x0800);
+    entries.forEach((entry) => expect(entry.crc).toBe(ZipWriter.crc32(entry.data)));
+    expect(ZipWriter.write([{ path: 'a', content: 'b' }])).toEqual(ZipWriter.write([{ path: 'a', content: 'b' }]));
+    expect(ZipWriter.write([])).toHaveLength(22);
+  });
+
+  it('stamps entries with the given date in DOS format', () => {
+    const zip = ZipWriter.write([{ path: 'a', content: '' }], { date: new Date(2024, 7, 24, 13, 45, 30) });
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint16(10, true)).toBe((13 << 11) | (45 << 5) | 15);
+    expect(view.getUint16(12, true)).toBe((44 << 9) | (8 << 5) | 24);
+  });
+
+  it('rejects unsafe, repeated and missing paths', () => {
+    ['', '/etc/passwd', '../up.txt', 'a/../../b', 'C:\\temp\\x', 'a\\..\\b'].forEach((path) => {
+      expect(() => ZipWriter.write([{ path, content: '' }]), path).toThrow(TypeError);
+    });
+    expect(() => ZipWriter.write([{ path: 'a', content: '' }, { path: 'a', content: '' }])).toThrow(TypeError);
+    expect(() => ZipWriter.write([{ name: 'a.txt', content: '' }])).toThrow('Invalid archive path "undefined"');
+    expect(() => ZipWriter.write([{ path: 7, content: '' }])).toThrow('Invalid archive path "7"');
+  });
+});
+
+describe('ExportEngine bundle', () => {
+  it('archives every target with a manifest of sizes, tokens and hashes', () => {
+    const engine = new ExportEngine();
+    const entries = unzip(engine.toBundle({ title: 'Довідки' }));
+    const manifest = JSON.parse(entries[0].text);
+
+    expect(entries.map((entry) => entry.path)).toEqual([
+      'manifest.json',
+      'svg/diia-upload-screen.svg',
+      'react-native/DiiaUploadScreen.tsx',
+      'react-native/diia-tokens.ts',
+      'swiftui/DiiaUploadScreen.swift',
+      'swiftui/DiiaColors.swift',
+      'compose/DiiaUploadScreen.kt',
+      'compose/DiiaColors.kt',
+      'vector-drawable/diia_upload_screen.xml',
+      'flutter/diia_upload_screen.dart',
+      'flutter/diia_tokens.dart',
+      'web-component/diia-upload-screen.js',
+      'lottie/diia-upload-screen.json',
+      'pdf/diia-upload-screen.pdf',
+      'eps/diia-upload-screen.eps',
+      'tokens/diia-tokens.css',
+      'tokens/diia-tokens.json'
+    ]);
+    expect(manifest).toMatchObject({ name: 'upload-screen', component: 'DiiaUploadScreen', theme: 'light' });
+    expect(manifest.props.title).toBe('Довідки');
+    expect(manifest.source.schema).toBe(ZipWriter.sha256(JSON.stringify(SceneGraph.schemaFor('upload-screen'))));
+    expect(manifest.files).toHaveLength(entries.length - 1);
+    manifest.files.forEach((file, i) => {
+      const { path, data } = entries[i + 1];
+      expect(file.path).toBe(path);
+      expect(file.bytes).toBe(data.length);
+      expect(file.sha256).toBe(ZipWriter.sha256(data));
+      expect(file.tokens.claude).toBeGreaterThan(0);
+    });
+    expect(entries[2].text).toBe(engine.toReactNative({ title: 'Довідки' }));
+    expect(entries[1].text).toContain('>Довідки<');
+    expect(JSON.parse(entries[16].text)).toEqual(engine.getTokens());
+  });
+
+  it('follows the renderer theme and gives the same bytes for the same screen', () => {
+    const renderer = new VectorRenderer();
+    renderer.setTheme('dark');
+    const engine = new ExportEngine();
+    engine.setVectorRenderer(renderer);
+    const files = engine.toBundleFiles({}, 'diia-id-card');
+
+    expect(JSON.parse(files[0].content)).toMatchObject({ name: 'diia-id-card', theme: 'dark' });
+    expect(files.find((file) => file.path === 'tokens/diia-tokens.json').content).toBe(`${JSON.stringify(renderer.tokens, null, 2)}\n`);
+    expect(files.some((file) => file.path === 'flutter/diia_id_card.dart')).toBe(true);
+    expect(engine.toBundle({}, 'diia-id-card')).toEqual(engine.toBundle({}, 'diia-id-card'));
+  });
+});